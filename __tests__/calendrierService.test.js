@@ -0,0 +1,156 @@
+// __tests__/calendrierService.test.js
+jest.mock('../models/Trajet', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/Reservation', () => ({
+  obtenirReservationsUtilisateur: jest.fn()
+}));
+jest.mock('../models/Utilisateur', () => ({
+  updateOne: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../services/firebaseService', () => ({}));
+
+const Trajet = require('../models/Trajet');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const calendrierService = require('../services/calendrierService');
+
+describe('calendrierService', () => {
+  // Lundi 7 janvier 2030
+  const maintenant = new Date(Date.UTC(2030, 0, 7, 6, 0));
+  const point = (adresse) => ({ nom: adresse, adresse, coordonnees: { type: 'Point', coordinates: [-4.0, 5.3] } });
+
+  const mockFind = (series, trajets) => {
+    Trajet.find.mockImplementation((filtre) => {
+      if (filtre.typeTrajet === 'RECURRENT') {
+        return { lean: jest.fn().mockResolvedValue(series) };
+      }
+      return { sort: () => ({ lean: jest.fn().mockResolvedValue(trajets) }) };
+    });
+  };
+
+  // Dépliage des lignes repliées (RFC 5545 §3.1)
+  const lignes = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Reservation.obtenirReservationsUtilisateur.mockResolvedValue([]);
+  });
+
+  // ============================================================
+  // TESTS: format iCalendar
+  // ============================================================
+  describe('format', () => {
+    it('devrait échapper les caractères spéciaux', () => {
+      expect(calendrierService._echapperTexte('Cocody, Riviera; ligne\nsuite'))
+        .toBe('Cocody\\, Riviera\\; ligne\\nsuite');
+    });
+
+    it('devrait plier les lignes à 75 octets sans couper un caractère', () => {
+      const ligne = `DESCRIPTION:${'é'.repeat(80)}`;
+      const morceaux = calendrierService._plierLigne(ligne).split('\r\n');
+
+      expect(morceaux.length).toBeGreaterThan(1);
+      morceaux.forEach(m => expect(Buffer.byteLength(m)).toBeLessThanOrEqual(75));
+      expect(morceaux.map((m, i) => (i === 0 ? m : m.slice(1))).join('')).toBe(ligne);
+    });
+  });
+
+  // ============================================================
+  // TESTS: génération du flux
+  // ============================================================
+  describe('genererFlux', () => {
+    it('devrait exporter une série hebdomadaire en RRULE avec EXDATE et surcharges', async () => {
+      const serie = {
+        _id: 'serie1',
+        typeTrajet: 'RECURRENT',
+        statutTrajet: 'PROGRAMME',
+        dateDepart: new Date(Date.UTC(2030, 0, 7, 7, 30)),
+        heureDepart: '07:30',
+        dureeEstimee: 45,
+        prixParPassager: 1500,
+        pointDepart: point('Cocody'),
+        pointArrivee: point('Plateau'),
+        recurrence: {
+          jours: ['LUNDI', 'VENDREDI'],
+          horairesParJour: [{ jour: 'VENDREDI', heureDepart: '08:00' }],
+          exceptions: [{ date: new Date(Date.UTC(2030, 0, 14)), type: 'ANNULEE' }],
+          dateFinRecurrence: new Date(Date.UTC(2030, 1, 3, 23, 59))
+        }
+      };
+      const instances = [
+        // Instance annulée par le conducteur
+        { _id: 'i1', trajetRecurrentId: 'serie1', statutTrajet: 'ANNULE', dateDepart: new Date(Date.UTC(2030, 0, 21, 7, 30)), heureDepart: '07:30', pointDepart: point('Cocody'), pointArrivee: point('Plateau') },
+        // Instance conforme : ne doit pas apparaître en double
+        { _id: 'i2', trajetRecurrentId: 'serie1', statutTrajet: 'PROGRAMME', dateDepart: new Date(Date.UTC(2030, 0, 28, 7, 30)), heureDepart: '07:30', pointDepart: point('Cocody'), pointArrivee: point('Plateau') }
+      ];
+      mockFind([serie], instances);
+
+      const ics = lignes(await calendrierService.genererFlux({ _id: 'u1', prenom: 'Awa', nom: 'Koné' }, maintenant));
+
+      const rrules = ics.filter(l => l.startsWith('RRULE:'));
+      expect(rrules).toEqual([
+        'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO;WKST=MO;UNTIL=20300203T235900Z',
+        'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=FR;WKST=MO;UNTIL=20300203T235900Z'
+      ]);
+      expect(ics).toContain('DTSTART:20300111T080000Z');
+      expect(ics).toContain('EXDATE:20300114T073000Z');
+      expect(ics).toContain('RECURRENCE-ID:20300121T073000Z');
+      expect(ics).toContain('STATUS:CANCELLED');
+      expect(ics.filter(l => l.startsWith('UID:'))).not.toContain('UID:trajet-i2@wayz-eco.ci');
+    });
+
+    it('devrait exporter les réservations avec conducteur, véhicule et statut', async () => {
+      mockFind([], []);
+      Reservation.obtenirReservationsUtilisateur.mockResolvedValue([{
+        _id: 'r1',
+        statutReservation: 'EN_ATTENTE',
+        nombrePlacesReservees: 2,
+        montantTotal: 3000,
+        pointPriseEnCharge: point('Riviera 2'),
+        pointDepose: point('Plateau'),
+        trajetId: {
+          dateDepart: new Date(Date.UTC(2030, 0, 9)),
+          heureDepart: '08:15',
+          statutTrajet: 'PROGRAMME',
+          pointDepart: point('Cocody'),
+          pointArrivee: point('Plateau'),
+          conducteurId: { prenom: 'Yao', nom: 'Kouassi', telephone: '+2250700000000' },
+          vehiculeUtilise: { marque: 'Toyota', modele: 'Corolla', couleur: 'Gris', immatriculation: '1234AB01' }
+        }
+      }]);
+
+      const ics = lignes(await calendrierService.genererFlux({ _id: 'u1' }, maintenant));
+
+      expect(ics).toContain('UID:reservation-r1@wayz-eco.ci');
+      expect(ics).toContain('DTSTART:20300109T081500Z');
+      expect(ics).toContain('STATUS:TENTATIVE');
+      expect(ics).toContain('LOCATION:Riviera 2');
+      const description = ics.find(l => l.startsWith('DESCRIPTION:'));
+      expect(description).toContain('Yao Kouassi');
+      expect(description).toContain('Toyota Corolla Gris — 1234AB01');
+    });
+  });
+
+  // ============================================================
+  // TESTS: token
+  // ============================================================
+  describe('token', () => {
+    it('devrait ne rien générer pour un token inconnu ou révoqué', async () => {
+      Utilisateur.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(calendrierService.genererFluxParToken('a'.repeat(48))).resolves.toBeNull();
+    });
+
+    it('devrait générer un nouveau lien à chaque activation', async () => {
+      Utilisateur.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const premier = await calendrierService.activerFlux('u1');
+      const second = await calendrierService.activerFlux('u1');
+
+      expect(premier.url).toMatch(/\/api\/calendrier\/flux\/[a-f0-9]{48}\.ics$/);
+      expect(second.url).not.toBe(premier.url);
+    });
+  });
+});
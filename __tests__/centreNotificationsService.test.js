@@ -0,0 +1,144 @@
+// __tests__/centreNotificationsService.test.js
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Utilisateur = require('../models/Utilisateur');
+const centreNotificationsService = require('../services/centreNotificationsService');
+const firebaseService = require('../services/firebaseService');
+const notificationService = require('../services/notificationService');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('centreNotificationsService', () => {
+  const utilisateurId = new mongoose.Types.ObjectId();
+  let emissions;
+  let io;
+  let creer;
+
+  beforeEach(() => {
+    emissions = [];
+    io = { to: jest.fn(salle => ({ emit: (evenement, donnees) => emissions.push({ salle, evenement, donnees }) })) };
+    centreNotificationsService.utiliserSocket(io);
+
+    creer = jest.spyOn(Notification, 'create').mockImplementation(async (doc) => ({
+      _id: new mongoose.Types.ObjectId(),
+      lue: false,
+      createdAt: new Date(),
+      ...doc
+    }));
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    centreNotificationsService.utiliserSocket(null);
+    jest.restoreAllMocks();
+  });
+
+  it('devrait enregistrer la notification avec son lien profond et pousser le compteur dans la salle du destinataire', async () => {
+    const notification = await centreNotificationsService.enregistrer({
+      destinataireId: utilisateurId,
+      type: 'RESERVATION_CONFIRMEE',
+      titre: 'Réservation confirmée',
+      message: 'Votre place vers Yopougon est confirmée',
+      donnees: { reservationId: 'r1', trajetId: 't1', montant: '2500', screen: 'ReservationDetails' },
+      canal: 'reservations'
+    });
+
+    expect(notification.lien).toBe('wayzeco://ecran/ReservationDetails?reservationId=r1&trajetId=t1');
+    expect(creer).toHaveBeenCalledWith(expect.objectContaining({ canal: 'reservations', type: 'RESERVATION_CONFIRMEE' }));
+    expect(emissions.map(e => [e.salle, e.evenement])).toEqual([
+      [`user_${utilisateurId}`, 'notification:new'],
+      [`user_${utilisateurId}`, 'notification:unread_count']
+    ]);
+    expect(emissions[0].donnees).toMatchObject({ id: notification._id, lien: notification.lien, lue: false });
+    expect(emissions[1].donnees).toEqual({ nonLues: 3 });
+  });
+
+  it('devrait conserver la notification push d\'un utilisateur sans token FCM et ne pas la dupliquer si elle est déjà enregistrée', async () => {
+    jest.spyOn(Utilisateur, 'findById').mockResolvedValue({ _id: utilisateurId, fcmTokens: [] });
+    const push = {
+      title: '💸 Retrait effectué',
+      message: '15000 FCFA envoyés sur votre compte Wave',
+      data: { type: 'PAYOUT_STATUS', retraitId: 'ret1', screen: 'Retraits' },
+      channelId: 'paiements',
+      type: 'paiements'
+    };
+
+    const resultat = await firebaseService.sendToUser(utilisateurId, push, Utilisateur);
+
+    expect(resultat).toMatchObject({ success: false, error: 'Aucun token FCM disponible' });
+    expect(creer).toHaveBeenCalledTimes(1);
+    expect(creer.mock.calls[0][0]).toMatchObject({
+      destinataireId: utilisateurId,
+      type: 'PAYOUT_STATUS',
+      canal: 'paiements',
+      titre: push.title,
+      lien: 'wayzeco://ecran/Retraits?retraitId=ret1'
+    });
+
+    await firebaseService.sendToUser(utilisateurId, { ...push, notificationId: 'deja-enregistree' }, Utilisateur);
+    expect(creer).toHaveBeenCalledTimes(1);
+  });
+
+  it('devrait confier une notification de notificationService à l\'orchestrateur, même sans email', async () => {
+    jest.spyOn(Utilisateur, 'findById').mockReturnValue(chaine({
+      _id: utilisateurId,
+      preferenceNotifications: { email: false }
+    }));
+    const envoyer = jest.spyOn(livraisonNotificationsService, 'envoyer').mockResolvedValue({
+      livraison: { statut: 'EN_ATTENTE_ACQUITTEMENT', notificationId: 'n1' },
+      doublon: false
+    });
+
+    const resultat = await notificationService.sendPaymentNotification(
+      utilisateurId,
+      'Paiement reçu',
+      'Votre paiement de 3000 FCFA a été confirmé',
+      { paiementId: 'p1', screen: 'PaymentHistory' }
+    );
+
+    expect(resultat.success).toBe(true);
+    expect(resultat.results.livraison).toMatchObject({ success: true, notificationId: 'n1' });
+    expect(resultat.results.email).toBeNull();
+    expect(envoyer).toHaveBeenCalledWith(utilisateurId, expect.objectContaining({
+      evenement: 'PAYMENT',
+      titre: 'Paiement reçu',
+      categorie: 'paiements',
+      priorite: 'NORMALE',
+      donnees: { type: 'PAYMENT', paiementId: 'p1', screen: 'PaymentHistory' }
+    }));
+  });
+
+  it('devrait refuser de marquer comme lue la notification d\'un autre utilisateur', async () => {
+    const miseAJour = jest.spyOn(Notification, 'findOneAndUpdate').mockReturnValue(chaine(null));
+    jest.spyOn(Notification, 'findOne').mockReturnValue(chaine(null));
+    const notificationId = new mongoose.Types.ObjectId();
+
+    await expect(centreNotificationsService.marquerLue(notificationId, utilisateurId))
+      .rejects.toMatchObject({ code: 'NOTIFICATION_NOT_FOUND', status: 404 });
+
+    expect(miseAJour.mock.calls[0][0]).toEqual({ _id: notificationId, destinataireId: utilisateurId, lue: false });
+    expect(emissions).toHaveLength(0);
+  });
+
+  it('devrait tout marquer comme lu puis supprimer en tenant le compteur à jour', async () => {
+    const miseAJour = jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    Notification.countDocuments.mockResolvedValue(0);
+
+    await expect(centreNotificationsService.marquerToutesLues(utilisateurId))
+      .resolves.toEqual({ modifiees: 3, nonLues: 0 });
+    expect(miseAJour).toHaveBeenCalledWith(
+      { destinataireId: utilisateurId, lue: false },
+      { $set: { lue: true, dateLecture: expect.any(Date) } }
+    );
+
+    const notificationId = new mongoose.Types.ObjectId();
+    jest.spyOn(Notification, 'findOneAndDelete').mockResolvedValueOnce({ _id: notificationId }).mockResolvedValueOnce(null);
+    await expect(centreNotificationsService.supprimer(notificationId, utilisateurId)).resolves.toEqual({ nonLues: 0 });
+    await expect(centreNotificationsService.supprimer(notificationId, utilisateurId))
+      .rejects.toMatchObject({ code: 'NOTIFICATION_NOT_FOUND' });
+
+    expect(emissions.map(e => e.evenement)).toEqual(['notification:unread_count', 'notification:unread_count']);
+    expect(emissions[1].donnees).toEqual({ nonLues: 0 });
+  });
+});
@@ -0,0 +1,107 @@
+// __tests__/corridorService.test.js
+const corridorService = require('../services/corridorService');
+
+describe('corridorService', () => {
+  // Itinéraire fictif Yopougon → Adjamé → Plateau (points [lat, lng])
+  const itineraire = [
+    [5.3450, -4.0800],
+    [5.3480, -4.0500],
+    [5.3500, -4.0200],
+    [5.3300, -4.0150]
+  ];
+
+  // ============================================================
+  // TESTS: polyline
+  // ============================================================
+  describe('encodePolyline / decodePolyline', () => {
+    it('devrait décoder la polyline de référence Google', () => {
+      const points = corridorService.decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+
+      expect(points).toEqual([
+        [38.5, -120.2],
+        [40.7, -120.95],
+        [43.252, -126.453]
+      ]);
+    });
+
+    it('devrait être réversible', () => {
+      const encoded = corridorService.encodePolyline(itineraire);
+      expect(corridorService.decodePolyline(encoded)).toEqual(itineraire);
+    });
+
+    it('devrait retourner un tableau vide pour une polyline absente', () => {
+      expect(corridorService.decodePolyline(null)).toEqual([]);
+    });
+  });
+
+  describe('construireTrace', () => {
+    it('devrait produire un LineString GeoJSON [lng, lat] sans doublon consécutif', () => {
+      const trace = corridorService.construireTrace([
+        itineraire[0], itineraire[0], ...itineraire.slice(1)
+      ]);
+
+      expect(trace.type).toBe('LineString');
+      expect(trace.coordinates[0]).toEqual([-4.0800, 5.3450]);
+      expect(trace.coordinates).toHaveLength(itineraire.length);
+    });
+
+    it('devrait retourner null avec moins de deux points', () => {
+      expect(corridorService.construireTrace([itineraire[0]])).toBeNull();
+    });
+  });
+
+  // ============================================================
+  // TESTS: projection
+  // ============================================================
+  describe('projeterSurItineraire', () => {
+    it('devrait projeter un point proche sur le bon segment', () => {
+      const proj = corridorService.projeterSurItineraire(itineraire, 5.3470, -4.0650);
+
+      expect(proj.indexSegment).toBe(0);
+      expect(proj.distanceMetres).toBeLessThan(100);
+      expect(proj.distanceLeLongMetres).toBeGreaterThan(0);
+    });
+
+    it('devrait ignorer la partie de l\'itinéraire avant l\'abscisse donnée', () => {
+      const proj = corridorService.projeterSurItineraire(itineraire, 5.3450, -4.0800, 5000);
+      expect(proj.distanceLeLongMetres).toBeGreaterThanOrEqual(5000);
+    });
+  });
+
+  // ============================================================
+  // TESTS: correspondance corridor
+  // ============================================================
+  describe('evaluerCorridor', () => {
+    const montee = { lat: 5.3475, lng: -4.0600 };
+    const descente = { lat: 5.3400, lng: -4.0170 };
+
+    it('devrait accepter montée et descente dans le corridor, dans l\'ordre', () => {
+      const result = corridorService.evaluerCorridor(itineraire, montee, descente, { rayonMetres: 500 });
+
+      expect(result).not.toBeNull();
+      expect(result.pointMontee.distanceLeLongKm).toBeLessThan(result.pointDescente.distanceLeLongKm);
+      expect(result.distancePartageeKm).toBeGreaterThan(0);
+      expect(result.detourMinutes).toBeGreaterThanOrEqual(0);
+    });
+
+    it('devrait refuser un trajet dans le sens inverse', () => {
+      const result = corridorService.evaluerCorridor(itineraire, descente, montee, { rayonMetres: 500 });
+      expect(result).toBeNull();
+    });
+
+    it('devrait refuser une montée hors corridor', () => {
+      const loin = { lat: 5.4000, lng: -4.0600 };
+      const result = corridorService.evaluerCorridor(itineraire, loin, descente, { rayonMetres: 500 });
+      expect(result).toBeNull();
+    });
+
+    it('devrait estimer un détour nul quand le passager est sur l\'itinéraire', () => {
+      const result = corridorService.evaluerCorridor(
+        itineraire,
+        { lat: itineraire[1][0], lng: itineraire[1][1] },
+        { lat: itineraire[3][0], lng: itineraire[3][1] }
+      );
+      expect(result.detourMinutes).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// __tests__/detourService.test.js
+jest.mock('../services/distanceService', () => ({
+  calculateDistance: jest.fn()
+}));
+
+const distanceService = require('../services/distanceService');
+const detourService = require('../services/detourService');
+
+describe('detourService', () => {
+  // Points [lng, lat]
+  const depart = [-4.0800, 5.3450];
+  const arrivee = [-4.0150, 5.3300];
+  const priseEnCharge = [-4.0600, 5.3600];
+  const depose = [-4.0200, 5.3400];
+
+  const trajet = {
+    pointDepart: { coordonnees: { type: 'Point', coordinates: depart } },
+    pointArrivee: { coordonnees: { type: 'Point', coordinates: arrivee } }
+  };
+
+  const segment = (km, minutes, provider = 'googleMaps') => ({
+    distance: km * 1000,
+    duration: minutes * 60,
+    provider
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================
+  // TESTS: estimerDetour
+  // ============================================================
+  describe('estimerDetour', () => {
+    it('devrait calculer les km et minutes ajoutés par rapport au trajet direct', async () => {
+      distanceService.calculateDistance
+        .mockResolvedValueOnce(segment(10, 20))  // départ → arrivée
+        .mockResolvedValueOnce(segment(4, 8))    // départ → prise en charge
+        .mockResolvedValueOnce(segment(6, 12))   // prise en charge → dépose
+        .mockResolvedValueOnce(segment(3, 6));   // dépose → arrivée
+
+      const detour = await detourService.estimerDetour(trajet, priseEnCharge, depose);
+
+      expect(distanceService.calculateDistance).toHaveBeenCalledTimes(4);
+      expect(detour.distanceDirecteKm).toBe(10);
+      expect(detour.distanceAvecPassagerKm).toBe(13);
+      expect(detour.kmAjoutes).toBe(3);
+      expect(detour.minutesAjoutees).toBe(6);
+      expect(detour.provider).toBe('googleMaps');
+    });
+
+    it('devrait ignorer un détour négligeable', async () => {
+      distanceService.calculateDistance
+        .mockResolvedValueOnce(segment(10, 20))
+        .mockResolvedValueOnce(segment(3, 6))
+        .mockResolvedValueOnce(segment(4, 8))
+        .mockResolvedValueOnce(segment(3.2, 7));
+
+      const detour = await detourService.estimerDetour(trajet, priseEnCharge, depose);
+
+      expect(detour.kmAjoutes).toBe(0);
+      expect(detour.minutesAjoutees).toBe(0);
+    });
+
+    it('devrait signaler le fournisseur le moins précis', async () => {
+      distanceService.calculateDistance
+        .mockResolvedValueOnce(segment(10, 20))
+        .mockResolvedValueOnce(segment(4, 8, 'haversine'))
+        .mockResolvedValueOnce(segment(6, 12, 'osrm'))
+        .mockResolvedValueOnce(segment(3, 6));
+
+      const detour = await detourService.estimerDetour(trajet, priseEnCharge, depose);
+      expect(detour.provider).toBe('haversine');
+    });
+
+    it('devrait rejeter des coordonnées absentes', async () => {
+      await expect(detourService.estimerDetour(trajet, [0, 0], depose))
+        .rejects.toThrow('Coordonnées de prise en charge / dépose invalides');
+      expect(distanceService.calculateDistance).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================
+  // TESTS: règles conducteur
+  // ============================================================
+  describe('verifierDetourMax', () => {
+    const detour = { kmAjoutes: 3, minutesAjoutees: 9 };
+
+    it('devrait accepter sans limite définie', () => {
+      expect(detourService.verifierDetourMax(detour, {}).acceptable).toBe(true);
+      expect(detourService.verifierDetourMax(detour, { detourMaxKm: null }).acceptable).toBe(true);
+    });
+
+    it('devrait refuser au-delà du maximum en km', () => {
+      const result = detourService.verifierDetourMax(detour, { detourMaxKm: 2 });
+      expect(result.acceptable).toBe(false);
+      expect(result.raison).toContain('2 km');
+    });
+
+    it('devrait refuser au-delà du maximum en minutes', () => {
+      const result = detourService.verifierDetourMax(detour, { detourMaxKm: 5, detourMaxMinutes: 5 });
+      expect(result.acceptable).toBe(false);
+      expect(result.raison).toContain('5 min');
+    });
+  });
+
+  describe('calculerSupplement', () => {
+    it('devrait appliquer le tarif par défaut arrondi à 50 FCFA', () => {
+      expect(detourService.calculerSupplement(2.3)).toBe(250);
+    });
+
+    it('devrait utiliser le tarif du conducteur', () => {
+      expect(detourService.calculerSupplement(3, { tarifDetourParKm: 150 })).toBe(450);
+    });
+
+    it('devrait retourner 0 sans détour ou avec un tarif nul', () => {
+      expect(detourService.calculerSupplement(0)).toBe(0);
+      expect(detourService.calculerSupplement(4, { tarifDetourParKm: 0 })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// __tests__/grandLivreService.test.js
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const SoldeCompte = require('../models/SoldeCompte');
+const Paiement = require('../models/Paiement');
+const Utilisateur = require('../models/Utilisateur');
+const grandLivreService = require('../services/grandLivreService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+const conducteurId = new mongoose.Types.ObjectId();
+const passagerId = new mongoose.Types.ObjectId();
+
+describe('grandLivreService', () => {
+  const paiementMobile = {
+    _id: new mongoose.Types.ObjectId(),
+    referenceTransaction: 'PAY-1',
+    reservationId: new mongoose.Types.ObjectId(),
+    payeurId: passagerId,
+    beneficiaireId: conducteurId,
+    montantTotal: 5000,
+    fraisTransaction: 100,
+    montantConducteur: 4400,
+    commission: { montant: 500, modePrelevement: 'paiement_mobile', statutPrelevement: 'preleve' },
+    methodePaiement: 'MOBILE_MONEY',
+    statutPaiement: 'COMPLETE'
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('lignesPaiement', () => {
+    it('devrait répartir le net encaissé entre gains du conducteur et commission', () => {
+      const lignes = grandLivreService.lignesPaiement(paiementMobile);
+      const { debit, credit } = EcritureComptable.totaux(lignes);
+
+      expect(debit).toBe(4900);
+      expect(credit).toBe(4900);
+      expect(lignes).toEqual(expect.arrayContaining([
+        { compte: 'COMPENSATION_OPERATEUR', utilisateurId: null, sens: 'DEBIT', montant: 4900 },
+        { compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: 4400 },
+        { compte: 'COMMISSION_PLATEFORME', utilisateurId: null, sens: 'CREDIT', montant: 500 }
+      ]));
+    });
+
+    it('devrait créditer le portefeuille du net et du bonus financé par la plateforme pour une recharge', () => {
+      const lignes = grandLivreService.lignesPaiement({
+        referenceTransaction: 'PAY-2',
+        payeurId: conducteurId,
+        beneficiaireId: { _id: conducteurId },
+        montantTotal: 10000,
+        fraisTransaction: 200,
+        montantConducteur: 9800,
+        bonus: { bonusRecharge: 200 },
+        commission: { montant: 0, modePrelevement: 'paiement_mobile' },
+        methodePaiement: 'MOBILE_MONEY'
+      });
+
+      expect(lignes).toEqual([
+        { compte: 'COMPENSATION_OPERATEUR', utilisateurId: null, sens: 'DEBIT', montant: 9800 },
+        { compte: 'PROMOTIONS', utilisateurId: null, sens: 'DEBIT', montant: 200 },
+        { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: 10000 }
+      ]);
+    });
+  });
+
+  describe('passerEcriture', () => {
+    it('devrait refuser une écriture déséquilibrée sans rien écrire', async () => {
+      const findOne = jest.spyOn(EcritureComptable, 'findOne');
+
+      await expect(grandLivreService.passerEcriture({
+        reference: 'TEST:1',
+        type: 'COMMISSION',
+        lignes: [
+          { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant: 500 },
+          { compte: 'COMMISSION_PLATEFORME', sens: 'CREDIT', montant: 400 }
+        ]
+      })).rejects.toMatchObject({ code: 'LEDGER_UNBALANCED' });
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    const commission = {
+      reference: 'COMMISSION:RESERVATION:R1',
+      type: 'COMMISSION',
+      lignes: [
+        { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant: 500 },
+        { compte: 'COMMISSION_PLATEFORME', sens: 'CREDIT', montant: 500 }
+      ]
+    };
+
+    it('devrait laisser les soldes intacts quand un appel concurrent a déjà inséré la référence', async () => {
+      const deja = { _id: new mongoose.Types.ObjectId(), reference: commission.reference };
+      jest.spyOn(EcritureComptable, 'findOne').mockReturnValueOnce(chaine(null)).mockResolvedValueOnce(deja);
+      jest.spyOn(SoldeCompte, 'exists').mockReturnValue(chaine(true));
+      jest.spyOn(EcritureComptable.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const majSolde = jest.spyOn(SoldeCompte, 'findOneAndUpdate');
+
+      await expect(grandLivreService.passerEcriture(commission))
+        .resolves.toEqual({ ecriture: deja, soldes: [], dejaComptabilisee: true });
+      expect(majSolde).not.toHaveBeenCalled();
+    });
+
+    it('devrait retirer l\'écriture et défaire les soldes appliqués si un débit est refusé hors transaction', async () => {
+      jest.spyOn(EcritureComptable, 'findOne').mockReturnValue(chaine(null));
+      jest.spyOn(SoldeCompte, 'exists').mockReturnValue(chaine(true));
+      const save = jest.spyOn(EcritureComptable.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+      const majSolde = jest.spyOn(SoldeCompte, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ compte: 'COMMISSION_PLATEFORME', solde: 500 })
+        .mockResolvedValueOnce(null);
+      const annuler = jest.spyOn(SoldeCompte, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const retirer = jest.spyOn(EcritureComptable.collection, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await expect(grandLivreService.passerEcriture({ ...commission, lignes: [...commission.lignes].reverse() }))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+      expect(save.mock.invocationCallOrder[0]).toBeLessThan(majSolde.mock.invocationCallOrder[0]);
+      expect(annuler).toHaveBeenCalledWith(
+        { compte: 'COMMISSION_PLATEFORME', utilisateurId: null },
+        { $inc: expect.objectContaining({ solde: -500, totalCredits: -500 }) }
+      );
+      expect(retirer).toHaveBeenCalledWith({ _id: save.mock.contexts[0]._id });
+    });
+  });
+
+  describe('preleverCommission et crediterGains', () => {
+    beforeEach(() => {
+      jest.spyOn(grandLivreService, 'executerEnTransaction').mockImplementation(operation => operation(null));
+      jest.spyOn(Utilisateur, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('devrait dériver la référence de l\'écriture du paiement ou de la réservation', async () => {
+      const reservationId = new mongoose.Types.ObjectId();
+      const paiementId = new mongoose.Types.ObjectId();
+      const passer = jest.spyOn(grandLivreService, 'passerEcriture').mockResolvedValue({ soldes: [], dejaComptabilisee: true });
+
+      await grandLivreService.preleverCommission({ conducteurId, montant: 500, reservationId });
+      await grandLivreService.preleverCommission({ conducteurId, montant: 500, reservationId });
+      await grandLivreService.crediterGains({ conducteurId, montant: 4400, reservationId, paiementId });
+
+      expect(passer.mock.calls.map(([donnees]) => donnees.reference)).toEqual([
+        `COMMISSION:RESERVATION:${reservationId}`,
+        `COMMISSION:RESERVATION:${reservationId}`,
+        `GAIN:PAIEMENT:${paiementId}`
+      ]);
+      expect(Utilisateur.updateOne).not.toHaveBeenCalled();
+
+      await expect(grandLivreService.crediterGains({ conducteurId, montant: 4400 }))
+        .rejects.toMatchObject({ code: 'LEDGER_REFERENCE_REQUIRED' });
+    });
+  });
+
+  describe('executerEnTransaction', () => {
+    it('devrait exécuter sans session quand MongoDB refuse les transactions', async () => {
+      const session = {
+        withTransaction: jest.fn().mockRejectedValue(Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 })),
+        endSession: jest.fn()
+      };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      const operation = jest.fn().mockResolvedValue('fait');
+
+      await expect(grandLivreService.executerEnTransaction(operation)).resolves.toBe('fait');
+      expect(operation).toHaveBeenCalledWith(null);
+      expect(session.endSession).toHaveBeenCalled();
+
+      grandLivreService._transactionsSupportees = null;
+    });
+  });
+
+  describe('verifierRapprochement', () => {
+    it('devrait signaler un paiement sans écriture et une écriture aux montants divergents', async () => {
+      const paiementSansEcriture = { ...paiementMobile, _id: new mongoose.Types.ObjectId(), referenceTransaction: 'PAY-3' };
+      const paiementEnAttente = {
+        ...paiementMobile,
+        _id: new mongoose.Types.ObjectId(),
+        referenceTransaction: 'PAY-4',
+        statutPaiement: 'EN_ATTENTE',
+        commission: { ...paiementMobile.commission, statutPrelevement: 'en_attente' }
+      };
+      jest.spyOn(Paiement, 'find').mockReturnValue(chaine([paiementMobile, paiementSansEcriture, paiementEnAttente]));
+      jest.spyOn(EcritureComptable, 'find').mockReturnValue(chaine([{
+        _id: new mongoose.Types.ObjectId(),
+        reference: 'PAIEMENT:PAY-1',
+        type: 'PAIEMENT_COURSE',
+        paiementId: paiementMobile._id,
+        lignes: [
+          { compte: 'COMPENSATION_OPERATEUR', utilisateurId: null, sens: 'DEBIT', montant: 4900 },
+          { compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: 4900 }
+        ]
+      }]));
+      jest.spyOn(EcritureComptable, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(SoldeCompte, 'find').mockReturnValue(chaine([]));
+
+      const rapport = await grandLivreService.verifierRapprochement();
+
+      expect(rapport.conforme).toBe(false);
+      expect(rapport.paiementsControles).toBe(3);
+      expect(rapport.anomalies.map(a => [a.referenceTransaction, a.code])).toEqual([
+        ['PAY-1', 'MONTANT_DIVERGENT'],
+        ['PAY-3', 'ECRITURE_MANQUANTE']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+// __tests__/helpers/paiementSequestre.js
+const mongoose = require('mongoose');
+const Paiement = require('../../models/Paiement');
+
+const COMMISSION = 500;
+const FRAIS = 100;
+
+/**
+ * Paiement mobile complété dont la part conducteur est bloquée en séquestre
+ * (montant total = part conducteur + commission de 500 + frais de 100 FCFA)
+ * @param {Object} options - { reference, beneficiaireId, montantConducteur, dateDeblocage }
+ */
+const paiementEnSequestre = ({
+  reference = 'PAY-SEQ-1',
+  beneficiaireId = new mongoose.Types.ObjectId(),
+  montantConducteur = 4400,
+  dateDeblocage = null
+} = {}) => {
+  const paiement = new Paiement({
+    referenceTransaction: reference,
+    reservationId: new mongoose.Types.ObjectId(),
+    payeurId: new mongoose.Types.ObjectId(),
+    beneficiaireId,
+    montantTotal: montantConducteur + COMMISSION + FRAIS,
+    fraisTransaction: FRAIS,
+    montantConducteur,
+    commissionPlateforme: COMMISSION,
+    commission: { montant: COMMISSION, modePrelevement: 'paiement_mobile', statutPrelevement: 'preleve' },
+    methodePaiement: 'MOBILE_MONEY',
+    statutPaiement: 'COMPLETE',
+    reglesPaiement: { conducteurCompteRecharge: false }
+  });
+  paiement.bloquerMontantPortefeuille(montantConducteur, 'SEQUESTRE_TRAJET');
+  if (dateDeblocage) {
+    paiement.portefeuilleConducteur.dateDeblocage = dateDeblocage;
+  }
+  return paiement;
+};
+
+module.exports = { paiementEnSequestre };
@@ -0,0 +1,15 @@
+// __tests__/helpers/requeteMongoose.js
+
+/**
+ * Simule une requête Mongoose chaînable (find, findOne, findById...) qui se
+ * résout sur `resultat`, qu'elle soit attendue directement ou après .lean()
+ * @param {*} resultat
+ */
+const chaine = (resultat) => {
+  const requete = {};
+  ['select', 'sort', 'skip', 'limit', 'populate', 'session', 'lean'].forEach((m) => { requete[m] = jest.fn(() => requete); });
+  requete.then = (resoudre, rejeter) => Promise.resolve(resultat).then(resoudre, rejeter);
+  return requete;
+};
+
+module.exports = { chaine };
@@ -0,0 +1,165 @@
+// __tests__/idempotencePaiements.test.js
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const CleIdempotence = require('../models/CleIdempotence');
+const Paiement = require('../models/Paiement');
+const idempotence = require('../middlewares/idempotence');
+
+// Le service Twilio démarre un minuteur au chargement des routes d'authentification
+jest.mock('../services/twilioService', () => ({
+  envoyerCodeVerification: jest.fn()
+}));
+
+jest.mock('../middlewares/authMiddleware', () => ({
+  ...jest.requireActual('../middlewares/authMiddleware'),
+  authMiddleware: (req, res, next) => {
+    req.user = { userId: '64b000000000000000000001', role: 'conducteur' };
+    next();
+  }
+}));
+
+const requete = (cle, body = { reservationId: 'R1', montant: 2000 }) => ({
+  method: 'POST',
+  originalUrl: '/api/paiements/initier',
+  body,
+  user: { userId: new mongoose.Types.ObjectId('64b000000000000000000001') },
+  get: (nom) => (nom === 'Idempotency-Key' ? cle : undefined)
+});
+
+const reponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn((nom, valeur) => { res.headers[nom] = valeur; return res; });
+  res.on = jest.fn();
+  return res;
+};
+
+const erreurDoublon = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('Middleware idempotence', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait traiter normalement une requête sans en-tête Idempotency-Key', async () => {
+    const create = jest.spyOn(CleIdempotence, 'create');
+    const next = jest.fn();
+
+    await idempotence()(requete(undefined), reponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('devrait mémoriser la réponse de la première requête', async () => {
+    jest.spyOn(CleIdempotence, 'create').mockResolvedValue({ _id: 'cle1' });
+    const updateOne = jest.spyOn(CleIdempotence, 'updateOne').mockReturnValue(Promise.resolve());
+    const res = reponse();
+    const next = jest.fn();
+
+    await idempotence()(requete('mobile-retry-0001'), res, next);
+    res.status(201).json({ success: true, data: { paiementId: 'P1' } });
+
+    expect(next).toHaveBeenCalled();
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'cle1' },
+      { $set: { statut: 'TERMINE', reponse: { statutHttp: 201, corps: { success: true, data: { paiementId: 'P1' } } } } }
+    );
+  });
+
+  it('devrait rejouer la réponse d\'origine pour une requête renvoyée', async () => {
+    const req = requete('mobile-retry-0001');
+    jest.spyOn(CleIdempotence, 'create').mockRejectedValue(erreurDoublon());
+    jest.spyOn(CleIdempotence, 'findOne').mockReturnValue({
+      lean: () => Promise.resolve({
+        empreinte: crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex'),
+        statut: 'TERMINE',
+        reponse: { statutHttp: 201, corps: { success: true, data: { paiementId: 'P1' } } }
+      })
+    });
+    const res = reponse();
+    const next = jest.fn();
+
+    await idempotence()(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { paiementId: 'P1' } });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('devrait refuser une clé réutilisée pour un autre corps de requête', async () => {
+    jest.spyOn(CleIdempotence, 'create').mockRejectedValue(erreurDoublon());
+    jest.spyOn(CleIdempotence, 'findOne').mockReturnValue({
+      lean: () => Promise.resolve({ empreinte: 'autre', statut: 'TERMINE' })
+    });
+    const res = reponse();
+
+    await idempotence()(requete('mobile-retry-0001'), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_REUSED' }));
+  });
+});
+
+describe('POST /api/auth/recharge', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/authRoute'));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait rejouer la réponse mémorisée d\'une demande de recharge renvoyée', async () => {
+    const corps = { montant: 5000, methodePaiement: 'wave' };
+    const create = jest.spyOn(CleIdempotence, 'create').mockRejectedValue(erreurDoublon());
+    jest.spyOn(CleIdempotence, 'findOne').mockReturnValue({
+      lean: () => Promise.resolve({
+        empreinte: crypto.createHash('sha256').update(JSON.stringify(corps)).digest('hex'),
+        statut: 'TERMINE',
+        reponse: { statutHttp: 200, corps: { success: true, data: { referenceTransaction: 'RCH-0001' } } }
+      })
+    });
+
+    const res = await request(app)
+      .post('/api/auth/recharge')
+      .set('Idempotency-Key', 'recharge-retry-0001')
+      .send(corps);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, data: { referenceTransaction: 'RCH-0001' } });
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ cle: 'recharge-retry-0001', route: 'POST /api/auth/recharge' }));
+  });
+});
+
+describe('Paiement.changerStatut', () => {
+  it('devrait ignorer un doublon de confirmation avec une trace d\'audit', () => {
+    const paiement = new Paiement({ statutPaiement: 'COMPLETE' });
+
+    const modifie = paiement.changerStatut('COMPLETE', { transactionId: 'TX1' }, 'MOBILE_MONEY');
+
+    expect(modifie).toBe(false);
+    expect(paiement.statutPaiement).toBe('COMPLETE');
+    expect(paiement.logsTransaction[paiement.logsTransaction.length - 1]).toMatchObject({
+      action: 'TRANSITION_IGNOREE',
+      niveau: 'WARNING',
+      details: expect.objectContaining({ raison: 'DOUBLON', transactionId: 'TX1' })
+    });
+  });
+
+  it('devrait refuser qu\'un échec tardif annule un paiement complété', () => {
+    const paiement = new Paiement({ statutPaiement: 'COMPLETE' });
+
+    expect(paiement.changerStatut('ECHEC')).toBe(false);
+    expect(paiement.statutPaiement).toBe('COMPLETE');
+
+    const enAttente = new Paiement({ statutPaiement: 'EN_ATTENTE' });
+    expect(enAttente.changerStatut('COMPLETE')).toBe(true);
+    expect(enAttente.dateCompletion).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,171 @@
+// __tests__/listeAttenteService.test.js
+jest.mock('../models/ListeAttente', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  DUREE_PROPOSITION_MINUTES: 15,
+  STATUTS_ACTIFS: ['EN_ATTENTE', 'PROPOSEE']
+}));
+jest.mock('../models/Reservation', () => ({
+  calculerDisponibiliteSegments: jest.fn(),
+  synchroniserPlacesTrajet: jest.fn(),
+  verifierDisponibilite: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/Trajet', () => ({
+  findById: jest.fn(),
+  obtenirArretsOrdonnes: jest.fn()
+}));
+jest.mock('../services/livraisonNotificationsService', () => ({
+  envoyer: jest.fn().mockResolvedValue({ livraison: { notificationId: 'notif' }, doublon: false })
+}));
+jest.mock('../services/rechercheSauvegardeeService', () => ({
+  signalerTrajetDisponible: jest.fn()
+}));
+
+const ListeAttente = require('../models/ListeAttente');
+const Reservation = require('../models/Reservation');
+const Trajet = require('../models/Trajet');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const rechercheSauvegardeeService = require('../services/rechercheSauvegardeeService');
+const listeAttenteService = require('../services/listeAttenteService');
+
+describe('listeAttenteService', () => {
+  const maintenant = new Date('2030-01-07T06:00:00Z');
+
+  const trajet = {
+    _id: 'trajet1',
+    conducteurId: 'conducteur1',
+    statutTrajet: 'PROGRAMME',
+    prixParPassager: 3000,
+    nombrePlacesTotal: 3,
+    dateDepart: new Date('2030-01-07T08:00:00Z'),
+    heureDepart: '08:00',
+    pointDepart: { nom: 'Adjamé', commune: 'Adjamé' },
+    pointArrivee: { nom: 'Bouaké', commune: 'Bouaké' }
+  };
+
+  const inscription = (id, nombrePlaces, extra = {}) => ({
+    _id: id,
+    trajetId: 'trajet1',
+    passagerId: `p_${id}`,
+    nombrePlaces,
+    indexMontee: 0,
+    indexDescente: 1,
+    ...extra
+  });
+
+  const mockFile = (inscriptions) => {
+    ListeAttente.find.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(inscriptions) })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Trajet.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(trajet) });
+    ListeAttente.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('proposerPlacesLiberees', () => {
+    it('devrait proposer la place au premier inscrit avec un délai limité', async () => {
+      mockFile([inscription('i1', 1), inscription('i2', 1)]);
+      // 3 places, 2 occupées : une seule place libre
+      Reservation.calculerDisponibiliteSegments.mockResolvedValue({ occupation: [2], placesTotal: 3 });
+      const io = { to: jest.fn().mockReturnValue({ emit: jest.fn() }) };
+
+      const resultat = await listeAttenteService.proposerPlacesLiberees('trajet1', { io, maintenant });
+
+      expect(resultat).toEqual({ proposees: 1 });
+      expect(ListeAttente.updateOne).toHaveBeenCalledTimes(1);
+      expect(ListeAttente.updateOne).toHaveBeenCalledWith(
+        { _id: 'i1', statut: 'EN_ATTENTE' },
+        { $set: expect.objectContaining({
+          statut: 'PROPOSEE',
+          'offre.dateExpiration': new Date('2030-01-07T06:15:00Z')
+        }) }
+      );
+      expect(io.to).toHaveBeenCalledWith('user_p_i1');
+      expect(livraisonNotificationsService.envoyer).toHaveBeenCalledWith('p_i1', expect.objectContaining({
+        evenement: 'LISTE_ATTENTE_PLACE_PROPOSEE',
+        priorite: 'HAUTE',
+        donnees: expect.objectContaining({ inscriptionId: 'i1', trajetId: 'trajet1' })
+      }));
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalledWith('trajet1');
+    });
+
+    it('devrait servir l\'inscription suivante si la première ne tient pas dans les places libres', async () => {
+      mockFile([inscription('i1', 2), inscription('i2', 1)]);
+      Reservation.calculerDisponibiliteSegments.mockResolvedValue({ occupation: [2], placesTotal: 3 });
+
+      const resultat = await listeAttenteService.proposerPlacesLiberees('trajet1', { maintenant });
+
+      expect(resultat.proposees).toBe(1);
+      expect(ListeAttente.updateOne.mock.calls[0][0]._id).toBe('i2');
+    });
+
+    it('devrait fermer la file d\'un trajet qui n\'est plus programmé', async () => {
+      Trajet.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...trajet, statutTrajet: 'ANNULE' })
+      });
+
+      const resultat = await listeAttenteService.proposerPlacesLiberees('trajet1', { maintenant });
+
+      expect(resultat.proposees).toBe(0);
+      expect(ListeAttente.updateMany).toHaveBeenCalledWith(
+        { trajetId: 'trajet1', statut: { $in: ['EN_ATTENTE', 'PROPOSEE'] } },
+        { $set: { statut: 'EXPIREE', dateSortie: maintenant } }
+      );
+    });
+  });
+
+  describe('signalerPlacesLiberees', () => {
+    it('devrait alerter les recherches sauvegardées après la liste d\'attente', async () => {
+      mockFile([]);
+
+      await listeAttenteService.signalerPlacesLiberees('trajet1', { maintenant });
+
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalled();
+      expect(rechercheSauvegardeeService.signalerTrajetDisponible).toHaveBeenCalledWith(
+        'trajet1', { motif: 'PLACES_LIBEREES', io: null }
+      );
+    });
+  });
+
+  describe('accepterProposition', () => {
+    it('devrait refuser une proposition expirée', async () => {
+      ListeAttente.findOne.mockResolvedValue(inscription('i1', 1, {
+        statut: 'PROPOSEE',
+        offre: { dateExpiration: new Date('2030-01-07T05:59:00Z') }
+      }));
+
+      await expect(listeAttenteService.accepterProposition('p_i1', 'i1', { maintenant }))
+        .rejects.toMatchObject({ code: 'OFFER_EXPIRED', status: 410 });
+      expect(Reservation.create).not.toHaveBeenCalled();
+    });
+
+    it('devrait créer la réservation en ignorant ses propres places retenues', async () => {
+      ListeAttente.findOne.mockResolvedValue(inscription('i1', 2, {
+        statut: 'PROPOSEE',
+        offre: { dateExpiration: new Date('2030-01-07T06:10:00Z') },
+        pointPriseEnCharge: { nom: 'Gare' },
+        pointDepose: { nom: 'Centre' }
+      }));
+      Reservation.verifierDisponibilite.mockResolvedValue({ disponible: true });
+      Trajet.obtenirArretsOrdonnes.mockReturnValue([
+        { distanceDepuisDepartKm: 0 }, { distanceDepuisDepartKm: 350 }
+      ]);
+      Reservation.create.mockImplementation(async (doc) => ({ _id: 'resa1', ...doc }));
+
+      const { reservation, inscription: acceptee } = await listeAttenteService.accepterProposition('p_i1', 'i1', { maintenant });
+
+      expect(Reservation.verifierDisponibilite).toHaveBeenCalledWith(
+        'trajet1', 2, 0, 1, { exclureListeAttenteId: 'i1' }
+      );
+      expect(reservation).toMatchObject({ nombrePlacesReservees: 2, montantTotal: 6000, statutReservation: 'EN_ATTENTE' });
+      expect(acceptee.statut).toBe('ACCEPTEE');
+      expect(acceptee.reservationId).toBe('resa1');
+    });
+  });
+});
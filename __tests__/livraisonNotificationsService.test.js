@@ -0,0 +1,153 @@
+// __tests__/livraisonNotificationsService.test.js
+jest.mock('../services/smsService', () => ({ sendSMS: jest.fn() }));
+
+const mongoose = require('mongoose');
+const LivraisonNotification = require('../models/LivraisonNotification');
+const Utilisateur = require('../models/Utilisateur');
+const firebaseService = require('../services/firebaseService');
+const greenApiService = require('../services/greenApiService');
+const centreNotificationsService = require('../services/centreNotificationsService');
+const { sendSMS } = require('../services/smsService');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+
+describe('livraisonNotificationsService', () => {
+  const utilisateurId = new mongoose.Types.ObjectId();
+  const notificationId = new mongoose.Types.ObjectId();
+  // 10 h à Abidjan (UTC+0)
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  let utilisateur;
+  let creer;
+  let archiver;
+  let push;
+
+  const annulationTrajet = (priorite = 'HAUTE') => ({
+    modele: 'TRAJET_ANNULE',
+    variables: { depart: 'Yopougon', arrivee: 'Plateau' },
+    donnees: { type: 'TRAJET_EXPIRE', trajetId: 't1', reservationId: 'r1', screen: 'TripHistory' },
+    categorie: 'trajets',
+    priorite
+  });
+
+  beforeEach(() => {
+    utilisateur = {
+      _id: utilisateurId,
+      telephone: '+2250701020304',
+      preferencesNotifications: { activees: true, trajets: true, langue: 'fr' }
+    };
+    jest.spyOn(Utilisateur, 'findById').mockImplementation(() => ({ select: jest.fn().mockResolvedValue(utilisateur) }));
+    jest.spyOn(LivraisonNotification, 'findOne').mockResolvedValue(null);
+    creer = jest.spyOn(LivraisonNotification, 'create').mockImplementation(async (doc) => new LivraisonNotification(doc));
+    jest.spyOn(LivraisonNotification.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    archiver = jest.spyOn(centreNotificationsService, 'enregistrer').mockResolvedValue({ _id: notificationId });
+    push = jest.spyOn(firebaseService, 'sendToUser').mockResolvedValue({ success: true, successCount: 1 });
+    jest.spyOn(greenApiService, 'estConfigure').mockReturnValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sendSMS.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait attendre l\'accusé du push puis se replier sur WhatsApp et SMS à l\'échéance', async () => {
+    const { livraison, doublon } = await livraisonNotificationsService.envoyer(utilisateurId, annulationTrajet(), { maintenant });
+
+    expect(doublon).toBe(false);
+    expect(archiver).toHaveBeenCalledWith(expect.objectContaining({ canal: 'trajets', titre: '⏰ Trajet annulé' }));
+    expect(push.mock.calls[0][1]).toMatchObject({ notificationId, title: '⏰ Trajet annulé', type: 'trajets' });
+    expect(livraison.statut).toBe('EN_ATTENTE_ACQUITTEMENT');
+    expect(livraison.echeanceAcquittement).toEqual(new Date('2026-10-19T10:05:00Z'));
+
+    jest.spyOn(LivraisonNotification, 'findOneAndUpdate').mockResolvedValueOnce(livraison).mockResolvedValueOnce(null);
+    jest.spyOn(greenApiService, 'envoyerMessage').mockResolvedValue({ success: false, error: 'Instance hors ligne' });
+    sendSMS.mockResolvedValue({ provider: 'TWILIO', messageId: 'SM1' });
+
+    const apres = new Date('2026-10-19T10:06:00Z');
+    await expect(livraisonNotificationsService.traiterEcheances({ maintenant: apres })).resolves.toEqual({ traitees: 1 });
+
+    expect(livraison.tentatives.map(t => [t.canal, t.statut])).toEqual([
+      ['push', 'EXPIREE'],
+      ['whatsapp', 'ECHOUEE'],
+      ['sms', 'ENVOYEE']
+    ]);
+    expect(sendSMS).toHaveBeenCalledWith({ to: utilisateur.telephone, message: expect.stringContaining('Yopougon → Plateau') });
+    expect(livraison).toMatchObject({ statut: 'LIVREE', livreeLe: apres, coutTotal: 25 });
+  });
+
+  it('devrait arrêter la cascade quand l\'application accuse réception du push', async () => {
+    const miseAJour = jest.spyOn(LivraisonNotification, 'findOneAndUpdate').mockResolvedValueOnce({ _id: 'l1' }).mockResolvedValueOnce(null);
+
+    await expect(livraisonNotificationsService.accuser(notificationId, utilisateurId, { maintenant }))
+      .resolves.toEqual({ acquittee: true });
+    await expect(livraisonNotificationsService.accuser(notificationId, utilisateurId, { maintenant }))
+      .resolves.toEqual({ acquittee: false });
+
+    const [filtre, update, options] = miseAJour.mock.calls[0];
+    expect(filtre).toEqual({ notificationId, utilisateurId, statut: 'EN_ATTENTE_ACQUITTEMENT' });
+    expect(update.$set).toMatchObject({ statut: 'ACQUITTEE', livreeLe: maintenant, 'tentatives.$[push].statut': 'ACQUITTEE' });
+    expect(options.arrayFilters).toEqual([{ 'push.canal': 'push', 'push.statut': 'ENVOYEE' }]);
+  });
+
+  it('devrait reporter à la fin des heures silencieuses, sauf pour une urgence', async () => {
+    utilisateur.preferencesNotifications.heuresSilencieuses = { activees: true, debut: '22:00', fin: '07:00' };
+    const nuit = new Date('2026-10-19T23:30:00Z');
+
+    const { livraison } = await livraisonNotificationsService.envoyer(utilisateurId, annulationTrajet(), { maintenant: nuit });
+
+    expect(livraison).toMatchObject({ statut: 'PLANIFIEE', planifieePour: new Date('2026-10-20T07:00:00Z') });
+    expect(archiver).toHaveBeenCalledTimes(1);
+    expect(push).not.toHaveBeenCalled();
+
+    const urgence = await livraisonNotificationsService.envoyer(utilisateurId, {
+      evenement: 'EMERGENCY_ALERT_STATUS',
+      titre: '🔔 Mise à jour de votre alerte',
+      message: 'Alerte URG-1: active → en_cours',
+      categorie: 'emergency',
+      priorite: 'URGENTE'
+    }, { maintenant: nuit });
+
+    expect(push).toHaveBeenCalledTimes(1);
+    expect(urgence.livraison).toMatchObject({
+      statut: 'EN_ATTENTE_ACQUITTEMENT',
+      echeanceAcquittement: new Date('2026-10-19T23:31:00Z')
+    });
+  });
+
+  it('devrait respecter les préférences par catégorie et fusionner les rafales', async () => {
+    utilisateur.preferencesNotifications.trajets = false;
+
+    const { livraison } = await livraisonNotificationsService.envoyer(utilisateurId, annulationTrajet(), { maintenant });
+
+    expect(livraison).toMatchObject({ statut: 'IGNOREE', motif: 'preferences' });
+    expect(livraison.cleDoublon).toBe(`${utilisateurId}:TRAJET_ANNULE:reservationId=r1:trajetId=t1`);
+    expect(archiver).not.toHaveBeenCalled();
+    expect(push).not.toHaveBeenCalled();
+
+    LivraisonNotification.findOne.mockResolvedValue(livraison);
+    creer.mockClear();
+    const rafale = await livraisonNotificationsService.envoyer(utilisateurId, annulationTrajet(), { maintenant });
+
+    expect(rafale).toEqual({ livraison, doublon: true });
+    expect(creer).not.toHaveBeenCalled();
+    expect(LivraisonNotification.findOne.mock.calls[1][0].createdAt.$gte).toEqual(new Date('2026-10-19T09:58:00Z'));
+  });
+
+  it('devrait passer directement au canal suivant quand le push échoue', async () => {
+    push.mockResolvedValue({ success: false, error: 'Aucun token FCM disponible' });
+    const whatsapp = jest.spyOn(greenApiService, 'envoyerMessage').mockResolvedValue({ success: true, idMessage: 'WA1' });
+
+    const { livraison } = await livraisonNotificationsService.envoyer(utilisateurId, annulationTrajet('NORMALE'), { maintenant });
+
+    expect(whatsapp).toHaveBeenCalledWith(utilisateur.telephone, expect.stringContaining('Yopougon → Plateau'));
+    expect(sendSMS).not.toHaveBeenCalled();
+    expect(livraison.tentatives.map(t => [t.canal, t.statut, t.cout])).toEqual([
+      ['push', 'ECHOUEE', 0],
+      ['whatsapp', 'ENVOYEE', 5]
+    ]);
+    expect(livraison).toMatchObject({ statut: 'LIVREE', coutTotal: 5 });
+
+    const basse = await livraisonNotificationsService.envoyer(utilisateurId, annulationTrajet('BASSE'), { maintenant });
+    expect(basse.livraison).toMatchObject({ statut: 'ECHOUEE', motif: 'canaux_epuises' });
+    expect(whatsapp).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,188 @@
+// __tests__/messageService.test.js
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Message } = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const presenceService = require('../services/presenceService');
+const notificationService = require('../services/notificationService');
+const messageService = require('../services/messageService');
+
+describe('messageService', () => {
+  const conducteurId = new mongoose.Types.ObjectId();
+  const passagerId = new mongoose.Types.ObjectId();
+  const conversationId = new mongoose.Types.ObjectId();
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  let emis;
+  let majConversation;
+  let notifier;
+
+  beforeEach(() => {
+    emis = [];
+    messageService.utiliserSocket({
+      to: (salle) => ({ emit: (evenement, donnees) => emis.push({ salle, evenement, donnees }) })
+    });
+    jest.spyOn(Conversation, 'findById').mockResolvedValue({ _id: conversationId, participants: [conducteurId, passagerId] });
+    majConversation = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Message.prototype, 'populate').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(presenceService, 'isOnline').mockReturnValue(false);
+    notifier = jest.spyOn(notificationService, 'sendMessageNotification').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    messageService.utiliserSocket(null);
+    jest.restoreAllMocks();
+  });
+
+  // Le minuteur de nettoyage de presenceService empêcherait Jest de se terminer
+  afterAll(() => {
+    presenceService.stopCleanupTimer();
+  });
+
+  it('devrait envoyer une photo avec miniature, accusés en attente et compteur du destinataire', async () => {
+    jest.spyOn(fs.promises, 'stat').mockResolvedValue({ size: 48213 });
+    const existe = jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+
+    const message = await messageService.envoyerMessage({
+      conversationId,
+      expediteurId: conducteurId.toString(),
+      contenu: 'Je suis devant la pharmacie',
+      typeMessage: 'IMAGE',
+      pieceJointe: { url: `/uploads/messages/${conducteurId}_lieu-123.jpg`, mimeType: 'text/html', taille: 1 }
+    });
+
+    expect(existe).toHaveBeenCalledWith(path.join(process.cwd(), 'uploads', 'messages', `${conducteurId}_lieu-123_thumb.webp`));
+    expect(message.pieceJointe.toObject()).toMatchObject({
+      type: 'IMAGE',
+      url: `/uploads/messages/${conducteurId}_lieu-123.jpg`,
+      miniatureUrl: `/uploads/messages/${conducteurId}_lieu-123_thumb.webp`,
+      mimeType: 'image/jpeg',
+      taille: 48213
+    });
+    expect(message.destinataireId).toEqual(passagerId);
+    expect(message.accuses.map(a => [a.utilisateurId.toString(), a.recuLe, a.luLe])).toEqual([[passagerId.toString(), null, null]]);
+
+    const [, update] = majConversation.mock.calls[0];
+    expect(update.$inc).toEqual({ 'statistiques.nombreTotalMessages': 1, [`nombreMessagesNonLus.${passagerId}`]: 1 });
+    expect(update.$set['statistiques.dernierMessageContenu']).toBe('📷 Photo · Je suis devant la pharmacie');
+
+    expect(emis).toEqual([expect.objectContaining({ salle: `conversation_${conversationId}`, evenement: 'new_message' })]);
+    expect(notifier).toHaveBeenCalledWith(passagerId.toString(), 'un participant', '📷 Photo · Je suis devant la pharmacie', {
+      conversationId: conversationId.toString(),
+      messageId: message._id.toString()
+    });
+  });
+
+  it('devrait refuser une note vocale hors du dossier de dépôt, d\'un autre auteur, d\'un mauvais format ou trop longue', async () => {
+    const stat = jest.spyOn(fs.promises, 'stat').mockResolvedValue({ size: 1024 });
+    const note = (pieceJointe) => messageService.envoyerMessage({
+      conversationId,
+      expediteurId: passagerId.toString(),
+      typeMessage: 'AUDIO',
+      pieceJointe
+    });
+
+    await expect(note({ url: 'https://exemple.com/note.m4a', dureeSecondes: 5 })).rejects.toMatchObject({ code: 'INVALID_ATTACHMENT', status: 400 });
+    await expect(note({ url: '/uploads/messages/../documents/cni.m4a', dureeSecondes: 5 })).rejects.toMatchObject({ code: 'INVALID_ATTACHMENT' });
+    // Fichier déposé par l'autre participant
+    await expect(note({ url: `/uploads/messages/${conducteurId}_note.m4a`, dureeSecondes: 5 })).rejects.toMatchObject({ code: 'ATTACHMENT_NOT_OWNED', status: 403 });
+    await expect(note({ url: '/uploads/messages/note.m4a', dureeSecondes: 5 })).rejects.toMatchObject({ code: 'ATTACHMENT_NOT_OWNED' });
+    await expect(note({ url: `/uploads/messages/${passagerId}_photo.png`, dureeSecondes: 5 })).rejects.toMatchObject({ code: 'ATTACHMENT_TYPE_MISMATCH' });
+    await expect(note({ url: `/uploads/messages/${passagerId}_note.m4a`, dureeSecondes: 300 })).rejects.toMatchObject({ code: 'AUDIO_TOO_LONG' });
+    expect(Message.prototype.save).not.toHaveBeenCalled();
+
+    stat.mockRejectedValueOnce(Object.assign(new Error('absent'), { code: 'ENOENT' }));
+    await expect(note({ url: `/uploads/messages/${passagerId}_note.m4a`, dureeSecondes: 5 })).rejects.toMatchObject({ code: 'ATTACHMENT_NOT_FOUND', status: 404 });
+
+    const message = await note({ url: `/uploads/messages/${passagerId}_note.m4a`, dureeSecondes: 12.6 });
+    expect(message.pieceJointe.toObject()).toMatchObject({ type: 'AUDIO', mimeType: 'audio/mp4', taille: 1024, dureeSecondes: 13 });
+    expect(majConversation.mock.calls[0][1].$set['statistiques.dernierMessageContenu']).toBe('🎤 Note vocale');
+  });
+
+  it('devrait poser les accusés de réception puis de lecture par participant', async () => {
+    const recherche = jest.spyOn(Message, 'find')
+      .mockReturnValueOnce({ select: () => ({ lean: jest.fn().mockResolvedValue([{ _id: 'm1' }, { _id: 'm2' }]) }) })
+      .mockReturnValueOnce({ select: () => ({ lean: jest.fn().mockResolvedValue([{ _id: 'm1' }]) }) });
+    const maj = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(1);
+
+    await expect(messageService.marquerRecus(conversationId, passagerId.toString(), { maintenant }))
+      .resolves.toEqual({ messageIds: ['m1', 'm2'], recuLe: maintenant });
+
+    expect(recherche.mock.calls[0][0].accuses).toEqual({ $elemMatch: { utilisateurId: passagerId.toString(), recuLe: null } });
+    const [filtre, update, options] = maj.mock.calls[0];
+    expect(filtre).toEqual({ _id: { $in: ['m1', 'm2'] } });
+    expect(update).toEqual({ $set: { 'accuses.$[accuse].recuLe': maintenant } });
+    expect(options.arrayFilters).toEqual([{ 'accuse.utilisateurId': passagerId, 'accuse.recuLe': null }]);
+
+    const lecture = await messageService.marquerLus(conversationId, passagerId.toString(), { messageIds: ['m1'], maintenant });
+
+    expect(lecture).toEqual({ messageIds: ['m1'], luLe: maintenant, nombreNonLus: 1 });
+    expect(maj.mock.calls.slice(1).map(([, u]) => u)).toEqual([
+      { $set: { 'accuses.$[accuse].recuLe': maintenant } },
+      { $set: { 'accuses.$[accuse].luLe': maintenant } },
+      { $set: { lu: true, dateLecture: maintenant } }
+    ]);
+    expect(majConversation).toHaveBeenCalledWith({ _id: conversationId }, { $set: { [`nombreMessagesNonLus.${passagerId}`]: 1 } });
+    expect(emis.map(e => [e.evenement, e.donnees.type, e.donnees.messageIds])).toEqual([
+      ['message:receipt', 'recu', ['m1', 'm2']],
+      ['message:receipt', 'lu', ['m1']]
+    ]);
+  });
+
+  it('devrait modifier un message de son auteur seulement pendant le délai d\'édition', async () => {
+    const message = new Message({
+      conversationId,
+      expediteurId: conducteurId,
+      destinataireId: passagerId,
+      contenu: 'Rdv à 7h',
+      typeMessage: 'TEXTE',
+      dateEnvoi: new Date('2026-10-19T09:50:00Z')
+    });
+    jest.spyOn(Message, 'findById').mockResolvedValue(message);
+
+    await expect(messageService.modifierMessage(message._id, passagerId.toString(), 'Rdv à 8h', { maintenant }))
+      .rejects.toMatchObject({ code: 'MESSAGE_NOT_OWNER', status: 403 });
+
+    const modifie = await messageService.modifierMessage(message._id, conducteurId.toString(), ' Rdv à 7h30 ', { maintenant });
+    expect(modifie).toMatchObject({ contenu: 'Rdv à 7h30', modifieLe: maintenant });
+    expect(emis[0]).toMatchObject({ evenement: 'message:updated', donnees: { messageId: message._id, contenu: 'Rdv à 7h30' } });
+
+    await expect(messageService.modifierMessage(message._id, conducteurId.toString(), 'Rdv à 8h', {
+      maintenant: new Date('2026-10-19T10:06:00Z')
+    })).rejects.toMatchObject({ code: 'EDIT_WINDOW_EXPIRED', status: 400 });
+  });
+
+  it('devrait effacer le contenu et les fichiers d\'un message supprimé dans le délai', async () => {
+    const message = new Message({
+      conversationId,
+      expediteurId: conducteurId,
+      destinataireId: passagerId,
+      contenu: 'Ma position',
+      typeMessage: 'IMAGE',
+      pieceJointe: { type: 'IMAGE', url: '/uploads/messages/lieu-9.png', miniatureUrl: '/uploads/messages/lieu-9_thumb.webp' },
+      dateEnvoi: new Date('2026-10-18T12:00:00Z')
+    });
+    jest.spyOn(Message, 'findById').mockResolvedValue(message);
+    const effacer = jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+
+    await expect(messageService.supprimerMessage(message._id, conducteurId.toString(), { maintenant }))
+      .resolves.toEqual({ message: 'Message supprimé avec succès', messageId: message._id });
+
+    expect(message).toMatchObject({ supprime: true, supprimeLe: maintenant });
+    expect(message.contenu).toBeUndefined();
+    expect(message.pieceJointe?.url).toBeUndefined();
+    expect(effacer.mock.calls.map(([fichier]) => path.basename(fichier))).toEqual(['lieu-9.png', 'lieu-9_thumb.webp']);
+    expect(emis[0]).toMatchObject({ salle: `conversation_${conversationId}`, evenement: 'message:deleted' });
+
+    // Déjà supprimé : introuvable
+    await expect(messageService.supprimerMessage(message._id, conducteurId.toString(), { maintenant }))
+      .rejects.toMatchObject({ code: 'MESSAGE_NOT_FOUND', status: 404 });
+
+    message.supprime = false;
+    await expect(messageService.supprimerMessage(message._id, conducteurId.toString(), {
+      maintenant: new Date('2026-10-19T12:00:01Z')
+    })).rejects.toMatchObject({ code: 'DELETE_WINDOW_EXPIRED' });
+  });
+});
@@ -0,0 +1,147 @@
+// __tests__/modeleTrajetService.test.js
+jest.mock('../models/ModeleTrajet', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  MAX_MODELES_PAR_CONDUCTEUR: 20
+}));
+jest.mock('../models/Trajet', () => {
+  const Trajet = jest.fn(function (donnees) {
+    Object.assign(this, donnees, { _id: 'nouveau' });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Trajet.findById = jest.fn();
+  return Trajet;
+});
+jest.mock('../models/Vehicule', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../services/tarificationService', () => ({
+  verifierPlafond: jest.fn()
+}));
+
+const Trajet = require('../models/Trajet');
+const Vehicule = require('../models/Vehicule');
+const ModeleTrajet = require('../models/ModeleTrajet');
+const modeleTrajetService = require('../services/modeleTrajetService');
+const tarificationService = require('../services/tarificationService');
+
+describe('modeleTrajetService', () => {
+  const maintenant = new Date('2030-01-07T06:00:00Z');
+
+  const trajetSource = {
+    _id: 'ancien',
+    conducteurId: 'conducteur1',
+    typeTrajet: 'RECURRENT',
+    statutTrajet: 'TERMINE',
+    dateDepart: new Date('2029-12-01T07:00:00Z'),
+    heureDepart: '07:00',
+    pointDepart: { nom: 'Cocody', adresse: 'Angré', coordonnees: { type: 'Point', coordinates: [-3.99, 5.40] } },
+    pointArrivee: { nom: 'Plateau', adresse: 'Cité administrative', coordonnees: { type: 'Point', coordinates: [-4.02, 5.32] } },
+    vehiculeUtilise: { marque: 'Toyota', modele: 'Corolla', couleur: 'Gris', immatriculation: 'AB-123-CD', nombrePlaces: 4 },
+    preferences: { musique: false },
+    prixParPassager: 1000,
+    nombrePlacesTotal: 3,
+    nombrePlacesDisponibles: 0,
+    distance: 12.4,
+    itineraire: { polyline: 'abc' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Trajet.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(trajetSource) });
+    Vehicule.findOne.mockResolvedValue(null);
+  });
+
+  describe('preparerPublication', () => {
+    it('devrait refuser une date de départ passée', async () => {
+      await expect(modeleTrajetService.preparerPublication('conducteur1', {
+        ...trajetSource,
+        dateDepart: '2030-01-07',
+        heureDepart: '05:30'
+      }, { maintenant })).rejects.toMatchObject({ code: 'DEPARTURE_IN_PAST', status: 400 });
+    });
+
+    it('devrait refuser un véhicule dont l\'assurance expire avant le départ', async () => {
+      Vehicule.findOne.mockResolvedValue({
+        statut: 'DISPONIBLE',
+        assurance: { dateExpiration: new Date('2030-01-08T00:00:00Z') },
+        visiteTechnique: { dateExpiration: new Date('2030-06-01T00:00:00Z') }
+      });
+
+      await expect(modeleTrajetService.preparerPublication('conducteur1', {
+        ...trajetSource,
+        dateDepart: '2030-01-10',
+        heureDepart: '07:00'
+      }, { maintenant })).rejects.toMatchObject({ code: 'INSURANCE_EXPIRED' });
+      expect(Vehicule.findOne).toHaveBeenCalledWith({ proprietaireId: 'conducteur1', immatriculation: 'AB-123-CD' });
+    });
+  });
+
+  describe('verifierPrix', () => {
+    it('devrait refuser un prix hors bornes avant le plafond par km', () => {
+      expect(() => modeleTrajetService.verifierPrix({ ...trajetSource, prixParPassager: 150000 }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_PRICE', status: 400 }));
+      expect(tarificationService.verifierPlafond).not.toHaveBeenCalled();
+    });
+
+    it('devrait vérifier le plafond avec la distance connue', () => {
+      modeleTrajetService.verifierPrix({ ...trajetSource, prixParPassager: '1000' });
+
+      expect(tarificationService.verifierPlafond).toHaveBeenCalledWith(1000, expect.objectContaining({ distance: 12.4 }));
+    });
+  });
+
+  describe('clonerTrajet', () => {
+    it('devrait créer un trajet ponctuel à la nouvelle date sans recopier les calculs', async () => {
+      const trajet = await modeleTrajetService.clonerTrajet('conducteur1', 'ancien', {
+        dateDepart: '2030-01-09',
+        heureDepart: '07:30',
+        prixParPassager: 1200,
+        maintenant
+      });
+
+      expect(trajet.save).toHaveBeenCalled();
+      expect(trajet).toMatchObject({
+        conducteurId: 'conducteur1',
+        typeTrajet: 'PONCTUEL',
+        heureDepart: '07:30',
+        prixParPassager: 1200,
+        nombrePlacesTotal: 3,
+        nombrePlacesDisponibles: 3,
+        distance: 0.1
+      });
+      expect(trajet.dateDepart.toISOString()).toBe('2030-01-09T07:30:00.000Z');
+      expect(trajet.itineraire).toBeUndefined();
+      expect(trajet.statutTrajet).toBeUndefined();
+      expect(trajet.pointDepart).not.toBe(trajetSource.pointDepart);
+    });
+
+    it('devrait refuser de dupliquer le trajet d\'un autre conducteur', async () => {
+      await expect(modeleTrajetService.clonerTrajet('intrus', 'ancien', { dateDepart: '2030-01-09', maintenant }))
+        .rejects.toMatchObject({ status: 403 });
+      expect(Trajet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publierModele', () => {
+    it('devrait utiliser l\'heure du modèle et compter l\'utilisation', async () => {
+      const modele = {
+        _id: 'modele1',
+        heureDepart: '06:45',
+        toObject: () => ({ ...trajetSource, nom: 'Bureau' })
+      };
+      ModeleTrajet.findOne.mockResolvedValue(modele);
+
+      const trajet = await modeleTrajetService.publierModele('conducteur1', 'modele1', {
+        dateDepart: '2030-01-08',
+        maintenant
+      });
+
+      expect(trajet.dateDepart.toISOString()).toBe('2030-01-08T06:45:00.000Z');
+      expect(ModeleTrajet.updateOne).toHaveBeenCalledWith(
+        { _id: 'modele1' },
+        { $inc: { nombreUtilisations: 1 }, $set: { derniereUtilisation: maintenant } }
+      );
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// __tests__/modelesNotificationService.test.js
+const mongoose = require('mongoose');
+const ModeleNotification = require('../models/ModeleNotification');
+const Utilisateur = require('../models/Utilisateur');
+const modelesNotificationService = require('../services/modelesNotificationService');
+const centreNotificationsService = require('../services/centreNotificationsService');
+const firebaseService = require('../services/firebaseService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('modelesNotificationService', () => {
+  let surcharges;
+
+  beforeEach(() => {
+    surcharges = [];
+    modelesNotificationService.surcharges = null;
+    modelesNotificationService.chargeesLe = 0;
+    jest.spyOn(modelesNotificationService, '_baseConnectee').mockReturnValue(true);
+    jest.spyOn(ModeleNotification, 'find').mockImplementation(() => chaine(surcharges));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait interpoler les variables et accorder le pluriel selon la langue', () => {
+    const texte = '{{passager}} réserve {{nombrePlaces:# place|# places}}{{inconnue}}';
+
+    expect(modelesNotificationService.interpoler(texte, { passager: 'Awa', nombrePlaces: 0 }, 'fr'))
+      .toBe('Awa réserve 0 place');
+    expect(modelesNotificationService.interpoler(texte, { passager: 'Awa', nombrePlaces: 3 }, 'fr'))
+      .toBe('Awa réserve 3 places');
+    expect(modelesNotificationService.interpoler('{{n:# seat|# seats}}', { n: 0 }, 'en')).toBe('0 seats');
+    expect(modelesNotificationService.interpoler('{{n:# seat|# seats}}', { n: 1 }, 'en')).toBe('1 seat');
+
+    expect(modelesNotificationService.langueDe({ preferencesNotifications: { langue: 'dioula' } })).toBe('dioula');
+    expect(modelesNotificationService.langueDe({ preferences: { languePreferee: 'ANG' } })).toBe('en');
+    expect(modelesNotificationService.langueDe(null)).toBe('fr');
+  });
+
+  it('devrait rendre le champ propre au canal et reprendre le français pour une langue non traduite', async () => {
+    const variables = { depart: 'Yopougon', arrivee: 'Plateau', montant: 1500, echeance: '20/10', lien: 'https://w.co/p/1' };
+
+    const sms = await modelesNotificationService.rendre('PARTAGE_INVITATION', variables, { langue: 'baoule', canal: 'sms' });
+    expect(sms.langue).toBe('fr');
+    expect(sms.corps).toBe('WAYZ-ECO : votre part du trajet Yopougon → Plateau est de 1500 FCFA. Payez avant le 20/10 : https://w.co/p/1');
+
+    // Pas de variante email en dioula : titre et corps de la même langue
+    const email = await modelesNotificationService.rendre('RESERVATION_CONFIRMEE', { destination: 'Cocody' }, { langue: 'dioula', canal: 'email' });
+    expect(email).toEqual({ titre: '✅ I ka réservation sɔnna', corps: 'I ka taama Cocody fɛ sɔnna', langue: 'dioula' });
+
+    await expect(modelesNotificationService.rendre('EVENEMENT_INCONNU')).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND', status: 404 });
+  });
+
+  it('devrait appliquer immédiatement le texte modifié par un administrateur', async () => {
+    const adminId = new mongoose.Types.ObjectId();
+    const avant = await modelesNotificationService.rendre('TRAJET_TERMINE', { depart: 'Abobo', arrivee: 'Marcory' }, { langue: 'en' });
+    expect(avant.titre).toBe('🏁 Ride completed!');
+
+    const enregistrer = jest.spyOn(ModeleNotification, 'findOneAndUpdate').mockImplementation(async (filtre, update) => {
+      const document = { ...filtre, ...update.$set };
+      surcharges.push(document);
+      return document;
+    });
+
+    await modelesNotificationService.modifier('TRAJET_TERMINE', 'en', {
+      titre: '🏁 Trip finished',
+      corps: 'Thanks for driving {{depart}} → {{arrivee}}',
+      sms: '   '
+    }, adminId);
+
+    const [filtre, update] = enregistrer.mock.calls[0];
+    expect(filtre).toEqual({ evenement: 'TRAJET_TERMINE', langue: 'en' });
+    expect(update.$set).toEqual({ titre: '🏁 Trip finished', corps: 'Thanks for driving {{depart}} → {{arrivee}}', modifiePar: adminId });
+    expect(Object.keys(update.$unset)).toEqual(['sms', 'whatsapp', 'emailSujet', 'emailCorps']);
+
+    const apres = await modelesNotificationService.rendre('TRAJET_TERMINE', { depart: 'Abobo', arrivee: 'Marcory' }, { langue: 'en' });
+    expect(apres).toEqual({ titre: '🏁 Trip finished', corps: 'Thanks for driving Abobo → Marcory', langue: 'en' });
+  });
+
+  it('devrait refuser un modèle utilisant une variable inconnue et prévisualiser un brouillon valide', async () => {
+    const enregistrer = jest.spyOn(ModeleNotification, 'findOneAndUpdate');
+
+    await expect(modelesNotificationService.modifier('NOUVELLE_RESERVATION', 'fr', {
+      titre: 'Nouvelle réservation',
+      corps: '{{passager}} a payé {{montant}} FCFA'
+    })).rejects.toMatchObject({ code: 'TEMPLATE_INVALID', context: { variablesDisponibles: expect.arrayContaining(['passager', 'nombrePlaces', 'destination']) } });
+    await expect(modelesNotificationService.modifier('NOUVELLE_RESERVATION', 'wolof', { titre: 'x', corps: 'y' }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE' });
+    expect(enregistrer).not.toHaveBeenCalled();
+
+    const apercu = await modelesNotificationService.apercu('NOUVELLE_RESERVATION', 'fr', {
+      variables: { nombrePlaces: 1 },
+      contenu: { titre: '🔔 Demande', corps: '{{passager}} : {{nombrePlaces:# place|# places}} pour {{destination}}' }
+    });
+    expect(apercu.rendu.push).toEqual({ titre: '🔔 Demande', corps: 'Awa Koné : 1 place pour Cocody Angré' });
+    expect(apercu.rendu.sms.corps).toBe(apercu.rendu.push.corps);
+  });
+
+  it('devrait envoyer le push et l\'historique in-app dans la langue de l\'utilisateur', async () => {
+    const utilisateurId = new mongoose.Types.ObjectId();
+    jest.spyOn(Utilisateur, 'findById').mockResolvedValue({
+      _id: utilisateurId,
+      fcmTokens: [],
+      preferencesNotifications: { activees: true, langue: 'en' }
+    });
+    const enregistrer = jest.spyOn(centreNotificationsService, 'enregistrer').mockResolvedValue({ _id: 'n1' });
+
+    await firebaseService.notifyNewReservation(utilisateurId, {
+      reservationId: 'r1',
+      trajetId: 't1',
+      passagerNom: 'Koné',
+      passagerPrenom: 'Awa',
+      nombrePlaces: 2,
+      montant: 3000,
+      depart: 'Yopougon',
+      destination: 'Plateau'
+    }, Utilisateur);
+
+    expect(enregistrer).toHaveBeenCalledWith(expect.objectContaining({
+      destinataireId: utilisateurId,
+      type: 'NEW_RESERVATION',
+      titre: '🔔 New booking',
+      message: 'Koné Awa wants to book 2 seats to Plateau'
+    }));
+  });
+});
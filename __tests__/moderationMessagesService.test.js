@@ -0,0 +1,173 @@
+// __tests__/moderationMessagesService.test.js
+const mongoose = require('mongoose');
+const { Message } = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Signalement = require('../models/Signalement');
+const presenceService = require('../services/presenceService');
+const notificationService = require('../services/notificationService');
+const moderationMessagesService = require('../services/moderationMessagesService');
+const messageService = require('../services/messageService');
+
+describe('moderationMessagesService', () => {
+  const conducteurId = new mongoose.Types.ObjectId();
+  const passagerId = new mongoose.Types.ObjectId();
+  const conversationId = new mongoose.Types.ObjectId();
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  let emis;
+
+  beforeEach(() => {
+    emis = [];
+    messageService.utiliserSocket({
+      to: (salle) => ({ emit: (evenement, donnees) => emis.push({ salle, evenement, donnees }) })
+    });
+    jest.spyOn(presenceService, 'isOnline').mockReturnValue(true);
+    jest.spyOn(notificationService, 'sendMessageNotification').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    messageService.utiliserSocket(null);
+    jest.restoreAllMocks();
+  });
+
+  // Le minuteur de nettoyage de presenceService empêcherait Jest de se terminer
+  afterAll(() => {
+    presenceService.stopCleanupTimer();
+  });
+
+  it('devrait masquer les numéros et les liens sans toucher aux horaires ni aux prix', () => {
+    const analyse = moderationMessagesService.analyser(
+      'Rdv 7h30 à Adjamé, 1500 FCFA. Appelle au +225 07 01 02 03 04 ou vois https://bit.ly/promo'
+    );
+
+    expect(analyse).toMatchObject({
+      action: 'MASQUER',
+      statut: 'MASQUE',
+      contenu: 'Rdv 7h30 à Adjamé, 1500 FCFA. Appelle au [numéro masqué] ou vois [lien masqué]'
+    });
+    expect(analyse.detections).toEqual([
+      { categorie: 'telephone', analyseur: 'telephone' },
+      { categorie: 'lien', analyseur: 'liens' }
+    ]);
+    expect(moderationMessagesService.analyser('Mon numéro : 0701020304').contenu).toBe('Mon numéro : [numéro masqué]');
+    expect(moderationMessagesService.analyser('Je te contacte demain à 18h')).toMatchObject({ action: 'AUCUNE', detections: [] });
+  });
+
+  it('devrait avertir pour un paiement hors plateforme et retenir les insultes en français ou en nouchi', () => {
+    for (const texte of ['Envoie-moi ça sur ton Orange Money', 'On règle en espèces à l\'arrivée', 'Paie hors de l\'appli', 'Envoie mon djê avant']) {
+      expect(moderationMessagesService.analyser(texte)).toMatchObject({
+        action: 'AVERTIR',
+        contenu: texte,
+        avertissement: expect.stringContaining('uniquement dans l\'application')
+      });
+    }
+
+    expect(moderationMessagesService.analyser('Espèce de CONNARD')).toMatchObject({ action: 'RETENIR', statut: 'RETENU' });
+    expect(moderationMessagesService.analyser('Tu es un vrai gaou')).toMatchObject({ action: 'RETENIR' });
+    // L'action la plus sévère l'emporte, les masques restent appliqués
+    expect(moderationMessagesService.analyser('Gnata, appelle le 07 01 02 03 04')).toMatchObject({
+      action: 'RETENIR',
+      contenu: 'Gnata, appelle le [numéro masqué]'
+    });
+    expect(moderationMessagesService.analyser('Merci pour le contact, à la prochaine').action).toBe('AUCUNE');
+  });
+
+  it('devrait accepter des analyseurs supplémentaires et ignorer un analyseur en échec', () => {
+    const analyseurs = moderationMessagesService.analyseurs;
+    moderationMessagesService.utiliserAnalyseur({
+      nom: 'plaques',
+      categorie: 'plaque',
+      analyser: (texte) => [...texte.matchAll(/\d{4}\s?[A-Z]{2}\s?\d{2}/g)].map(m => ({ debut: m.index, fin: m.index + m[0].length }))
+    });
+    moderationMessagesService.utiliserAnalyseur({ nom: 'liens', categorie: 'lien', analyser: () => { throw new Error('regex invalide'); } });
+    jest.spyOn(require('../utils/logger').logger, 'error').mockImplementation(() => {});
+
+    try {
+      const analyse = moderationMessagesService.analyser('Ma plaque 1234 AB 01, voir www.exemple.ci');
+      expect(analyse).toMatchObject({ action: 'AVERTIR', contenu: 'Ma plaque 1234 AB 01, voir www.exemple.ci' });
+      expect(analyse.detections).toEqual([{ categorie: 'plaque', analyseur: 'plaques' }]);
+    } finally {
+      moderationMessagesService.analyseurs = analyseurs;
+    }
+  });
+
+  it('devrait retenir un message insultant jusqu\'à l\'approbation d\'un modérateur', async () => {
+    jest.spyOn(Conversation, 'findById').mockImplementation(() => {
+      const conversation = { _id: conversationId, participants: [conducteurId, passagerId] };
+      return Object.assign(Promise.resolve(conversation), { select: () => Promise.resolve(conversation) });
+    });
+    const majConversation = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Message.prototype, 'populate').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(1);
+
+    const message = await messageService.envoyerMessage({
+      conversationId,
+      expediteurId: passagerId.toString(),
+      contenu: 'Ta gueule, tu conduis comme un gnata',
+      typeMessage: 'TEXTE'
+    });
+
+    expect(message.moderation).toMatchObject({ statut: 'RETENU', detections: [{ categorie: 'insulte' }] });
+    expect(message).toMatchObject({ estSignale: true, motifSignalement: 'Filtre automatique : insulte' });
+    expect(message.accuses).toHaveLength(0);
+    expect(majConversation).not.toHaveBeenCalled();
+    expect(emis).toEqual([{
+      salle: `user_${passagerId}`,
+      evenement: 'message:warning',
+      donnees: expect.objectContaining({ statut: 'RETENU', avertissement: expect.stringContaining('modération') })
+    }]);
+
+    const adminId = new mongoose.Types.ObjectId();
+    jest.spyOn(Message, 'findById').mockResolvedValue(message);
+    const libere = await messageService.libererMessage(message._id, adminId);
+
+    expect(libere.moderation.statut).toBe('LIBERE');
+    expect(libere).toMatchObject({ estSignale: false, moderateurId: adminId });
+    expect(libere.accuses.map(a => a.utilisateurId.toString())).toEqual([conducteurId.toString()]);
+    expect(majConversation.mock.calls[0][1].$inc).toEqual({
+      'statistiques.nombreTotalMessages': 1,
+      [`nombreMessagesNonLus.${conducteurId}`]: 1
+    });
+    expect(emis[1]).toMatchObject({ salle: `conversation_${conversationId}`, evenement: 'new_message' });
+    await expect(messageService.libererMessage(message._id, adminId)).rejects.toMatchObject({ code: 'MESSAGE_NOT_HELD' });
+  });
+
+  it('devrait ouvrir un signalement automatique pour un récidiviste, puis le compléter', async () => {
+    jest.spyOn(require('../utils/logger').logger, 'warn').mockImplementation(() => {});
+    const compter = jest.spyOn(Message, 'countDocuments').mockResolvedValueOnce(2).mockResolvedValue(3);
+    const existant = jest.spyOn(Signalement, 'findOneAndUpdate').mockResolvedValueOnce(null);
+    const creer = jest.spyOn(Signalement, 'create').mockImplementation(async (doc) => doc);
+    const message = {
+      _id: new mongoose.Types.ObjectId(),
+      expediteurId: conducteurId,
+      moderation: { detections: [{ categorie: 'telephone' }, { categorie: 'mobile_money' }] }
+    };
+
+    await expect(moderationMessagesService.enregistrerInfraction(message, { maintenant }))
+      .resolves.toEqual({ recidive: false, signalement: null });
+    expect(compter.mock.calls[0][0]).toEqual({
+      expediteurId: conducteurId,
+      'moderation.statut': { $in: ['MASQUE', 'AVERTI', 'RETENU'] },
+      dateEnvoi: { $gte: new Date('2026-10-16T10:00:00Z') }
+    });
+
+    const { recidive, signalement } = await moderationMessagesService.enregistrerInfraction(message, { maintenant });
+    expect(recidive).toBe(true);
+    expect(signalement).toMatchObject({
+      origine: 'FILTRE_AUTOMATIQUE',
+      signaleId: conducteurId,
+      messageId: message._id,
+      typeSignalement: 'FRAUDE',
+      motif: 'CONTOURNEMENT_PLATEFORME'
+    });
+    // Aucun signalant : le signalement est ouvert par le filtre
+    expect(new Signalement(creer.mock.calls[0][0]).validateSync()).toBeUndefined();
+    expect(new Signalement({ ...creer.mock.calls[0][0], origine: 'UTILISATEUR' }).validateSync().errors.signalantId).toBeDefined();
+
+    existant.mockResolvedValueOnce({ _id: 's1', nombreSignalementsSimilaires: 4 });
+    await expect(moderationMessagesService.enregistrerInfraction(message, { maintenant }))
+      .resolves.toEqual({ recidive: true, signalement: { _id: 's1', nombreSignalementsSimilaires: 4 } });
+    expect(existant.mock.calls[1][1]).toEqual({ $inc: { nombreSignalementsSimilaires: 1 }, $set: { messageId: message._id } });
+    expect(creer).toHaveBeenCalledTimes(1);
+  });
+});
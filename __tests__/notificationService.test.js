@@ -0,0 +1,54 @@
+// __tests__/notificationService.test.js
+const mongoose = require('mongoose');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const notificationService = require('../services/notificationService');
+
+describe('notificationService', () => {
+  const passagerId = new mongoose.Types.ObjectId();
+  let envoyer;
+
+  beforeEach(() => {
+    envoyer = jest.spyOn(livraisonNotificationsService, 'envoyer').mockResolvedValue({
+      livraison: { statut: 'EN_ATTENTE_ACQUITTEMENT', notificationId: 'n1' },
+      doublon: false
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait remettre la confirmation de réservation par l\'orchestrateur avec son modèle', async () => {
+    await notificationService.notifierReservationConfirmee(
+      { _id: passagerId, prenom: 'Awa' },
+      { reservationId: 'r1', trajetId: 't1', destination: 'Bingerville', montant: 2000 }
+    );
+
+    expect(envoyer).toHaveBeenCalledWith(passagerId, expect.objectContaining({
+      modele: 'RESERVATION_CONFIRMEE',
+      variables: { destination: 'Bingerville' },
+      categorie: 'reservations',
+      priorite: 'HAUTE',
+      donnees: expect.objectContaining({ type: 'RESERVATION_CONFIRMED', reservationId: 'r1', montant: '2000' })
+    }));
+  });
+
+  it('devrait remettre l\'échec de paiement en priorité haute dans la catégorie paiements', async () => {
+    await notificationService.notifierPaiementEchoue(passagerId, { montant: 3000, transactionId: 'TX-1' });
+
+    expect(envoyer).toHaveBeenCalledWith(passagerId, {
+      evenement: 'PAYMENT_FAILED',
+      titre: '❌ Paiement échoué',
+      message: 'Le paiement de 3000 FCFA a échoué',
+      donnees: {
+        type: 'PAYMENT_FAILED',
+        transactionId: 'TX-1',
+        montant: '3000',
+        reason: 'Erreur de traitement',
+        screen: 'Recharge'
+      },
+      categorie: 'paiements',
+      priorite: 'HAUTE'
+    });
+  });
+});
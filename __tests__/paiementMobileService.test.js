@@ -0,0 +1,173 @@
+// __tests__/paiementMobileService.test.js
+// Bac à sable explicitement configuré, comme pour une démo hors ligne
+process.env.PAIEMENT_FOURNISSEUR = 'sandbox';
+process.env.PAIEMENT_SANDBOX_SECRET = 'secret-bac-a-sable-test';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const Utilisateur = require('../models/Utilisateur');
+const WebhookTraite = require('../models/WebhookTraite');
+const paiementMobileService = require('../services/paiementMobileService');
+const SandboxPaiementConnector = require('../services/connectors/sandboxPaiementConnector');
+const WavePaiementConnector = require('../services/connectors/wavePaiementConnector');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('paiementMobileService', () => {
+  const conducteur = {
+    _id: new mongoose.Types.ObjectId(),
+    prenom: 'Awa',
+    nom: 'Koné',
+    email: 'awa@example.ci',
+    telephone: '0707070701',
+    compteCovoiturage: { estRecharge: true }
+  };
+  const sandbox = paiementMobileService.fournisseurs.sandbox;
+  let documents;
+  let fournisseursOriginaux;
+  let configOriginale;
+
+  const recharger = (options = {}) => paiementMobileService.initierPaiement(null, 5000, {
+    isRecharge: true,
+    userId: conducteur._id,
+    methodePaiement: 'MOBILE_MONEY',
+    ...options
+  });
+
+  // Notification signée comme le ferait le bac à sable
+  const notification = (corps, signature = null) => {
+    const corpsBrut = JSON.stringify(corps);
+    return { corps, corpsBrut, entetes: { 'x-sandbox-signature': signature || sandbox.signer(corpsBrut) }, query: {} };
+  };
+
+  beforeEach(() => {
+    documents = new Map();
+    fournisseursOriginaux = { ...paiementMobileService.fournisseurs };
+    configOriginale = { ...paiementMobileService.config };
+    paiementMobileService.pauses.clear();
+    sandbox.reinitialiser();
+
+    jest.spyOn(Utilisateur, 'findById').mockReturnValue(chaine(conducteur));
+    jest.spyOn(Paiement, 'findOne').mockImplementation(({ referenceTransaction }) => chaine(documents.get(referenceTransaction) || null));
+    jest.spyOn(Paiement.prototype, 'save').mockImplementation(function() {
+      documents.set(this.referenceTransaction, this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Paiement.prototype, 'traiterCommissionApresPayement').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    paiementMobileService.fournisseurs = fournisseursOriginaux;
+    paiementMobileService.config = configOriginale;
+    jest.restoreAllMocks();
+  });
+
+  it('devrait payer une recharge de bout en bout via le bac à sable et ignorer la notification rejouée', async () => {
+    const reserver = jest.spyOn(WebhookTraite, 'reserver')
+      .mockResolvedValueOnce({ reserve: true, entree: { _id: 'w1' } })
+      .mockResolvedValueOnce({ reserve: false, entree: { _id: 'w1', statut: 'TRAITE', nombreReceptions: 2 } });
+    const marquer = jest.spyOn(WebhookTraite, 'marquerTraite').mockResolvedValue({});
+
+    const resultat = await recharger();
+    expect(resultat).toMatchObject({ success: true, fournisseur: 'sandbox', statut: 'PENDING' });
+    expect(resultat.urlPaiement).toBe(`sandbox://paiement/${resultat.referenceTransaction}`);
+
+    const paiement = documents.get(resultat.referenceTransaction);
+    expect(paiement.fournisseurPaiement.nom).toBe('sandbox');
+    expect(paiement.statutPaiement).toBe('EN_ATTENTE');
+
+    sandbox.completer(resultat.referenceTransaction, 'COMPLETE');
+    const corps = { reference: resultat.referenceTransaction, transactionId: resultat.transactionFournisseurId };
+
+    await expect(paiementMobileService.traiterWebhook('sandbox', notification(corps)))
+      .resolves.toMatchObject({ success: true, statutPaiement: 'COMPLETE', statutModifie: true });
+    await expect(paiementMobileService.traiterWebhook('sandbox', notification(corps)))
+      .resolves.toMatchObject({ success: true, dejaTraite: true });
+
+    expect(paiement.statutPaiement).toBe('COMPLETE');
+    expect(paiement.traiterCommissionApresPayement).toHaveBeenCalledTimes(1);
+    expect(reserver).toHaveBeenCalledWith('sandbox', resultat.transactionFournisseurId, { referenceTransaction: resultat.referenceTransaction });
+    expect(marquer).toHaveBeenCalledWith('w1', 'COMPLETE');
+  });
+
+  it('devrait rejeter une notification dont la signature ne correspond pas au corps', async () => {
+    const reserver = jest.spyOn(WebhookTraite, 'reserver');
+    const { referenceTransaction } = await recharger();
+    sandbox.completer(referenceTransaction, 'COMPLETE');
+
+    const falsifiee = notification({ reference: referenceTransaction }, sandbox.signer('{"reference":"autre"}'));
+
+    await expect(paiementMobileService.traiterWebhook('sandbox', falsifiee))
+      .rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID', status: 401 });
+    expect(documents.get(referenceTransaction).statutPaiement).toBe('EN_ATTENTE');
+    expect(reserver).not.toHaveBeenCalled();
+  });
+
+  it('devrait basculer sur le fournisseur suivant quand l\'API de l\'opérateur est en panne', async () => {
+    paiementMobileService.config.FOURNISSEUR_FORCE = null;
+    const wave = new WavePaiementConnector();
+    wave.enabled = true;
+    const initierWave = jest.spyOn(wave, 'initier').mockRejectedValue(wave.erreur('Wave indisponible : timeout'));
+    const secours = new SandboxPaiementConnector();
+    secours.nom = 'cinetpay';
+    paiementMobileService.utiliserFournisseur(wave);
+    paiementMobileService.utiliserFournisseur(secours);
+
+    const resultat = await recharger({ operateur: 'WAVE', numeroTelephone: '0101010101' });
+
+    expect(initierWave).toHaveBeenCalledTimes(1);
+    expect(resultat.fournisseur).toBe('cinetpay');
+    const paiement = documents.get(resultat.referenceTransaction);
+    expect(paiement.fournisseurPaiement.nom).toBe('cinetpay');
+    expect(paiement.fournisseurPaiement.tentatives.map(t => t.nom)).toEqual(['wave']);
+    // Wave en retrait après la panne, MTN toujours routé vers l'agrégateur
+    expect(paiementMobileService.fournisseursPour('WAVE').map(f => f.nom)).toEqual(['cinetpay', 'wave']);
+    expect(paiementMobileService.fournisseursPour('MTN').map(f => f.nom)).toEqual(['cinetpay']);
+  });
+
+  it('devrait marquer le paiement en échec sans bascule quand le fournisseur refuse', async () => {
+    const numeroSansSolde = '0707000000';
+
+    await expect(recharger({ operateur: 'ORANGE', numeroTelephone: numeroSansSolde }))
+      .rejects.toMatchObject({ code: 'PAYMENT_REFUSED', status: 402 });
+
+    const [paiement] = [...documents.values()];
+    expect(paiement.statutPaiement).toBe('ECHEC');
+    expect(paiement.fournisseurPaiement.tentatives).toHaveLength(0);
+    expect(paiement.erreurs.map(e => e.code)).toContain('FOURNISSEUR_INIT_ECHEC');
+  });
+
+  it('devrait vérifier la signature Wave sur le corps brut et refuser un horodatage trop ancien', () => {
+    const wave = new WavePaiementConnector();
+    wave.secretWebhook = 'secret-wave';
+    const corpsBrut = JSON.stringify({ type: 'checkout.session.completed', data: { id: 'cos-1', client_reference: 'PAY-1' } });
+    const maintenant = Date.parse('2026-10-19T10:00:00Z');
+    const signer = (horodatage, corps) =>
+      `t=${horodatage},v1=${crypto.createHmac('sha256', 'secret-wave').update(`${horodatage}${corps}`).digest('hex')}`;
+    const horodatage = Math.floor(maintenant / 1000);
+
+    const valide = { corpsBrut, entetes: { 'wave-signature': signer(horodatage, corpsBrut) } };
+    expect(wave.verifierSignature(valide, null, { maintenant })).toBe(true);
+    expect(wave.interpreterNotification({ corps: JSON.parse(corpsBrut) })).toMatchObject({ reference: 'PAY-1', transactionId: 'cos-1' });
+
+    const modifie = { ...valide, corpsBrut: corpsBrut.replace('PAY-1', 'PAY-2') };
+    expect(wave.verifierSignature(modifie, null, { maintenant })).toBe(false);
+
+    const ancien = { corpsBrut, entetes: { 'wave-signature': signer(horodatage - 600, corpsBrut) } };
+    expect(wave.verifierSignature(ancien, null, { maintenant })).toBe(false);
+  });
+
+  it('devrait laisser le bac à sable désactivé sans secret dédié, même forcé', () => {
+    const secret = process.env.PAIEMENT_SANDBOX_SECRET;
+    process.env.PAIEMENT_SANDBOX_SECRET = 'sandbox';
+    const parDefaut = new SandboxPaiementConnector();
+    process.env.PAIEMENT_SANDBOX_SECRET = secret;
+
+    expect(parDefaut.enabled).toBe(false);
+    const corpsBrut = JSON.stringify({ reference: 'PAY-1' });
+    expect(parDefaut.verifierSignature({ corpsBrut, entetes: { 'x-sandbox-signature': parDefaut.signer(corpsBrut) } })).toBe(false);
+
+    paiementMobileService.utiliserFournisseur(parDefaut);
+    expect(paiementMobileService.fournisseursPour('WAVE')).toEqual([]);
+  });
+});
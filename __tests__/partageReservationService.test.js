@@ -0,0 +1,213 @@
+// __tests__/partageReservationService.test.js
+jest.mock('../services/smsService', () => ({
+  ...jest.requireActual('../services/smsService'),
+  sendSMS: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const Trajet = require('../models/Trajet');
+const Utilisateur = require('../models/Utilisateur');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const { sendSMS } = require('../services/smsService');
+const sequestreService = require('../services/sequestreService');
+const promotionService = require('../services/promotionService');
+const listeAttenteService = require('../services/listeAttenteService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const partageReservationService = require('../services/partageReservationService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+const HEURE = 60 * 60 * 1000;
+
+describe('partageReservationService', () => {
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  const titulaireId = new mongoose.Types.ObjectId();
+  const conducteurId = new mongoose.Types.ObjectId();
+
+  // 3 places : 10 500 FCFA, 1 500 de code promo et 1 000 de crédit du titulaire
+  const reservationPromo = (champs = {}) => {
+    const reservation = new Reservation({
+      trajetId: new mongoose.Types.ObjectId(),
+      passagerId: titulaireId,
+      nombrePlacesReservees: 3,
+      montantTotal: 8000,
+      statutReservation: 'CONFIRMEE',
+      statutPaiement: 'EN_ATTENTE',
+      promotion: { code: 'BIENVENUE', montantAvantReduction: 10500, reduction: 1500, creditUtilise: 1000 },
+      ...champs
+    });
+    reservation.trajetId = new Trajet({
+      _id: reservation.trajetId,
+      conducteurId,
+      dateDepart: new Date(maintenant.getTime() + 12 * HEURE)
+    });
+    return reservation;
+  };
+
+  const paiementComplete = (reservationId, montantTotal, partId = null) => new Paiement({
+    referenceTransaction: `PAY-PART-${montantTotal}-${partId || 'T'}`,
+    reservationId,
+    payeurId: titulaireId,
+    beneficiaireId: conducteurId,
+    montantTotal,
+    methodePaiement: 'MOBILE_MONEY',
+    statutPaiement: 'COMPLETE',
+    partage: { reservationPartagee: true, partId }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Reservation.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(livraisonNotificationsService, 'envoyer').mockResolvedValue({ livraison: { notificationId: 'n1' }, doublon: false });
+    sendSMS.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait répartir le prix au prorata des places en laissant le crédit promotionnel au titulaire', async () => {
+    const reservation = reservationPromo();
+    const inscritId = new mongoose.Types.ObjectId();
+    jest.spyOn(Reservation, 'findById').mockReturnValue(chaine(reservation));
+    jest.spyOn(Paiement, 'exists').mockResolvedValue(null);
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([]));
+    jest.spyOn(Utilisateur, 'findById').mockReturnValue(chaine({ telephone: '0700000000' }));
+    jest.spyOn(Utilisateur, 'findOne')
+      .mockReturnValueOnce(chaine({ _id: inscritId }))
+      .mockReturnValueOnce(chaine(null));
+
+    const partage = await partageReservationService.creerPartage(reservation._id, titulaireId, {
+      coPassagers: [{ telephone: '0701020304', nom: 'Awa' }, { telephone: '+2250505060708', nom: 'Koffi' }]
+    }, { maintenant });
+
+    expect(partage.parts).toEqual([
+      expect.objectContaining({ telephone: '+2250701020304', montant: 3000, statut: 'INVITEE', inscrit: true }),
+      expect.objectContaining({ telephone: '+2250505060708', montant: 3000, statut: 'INVITEE', inscrit: false })
+    ]);
+    expect(reservation.partage.parts.map(p => p.reductionPlateforme)).toEqual([500, 500]);
+    expect(partage.montantDuTitulaire).toBe(2000);
+    // Échéance : 24 h plafonnées à 2 h avant le départ
+    expect(partage.dateLimite).toEqual(new Date(maintenant.getTime() + 10 * HEURE));
+    expect(partageReservationService.soldeTitulaire(reservation).repartitionFrais)
+      .toEqual({ reductionPlateforme: 500, creditPassager: 1000 });
+
+    const [jetonInscrit, jetonSansCompte] = reservation.partage.parts.map(p => p.jeton);
+    expect(jetonInscrit).toMatch(/^[a-f0-9]{48}$/);
+    // Numéro sans compte : SMS direct ; co-passager inscrit : cascade de l'orchestrateur
+    expect(sendSMS).toHaveBeenCalledTimes(1);
+    expect(sendSMS.mock.calls[0][0]).toMatchObject({ to: '+2250505060708' });
+    expect(sendSMS.mock.calls[0][0].message).toContain(`/partage/${jetonSansCompte}`);
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledTimes(1);
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledWith(inscritId, expect.objectContaining({
+      modele: 'PARTAGE_INVITATION',
+      variables: expect.objectContaining({ lien: expect.stringContaining(`/partage/${jetonInscrit}`) })
+    }));
+  });
+
+  it('devrait refuser un partage sans place pour le titulaire, avec son propre numéro ou une part trop faible', async () => {
+    jest.spyOn(Paiement, 'exists').mockResolvedValue(null);
+    jest.spyOn(Utilisateur, 'findById').mockReturnValue(chaine({ telephone: '0700000000' }));
+    jest.spyOn(Utilisateur, 'findOne').mockReturnValue(chaine(null));
+    const findById = jest.spyOn(Reservation, 'findById');
+    const partager = (reservation, coPassagers) => {
+      findById.mockReturnValue(chaine(reservation));
+      return partageReservationService.creerPartage(reservation._id, titulaireId, { coPassagers }, { maintenant });
+    };
+
+    await expect(partager(reservationPromo(), [{ telephone: '0701020304', nombrePlaces: 3 }]))
+      .rejects.toMatchObject({ code: 'SHARE_TOO_MANY_SEATS' });
+    await expect(partager(reservationPromo(), [{ telephone: '+2250700000000' }]))
+      .rejects.toMatchObject({ code: 'SHARE_DUPLICATE_PHONE' });
+    await expect(partager(reservationPromo({ montantTotal: 700, promotion: {} }), [{ telephone: '0701020304' }]))
+      .rejects.toMatchObject({ code: 'SHARE_AMOUNT_TOO_LOW' });
+    await expect(partager(reservationPromo({ statutPaiement: 'PAYE', methodePaiement: 'MOBILE_MONEY' }), [{ telephone: '0701020304' }]))
+      .rejects.toMatchObject({ code: 'SHARE_NOT_ALLOWED' });
+  });
+
+  it('devrait marquer la réservation payée une fois toutes les parts et le solde du titulaire réglés', async () => {
+    const reservation = reservationPromo({
+      partage: {
+        actif: true,
+        dateLimite: new Date(maintenant.getTime() + 10 * HEURE),
+        parts: [{ telephone: '+2250701020304', montant: 3000, reductionPlateforme: 500 }]
+      }
+    });
+    const part = reservation.partage.parts[0];
+    jest.spyOn(Reservation, 'findById').mockReturnValue(chaine(reservation));
+    const find = jest.spyOn(Paiement, 'find').mockReturnValue(chaine([]));
+
+    const paiementPart = paiementComplete(reservation._id, 3000, part._id);
+    expect(await partageReservationService.enregistrerPaiement(paiementPart)).toEqual({ statut: 'PARTIEL' });
+    expect(part.statut).toBe('PAYEE');
+    expect(reservation.statutPaiement).toBe('EN_ATTENTE');
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledWith(titulaireId, expect.objectContaining({ evenement: 'PARTAGE_PART_PAYEE' }));
+
+    find.mockReturnValue(chaine([{ montantTotal: 3000 }]));
+    expect(await partageReservationService.enregistrerPaiement(paiementComplete(reservation._id, 5000)))
+      .toEqual({ statut: 'PAYE' });
+    expect(reservation).toMatchObject({ statutPaiement: 'PAYE', methodePaiement: 'MOBILE_MONEY' });
+    expect(reservation.partage.actif).toBe(false);
+  });
+
+  it('devrait rembourser le paiement d\'une part déjà couverte et réglée par le titulaire', async () => {
+    const reservation = reservationPromo({
+      partage: {
+        actif: true,
+        dateLimite: new Date(maintenant.getTime() + 10 * HEURE),
+        parts: [{ telephone: '+2250701020304', montant: 3000, statut: 'COUVERTE' }]
+      }
+    });
+    const part = reservation.partage.parts[0];
+    const paiementPart = paiementComplete(reservation._id, 3000, part._id);
+    jest.spyOn(Reservation, 'findById').mockReturnValue(chaine(reservation));
+    // Le titulaire a déjà payé l'intégralité
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([{ montantTotal: 8000 }]));
+    jest.spyOn(Paiement, 'findById').mockResolvedValue(paiementPart);
+    const rembourser = jest.spyOn(sequestreService, 'rembourser').mockResolvedValue({});
+
+    expect(await partageReservationService.enregistrerPaiement(paiementPart)).toEqual({ statut: 'REMBOURSE' });
+    expect(rembourser).toHaveBeenCalledWith(paiementPart, expect.objectContaining({ reservationRemboursee: false }));
+    expect(part.statut).toBe('COUVERTE');
+    expect(Reservation.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('devrait annuler à la date limite un partage non réglé et répartir un remboursement sur chaque paiement', async () => {
+    const reservation = reservationPromo({
+      partage: {
+        actif: true,
+        dateLimite: new Date(maintenant.getTime() - HEURE),
+        parts: [{ telephone: '+2250701020304', montant: 3000, statut: 'PAYEE', utilisateurId: new mongoose.Types.ObjectId() }]
+      }
+    });
+    reservation.trajetId = reservation.trajetId._id;
+    jest.spyOn(Reservation, 'find').mockReturnValue(chaine([reservation]));
+    jest.spyOn(Reservation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Reservation, 'synchroniserPlacesTrajet').mockResolvedValue(3);
+    jest.spyOn(listeAttenteService, 'signalerPlacesLiberees').mockResolvedValue({});
+    const rembourserReservations = jest.spyOn(sequestreService, 'rembourserReservations').mockResolvedValue({ rembourses: 1, erreurs: 0 });
+    const annulerReduction = jest.spyOn(promotionService, 'annulerReduction').mockResolvedValue();
+
+    expect(await partageReservationService.expirerPartages({ maintenant })).toEqual({ expirees: 1, erreurs: 0 });
+    expect(Reservation.updateOne.mock.calls[0][1].$set).toMatchObject({ statutReservation: 'ANNULEE', 'partage.actif': false });
+    expect(rembourserReservations).toHaveBeenCalledWith(reservation._id, expect.any(String), expect.any(Object));
+    expect(annulerReduction).toHaveBeenCalledWith(reservation);
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledTimes(2);
+
+    // Annulation par le titulaire d'une réservation payée à deux : chaque paiement remboursé au prorata
+    const paiements = [
+      paiementComplete(reservation._id, 3000, reservation.partage.parts[0]._id),
+      paiementComplete(reservation._id, 5000)
+    ];
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine(paiements));
+    const rembourser = jest.spyOn(sequestreService, 'rembourser').mockResolvedValue({});
+    const annulation = await politiqueAnnulationService.annulerParPassager(
+      reservationPromo({ statutPaiement: 'PAYE', methodePaiement: 'MOBILE_MONEY' }),
+      { dateDepart: new Date(maintenant.getTime() + 13 * HEURE), politiqueAnnulation: 'MODEREE' },
+      { maintenant }
+    );
+
+    expect(annulation).toMatchObject({ montantBase: 8000, montantRembourse: 5600 });
+    expect(rembourser.mock.calls.map(([p, options]) => [p.montantTotal, options.montant])).toEqual([[3000, 2100], [5000, 3500]]);
+  });
+});
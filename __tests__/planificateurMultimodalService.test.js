@@ -0,0 +1,108 @@
+// __tests__/planificateurMultimodalService.test.js
+jest.mock('../services/geoSearchService', () => ({
+  isValidCoordinate: (lat, lng) => typeof lat === 'number' && typeof lng === 'number',
+  searchNearbyTrips: jest.fn()
+}));
+jest.mock('../services/placesV2Service', () => ({
+  apiKey: null,
+  searchGaresRoutieres: jest.fn()
+}));
+
+const geoSearchService = require('../services/geoSearchService');
+const placesV2Service = require('../services/placesV2Service');
+const transportInformelService = require('../services/transportInformelService');
+const planificateur = require('../services/planificateurMultimodalService');
+
+// Arrêts du jeu de données local (data/transportInformel)
+const SIPOREX = { lat: 5.3850, lng: -4.0950 };
+const PLATEAU = { lat: 5.3196, lng: -4.0167 };
+const ABOBO_GARE = { lat: 5.4200, lng: -4.0100 };
+const TREICHVILLE_GARE = { lat: 5.2980, lng: -4.0120 };
+const KOUMASSI = { lat: 5.3050, lng: -3.9650 };
+
+const requete = (depart, arrivee, dateDepart, extra = {}) => ({
+  departLat: depart.lat, departLng: depart.lng,
+  arriveeLat: arrivee.lat, arriveeLng: arrivee.lng,
+  dateDepart, ...extra
+});
+
+describe('transportInformelService', () => {
+  it('devrait charger le jeu de données GTFS local', () => {
+    const resume = transportInformelService.charger();
+
+    expect(resume.arrets).toBeGreaterThan(10);
+    expect(transportInformelService.obtenirLigne('WW_TRE_KOU')).toMatchObject({ mode: 'WORO_WORO', prix: 250 });
+    expect(transportInformelService.obtenirGares().every(gare => gare.estGare)).toBe(true);
+  });
+
+  it('devrait estimer l\'attente selon la fréquence et refuser hors service', () => {
+    expect(transportInformelService.attenteMinutes('GBK_ADJ_PLA_ALLER', new Date('2030-01-07T07:00:00Z'))).toBe(4);
+    expect(transportInformelService.attenteMinutes('GBK_ADJ_PLA_ALLER', new Date('2030-01-07T12:00:00Z'))).toBe(7.5);
+    expect(transportInformelService.attenteMinutes('GBK_ADJ_PLA_ALLER', new Date('2030-01-07T23:30:00Z'))).toBeNull();
+  });
+
+  it('devrait lire les champs CSV entre guillemets', () => {
+    const lignes = transportInformelService._parserCsv('stop_id,stop_name\nA,"Gare ""Nord"", Adjamé"\n');
+    expect(lignes).toEqual([{ stop_id: 'A', stop_name: 'Gare "Nord", Adjamé' }]);
+  });
+});
+
+describe('planificateurMultimodalService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    geoSearchService.searchNearbyTrips.mockResolvedValue({ trajets: [] });
+  });
+
+  it('devrait combiner deux lignes de gbaka avec correspondance, sans Google', async () => {
+    const resultat = await planificateur.planifier(requete(SIPOREX, PLATEAU, '2030-01-07T07:00:00Z'));
+
+    expect(resultat.count).toBeGreaterThan(0);
+    const [meilleur] = resultat.itineraires;
+    expect(meilleur.etapes.map(e => e.ligne?.id)).toEqual(['GBK_ADJ_YOP', 'GBK_ADJ_PLA']);
+    expect(meilleur.correspondances).toBe(1);
+    expect(meilleur.prixTotal).toBe(500);
+    // 4 min d'attente + 25 min, puis 4 min + 12 min
+    expect(meilleur.dureeTotaleMinutes).toBe(45);
+    expect(placesV2Service.searchGaresRoutieres).not.toHaveBeenCalled();
+  });
+
+  it('ne devrait proposer aucune ligne hors des plages de service', async () => {
+    const resultat = await planificateur.planifier(requete(SIPOREX, PLATEAU, '2030-01-07T23:30:00Z'));
+
+    expect(resultat.count).toBe(0);
+  });
+
+  it('devrait compléter un covoiturage par un woro-woro pour les derniers kilomètres', async () => {
+    const heure = new Date('2030-01-07T07:00:00Z');
+    geoSearchService.searchNearbyTrips.mockImplementation(async (params) => {
+      if (params.departLat !== ABOBO_GARE.lat || params.arriveeLat !== KOUMASSI.lat) return { trajets: [] };
+      return {
+        trajets: [{
+          _id: 'trajet1',
+          dateDepart: new Date(heure.getTime() + 20 * 60 * 1000),
+          dureeEstimee: 40,
+          distance: 15,
+          prixParPassager: 1500,
+          nombrePlacesDisponibles: 2,
+          arretMontee: { type: 'DEPART', nom: 'Abobo Gare', coordonnees: ABOBO_GARE },
+          pointArrivee: { nom: 'Treichville', coordonnees: { coordinates: [TREICHVILLE_GARE.lng, TREICHVILLE_GARE.lat] } },
+          correspondance: 'ARRETS'
+        }]
+      };
+    });
+
+    const resultat = await planificateur.planifier(requete(ABOBO_GARE, KOUMASSI, heure, { tri: 'RAPIDE' }));
+
+    const itineraire = resultat.itineraires.find(i => i.trajetsAReserver.includes('trajet1'));
+    expect(itineraire).toBeDefined();
+    expect(itineraire.modes).toEqual(['COVOITURAGE', 'WORO_WORO']);
+    expect(itineraire.prixTotal).toBe(1750);
+    expect(itineraire.etapes[1].ligne.id).toBe('WW_TRE_KOU');
+    expect(new Date(itineraire.heureArrivee).toISOString()).toBe('2030-01-07T08:22:30.000Z');
+  });
+
+  it('devrait refuser un tri inconnu', async () => {
+    await expect(planificateur.planifier(requete(SIPOREX, PLATEAU, '2030-01-07T07:00:00Z', { tri: 'LUXE' })))
+      .rejects.toThrow('tri');
+  });
+});
@@ -0,0 +1,140 @@
+// __tests__/politiqueAnnulationService.test.js
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const EcritureComptable = require('../models/EcritureComptable');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const grandLivreService = require('../services/grandLivreService');
+const sequestreService = require('../services/sequestreService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const { chaine } = require('./helpers/requeteMongoose');
+const { paiementEnSequestre } = require('./helpers/paiementSequestre');
+
+const HEURE = 60 * 60 * 1000;
+
+describe('politiqueAnnulationService', () => {
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  const conducteurId = new mongoose.Types.ObjectId();
+  const departDans = (heures) => new Date(maintenant.getTime() + heures * HEURE);
+
+  const paiementSequestre = (reference) => paiementEnSequestre({
+    reference,
+    beneficiaireId: conducteurId,
+    montantConducteur: 4500
+  });
+
+  const reservationPayee = () => new Reservation({
+    trajetId: new mongoose.Types.ObjectId(),
+    passagerId: new mongoose.Types.ObjectId(),
+    montantTotal: 5100,
+    statutPaiement: 'PAYE',
+    statutReservation: 'CONFIRMEE'
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait rembourser le passager selon le palier de la politique du trajet', () => {
+    const calcul = (politique, heures) => politiqueAnnulationService.calculerAnnulationPassager({
+      politique, dateDepart: departDans(heures), montant: 5000, maintenant
+    });
+
+    expect(calcul('MODEREE', 30)).toMatchObject({ tauxRemboursement: 0.9, montantRembourse: 4500, fraisAnnulation: 500 });
+    expect(calcul('MODEREE', 1).montantRembourse).toBe(0);
+    expect(calcul('STRICTE', 30).montantRembourse).toBe(2500);
+    expect(calcul('FLEXIBLE', 1).montantRembourse).toBe(3750);
+    expect(calcul('FLEXIBLE', -1).montantRembourse).toBe(0);
+    // Politique inconnue : politique par défaut
+    expect(calcul(undefined, 30)).toMatchObject({ politique: 'MODEREE', montantRembourse: 4500 });
+  });
+
+  it('devrait retenir les frais d\'absence du passager et dédommager le passager d\'une annulation tardive du conducteur', () => {
+    const absence = (politique) => politiqueAnnulationService.calculerAbsencePassager({
+      politique, dateDepart: departDans(-0.5), montant: 5000, maintenant
+    });
+    const annulationConducteur = (heures) => politiqueAnnulationService.calculerAnnulationConducteur({
+      politique: 'STRICTE', dateDepart: departDans(heures), montant: 5000, maintenant
+    });
+
+    expect(absence('FLEXIBLE')).toMatchObject({ type: 'ABSENCE_PASSAGER', montantRembourse: 3750, fraisAnnulation: 1250 });
+    expect(absence('STRICTE')).toMatchObject({ montantRembourse: 0, fraisAnnulation: 5000 });
+    expect(annulationConducteur(48)).toMatchObject({ montantRembourse: 5000, compensation: 0 });
+    expect(annulationConducteur(10)).toMatchObject({ montantRembourse: 5000, compensation: 500 });
+    expect(annulationConducteur(1)).toMatchObject({ montantRembourse: 5000, compensation: 1250 });
+  });
+
+  it('devrait rembourser l\'annulation du passager sur le montant encaissé et la consigner sur la réservation', async () => {
+    const paiement = paiementSequestre('PAY-ANN-1');
+    const reservation = reservationPayee();
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([paiement]));
+    const rembourser = jest.spyOn(sequestreService, 'rembourser').mockResolvedValue({});
+
+    const annulation = await politiqueAnnulationService.annulerParPassager(
+      reservation,
+      { dateDepart: departDans(13), politiqueAnnulation: 'MODEREE' },
+      { maintenant }
+    );
+
+    expect(annulation).toMatchObject({ montantBase: 5000, tauxRemboursement: 0.7, montantRembourse: 3500 });
+    expect(rembourser).toHaveBeenCalledWith(paiement, expect.objectContaining({
+      montant: 3500, compensation: 0, politique: 'MODEREE'
+    }));
+    expect(reservation.annulation).toMatchObject({ type: 'PASSAGER', montantRembourse: 3500, fraisAnnulation: 1500 });
+  });
+
+  it('devrait verser directement au conducteur les gains d\'un passager absent sous politique stricte', async () => {
+    const paiement = paiementSequestre('PAY-ABS-1');
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([paiement]));
+    const rembourser = jest.spyOn(sequestreService, 'rembourser').mockResolvedValue({});
+    const liberer = jest.spyOn(sequestreService, 'liberer').mockResolvedValue(paiement);
+
+    const annulation = await politiqueAnnulationService.constaterAbsence(
+      reservationPayee(),
+      { dateDepart: departDans(-0.25), politiqueAnnulation: 'STRICTE' },
+      { constateePar: conducteurId, maintenant }
+    );
+
+    expect(annulation.montantRembourse).toBe(0);
+    expect(rembourser).not.toHaveBeenCalled();
+    expect(liberer).toHaveBeenCalledWith(paiement);
+  });
+
+  it('devrait prendre le dédommagement sur les gains du conducteur et l\'attendre au rapprochement', async () => {
+    const paiement = paiementSequestre('PAY-COMP-1');
+    jest.spyOn(Paiement.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Paiement, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Reservation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(livraisonNotificationsService, 'envoyer').mockResolvedValue({ livraison: { notificationId: 'n1' }, doublon: false });
+    jest.spyOn(EcritureComptable, 'exists').mockReturnValue(chaine({ _id: 'e1' }));
+    jest.spyOn(grandLivreService, 'executerEnTransaction').mockImplementation(operation => operation(null));
+    jest.spyOn(grandLivreService, 'passerEcriture').mockImplementation(async (donnees) => ({
+      ecriture: { _id: new mongoose.Types.ObjectId(), reference: donnees.reference, lignes: donnees.lignes },
+      soldes: [],
+      dejaComptabilisee: false
+    }));
+
+    const { montantRembourse, compensation } = await sequestreService.rembourser(paiement, {
+      motif: 'Trajet annulé par le conducteur', compensation: 1250, politique: 'STRICTE'
+    });
+
+    const [remboursement, dedommagement] = grandLivreService.passerEcriture.mock.calls;
+    expect(montantRembourse).toBe(5000);
+    expect(compensation).toBe(1250);
+    expect(dedommagement[0]).toMatchObject({
+      reference: 'COMPENSATION:PAY-COMP-1',
+      type: 'COMPENSATION_ANNULATION',
+      lignes: [
+        { compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant: 1250 },
+        { compte: 'REMBOURSEMENTS', utilisateurId: null, sens: 'CREDIT', montant: 1250 }
+      ]
+    });
+    // Les gains peuvent devenir débiteurs : seuls portefeuille et séquestre sont protégés
+    expect(dedommagement[1].comptesSansDecouvert).toBeUndefined();
+    expect(remboursement[0].reference).toBe('REMBOURSEMENT:PAY-COMP-1');
+    expect(paiement.remboursement).toMatchObject({ montant: 5000, compensation: 1250, politique: 'STRICTE' });
+
+    const attendues = grandLivreService.ecrituresAttendues(paiement).map(a => a.reference);
+    expect(attendues).toEqual(['PAIEMENT:PAY-COMP-1', 'REMBOURSEMENT:PAY-COMP-1', 'COMPENSATION:PAY-COMP-1']);
+  });
+});
@@ -0,0 +1,158 @@
+// __tests__/promotionService.test.js
+const mongoose = require('mongoose');
+const CodePromo = require('../models/CodePromo');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const EcritureComptable = require('../models/EcritureComptable');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const grandLivreService = require('../services/grandLivreService');
+const promotionService = require('../services/promotionService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('promotionService', () => {
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  const passagerId = new mongoose.Types.ObjectId();
+  const trajet = {
+    pointDepart: { commune: 'Cocody' },
+    pointArrivee: { commune: 'Yopougon' }
+  };
+
+  const codePromo = (champs = {}) => new CodePromo({
+    code: 'BIENVENUE',
+    typeReduction: 'POURCENTAGE',
+    valeur: 20,
+    reductionMax: 1500,
+    dateDebut: new Date('2026-10-01T00:00:00Z'),
+    dateFin: new Date('2026-12-31T23:59:59Z'),
+    ...champs
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Reservation, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Reservation, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait plafonner la réduction et laisser au moins le minimum à payer', () => {
+    expect(promotionService.calculerReduction(codePromo(), 5000)).toBe(1000);
+    expect(promotionService.calculerReduction(codePromo(), 10000)).toBe(1500);
+    expect(promotionService.calculerReduction(codePromo({ typeReduction: 'MONTANT_FIXE', valeur: 2000, reductionMax: null }), 2000)).toBe(1700);
+    expect(promotionService.calculerReduction(codePromo({ typeReduction: 'MONTANT_FIXE', valeur: 500, reductionMax: null }), 200)).toBe(0);
+  });
+
+  it('devrait refuser un code hors des communes visées, déjà utilisé ou réservé à la première course', async () => {
+    const evaluer = () => promotionService.evaluerCode('bienvenue', { utilisateurId: passagerId, trajet, montant: 5000, maintenant });
+
+    jest.spyOn(CodePromo, 'findOne').mockResolvedValue(codePromo({ restrictions: { communesDepart: ['plateau'] } }));
+    await expect(evaluer()).rejects.toMatchObject({ code: 'PROMO_ROUTE_EXCLUDED' });
+
+    // Communes comparées sans casse ni accents
+    CodePromo.findOne.mockResolvedValue(codePromo({ restrictions: { communesDepart: ['cocody'], communesArrivee: ['YOPOUGON'] } }));
+    await expect(evaluer()).resolves.toMatchObject({ reduction: 1000 });
+
+    Reservation.countDocuments.mockResolvedValue(1);
+    await expect(evaluer()).rejects.toMatchObject({ code: 'PROMO_USER_LIMIT' });
+
+    Reservation.countDocuments.mockResolvedValue(0);
+    Reservation.exists.mockResolvedValue({ _id: 'r1' });
+    CodePromo.findOne.mockResolvedValue(codePromo({ premiereCourseUniquement: true }));
+    await expect(evaluer()).rejects.toMatchObject({ code: 'PROMO_FIRST_RIDE_ONLY' });
+
+    CodePromo.findOne.mockResolvedValue(codePromo({ dateFin: new Date('2026-10-15T00:00:00Z') }));
+    await expect(evaluer()).rejects.toMatchObject({ code: 'PROMO_EXPIRED', status: 400 });
+  });
+
+  it('devrait cumuler code promo et crédit promotionnel à la réservation en réservant le code', async () => {
+    const code = codePromo();
+    jest.spyOn(CodePromo, 'findOne').mockResolvedValue(code);
+    const reserver = jest.spyOn(CodePromo, 'reserverUtilisation').mockResolvedValue(true);
+    jest.spyOn(grandLivreService, 'obtenirSolde').mockResolvedValue(2000);
+    // 1 200 FCFA déjà engagés sur une autre réservation non payée
+    jest.spyOn(Reservation, 'aggregate').mockResolvedValue([{ _id: null, total: 1200 }]);
+
+    const { montantTotal, promotion } = await promotionService.appliquerReduction({
+      utilisateurId: passagerId, trajet, montant: 5000, code: 'BIENVENUE', utiliserCredit: true, maintenant
+    });
+
+    expect(reserver).toHaveBeenCalledWith(code._id);
+    expect(montantTotal).toBe(3200);
+    expect(promotion).toMatchObject({ code: 'BIENVENUE', montantAvantReduction: 5000, reduction: 1000, creditUtilise: 800 });
+    expect(promotionService.repartitionFrais({ promotion })).toEqual({ reductionPlateforme: 1000, creditPassager: 800 });
+  });
+
+  it('devrait calculer commission et gains sur le prix avant réduction et financer la réduction au grand livre', async () => {
+    const conducteurId = new mongoose.Types.ObjectId();
+    const paiement = new Paiement({
+      referenceTransaction: 'PAY-PROMO-1',
+      reservationId: new mongoose.Types.ObjectId(),
+      payeurId: passagerId,
+      beneficiaireId: conducteurId,
+      montantTotal: 3500,
+      fraisTransaction: 70,
+      methodePaiement: 'MOBILE_MONEY',
+      statutPaiement: 'COMPLETE',
+      repartitionFrais: { reductionPlateforme: 1000, creditPassager: 500 },
+      commission: { modePrelevement: 'paiement_mobile', statutPrelevement: 'en_attente' }
+    });
+    await paiement.calculerCommissionDynamique(20, 0);
+
+    expect(paiement.montantAvantReduction).toBe(5000);
+    expect(paiement.commission.montant).toBe(500);
+    expect(paiement.montantConducteur).toBe(4430);
+
+    const lignes = grandLivreService.lignesPaiement(paiement);
+    expect(lignes).toEqual(expect.arrayContaining([
+      { compte: 'PROMOTIONS', utilisateurId: null, sens: 'DEBIT', montant: 1000 },
+      { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: passagerId, sens: 'DEBIT', montant: 500 },
+      { compte: 'COMPENSATION_OPERATEUR', utilisateurId: null, sens: 'DEBIT', montant: 3430 },
+      { compte: 'COMMISSION_PLATEFORME', utilisateurId: null, sens: 'CREDIT', montant: 500 }
+    ]));
+    const totaux = EcritureComptable.totaux(lignes);
+    expect(totaux.debit).toBe(totaux.credit);
+
+    // Remboursement intégral : le passager récupère son crédit, la plateforme sa réduction
+    const remboursement = grandLivreService.lignesRemboursement(paiement, 3430);
+    expect(remboursement).toEqual(expect.arrayContaining([
+      { compte: 'COMMISSION_PLATEFORME', utilisateurId: null, sens: 'DEBIT', montant: 500 },
+      { compte: 'REMBOURSEMENTS', utilisateurId: null, sens: 'CREDIT', montant: 3430 },
+      { compte: 'PROMOTIONS', utilisateurId: null, sens: 'CREDIT', montant: 1000 },
+      { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: passagerId, sens: 'CREDIT', montant: 500 }
+    ]));
+    const totauxRemboursement = EcritureComptable.totaux(remboursement);
+    expect(totauxRemboursement.debit).toBe(totauxRemboursement.credit);
+  });
+
+  it('devrait créditer parrain et filleul une seule fois après la première course', async () => {
+    const parrainId = new mongoose.Types.ObjectId();
+    const filleul = { _id: passagerId, prenom: 'Awa', parrainage: { parrainId } };
+    jest.spyOn(Utilisateur, 'findOneAndUpdate')
+      .mockReturnValueOnce(chaine(filleul))
+      .mockReturnValueOnce(chaine(null));
+    jest.spyOn(livraisonNotificationsService, 'envoyer').mockResolvedValue({ livraison: { notificationId: 'n1' }, doublon: false });
+    jest.spyOn(grandLivreService, 'executerEnTransaction').mockImplementation(operation => operation(null));
+    const passerEcriture = jest.spyOn(grandLivreService, 'passerEcriture').mockImplementation(async (donnees) => ({
+      ecriture: { _id: new mongoose.Types.ObjectId(), reference: donnees.reference, lignes: donnees.lignes },
+      soldes: [],
+      dejaComptabilisee: false
+    }));
+
+    expect(await promotionService.recompenserParrainages([passagerId])).toBe(1);
+    expect(await promotionService.recompenserParrainages([passagerId])).toBe(0);
+
+    expect(passerEcriture).toHaveBeenCalledTimes(1);
+    expect(passerEcriture.mock.calls[0][0]).toMatchObject({
+      reference: `PARRAINAGE:${passagerId}`,
+      type: 'PARRAINAGE',
+      lignes: [
+        { compte: 'PROMOTIONS', utilisateurId: null, sens: 'DEBIT', montant: 2000 },
+        { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: parrainId, sens: 'CREDIT', montant: 1000 },
+        { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: passagerId, sens: 'CREDIT', montant: 1000 }
+      ]
+    });
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledTimes(2);
+  });
+});
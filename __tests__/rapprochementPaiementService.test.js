@@ -0,0 +1,103 @@
+// __tests__/rapprochementPaiementService.test.js
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const RapprochementPaiement = require('../models/RapprochementPaiement');
+const CinetPayLocalConnector = require('../services/connectors/cinetPayLocalConnector');
+const rapprochementPaiementService = require('../services/rapprochementPaiementService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('rapprochementPaiementService', () => {
+  const maintenant = new Date('2026-10-19T02:30:00Z');
+  let fournisseur;
+  let documents;
+
+  const paiementEnAttente = (reference, { montant = 5000, ilYaHeures = 3 } = {}) => new Paiement({
+    referenceTransaction: reference,
+    reservationId: new mongoose.Types.ObjectId(),
+    payeurId: new mongoose.Types.ObjectId(),
+    beneficiaireId: new mongoose.Types.ObjectId(),
+    montantTotal: montant,
+    montantConducteur: montant - 500,
+    methodePaiement: 'MOBILE_MONEY',
+    statutPaiement: 'EN_ATTENTE',
+    dateInitiation: new Date(maintenant.getTime() - ilYaHeures * 60 * 60 * 1000)
+  });
+
+  beforeEach(() => {
+    fournisseur = new CinetPayLocalConnector();
+    rapprochementPaiementService.utiliserFournisseur(fournisseur);
+    documents = new Map();
+
+    jest.spyOn(Paiement, 'find').mockImplementation(() => chaine([...documents.values()].map(d => d.toObject())));
+    jest.spyOn(Paiement, 'findOne').mockImplementation(({ referenceTransaction }) => chaine(documents.get(referenceTransaction)));
+    jest.spyOn(Paiement, 'findById').mockImplementation((id) =>
+      Promise.resolve([...documents.values()].find(d => d._id.equals(id)))
+    );
+    jest.spyOn(Paiement, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Paiement.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Paiement.prototype, 'traiterCommissionApresPayement').mockResolvedValue(undefined);
+    jest.spyOn(RapprochementPaiement.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait compléter un paiement resté en attente mais payé chez CinetPay', async () => {
+    const paiement = paiementEnAttente('PAY-BLOQUE-1');
+    documents.set(paiement.referenceTransaction, paiement);
+    fournisseur.enregistrerTransaction('PAY-BLOQUE-1', { code: 100, status: 'SUCCESS', amount: 5000 });
+
+    const rapport = await rapprochementPaiementService.executer({ maintenant });
+
+    expect(paiement.statutPaiement).toBe('COMPLETE');
+    expect(paiement.traiterCommissionApresPayement).toHaveBeenCalledTimes(1);
+    expect(rapport.statut).toBe('TERMINE');
+    expect(rapport.lignes[0]).toMatchObject({ action: 'CORRIGE', statutAvant: 'EN_ATTENTE', statutApres: 'COMPLETE', ecartMontant: false });
+    expect(rapport.statistiques).toMatchObject({ controles: 1, corriges: 1, ecartsMontant: 0 });
+  });
+
+  it('devrait signaler un écart de montant sans le corriger', async () => {
+    const paiement = paiementEnAttente('PAY-ECART-1', { montant: 5000 });
+    documents.set(paiement.referenceTransaction, paiement);
+    fournisseur.enregistrerTransaction('PAY-ECART-1', { code: 100, status: 'SUCCESS', amount: 4500 });
+
+    const rapport = await rapprochementPaiementService.executer({ maintenant });
+
+    expect(rapport.lignes[0]).toMatchObject({ ecartMontant: true, montantAttendu: 5000, montantFournisseur: 4500 });
+    expect(rapport.statistiques.ecartsMontant).toBe(1);
+    expect(Paiement.updateOne).toHaveBeenCalledWith(
+      { _id: paiement._id },
+      expect.objectContaining({ $push: expect.anything() })
+    );
+  });
+
+  it('devrait passer en échec une transaction inconnue de CinetPay au-delà du délai d\'expiration', async () => {
+    const ancien = paiementEnAttente('PAY-ABANDON-1', { ilYaHeures: 48 });
+    const recent = paiementEnAttente('PAY-RECENT-1', { ilYaHeures: 2 });
+    documents.set(ancien.referenceTransaction, ancien);
+    documents.set(recent.referenceTransaction, recent);
+
+    const rapport = await rapprochementPaiementService.executer({ maintenant });
+
+    expect(ancien.statutPaiement).toBe('ECHEC');
+    expect(recent.statutPaiement).toBe('EN_ATTENTE');
+    expect(rapport.statistiques).toMatchObject({ controles: 2, expires: 1, inchanges: 1 });
+  });
+
+  it('devrait exporter le rapport en CSV avec une ligne par paiement contrôlé', async () => {
+    const { contenu, type, nomFichier } = await rapprochementPaiementService.exporterRapport({
+      _id: 'r1',
+      createdAt: maintenant,
+      lignes: [{ referenceTransaction: 'PAY-1', type: 'PAIEMENT', action: 'CORRIGE', message: 'montant "divergent"' }]
+    }, 'csv');
+
+    const lignes = contenu.toString('utf8').replace(/^\uFEFF/, '').split('\n');
+    expect(type).toMatch(/text\/csv/);
+    expect(nomFichier).toBe('rapprochement-cinetpay-2026-10-19-r1.csv');
+    expect(lignes).toHaveLength(2);
+    expect(lignes[0]).toContain('"Référence"');
+    expect(lignes[1]).toContain('"PAY-1"');
+    expect(lignes[1]).toContain('"montant ""divergent"""');
+  });
+});
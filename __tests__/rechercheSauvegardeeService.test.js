@@ -0,0 +1,117 @@
+// __tests__/rechercheSauvegardeeService.test.js
+jest.mock('../models/RechercheSauvegardee', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  reserverAlerte: jest.fn()
+}));
+jest.mock('../models/Trajet', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/Reservation', () => ({
+  find: jest.fn()
+}));
+jest.mock('../services/geoSearchService', () => ({
+  evaluerCorrespondance: jest.fn()
+}));
+jest.mock('../services/livraisonNotificationsService', () => ({
+  envoyer: jest.fn().mockResolvedValue({ livraison: { notificationId: 'notif' }, doublon: false })
+}));
+
+const RechercheSauvegardee = require('../models/RechercheSauvegardee');
+const Reservation = require('../models/Reservation');
+const geoSearchService = require('../services/geoSearchService');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const rechercheSauvegardeeService = require('../services/rechercheSauvegardeeService');
+
+describe('rechercheSauvegardeeService', () => {
+  const maintenant = new Date('2030-01-07T06:00:00Z');
+
+  const trajet = {
+    _id: 'trajet1',
+    conducteurId: 'conducteur1',
+    statutTrajet: 'PROGRAMME',
+    nombrePlacesDisponibles: 2,
+    prixParPassager: 1000,
+    dateDepart: new Date('2030-01-09T07:30:00Z'),
+    heureDepart: '07:30',
+    pointDepart: { nom: 'Riviera', commune: 'Cocody', coordonnees: { coordinates: [-3.99, 5.36] } },
+    pointArrivee: { nom: 'Plateau', commune: 'Plateau', coordonnees: { coordinates: [-4.01, 5.32] } }
+  };
+
+  const recherche = (id, passagerId) => ({
+    _id: id,
+    passagerId,
+    rayonKm: 2,
+    depart: { coordonnees: { coordinates: [-3.99, 5.36] } },
+    arrivee: { commune: 'plateau', coordonnees: { coordinates: [-4.01, 5.32] } }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Reservation.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    geoSearchService.evaluerCorrespondance.mockReturnValue({ correspondance: 'CORRIDOR', arretMontee: {} });
+    RechercheSauvegardee.reserverAlerte.mockResolvedValue(true);
+  });
+
+  describe('notifierCorrespondances', () => {
+    it('devrait alerter les passagers dont la recherche correspond (push + in-app)', async () => {
+      RechercheSauvegardee.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([recherche('r1', 'p1')]) });
+      const io = { to: jest.fn().mockReturnValue({ emit: jest.fn() }) };
+
+      const resultat = await rechercheSauvegardeeService.notifierCorrespondances(trajet, { io, maintenant });
+
+      expect(resultat).toEqual({ evaluees: 1, notifiees: 1 });
+      expect(geoSearchService.evaluerCorrespondance).toHaveBeenCalledWith(trajet, expect.objectContaining({
+        departLat: 5.36, arriveeLng: -4.01, rayonMontee: 2, rayonCorridor: 2000, communeArrivee: 'plateau'
+      }));
+      expect(livraisonNotificationsService.envoyer).toHaveBeenCalledWith('p1', expect.objectContaining({
+        evenement: 'RECHERCHE_SAUVEGARDEE',
+        categorie: 'trajets',
+        donnees: expect.objectContaining({ trajetId: 'trajet1', motif: 'NOUVEAU_TRAJET' })
+      }));
+      expect(io.to).toHaveBeenCalledWith('user_p1');
+    });
+
+    it('devrait respecter la limite quotidienne et les passagers déjà inscrits', async () => {
+      RechercheSauvegardee.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([recherche('r1', 'p1'), recherche('r2', 'p2'), recherche('r3', 'p3')])
+      });
+      Reservation.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['p2']) });
+      // r1: limite atteinte
+      RechercheSauvegardee.reserverAlerte.mockImplementation(async (id) => id !== 'r1');
+
+      const resultat = await rechercheSauvegardeeService.notifierCorrespondances(trajet, { maintenant });
+
+      expect(resultat.notifiees).toBe(1);
+      expect(livraisonNotificationsService.envoyer).toHaveBeenCalledTimes(1);
+      expect(livraisonNotificationsService.envoyer.mock.calls[0][0]).toBe('p3');
+    });
+
+    it('devrait ignorer un trajet complet ou non programmé', async () => {
+      const resultat = await rechercheSauvegardeeService.notifierCorrespondances(
+        { ...trajet, nombrePlacesDisponibles: 0 }, { maintenant }
+      );
+
+      expect(resultat.evaluees).toBe(0);
+      expect(RechercheSauvegardee.find).not.toHaveBeenCalled();
+    });
+
+    it('ne devrait pas alerter si le matcher rejette le trajet', async () => {
+      RechercheSauvegardee.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([recherche('r1', 'p1')]) });
+      geoSearchService.evaluerCorrespondance.mockReturnValue(null);
+
+      const resultat = await rechercheSauvegardeeService.notifierCorrespondances(trajet, { maintenant });
+
+      expect(resultat.notifiees).toBe(0);
+      expect(RechercheSauvegardee.reserverAlerte).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('creer', () => {
+    it('devrait refuser au-delà du nombre de recherches actives', async () => {
+      RechercheSauvegardee.countDocuments.mockResolvedValue(10);
+
+      await expect(rechercheSauvegardeeService.creer('p1', {})).rejects.toThrow('Limite');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// __tests__/recuService.test.js
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const Recu = require('../models/Recu');
+const Retrait = require('../models/Retrait');
+const Utilisateur = require('../models/Utilisateur');
+const ReleveMensuel = require('../models/ReleveMensuel');
+const emailService = require('../services/emailService');
+const recuService = require('../services/recuService');
+const releveService = require('../services/releveService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('recuService et releveService', () => {
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  const conducteurId = new mongoose.Types.ObjectId();
+
+  const paiementRecharge = (champs = {}) => new Paiement({
+    referenceTransaction: 'RECH-RECU-1',
+    payeurId: conducteurId,
+    beneficiaireId: conducteurId,
+    montantTotal: 10000,
+    montantConducteur: 0,
+    commissionPlateforme: 0,
+    methodePaiement: 'MOBILE_MONEY',
+    statutPaiement: 'COMPLETE',
+    dateCompletion: new Date('2026-10-19T09:00:00Z'),
+    ...champs
+  });
+
+  // Reçu cohérent (empreinte recalculée) à partir d'un contenu
+  const recuChaine = (sequence, empreintePrecedente, contenu = { type: 'RECHARGE', montants: { montantPaye: 5000 } }) => {
+    const numero = recuService.formaterNumero(sequence, maintenant);
+    const recu = { sequence, numero, contenu: { ...contenu, numero }, empreintePrecedente, montant: 5000, type: 'RECHARGE', dateEmission: maintenant };
+    return { ...recu, empreinte: recuService.calculerEmpreinte(recu) };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Utilisateur, 'find').mockReturnValue(chaine([{ _id: conducteurId, prenom: 'Koffi', nom: 'Yao' }]));
+    jest.spyOn(Paiement, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait émettre un reçu numéroté chaîné au précédent et le lier au paiement', async () => {
+    const precedent = recuChaine(41, Recu.EMPREINTE_ORIGINE);
+    jest.spyOn(Recu, 'findOne')
+      .mockReturnValueOnce(chaine(null))
+      .mockReturnValueOnce(chaine(precedent));
+    const creer = jest.spyOn(Recu, 'create').mockImplementation(async (donnees) => donnees);
+    const paiement = paiementRecharge();
+
+    const recu = await recuService.emettreRecu(paiement, { maintenant });
+
+    expect(recu).toMatchObject({ numero: 'RC-2026-000042', sequence: 42, type: 'RECHARGE', montant: 10000 });
+    expect(recu.empreintePrecedente).toBe(precedent.empreinte);
+    expect(recu.empreinte).toBe(recuService.calculerEmpreinte(recu));
+    expect(recu.contenu).toMatchObject({
+      payeur: { nom: 'Koffi Yao' },
+      montants: { montantPaye: 10000, commission: 0 },
+      paiement: { referenceTransaction: 'RECH-RECU-1', dateCompletion: '2026-10-19T09:00:00.000Z' }
+    });
+    expect(creer).toHaveBeenCalledTimes(1);
+    expect(paiement.numeroRecu).toBe('RC-2026-000042');
+    expect(Paiement.updateOne).toHaveBeenCalledWith(
+      { _id: paiement._id },
+      { $set: { numeroRecu: 'RC-2026-000042', urlRecu: expect.stringContaining('/api/recus/RC-2026-000042/pdf') } }
+    );
+  });
+
+  it('devrait reprendre la séquence suivante quand une émission concurrente a pris le numéro', async () => {
+    const premier = recuChaine(1, Recu.EMPREINTE_ORIGINE);
+    const second = recuChaine(2, premier.empreinte);
+    jest.spyOn(Recu, 'findOne')
+      .mockReturnValueOnce(chaine(null))
+      .mockReturnValueOnce(chaine(premier))
+      .mockReturnValueOnce(chaine(second));
+    const doublon = Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { sequence: 1 } });
+    jest.spyOn(Recu, 'create')
+      .mockRejectedValueOnce(doublon)
+      .mockImplementationOnce(async (donnees) => donnees);
+
+    const recu = await recuService.emettreRecu(paiementRecharge(), { maintenant });
+
+    expect(recu.sequence).toBe(3);
+    expect(recu.empreintePrecedente).toBe(second.empreinte);
+    expect(Recu.create).toHaveBeenCalledTimes(2);
+  });
+
+  it('devrait refuser le reçu d\'un paiement non complété', async () => {
+    jest.spyOn(Recu, 'findOne').mockReturnValue(chaine(null));
+    const creer = jest.spyOn(Recu, 'create');
+
+    await expect(recuService.emettreRecu(paiementRecharge({ statutPaiement: 'EN_ATTENTE', dateCompletion: null })))
+      .rejects.toMatchObject({ code: 'RECEIPT_NOT_AVAILABLE', status: 409 });
+    expect(creer).not.toHaveBeenCalled();
+  });
+
+  it('devrait détecter un reçu dont le contenu a été modifié après émission', async () => {
+    const premier = recuChaine(1, Recu.EMPREINTE_ORIGINE);
+    const second = recuChaine(2, premier.empreinte);
+    jest.spyOn(Recu, 'findOne').mockImplementation((filtre) => {
+      if (filtre.numero === second.numero) return chaine(second);
+      if (filtre.sequence === 1) return chaine(premier);
+      return chaine(null);
+    });
+
+    await expect(recuService.verifierRecu(second.numero.toLowerCase())).resolves.toMatchObject({ valide: true, integre: true, chaineValide: true });
+
+    second.contenu.montants.montantPaye = 500;
+    await expect(recuService.verifierRecu(second.numero)).resolves.toMatchObject({ valide: false, integre: false, chaineValide: true });
+  });
+
+  it('devrait totaliser le relevé mensuel et l\'envoyer une seule fois avec PDF et CSV joints', async () => {
+    const trajetId = new mongoose.Types.ObjectId();
+    // Documents peuplés : montantAvantReduction = montant payé + réduction plateforme
+    const course = (referenceTransaction, montantAvantReduction, commission, montantConducteur) => ({
+      referenceTransaction,
+      montantAvantReduction,
+      commission: { montant: commission },
+      fraisTransaction: 0,
+      montantConducteur,
+      dateCompletion: new Date('2026-09-12T08:00:00Z'),
+      reservationId: { trajetId: { _id: trajetId, pointDepart: { commune: 'Cocody' }, pointArrivee: { commune: 'Plateau' } } }
+    });
+
+    jest.spyOn(Utilisateur, 'findById').mockReturnValue(chaine({ _id: conducteurId, prenom: 'Koffi', nom: 'Yao', email: 'koffi@example.ci' }));
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([
+      course('PAY-1', 5000, 500, 4500),
+      course('PAY-2', 3000, 300, 2700)
+    ]));
+    jest.spyOn(Retrait, 'find').mockReturnValue(chaine([
+      { reference: 'RET-1', montant: 6000, operateur: 'WAVE', dateFinalisation: new Date('2026-09-20T10:00:00Z') }
+    ]));
+    jest.spyOn(Paiement, 'distinct').mockResolvedValue([conducteurId]);
+    jest.spyOn(Retrait, 'distinct').mockResolvedValue([conducteurId]);
+    jest.spyOn(Utilisateur, 'find').mockReturnValue(chaine([{ _id: conducteurId }]));
+    const doublon = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    jest.spyOn(ReleveMensuel, 'create').mockResolvedValueOnce({}).mockRejectedValueOnce(doublon);
+    jest.spyOn(ReleveMensuel, 'findOneAndUpdate').mockResolvedValue(null);
+    const marquer = jest.spyOn(ReleveMensuel, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const envoyer = jest.spyOn(emailService, 'envoyerEmail').mockResolvedValue({ success: true });
+
+    const releve = await releveService.calculerReleve(conducteurId, 2026, 9, { maintenant });
+    expect(releve.totaux).toEqual({
+      trajets: 1,
+      courses: 2,
+      montantBrut: 8000,
+      commissions: 800,
+      fraisTransaction: 0,
+      montantNet: 7200,
+      retraits: 6000,
+      nombreRetraits: 1
+    });
+
+    const csv = await releveService.exporterReleve(releve, 'csv');
+    const lignes = csv.contenu.toString('utf8').split('\n');
+    expect(lignes).toHaveLength(5);
+    expect(lignes[4]).toBe('"TOTAL","2026-09","","","1 trajet(s), 2 course(s)","8000","800","0","7200","6000"');
+
+    await expect(releveService.envoyerRelevesMensuels({ maintenant: new Date('2026-10-01T06:00:00Z') }))
+      .resolves.toMatchObject({ periode: '2026-09', envoyes: 1, ignores: 0, erreurs: 0 });
+    await expect(releveService.envoyerRelevesMensuels({ maintenant: new Date('2026-10-01T06:00:00Z') }))
+      .resolves.toMatchObject({ envoyes: 0, ignores: 1 });
+
+    expect(envoyer).toHaveBeenCalledTimes(1);
+    const { to, attachments } = envoyer.mock.calls[0][0];
+    expect(to).toBe('koffi@example.ci');
+    expect(attachments.map(a => a.contentType)).toEqual(['application/pdf', 'text/csv; charset=utf-8']);
+    expect(attachments[0].content.slice(0, 4).toString()).toBe('%PDF');
+    expect(marquer).toHaveBeenCalledWith(
+      { conducteurId, periode: '2026-09' },
+      { $set: expect.objectContaining({ statut: 'ENVOYE', totaux: expect.objectContaining({ montantNet: 7200 }) }) }
+    );
+  });
+});
@@ -0,0 +1,172 @@
+// __tests__/recurrenceService.test.js
+jest.mock('../models/Trajet', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../models/Reservation', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/Utilisateur', () => ({}));
+jest.mock('../services/firebaseService', () => ({
+  notifyRecurrenceConflict: jest.fn()
+}));
+
+const Trajet = require('../models/Trajet');
+const Reservation = require('../models/Reservation');
+const firebaseService = require('../services/firebaseService');
+const RecurrenceService = require('../services/recurrenceService');
+
+describe('RecurrenceService', () => {
+  // Lundi 7 janvier 2030 → dimanche 3 février 2030 (heure locale)
+  const debut = new Date(2030, 0, 7);
+  const fin = new Date(2030, 1, 3, 23, 59);
+
+  const jourSemaine = (date) => date.getDay();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================
+  // TESTS: génération des occurrences
+  // ============================================================
+  describe('genererOccurrences', () => {
+    it('devrait conserver le comportement hebdomadaire simple', () => {
+      const dates = RecurrenceService.genererDatesRecurrence(['LUNDI', 'VENDREDI'], debut, fin, '07:30');
+
+      expect(dates).toHaveLength(8);
+      expect(dates.every(d => [1, 5].includes(jourSemaine(d)))).toBe(true);
+      expect(dates[0].getHours()).toBe(7);
+      expect(dates[0].getMinutes()).toBe(30);
+    });
+
+    it('devrait respecter un intervalle de N semaines', () => {
+      const occurrences = RecurrenceService.genererOccurrences(
+        { jours: ['LUNDI'], intervalleSemaines: 2 }, debut, fin, '07:30', debut
+      );
+
+      expect(occurrences.map(o => o.date.getDate())).toEqual([7, 21]);
+    });
+
+    it('devrait appliquer les horaires par jour de la semaine', () => {
+      const occurrences = RecurrenceService.genererOccurrences(
+        {
+          jours: ['LUNDI', 'VENDREDI'],
+          horairesParJour: [{ jour: 'VENDREDI', heureDepart: '08:00' }]
+        },
+        debut, new Date(2030, 0, 13), '07:30'
+      );
+
+      expect(occurrences.map(o => o.heureDepart)).toEqual(['07:30', '08:00']);
+      expect(occurrences[1].date.getHours()).toBe(8);
+    });
+
+    it('devrait ignorer les dates exclues et décaler les horaires modifiés', () => {
+      const occurrences = RecurrenceService.genererOccurrences(
+        {
+          jours: ['LUNDI'],
+          exceptions: [
+            { date: new Date(2030, 0, 14), type: 'ANNULEE', motif: 'Jour férié' },
+            { date: new Date(2030, 0, 21), type: 'HORAIRE_MODIFIE', heureDepart: '09:15' }
+          ]
+        },
+        debut, fin, '07:30'
+      );
+
+      expect(occurrences.map(o => o.date.getDate())).toEqual([7, 21, 28]);
+      expect(occurrences[1]).toMatchObject({ heureDepart: '09:15', exception: 'HORAIRE_MODIFIE' });
+    });
+
+    it('devrait générer un motif mensuel par quantième et par position', () => {
+      const occurrences = RecurrenceService.genererOccurrences(
+        {
+          frequence: 'MENSUEL',
+          joursDuMois: [15],
+          positionsMensuelles: [{ rang: -1, jour: 'VENDREDI' }, { rang: 1, jour: 'LUNDI' }]
+        },
+        new Date(2030, 0, 1), new Date(2030, 1, 28, 23, 59), '07:30'
+      );
+
+      // 1er lundi, le 15, dernier vendredi — janvier puis février
+      expect(occurrences.map(o => `${o.date.getMonth() + 1}/${o.date.getDate()}`))
+        .toEqual(['1/7', '1/15', '1/25', '2/4', '2/15', '2/22']);
+    });
+  });
+
+  describe('validerConfiguration', () => {
+    it('devrait exiger des jours pour une récurrence hebdomadaire', () => {
+      expect(RecurrenceService.validerConfiguration({ jours: [] })).not.toBeNull();
+      expect(RecurrenceService.validerConfiguration({ jours: ['LUNDI'] })).toBeNull();
+    });
+
+    it('devrait exiger un motif pour une récurrence mensuelle', () => {
+      expect(RecurrenceService.validerConfiguration({ frequence: 'MENSUEL' })).not.toBeNull();
+      expect(RecurrenceService.validerConfiguration({ frequence: 'MENSUEL', joursDuMois: [1] })).toBeNull();
+    });
+  });
+
+  // ============================================================
+  // TESTS: mise à jour de la récurrence
+  // ============================================================
+  describe('mettreAJourRecurrence', () => {
+    const dansJours = (n, heure = 7) => {
+      const d = new Date();
+      d.setDate(d.getDate() + n);
+      d.setHours(heure, 30, 0, 0);
+      return d;
+    };
+
+    const instanceLibre = { _id: 'libre', dateDepart: dansJours(3), heureDepart: '07:30' };
+    const instanceReservee = { _id: 'reservee', dateDepart: dansJours(4), heureDepart: '07:30' };
+
+    beforeEach(() => {
+      Trajet.findById.mockResolvedValue({
+        _id: 'parent',
+        typeTrajet: 'RECURRENT',
+        heureDepart: '07:30',
+        dateDepart: dansJours(-30),
+        pointArrivee: { adresse: 'Plateau' },
+        recurrence: { jours: ['LUNDI'], dateFinRecurrence: dansJours(20) },
+        save: jest.fn().mockResolvedValue(true)
+      });
+      Trajet.find.mockResolvedValue([instanceLibre, instanceReservee]);
+      Trajet.deleteMany.mockResolvedValue({ deletedCount: 1 });
+      Reservation.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'resa1', trajetId: 'reservee', passagerId: 'passager1', statutReservation: 'CONFIRMEE' }
+        ])
+      });
+      jest.spyOn(RecurrenceService, 'genererInstancesRecurrentes').mockResolvedValue({ instancesCreees: 2 });
+    });
+
+    it('devrait supprimer les instances libres et conserver les réservées en notifiant', async () => {
+      // Aucun jour ne correspond: toutes les instances sont hors motif
+      const resultat = await RecurrenceService.mettreAJourRecurrence('parent', {
+        jours: ['DIMANCHE'],
+        exceptions: [{ date: dansJours(3), type: 'ANNULEE' }, { date: dansJours(4), type: 'ANNULEE' }]
+      });
+
+      expect(Trajet.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['libre'] } });
+      expect(resultat.instancesConservees).toBe(1);
+      expect(resultat.conflits).toHaveLength(1);
+      expect(resultat.conflits[0]).toMatchObject({
+        instanceId: 'reservee',
+        raison: 'OCCURRENCE_SUPPRIMEE',
+        passagersNotifies: 1
+      });
+      expect(firebaseService.notifyRecurrenceConflict).toHaveBeenCalledWith(
+        'passager1',
+        expect.objectContaining({ reservationId: 'resa1', raison: 'OCCURRENCE_SUPPRIMEE' }),
+        expect.anything()
+      );
+      expect(RecurrenceService.genererInstancesRecurrentes).toHaveBeenCalled();
+    });
+
+    it('devrait rejeter une configuration invalide sans rien modifier', async () => {
+      await expect(RecurrenceService.mettreAJourRecurrence('parent', { frequence: 'MENSUEL' }))
+        .rejects.toThrow('Configuration de récurrence invalide');
+      expect(Trajet.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,221 @@
+jest.mock('../models/Reservation', () => {
+  class Reservation {
+    constructor(data = {}) {
+      Object.assign(this, { _id: 'reservation-nouvelle' }, data);
+      this.save = jest.fn().mockResolvedValue(this);
+      this.populate = jest.fn().mockResolvedValue(this);
+    }
+  }
+
+  Reservation.findById = jest.fn();
+  Reservation.findOne = jest.fn();
+  Reservation.verifierDisponibilite = jest.fn();
+  Reservation.synchroniserPlacesTrajet = jest.fn();
+  return Reservation;
+});
+
+jest.mock('../models/Trajet', () => ({
+  findById: jest.fn(),
+  obtenirArretsOrdonnes: jest.fn()
+}));
+
+jest.mock('../models/Utilisateur', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../models/Paiement', () => ({
+  findOne: jest.fn(),
+  exists: jest.fn()
+}));
+
+jest.mock('../services/notificationService', () => ({
+  notifierReservationRefusee: jest.fn(),
+  notifierNouvelleReservation: jest.fn()
+}));
+jest.mock('../services/detourService', () => ({
+  coordonneesValides: jest.fn().mockReturnValue(false)
+}));
+jest.mock('../services/listeAttenteService', () => ({
+  signalerPlacesLiberees: jest.fn()
+}));
+jest.mock('../services/grandLivreService', () => ({}));
+jest.mock('../services/sequestreService', () => ({
+  rembourserReservations: jest.fn()
+}));
+jest.mock('../services/politiqueAnnulationService', () => ({
+  annulerParPassager: jest.fn()
+}));
+jest.mock('../services/promotionService', () => ({
+  appliquerReduction: jest.fn(),
+  annulerReduction: jest.fn()
+}));
+jest.mock('../services/partageReservationService', () => ({}));
+
+const Reservation = require('../models/Reservation');
+const Trajet = require('../models/Trajet');
+const Utilisateur = require('../models/Utilisateur');
+const Paiement = require('../models/Paiement');
+const notificationService = require('../services/notificationService');
+const promotionService = require('../services/promotionService');
+const sequestreService = require('../services/sequestreService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const ReservationController = require('../controllers/reservationController');
+const { chaine } = require('./helpers/requeteMongoose');
+
+// Départ, arrêt à mi-parcours, arrivée
+const ARRETS = [
+  { index: 0, nom: 'Adjamé', distanceDepuisDepartKm: 0 },
+  { index: 1, nom: 'Deux-Plateaux', distanceDepuisDepartKm: 10 },
+  { index: 2, nom: 'Bingerville', distanceDepuisDepartKm: 20 }
+];
+
+const createMockTrajet = (overrides = {}) => ({
+  _id: 'trajet-1',
+  conducteurId: { _id: 'conducteur-1', toString: () => 'conducteur-1' },
+  statutTrajet: 'PROGRAMME',
+  prixParPassager: 2000,
+  nombrePlacesDisponibles: 3,
+  dateDepart: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('reservationController', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = { params: {}, query: {}, body: {}, user: { id: 'passager-1' }, app: { get: jest.fn().mockReturnValue(null) } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+
+    Trajet.obtenirArretsOrdonnes.mockReturnValue(ARRETS);
+    Reservation.findOne.mockResolvedValue(null);
+    Reservation.synchroniserPlacesTrajet.mockResolvedValue(1);
+    Utilisateur.findById.mockReturnValue(chaine({ nom: 'Koné', prenom: 'Awa' }));
+  });
+
+  describe('creerReservation', () => {
+    beforeEach(() => {
+      req.body = {
+        trajetId: 'trajet-1',
+        nombrePlacesReservees: 2,
+        pointPriseEnCharge: { nom: 'Deux-Plateaux', adresse: 'Deux-Plateaux' },
+        pointDepose: { nom: 'Bingerville', adresse: 'Bingerville' },
+        indexMontee: '1',
+        indexDescente: '2'
+      };
+      Trajet.findById.mockReturnValue(chaine(createMockTrajet()));
+    });
+
+    it('renvoie 400 si le tronçon demandé est complet', async () => {
+      Reservation.verifierDisponibilite.mockResolvedValue({ disponible: false, placesDisponibles: 0 });
+
+      await ReservationController.creerReservation(req, res, next);
+
+      expect(Reservation.verifierDisponibilite).toHaveBeenCalledWith('trajet-1', 2, 1, 2);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_SEATS' }));
+      expect(promotionService.appliquerReduction).not.toHaveBeenCalled();
+    });
+
+    it('crée la réservation en attente au prix du tronçon', async () => {
+      Reservation.verifierDisponibilite.mockResolvedValue({ disponible: true, placesDisponibles: 2 });
+      promotionService.appliquerReduction.mockImplementation(async ({ montant }) => ({ montantTotal: montant, promotion: null }));
+
+      await ReservationController.creerReservation(req, res, next);
+
+      expect(promotionService.appliquerReduction).toHaveBeenCalledWith(expect.objectContaining({ montant: 2000 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { reservation } = res.json.mock.calls[0][0].data;
+      expect(reservation).toMatchObject({ statutReservation: 'EN_ATTENTE', indexMontee: 1, indexDescente: 2, montantTotal: 2000 });
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalledWith('trajet-1');
+      expect(notificationService.notifierNouvelleReservation).toHaveBeenCalledWith('conducteur-1', expect.objectContaining({
+        passagerNom: 'Koné',
+        nombrePlaces: 2,
+        montant: 2000
+      }));
+    });
+  });
+
+  describe('confirmerReservation', () => {
+    it('refuse le supplément de détour quand un paiement mobile est déjà engagé', async () => {
+      const reservation = {
+        _id: 'reservation-1',
+        passagerId: { _id: 'passager-1' },
+        statutReservation: 'EN_ATTENTE',
+        montantTotal: 2000,
+        supplementDetour: { statut: 'PROPOSE', montantSuggere: 500 },
+        trajetId: createMockTrajet(),
+        save: jest.fn()
+      };
+      Reservation.findById.mockReturnValue(chaine(reservation));
+      Paiement.exists.mockResolvedValue({ _id: 'paiement-1' });
+      req.user = { id: 'conducteur-1' };
+      req.params.id = 'reservation-1';
+      req.body = { accepterSupplementDetour: true };
+
+      await ReservationController.confirmerReservation(req, res, next);
+
+      expect(Paiement.exists).toHaveBeenCalledWith(expect.objectContaining({ reservationId: 'reservation-1', methodePaiement: { $ne: 'ESPECES' } }));
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SUPPLEMENT_DETOUR_PAIEMENT_ENGAGE' }));
+      expect(reservation.montantTotal).toBe(2000);
+      expect(reservation.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refuserReservation', () => {
+    it('rembourse le séquestre de la réservation refusée', async () => {
+      const reservation = {
+        _id: 'reservation-1',
+        passagerId: { _id: 'passager-1' },
+        statutReservation: 'EN_ATTENTE',
+        trajetId: createMockTrajet(),
+        save: jest.fn()
+      };
+      Reservation.findById.mockReturnValue(chaine(reservation));
+      req.user = { id: 'conducteur-1' };
+      req.params.id = 'reservation-1';
+
+      await ReservationController.refuserReservation(req, res, next);
+
+      expect(reservation.statutReservation).toBe('REFUSEE');
+      expect(sequestreService.rembourserReservations).toHaveBeenCalledWith('reservation-1', 'Réservation refusée par le conducteur', { io: null });
+      expect(promotionService.annulerReduction).toHaveBeenCalledWith(reservation);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('annulerReservation', () => {
+    it('rembourse selon la politique d\'annulation du trajet', async () => {
+      const trajet = createMockTrajet();
+      const reservation = {
+        _id: 'reservation-1',
+        passagerId: { _id: 'passager-1' },
+        statutReservation: 'CONFIRMEE',
+        statutPaiement: 'PAYE',
+        nombrePlacesReservees: 2,
+        trajetId: trajet,
+        peutEtreAnnulee: () => true,
+        save: jest.fn()
+      };
+      Reservation.findById.mockReturnValue(chaine(reservation));
+      politiqueAnnulationService.annulerParPassager.mockResolvedValue({ montantRembourse: 1000 });
+      req.params.id = 'reservation-1';
+      req.body = { raisonAnnulation: 'Empêchement' };
+
+      await ReservationController.annulerReservation(req, res, next);
+
+      expect(politiqueAnnulationService.annulerParPassager).toHaveBeenCalledWith(reservation, trajet, { motif: 'Empêchement', io: null });
+      expect(promotionService.annulerReduction).toHaveBeenCalledWith(reservation);
+      expect(reservation).toMatchObject({ statutReservation: 'ANNULEE', statutPaiement: 'REMBOURSE' });
+      expect(res.json.mock.calls[0][0].data.montantRemboursement).toBe(1000);
+    });
+  });
+});
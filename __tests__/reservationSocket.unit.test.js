@@ -0,0 +1,259 @@
+jest.mock('../models/Reservation', () => {
+  class Reservation {
+    constructor(data = {}) {
+      Object.assign(this, { _id: 'reservation-nouvelle' }, data);
+      this.save = jest.fn().mockResolvedValue(this);
+      this.populate = jest.fn().mockResolvedValue(this);
+    }
+  }
+
+  Reservation.findById = jest.fn();
+  Reservation.findOne = jest.fn();
+  Reservation.findByIdAndUpdate = jest.fn();
+  Reservation.verifierDisponibilite = jest.fn();
+  Reservation.synchroniserPlacesTrajet = jest.fn();
+  return Reservation;
+});
+
+jest.mock('../models/Trajet', () => ({
+  findById: jest.fn(),
+  obtenirArretsOrdonnes: jest.fn()
+}));
+
+jest.mock('../models/Conversation', () => {
+  class Conversation {
+    constructor(data = {}) {
+      Object.assign(this, { _id: 'conversation-1' }, data);
+      this.save = jest.fn().mockResolvedValue(this);
+    }
+  }
+
+  Conversation.findOne = jest.fn();
+  return Conversation;
+});
+
+jest.mock('../services/listeAttenteService', () => ({
+  signalerPlacesLiberees: jest.fn()
+}));
+
+jest.mock('../services/sequestreService', () => ({
+  rembourserReservations: jest.fn()
+}));
+
+jest.mock('../services/politiqueAnnulationService', () => ({
+  annulerParPassager: jest.fn()
+}));
+
+jest.mock('../services/promotionService', () => ({
+  annulerReduction: jest.fn()
+}));
+
+const Reservation = require('../models/Reservation');
+const Trajet = require('../models/Trajet');
+const Conversation = require('../models/Conversation');
+const listeAttenteService = require('../services/listeAttenteService');
+const sequestreService = require('../services/sequestreService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const promotionService = require('../services/promotionService');
+const registerReservationHandlers = require('../realtime/handlers/reservation');
+const { chaine } = require('./helpers/requeteMongoose');
+
+// Départ, arrêt à mi-parcours, arrivée
+const ARRETS = [
+  { index: 0, nom: 'Adjamé', distanceDepuisDepartKm: 0 },
+  { index: 1, nom: 'Deux-Plateaux', distanceDepuisDepartKm: 10 },
+  { index: 2, nom: 'Bingerville', distanceDepuisDepartKm: 20 }
+];
+
+const creerSocket = (user) => {
+  const gestionnaires = {};
+  const socket = {
+    user,
+    on: jest.fn((evenement, gestionnaire) => { gestionnaires[evenement] = gestionnaire; }),
+    emit: jest.fn()
+  };
+  return { socket, declencher: (evenement, donnees) => gestionnaires[evenement](donnees) };
+};
+
+const createMockTrajet = (overrides = {}) => ({
+  _id: 'trajet-1',
+  conducteurId: { _id: 'conducteur-1', toString: () => 'conducteur-1' },
+  statutTrajet: 'PROGRAMME',
+  prixParPassager: 2000,
+  nombrePlacesDisponibles: 3,
+  validationAutomatique: false,
+  dateDepart: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('handlers socket de réservation', () => {
+  let io;
+  let emissions;
+  let passager;
+  let conducteur;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    emissions = [];
+    io = { to: jest.fn(salle => ({ emit: (evenement, donnees) => emissions.push({ salle, evenement, donnees }) })) };
+
+    passager = creerSocket({ id: 'passager-1', nom: 'Koné', prenom: 'Awa' });
+    conducteur = creerSocket({ id: 'conducteur-1', nom: 'Yao', prenom: 'Serge' });
+    registerReservationHandlers(passager.socket, io);
+    registerReservationHandlers(conducteur.socket, io);
+
+    Trajet.obtenirArretsOrdonnes.mockReturnValue(ARRETS);
+    Reservation.findOne.mockResolvedValue(null);
+    Reservation.synchroniserPlacesTrajet.mockResolvedValue(1);
+    Conversation.findOne.mockResolvedValue(null);
+  });
+
+  describe('makeReservation', () => {
+    const demande = {
+      trajetId: 'trajet-1',
+      nombrePlacesReservees: 2,
+      pointPriseEnCharge: { nom: 'Deux-Plateaux' },
+      pointDepose: { nom: 'Bingerville' },
+      indexMontee: 1,
+      indexDescente: 2
+    };
+
+    it('refuse un tronçon complet même si une autre portion du trajet a des places', async () => {
+      Trajet.findById.mockReturnValue(chaine(createMockTrajet({ nombrePlacesDisponibles: 3 })));
+      Reservation.verifierDisponibilite.mockResolvedValue({ disponible: false, placesDisponibles: 0 });
+
+      await passager.declencher('makeReservation', demande);
+
+      expect(Reservation.verifierDisponibilite).toHaveBeenCalledWith('trajet-1', 2, 1, 2);
+      expect(passager.socket.emit).toHaveBeenCalledWith('error', {
+        type: 'RESERVATION_ERROR',
+        message: 'Seulement 0 place(s) disponible(s)'
+      });
+      expect(Reservation.synchroniserPlacesTrajet).not.toHaveBeenCalled();
+    });
+
+    it('facture le prix du tronçon et retient les places de la demande en attente', async () => {
+      Trajet.findById.mockReturnValue(chaine(createMockTrajet()));
+      Reservation.verifierDisponibilite.mockResolvedValue({ disponible: true, placesDisponibles: 2 });
+
+      await passager.declencher('makeReservation', demande);
+
+      const [, { reservation }] = passager.socket.emit.mock.calls.find(([evenement]) => evenement === 'reservationCreated');
+      expect(reservation).toMatchObject({
+        statutReservation: 'EN_ATTENTE',
+        indexMontee: 1,
+        indexDescente: 2,
+        // Moitié de la distance : 1 000 FCFA la place
+        montantTotal: 2000
+      });
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalledWith('trajet-1');
+      expect(emissions).toEqual([expect.objectContaining({ salle: 'user_conducteur-1', evenement: 'newReservationRequest' })]);
+    });
+
+    it('refuse un tronçon incohérent', async () => {
+      Trajet.findById.mockReturnValue(chaine(createMockTrajet()));
+
+      await passager.declencher('makeReservation', { ...demande, indexMontee: 2, indexDescente: 1 });
+
+      expect(passager.socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ type: 'RESERVATION_ERROR' }));
+      expect(Reservation.verifierDisponibilite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('modifyReservation', () => {
+    it('vérifie les places supplémentaires sur le tronçon et conserve la réduction appliquée', async () => {
+      Reservation.findById.mockReturnValue(chaine({
+        _id: 'reservation-1',
+        passagerId: 'passager-1',
+        statutReservation: 'CONFIRMEE',
+        nombrePlacesReservees: 1,
+        indexMontee: 1,
+        indexDescente: 2,
+        // 1 000 FCFA moins 100 FCFA de code promo
+        montantTotal: 900,
+        trajetId: createMockTrajet({ conducteurId: 'conducteur-1' })
+      }));
+      Reservation.verifierDisponibilite.mockResolvedValue({ disponible: true, placesDisponibles: 1 });
+
+      await passager.declencher('modifyReservation', { reservationId: 'reservation-1', nouveauNombrePlaces: 2 });
+
+      expect(Reservation.verifierDisponibilite).toHaveBeenCalledWith('trajet-1', 1, 1, 2);
+      expect(Reservation.findByIdAndUpdate).toHaveBeenCalledWith('reservation-1', {
+        nombrePlacesReservees: 2,
+        montantTotal: 1900
+      });
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalledWith('trajet-1');
+    });
+  });
+
+  describe('rejectReservation', () => {
+    it('rembourse le séquestre comme le refus HTTP', async () => {
+      const reservation = {
+        _id: 'reservation-1',
+        passagerId: { _id: 'passager-1' },
+        statutReservation: 'EN_ATTENTE',
+        trajetId: createMockTrajet(),
+        save: jest.fn()
+      };
+      Reservation.findById.mockReturnValue(chaine(reservation));
+
+      await conducteur.declencher('rejectReservation', { reservationId: 'reservation-1', motifRefus: 'Véhicule complet' });
+
+      expect(reservation.statutReservation).toBe('REFUSEE');
+      expect(sequestreService.rembourserReservations).toHaveBeenCalledWith('reservation-1', 'Réservation refusée par le conducteur', { io });
+      expect(promotionService.annulerReduction).toHaveBeenCalledWith(reservation);
+      expect(conducteur.socket.emit).toHaveBeenCalledWith('reservationRejectConfirmed', expect.objectContaining({ reservationId: 'reservation-1' }));
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalledWith('trajet-1');
+      expect(listeAttenteService.signalerPlacesLiberees).toHaveBeenCalledWith('trajet-1', { io });
+    });
+  });
+
+  describe('cancelReservation', () => {
+    it('applique la politique d\'annulation du trajet, même à moins de 2 h du départ', async () => {
+      const trajet = createMockTrajet({ dateDepart: new Date(Date.now() + 30 * 60 * 1000) });
+      const reservation = {
+        _id: 'reservation-1',
+        passagerId: 'passager-1',
+        statutReservation: 'CONFIRMEE',
+        statutPaiement: 'PAYE',
+        nombrePlacesReservees: 2,
+        trajetId: trajet,
+        save: jest.fn()
+      };
+      Reservation.findById.mockReturnValue(chaine(reservation));
+      politiqueAnnulationService.annulerParPassager.mockResolvedValue({ montantRembourse: 1000 });
+
+      await passager.declencher('cancelReservation', { reservationId: 'reservation-1', motifAnnulation: 'Empêchement' });
+
+      expect(politiqueAnnulationService.annulerParPassager).toHaveBeenCalledWith(reservation, trajet, { motif: 'Empêchement', io });
+      expect(sequestreService.rembourserReservations).not.toHaveBeenCalled();
+      expect(reservation).toMatchObject({ statutReservation: 'ANNULEE', statutPaiement: 'REMBOURSE' });
+      expect(passager.socket.emit).toHaveBeenCalledWith('reservationCancelConfirmed', expect.objectContaining({
+        reservationId: 'reservation-1',
+        montantRemboursement: 1000
+      }));
+    });
+
+    it('libère les places retenues par une demande encore en attente', async () => {
+      const reservation = {
+        _id: 'reservation-1',
+        passagerId: 'passager-1',
+        statutReservation: 'EN_ATTENTE',
+        statutPaiement: 'EN_ATTENTE',
+        nombrePlacesReservees: 2,
+        trajetId: createMockTrajet(),
+        save: jest.fn()
+      };
+      Reservation.findById.mockReturnValue(chaine(reservation));
+      politiqueAnnulationService.annulerParPassager.mockResolvedValue({ montantRembourse: 0 });
+
+      await passager.declencher('cancelReservation', { reservationId: 'reservation-1' });
+
+      expect(Reservation.synchroniserPlacesTrajet).toHaveBeenCalledWith('trajet-1');
+      expect(promotionService.annulerReduction).toHaveBeenCalledWith(reservation);
+      expect(listeAttenteService.signalerPlacesLiberees).toHaveBeenCalledWith('trajet-1', { io });
+      expect(passager.socket.emit).toHaveBeenCalledWith('reservationCancelConfirmed', expect.objectContaining({ placesLiberees: 2 }));
+    });
+  });
+});
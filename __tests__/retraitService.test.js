@@ -0,0 +1,149 @@
+// __tests__/retraitService.test.js
+const mongoose = require('mongoose');
+const Retrait = require('../models/Retrait');
+const Utilisateur = require('../models/Utilisateur');
+const grandLivreService = require('../services/grandLivreService');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const retraitService = require('../services/retraitService');
+const { chaine } = require('./helpers/requeteMongoose');
+
+describe('retraitService', () => {
+  const conducteurId = new mongoose.Types.ObjectId();
+  let conducteur;
+  let dernierRetrait;
+
+  beforeEach(() => {
+    retraitService.nomFournisseur = 'local';
+    retraitService.fournisseurs.local.enAttente = false;
+
+    conducteur = {
+      _id: conducteurId,
+      nom: 'Kouassi',
+      prenom: 'Yao',
+      email: 'yao@example.com',
+      role: 'conducteur',
+      documentIdentite: { statutVerification: 'VERIFIE' },
+      compteCovoiturage: {
+        parametresRetrait: { numeroMobile: '+2250701020304', operateur: 'ORANGE' },
+        limites: { retraitJournalier: 1000000, retraitMensuel: 5000000 }
+      },
+      cumulerRetrait: jest.fn().mockResolvedValue(undefined)
+    };
+
+    jest.spyOn(Utilisateur, 'findById').mockImplementation(() => chaine(conducteur));
+    jest.spyOn(Utilisateur, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Retrait, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Retrait.prototype, 'save').mockImplementation(function() {
+      dernierRetrait = this;
+      return Promise.resolve(this);
+    });
+    // Finalisation conditionnelle : renvoie le retrait avec les champs fixés
+    jest.spyOn(Retrait, 'findOneAndUpdate').mockImplementation((filtre, maj) =>
+      Promise.resolve(new Retrait({ ...dernierRetrait.toObject(), ...maj.$set }))
+    );
+    jest.spyOn(grandLivreService, 'executerEnTransaction').mockImplementation((operation) => operation(null));
+    jest.spyOn(grandLivreService, 'reserverRetrait').mockResolvedValue({ ecriture: {} });
+    jest.spyOn(grandLivreService, 'reglerRetrait').mockResolvedValue({});
+    jest.spyOn(grandLivreService, 'libererRetrait').mockResolvedValue({});
+    jest.spyOn(livraisonNotificationsService, 'envoyer')
+      .mockResolvedValue({ livraison: { notificationId: new mongoose.Types.ObjectId() }, doublon: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    dernierRetrait = null;
+  });
+
+  it('devrait refuser un conducteur dont la pièce d\'identité n\'est pas vérifiée', async () => {
+    conducteur.documentIdentite.statutVerification = 'EN_ATTENTE';
+
+    await expect(retraitService.demanderRetrait(conducteurId, { montant: 5000 }))
+      .rejects.toMatchObject({ code: 'KYC_REQUIRED', status: 403 });
+    expect(grandLivreService.reserverRetrait).not.toHaveBeenCalled();
+  });
+
+  it('devrait refuser un retrait dépassant le plafond journalier restant', async () => {
+    conducteur.compteCovoiturage.limites.retraitJournalier = 50000;
+    Retrait.aggregate.mockResolvedValue([{ _id: null, jour: 40000, mois: 40000 }]);
+
+    await expect(retraitService.demanderRetrait(conducteurId, { montant: 15000 }))
+      .rejects.toMatchObject({ code: 'PAYOUT_DAILY_LIMIT', context: expect.objectContaining({ restant: 10000 }) });
+    // Le verrou de demande est rendu malgré le refus
+    expect(Utilisateur.updateOne).toHaveBeenLastCalledWith(
+      expect.objectContaining({ _id: conducteurId }),
+      { $unset: { 'compteCovoiturage.limites.demandeRetraitEnCours': '' } }
+    );
+  });
+
+  it('devrait refuser une demande concurrente tant que la précédente n\'est pas enregistrée', async () => {
+    Utilisateur.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(retraitService.demanderRetrait(conducteurId, { montant: 5000 }))
+      .rejects.toMatchObject({ code: 'PAYOUT_IN_PROGRESS', status: 409 });
+    expect(Retrait.aggregate).not.toHaveBeenCalled();
+    expect(grandLivreService.reserverRetrait).not.toHaveBeenCalled();
+  });
+
+  it('devrait relire les plafonds sous le verrou de demande', async () => {
+    const ordre = [];
+    Utilisateur.updateOne.mockImplementation(async (filtre, maj) => {
+      ordre.push(maj.$set ? 'verrou' : 'deverrou');
+      return { modifiedCount: 1 };
+    });
+    Retrait.aggregate.mockImplementation(async () => {
+      ordre.push('plafonds');
+      return [];
+    });
+    grandLivreService.reserverRetrait.mockImplementation(async () => {
+      ordre.push('reservation');
+      return { ecriture: {} };
+    });
+
+    await retraitService.demanderRetrait(conducteurId, { montant: 5000 });
+
+    expect(ordre).toEqual(['verrou', 'plafonds', 'reservation', 'deverrou']);
+  });
+
+  it('devrait mettre en file d\'approbation un montant au-dessus du seuil sans appeler le fournisseur', async () => {
+    const envoyer = jest.spyOn(retraitService.fournisseurs.local, 'envoyer');
+
+    const retrait = await retraitService.demanderRetrait(conducteurId, {
+      montant: retraitService.config.SEUIL_APPROBATION + 5000
+    });
+
+    expect(retrait.statut).toBe('EN_ATTENTE_APPROBATION');
+    expect(retrait.approbation.requise).toBe(true);
+    expect(grandLivreService.reserverRetrait).toHaveBeenCalledTimes(1);
+    expect(envoyer).not.toHaveBeenCalled();
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledWith(
+      conducteurId,
+      expect.objectContaining({ evenement: 'RETRAIT_EN_ATTENTE_APPROBATION', categorie: 'paiements' })
+    );
+  });
+
+  it('devrait envoyer, régler et notifier un retrait sous le seuil', async () => {
+    const retrait = await retraitService.demanderRetrait(conducteurId, { montant: 20000 });
+
+    expect(retrait.statut).toBe('REUSSI');
+    expect(retrait.fournisseur).toBe('local');
+    expect(grandLivreService.reglerRetrait).toHaveBeenCalledTimes(1);
+    expect(grandLivreService.libererRetrait).not.toHaveBeenCalled();
+    expect(conducteur.cumulerRetrait).toHaveBeenCalledWith(20000);
+    expect(livraisonNotificationsService.envoyer).toHaveBeenCalledWith(
+      conducteurId,
+      expect.objectContaining({
+        evenement: 'RETRAIT_REUSSI',
+        priorite: 'HAUTE',
+        donnees: expect.objectContaining({ statut: 'REUSSI', montant: 20000 })
+      })
+    );
+  });
+
+  it('devrait ignorer la notification d\'un fournisseur qui n\'est pas actif', async () => {
+    const findOne = jest.spyOn(Retrait, 'findOne');
+
+    await expect(retraitService.traiterNotification('cinetpay', { client_transaction_id: 'RET-1' }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+// __tests__/segmentService.test.js
+const segmentService = require('../services/segmentService');
+
+describe('segmentService', () => {
+  // Abidjan (0) → Yamoussoukro (1) → Bouaké (2)
+  const arrets = [
+    { index: 0, nom: 'Abidjan', distanceDepuisDepartKm: 0 },
+    { index: 1, nom: 'Yamoussoukro', distanceDepuisDepartKm: 240 },
+    { index: 2, nom: 'Bouaké', distanceDepuisDepartKm: 345 }
+  ];
+
+  // ============================================================
+  // TESTS: index
+  // ============================================================
+  describe('normaliserIndex / validerIndex', () => {
+    it('devrait couvrir tout le trajet sans index', () => {
+      expect(segmentService.normaliserIndex(undefined, null, 3))
+        .toEqual({ indexMontee: 0, indexDescente: 2 });
+    });
+
+    it('devrait refuser une descente avant la montée', () => {
+      expect(segmentService.validerIndex(1, 1, 3)).toMatch(/après/);
+    });
+
+    it('devrait refuser une montée à l\'arrivée', () => {
+      expect(segmentService.validerIndex(2, 2, 3)).not.toBeNull();
+    });
+
+    it('devrait accepter un tronçon valide', () => {
+      expect(segmentService.validerIndex(1, 2, 3)).toBeNull();
+    });
+  });
+
+  // ============================================================
+  // TESTS: occupation
+  // ============================================================
+  describe('calculerOccupation', () => {
+    it('devrait libérer la place sur les tronçons non chevauchants', () => {
+      const occupation = segmentService.calculerOccupation(3, [
+        { nombrePlacesReservees: 1, indexMontee: 0, indexDescente: 1 }
+      ]);
+
+      expect(occupation).toEqual([1, 0]);
+      expect(segmentService.placesDisponiblesEntre(occupation, 1, 1, 2)).toBe(1);
+      expect(segmentService.placesDisponiblesEntre(occupation, 1, 0, 2)).toBe(0);
+    });
+
+    it('devrait traiter une réservation sans index comme le trajet complet', () => {
+      const occupation = segmentService.calculerOccupation(3, [
+        { nombrePlacesReservees: 2 }
+      ]);
+      expect(occupation).toEqual([2, 2]);
+    });
+  });
+
+  describe('construireMatrice', () => {
+    it('devrait donner les places par couple montée / descente', () => {
+      const matrice = segmentService.construireMatrice([1, 3], 4);
+
+      expect(matrice).toEqual([
+        [null, 3, 1],
+        [null, null, 1],
+        [null, null, null]
+      ]);
+    });
+  });
+
+  // ============================================================
+  // TESTS: tarification
+  // ============================================================
+  describe('calculerPrixSegment', () => {
+    it('devrait garder le prix exact pour le trajet complet', () => {
+      expect(segmentService.calculerPrixSegment(7000, arrets, 0, 2)).toBe(7000);
+    });
+
+    it('devrait appliquer un prix proportionnel arrondi à 50 FCFA', () => {
+      // 105 / 345 × 7000 = 2130,4 → 2150
+      expect(segmentService.calculerPrixSegment(7000, arrets, 1, 2)).toBe(2150);
+    });
+
+    it('devrait garder le prix complet sans distances connues', () => {
+      const sansDistance = arrets.map(a => ({ ...a, distanceDepuisDepartKm: 0 }));
+      expect(segmentService.calculerPrixSegment(7000, sansDistance, 0, 1)).toBe(7000);
+    });
+  });
+});
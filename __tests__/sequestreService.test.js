@@ -0,0 +1,128 @@
+// __tests__/sequestreService.test.js
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const Signalement = require('../models/Signalement');
+const EcritureComptable = require('../models/EcritureComptable');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const grandLivreService = require('../services/grandLivreService');
+const sequestreService = require('../services/sequestreService');
+const { chaine } = require('./helpers/requeteMongoose');
+const { paiementEnSequestre } = require('./helpers/paiementSequestre');
+
+describe('sequestreService', () => {
+  const maintenant = new Date('2026-10-19T10:00:00Z');
+  const conducteurId = new mongoose.Types.ObjectId();
+
+  // Délai de contestation déjà écoulé
+  const paiementSequestre = (reference) => paiementEnSequestre({
+    reference,
+    beneficiaireId: conducteurId,
+    dateDeblocage: new Date(maintenant.getTime() - 60 * 1000)
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Paiement.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Paiement, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Reservation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Reservation, 'findById').mockReturnValue(chaine({ trajetId: new mongoose.Types.ObjectId() }));
+    jest.spyOn(livraisonNotificationsService, 'envoyer').mockResolvedValue({ livraison: { notificationId: 'n1' }, doublon: false });
+    jest.spyOn(grandLivreService, 'executerEnTransaction').mockImplementation(operation => operation(null));
+    jest.spyOn(grandLivreService, '_majStatistiquesConducteur').mockResolvedValue(undefined);
+    jest.spyOn(grandLivreService, 'passerEcriture').mockImplementation(async (donnees) => ({
+      ecriture: { _id: new mongoose.Types.ObjectId(), reference: donnees.reference, lignes: donnees.lignes },
+      soldes: [],
+      dejaComptabilisee: false
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devrait comptabiliser les gains d\'une course mobile au séquestre et non en gains disponibles', () => {
+    const paiement = paiementSequestre();
+
+    expect(grandLivreService.doitSequestrer({ ...paiement.toObject(), portefeuilleConducteur: undefined, commission: { statutPrelevement: 'en_attente' } })).toBe(true);
+    expect(grandLivreService.doitSequestrer({ ...paiement.toObject(), methodePaiement: 'ESPECES', portefeuilleConducteur: undefined })).toBe(false);
+    expect(grandLivreService.lignesPaiement(paiement)).toEqual(expect.arrayContaining([
+      { compte: 'SEQUESTRE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: 4400 }
+    ]));
+  });
+
+  it('devrait ouvrir le délai de contestation sans jamais avancer une échéance', async () => {
+    const updateMany = jest.spyOn(Paiement, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    const reservationId = new mongoose.Types.ObjectId();
+
+    await sequestreService.ouvrirDelaiContestation(reservationId, { maintenant });
+
+    const echeance = new Date(maintenant.getTime() + 24 * 60 * 60 * 1000);
+    expect(updateMany).toHaveBeenCalledWith(
+      {
+        reservationId: { $in: [reservationId] },
+        'portefeuilleConducteur.statutSequestre': 'BLOQUE',
+        'portefeuilleConducteur.dateDeblocage': { $not: { $gte: echeance } }
+      },
+      { $set: { 'portefeuilleConducteur.dateDeblocage': echeance } }
+    );
+  });
+
+  it('devrait verser les gains échus au conducteur', async () => {
+    const paiement = paiementSequestre();
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([paiement]));
+    jest.spyOn(Signalement, 'exists').mockResolvedValue(null);
+
+    const bilan = await sequestreService.libererEcheances({ maintenant });
+
+    expect(bilan).toEqual({ liberes: 1, suspendus: 0, erreurs: 0 });
+    expect(paiement.portefeuilleConducteur.statutSequestre).toBe('LIBERE');
+    expect(paiement.portefeuilleConducteur.soldeBloque).toBe(0);
+    expect(grandLivreService.passerEcriture).toHaveBeenCalledWith(
+      expect.objectContaining({
+        reference: 'SEQUESTRE:PAY-SEQ-1',
+        type: 'LIBERATION_SEQUESTRE',
+        lignes: [
+          { compte: 'SEQUESTRE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant: 4400 },
+          { compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: 4400 }
+        ]
+      }),
+      expect.objectContaining({ comptesSansDecouvert: ['SEQUESTRE_CONDUCTEUR'] })
+    );
+  });
+
+  it('devrait garder au séquestre un paiement contesté par le passager', async () => {
+    const paiement = paiementSequestre();
+    jest.spyOn(Paiement, 'find').mockReturnValue(chaine([paiement]));
+    jest.spyOn(Signalement, 'exists').mockResolvedValue({ _id: 's1' });
+
+    const bilan = await sequestreService.libererEcheances({ maintenant });
+
+    expect(bilan).toEqual({ liberes: 0, suspendus: 1, erreurs: 0 });
+    expect(paiement.portefeuilleConducteur.statutSequestre).toBe('BLOQUE');
+    expect(grandLivreService.passerEcriture).not.toHaveBeenCalled();
+  });
+
+  it('devrait rembourser partiellement depuis le séquestre et verser le reste au conducteur', async () => {
+    const paiement = paiementSequestre('PAY-SEQ-2');
+    jest.spyOn(EcritureComptable, 'exists').mockReturnValue(chaine({ _id: 'e1' }));
+
+    const { montantRembourse } = await sequestreService.rembourser(paiement, { motif: 'Trajet annulé', montant: 2450 });
+
+    const ecritures = grandLivreService.passerEcriture.mock.calls.map(([donnees]) => donnees);
+    expect(montantRembourse).toBe(2450);
+    expect(ecritures.map(e => e.reference)).toEqual(['REMBOURSEMENT:PAY-SEQ-2', 'SEQUESTRE:PAY-SEQ-2']);
+    expect(ecritures[0].lignes).toEqual(expect.arrayContaining([
+      { compte: 'SEQUESTRE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant: 2200 },
+      { compte: 'REMBOURSEMENTS', utilisateurId: null, sens: 'CREDIT', montant: 2450 }
+    ]));
+    expect(ecritures[1].lignes[1]).toEqual({ compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: 2200 });
+    expect(paiement.statutPaiement).toBe('REMBOURSE');
+    expect(paiement.portefeuilleConducteur.statutSequestre).toBe('REMBOURSE');
+    expect(Reservation.updateOne).toHaveBeenCalledWith({ _id: paiement.reservationId }, { $set: { statutPaiement: 'REMBOURSE' } });
+
+    // Le rapprochement attend, après l'encaissement, exactement les écritures passées
+    const attendues = grandLivreService.ecrituresAttendues(paiement);
+    expect(attendues[0].reference).toBe('PAIEMENT:PAY-SEQ-2');
+    expect(attendues.slice(1).map(a => [a.reference, a.lignes])).toEqual(ecritures.map(e => [e.reference, e.lignes]));
+  });
+});
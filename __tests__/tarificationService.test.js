@@ -0,0 +1,95 @@
+// __tests__/tarificationService.test.js
+jest.mock('../models/Trajet', () => ({
+  find: jest.fn(),
+  // Même calcul que le static du modèle : [lat, lng] dans l'ordre de passage
+  obtenirPointsDeclares: (trajet) => [trajet.pointDepart, ...(trajet.arretsIntermediaires || []), trajet.pointArrivee]
+    .map(p => p?.coordonnees?.coordinates)
+    .filter(Boolean)
+    .map(([lng, lat]) => [lat, lng])
+}));
+jest.mock('../models/RechercheSauvegardee', () => ({
+  countDocuments: jest.fn()
+}));
+
+const Trajet = require('../models/Trajet');
+const RechercheSauvegardee = require('../models/RechercheSauvegardee');
+const tarificationService = require('../services/tarificationService');
+
+const point = (lat, lng, commune) => ({ commune, coordonnees: { type: 'Point', coordinates: [lng, lat] } });
+
+// Cocody → Plateau, sans péage sur la ligne droite
+const COCODY = point(5.3600, -3.9970, 'Cocody');
+const PLATEAU = point(5.3196, -4.0167, 'Plateau');
+// Riviera → Marcory : traverse le pont HKB
+const RIVIERA = point(5.3400, -3.9860, 'Cocody');
+const MARCORY = point(5.3000, -3.9890, 'Marcory');
+
+const mockTrajets = (trajets) => {
+  Trajet.find.mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      limit: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(trajets) })
+    })
+  });
+};
+
+describe('tarificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTrajets([]);
+    RechercheSauvegardee.countDocuments.mockResolvedValue(0);
+  });
+
+  it('devrait partager le coût du carburant sans historique', async () => {
+    const suggestion = await tarificationService.suggererPrix({
+      distanceKm: 10, pointDepart: COCODY, pointArrivee: PLATEAU, nombrePlaces: 3
+    });
+
+    // 10 km × 7,5 L/100 × 875 FCFA × 1,25 / 4 ≈ 205 FCFA
+    expect(suggestion.details.prixCoutParPassager).toBe(205);
+    expect(suggestion).toMatchObject({ min: 200, recommande: 200, max: 250, plafond: 1000 });
+    expect(suggestion.details.peages).toEqual([]);
+  });
+
+  it('devrait tenir compte des prix acceptés et du remplissage sur le même couple de communes', async () => {
+    mockTrajets([1000, 900, 1100].map(prix => ({
+      prixParPassager: prix, distance: 10, nombrePlacesTotal: 3, nombrePlacesDisponibles: 0
+    })));
+
+    const suggestion = await tarificationService.suggererPrix({
+      distanceKm: 10, pointDepart: COCODY, pointArrivee: PLATEAU, nombrePlaces: 3
+    });
+
+    expect(suggestion.details.marche).toMatchObject({
+      echantillon: 3, prixParKmMedian: 100, tauxRemplissage: 1, facteurDemande: 1.1
+    });
+    // (205 + 1000) / 2 × 1,1 ≈ 663 → 650
+    expect(suggestion.recommande).toBe(650);
+    expect(Trajet.find.mock.calls[0][0]['pointDepart.commune'].$regex.test('cocody')).toBe(true);
+  });
+
+  it('devrait ajouter le péage traversé au coût et au plafond', async () => {
+    const suggestion = await tarificationService.suggererPrix({
+      distanceKm: 5, pointDepart: RIVIERA, pointArrivee: MARCORY, nombrePlaces: 3
+    });
+
+    expect(suggestion.details.peages.map(p => p.id)).toEqual(['PONT_HKB']);
+    expect(suggestion.details.peagesEstimes).toBe(true);
+    // 1000 + 500 / 4
+    expect(suggestion.plafond).toBe(1150);
+  });
+
+  it('devrait bloquer un prix au-dessus du plafond par km', () => {
+    expect(() => tarificationService.verifierPlafond(5000, {
+      distance: 10, pointDepart: COCODY, pointArrivee: PLATEAU, nombrePlacesTotal: 3
+    })).toThrow(expect.objectContaining({ code: 'PRICE_ABOVE_CAP', status: 400 }));
+
+    expect(tarificationService.verifierPlafond(900, {
+      distance: 10, pointDepart: COCODY, pointArrivee: PLATEAU, nombrePlacesTotal: 3
+    })).toBeNull();
+  });
+
+  it('devrait signaler un prix au-dessus de la fourchette sans le bloquer', () => {
+    const evaluation = tarificationService.evaluerPrix(900, { min: 500, recommande: 650, max: 800, plafond: 1000 });
+    expect(evaluation).toMatchObject({ niveau: 'ELEVE', bloquant: false });
+  });
+});
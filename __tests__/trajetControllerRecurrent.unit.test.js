@@ -0,0 +1,64 @@
+jest.mock('../models/Trajet', () => ({
+  countDocuments: jest.fn()
+}));
+
+jest.mock('../models/ModeleTrajet', () => ({}));
+
+jest.mock('../services/firebaseService', () => ({}));
+jest.mock('../services/notificationService', () => ({}));
+// Le contrôleur requiert evaluationService alors que le fichier est EvaluationService.js
+jest.mock('../services/evaluationService', () => ({}), { virtual: true });
+jest.mock('../models/Utilisateur', () => ({}));
+jest.mock('../models/Reservation', () => ({}));
+
+const Trajet = require('../models/Trajet');
+const trajetController = require('../controllers/trajetController');
+const modeleTrajetService = require('../services/modeleTrajetService');
+const AppError = require('../utils/AppError');
+
+describe('trajetController.creerTrajetRecurrent', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {
+        prixParPassager: 5000,
+        nombrePlacesTotal: 3,
+        recurrence: { jours: ['LUNDI'] }
+      },
+      user: { id: 'conducteur-1' }
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+
+    Trajet.countDocuments.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applique le contrôle de prix des publications avant toute création', async () => {
+    const verifierPrix = jest.spyOn(modeleTrajetService, 'verifierPrix').mockImplementation(() => {
+      throw new AppError('Le prix dépasse le plafond autorisé pour ce trajet (1500 FCFA par passager)', {
+        code: 'PRICE_ABOVE_CAP',
+        status: 400,
+        context: { prix: 5000, plafond: 1500 }
+      });
+    });
+
+    await trajetController.creerTrajetRecurrent(req, res, next);
+
+    expect(verifierPrix).toHaveBeenCalledWith(expect.objectContaining({ prixParPassager: 5000, typeTrajet: 'RECURRENT' }));
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PRICE_ABOVE_CAP' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -71,8 +71,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
@@ -90,7 +90,15 @@ app.use((req, res, next) => {
 // ====================================
 // CONFIGURATION DE BASE
 // ====================================
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Corps brut des notifications de paiement : signatures HMAC (Wave)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/paiements/webhook/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.set('trust proxy', 1);
 
@@ -103,6 +111,7 @@ const uploadDirs = [
   path.join(__dirname, 'uploads', 'profils'),
   path.join(__dirname, 'uploads', 'vehicules'), 
   path.join(__dirname, 'uploads', 'users'),
+  path.join(__dirname, 'uploads', 'messages'),
   path.join(__dirname, 'uploads', 'temp'), 
   path.join(__dirname, 'logs'), 
   path.join(__dirname, 'backups')
@@ -237,6 +246,11 @@ const routesConfig = [
   { nom: 'places', chemins: ['./routes/placesV2Routes.js'], url: '/api/places' },
   { nom: 'verifications', chemins: ['./routes/verificationRoute.js'], url: '/api/verification' },
   { nom: 'notifications', chemins: ['./routes/notifications.js'], url: '/api/notifications' },
+  { nom: 'calendrier', chemins: ['./routes/calendrier.js'], url: '/api/calendrier' },
+  { nom: 'promotions', chemins: ['./routes/promotions.js'], url: '/api/promotions' },
+  { nom: 'partages', chemins: ['./routes/partages.js'], url: '/api/partages' },
+  { nom: 'recus', chemins: ['./routes/recus.js'], url: '/api/recus' },
+  { nom: 'releves', chemins: ['./routes/releves.js'], url: '/api/releves' },
   
 ];
 
@@ -16,6 +16,15 @@ const Evenement = require('../models/Evenement');
 const Evaluation = require('../models/Evaluation');
 const AlerteUrgence = require('../models/AlerteUrgence');
 const firebaseService = require('../services/firebaseService');
+const grandLivreService = require('../services/grandLivreService');
+const retraitService = require('../services/retraitService');
+const rapprochementPaiementService = require('../services/rapprochementPaiementService');
+const recuService = require('../services/recuService');
+const sequestreService = require('../services/sequestreService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const promotionService = require('../services/promotionService');
+const modelesNotificationService = require('../services/modelesNotificationService');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
 const { logger } = require('../utils/logger');
 /**
  * Utilitaire pour générer un token JWT
@@ -1732,40 +1741,418 @@ const obtenirPaiement = async (req, res, next) => {
 };
 
 /**
- * @desc    Rembourser un paiement (admin)
+ * @desc    Rembourser un paiement (admin). Avec `appliquerPolitique`, le montant
+ *          (et l'éventuel dédommagement) suit la politique d'annulation du trajet
  * @route   POST /api/admin/paiements/:id/rembourser
  * @access  Private (Admin)
  */
 const rembourserPaiement = async (req, res, next) => {
   try {
     const { motif, montant } = req.body;
+    const appliquerPolitique = [true, 'true'].includes(req.body.appliquerPolitique);
 
     if (!motif) {
       return next(AppError.badRequest('Motif de remboursement requis'));
     }
 
+    if (appliquerPolitique && montant !== undefined) {
+      return next(AppError.badRequest('Indiquer un montant ou appliquer la politique d\'annulation, pas les deux'));
+    }
+
     const paiement = await Paiement.findById(req.params.id);
 
     if (!paiement) {
       return next(AppError.notFound('Paiement introuvable'));
     }
 
-    // Logique de remboursement à implémenter selon le système de paiement
-    paiement.statut = 'REMBOURSE';
-    paiement.montantRembourse = montant || paiement.montant;
-    paiement.motifRemboursement = motif;
-    await paiement.save();
+    if (!paiement.peutChangerStatut('REMBOURSE')) {
+      return res.status(400).json({
+        success: false,
+        message: `Un paiement au statut ${paiement.statutPaiement} ne peut pas être remboursé`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    // Montants de la politique d'annulation du trajet : ceux fixés à
+    // l'annulation de la réservation, sinon ceux d'une annulation maintenant
+    const annulation = appliquerPolitique
+      ? await politiqueAnnulationService.calculerPourPaiement(paiement)
+      : null;
+    if (annulation && annulation.montantRembourse <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'La politique d\'annulation ne prévoit aucun remboursement pour ce paiement',
+        code: 'NO_REFUND_DUE',
+        data: { annulation }
+      });
+    }
+
+    // Comptabilisé d'abord par le grand livre (montant validé et réparti) ;
+    // un paiement encore au séquestre en sort à cette occasion
+    const { montantRembourse, compensation, ecriture } = await sequestreService.rembourser(paiement, {
+      motif,
+      montant: annulation ? annulation.montantRembourse : (montant !== undefined ? Number(montant) : undefined),
+      compensation: annulation ? annulation.compensation : 0,
+      politique: annulation ? annulation.politique : null,
+      source: 'ADMIN',
+      effectuePar: req.user.id,
+      io: req.app.get('io')
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Remboursement effectué avec succès'
+      message: 'Remboursement effectué avec succès',
+      data: {
+        paiementId: paiement._id,
+        montantRembourse,
+        compensation,
+        ecritureId: ecriture._id,
+        annulation
+      }
     });
 
   } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
     return next(AppError.serverError('Erreur lors du remboursement', { originalError: error.message }));
   }
 };
 
+/**
+ * @desc    Verser au conducteur les gains séquestrés d'un paiement sans attendre l'échéance
+ * @route   POST /api/admin/paiements/:id/liberer-sequestre
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+const libererSequestrePaiement = async (req, res, next) => {
+  try {
+    const paiement = await Paiement.findById(req.params.id);
+
+    if (!paiement) {
+      return next(AppError.notFound('Paiement introuvable'));
+    }
+
+    if (paiement.portefeuilleConducteur?.statutSequestre !== 'BLOQUE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ce paiement n\'est pas au séquestre',
+        code: 'ESCROW_NOT_HELD'
+      });
+    }
+
+    const libere = await sequestreService.liberer(paiement, { source: 'ADMIN' });
+    if (!libere) {
+      return res.status(409).json({
+        success: false,
+        message: 'Les fonds de ce paiement ont déjà quitté le séquestre',
+        code: 'ESCROW_ALREADY_SETTLED'
+      });
+    }
+
+    logger.info('🔒 Séquestre libéré manuellement', { paiementId: paiement._id, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Gains versés au conducteur',
+      data: {
+        paiementId: paiement._id,
+        portefeuilleConducteur: libere.portefeuilleConducteur
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors de la libération du séquestre', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Rapprocher les paiements avec le grand livre (admin)
+ * @route   GET /api/admin/paiements/rapprochement
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+const verifierRapprochementGrandLivre = async (req, res, next) => {
+  try {
+    const erreurs = validationResult(req);
+    if (!erreurs.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        code: 'VALIDATION_ERROR',
+        data: { erreurs: erreurs.array() }
+      });
+    }
+
+    const { dateDebut, dateFin, limite } = req.query;
+
+    const rapport = await grandLivreService.verifierRapprochement({
+      dateDebut,
+      dateFin,
+      limite: limite ? Math.min(parseInt(limite), 20000) : undefined
+    });
+
+    if (!rapport.conforme) {
+      logger.warn('📒 Rapprochement grand livre non conforme', {
+        anomalies: rapport.anomalies.length,
+        ecartsSoldes: rapport.ecartsSoldes.length,
+        adminId: req.user.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rapport
+    });
+
+  } catch (error) {
+    return next(AppError.serverError('Erreur lors du rapprochement comptable', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Historique des rapprochements avec CinetPay (sans le détail des lignes)
+ * @route   GET /api/admin/paiements/rapprochement-fournisseur
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+const listerRapprochementsFournisseur = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const resultat = await rapprochementPaiementService.listerRapports({ page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: resultat
+    });
+
+  } catch (error) {
+    return next(AppError.serverError('Erreur lors de la récupération des rapprochements', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Lancer immédiatement un rapprochement avec CinetPay
+ * @route   POST /api/admin/paiements/rapprochement-fournisseur
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+const lancerRapprochementFournisseur = async (req, res, next) => {
+  try {
+    const rapport = await rapprochementPaiementService.executer({
+      declenchement: 'MANUEL',
+      adminId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rapprochement terminé',
+      data: {
+        rapportId: rapport._id,
+        statut: rapport.statut,
+        statistiques: rapport.statistiques,
+        tronque: rapport.tronque
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors du rapprochement CinetPay', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Télécharger un rapport de rapprochement (CSV ou XLSX)
+ * @route   GET /api/admin/paiements/rapprochement-fournisseur/:id/export
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+const exporterRapprochementFournisseur = async (req, res, next) => {
+  try {
+    const erreurs = validationResult(req);
+    if (!erreurs.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        code: 'VALIDATION_ERROR',
+        data: { erreurs: erreurs.array() }
+      });
+    }
+
+    const rapport = await rapprochementPaiementService.obtenirRapport(req.params.id);
+    const { contenu, type, nomFichier } = await rapprochementPaiementService.exporterRapport(
+      rapport,
+      req.query.format || 'xlsx'
+    );
+
+    logger.info('🧾 Rapport de rapprochement exporté', { rapportId: rapport._id, format: req.query.format || 'xlsx', adminId: req.user.id });
+
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Disposition', `attachment; filename=${nomFichier}`);
+    res.send(contenu);
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors de l\'export du rapprochement', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Contrôler la chaîne des reçus (numérotation sans trou, empreintes)
+ * @route   GET /api/admin/paiements/recus/verification
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+const verifierChaineRecus = async (req, res, next) => {
+  try {
+    const erreurs = validationResult(req);
+    if (!erreurs.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        code: 'VALIDATION_ERROR',
+        data: { erreurs: erreurs.array() }
+      });
+    }
+
+    const resultat = await recuService.verifierChaine({
+      depuis: req.query.depuis ? parseInt(req.query.depuis) : undefined,
+      limite: req.query.limite ? parseInt(req.query.limite) : undefined
+    });
+
+    if (!resultat.valide) {
+      logger.warn('🧾 Chaîne des reçus rompue', { anomalies: resultat.anomalies.length, adminId: req.user.id });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resultat
+    });
+
+  } catch (error) {
+    return next(AppError.serverError('Erreur lors de la vérification des reçus', { originalError: error.message }));
+  }
+};
+
+// Réponse 400 commune aux actions sur les retraits
+const repondreValidationRetrait = (req, res) => {
+  const erreurs = validationResult(req);
+  if (erreurs.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Données invalides',
+    code: 'VALIDATION_ERROR',
+    data: { erreurs: erreurs.array() }
+  });
+  return true;
+};
+
+/**
+ * @desc    File des retraits conducteurs (en attente de validation par défaut)
+ * @route   GET /api/admin/paiements/retraits
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+const listerRetraits = async (req, res, next) => {
+  try {
+    if (repondreValidationRetrait(req, res)) return;
+
+    const { statut, page, limit } = req.query;
+    const resultat = await retraitService.listerFileApprobation({ statut, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: resultat
+    });
+
+  } catch (error) {
+    return next(AppError.serverError('Erreur lors de la récupération des retraits', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Approuver un retrait au-dessus du seuil et l'envoyer au fournisseur
+ * @route   POST /api/admin/paiements/retraits/:id/approuver
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+const approuverRetrait = async (req, res, next) => {
+  try {
+    if (repondreValidationRetrait(req, res)) return;
+
+    const retrait = await retraitService.approuverRetrait(req.params.id, req.user.id, { io: req.app.get('io') });
+
+    logger.info('💸 Retrait approuvé', { retraitId: retrait._id, statut: retrait.statut, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Retrait approuvé',
+      data: { retrait }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors de l\'approbation du retrait', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Rejeter un retrait en attente ; le montant redevient disponible
+ * @route   POST /api/admin/paiements/retraits/:id/rejeter
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+const rejeterRetrait = async (req, res, next) => {
+  try {
+    if (repondreValidationRetrait(req, res)) return;
+
+    const retrait = await retraitService.rejeterRetrait(
+      req.params.id,
+      req.user.id,
+      req.body.motif,
+      { io: req.app.get('io') }
+    );
+
+    logger.info('💸 Retrait rejeté', { retraitId: retrait._id, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Retrait rejeté',
+      data: { retrait }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors du rejet du retrait', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Relire auprès du fournisseur le statut d'un retrait en cours
+ * @route   POST /api/admin/paiements/retraits/:id/verifier
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+const verifierRetrait = async (req, res, next) => {
+  try {
+    if (repondreValidationRetrait(req, res)) return;
+
+    const retrait = await retraitService.verifierRetrait(req.params.id, { io: req.app.get('io') });
+
+    res.status(200).json({
+      success: true,
+      data: { retrait }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors de la vérification du retrait', { originalError: error.message }));
+  }
+};
+
 /**
  * @desc    Obtenir les statistiques des paiements (admin)
  * @route   GET /api/admin/paiements/statistiques
@@ -2338,6 +2725,276 @@ const exporterPaiements = async (req, res, next) => {
     return next(AppError.serverError('Erreur lors de l\'export', { originalError: error.message }));
   }
 };
+// =====================================================
+// GESTION DES CODES PROMO
+// =====================================================
+
+// Réponse 400 commune aux actions sur les codes promo
+const repondreValidationPromotion = (req, res) => {
+  const erreurs = validationResult(req);
+  if (erreurs.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Données invalides',
+    code: 'VALIDATION_ERROR',
+    data: { erreurs: erreurs.array() }
+  });
+  return true;
+};
+
+/**
+ * @desc    Lister les codes promo
+ * @route   GET /api/admin/promotions/codes
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+const listerCodesPromo = async (req, res, next) => {
+  try {
+    if (repondreValidationPromotion(req, res)) return;
+
+    const { actif, page = 1, limit = 20 } = req.query;
+    const resultat = await promotionService.listerCodes({
+      actif: actif === undefined ? undefined : actif === 'true',
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: resultat
+    });
+
+  } catch (error) {
+    return next(AppError.serverError('Erreur lors de la récupération des codes promo', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Créer un code promo
+ * @route   POST /api/admin/promotions/codes
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+const creerCodePromo = async (req, res, next) => {
+  try {
+    if (repondreValidationPromotion(req, res)) return;
+
+    const codePromo = await promotionService.creerCode(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Code promo créé',
+      data: { codePromo }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, { code: 'VALIDATION_ERROR' }));
+    }
+    return next(AppError.serverError('Erreur lors de la création du code promo', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Détail d'un code promo et bilan de ses utilisations
+ * @route   GET /api/admin/promotions/codes/:id
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+const obtenirCodePromo = async (req, res, next) => {
+  try {
+    if (repondreValidationPromotion(req, res)) return;
+
+    const codePromo = await promotionService.obtenirCode(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { codePromo }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    return next(AppError.serverError('Erreur lors de la récupération du code promo', { originalError: error.message }));
+  }
+};
+
+/**
+ * @desc    Modifier un code promo (le code lui-même n'est pas modifiable)
+ * @route   PUT /api/admin/promotions/codes/:id
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+const modifierCodePromo = async (req, res, next) => {
+  try {
+    if (repondreValidationPromotion(req, res)) return;
+
+    const codePromo = await promotionService.modifierCode(req.params.id, req.body);
+
+    logger.info('🎁 Code promo modifié', { codePromoId: codePromo._id, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Code promo modifié',
+      data: { codePromo }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, { code: 'VALIDATION_ERROR' }));
+    }
+    return next(AppError.serverError('Erreur lors de la modification du code promo', { originalError: error.message }));
+  }
+};
+
+// =====================================================
+// MODÈLES DE NOTIFICATIONS (ADMIN)
+// =====================================================
+
+const repondreValidationModele = (req, res) => {
+  const erreurs = validationResult(req);
+  if (erreurs.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Données invalides',
+    code: 'VALIDATION_ERROR',
+    data: { erreurs: erreurs.array() }
+  });
+  return true;
+};
+
+// Erreurs métier des modèles (événement ou langue inconnus, marqueurs invalides)
+const erreurModeleNotification = (error, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return next(error);
+  }
+  if (error.name === 'ValidationError') {
+    return next(new AppError(error.message, { code: 'VALIDATION_ERROR' }));
+  }
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+/**
+ * @desc    Lister les modèles de notifications (textes par défaut et surcharges, par langue)
+ * @route   GET /api/admin/notifications/modeles
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+const listerModelesNotification = async (req, res, next) => {
+  try {
+    const modeles = await modelesNotificationService.lister();
+
+    res.status(200).json({
+      success: true,
+      data: { modeles }
+    });
+
+  } catch (error) {
+    return erreurModeleNotification(error, next, 'Erreur lors de la récupération des modèles de notifications');
+  }
+};
+
+/**
+ * @desc    Prévisualiser un modèle (texte enregistré ou brouillon) sur chaque canal
+ * @route   POST /api/admin/notifications/modeles/:evenement/:langue/apercu
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+const apercuModeleNotification = async (req, res, next) => {
+  try {
+    if (repondreValidationModele(req, res)) return;
+
+    const apercu = await modelesNotificationService.apercu(req.params.evenement, req.params.langue, {
+      variables: req.body.variables,
+      contenu: req.body.contenu
+    });
+
+    res.status(200).json({
+      success: true,
+      data: apercu
+    });
+
+  } catch (error) {
+    return erreurModeleNotification(error, next, 'Erreur lors de la prévisualisation du modèle');
+  }
+};
+
+/**
+ * @desc    Modifier le texte d'un modèle dans une langue (sans redéploiement)
+ * @route   PUT /api/admin/notifications/modeles/:evenement/:langue
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+const modifierModeleNotification = async (req, res, next) => {
+  try {
+    if (repondreValidationModele(req, res)) return;
+
+    const { evenement, langue } = req.params;
+    const modele = await modelesNotificationService.modifier(evenement, langue, req.body, req.user.id);
+
+    logger.info('🌍 Modèle de notification modifié', { evenement, langue, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Modèle de notification modifié',
+      data: { modele }
+    });
+
+  } catch (error) {
+    return erreurModeleNotification(error, next, 'Erreur lors de la modification du modèle');
+  }
+};
+
+/**
+ * @desc    Rétablir le texte par défaut d'un modèle dans une langue
+ * @route   DELETE /api/admin/notifications/modeles/:evenement/:langue
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+const reinitialiserModeleNotification = async (req, res, next) => {
+  try {
+    if (repondreValidationModele(req, res)) return;
+
+    const { evenement, langue } = req.params;
+    const resultat = await modelesNotificationService.reinitialiser(evenement, langue);
+
+    logger.info('🌍 Modèle de notification réinitialisé', { evenement, langue, adminId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: resultat.supprime ? 'Texte par défaut rétabli' : 'Le modèle utilisait déjà le texte par défaut',
+      data: resultat
+    });
+
+  } catch (error) {
+    return erreurModeleNotification(error, next, 'Erreur lors de la réinitialisation du modèle');
+  }
+};
+
+/**
+ * @desc    Statistiques de livraison des notifications : statut final, canaux
+ *          tentés (push, WhatsApp, SMS), accusés de réception, replis et coûts
+ * @route   GET /api/admin/notifications/livraisons/statistiques
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+const statistiquesLivraisonsNotifications = async (req, res, next) => {
+  try {
+    if (repondreValidationModele(req, res)) return;
+
+    const statistiques = await livraisonNotificationsService.statistiques({
+      dateDebut: req.query.dateDebut,
+      dateFin: req.query.dateFin
+    });
+
+    res.status(200).json({
+      success: true,
+      data: statistiques
+    });
+
+  } catch (error) {
+    return next(AppError.serverError('Erreur lors du calcul des statistiques de livraison', { originalError: error.message }));
+  }
+};
+
 // =====================================================
 // STATISTIQUES RECHARGES (ADMIN)
 // =====================================================
@@ -6322,6 +6979,16 @@ module.exports = {
   listerPaiements,
   obtenirPaiement,
   rembourserPaiement,
+  libererSequestrePaiement,
+  verifierRapprochementGrandLivre,
+  listerRapprochementsFournisseur,
+  lancerRapprochementFournisseur,
+  exporterRapprochementFournisseur,
+  verifierChaineRecus,
+  listerRetraits,
+  approuverRetrait,
+  rejeterRetrait,
+  verifierRetrait,
   obtenirStatistiquesPaiements,
   obtenirStatistiquesCommissions,
   obtenirDetailCommission,
@@ -6330,6 +6997,19 @@ module.exports = {
   surveillerCommissions,
   exporterPaiements,
 
+  // Gestion Promotions
+  listerCodesPromo,
+  creerCodePromo,
+  obtenirCodePromo,
+  modifierCodePromo,
+
+  // Modèles de notifications
+  listerModelesNotification,
+  apercuModeleNotification,
+  modifierModeleNotification,
+  reinitialiserModeleNotification,
+  statistiquesLivraisonsNotifications,
+
   // Gestion Recharges
   obtenirStatistiquesRecharges,
   traiterRechargesEnAttente,
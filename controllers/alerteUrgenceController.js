@@ -1,9 +1,39 @@
 // controllers/alerteUrgenceController.js 
 const AlerteUrgence = require('../models/AlerteUrgence');
 const Trajet = require('../models/Trajet');
+const Reservation = require('../models/Reservation');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
+const MAX_CONTACTS_ALERTE = 20;
+
+/**
+ * Ajoute aux contacts d'une alerte les co-passagers des réservations au prix
+ * partagé du trajet (sans doublon, dans la limite du modèle)
+ */
+const ajouterCoPassagers = async (trajetId, contacts = []) => {
+  const reservations = await Reservation.find({
+    trajetId,
+    statutReservation: { $in: ['CONFIRMEE', 'TERMINEE'] },
+    'partage.parts.0': { $exists: true }
+  }).select('partage.parts').lean();
+
+  const telephones = new Set(contacts.map(c => (c.telephone || '').replace(/[\s.-]/g, '')));
+  const resultat = [...contacts];
+  for (const part of reservations.flatMap(r => r.partage.parts)) {
+    if (resultat.length >= MAX_CONTACTS_ALERTE) break;
+    if (!['PAYEE', 'COUVERTE'].includes(part.statut) || telephones.has(part.telephone)) continue;
+    telephones.add(part.telephone);
+    resultat.push({
+      nom: part.nom || 'Co-passager',
+      telephone: part.telephone,
+      relation: 'COVOITUREUR',
+      canal: 'SMS'
+    });
+  }
+  return resultat;
+};
+
 // =============== MÉTHODES CRUD DE BASE ===============
 
 /**
@@ -138,7 +168,8 @@ const declencherAlerte = async (req, res, next) => {
       commune,
       adresseApproximative,
       personnesPresentes,
-      contactsAlertes: contactsAlertes || [],
+      // Co-passagers des réservations au prix partagé prévenus avec les contacts
+      contactsAlertes: await ajouterCoPassagers(trajetId, contactsAlertes || []),
       infoTrajet: infoTrajet || {
         depart: trajet.depart,
         destination: trajet.destination,
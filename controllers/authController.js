@@ -3,10 +3,13 @@ const User = require('../models/Utilisateur');
 const Vehicule = require('../models/Vehicule');
 const crypto = require('crypto');
 const sendEmail = require('../utils/emailService');
-const { sendSMS } = require('../services/smsService');
+const { sendTemplatedSMS } = require('../services/smsService');
 const { logger } = require('../utils/logger');
 const AppError = require('../utils/AppError');
 const twilioService = require('../services/twilioService');
+const grandLivreService = require('../services/grandLivreService');
+const promotionService = require('../services/promotionService');
+const modelesNotificationService = require('../services/modelesNotificationService');
 const fs = require('fs');
 const path = require('path');
 
@@ -354,6 +357,16 @@ const OTP_TTL_MS         = 10 * 60 * 1000;
 const STATUT_CHOIX_CANAL = 'EN_ATTENTE_CHOIX_CANAL';
 const STATUT_ATTENTE     = 'EN_ATTENTE_VERIFICATION';
 
+// Code de parrainage saisi à l'inscription : un code invalide ne bloque pas la création du compte
+const _enregistrerParrainage = async (utilisateur, codeParrainage) => {
+  if (!codeParrainage) return;
+  try {
+    await promotionService.parrainer(utilisateur._id, codeParrainage);
+  } catch (error) {
+    logger.warn('Code de parrainage ignoré à l\'inscription', { userId: utilisateur._id, error: error.message });
+  }
+};
+
 const _envoyerConfirmationEmail = async (utilisateur) => {
   const confirmationToken = crypto.randomBytes(32).toString('hex');
   const hashedToken = crypto.createHash('sha256').update(confirmationToken).digest('hex');
@@ -564,6 +577,7 @@ const inscription = async (req, res, next) => {
         },
       },
     });
+    await _enregistrerParrainage(utilisateur, req.body.codeParrainage);
  
     // ── 5A. DEUX CANAUX → DEMANDER LE CHOIX ──────────────────────────────────
     if (aDeuxCanaux) {
@@ -1240,6 +1254,7 @@ const register = async (req, res, next) => {
 
     const newUser = new User(userData);
     await newUser.save({ maxTimeMS: 30000 });
+    await _enregistrerParrainage(newUser, req.body.codeParrainage);
 
     // 📧 Envoyer l'OTP par email
     try {
@@ -1481,6 +1496,7 @@ const register = async (req, res, next) => {
 
     const newUser = new User(userData);
     await newUser.save({ maxTimeMS: 30000 });
+    await _enregistrerParrainage(newUser, req.body.codeParrainage);
 
     // ✅ Envoyer le SMS de vérification via Twilio
     try {
@@ -3476,9 +3492,11 @@ const motDePasseOublieSMS = async (req, res, next) => {
     await user.save();
 
     try {
-      await sendSMS({
+      await sendTemplatedSMS({
         to: user.telephone,
-        message: `Votre code de réinitialisation WAYZ-ECO est: ${codeOTPReset}. Ce code expire dans 10 minutes.`
+        evenement: 'CODE_REINITIALISATION',
+        variables: { code: codeOTPReset },
+        langue: modelesNotificationService.langueDe(user)
       });
 
       logger.info('SMS réinitialisation envoyé', { userId: user._id, telephone: phoneProcessed });
@@ -4197,6 +4215,10 @@ const obtenirResumeCompteCovoiturage = async (req, res, next) => {
     }
 
     const resumeCompte = user.obtenirResumeCompte();
+    // Gains encaissés pour le conducteur, tenus par le grand livre
+    resumeCompte.gainsDisponibles = await grandLivreService.obtenirSolde('GAINS_CONDUCTEUR', user._id);
+    // Gains de courses payées, versés à la fin du trajet et du délai de contestation
+    resumeCompte.gainsEnSequestre = await grandLivreService.obtenirSolde('SEQUESTRE_CONDUCTEUR', user._id);
 
     res.json({
       success: true,
@@ -4264,6 +4286,7 @@ const obtenirHistoriqueCommissions = async (req, res, next) => {
       });
     }
 
+    // Historique antérieur au grand livre
     const historique = user.obtenirHistoriqueCommissions({
       statut,
       limit: parseInt(limit),
@@ -4271,9 +4294,18 @@ const obtenirHistoriqueCommissions = async (req, res, next) => {
       dateFin
     });
 
+    // Commissions, gains et remboursements depuis le grand livre
+    const mouvements = await grandLivreService.obtenirReleve(user._id, {
+      types: ['COMMISSION', 'PAIEMENT_COURSE', 'GAIN', 'REMBOURSEMENT', 'CONTRE_PASSATION'],
+      limit,
+      dateDebut,
+      dateFin
+    });
+
     res.json({
       success: true,
       historiqueCommissions: historique,
+      mouvements,
       total: user.compteCovoiturage.historiqueCommissions.length
     });
 
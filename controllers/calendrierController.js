@@ -0,0 +1,129 @@
+const calendrierService = require('../services/calendrierService');
+const AppError          = require('../utils/AppError');
+
+/**
+ * =========================================================
+ *  📅 CalendrierController
+ *  Flux iCalendar personnel et gestion du lien d'abonnement
+ * =========================================================
+ */
+class CalendrierController {
+
+  constructor() {
+    Object.getOwnPropertyNames(CalendrierController.prototype)
+      .filter(m => m !== 'constructor')
+      .forEach(m => { this[m] = this[m].bind(this); });
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/calendrier/flux/:token.ics
+  // Auth: aucune (le token secret fait office d'authentification)
+  // ─────────────────────────────────────────────
+  async obtenirFlux(req, res, next) {
+    try {
+      const contenu = await calendrierService.genererFluxParToken(req.params.token);
+
+      if (contenu === null) {
+        return res.status(404).json({
+          success: false,
+          message: 'Flux de calendrier introuvable ou révoqué',
+          code: 'CALENDAR_FEED_NOT_FOUND'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="wayz-eco.ics"',
+        'Cache-Control': 'private, max-age=900'
+      });
+      res.status(200).send(contenu);
+
+    } catch (error) {
+      return next(AppError.serverError('Erreur lors de la génération du calendrier', {
+        originalError: error.message
+      }));
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/calendrier/lien
+  // Auth: requis
+  // ─────────────────────────────────────────────
+  async obtenirLien(req, res, next) {
+    try {
+      const statut = await calendrierService.obtenirStatut(req.user.id);
+
+      res.json({
+        success: true,
+        data: statut
+      });
+
+    } catch (error) {
+      return next(AppError.serverError('Erreur lors de la récupération du lien de calendrier', {
+        originalError: error.message
+      }));
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // POST /api/calendrier/lien
+  // Auth: requis — génère un nouveau lien (l'ancien est invalidé)
+  // ─────────────────────────────────────────────
+  async genererLien(req, res, next) {
+    try {
+      const { url, genereLe } = await calendrierService.activerFlux(req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Lien de calendrier généré. Ajoutez-le comme abonnement dans votre agenda.',
+        data: {
+          actif: true,
+          url,
+          urlWebcal: url.replace(/^https?:\/\//, 'webcal://'),
+          genereLe
+        }
+      });
+
+    } catch (error) {
+      if (error.message.includes('introuvable')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Utilisateur introuvable'
+        });
+      }
+      return next(AppError.serverError('Erreur lors de la génération du lien de calendrier', {
+        originalError: error.message
+      }));
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // DELETE /api/calendrier/lien
+  // Auth: requis
+  // ─────────────────────────────────────────────
+  async revoquerLien(req, res, next) {
+    try {
+      const revoque = await calendrierService.revoquerFlux(req.user.id);
+
+      if (!revoque) {
+        return res.status(404).json({
+          success: false,
+          message: 'Aucun lien de calendrier actif',
+          code: 'CALENDAR_FEED_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Lien de calendrier révoqué avec succès'
+      });
+
+    } catch (error) {
+      return next(AppError.serverError('Erreur lors de la révocation du lien de calendrier', {
+        originalError: error.message
+      }));
+    }
+  }
+}
+
+module.exports = new CalendrierController();
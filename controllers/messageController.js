@@ -1,11 +1,26 @@
+const path = require('path');
 const { Message } = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const Utilisateur = require('../models/Utilisateur');
 const Signalement = require('../models/Signalement');
 const presenceService = require('../services/presenceService');
 const notificationService = require('../services/notificationService');
+const messageService = require('../services/messageService');
 const AppError = require('../utils/AppError');
 
+// Erreurs métier du service de messagerie (AppError) → réponse JSON, le reste → 500
+const repondreErreurMessage = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      succes: false,
+      erreur: error.message,
+      code: error.code
+    });
+  }
+  console.error(`${messageServeur}:`, error);
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
 // ===============================
 // CONTRÔLEURS POUR LES MESSAGES
 // ===============================
@@ -19,80 +34,42 @@ const envoyerMessageTexte = async (req, res, next) => {
       destinataireId
     } = req.body;
 
-    const userId = req.user.id;
-
-    // Vérifier que la conversation existe et que l'utilisateur y participe
-    const conversation = await Conversation.findById(conversationId);
-    
-    if (!conversation || !conversation.participants.includes(userId)) {
-      return res.status(403).json({
-        succes: false,
-        erreur: 'Accès non autorisé à cette conversation'
-      });
-    }
-
-    const message = new Message({
+    // Accès à la conversation, compteurs, diffusion temps réel et push hors ligne
+    const message = await messageService.envoyerMessage({
       conversationId,
-      expediteurId: userId,
+      expediteurId: req.user.id,
       destinataireId,
       contenu,
       typeMessage: 'TEXTE',
-      lu: false,
-      dateEnvoi: new Date()
+      moderation: req.moderationMessage
     });
 
-    await message.save();
-
-    // Mettre à jour la conversation: dernier message + non lus pour destinataire
-    const inc = {};
-    if (destinataireId) {
-      inc[`nombreMessagesNonLus.${destinataireId}`] = 1;
-    }
-    await Conversation.updateOne(
-      { _id: conversationId },
-      {
-        $set: {
-          derniereActivite: new Date(),
-          'statistiques.dernierMessagePar': userId,
-          'statistiques.dernierMessageContenu': (contenu || '').slice(0, 100)
-        },
-        ...(Object.keys(inc).length ? { $inc: inc } : {})
-      }
-    );
-
-    // Populer le message avec les détails de l'expéditeur
-    const populatedMessage = await Message.findById(message._id)
-      .populate('expediteurId', 'nom prenom photoProfil');
+    const retenu = message.moderation?.statut === 'RETENU';
 
-    // Broadcast temps réel
+    // Email hors ligne
     try {
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`conversation:${conversationId}`).emit('message:new', { message: populatedMessage });
-      }
-      // Email offline
-      const offline = destinataireId && !presenceService.isOnline(destinataireId.toString());
+      const offline = !retenu && destinataireId && !presenceService.isOnline(destinataireId.toString());
       if (offline) {
         const destUser = await Utilisateur.findById(destinataireId).select('email nom prenom');
         if (destUser?.email) {
           await notificationService.sendEmail(
             destUser.email,
             'Nouveau message reçu',
-            `${req.user.nom} ${req.user.prenom}: ${(contenu || '').slice(0, 120)}`
+            `${req.user.nom} ${req.user.prenom}: ${(message.contenu || '').slice(0, 120)}`
           );
         }
       }
     } catch (_e) {}
 
-    res.status(201).json({
+    res.status(retenu ? 202 : 201).json({
       succes: true,
-      message: 'Message envoyé avec succès',
-      data: populatedMessage
+      message: retenu ? 'Message en attente de modération' : 'Message envoyé avec succès',
+      data: message,
+      ...(message.moderation?.avertissement ? { avertissement: message.moderation.avertissement } : {})
     });
 
   } catch (error) {
-    console.error('Erreur envoi message texte:', error);
-    return next(AppError.serverError('Erreur serveur lors de l\'envoi du message', { originalError: error.message }));
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors de l\'envoi du message');
   }
 };
 
@@ -274,6 +251,64 @@ const utiliserModelePredefini = async (req, res, next) => {
   }
 };
 
+// Déposer une photo ou une note vocale (avant envoi du message)
+const televerserMedia = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        succes: false,
+        erreur: 'Aucun fichier reçu',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const estImage = req.file.mimetype.startsWith('image/');
+
+    res.status(201).json({
+      succes: true,
+      message: 'Fichier déposé avec succès',
+      data: {
+        type: estImage ? 'IMAGE' : 'AUDIO',
+        url: `/uploads/messages/${req.file.filename}`,
+        miniatureUrl: req.file.thumbnailPath
+          ? `/uploads/messages/${path.basename(req.file.thumbnailPath)}`
+          : null,
+        mimeType: req.file.mimetype,
+        taille: req.file.size
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur dépôt pièce jointe:', error);
+    return next(AppError.serverError('Erreur serveur lors du dépôt de la pièce jointe', { originalError: error.message }));
+  }
+};
+
+// Envoyer une photo ou une note vocale déjà déposée
+const envoyerMedia = async (req, res, next) => {
+  try {
+    const { conversationId, destinataireId, typeMessage, contenu, pieceJointe } = req.body;
+
+    const message = await messageService.envoyerMessage({
+      conversationId,
+      expediteurId: req.user.id,
+      destinataireId,
+      contenu,
+      typeMessage,
+      pieceJointe
+    });
+
+    res.status(201).json({
+      succes: true,
+      message: typeMessage === 'AUDIO' ? 'Note vocale envoyée avec succès' : 'Photo envoyée avec succès',
+      data: message
+    });
+
+  } catch (error) {
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors de l\'envoi de la pièce jointe');
+  }
+};
+
 // Obtenir messages d'une conversation
 const obtenirMessagesConversation = async (req, res, next) => {
   try {
@@ -528,7 +563,7 @@ const marquerCommeLu = async (req, res, next) => {
     const { messageId } = req.params;
     const userId = req.user.id;
 
-    const message = await Message.findById(messageId);
+    const message = await Message.findById(messageId).select('conversationId');
     
     if (!message) {
       return res.status(404).json({
@@ -537,27 +572,35 @@ const marquerCommeLu = async (req, res, next) => {
       });
     }
 
-    // Seul le destinataire peut marquer comme lu
-    if (message.destinataireId && message.destinataireId.toString() !== userId) {
-      return res.status(403).json({
-        succes: false,
-        erreur: 'Action non autorisée'
-      });
-    }
+    const resultat = await messageService.marquerLus(message.conversationId, userId, { messageIds: [messageId] });
 
-    await Message.findByIdAndUpdate(messageId, {
-      lu: true,
-      dateLecture: new Date()
+    res.json({
+      succes: true,
+      message: 'Message marqué comme lu',
+      data: resultat
     });
 
+  } catch (error) {
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors du marquage de lecture');
+  }
+};
+
+// Accuser réception des messages d'une conversation (arrivés sur l'appareil)
+const marquerConversationRecue = async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const { messageIds } = req.body;
+
+    const resultat = await messageService.marquerRecus(conversationId, req.user.id, { messageIds });
+
     res.json({
       succes: true,
-      message: 'Message marqué comme lu'
+      message: 'Réception des messages confirmée',
+      data: resultat
     });
 
   } catch (error) {
-    console.error('Erreur marquage lecture:', error);
-    return next(AppError.serverError('Erreur serveur lors du marquage de lecture', { originalError: error.message }));
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors de l\'accusé de réception');
   }
 };
 
@@ -567,21 +610,7 @@ const marquerConversationCommeLue = async (req, res, next) => {
     const { conversationId } = req.params;
     const userId = req.user.id;
 
-    // Marquer tous les messages non lus de cette conversation comme lus
-    await Message.updateMany({
-      conversationId,
-      destinataireId: userId,
-      lu: false
-    }, {
-      lu: true,
-      dateLecture: new Date()
-    });
-
-    // Réinitialiser le compteur de messages non lus pour cet utilisateur
-    await Conversation.updateOne(
-      { _id: conversationId },
-      { $set: { [`nombreMessagesNonLus.${userId}`]: 0 } }
-    );
+    const resultat = await messageService.marquerLus(conversationId, userId);
 
     try {
       const io = req.app.get('io');
@@ -590,12 +619,12 @@ const marquerConversationCommeLue = async (req, res, next) => {
 
     res.json({
       succes: true,
-      message: 'Conversation marquée comme lue'
+      message: 'Conversation marquée comme lue',
+      data: resultat
     });
 
   } catch (error) {
-    console.error('Erreur marquage conversation lue:', error);
-    return next(AppError.serverError('Erreur serveur lors du marquage de conversation lue', { originalError: error.message }));
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors du marquage de conversation lue');
   }
 };
 
@@ -667,30 +696,26 @@ const signalerMessage = async (req, res, next) => {
   }
 };
 
-// Supprimer un message
-const supprimerMessage = async (req, res, next) => {
+// Modifier le texte d'un message (délai d'édition)
+const modifierMessage = async (req, res, next) => {
   try {
-    const { messageId } = req.params;
-    const userId = req.user.id;
+    const message = await messageService.modifierMessage(req.params.messageId, req.user.id, req.body.contenu);
 
-    const message = await Message.findById(messageId);
-    
-    if (!message) {
-      return res.status(404).json({
-        succes: false,
-        erreur: 'Message non trouvé'
-      });
-    }
+    res.json({
+      succes: true,
+      message: 'Message modifié avec succès',
+      data: message
+    });
 
-    // Seul l'expéditeur peut supprimer son message
-    if (message.expediteurId.toString() !== userId) {
-      return res.status(403).json({
-        succes: false,
-        erreur: 'Vous ne pouvez supprimer que vos propres messages'
-      });
-    }
+  } catch (error) {
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors de la modification du message');
+  }
+};
 
-    await Message.findByIdAndDelete(messageId);
+// Supprimer un message (délai de suppression)
+const supprimerMessage = async (req, res, next) => {
+  try {
+    await messageService.supprimerMessage(req.params.messageId, req.user.id);
 
     res.json({
       succes: true,
@@ -698,8 +723,7 @@ const supprimerMessage = async (req, res, next) => {
     });
 
   } catch (error) {
-    console.error('Erreur suppression message:', error);
-    return next(AppError.serverError('Erreur serveur lors de la suppression du message', { originalError: error.message }));
+    return repondreErreurMessage(error, res, next, 'Erreur serveur lors de la suppression du message');
   }
 };
 
@@ -755,6 +779,16 @@ const modererMessage = async (req, res, next) => {
       });
     }
 
+    // Message retenu par le filtre automatique : l'approbation le remet aux participants
+    if (action === 'APPROVE' && message.moderation?.statut === 'RETENU') {
+      const libere = await messageService.libererMessage(messageId, req.user.id);
+      return res.json({
+        succes: true,
+        message: 'Message approuvé et remis aux participants',
+        data: libere
+      });
+    }
+
     switch (action) {
       case 'APPROVE':
         message.estSignale = false;
@@ -845,14 +879,18 @@ module.exports = {
   envoyerMessageTexte,
   envoyerPosition,
   utiliserModelePredefini,
+  televerserMedia,
+  envoyerMedia,
   obtenirMessagesConversation,
   rechercherMessages,
   obtenirMessagesNonLus,
   obtenirStatistiques,
   rechercherMessagesProximite,
   marquerCommeLu,
+  marquerConversationRecue,
   marquerConversationCommeLue,
   signalerMessage,
+  modifierMessage,
   supprimerMessage,
   obtenirMessagesSignales,
   modererMessage,
@@ -0,0 +1,153 @@
+const centreNotificationsService    = require('../services/centreNotificationsService');
+const livraisonNotificationsService = require('../services/livraisonNotificationsService');
+const AppError                      = require('../utils/AppError');
+const { logger }                    = require('../utils/logger');
+
+// Erreurs métier du centre de notifications (AppError) → réponse JSON, le reste → 500
+const repondreErreurNotification = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+/**
+ * =========================================================
+ *  📥 NotificationController
+ *  Centre de notifications in-app (historique, lecture, suppression)
+ * =========================================================
+ */
+class NotificationController {
+
+  constructor() {
+    Object.getOwnPropertyNames(NotificationController.prototype)
+      .filter(m => m !== 'constructor')
+      .forEach(m => { this[m] = this[m].bind(this); });
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/notifications
+  // Auth: requis — historique paginé, filtrable (non lues, canal)
+  // ─────────────────────────────────────────────
+  async listerNotifications(req, res, next) {
+    try {
+      const { notifications, pagination, nonLues } = await centreNotificationsService.lister(req.user.id, {
+        page: parseInt(req.query.page) || 1,
+        limite: parseInt(req.query.limite) || 20,
+        nonLues: req.query.nonLues === 'true',
+        canal: req.query.canal || null
+      });
+
+      res.json({
+        success: true,
+        data: { notifications, pagination, nonLues }
+      });
+
+    } catch (error) {
+      return repondreErreurNotification(error, res, next, 'Erreur lors de la récupération des notifications');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/notifications/non-lues
+  // Auth: requis — nombre de notifications non lues (badge)
+  // ─────────────────────────────────────────────
+  async compterNonLues(req, res, next) {
+    try {
+      const nonLues = await centreNotificationsService.compterNonLues(req.user.id);
+
+      res.json({
+        success: true,
+        data: { nonLues }
+      });
+
+    } catch (error) {
+      return repondreErreurNotification(error, res, next, 'Erreur lors du comptage des notifications');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // PATCH /api/notifications/lues
+  // Auth: requis — tout marquer comme lu
+  // ─────────────────────────────────────────────
+  async marquerToutesLues(req, res, next) {
+    try {
+      const resultat = await centreNotificationsService.marquerToutesLues(req.user.id);
+
+      res.json({
+        success: true,
+        message: `${resultat.modifiees} notification(s) marquée(s) comme lue(s)`,
+        data: resultat
+      });
+
+    } catch (error) {
+      return repondreErreurNotification(error, res, next, 'Erreur lors de la mise à jour des notifications');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // PATCH /api/notifications/:id/lue
+  // ─────────────────────────────────────────────
+  async marquerLue(req, res, next) {
+    try {
+      const resultat = await centreNotificationsService.marquerLue(req.params.id, req.user.id);
+
+      // Une notification lue a été reçue : pas de repli WhatsApp / SMS
+      livraisonNotificationsService.accuser(req.params.id, req.user.id).catch((error) => {
+        logger.warn(`Accusé de réception non enregistré (${req.params.id}): ${error.message}`);
+      });
+
+      res.json({
+        success: true,
+        message: 'Notification marquée comme lue',
+        data: resultat
+      });
+
+    } catch (error) {
+      return repondreErreurNotification(error, res, next, 'Erreur lors de la mise à jour de la notification');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // POST /api/notifications/:id/recue
+  // Auth: requis — accusé de réception du push par l'application
+  // ─────────────────────────────────────────────
+  async accuserReception(req, res, next) {
+    try {
+      const resultat = await livraisonNotificationsService.accuser(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: resultat.acquittee ? 'Réception enregistrée' : 'Aucune livraison en attente de réception',
+        data: resultat
+      });
+
+    } catch (error) {
+      return repondreErreurNotification(error, res, next, 'Erreur lors de l\'enregistrement de la réception');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // DELETE /api/notifications/:id
+  // ─────────────────────────────────────────────
+  async supprimerNotification(req, res, next) {
+    try {
+      const resultat = await centreNotificationsService.supprimer(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Notification supprimée',
+        data: resultat
+      });
+
+    } catch (error) {
+      return repondreErreurNotification(error, res, next, 'Erreur lors de la suppression de la notification');
+    }
+  }
+}
+
+module.exports = new NotificationController();
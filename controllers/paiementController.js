@@ -1,10 +1,13 @@
 // controllers/paiementController.js
-const CinetPayService = require('../services/CinetPayService');
+const paiementMobileService = require('../services/paiementMobileService');
 const Paiement = require('../models/Paiement');
+const WebhookTraite = require('../models/WebhookTraite');
 const Utilisateur = require('../models/Utilisateur');
-const firebaseService = require('../services/firebaseService');
+const notificationService = require('../services/notificationService');
 const Trajet = require('../models/Trajet');
 const Reservation = require('../models/Reservation');
+const promotionService = require('../services/promotionService');
+const partageReservationService = require('../services/partageReservationService');
 const { logger } = require('../utils/logger');
 const sendEmail = require('../utils/emailService');
 const PDFDocument = require('pdfkit');
@@ -12,7 +15,7 @@ const crypto = require('crypto');
 
 class PaiementController {
   constructor() {
-    this.cinetPayService = new CinetPayService();
+    this.paiementMobileService = paiementMobileService;
     
     const proto = Object.getPrototypeOf(this);
     Object.getOwnPropertyNames(proto)
@@ -75,17 +78,59 @@ class PaiementController {
         });
       }
 
-      // Vérifier que la réservation n'a pas déjà été payée
-      const paiementExistant = await Paiement.findOne({
-        reservationId,
-        statutPaiement: { $in: ['COMPLETE', 'TRAITE'] }
-      });
+      // Prix partagé : le titulaire ne paie que sa part et celles qu'il couvre,
+      // déduction faite de ce qu'il a déjà réglé
+      const soldePartage = reservation.partage?.actif
+        ? await partageReservationService.calculerSoldeTitulaire(reservation)
+        : null;
 
-      if (paiementExistant) {
+      if (soldePartage) {
+        if (soldePartage.montantDu <= 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'DEJA_PAYE',
+            message: 'Votre part de cette réservation a déjà été payée'
+          });
+        }
+        if (Number(montant) !== soldePartage.montantDu) {
+          return res.status(400).json({
+            success: false,
+            error: 'MONTANT_INVALIDE',
+            message: `Le montant restant dû pour votre part est de ${soldePartage.montantDu} FCFA (prix partagé)`
+          });
+        }
+      } else {
+        // Une réduction est fixée à la réservation : le montant dû ne se négocie plus
+        if (reservation.promotion?.montantAvantReduction && Number(montant) !== reservation.montantTotal) {
+          return res.status(400).json({
+            success: false,
+            error: 'MONTANT_INVALIDE',
+            message: `Le montant dû pour cette réservation est de ${reservation.montantTotal} FCFA (réduction appliquée)`
+          });
+        }
+
+        // Vérifier que la réservation n'a pas déjà été payée
+        const paiementExistant = await Paiement.findOne({
+          reservationId,
+          statutPaiement: { $in: ['COMPLETE', 'TRAITE'] }
+        });
+
+        if (paiementExistant) {
+          return res.status(400).json({
+            success: false,
+            error: 'DEJA_PAYE',
+            message: 'Cette réservation a déjà été payée'
+          });
+        }
+      }
+
+      // Les parts des co-passagers ne se règlent qu'en paiement mobile
+      if (soldePartage && methodePaiement === 'ESPECES') {
         return res.status(400).json({
           success: false,
-          error: 'DEJA_PAYE',
-          message: 'Cette réservation a déjà été payée'
+          error: 'PAIEMENT_ESPECES_NON_AUTORISE',
+          message: 'Une réservation au prix partagé se paie uniquement par paiement mobile',
+          methodesDisponibles: ['MOBILE_MONEY']
         });
       }
 
@@ -151,6 +196,12 @@ class PaiementController {
           verificationsPassees: false
         },
 
+        // Réductions financées par la plateforme (code promo, crédit de parrainage)
+        repartitionFrais: soldePartage
+          ? soldePartage.repartitionFrais
+          : promotionService.repartitionFrais(reservation),
+        partage: { reservationPartagee: Boolean(soldePartage) },
+
         securite: {
           ipAddress: req.ip,
           userAgent: req.get('User-Agent'),
@@ -227,7 +278,7 @@ class PaiementController {
         });
       } else {
         // Paiement mobile - utiliser CinetPay
-        const result = await this.cinetPayService.initierPaiement(
+        const result = await this.paiementMobileService.initierPaiement(
           reservationId, 
           montant, 
 
@@ -276,9 +327,10 @@ class PaiementController {
 
     } catch (error) {
       logger.error('Erreur initiation paiement:', error);
-      return res.status(500).json({
+      // Refus du fournisseur (402) ou fournisseurs indisponibles (503)
+      return res.status(error.isOperational ? error.status : 500).json({
         success: false,
-        error: 'ERREUR_PAIEMENT',
+        error: error.isOperational ? error.code : 'ERREUR_PAIEMENT',
         message: error.message
       });
     }
@@ -410,40 +462,38 @@ class PaiementController {
 
       await paiement.save();
 
-      // Notification Firebase au conducteur
+      // Notification au conducteur
       try {
         const conducteur = paiement.beneficiaireId;
         if (conducteur.notificationsActivees?.('paiements')) {
-          await firebaseService.notifyPaymentSuccess(
+          await notificationService.notifierPaiementReussi(
             conducteur._id,
             {
               montant: paiement.montantTotal,
               transactionId: paiement.referenceTransaction,
               methode: 'especes'
-            },
-            Utilisateur
+            }
           );
         }
       } catch (notifError) {
-        logger.error('❌ Erreur notification Firebase conducteur:', notifError);
+        logger.error('❌ Erreur notification conducteur:', notifError);
       }
 
-      // Notification Firebase au passager
+      // Notification au passager
       try {
         const passager = await Utilisateur.findById(paiement.payeurId);
         if (passager?.notificationsActivees?.('paiements')) {
-          await firebaseService.notifyPaymentSuccess(
+          await notificationService.notifierPaiementReussi(
             passager._id,
             {
               montant: paiement.montantTotal,
               transactionId: paiement.referenceTransaction,
               methode: 'especes'
-            },
-            Utilisateur
+            }
           );
         }
       } catch (notifError) {
-        logger.error('❌ Erreur notification Firebase passager:', notifError);
+        logger.error('❌ Erreur notification passager:', notifError);
       }
 
       logger.info('✅ Paiement espèces finalisé après trajet', {
@@ -634,7 +684,7 @@ async initierRecharge(req, res) {
 
     // ✅ APPEL CINETPAY POUR GÉNÉRER URL DE PAIEMENT
     try {
-      const resultCinetPay = await this.cinetPayService.initierPaiement(
+      const resultCinetPay = await this.paiementMobileService.initierPaiement(
         null, // Pas de reservationId pour recharge
         // montant,
         100,
@@ -725,9 +775,9 @@ async initierRecharge(req, res) {
       paiement.ajouterErreur('CINETPAY_EXCEPTION', cinetpayError.message);
       await paiement.save();
 
-      return res.status(500).json({
+      return res.status(cinetpayError.isOperational ? cinetpayError.status : 500).json({
         success: false,
-        error: 'ERREUR_CINETPAY',
+        error: cinetpayError.isOperational ? cinetpayError.code : 'ERREUR_CINETPAY',
         message: 'Une erreur s\'est produite lors de la communication avec CinetPay',
         details: cinetpayError.message
       });
@@ -749,6 +799,7 @@ async initierRecharge(req, res) {
  * la méthode confirmerRecharge existante par celle-ci
  */
   async confirmerRecharge(req, res) {
+    let reservationWebhook = null;
     try {
       const {
     referenceTransaction,
@@ -780,6 +831,21 @@ const estWebhook = notify_token || merchant_transaction_id;
     }
 
     if (paiement.statutPaiement !== 'EN_ATTENTE') {
+      if (estWebhook) {
+        // Notification rejouée : sans effet, tracée et acquittée pour stopper les renvois
+        paiement.ajouterLog('WEBHOOK_DOUBLON', {
+          transaction_id: transaction_id || null,
+          statutActuel: paiement.statutPaiement
+        }, 'MOBILE_MONEY', 'WARNING');
+        await paiement.save();
+
+        return res.json({
+          success: true,
+          message: 'Recharge déjà traitée',
+          data: { referenceTransaction, statutPaiement: paiement.statutPaiement, dejaTraite: true }
+        });
+      }
+
       return res.status(400).json({
         success: false,
         message: 'Cette recharge a déjà été traitée',
@@ -787,6 +853,24 @@ const estWebhook = notify_token || merchant_transaction_id;
       });
     }
 
+    // Deux notifications simultanées : seule la première crédite le compte
+    if (estWebhook) {
+      const { reserve, entree } = await WebhookTraite.reserver(
+        'cinetpay',
+        transaction_id || referenceTransaction,
+        { referenceTransaction }
+      );
+      if (!reserve) {
+        logger.info('🔁 Webhook recharge déjà en cours de traitement — ignoré', { referenceTransaction, transaction_id });
+        return res.json({
+          success: true,
+          message: 'Recharge déjà traitée',
+          data: { referenceTransaction, dejaTraite: true }
+        });
+      }
+      reservationWebhook = entree;
+    }
+
     // 🔒 SÉCURITÉ : Si confirmation manuelle (admin), vérifier avec CinetPay
     if (!estWebhook) {
       const userId = req.user?.userId;
@@ -814,7 +898,7 @@ const estWebhook = notify_token || merchant_transaction_id;
       });
 
       try {
-        const verificationCinetPay = await this.cinetPayService.verifierStatutTransaction(
+        const verificationCinetPay = await this.paiementMobileService.verifierStatutTransaction(
           referenceTransaction
         );
 
@@ -869,8 +953,10 @@ const estWebhook = notify_token || merchant_transaction_id;
     // ✅ TRAITER SELON LE STATUT
     if (statutPaiement === 'COMPLETE' || notify_token) {
       // RECHARGE RÉUSSIE
-      paiement.statutPaiement = 'COMPLETE';
-      paiement.dateCompletion = new Date();
+      paiement.changerStatut('COMPLETE', {
+        modeConfirmation: estWebhook ? 'webhook_auto' : 'manuel_admin',
+        transaction_id: transaction_id || null
+      }, estWebhook ? 'MOBILE_MONEY' : 'ADMIN');
       
       // Enregistrer données CinetPay si webhook
       if (transaction_id) {
@@ -890,27 +976,26 @@ const estWebhook = notify_token || merchant_transaction_id;
       // Envoyer email de confirmation
       await this.envoyerEmailConfirmationRecharge(user, paiement);
       
-      // Notification Firebase
+      // Notification
       try {
         if (user.notificationsActivees('paiements')) {
-          await firebaseService.notifyPaymentSuccess(
+          await notificationService.notifierPaiementReussi(
             user._id,
             {
               montant: montantACrediter,
               transactionId: referenceTransaction,
               methode: paiement.methodePaiement.toLowerCase()
-            },
-            Utilisateur
+            }
           );
           
-          logger.info('📱 Notification Firebase recharge réussie envoyée', {
+          logger.info('📱 Notification recharge réussie envoyée', {
             userId: user._id,
             montant: montantACrediter,
             nouveauSolde: user.compteCovoiturage.solde
           });
         }
       } catch (notifError) {
-        logger.error('❌ Erreur notification Firebase recharge:', notifError);
+        logger.error('❌ Erreur notification recharge:', notifError);
       }
 
       paiement.ajouterLog('RECHARGE_CONFIRMEE_CINETPAY', {
@@ -932,6 +1017,9 @@ const estWebhook = notify_token || merchant_transaction_id;
       });
 
       await paiement.save();
+      if (reservationWebhook) {
+        await WebhookTraite.marquerTraite(reservationWebhook._id, paiement.statutPaiement);
+      }
 
       res.json({
         success: true,
@@ -952,7 +1040,10 @@ const estWebhook = notify_token || merchant_transaction_id;
 
     } else if (statutPaiement === 'ECHEC') {
       // RECHARGE ÉCHOUÉE
-      paiement.statutPaiement = 'ECHEC';
+      paiement.changerStatut('ECHEC', {
+        modeConfirmation: estWebhook ? 'webhook_auto' : 'manuel_admin',
+        transaction_id: transaction_id || null
+      }, estWebhook ? 'MOBILE_MONEY' : 'ADMIN');
       
       if (transaction_id) {
          paiement.mobileMoney.transactionId = transaction_id;
@@ -966,28 +1057,30 @@ const estWebhook = notify_token || merchant_transaction_id;
       paiement.ajouterErreur('RECHARGE_ECHEC_CINETPAY', 
         'Échec du paiement confirmé par CinetPay');
 
-      // Notification Firebase - Échec
+      // Notification - Échec
       try {
         if (user.notificationsActivees('paiements')) {
-          await firebaseService.notifyPaymentFailed(
+          await notificationService.notifierPaiementEchoue(
             user._id,
             {
               montant: paiement.montantTotal,
               transactionId: referenceTransaction,
               reason: 'Paiement échoué sur CinetPay'
-            },
-            Utilisateur
+            }
           );
           
-          logger.info('📱 Notification Firebase recharge échouée envoyée', {
+          logger.info('📱 Notification recharge échouée envoyée', {
             userId: user._id
           });
         }
       } catch (notifError) {
-        logger.error('❌ Erreur notification Firebase échec:', notifError);
+        logger.error('❌ Erreur notification échec:', notifError);
       }
 
       await paiement.save();
+      if (reservationWebhook) {
+        await WebhookTraite.marquerTraite(reservationWebhook._id, paiement.statutPaiement);
+      }
 
       logger.warn('⚠️ Recharge échouée', {
         paiementId: paiement._id,
@@ -1010,6 +1103,9 @@ const estWebhook = notify_token || merchant_transaction_id;
     }
 
   } catch (error) {
+    if (reservationWebhook) {
+      await WebhookTraite.liberer(reservationWebhook._id).catch(() => {});
+    }
     logger.error('❌ Erreur confirmation recharge:', error);
     return res.status(500).json({
       success: false,
@@ -1381,7 +1477,7 @@ const estWebhook = notify_token || merchant_transaction_id;
     try {
       const { referenceTransaction } = req.params;
 
-      const result = await this.cinetPayService.verifierStatutTransaction(referenceTransaction);
+      const result = await this.paiementMobileService.verifierStatutTransaction(referenceTransaction);
 
       return res.status(200).json({
         success: true,
@@ -1399,15 +1495,28 @@ const estWebhook = notify_token || merchant_transaction_id;
   }
 
   async webhookCinetPay(req, res) {
-    try {
-      const webhookData = req.body;
-      
-      logger.info('Webhook CinetPay reçu', webhookData);
+    return this._traiterNotificationPaiement('cinetpay', req, res);
+  }
+
+  // Notification d'un fournisseur de paiement : wave, orange, cinetpay, sandbox
+  async webhookFournisseur(req, res) {
+    return this._traiterNotificationPaiement(req.params.fournisseur, req, res);
+  }
 
-      const result = await this.cinetPayService.traiterWebhook(webhookData);
+  async _traiterNotificationPaiement(nomFournisseur, req, res) {
+    try {
+      logger.info('Webhook paiement reçu', { fournisseur: nomFournisseur, query: req.query });
+
+      // Corps brut conservé pour les signatures HMAC (Wave, bac à sable)
+      const result = await this.paiementMobileService.traiterWebhook(nomFournisseur, {
+        corps: req.body || {},
+        corpsBrut: req.rawBody,
+        entetes: req.headers,
+        query: req.query
+      });
 
-      // Envoyer notification Firebase selon le résultat
-      if (result.success && result.paiementId) {
+      // Envoyer notification selon le résultat (doublons exclus)
+      if (result.success && result.paiementId && result.statutModifie) {
         const paiement = await Paiement.findById(result.paiementId)
           .populate('payeurId');
         
@@ -1418,17 +1527,16 @@ const estWebhook = notify_token || merchant_transaction_id;
              const utilisateur = paiement.payeurId;
             
             if (utilisateur && utilisateur.notificationsActivees('paiements')) {
-              await firebaseService.notifyPaymentSuccess(
+              await notificationService.notifierPaiementReussi(
                 utilisateur._id,
                 {
                   montant: paiement.montantTotal,
                   transactionId: paiement.referenceTransaction,
                   methode: paiement.methodePaiement.toLowerCase()
-                },
-                Utilisateur
+                }
               );
               
-              logger.info('📱 Notification Firebase webhook (succès) envoyée', {
+              logger.info('📱 Notification webhook (succès) envoyée', {
                 userId: utilisateur._id,
                 paiementId: paiement._id
               });
@@ -1439,17 +1547,16 @@ const estWebhook = notify_token || merchant_transaction_id;
             const utilisateur = await Utilisateur.findById(paiement.payeurId);
             
             if (utilisateur && utilisateur.notificationsActivees('paiements')) {
-              await firebaseService.notifyPaymentFailed(
+              await notificationService.notifierPaiementEchoue(
                 utilisateur._id,
                 {
                   montant: paiement.montantTotal,
                   transactionId: paiement.referenceTransaction,
                   reason: 'Échec du paiement'
-                },
-                Utilisateur
+                }
               );
               
-              logger.info('📱 Notification Firebase webhook (échec) envoyée', {
+              logger.info('📱 Notification webhook (échec) envoyée', {
                 userId: utilisateur._id,
                 paiementId: paiement._id
               });
@@ -1457,16 +1564,17 @@ const estWebhook = notify_token || merchant_transaction_id;
           }
         } catch (notifError) {
           // Ne pas bloquer le webhook si notification échoue
-          logger.error('❌ Erreur notification Firebase dans webhook:', notifError);
+          logger.error('❌ Erreur notification dans webhook:', notifError);
         }
       }
 
       return res.status(200).json(result);
 
     } catch (error) {
-      logger.error('Erreur webhook CinetPay:', error);
-      return res.status(500).json({
+      logger.error('Erreur webhook paiement:', { fournisseur: nomFournisseur, message: error.message });
+      return res.status(error.isOperational ? error.status : 500).json({
         success: false,
+        code: error.isOperational ? error.code : undefined,
         message: error.message
       });
     }
@@ -1476,7 +1584,7 @@ const estWebhook = notify_token || merchant_transaction_id;
     try {
       const { referenceTransaction } = req.params;
 
-      const result = await this.cinetPayService.verifierStatutTransaction(referenceTransaction);
+      const result = await this.paiementMobileService.verifierStatutTransaction(referenceTransaction);
       
       const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
       
@@ -0,0 +1,74 @@
+const partageReservationService = require('../services/partageReservationService');
+const AppError                  = require('../utils/AppError');
+
+// Erreurs métier du partage (AppError) → réponse JSON, le reste → 500
+const repondreErreurPartage = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+/**
+ * =========================================================
+ *  🤝 PartageController
+ *  Lien de paiement d'un co-passager (prix de réservation partagé)
+ * =========================================================
+ */
+class PartageController {
+
+  constructor() {
+    Object.getOwnPropertyNames(PartageController.prototype)
+      .filter(m => m !== 'constructor')
+      .forEach(m => { this[m] = this[m].bind(this); });
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/partages/:jeton
+  // Public — le jeton du lien tient lieu d'authentification
+  // ─────────────────────────────────────────────
+  async obtenirPart(req, res, next) {
+    try {
+      const part = await partageReservationService.obtenirPart(req.params.jeton);
+
+      res.json({
+        success: true,
+        data: part
+      });
+
+    } catch (error) {
+      return repondreErreurPartage(error, res, next, 'Erreur lors de la récupération de la part');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // POST /api/partages/:jeton/paiement
+  // Public — paiement mobile de la part via CinetPay
+  // ─────────────────────────────────────────────
+  async payerPart(req, res, next) {
+    try {
+      const resultat = await partageReservationService.initierPaiementPart(req.params.jeton, {
+        numeroTelephone: req.body.numeroTelephone,
+        operateur: req.body.operateur,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        deviceId: req.get('X-Device-ID')
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Paiement initié — confirmez sur votre téléphone',
+        data: resultat
+      });
+
+    } catch (error) {
+      return repondreErreurPartage(error, res, next, 'Erreur lors du paiement de la part');
+    }
+  }
+}
+
+module.exports = new PartageController();
@@ -0,0 +1,123 @@
+const promotionService = require('../services/promotionService');
+const segmentService   = require('../services/segmentService');
+const Trajet           = require('../models/Trajet');
+const AppError         = require('../utils/AppError');
+
+// Erreurs métier des promotions (AppError) → réponse JSON, le reste → 500
+const repondreErreurPromotion = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+/**
+ * =========================================================
+ *  🎁 PromotionController
+ *  Vérification des codes promo et parrainage côté passager
+ * =========================================================
+ */
+class PromotionController {
+
+  constructor() {
+    Object.getOwnPropertyNames(PromotionController.prototype)
+      .filter(m => m !== 'constructor')
+      .forEach(m => { this[m] = this[m].bind(this); });
+  }
+
+  // ─────────────────────────────────────────────
+  // POST /api/promotions/verifier
+  // Auth: requis — aperçu de la réduction avant réservation (rien n'est réservé)
+  // ─────────────────────────────────────────────
+  async verifierCode(req, res, next) {
+    try {
+      const { codePromo, trajetId, nombrePlaces = 1, indexMontee, indexDescente } = req.body;
+
+      const trajet = await Trajet.findById(trajetId);
+      if (!trajet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Trajet introuvable',
+          code: 'TRAJET_NOT_FOUND'
+        });
+      }
+
+      // Même tarification que la réservation (prix du tronçon)
+      const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+      const troncon = segmentService.normaliserIndex(
+        indexMontee !== undefined ? parseInt(indexMontee) : null,
+        indexDescente !== undefined ? parseInt(indexDescente) : null,
+        arrets.length
+      );
+      const montant = segmentService.calculerPrixSegment(
+        trajet.prixParPassager, arrets, troncon.indexMontee, troncon.indexDescente
+      ) * parseInt(nombrePlaces);
+
+      const { codePromo: code, reduction } = await promotionService.evaluerCode(codePromo, {
+        utilisateurId: req.user.id,
+        trajet,
+        montant
+      });
+
+      res.json({
+        success: true,
+        message: reduction > 0 ? 'Code promo applicable' : 'Code promo valide, sans réduction sur ce montant',
+        data: {
+          code: code.code,
+          description: code.description,
+          montantAvantReduction: montant,
+          reduction,
+          montantApresReduction: montant - reduction,
+          creditDisponible: await promotionService.creditDisponible(req.user.id)
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurPromotion(error, res, next, 'Erreur lors de la vérification du code promo');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/promotions/parrainage
+  // Auth: requis — code à partager, filleuls et crédit disponible
+  // ─────────────────────────────────────────────
+  async obtenirParrainage(req, res, next) {
+    try {
+      const parrainage = await promotionService.obtenirParrainage(req.user.id);
+
+      res.json({
+        success: true,
+        data: parrainage
+      });
+
+    } catch (error) {
+      return repondreErreurPromotion(error, res, next, 'Erreur lors de la récupération du parrainage');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // POST /api/promotions/parrainage
+  // Auth: requis — le filleul saisit le code de son parrain avant sa première course
+  // ─────────────────────────────────────────────
+  async utiliserCodeParrainage(req, res, next) {
+    try {
+      const { parrain } = await promotionService.parrainer(req.user.id, req.body.codeParrainage);
+      const { CREDIT_FILLEUL } = promotionService.config;
+
+      res.status(201).json({
+        success: true,
+        message: `Parrainage enregistré : ${CREDIT_FILLEUL} FCFA de crédit vous seront offerts à la fin de votre première course`,
+        data: { parrain }
+      });
+
+    } catch (error) {
+      return repondreErreurPromotion(error, res, next, 'Erreur lors de l\'enregistrement du parrainage');
+    }
+  }
+}
+
+module.exports = new PromotionController();
@@ -0,0 +1,135 @@
+const recuService = require('../services/recuService');
+const AppError    = require('../utils/AppError');
+
+// Erreurs métier des reçus (AppError) → réponse JSON, le reste → 500
+const repondreErreurRecu = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+const presenterRecu = (recu) => ({
+  numero: recu.numero,
+  type: recu.type,
+  montant: recu.montant,
+  paiementId: recu.paiementId,
+  dateEmission: recu.dateEmission,
+  contenu: recu.contenu,
+  empreinte: recu.empreinte,
+  urlPdf: recuService.urlRecu(recu.numero),
+  urlVerification: recuService.urlVerification(recu.numero)
+});
+
+/**
+ * =========================================================
+ *  🧾 RecuController
+ *  Reçus numérotés des paiements (payeur et bénéficiaire)
+ * =========================================================
+ */
+class RecuController {
+
+  constructor() {
+    Object.getOwnPropertyNames(RecuController.prototype)
+      .filter(m => m !== 'constructor')
+      .forEach(m => { this[m] = this[m].bind(this); });
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/recus/verification/:numero
+  // Public — contrôle d'authenticité d'un reçu présenté
+  // ─────────────────────────────────────────────
+  async verifierRecu(req, res, next) {
+    try {
+      const verification = await recuService.verifierRecu(req.params.numero);
+
+      res.json({
+        success: true,
+        message: verification.valide ? 'Reçu authentique' : 'Reçu altéré ou hors de la chaîne des reçus',
+        data: verification
+      });
+
+    } catch (error) {
+      return repondreErreurRecu(error, res, next, 'Erreur lors de la vérification du reçu');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/recus
+  // Auth: requis — reçus émis ou reçus par l'utilisateur
+  // ─────────────────────────────────────────────
+  async listerRecus(req, res, next) {
+    try {
+      const { recus, pagination } = await recuService.listerRecus(req.user.id, {
+        page: parseInt(req.query.page) || 1,
+        limite: parseInt(req.query.limite) || 20
+      });
+
+      res.json({
+        success: true,
+        data: { recus, pagination }
+      });
+
+    } catch (error) {
+      return repondreErreurRecu(error, res, next, 'Erreur lors de la récupération des reçus');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/recus/paiements/:paiementId
+  // Auth: requis — reçu d'un paiement, émis à la demande s'il manque
+  // ─────────────────────────────────────────────
+  async obtenirRecuPaiement(req, res, next) {
+    try {
+      const recu = await recuService.obtenirRecuPaiement(req.params.paiementId, req.user.id);
+
+      res.json({
+        success: true,
+        data: presenterRecu(recu)
+      });
+
+    } catch (error) {
+      return repondreErreurRecu(error, res, next, 'Erreur lors de la récupération du reçu');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/recus/:numero
+  // ─────────────────────────────────────────────
+  async obtenirRecu(req, res, next) {
+    try {
+      const recu = await recuService.obtenirRecu(req.params.numero, req.user.id);
+
+      res.json({
+        success: true,
+        data: presenterRecu(recu)
+      });
+
+    } catch (error) {
+      return repondreErreurRecu(error, res, next, 'Erreur lors de la récupération du reçu');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/recus/:numero/pdf
+  // ─────────────────────────────────────────────
+  async telechargerRecu(req, res, next) {
+    try {
+      const recu = await recuService.obtenirRecu(req.params.numero, req.user.id);
+      const { contenu, type, nomFichier } = await recuService.genererPdf(recu);
+
+      res.setHeader('Content-Type', type);
+      res.setHeader('Content-Disposition', `attachment; filename=${nomFichier}`);
+      res.send(contenu);
+
+    } catch (error) {
+      return repondreErreurRecu(error, res, next, 'Erreur lors de la génération du reçu');
+    }
+  }
+}
+
+module.exports = new RecuController();
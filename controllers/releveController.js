@@ -0,0 +1,88 @@
+const releveService = require('../services/releveService');
+const AppError      = require('../utils/AppError');
+
+// Erreurs métier des relevés (AppError) → réponse JSON, le reste → 500
+const repondreErreurReleve = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+/**
+ * =========================================================
+ *  📊 ReleveController
+ *  Relevé mensuel des gains du conducteur (consultation, PDF/CSV, email)
+ * =========================================================
+ */
+class ReleveController {
+
+  constructor() {
+    Object.getOwnPropertyNames(ReleveController.prototype)
+      .filter(m => m !== 'constructor')
+      .forEach(m => { this[m] = this[m].bind(this); });
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/releves/:annee/:mois
+  // Auth: conducteur — synthèse et détail du mois
+  // ─────────────────────────────────────────────
+  async obtenirReleve(req, res, next) {
+    try {
+      const releve = await releveService.calculerReleve(req.user.id, req.params.annee, req.params.mois);
+
+      res.json({
+        success: true,
+        data: releve
+      });
+
+    } catch (error) {
+      return repondreErreurReleve(error, res, next, 'Erreur lors du calcul du relevé');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // GET /api/releves/:annee/:mois/export?format=pdf|csv
+  // ─────────────────────────────────────────────
+  async exporterReleve(req, res, next) {
+    try {
+      const releve = await releveService.calculerReleve(req.user.id, req.params.annee, req.params.mois);
+      const { contenu, type, nomFichier } = await releveService.exporterReleve(releve, req.query.format || 'pdf');
+
+      res.setHeader('Content-Type', type);
+      res.setHeader('Content-Disposition', `attachment; filename=${nomFichier}`);
+      res.send(contenu);
+
+    } catch (error) {
+      return repondreErreurReleve(error, res, next, 'Erreur lors de l\'export du relevé');
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // POST /api/releves/:annee/:mois/envoyer
+  // Auth: conducteur — recevoir le relevé par email (PDF et CSV joints)
+  // ─────────────────────────────────────────────
+  async envoyerReleve(req, res, next) {
+    try {
+      const totaux = await releveService.envoyerReleve(req.user.id, {
+        annee: req.params.annee,
+        mois: req.params.mois
+      });
+
+      res.json({
+        success: true,
+        message: 'Relevé envoyé par email',
+        data: { totaux }
+      });
+
+    } catch (error) {
+      return repondreErreurReleve(error, res, next, 'Erreur lors de l\'envoi du relevé');
+    }
+  }
+}
+
+module.exports = new ReleveController();
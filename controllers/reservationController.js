@@ -5,8 +5,15 @@ const Trajet = require('../models/Trajet');
 const Utilisateur = require('../models/Utilisateur');
 const AppError = require('../utils/AppError');
 const notificationService = require('../services/notificationService');
-const firebaseService = require('../services/firebaseService');
 const Paiement = require('../models/Paiement');
+const detourService = require('../services/detourService');
+const segmentService = require('../services/segmentService');
+const listeAttenteService = require('../services/listeAttenteService');
+const grandLivreService = require('../services/grandLivreService');
+const sequestreService = require('../services/sequestreService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const promotionService = require('../services/promotionService');
+const partageReservationService = require('../services/partageReservationService');
 
 // Fonctions utilitaires
 const validerDonnees = (req) => {
@@ -38,8 +45,7 @@ async function _notifierConfirmationReservation(reservation) {
         dateDepart: trajet.dateDepart,
         heureDepart: trajet.heureDepart,
         montant: reservation.montantTotal
-      },
-      Utilisateur
+      }
     );
   } catch (error) {
     console.error('⚠️ Erreur _notifierConfirmationReservation:', error.message);
@@ -60,15 +66,34 @@ async function _notifierRefusReservation(reservation) {
         trajetId: trajet._id.toString(),
         destination: trajet.pointArrivee?.adresse || '',
         raison: reservation.motifRefus || 'Aucun motif spécifié'
-      },
-      Utilisateur
+      }
     );
   } catch (error) {
     console.error('⚠️ Erreur _notifierRefusReservation:', error.message);
   }
 }
-const calculerMontantTotal = (trajet, nombrePlaces) => {
-  return trajet.prixParPassager * nombrePlaces;
+const calculerMontantTotal = (trajet, nombrePlaces, arrets = null, troncon = null) => {
+  if (!arrets || !troncon) {
+    return trajet.prixParPassager * nombrePlaces;
+  }
+  // Prix proportionnel à la distance du tronçon réservé
+  const prixParPlace = segmentService.calculerPrixSegment(
+    trajet.prixParPassager, arrets, troncon.indexMontee, troncon.indexDescente
+  );
+  return prixParPlace * nombrePlaces;
+};
+
+// Erreurs métier (AppError) → réponse JSON, le reste → 500
+const repondreErreurMetier = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  console.error(`${messageServeur}:`, error);
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
 };
 
 class ReservationController {
@@ -96,7 +121,11 @@ class ReservationController {
         nombrePlacesReservees,
         pointPriseEnCharge,
         pointDepose,
-        bagages
+        bagages,
+        indexMontee,
+        indexDescente,
+        codePromo,
+        utiliserCreditPromotionnel
       } = req.body;
 
       console.log('=== CREATION RESERVATION ===');
@@ -134,16 +163,95 @@ class ReservationController {
         });
       }
 
-      const disponibilite = await Reservation.verifierDisponibilite(trajetId, nombrePlacesReservees);
+      // Tronçon réservé (trajet complet par défaut)
+      const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+      const troncon = segmentService.normaliserIndex(
+        indexMontee !== undefined ? parseInt(indexMontee) : null,
+        indexDescente !== undefined ? parseInt(indexDescente) : null,
+        arrets.length
+      );
+      const erreurTroncon = segmentService.validerIndex(troncon.indexMontee, troncon.indexDescente, arrets.length);
+      if (erreurTroncon) {
+        return res.status(400).json({
+          success: false,
+          message: erreurTroncon,
+          code: 'INVALID_SEGMENT'
+        });
+      }
+
+      const disponibilite = await Reservation.verifierDisponibilite(
+        trajetId, nombrePlacesReservees, troncon.indexMontee, troncon.indexDescente
+      );
       if (!disponibilite.disponible) {
         return res.status(400).json({
           success: false,
           message: `Pas assez de places disponibles. Places restantes: ${disponibilite.placesDisponibles}`,
-          code: 'INSUFFICIENT_SEATS'
+          code: 'INSUFFICIENT_SEATS',
+          listeAttente: {
+            disponible: trajet.statutTrajet === 'PROGRAMME' && new Date() < trajet.dateDepart,
+            message: 'Rejoignez la liste d\'attente pour être prévenu dès qu\'une place se libère',
+            endpoint: 'POST /api/reservations/liste-attente'
+          }
         });
       }
 
-      const montantTotal = calculerMontantTotal(trajet, nombrePlacesReservees);
+      const montantAvantReduction = calculerMontantTotal(trajet, nombrePlacesReservees, arrets, troncon);
+
+      // Détour conducteur: refus si au-delà de sa limite, sinon supplément suggéré
+      let supplementDetour = { statut: 'AUCUN' };
+      if (detourService.coordonneesValides(pointPriseEnCharge.coordonnees) &&
+          detourService.coordonneesValides(pointDepose.coordonnees)) {
+        try {
+          const detour = await detourService.estimerDetour(
+            trajet,
+            pointPriseEnCharge.coordonnees,
+            pointDepose.coordonnees,
+            { userId: currentUserId.toString() }
+          );
+
+          const verification = detourService.verifierDetourMax(detour, trajet.preferences);
+          if (!verification.acceptable) {
+            return res.status(400).json({
+              success: false,
+              message: verification.raison,
+              code: 'DETOUR_TROP_IMPORTANT',
+              data: {
+                kmAjoutes: detour.kmAjoutes,
+                minutesAjoutees: detour.minutesAjoutees,
+                detourMaxKm: trajet.preferences?.detourMaxKm ?? null,
+                detourMaxMinutes: trajet.preferences?.detourMaxMinutes ?? null
+              }
+            });
+          }
+
+          const montantSuggere = detourService.calculerSupplement(detour.kmAjoutes, trajet.preferences);
+          supplementDetour = {
+            statut: montantSuggere > 0 ? 'PROPOSE' : 'AUCUN',
+            kmAjoutes: detour.kmAjoutes,
+            minutesAjoutees: detour.minutesAjoutees,
+            montantSuggere,
+            provider: detour.provider,
+            dateCalcul: new Date()
+          };
+        } catch (detourError) {
+          console.warn('⚠️ Estimation du détour impossible:', detourError.message);
+        }
+      }
+
+      // Code promo et crédit promotionnel (réduction financée par la plateforme)
+      let reduction;
+      try {
+        reduction = await promotionService.appliquerReduction({
+          utilisateurId: currentUserId,
+          trajet,
+          montant: montantAvantReduction,
+          code: codePromo,
+          utiliserCredit: utiliserCreditPromotionnel === true || utiliserCreditPromotionnel === 'true'
+        });
+      } catch (promoError) {
+        return repondreErreurMetier(promoError, res, next, 'Erreur lors de l\'application du code promo');
+      }
+      const { montantTotal, promotion } = reduction;
 
       const nouvelleReservation = new Reservation({
         trajetId,
@@ -165,25 +273,33 @@ class ReservationController {
             coordinates: pointDepose.coordonnees || [0, 0]
           }
         },
+        indexMontee: troncon.indexMontee,
+        indexDescente: troncon.indexDescente,
         montantTotal,
+        promotion,
+        supplementDetour,
         bagages: bagages || {},
         statutReservation: 'EN_ATTENTE',
         statutPaiement: 'EN_ATTENTE',
         methodePaiement: req.body.methodePaiement || 'MOBILE_MONEY'
       });
 
-      await nouvelleReservation.save();
+      try {
+        await nouvelleReservation.save();
+      } catch (saveError) {
+        await promotionService.annulerReduction(nouvelleReservation);
+        throw saveError;
+      }
       console.log('Réservation créée:', nouvelleReservation._id);
 
-      // ✅ 1. Mettre à jour les places D'ABORD
-      trajet.nombrePlacesDisponibles -= nombrePlacesReservees;
-      await trajet.save();
-      console.log(`✅ Places mises à jour: ${trajet.nombrePlacesDisponibles} places restantes`);
+      // ✅ 1. Mettre à jour les places D'ABORD (recalcul par segment)
+      const placesRestantes = await Reservation.synchroniserPlacesTrajet(trajetId);
+      console.log(`✅ Places mises à jour: ${placesRestantes} places restantes`);
 
       // ✅ 2. Notifier le conducteur ENSUITE
       try {
         const passager = await Utilisateur.findById(currentUserId).select('nom prenom');
-        await firebaseService.notifyNewReservation(
+        await notificationService.notifierNouvelleReservation(
           trajet.conducteurId._id,
           {
             reservationId: nouvelleReservation._id.toString(),
@@ -193,10 +309,10 @@ class ReservationController {
             passagerPrenom: passager.prenom,
             nombrePlaces: nombrePlacesReservees,
             montant: montantTotal,
+            supplementDetourSuggere: supplementDetour.montantSuggere || 0,
             depart: trajet.pointDepart?.adresse || '',
             destination: trajet.pointArrivee?.adresse || ''
-          },
-          Utilisateur
+          }
         );
       } catch (notifError) {
         console.error('⚠️ Erreur notification conducteur:', notifError.message);
@@ -408,6 +524,57 @@ class ReservationController {
           });
         }
 
+        // ══════════════════════════════════════════════════════
+        // SUPPLÉMENT DE DÉTOUR — accepté ou refusé par le conducteur
+        // ══════════════════════════════════════════════════════
+        const supplement = reservation.supplementDetour;
+        let supplementApplique = 0;
+
+        if (supplement?.statut === 'PROPOSE') {
+          const { accepterSupplementDetour } = req.body;
+
+          if (accepterSupplementDetour === undefined) {
+            return res.status(400).json({
+              success: false,
+              message: 'Un supplément de détour est proposé: indiquez accepterSupplementDetour (true/false)',
+              code: 'SUPPLEMENT_DETOUR_DECISION_REQUISE',
+              data: {
+                kmAjoutes: supplement.kmAjoutes,
+                minutesAjoutees: supplement.minutesAjoutees,
+                montantSuggere: supplement.montantSuggere
+              }
+            });
+          }
+
+          if (accepterSupplementDetour === true || accepterSupplementDetour === 'true') {
+            // Seul un paiement en espèces peut encore être réévalué : un paiement
+            // mobile ou par compte déjà lancé porte le montant sans supplément
+            const paiementEngage = await Paiement.exists({
+              reservationId: id,
+              methodePaiement: { $ne: 'ESPECES' },
+              statutPaiement: { $in: ['EN_ATTENTE', 'TRAITE', 'COMPLETE'] }
+            });
+            if (paiementEngage) {
+              return res.status(409).json({
+                success: false,
+                message: 'Un paiement est déjà engagé pour cette réservation : le supplément de détour ne peut plus être ajouté',
+                code: 'SUPPLEMENT_DETOUR_PAIEMENT_ENGAGE'
+              });
+            }
+
+            supplementApplique = supplement.montantSuggere;
+            supplement.statut = 'ACCEPTE';
+            supplement.montantApplique = supplementApplique;
+            reservation.montantTotal += supplementApplique;
+            if (reservation.promotion?.montantAvantReduction) {
+              reservation.promotion.montantAvantReduction += supplementApplique;
+            }
+          } else {
+            supplement.statut = 'REFUSE';
+          }
+          supplement.dateDecision = new Date();
+        }
+
         // ══════════════════════════════════════════════════════
         // 🆕 LOGIQUE PAIEMENT ESPÈCES — DÉBIT À L'ACCEPTATION
         // ══════════════════════════════════════════════════════
@@ -419,6 +586,12 @@ class ReservationController {
           statutPaiement: 'EN_ATTENTE'
         });
 
+        // Le supplément de détour revient entièrement au conducteur (pas de commission)
+        if (paiementEspeces && supplementApplique > 0) {
+          paiementEspeces.montantTotal += supplementApplique;
+          paiementEspeces.montantConducteur += supplementApplique;
+        }
+
         if (paiementEspeces) {
           // Recharger le conducteur avec son solde à jour depuis la DB
           const conducteur = await Utilisateur.findById(currentUserId)
@@ -432,16 +605,16 @@ class ReservationController {
 
             // Notifier le passager de changer de méthode
             try {
-              await firebaseService.notifyNewReservation(
+              await notificationService.sendReservationNotification(
                 reservation.passagerId._id,
+                'Paiement en espèces refusé',
+                'Le conducteur ne peut pas accepter le paiement en espèces. Veuillez choisir Mobile Money.',
                 {
                   reservationId: id.toString(),
                   type: 'PAIEMENT_ESPECES_REFUSE',
-                  message: 'Le conducteur ne peut pas accepter le paiement en espèces. Veuillez choisir Mobile Money.',
                   methodesAlternatives: ['MOBILE_MONEY'],
                   action: 'CHANGER_METHODE_PAIEMENT'
-                },
-                Utilisateur
+                }
               );
             } catch (notifError) {
               console.error('⚠️ Erreur notification passager (solde insuffisant):', notifError.message);
@@ -474,22 +647,9 @@ class ReservationController {
           // ── CAS 1 : Solde suffisant → Débit immédiat ───────
           const ancienSolde = soldeConducteur;
 
-          conducteur.compteCovoiturage.solde -= commissionRequise;
-          conducteur.compteCovoiturage.totalCommissionsPayees =
-            (conducteur.compteCovoiturage.totalCommissionsPayees || 0) + commissionRequise;
-
-          if (!conducteur.compteCovoiturage.historiqueCommissions) {
-            conducteur.compteCovoiturage.historiqueCommissions = [];
-          }
-          conducteur.compteCovoiturage.historiqueCommissions.push({
-            montant: commissionRequise,
-            type: 'commission_especes',
-            referenceTransaction: paiementEspeces.referenceTransaction,
-            statut: 'preleve',
-            datePrelevement: new Date()
-          });
-
-          await conducteur.save({ validateBeforeSave: false });
+          // Débit du portefeuille via le grand livre (solde re-vérifié en transaction)
+          const { soldePortefeuille } = await grandLivreService.comptabiliserPaiement(paiementEspeces);
+          conducteur.synchroniserCompteCovoiturage({ solde: soldePortefeuille });
 
           // Mettre à jour le paiement → TRAITE
           paiementEspeces.commission.statutPrelevement = 'preleve';
@@ -512,14 +672,14 @@ class ReservationController {
 
           // Notifier le conducteur — débit effectué
           try {
-            await firebaseService.notifyNewReservation(
+            await notificationService.sendReservationNotification(
               currentUserId,
+              'Commission prélevée',
+              `${commissionRequise.toLocaleString()} FCFA prélevés. Solde restant : ${conducteur.compteCovoiturage.solde.toLocaleString()} FCFA`,
               {
                 type: 'COMMISSION_PRELEVEE',
-                reservationId: id.toString(),
-                message: `${commissionRequise.toLocaleString()} FCFA prélevés. Solde restant : ${conducteur.compteCovoiturage.solde.toLocaleString()} FCFA`,
-              },
-              Utilisateur
+                reservationId: id.toString()
+              }
             );
           } catch (notifError) {
             console.error('⚠️ Erreur notification conducteur (débit):', notifError.message);
@@ -527,14 +687,14 @@ class ReservationController {
 
           // Notifier le passager — réservation acceptée, payer en espèces
           try {
-            await firebaseService.notifyNewReservation(
+            await notificationService.sendReservationNotification(
               reservation.passagerId._id,
+              'Réservation acceptée',
+              `Votre réservation est confirmée. Préparez ${paiementEspeces.montantTotal.toLocaleString()} FCFA en espèces.`,
               {
                 type: 'RESERVATION_ACCEPTEE_ESPECES',
-                reservationId: id.toString(),
-                message: `Votre réservation est confirmée. Préparez ${paiementEspeces.montantTotal.toLocaleString()} FCFA en espèces.`,
-              },
-              Utilisateur
+                reservationId: id.toString()
+              }
             );
           } catch (notifError) {
             console.error('⚠️ Erreur notification passager (acceptation):', notifError.message);
@@ -561,6 +721,13 @@ class ReservationController {
           message: 'Réservation confirmée avec succès',
           data: {
             reservation,
+            ...(supplement?.dateDecision && {
+              supplementDetour: {
+                statut: supplement.statut,
+                montantApplique: supplementApplique,
+                montantTotal: reservation.montantTotal
+              }
+            }),
             // Infos paiement espèces si applicable
             ...(paiementEspeces && {
               paiementEspeces: {
@@ -577,6 +744,14 @@ class ReservationController {
 
       } catch (error) {
         console.error('Erreur confirmation réservation:', error);
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+          return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            details: error.context
+          });
+        }
         return next(AppError.serverError('Erreur serveur lors de la confirmation', { originalError: error.message }));
       }
     }
@@ -621,6 +796,19 @@ class ReservationController {
       reservation.statutReservation = 'REFUSEE';
       reservation.motifRefus = motifRefus || 'Aucun motif spécifié';
       await reservation.save();
+      await promotionService.annulerReduction(reservation);
+
+      // Une réservation déjà payée est remboursée depuis le séquestre
+      await sequestreService.rembourserReservations(reservation._id, 'Réservation refusée par le conducteur', {
+        io: req.app?.get('io')
+      });
+
+      // Les places du tronçon redeviennent vendables
+      await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
+      // Liste d'attente d'abord, puis alertes de recherches sauvegardées
+      listeAttenteService.signalerPlacesLiberees(reservation.trajetId._id, {
+        io: req.app?.get('io')
+      });
 
       // Notifier le passager
       try {
@@ -681,16 +869,14 @@ class ReservationController {
         });
       }
 
-      // Calculer le remboursement
-      const montantRemboursement = reservation.calculerRemboursement(reservation.trajetId.dateDepart);
-
-      // ✅ Remettre les places disponibles
-      const trajet = await Trajet.findById(reservation.trajetId._id);
-      if (trajet) {
-        trajet.nombrePlacesDisponibles += reservation.nombrePlacesReservees;
-        await trajet.save();
-        console.log(`✅ Places restituées: ${trajet.nombrePlacesDisponibles} places disponibles`);
-      }
+      // Remboursement selon la politique d'annulation du trajet
+      const annulation = await politiqueAnnulationService.annulerParPassager(reservation, reservation.trajetId, {
+        motif: raisonAnnulation || 'Annulé par le passager',
+        io: req.app?.get('io')
+      });
+      const montantRemboursement = annulation.montantRembourse;
+      // Avant paiement, l'utilisation du code promo est rendue
+      await promotionService.annulerReduction(reservation);
 
       reservation.statutReservation = 'ANNULEE';
       reservation.motifRefus = raisonAnnulation || 'Annulé par le passager';
@@ -703,19 +889,27 @@ class ReservationController {
 
       await reservation.save();
 
+      // ✅ Remettre les places disponibles (recalcul par segment)
+      const placesDisponibles = await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
+      console.log(`✅ Places restituées: ${placesDisponibles} places disponibles`);
+      // Liste d'attente d'abord, puis alertes de recherches sauvegardées
+      listeAttenteService.signalerPlacesLiberees(reservation.trajetId._id, {
+        io: req.app?.get('io')
+      });
+
       res.json({
         success: true,
         message: 'Réservation annulée avec succès',
         data: {
           reservation,
           montantRemboursement,
+          annulation,
           placesRestituees: reservation.nombrePlacesReservees 
         }
       });
 
     } catch (error) {
-      console.error('Erreur annulation réservation:', error);
-      return next(AppError.serverError('Erreur serveur lors de l\'annulation', { originalError: error.message }));
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de l\'annulation');
     }
   }
 
@@ -851,6 +1045,11 @@ class ReservationController {
 
       await reservation.save();
 
+      // Le paiement séquestré sera versé au conducteur à la fin du délai de contestation
+      await sequestreService.ouvrirDelaiContestation(reservation._id);
+      // Première course d'un filleul : crédit au parrain et au filleul
+      await promotionService.recompenserParrainages(reservation.passagerId._id, { reservationId: reservation._id });
+
       res.json({
         success: true,
         message: 'Réservation terminée avec succès. Le passager peut maintenant évaluer le trajet.',
@@ -1126,6 +1325,8 @@ class ReservationController {
 
       await reservation.save();
 
+      await sequestreService.ouvrirDelaiContestation(reservation._id);
+
       res.json({
         success: true,
         message: 'Prise en charge confirmée avec succès',
@@ -1140,6 +1341,77 @@ class ReservationController {
     }
   }
 
+  /**
+   * Constater l'absence du passager au point de prise en charge (conducteur).
+   * Le passager est remboursé hors frais d'absence de la politique du trajet.
+   */
+  static async signalerAbsencePassager(req, res, next) {
+    try {
+      const { id } = req.params;
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+
+      const reservation = await Reservation.findById(id).populate('trajetId');
+
+      if (!reservation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Réservation introuvable',
+          code: 'RESERVATION_NOT_FOUND'
+        });
+      }
+
+      if (reservation.trajetId.conducteurId.toString() !== currentUserId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul le conducteur peut signaler l\'absence du passager',
+          code: 'UNAUTHORIZED'
+        });
+      }
+
+      if (reservation.statutReservation !== 'CONFIRMEE' || reservation.priseEnCharge?.confirmee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Seule une réservation confirmée dont le passager n\'a pas été pris en charge peut être concernée',
+          code: 'INVALID_STATUS'
+        });
+      }
+
+      if (new Date() < reservation.trajetId.dateDepart) {
+        return res.status(400).json({
+          success: false,
+          message: 'L\'absence ne peut être constatée qu\'à partir de l\'heure de départ',
+          code: 'TOO_EARLY'
+        });
+      }
+
+      const annulation = await politiqueAnnulationService.constaterAbsence(reservation, reservation.trajetId, {
+        constateePar: currentUserId,
+        io: req.app?.get('io')
+      });
+
+      reservation.statutReservation = 'ANNULEE';
+      reservation.motifRefus = 'Passager absent à la prise en charge';
+      if (annulation.montantRembourse > 0 && reservation.statutPaiement === 'PAYE') {
+        reservation.statutPaiement = 'REMBOURSE';
+      }
+
+      await reservation.save();
+      await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
+
+      res.json({
+        success: true,
+        message: 'Absence du passager enregistrée',
+        data: {
+          reservation,
+          annulation
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors du constat d\'absence');
+    }
+  }
+
   /**
    * 🆕 NOUVEAU - Vérifier si le véhicule est sur l'itinéraire
    */
@@ -1250,7 +1522,11 @@ class ReservationController {
         };
       } else if (estConducteur) {
         contacts = {
-          passager: reservation.contactsPartages.passager
+          passager: reservation.contactsPartages.passager,
+          // Co-passagers d'une réservation au prix partagé
+          coPassagers: (reservation.partage?.parts || [])
+            .filter(part => ['PAYEE', 'COUVERTE'].includes(part.statut))
+            .map(part => ({ nom: part.nom, telephone: part.telephone, nombrePlaces: part.nombrePlaces }))
         };
       }
 
@@ -1551,6 +1827,149 @@ class ReservationController {
     }
   }
 
+  /**
+   * Rejoindre la liste d'attente d'un trajet complet
+   * (même corps de requête qu'une réservation)
+   */
+  static async rejoindreListeAttente(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+
+      const { inscription, position } = await listeAttenteService.inscrire(currentUserId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Vous êtes en position ${position} sur la liste d'attente`,
+        data: {
+          inscription,
+          position,
+          dureePropositionMinutes: listeAttenteService.config.DUREE_PROPOSITION_MINUTES
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de l\'inscription en liste d\'attente');
+    }
+  }
+
+  /**
+   * Mes inscriptions en liste d'attente, avec ma position
+   */
+  static async obtenirMesListesAttente(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+
+      const inscriptions = await listeAttenteService.listerInscriptionsPassager(currentUserId, {
+        inclureTerminees: req.query.inclureTerminees === 'true'
+      });
+
+      res.json({
+        success: true,
+        count: inscriptions.length,
+        data: {
+          inscriptions
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de la récupération des listes d\'attente');
+    }
+  }
+
+  /**
+   * File d'attente d'un trajet (pour le conducteur)
+   */
+  static async obtenirListeAttenteTrajet(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+
+      const file = await listeAttenteService.obtenirFileTrajet(req.params.trajetId, currentUserId);
+
+      res.json({
+        success: true,
+        data: {
+          file,
+          resume: {
+            inscrits: file.length,
+            placesDemandees: file.reduce((total, inscription) => total + inscription.nombrePlaces, 0),
+            propositionsEnCours: file.filter(inscription => inscription.statut === 'PROPOSEE').length
+          }
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de la récupération de la liste d\'attente');
+    }
+  }
+
+  /**
+   * Accepter la place proposée : crée la réservation
+   */
+  static async accepterPlaceListeAttente(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+
+      const { reservation, trajet } = await listeAttenteService.accepterProposition(currentUserId, req.params.id);
+
+      // Le conducteur reçoit la demande comme une réservation classique
+      try {
+        const passager = await Utilisateur.findById(currentUserId).select('nom prenom');
+        await notificationService.notifierNouvelleReservation(
+          trajet.conducteurId,
+          {
+            reservationId: reservation._id.toString(),
+            trajetId: trajet._id.toString(),
+            conducteurId: trajet.conducteurId.toString(),
+            passagerNom: passager.nom,
+            passagerPrenom: passager.prenom,
+            nombrePlaces: reservation.nombrePlacesReservees,
+            montant: reservation.montantTotal,
+            supplementDetourSuggere: 0,
+            depart: trajet.pointDepart?.adresse || '',
+            destination: trajet.pointArrivee?.adresse || ''
+          }
+        );
+      } catch (notifError) {
+        console.error('⚠️ Erreur notification conducteur:', notifError.message);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Place acceptée, réservation créée',
+        data: {
+          reservation
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de l\'acceptation de la place');
+    }
+  }
+
+  /**
+   * Quitter la liste d'attente ou décliner la place proposée
+   */
+  static async quitterListeAttente(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+
+      const inscription = await listeAttenteService.quitter(currentUserId, req.params.id, {
+        io: req.app?.get('io')
+      });
+
+      res.json({
+        success: true,
+        message: 'Vous avez quitté la liste d\'attente',
+        data: {
+          inscription
+        }
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de la sortie de la liste d\'attente');
+    }
+  }
+
   /**
  * Obtenir mes réservations (utilisateur connecté)
  *  Filtre les réservations expirées par défaut
@@ -1660,18 +2079,62 @@ static async obtenirMesReservations(req, res, next) {
     }
   }
   /**
-   * Vérifier la disponibilité d'un trajet
+   * Vérifier la disponibilité d'un trajet (matrice des places par tronçon)
    */
   static async verifierDisponibilite(req, res, next) {
     try {
       const { trajetId } = req.params;
-      const { nombrePlaces = 1 } = req.query;
+      const { nombrePlaces = 1, indexMontee, indexDescente } = req.query;
 
-      const disponibilite = await Reservation.verifierDisponibilite(trajetId, parseInt(nombrePlaces));
+      const trajet = await Trajet.findById(trajetId).lean();
+      if (!trajet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Trajet introuvable',
+          code: 'TRAJET_NOT_FOUND'
+        });
+      }
+
+      const { arrets, segments, occupation, matrice, placesTotal } =
+        await Reservation.calculerDisponibiliteSegments(trajetId, trajet);
+
+      const troncon = segmentService.normaliserIndex(
+        indexMontee !== undefined ? parseInt(indexMontee) : null,
+        indexDescente !== undefined ? parseInt(indexDescente) : null,
+        arrets.length
+      );
+      const erreurTroncon = segmentService.validerIndex(troncon.indexMontee, troncon.indexDescente, arrets.length);
+      if (erreurTroncon) {
+        return res.status(400).json({
+          success: false,
+          message: erreurTroncon,
+          code: 'INVALID_SEGMENT'
+        });
+      }
+
+      const placesDisponibles = segmentService.placesDisponiblesEntre(
+        occupation, placesTotal, troncon.indexMontee, troncon.indexDescente
+      );
 
       res.json({
         success: true,
-        data: disponibilite
+        data: {
+          disponible: placesDisponibles >= parseInt(nombrePlaces),
+          placesDisponibles,
+          placesReservees: placesTotal - placesDisponibles,
+          placesTotal,
+          indexMontee: troncon.indexMontee,
+          indexDescente: troncon.indexDescente,
+          prixParPlace: segmentService.calculerPrixSegment(
+            trajet.prixParPassager, arrets, troncon.indexMontee, troncon.indexDescente
+          ),
+          arrets: arrets.map(({ index, type, nom, ville, commune, distanceDepuisDepartKm }) => ({
+            index, type, nom, ville, commune, distanceDepuisDepartKm
+          })),
+          segments,
+          // matrice[montée][descente] = places vendables (null si descente ≤ montée)
+          matrice
+        }
       });
 
     } catch (error) {
@@ -1763,23 +2226,28 @@ static async obtenirMesReservations(req, res, next) {
         });
       }
 
-      const montantRemboursement = reservation.calculerRemboursement(reservation.trajetId.dateDepart);
       const peutEtreAnnulee = reservation.peutEtreAnnulee();
-      
-      // Calculer les frais d'annulation
-      const fraisAnnulation = reservation.montantTotal - montantRemboursement;
-      const pourcentageRemboursement = reservation.montantTotal > 0 
-        ? (montantRemboursement / reservation.montantTotal * 100) 
-        : 0;
+      const { calcul } = await politiqueAnnulationService.simulerAnnulationPassager(reservation, reservation.trajetId);
+      const politique = politiqueAnnulationService.obtenir(calcul.politique);
+      const montantRemboursement = peutEtreAnnulee ? calcul.montantRembourse : 0;
 
       res.json({
         success: true,
         data: {
           peutEtreAnnulee,
           montantOriginal: reservation.montantTotal,
+          montantRemboursable: calcul.montantBase,
           montantRemboursement,
-          fraisAnnulation,
-          pourcentageRemboursement: Math.round(pourcentageRemboursement),
+          fraisAnnulation: calcul.montantBase - montantRemboursement,
+          pourcentageRemboursement: peutEtreAnnulee ? Math.round(calcul.tauxRemboursement * 100) : 0,
+          heuresAvantDepart: calcul.heuresAvantDepart,
+          politique: {
+            code: politique.code,
+            libelle: politique.libelle,
+            description: politique.description,
+            paliers: politique.paliers,
+            tauxFraisAbsence: politique.tauxFraisAbsence
+          },
           devise: 'FCFA'
         }
       });
@@ -1790,6 +2258,84 @@ static async obtenirMesReservations(req, res, next) {
     }
   }
 
+  /**
+   * Partager le prix de la réservation avec des co-passagers (liens de paiement par SMS)
+   */
+  static async partagerPrix(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+      const partage = await partageReservationService.creerPartage(req.params.id, currentUserId, {
+        coPassagers: req.body.coPassagers,
+        dateLimite: req.body.dateLimite
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitations envoyées : chaque co-passager a reçu son lien de paiement',
+        data: partage
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors du partage du prix');
+    }
+  }
+
+  /**
+   * Détail du partage du prix (parts et montant restant dû par le titulaire)
+   */
+  static async obtenirPartagePrix(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+      const partage = await partageReservationService.obtenirPartage(req.params.id, currentUserId);
+
+      res.json({
+        success: true,
+        data: partage
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de la récupération du partage');
+    }
+  }
+
+  /**
+   * Le titulaire prend à sa charge les parts non payées
+   */
+  static async couvrirPartsPrix(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+      const partage = await partageReservationService.couvrirParts(req.params.id, currentUserId);
+
+      res.json({
+        success: true,
+        message: `Parts restantes prises en charge : ${partage.montantDuTitulaire} FCFA à régler avant la date limite`,
+        data: partage
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de la prise en charge des parts');
+    }
+  }
+
+  /**
+   * Renvoyer le lien de paiement d'une part
+   */
+  static async relancerPartPrix(req, res, next) {
+    try {
+      const currentUserId = req.user._id || req.user.id || req.user.userId;
+      const relance = await partageReservationService.relancerPart(req.params.id, currentUserId, req.params.partId);
+
+      res.json({
+        success: true,
+        message: 'Lien de paiement renvoyé',
+        data: relance
+      });
+
+    } catch (error) {
+      return repondreErreurMetier(error, res, next, 'Erreur serveur lors de la relance du co-passager');
+    }
+  }
+
   /**
    * Obtenir l'historique des positions (pour le suivi en temps réel)
    */
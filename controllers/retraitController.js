@@ -0,0 +1,134 @@
+// controllers/retraitController.js
+const retraitService = require('../services/retraitService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+// Erreurs métier des retraits (AppError) → réponse JSON, le reste → 500
+const repondreErreurRetrait = (error, res, next, messageServeur) => {
+  if (error instanceof AppError && error.isOperational) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      ...(error.context && { details: error.context })
+    });
+  }
+  logger.error(`${messageServeur}:`, error);
+  return next(AppError.serverError(messageServeur, { originalError: error.message }));
+};
+
+class RetraitController {
+  constructor() {
+    const proto = Object.getPrototypeOf(this);
+    Object.getOwnPropertyNames(proto)
+      .filter(name => typeof this[name] === 'function' && name !== 'constructor')
+      .forEach(name => {
+        this[name] = this[name].bind(this);
+      });
+  }
+
+  /**
+   * Demander un retrait des gains vers le numéro Mobile Money configuré
+   * POST /api/paiements/retraits
+   */
+  async demanderRetrait(req, res, next) {
+    try {
+      const retrait = await retraitService.demanderRetrait(
+        req.user.userId,
+        { montant: req.body.montant },
+        { io: req.app.get('io') }
+      );
+
+      const messages = {
+        EN_ATTENTE_APPROBATION: 'Demande de retrait enregistrée, en attente de validation',
+        EN_COURS: 'Retrait en cours de traitement par l\'opérateur',
+        REUSSI: 'Retrait effectué avec succès',
+        ECHOUE: 'Le retrait a échoué, le montant reste disponible'
+      };
+
+      return res.status(201).json({
+        success: true,
+        message: messages[retrait.statut] || 'Demande de retrait enregistrée',
+        data: { retrait }
+      });
+    } catch (error) {
+      return repondreErreurRetrait(error, res, next, 'Erreur lors de la demande de retrait');
+    }
+  }
+
+  /**
+   * Historique des retraits du conducteur
+   * GET /api/paiements/retraits
+   */
+  async listerRetraits(req, res, next) {
+    try {
+      const { statut, page, limit } = req.query;
+      const resultat = await retraitService.listerRetraits(req.user.userId, { statut, page, limit });
+
+      return res.json({
+        success: true,
+        data: resultat
+      });
+    } catch (error) {
+      return repondreErreurRetrait(error, res, next, 'Erreur lors de la récupération des retraits');
+    }
+  }
+
+  /**
+   * Annuler un retrait en attente de validation
+   * DELETE /api/paiements/retraits/:retraitId
+   */
+  async annulerRetrait(req, res, next) {
+    try {
+      const retrait = await retraitService.annulerRetrait(
+        req.user.userId,
+        req.params.retraitId,
+        { io: req.app.get('io') }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Retrait annulé, le montant est de nouveau disponible',
+        data: { retrait }
+      });
+    } catch (error) {
+      return repondreErreurRetrait(error, res, next, 'Erreur lors de l\'annulation du retrait');
+    }
+  }
+
+  /**
+   * Notification de statut d'un fournisseur de transfert
+   * POST /api/paiements/retraits/notification/:fournisseur
+   *
+   * Répond toujours 200 aux erreurs métier pour éviter les renvois en boucle
+   * du fournisseur ; le statut est relu auprès de lui avant d'être appliqué.
+   */
+  async notificationFournisseur(req, res) {
+    try {
+      const retrait = await retraitService.traiterNotification(
+        req.params.fournisseur,
+        req.body,
+        { io: req.app.get('io') }
+      );
+
+      return res.status(200).json({
+        success: true,
+        reference: retrait.reference,
+        statut: retrait.statut
+      });
+    } catch (error) {
+      if (error instanceof AppError && error.isOperational) {
+        logger.warn('💸 Notification de retrait ignorée', {
+          fournisseur: req.params.fournisseur,
+          code: error.code,
+          message: error.message
+        });
+        return res.status(200).json({ success: false, message: error.message, code: error.code });
+      }
+      logger.error('Erreur traitement notification retrait:', error);
+      return res.status(500).json({ success: false, message: 'Erreur traitement notification' });
+    }
+  }
+}
+
+module.exports = new RetraitController();
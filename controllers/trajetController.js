@@ -6,6 +6,14 @@ const firebaseService = require('../services/firebaseService');
 const notificationService = require('../services/notificationService');
 const Utilisateur = require('../models/Utilisateur');
 const evaluationService = require('../services/evaluationService');
+const RecurrenceService = require('../services/recurrenceService');
+const rechercheSauvegardeeService = require('../services/rechercheSauvegardeeService');
+const modeleTrajetService = require('../services/modeleTrajetService');
+const tarificationService = require('../services/tarificationService');
+const sequestreService = require('../services/sequestreService');
+const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+const promotionService = require('../services/promotionService');
+const partageReservationService = require('../services/partageReservationService');
 
 class TrajetController {
   
@@ -140,6 +148,14 @@ async previewDistance(req, res) {
       heureArriveePrevue = arrivalInfo?.heure;
     }
 
+    // Fourchette de prix conseillée (n'empêche jamais la prévisualisation)
+    let tarification = null;
+    try {
+      tarification = await this._suggererTarification(req.body, parseFloat(distanceInfo.driving.distanceKm));
+    } catch (error) {
+      console.warn('⚠️ Suggestion de prix indisponible:', error.message);
+    }
+
     // ✅ CORRECTION 3: Utiliser 'driving' au lieu de 'vehicle'
     res.json({
       success: true,
@@ -173,6 +189,8 @@ async previewDistance(req, res) {
           distance: distanceInfo.walking.distanceText,
           duration: distanceInfo.walking.durationText
         },
+        // Prix conseillé par passager (+ évaluation si prixParPassager fourni)
+        tarification,
         // Métadonnées
         provider: distanceInfo.driving.provider || 'unknown',
         calculatedAt: new Date().toISOString()
@@ -189,6 +207,46 @@ async previewDistance(req, res) {
   }
 }
 
+/**
+ * Suggestion de prix pour la prévisualisation : itinéraire détaillé si
+ * Google est disponible (détection des péages), sinon points déclarés
+ */
+async _suggererTarification(body, distanceKm) {
+  const { pointDepart, pointArrivee, arretsIntermediaires = [] } = body;
+
+  let polyline = null;
+  try {
+    const waypoints = arretsIntermediaires
+      .slice()
+      .sort((a, b) => a.ordreArret - b.ordreArret)
+      .map(a => a.coordonnees?.coordinates)
+      .filter(Boolean);
+    const directions = await distanceService.getDetailedDirections(
+      pointDepart.coordonnees.coordinates,
+      pointArrivee.coordonnees.coordinates,
+      'driving',
+      waypoints
+    );
+    polyline = directions.polyline;
+  } catch (error) {
+    // Péages détectés sur l'itinéraire estimé
+  }
+
+  const suggestion = await tarificationService.suggererPrix({
+    distanceKm,
+    pointDepart,
+    pointArrivee,
+    arretsIntermediaires,
+    polyline,
+    nombrePlaces: parseInt(body.nombrePlacesTotal) || undefined
+  });
+
+  if (body.prixParPassager !== undefined && body.prixParPassager !== null) {
+    suggestion.evaluation = tarificationService.evaluerPrix(Number(body.prixParPassager), suggestion);
+  }
+  return suggestion;
+}
+
 /**
  * ⭐ NOUVEAU: Recalculer manuellement la distance d'un trajet existant
  */
@@ -417,16 +475,27 @@ async demarrerTrajet(req, res, next) {
       const reservations = await Reservation.find({
         trajetId: id,
         statutReservation: 'TERMINEE'
-      }).select('passagerId');
+      }).select('passagerId partage');
+
+      // Paiements séquestrés versés au conducteur à la fin du délai de contestation
+      await sequestreService.ouvrirDelaiContestation(reservations.map(r => r._id));
 
       const passagerIds = reservations.map(r => r.passagerId);
+      // Première course des filleuls : crédit de parrainage
+      await promotionService.recompenserParrainages(passagerIds);
+
+      // Titulaires et co-passagers inscrits d'une réservation au prix partagé
+      const passagersEvalues = [...new Set(reservations.flatMap(r => [
+        r.passagerId.toString(),
+        ...partageReservationService.coPassagersInscrits(r)
+      ]))];
 
       // ✅ Notifier TOUS les passagers
       if (passagerIds.length > 0) {
         console.log(`📤 Notification de fin pour ${passagerIds.length} passager(s)...`);
         
         const notifResult = await firebaseService.sendToMultipleUsers(
-          passagerIds,
+          passagersEvalues,
           {
             title: '🎉 Trajet terminé !',
             message: 'N\'oubliez pas d\'évaluer votre conducteur',
@@ -451,12 +520,12 @@ async demarrerTrajet(req, res, next) {
         });
 
         // ✅ Créer les évaluations en attente
-        for (const reservation of reservations) {
+        for (const passagerId of passagersEvalues) {
           // Passager évalue conducteur
           try {
             await evaluationService.creerEvaluationEnAttente(
               id,
-              reservation.passagerId.toString(),
+              passagerId,
               trajet.conducteurId.toString(),
               'PASSAGER'
             );
@@ -469,7 +538,7 @@ async demarrerTrajet(req, res, next) {
             await evaluationService.creerEvaluationEnAttente(
               id,
               trajet.conducteurId.toString(),
-              reservation.passagerId.toString(),
+              passagerId,
               'CONDUCTEUR'
             );
           } catch (evalError) {
@@ -543,7 +612,7 @@ async demarrerTrajet(req, res, next) {
             passagersTransportes: passagerIds.length,
             distanceReelle: trajet.distance,
             dureeReelle: trajet.dureeEstimee,
-            evaluationsEnAttente: passagerIds.length * 2
+            evaluationsEnAttente: passagersEvalues.length * 2
           }
         }
       });
@@ -569,51 +638,32 @@ async demarrerTrajet(req, res, next) {
       });
     }
 
-    const trajetData = {
-      ...req.body,
-      conducteurId: req.user.id,
-      typeTrajet: 'PONCTUEL'
-    };
-
-    // Validation avec date + heure complète
-    const dateDepart = new Date(trajetData.dateDepart);
-    // Si heureDepart n'est pas fournie, utiliser 00:00 par défaut
-    const heureDepart = trajetData.heureDepart || '00:00'; // Format: "14:30" - default 00:00 if not provided
-    
-    // ✅ CORRECTION 1: Utiliser setUTCHours au lieu de setHours
-    const [heures, minutes] = heureDepart.split(':').map(Number);
-    const dateDepartComplete = new Date(dateDepart);
-    dateDepartComplete.setUTCHours(heures, minutes, 0, 0); // ✅ UTC explicite
-    
-    // Comparer avec maintenant
-    const maintenant = new Date();
-    
-    if (dateDepartComplete < maintenant) {
-      return res.status(400).json({
-        success: false,
-        message: 'La date de départ doit être dans le futur',
-        details: {
-          dateDepartDemandee: dateDepartComplete.toISOString(),
-          dateActuelle: maintenant.toISOString()
-        }
-      });
+    // Mêmes règles que la publication depuis un modèle ou une duplication :
+    // date + heure futures (UTC), places, véhicule et documents à jour
+    let trajetData;
+    try {
+      trajetData = await modeleTrajetService.preparerPublication(req.user.id, req.body);
+    } catch (error) {
+      if (error instanceof AppError && error.isOperational) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          details: error.context
+        });
+      }
+      throw error;
     }
 
+    const dateDepartComplete = trajetData.dateDepart;
+    const heureDepart = trajetData.heureDepart;
+
     // ⭐ BONUS: Avertissement si le départ est dans moins de 30 minutes
-    const diffMinutes = (dateDepartComplete - maintenant) / (1000 * 60);
+    const diffMinutes = (dateDepartComplete - new Date()) / (1000 * 60);
     if (diffMinutes < 30) {
       console.log(`⚠️ Trajet créé avec un délai court: ${Math.round(diffMinutes)} minutes`);
     }
 
-    // ✅ CORRECTION 2: LIGNE CRITIQUE - Assigner la date/heure complète
-    trajetData.dateDepart = dateDepartComplete;
-
-    // ⭐ MODIFIÉ: On met des valeurs par défaut SEULEMENT si non fournies
-    // Le hook pre-save va calculer automatiquement les vraies valeurs
-    if (!trajetData.distance) {
-      trajetData.distance = 0.1; // Valeur temporaire minimale
-    }
-
     console.log('🚗 Création trajet ponctuel pour:', req.user.nom, req.user.prenom);
     console.log('📅 Départ prévu (UTC):', dateDepartComplete.toISOString());
     console.log('🕐 Heure affichage:', heureDepart);
@@ -625,6 +675,12 @@ async demarrerTrajet(req, res, next) {
 
     await nouveauTrajet.populate('conducteurId', 'nom prenom photoProfil');
 
+    // Alerter les passagers ayant une recherche sauvegardée correspondante (non bloquant)
+    rechercheSauvegardeeService.signalerTrajetDisponible(nouveauTrajet._id, {
+      motif: 'NOUVEAU_TRAJET',
+      io: req.app?.get('io')
+    });
+
     // ✅ Convertir en JSON (le virtual isExpired sera automatiquement inclus)
     const nouveauTrajetObj = (typeof nouveauTrajet.toJSON === 'function') ?
       nouveauTrajet.toJSON() : (typeof nouveauTrajet.toObject === 'function' ? nouveauTrajet.toObject() : nouveauTrajet);
@@ -689,10 +745,12 @@ async demarrerTrajet(req, res, next) {
       };
 
       // Validation de la récurrence
-      if (!trajetData.recurrence || !trajetData.recurrence.jours || trajetData.recurrence.jours.length === 0) {
+      const erreurRecurrence = RecurrenceService.validerConfiguration(trajetData.recurrence);
+      if (erreurRecurrence) {
         return res.status(400).json({
           success: false,
-          message: 'La récurrence est requise pour un trajet récurrent'
+          message: 'La récurrence est requise pour un trajet récurrent',
+          details: erreurRecurrence
         });
       }
 
@@ -707,6 +765,21 @@ async demarrerTrajet(req, res, next) {
         }
       }
 
+      // Même contrôle de prix que toute publication (plafond par km compris)
+      try {
+        modeleTrajetService.verifierPrix(trajetData);
+      } catch (error) {
+        if (error instanceof AppError && error.isOperational) {
+          return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            details: error.context
+          });
+        }
+        throw error;
+      }
+
       // ⭐ MODIFIÉ: Valeur par défaut minimale
       if (!trajetData.distance) {
         trajetData.distance = 0.1;
@@ -741,6 +814,174 @@ async demarrerTrajet(req, res, next) {
     }
   }
 
+  // ==================== MODÈLES ET DUPLICATION ====================
+
+  /**
+   * Créer un modèle de trajet à partir des champs fournis
+   */
+  async creerModeleTrajet(req, res, next) {
+    try {
+      const modele = await modeleTrajetService.creer(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Modèle de trajet enregistré',
+        data: modele
+      });
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la création du modèle');
+    }
+  }
+
+  /**
+   * Enregistrer un de mes trajets comme modèle
+   */
+  async creerModeleDepuisTrajet(req, res, next) {
+    try {
+      const modele = await modeleTrajetService.creerDepuisTrajet(req.user.id, req.params.id, req.body.nom);
+
+      res.status(201).json({
+        success: true,
+        message: 'Trajet enregistré comme modèle',
+        data: modele
+      });
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la création du modèle');
+    }
+  }
+
+  /**
+   * Politiques d'annulation proposées au conducteur à la publication
+   */
+  async obtenirPolitiquesAnnulation(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: politiqueAnnulationService.lister()
+      });
+    } catch (error) {
+      return next(AppError.serverError('Erreur serveur lors de la récupération des politiques d\'annulation', {
+        originalError: error.message
+      }));
+    }
+  }
+
+  /**
+   * Mes modèles de trajet (les plus utilisés récemment en premier)
+   */
+  async obtenirModelesTrajet(req, res, next) {
+    try {
+      const modeles = await modeleTrajetService.lister(req.user.id);
+
+      res.json({
+        success: true,
+        count: modeles.length,
+        data: modeles
+      });
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la récupération des modèles');
+    }
+  }
+
+  async modifierModeleTrajet(req, res, next) {
+    try {
+      const modele = await modeleTrajetService.modifier(req.user.id, req.params.modeleId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Modèle de trajet mis à jour',
+        data: modele
+      });
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la modification du modèle');
+    }
+  }
+
+  async supprimerModeleTrajet(req, res, next) {
+    try {
+      await modeleTrajetService.supprimer(req.user.id, req.params.modeleId);
+
+      res.json({
+        success: true,
+        message: 'Modèle de trajet supprimé'
+      });
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la suppression du modèle');
+    }
+  }
+
+  /**
+   * Publier un trajet ponctuel depuis un modèle (seule la date est requise)
+   */
+  async publierModeleTrajet(req, res, next) {
+    try {
+      const trajet = await modeleTrajetService.publierModele(req.user.id, req.params.modeleId, req.body);
+      return this._repondreTrajetPublie(req, res, trajet, 'Trajet publié depuis le modèle');
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la publication du modèle');
+    }
+  }
+
+  /**
+   * Dupliquer un de mes trajets (même passé) à une nouvelle date
+   */
+  async clonerTrajet(req, res, next) {
+    try {
+      const trajet = await modeleTrajetService.clonerTrajet(req.user.id, req.params.id, req.body);
+      return this._repondreTrajetPublie(req, res, trajet, 'Trajet dupliqué avec succès');
+    } catch (error) {
+      return this._repondreErreurModele(error, res, next, 'Erreur serveur lors de la duplication du trajet');
+    }
+  }
+
+  /**
+   * Réponse 201 commune aux trajets publiés depuis un modèle ou dupliqués
+   */
+  async _repondreTrajetPublie(req, res, trajet, message) {
+    await trajet.populate('conducteurId', 'nom prenom photoProfil');
+
+    // Alerter les passagers ayant une recherche sauvegardée correspondante (non bloquant)
+    rechercheSauvegardeeService.signalerTrajetDisponible(trajet._id, {
+      motif: 'NOUVEAU_TRAJET',
+      io: req.app?.get('io')
+    });
+
+    return res.status(201).json({
+      success: true,
+      message,
+      data: this._attachIsExpired([trajet])[0],
+      calculs: {
+        distance: `${trajet.distance} km`,
+        duree: `${trajet.dureeEstimee} min`,
+        arrivee: trajet.heureArriveePrevue
+      }
+    });
+  }
+
+  _repondreErreurModele(error, res, next, messageServeur) {
+    if (error instanceof AppError && error.isOperational) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.context
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Erreur de validation des données',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message,
+          value: err.value
+        }))
+      });
+    }
+    console.error(`❌ ${messageServeur}:`, error);
+    return next(AppError.serverError(messageServeur, { originalError: error.message }));
+  }
+
   // ==================== READ ====================
   // ... (toutes tes méthodes READ restent identiques)
 
@@ -987,9 +1228,17 @@ async demarrerTrajet(req, res, next) {
         });
       }
 
+      const anciennesPlaces = trajet.nombrePlacesDisponibles;
       trajet.nombrePlacesDisponibles = nombrePlacesDisponibles;
       await trajet.save();
 
+      if (trajet.nombrePlacesDisponibles > anciennesPlaces) {
+        rechercheSauvegardeeService.signalerTrajetDisponible(trajet._id, {
+          motif: 'PLACES_LIBEREES',
+          io: req.app?.get('io')
+        });
+      }
+
       res.json({
         success: true,
         message: 'Nombre de places mis à jour',
@@ -1030,8 +1279,11 @@ async demarrerTrajet(req, res, next) {
         'musique',
         'conversation',
         'fumeur',
-        'animauxAcceptes',        
-        'climatisationActive'      
+        'animauxAcceptes',
+        'climatisationActive',
+        'detourMaxKm',
+        'detourMaxMinutes',
+        'tarifDetourParKm'
       ];
 
       preferencesModifiables.forEach(pref => {
@@ -1571,9 +1823,25 @@ async rechercherTrajetsDisponibles(req, res, next) {
         'nombrePlacesDisponibles',
         'vehiculeUtilise',
         'preferences',
+        'politiqueAnnulation',
         'commentaireConducteur'
       ];
 
+      // Les passagers ont réservé aux conditions d'annulation affichées
+      if (req.body.politiqueAnnulation && req.body.politiqueAnnulation !== trajet.politiqueAnnulation) {
+        const reservationsActives = await Reservation.countDocuments({
+          trajetId: trajet._id,
+          statutReservation: { $in: ['EN_ATTENTE', 'CONFIRMEE'] }
+        });
+        if (reservationsActives > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'La politique d\'annulation ne peut plus être modifiée : des passagers ont déjà réservé',
+            code: 'CANCELLATION_POLICY_LOCKED'
+          });
+        }
+      }
+
       champsModifiables.forEach(champ => {
         if (req.body[champ] !== undefined) {
           trajet[champ] = req.body[champ];
@@ -1595,6 +1863,28 @@ async rechercherTrajetsDisponibles(req, res, next) {
         }
       }
 
+      if (req.body.prixParPassager !== undefined) {
+        // Distance et itinéraire enregistrés ne valent plus si les points changent
+        const pointsModifies = ['pointDepart', 'pointArrivee', 'arretsIntermediaires']
+          .some(champ => req.body[champ] !== undefined);
+        try {
+          tarificationService.verifierPlafond(
+            trajet.prixParPassager,
+            pointsModifies ? { ...trajet.toObject(), distance: null, itineraire: null } : trajet
+          );
+        } catch (error) {
+          if (error instanceof AppError) {
+            return res.status(error.status).json({
+              success: false,
+              message: error.message,
+              code: error.code,
+              details: error.context
+            });
+          }
+          throw error;
+        }
+      }
+
       if(trajet.statutTrajet == 'EXPIRE'){
         trajet.statutTrajet = 'PROGRAMME';
       }
@@ -1667,6 +1957,12 @@ async rechercherTrajetsDisponibles(req, res, next) {
       trajet.statutTrajet = statutTrajet;
       await trajet.save();
 
+      if (statutTrajet === 'ANNULE' && ancienStatut !== 'ANNULE') {
+        await politiqueAnnulationService.annulerParConducteur(trajet, 'Trajet annulé par le conducteur', {
+          io: req.app?.get('io')
+        });
+      }
+
       await this.gererNotificationsStatut(trajet, ancienStatut, statutTrajet);
 
       // Retourner le trajet avec isExpired normalisé
@@ -1724,6 +2020,12 @@ async rechercherTrajetsDisponibles(req, res, next) {
       }
       await trajet.save();
 
+      // Les passagers ayant déjà payé sont remboursés depuis le séquestre,
+      // et dédommagés si l'annulation est tardive
+      await politiqueAnnulationService.annulerParConducteur(trajet, 'Trajet annulé par le conducteur', {
+        io: req.app?.get('io')
+      });
+
       await this.envoyerNotificationsAnnulation(trajet, motifAnnulation);
 
       // Retourner le trajet normalisé
@@ -1743,6 +2045,65 @@ async rechercherTrajetsDisponibles(req, res, next) {
     }
   }
 
+  /**
+   * Modifier la récurrence d'un trajet récurrent
+   * (régénère uniquement les instances futures non réservées)
+   */
+  async mettreAJourRecurrence(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const trajet = await Trajet.findById(id);
+      if (!trajet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Trajet non trouvé'
+        });
+      }
+
+      if (trajet.conducteurId.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Vous n\'êtes pas autorisé à modifier ce trajet'
+        });
+      }
+
+      if (trajet.typeTrajet !== 'RECURRENT') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cette action est réservée aux trajets récurrents'
+        });
+      }
+
+      const resultat = await RecurrenceService.mettreAJourRecurrence(id, req.body.recurrence);
+
+      res.json({
+        success: true,
+        message: resultat.conflits.length > 0
+          ? `Récurrence mise à jour, ${resultat.conflits.length} trajet(s) réservé(s) conservé(s) en l'état`
+          : 'Récurrence mise à jour',
+        data: {
+          recurrence: resultat.trajet.recurrence,
+          instancesSupprimees: resultat.instancesSupprimees,
+          instancesConservees: resultat.instancesConservees,
+          instancesCreees: resultat.instances?.instancesCreees || 0,
+          conflits: resultat.conflits
+        }
+      });
+
+    } catch (error) {
+      if (error.message?.startsWith('Configuration de récurrence invalide')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      return next(AppError.serverError('Erreur lors de la mise à jour de la récurrence', {
+        originalError: error.message
+      }));
+    }
+  }
+
   async supprimerTrajetRecurrent(req, res, next) {
     try {
       const { id } = req.params;
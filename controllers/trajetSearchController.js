@@ -1,6 +1,8 @@
 // controllers/trajetSearchController.js
 
 const geoSearchService = require('../services/geoSearchService');
+const rechercheSauvegardeeService = require('../services/rechercheSauvegardeeService');
+const planificateurMultimodalService = require('../services/planificateurMultimodalService');
 const { logger } = require('../utils/logger');
 
 /**
@@ -30,6 +32,7 @@ class TrajetSearchController {
         rayonDepart,
         rayonArrivee,
         rayonMontee,      
+        rayonCorridor,
         dateDepart,
         toleranceDate,
         nombrePassagers,
@@ -67,6 +70,7 @@ class TrajetSearchController {
         rayonDepart:  rayonDepart  ? parseFloat(rayonDepart)  : undefined,
         rayonArrivee: rayonArrivee ? parseFloat(rayonArrivee) : undefined,
         rayonMontee:  rayonMontee  ? parseFloat(rayonMontee)  : undefined, // ✅
+        rayonCorridor: rayonCorridor ? parseFloat(rayonCorridor) : undefined,
         dateDepart:   dateDepart   ? new Date(dateDepart)     : undefined,
         toleranceDate:    toleranceDate    ? parseInt(toleranceDate)    : undefined,
         nombrePassagers:  nombrePassagers  ? parseInt(nombrePassagers)  : undefined,
@@ -197,6 +201,7 @@ class TrajetSearchController {
         rayonDepart,
         rayonArrivee,
         rayonMontee,      
+        rayonCorridor,
         dateDepart,
         toleranceDate,
         nombrePassagers,
@@ -232,6 +237,7 @@ class TrajetSearchController {
         rayonDepart:  rayonDepart  ? parseFloat(rayonDepart)  : undefined,
         rayonArrivee: rayonArrivee ? parseFloat(rayonArrivee) : undefined,
         rayonMontee:  rayonMontee  ? parseFloat(rayonMontee)  : undefined, // ✅
+        rayonCorridor: rayonCorridor ? parseFloat(rayonCorridor) : undefined,
         dateDepart:   dateDepart   ? new Date(dateDepart)     : undefined,
         toleranceDate:    toleranceDate    ? parseInt(toleranceDate)    : undefined,
         nombrePassagers:  nombrePassagers  ? parseInt(nombrePassagers)  : undefined,
@@ -251,6 +257,14 @@ class TrajetSearchController {
         fallback: result.fallback || false
       });
 
+      if (result.count === 0) {
+        result.alerte = {
+          disponible: true,
+          message: 'Aucun trajet pour le moment. Enregistrez cette recherche pour être prévenu dès qu\'un trajet correspond.',
+          endpoint: 'POST /api/trajets/search/sauvegardees'
+        };
+      }
+
       return res.status(200).json(result);
 
     } catch (error) {
@@ -263,6 +277,204 @@ class TrajetSearchController {
     }
   }
 
+  // ============================================================
+  // ITINÉRAIRE MULTIMODAL
+  // POST /api/trajets/search/multimodal
+  // Covoiturage + gbaka / woro-woro + marche
+  // ============================================================
+
+  async planifierItineraireMultimodal(req, res) {
+    try {
+      logger.info('🧭 Requête itinéraire multimodal', {
+        userId: req.user?.id,
+        body: req.body
+      });
+
+      const {
+        departLat,
+        departLng,
+        arriveeLat,
+        arriveeLng,
+        nomDepart,
+        nomArrivee,
+        dateDepart,
+        toleranceDate,
+        nombrePassagers,
+        tri,
+        limit
+      } = req.body;
+
+      if (!departLat || !departLng || !arriveeLat || !arriveeLng) {
+        return res.status(400).json({
+          success: false,
+          message: 'Les coordonnées GPS sont requises: departLat, departLng, arriveeLat, arriveeLng'
+        });
+      }
+
+      const result = await planificateurMultimodalService.planifier({
+        departLat:       parseFloat(departLat),
+        departLng:       parseFloat(departLng),
+        arriveeLat:      parseFloat(arriveeLat),
+        arriveeLng:      parseFloat(arriveeLng),
+        nomDepart,
+        nomArrivee,
+        dateDepart:      dateDepart      ? new Date(dateDepart)       : undefined,
+        toleranceDate:   toleranceDate   ? parseInt(toleranceDate)    : undefined,
+        nombrePassagers: nombrePassagers ? parseInt(nombrePassagers)  : undefined,
+        tri:             tri             ? String(tri).toUpperCase() : undefined,
+        limit:           limit           ? parseInt(limit)            : undefined,
+        inclureLieuxGoogle: req.body.inclureLieuxGoogle === true || req.body.inclureLieuxGoogle === 'true'
+      });
+
+      logger.info('✅ Itinéraire multimodal calculé', { count: result.count });
+
+      return res.status(200).json(result);
+
+    } catch (error) {
+      logger.error('❌ Erreur itinéraire multimodal:', error);
+
+      if (error.message.includes('invalide') || error.message.includes('tri')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Erreur lors du calcul de l\'itinéraire',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // ============================================================
+  // RECHERCHES SAUVEGARDÉES (alertes)
+  // /api/trajets/search/sauvegardees
+  // ============================================================
+
+  async creerRechercheSauvegardee(req, res) {
+    try {
+      const erreur = this._validerRechercheSauvegardee(req.body, true);
+      if (erreur) {
+        return res.status(400).json({ success: false, message: erreur });
+      }
+
+      const recherche = await rechercheSauvegardeeService.creer(req.user.id, req.body);
+
+      logger.info('🔎 Recherche sauvegardée créée', { userId: req.user.id, rechercheId: recherche._id });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recherche enregistrée. Vous serez alerté dès qu\'un trajet correspond.',
+        data: recherche
+      });
+
+    } catch (error) {
+      return this._erreurRechercheSauvegardee(res, error, 'Erreur lors de l\'enregistrement de la recherche');
+    }
+  }
+
+  async listerRecherchesSauvegardees(req, res) {
+    try {
+      const recherches = await rechercheSauvegardeeService.lister(req.user.id, { statut: req.query.statut });
+
+      return res.status(200).json({
+        success: true,
+        count: recherches.length,
+        data: recherches
+      });
+
+    } catch (error) {
+      return this._erreurRechercheSauvegardee(res, error, 'Erreur lors de la récupération des recherches');
+    }
+  }
+
+  async modifierRechercheSauvegardee(req, res) {
+    try {
+      const erreur = this._validerRechercheSauvegardee(req.body, false);
+      if (erreur) {
+        return res.status(400).json({ success: false, message: erreur });
+      }
+
+      const recherche = await rechercheSauvegardeeService.modifier(req.user.id, req.params.id, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Recherche mise à jour',
+        data: recherche
+      });
+
+    } catch (error) {
+      return this._erreurRechercheSauvegardee(res, error, 'Erreur lors de la mise à jour de la recherche');
+    }
+  }
+
+  async supprimerRechercheSauvegardee(req, res) {
+    try {
+      await rechercheSauvegardeeService.supprimer(req.user.id, req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Recherche supprimée, vous ne recevrez plus d\'alertes'
+      });
+
+    } catch (error) {
+      return this._erreurRechercheSauvegardee(res, error, 'Erreur lors de la suppression de la recherche');
+    }
+  }
+
+  /**
+   * Validation des critères (creation = tous les champs obligatoires)
+   * @returns {string|null} - Message d'erreur
+   */
+  _validerRechercheSauvegardee(body, creation) {
+    const coordonnees = ['departLat', 'departLng', 'arriveeLat', 'arriveeLng'];
+    const fournies = coordonnees.filter(champ => body[champ] !== undefined);
+
+    if ((creation || fournies.length > 0) && fournies.length !== coordonnees.length) {
+      return 'Les coordonnées departLat, departLng, arriveeLat et arriveeLng sont obligatoires';
+    }
+    for (const champ of fournies) {
+      const valeur = parseFloat(body[champ]);
+      const max = champ.endsWith('Lat') ? 90 : 180;
+      if (isNaN(valeur) || Math.abs(valeur) > max) {
+        return `Coordonnée invalide: ${champ}`;
+      }
+    }
+
+    if (creation && (!body.dateDebut || !body.dateFin)) {
+      return 'La fenêtre de dates (dateDebut, dateFin) est obligatoire';
+    }
+    if (body.rayonKm !== undefined && !(parseFloat(body.rayonKm) >= 0.5 && parseFloat(body.rayonKm) <= 50)) {
+      return 'Le rayon doit être entre 0.5 et 50 km';
+    }
+    if (body.prixMax !== undefined && body.prixMax !== null && !(parseFloat(body.prixMax) >= 0)) {
+      return 'Le prix maximum doit être un nombre positif';
+    }
+    if (body.nombrePlaces !== undefined && !(parseInt(body.nombrePlaces) >= 1 && parseInt(body.nombrePlaces) <= 8)) {
+      return 'Le nombre de places doit être entre 1 et 8';
+    }
+    return null;
+  }
+
+  _erreurRechercheSauvegardee(res, error, message) {
+    if (error.message.includes('introuvable')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError' ||
+        error.message.includes('Limite') || error.message.includes('fenêtre')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    logger.error(`❌ ${message}:`, error);
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
   // ============================================================
   // CONFIGURATION DU SERVICE
   // GET /api/trajets/search/config
@@ -293,5 +505,10 @@ module.exports = {
   searchNearbyTrips: trajetSearchController.searchNearbyTrips.bind(trajetSearchController),
   searchByCommune:   trajetSearchController.searchByCommune.bind(trajetSearchController),
   smartSearch:       trajetSearchController.smartSearch.bind(trajetSearchController),
-  getConfig:         trajetSearchController.getConfig.bind(trajetSearchController)
+  getConfig:         trajetSearchController.getConfig.bind(trajetSearchController),
+  planifierItineraireMultimodal: trajetSearchController.planifierItineraireMultimodal.bind(trajetSearchController),
+  creerRechercheSauvegardee:     trajetSearchController.creerRechercheSauvegardee.bind(trajetSearchController),
+  listerRecherchesSauvegardees:  trajetSearchController.listerRecherchesSauvegardees.bind(trajetSearchController),
+  modifierRechercheSauvegardee:  trajetSearchController.modifierRechercheSauvegardee.bind(trajetSearchController),
+  supprimerRechercheSauvegardee: trajetSearchController.supprimerRechercheSauvegardee.bind(trajetSearchController)
 };
\ No newline at end of file
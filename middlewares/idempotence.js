@@ -0,0 +1,112 @@
+// middlewares/idempotence.js
+const crypto = require('crypto');
+const CleIdempotence = require('../models/CleIdempotence');
+const { logger } = require('../utils/logger');
+
+const FORMAT_CLE = /^[A-Za-z0-9_\-:.]{8,255}$/;
+
+/**
+ * Honore l'en-tête Idempotency-Key sur une route de création.
+ *
+ * - première requête : la clé est réservée, la réponse (2xx/4xx) mémorisée ;
+ * - même clé, même corps : la réponse d'origine est renvoyée telle quelle
+ *   avec l'en-tête Idempotent-Replayed ;
+ * - même clé pendant le traitement : 409 ;
+ * - même clé, autre corps : 422.
+ * Une réponse 5xx libère la clé pour permettre une nouvelle tentative.
+ * Sans en-tête, la requête est traitée normalement.
+ *
+ * À placer après l'authentification : la clé est propre à l'utilisateur.
+ *
+ * @param {Object} [options] - { dureeHeures: durée de conservation des réponses }
+ */
+const idempotence = ({ dureeHeures = 24 } = {}) => async (req, res, next) => {
+  const cle = req.get('Idempotency-Key');
+  const utilisateurId = req.user?.userId || req.user?.id;
+  if (!cle || !utilisateurId) {
+    return next();
+  }
+
+  if (!FORMAT_CLE.test(cle)) {
+    return res.status(400).json({
+      success: false,
+      message: 'En-tête Idempotency-Key invalide (8 à 255 caractères alphanumériques, - _ : .)',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+  const empreinte = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+  let enregistrement;
+  try {
+    enregistrement = await CleIdempotence.create({
+      cle,
+      utilisateurId,
+      route,
+      empreinte,
+      expireLe: new Date(Date.now() + dureeHeures * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      // Stockage indisponible : on traite la requête sans garantie plutôt que de la bloquer
+      logger.warn('🔁 Clé d\'idempotence non enregistrée', { route, error: error.message });
+      return next();
+    }
+
+    const existant = await CleIdempotence.findOne({ utilisateurId, route, cle }).lean();
+    if (!existant) {
+      // Expirée entre-temps : le client peut simplement réessayer
+      return res.status(409).json({
+        success: false,
+        message: 'Requête en cours de traitement, réessayez dans un instant',
+        code: 'IDEMPOTENCY_IN_PROGRESS'
+      });
+    }
+    if (existant.empreinte !== empreinte) {
+      return res.status(422).json({
+        success: false,
+        message: 'Cette clé d\'idempotence a déjà été utilisée pour une autre requête',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+    if (existant.statut !== 'TERMINE') {
+      return res.status(409).json({
+        success: false,
+        message: 'Requête en cours de traitement, réessayez dans un instant',
+        code: 'IDEMPOTENCY_IN_PROGRESS'
+      });
+    }
+
+    logger.info('🔁 Réponse idempotente rejouée', { route, utilisateurId });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existant.reponse.statutHttp).json(existant.reponse.corps);
+  }
+
+  let memorisee = false;
+  const jsonOrigine = res.json.bind(res);
+  res.json = (corps) => {
+    memorisee = true;
+    const maj = res.statusCode >= 500
+      ? CleIdempotence.deleteOne({ _id: enregistrement._id })
+      : CleIdempotence.updateOne(
+        { _id: enregistrement._id },
+        { $set: { statut: 'TERMINE', reponse: { statutHttp: res.statusCode, corps } } }
+      );
+    maj.catch((error) => {
+      logger.warn('🔁 Réponse idempotente non mémorisée', { route, error: error.message });
+    });
+    return jsonOrigine(corps);
+  };
+
+  // Réponse non JSON ou connexion interrompue : la clé est libérée
+  res.on('close', () => {
+    if (!memorisee) {
+      CleIdempotence.deleteOne({ _id: enregistrement._id }).catch(() => {});
+    }
+  });
+
+  return next();
+};
+
+module.exports = idempotence;
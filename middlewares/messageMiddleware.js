@@ -7,6 +7,7 @@ const Utilisateur = require('../models/Utilisateur');
 const AppError = require('../utils/AppError');
 const { securityLogger } = require('../utils/logger');
 const Conversation = require('../models/Conversation');
+const moderationMessagesService = require('../services/moderationMessagesService');
 
 // ===========================================
 // MIDDLEWARE D'AUTHENTIFICATION
@@ -301,6 +302,66 @@ const validerSignalement = [
     .withMessage('Motif de signalement invalide'),
 ];
 
+// Validation pour photo / note vocale (fichier déjà déposé)
+const validerMedia = [
+  body('conversationId')
+    .isMongoId()
+    .withMessage('ID de conversation invalide'),
+  
+  body('destinataireId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de destinataire invalide'),
+  
+  body('typeMessage')
+    .isIn(['IMAGE', 'AUDIO'])
+    .withMessage('Type de message invalide (IMAGE ou AUDIO)'),
+  
+  body('pieceJointe.url')
+    .isString()
+    .matches(/^\/uploads\/messages\/[\w.-]+$/)
+    .withMessage('URL de pièce jointe invalide'),
+  
+  body('pieceJointe.dureeSecondes')
+    .if(body('typeMessage').equals('AUDIO'))
+    .isFloat({ gt: 0 })
+    .withMessage('Durée de la note vocale requise'),
+  
+  body('contenu')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Légende limitée à 1000 caractères')
+    .matches(/^[^<>]*$/)
+    .withMessage('Caractères HTML non autorisés'),
+];
+
+// Validation pour modification d'un message
+const validerModification = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('ID de message invalide'),
+  
+  body('contenu')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Le contenu doit contenir entre 1 et 1000 caractères')
+    .matches(/^[^<>]*$/)
+    .withMessage('Caractères HTML non autorisés'),
+];
+
+// Validation pour accusés de réception (liste de messages optionnelle)
+const validerAccuses = [
+  body('messageIds')
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Liste de messages invalide (1 à 200 identifiants)'),
+  
+  body('messageIds.*')
+    .isMongoId()
+    .withMessage('ID de message invalide'),
+];
+
 // ===========================================
 // MIDDLEWARE DE VALIDATION DE FICHIERS
 // ===========================================
@@ -402,27 +463,13 @@ const verifierStatutUtilisateur = async (req, res, next) => {
 // MIDDLEWARE DE FILTRAGE DE CONTENU
 // ===========================================
 
+// Filtre automatique (numéros, paiements hors plateforme, insultes, liens) :
+// le bilan est transmis à messageService.envoyerMessage qui masque, avertit ou retient
 const filtrerContenu = (req, res, next) => {
-  // Liste de mots interdits (à adapter selon vos besoins)
-  const motsInterdits = [
-    'spam', 'scam', 'arnaque', 'virus', 'malware',
-    // Ajoutez d'autres mots selon vos règles
-  ];
-
   const { contenu } = req.body;
-  
-  if (contenu) {
-    const contenuMinuscule = contenu.toLowerCase();
-    const motTrouve = motsInterdits.find(mot => contenuMinuscule.includes(mot));
-    
-    if (motTrouve) {
-      return res.status(400).json({
-        succes: false,
-        erreur: 'Contenu inapproprié détecté',
-        details: 'Votre message contient du contenu non autorisé',
-        code: 'CONTENT_FILTERED'
-      });
-    }
+
+  if (typeof contenu === 'string' && contenu.trim()) {
+    req.moderationMessage = moderationMessagesService.analyser(contenu);
   }
 
   next();
@@ -568,6 +615,9 @@ module.exports = {
   validerPosition,
   validerModelePredefini,
   validerSignalement,
+  validerMedia,
+  validerModification,
+  validerAccuses,
   validerFichierImage,
   validerRequeteComplete,
   
@@ -16,6 +16,7 @@ const UPLOAD_PATHS = {
   documents: 'uploads/documents',
   profils: 'uploads/profils',
   selfies: 'uploads/selfies', // Nouveau dossier pour les selfies
+  messages: 'uploads/messages', // Photos et notes vocales de la messagerie
   temp: 'uploads/temp'
 };
 
@@ -54,6 +55,26 @@ const FILE_TYPES = {
     extensions: ['.pdf', '.jpg', '.jpeg', '.png', '.webp'],
     maxSize: 10 * 1024 * 1024 // 10MB
   },
+  // Messagerie : photos (lieu de prise en charge) et notes vocales
+  messages: {
+    mimeTypes: [
+      'image/jpeg',
+      'image/jpg',
+      'image/png',
+      'image/webp',
+      'audio/mpeg',
+      'audio/mp4',
+      'audio/x-m4a',
+      'audio/aac',
+      'audio/ogg',
+      'audio/opus',
+      'audio/webm',
+      'audio/wav',
+      'audio/x-wav'
+    ],
+    extensions: ['.jpg', '.jpeg', '.png', '.webp', '.mp3', '.m4a', '.aac', '.ogg', '.opus', '.webm', '.wav'],
+    maxSize: 10 * 1024 * 1024 // 10MB
+  },
   any: {
     mimeTypes: ['*/*'],
     extensions: ['*'],
@@ -453,6 +474,18 @@ const profilStorage = multer.diskStorage({
   }
 });
 
+// Configuration de stockage pour les pièces jointes de la messagerie
+// Le nom du fichier commence par l'ID de l'auteur du dépôt :
+// seul celui-ci pourra le joindre à un message
+const messageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, UPLOAD_PATHS.messages);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${req.user.userId}_${generateUniqueFilename(file.originalname)}`);
+  }
+});
+
 // Configuration de stockage temporaire
 const tempStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -625,6 +658,13 @@ const uploadProfilPhoto = multer({
   limits: createLimits('images')
 });
 
+// Upload pour les pièces jointes de la messagerie (photo ou note vocale)
+const uploadMessageMedia = multer({
+  storage: messageStorage,
+  fileFilter: createFileFilter('messages'),
+  limits: createLimits('messages')
+});
+
 // Upload temporaire
 const uploadTemp = multer({
   storage: tempStorage,
@@ -687,6 +727,41 @@ const optimizeImage = async (req, res, next) => {
   }
 };
 
+// Middleware de génération de miniature (optionnel - nécessite sharp)
+// La miniature est écrite à côté de l'image : <nom>_thumb.webp
+const generateThumbnail = async (req, res, next) => {
+  if (!req.file || !req.file.mimetype.startsWith('image/')) {
+    return next();
+  }
+
+  try {
+    let sharp;
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      logger.warn('Sharp non disponible, miniatures désactivées');
+      return next();
+    }
+
+    const thumbnailPath = req.file.path.replace(/\.[^.]+$/, '_thumb.webp');
+
+    await sharp(req.file.path)
+      .rotate()
+      .resize(320, 320, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .webp({ quality: 70 })
+      .toFile(thumbnailPath);
+
+    req.file.thumbnailPath = thumbnailPath;
+    next();
+  } catch (error) {
+    logger.error('Erreur génération miniature:', error);
+    next(); // L'image reste utilisable sans miniature
+  }
+};
+
 // Middleware de validation du propriétaire de fichier
 const validateFileOwnership = (req, res, next) => {
   // Ajouter l'userId aux métadonnées du fichier
@@ -801,6 +876,7 @@ module.exports = {
   vehiculeDocumentStorage,
   uploadDocument,
   uploadProfilPhoto,
+  uploadMessageMedia,
   uploadTemp,
   upload,
 
@@ -808,6 +884,7 @@ module.exports = {
   handleUploadError,
   cleanupTempFiles,
   optimizeImage,
+  generateThumbnail,
   validateFileOwnership,
   logUpload,
 
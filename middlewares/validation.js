@@ -443,6 +443,43 @@ const validateAnnulerRecharge = [
   handleValidationErrors
 ];
 
+// =========================
+// VALIDATION RETRAITS CONDUCTEUR
+// =========================
+
+const validateDemandeRetrait = [
+  body('montant')
+    .isInt({ min: 1 })
+    .withMessage('Montant du retrait invalide')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateHistoriqueRetraits = [
+  query('statut')
+    .optional()
+    .isIn(['EN_ATTENTE_APPROBATION', 'EN_COURS', 'REUSSI', 'ECHOUE', 'REJETE', 'ANNULE'])
+    .withMessage('Statut de retrait invalide'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Numéro de page invalide')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limite invalide (1-50)')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateRetraitId = [
+  param('retraitId')
+    .isMongoId()
+    .withMessage('ID de retrait invalide'),
+  handleValidationErrors
+];
+
 // =========================
 // VALIDATION WEBHOOK
 // =========================
@@ -506,6 +543,11 @@ module.exports = {
   validateHistoriqueRecharges,
   validateAutoRecharge,
   validateAnnulerRecharge,
+
+  // Retraits conducteur
+  validateDemandeRetrait,
+  validateHistoriqueRetraits,
+  validateRetraitId,
   
   // Communes
   validateReferenceTransaction,
@@ -93,7 +93,8 @@ const administrateurSchema = new mongoose.Schema({
       // Configuration
       'CONFIGURATION_SYSTEME',
       'GESTION_NOTIFICATIONS',
-      'GESTION_TARIFS'
+      'GESTION_TARIFS',
+      'GESTION_PROMOTIONS'
     ],
     message: 'Permission invalide'
   },
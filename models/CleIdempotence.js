@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * 🔁 Modèle CleIdempotence
+ * Réponse mémorisée d'une requête portant un en-tête Idempotency-Key.
+ * Une requête rejouée avec la même clé (même utilisateur, même route)
+ * reçoit la réponse d'origine au lieu de créer un second paiement.
+ */
+const CleIdempotenceSchema = new mongoose.Schema({
+
+  cle: {
+    type: String,
+    required: [true, 'La clé est requise'],
+    trim: true
+  },
+
+  utilisateurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'L\'utilisateur est requis']
+  },
+
+  // Méthode + chemin de la route (ex : POST /api/paiements/initier)
+  route: {
+    type: String,
+    required: [true, 'La route est requise']
+  },
+
+  // Empreinte SHA-256 du corps : une clé ne peut pas servir à une autre requête
+  empreinte: {
+    type: String,
+    required: true
+  },
+
+  statut: {
+    type: String,
+    enum: ['EN_COURS', 'TERMINE'],
+    default: 'EN_COURS'
+  },
+
+  reponse: {
+    statutHttp: Number,
+    corps: mongoose.Schema.Types.Mixed
+  },
+
+  // MongoDB supprime automatiquement la clé à expiration (TTL)
+  expireLe: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+
+}, {
+  timestamps: true
+});
+
+CleIdempotenceSchema.index({ utilisateurId: 1, route: 1, cle: 1 }, { unique: true });
+
+module.exports = mongoose.model('CleIdempotence', CleIdempotenceSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📦 Modèle CodePromo
+ * Code de réduction défini par un administrateur, appliqué par le passager
+ * à la réservation. La réduction est financée par la plateforme : les gains
+ * du conducteur et la commission sont calculés sur le prix avant réduction.
+ */
+
+const CodePromoSchema = new mongoose.Schema({
+
+  code: {
+    type: String,
+    required: [true, 'Le code est requis'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Le code doit contenir 3 à 30 lettres, chiffres, tirets ou soulignés']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // ─── Réduction ─────────────────────────────────────────────────
+  typeReduction: {
+    type: String,
+    enum: {
+      values: ['POURCENTAGE', 'MONTANT_FIXE'],
+      message: 'Type de réduction invalide'
+    },
+    required: [true, 'Le type de réduction est requis']
+  },
+  // Pourcentage (1 à 100) ou montant en FCFA selon typeReduction
+  valeur: {
+    type: Number,
+    required: [true, 'La valeur de la réduction est requise'],
+    min: [1, 'La valeur doit être positive'],
+    validate: {
+      validator: function(valeur) {
+        return this.typeReduction !== 'POURCENTAGE' || valeur <= 100;
+      },
+      message: 'Un pourcentage ne peut dépasser 100'
+    }
+  },
+  // Plafond de la réduction d'un code en pourcentage (FCFA)
+  reductionMax: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  montantMinimum: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // ─── Validité ──────────────────────────────────────────────────
+  dateDebut: {
+    type: Date,
+    required: [true, 'La date de début est requise']
+  },
+  dateFin: {
+    type: Date,
+    required: [true, 'La date de fin est requise'],
+    validate: {
+      validator: function(date) {
+        return !this.dateDebut || date > this.dateDebut;
+      },
+      message: 'La date de fin doit être postérieure à la date de début'
+    }
+  },
+  actif: {
+    type: Boolean,
+    default: true
+  },
+
+  // ─── Plafonds d'utilisation ────────────────────────────────────
+  // null : illimité
+  limiteGlobale: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  limiteParUtilisateur: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Réservations actives ou payées portant le code (libéré à l'annulation avant paiement)
+  nombreUtilisations: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  premiereCourseUniquement: {
+    type: Boolean,
+    default: false
+  },
+
+  // ─── Restrictions géographiques (communes normalisées en minuscules) ──
+  // Vides : toutes communes. Un trajet doit satisfaire chaque liste renseignée.
+  restrictions: {
+    communesDepart: [{ type: String, lowercase: true, trim: true }],
+    communesArrivee: [{ type: String, lowercase: true, trim: true }]
+  },
+
+  creePar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Administrateur'
+  }
+
+}, {
+  timestamps: true
+});
+
+// ─── Index ────────────────────────────────────────────────────────
+CodePromoSchema.index({ actif: 1, dateFin: 1 });
+
+// ─── Méthodes statiques ───────────────────────────────────────────
+
+/**
+ * Réserve atomiquement une utilisation du code dans la limite globale
+ * @returns {Promise<boolean>} - false si le code est épuisé
+ */
+CodePromoSchema.statics.reserverUtilisation = async function(codePromoId) {
+  const resultat = await this.updateOne(
+    {
+      _id: codePromoId,
+      $or: [
+        { limiteGlobale: null },
+        { $expr: { $lt: ['$nombreUtilisations', '$limiteGlobale'] } }
+      ]
+    },
+    { $inc: { nombreUtilisations: 1 } }
+  );
+  return resultat.modifiedCount > 0;
+};
+
+CodePromoSchema.statics.libererUtilisation = async function(codePromoId) {
+  await this.updateOne(
+    { _id: codePromoId, nombreUtilisations: { $gt: 0 } },
+    { $inc: { nombreUtilisations: -1 } }
+  );
+};
+
+module.exports = mongoose.model('CodePromo', CodePromoSchema);
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📒 Modèle EcritureComptable
+ * Écriture du grand livre en partie double : chaque mouvement d'argent
+ * (recharge, commission, paiement de course, remboursement) est une
+ * écriture équilibrée (total débits = total crédits) et immuable.
+ * Une erreur se corrige par une écriture de contre-passation, jamais
+ * par modification.
+ */
+
+// Plan de comptes. `nature` indique le sens qui augmente le solde.
+const COMPTES = {
+  // Solde rechargé du conducteur (sert à couvrir les commissions espèces)
+  PORTEFEUILLE_CONDUCTEUR: { nature: 'CREDIT', parUtilisateur: true },
+  // Gains de courses encaissés pour le compte du conducteur
+  GAINS_CONDUCTEUR: { nature: 'CREDIT', parUtilisateur: true },
+  // Gains encaissés mais retenus jusqu'à la fin du trajet et du délai de contestation
+  SEQUESTRE_CONDUCTEUR: { nature: 'CREDIT', parUtilisateur: true },
+  // Produits de commission de la plateforme
+  COMMISSION_PLATEFORME: { nature: 'CREDIT', parUtilisateur: false },
+  // Fonds détenus chez l'opérateur de paiement (CinetPay, Mobile Money)
+  COMPENSATION_OPERATEUR: { nature: 'DEBIT', parUtilisateur: false },
+  // Remboursements dus aux passagers
+  REMBOURSEMENTS: { nature: 'CREDIT', parUtilisateur: false },
+  // Retraits de gains réservés, en attente de confirmation de l'opérateur
+  RETRAITS_EN_COURS: { nature: 'CREDIT', parUtilisateur: false },
+  // Bonus offerts par la plateforme (bonus de recharge, promotions)
+  PROMOTIONS: { nature: 'DEBIT', parUtilisateur: false },
+  // Crédit offert à un utilisateur (parrainage), déduit de ses prochaines réservations
+  CREDIT_PROMOTIONNEL: { nature: 'CREDIT', parUtilisateur: true }
+};
+
+const TYPES_ECRITURE = [
+  'RECHARGE', 'PAIEMENT_COURSE', 'COMMISSION', 'GAIN', 'REMBOURSEMENT', 'RETRAIT', 'CONTRE_PASSATION',
+  // Gains séquestrés versés au conducteur
+  'LIBERATION_SEQUESTRE',
+  // Dédommagement du passager par le conducteur qui annule tardivement
+  'COMPENSATION_ANNULATION',
+  // Crédit de parrainage offert au parrain et au filleul
+  'PARRAINAGE',
+  // Ouverture du compte avec le solde antérieur au grand livre
+  'REPRISE_SOLDE'
+];
+
+const LigneSchema = new mongoose.Schema({
+  compte: {
+    type: String,
+    enum: Object.keys(COMPTES),
+    required: [true, 'Le compte est requis']
+  },
+  // Titulaire pour les comptes conducteur, null pour les comptes plateforme
+  utilisateurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    default: null
+  },
+  sens: {
+    type: String,
+    enum: ['DEBIT', 'CREDIT'],
+    required: [true, 'Le sens est requis']
+  },
+  montant: {
+    type: Number,
+    required: [true, 'Le montant est requis'],
+    min: [1, 'Le montant d\'une ligne doit être positif']
+  }
+}, { _id: false });
+
+const EcritureComptableSchema = new mongoose.Schema({
+
+  // Clé d'idempotence : une même opération ne peut être comptabilisée deux fois
+  reference: {
+    type: String,
+    required: [true, 'La référence est requise'],
+    unique: true,
+    trim: true
+  },
+
+  type: {
+    type: String,
+    enum: TYPES_ECRITURE,
+    required: [true, 'Le type d\'écriture est requis'],
+    index: true
+  },
+
+  lignes: {
+    type: [LigneSchema],
+    validate: [
+      {
+        validator: (lignes) => Array.isArray(lignes) && lignes.length >= 2,
+        message: 'Une écriture comporte au moins deux lignes'
+      },
+      {
+        validator: (lignes) => totaux(lignes).debit === totaux(lignes).credit,
+        message: 'Écriture déséquilibrée : total des débits différent du total des crédits'
+      }
+    ]
+  },
+
+  // ─── Rattachements ─────────────────────────────────────────────
+  paiementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paiement',
+    default: null,
+    index: true
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  trajetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trajet',
+    default: null
+  },
+  // Écriture annulée par cette contre-passation
+  ecritureOrigineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EcritureComptable',
+    default: null
+  },
+
+  libelle: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  dateEcriture: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+EcritureComptableSchema.index({ 'lignes.utilisateurId': 1, 'lignes.compte': 1, dateEcriture: -1 });
+
+function totaux(lignes = []) {
+  return lignes.reduce((acc, ligne) => {
+    if (ligne.sens === 'DEBIT') acc.debit += ligne.montant;
+    else acc.credit += ligne.montant;
+    return acc;
+  }, { debit: 0, credit: 0 });
+}
+
+// ─── Immuabilité ─────────────────────────────────────────────────
+EcritureComptableSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Une écriture comptable est immuable : passez une contre-passation'));
+  }
+  next();
+});
+
+const interdireModification = function(next) {
+  next(new Error('Une écriture comptable est immuable : passez une contre-passation'));
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach((operation) => {
+  EcritureComptableSchema.pre(operation, interdireModification);
+});
+
+// ─── Méthodes ────────────────────────────────────────────────────
+EcritureComptableSchema.methods.estEquilibree = function() {
+  const { debit, credit } = totaux(this.lignes);
+  return debit > 0 && debit === credit;
+};
+
+EcritureComptableSchema.statics.COMPTES = COMPTES;
+EcritureComptableSchema.statics.TYPES_ECRITURE = TYPES_ECRITURE;
+EcritureComptableSchema.statics.totaux = totaux;
+
+module.exports = mongoose.model('EcritureComptable', EcritureComptableSchema);
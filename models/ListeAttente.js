@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📦 Modèle ListeAttente
+ * Inscription d'un passager sur la liste d'attente d'un trajet complet.
+ * Les inscriptions sont servies dans l'ordre d'arrivée (dateInscription) :
+ * quand des places se libèrent, la première inscription compatible reçoit
+ * une proposition valable DUREE_PROPOSITION_MINUTES pendant lesquelles les
+ * places lui sont réservées.
+ */
+
+// Durée de validité d'une place proposée
+const DUREE_PROPOSITION_MINUTES = 15;
+// Statuts encore présents dans la file
+const STATUTS_ACTIFS = ['EN_ATTENTE', 'PROPOSEE'];
+
+const PointSchema = new mongoose.Schema({
+  nom: {
+    type: String,
+    required: [true, 'Le nom du point est requis'],
+    trim: true
+  },
+  adresse: {
+    type: String,
+    trim: true
+  },
+  coordonnees: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      default: [0, 0]
+    }
+  }
+}, { _id: false });
+
+const ListeAttenteSchema = new mongoose.Schema({
+
+  // ─── Trajet et passager ────────────────────────────────────────
+  trajetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trajet',
+    required: [true, 'Le trajet est requis']
+  },
+  passagerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'Le passager est requis']
+  },
+  // Copie de Trajet.dateDepart : permet d'expirer la file sans jointure
+  dateDepart: {
+    type: Date,
+    required: true
+  },
+
+  // ─── Demande (mêmes champs qu'une réservation) ─────────────────
+  nombrePlaces: {
+    type: Number,
+    min: [1, 'Au moins une place'],
+    max: [8, 'Maximum 8 places'],
+    default: 1
+  },
+  indexMontee: {
+    type: Number,
+    required: true
+  },
+  indexDescente: {
+    type: Number,
+    required: true
+  },
+  pointPriseEnCharge: {
+    type: PointSchema,
+    required: true
+  },
+  pointDepose: {
+    type: PointSchema,
+    required: true
+  },
+  bagages: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  methodePaiement: {
+    type: String,
+    default: 'MOBILE_MONEY'
+  },
+
+  // ─── Position dans la file ─────────────────────────────────────
+  dateInscription: {
+    type: Date,
+    default: Date.now
+  },
+
+  // ─── Cycle de vie ──────────────────────────────────────────────
+  // PROPOSEE : places retenues jusqu'à offre.dateExpiration
+  // ACCEPTEE : réservation créée (reservationId)
+  // EXPIREE  : proposition non acceptée à temps, ou trajet parti / annulé
+  // ANNULEE  : le passager a quitté la file ou décliné la proposition
+  statut: {
+    type: String,
+    enum: ['EN_ATTENTE', 'PROPOSEE', 'ACCEPTEE', 'EXPIREE', 'ANNULEE'],
+    default: 'EN_ATTENTE'
+  },
+  offre: {
+    dateProposition: {
+      type: Date,
+      default: null
+    },
+    dateExpiration: {
+      type: Date,
+      default: null
+    }
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  dateSortie: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ─── Index ────────────────────────────────────────────────────────
+ListeAttenteSchema.index({ trajetId: 1, statut: 1, dateInscription: 1 });
+ListeAttenteSchema.index({ passagerId: 1, statut: 1 });
+ListeAttenteSchema.index({ statut: 1, 'offre.dateExpiration': 1 });
+
+// ─── Méthodes statiques ───────────────────────────────────────────
+
+/**
+ * Places retenues par les propositions en cours d'un trajet,
+ * au format attendu par segmentService.calculerOccupation
+ * @param {ObjectId} trajetId
+ * @param {Object} options - { exclureId: inscription à ignorer (son propre hold) }
+ * @returns {Promise<Array<{ nombrePlacesReservees, indexMontee, indexDescente }>>}
+ */
+ListeAttenteSchema.statics.obtenirPlacesRetenues = async function(trajetId, { exclureId = null, maintenant = new Date() } = {}) {
+  const filtre = {
+    trajetId,
+    statut: 'PROPOSEE',
+    'offre.dateExpiration': { $gt: maintenant }
+  };
+  if (exclureId) filtre._id = { $ne: exclureId };
+
+  const retenues = await this.find(filtre).select('nombrePlaces indexMontee indexDescente').lean();
+  return retenues.map(r => ({
+    nombrePlacesReservees: r.nombrePlaces,
+    indexMontee: r.indexMontee,
+    indexDescente: r.indexDescente
+  }));
+};
+
+/**
+ * Position (1 = prochain servi) d'une inscription active dans la file
+ * @returns {Promise<number|null>}
+ */
+ListeAttenteSchema.statics.calculerPosition = async function(inscription) {
+  if (!STATUTS_ACTIFS.includes(inscription.statut)) return null;
+
+  const devant = await this.countDocuments({
+    trajetId: inscription.trajetId,
+    statut: { $in: STATUTS_ACTIFS },
+    dateInscription: { $lt: inscription.dateInscription }
+  });
+  return devant + 1;
+};
+
+ListeAttenteSchema.statics.DUREE_PROPOSITION_MINUTES = DUREE_PROPOSITION_MINUTES;
+ListeAttenteSchema.statics.STATUTS_ACTIFS = STATUTS_ACTIFS;
+
+module.exports = mongoose.model('ListeAttente', ListeAttenteSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📦 Modèle LivraisonNotification
+ * Suivi de la remise d'une notification à un utilisateur : canaux tentés
+ * dans l'ordre (push, WhatsApp, SMS), statut et coût de chaque tentative.
+ * Sert au repli d'un canal à l'autre, au dédoublonnage des rafales et aux
+ * statistiques de livraison.
+ */
+
+const CANAUX_LIVRAISON = ['push', 'whatsapp', 'sms'];
+const PRIORITES_LIVRAISON = ['URGENTE', 'HAUTE', 'NORMALE', 'BASSE'];
+
+const STATUTS_ACTIFS = ['PLANIFIEE', 'EN_COURS', 'EN_ATTENTE_ACQUITTEMENT'];
+const STATUTS_FINAUX = ['ACQUITTEE', 'LIVREE', 'ECHOUEE', 'IGNOREE'];
+
+const TentativeSchema = new mongoose.Schema({
+  canal: {
+    type: String,
+    enum: CANAUX_LIVRAISON,
+    required: true
+  },
+  fournisseur: {
+    type: String,
+    default: null
+  },
+  statut: {
+    type: String,
+    enum: ['ENVOYEE', 'ACQUITTEE', 'EXPIREE', 'ECHOUEE'],
+    required: true
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  erreur: {
+    type: String,
+    default: null
+  },
+  // Coût facturé par le fournisseur (FCFA)
+  cout: {
+    type: Number,
+    default: 0
+  },
+  envoyeeLe: {
+    type: Date,
+    default: Date.now
+  },
+  acquitteeLe: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const LivraisonNotificationSchema = new mongoose.Schema({
+
+  utilisateurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'Le destinataire est requis']
+  },
+
+  // Modèle de notification (TRAJET_ANNULE, ...) ou type libre
+  evenement: {
+    type: String,
+    required: [true, 'L\'événement est requis'],
+    trim: true
+  },
+
+  priorite: {
+    type: String,
+    enum: PRIORITES_LIVRAISON,
+    default: 'NORMALE'
+  },
+
+  // Catégorie de préférences (reservations, trajets, paiements, ...)
+  categorie: {
+    type: String,
+    default: 'general',
+    trim: true
+  },
+
+  // Contenu à remettre : modèle + variables, ou titre + message déjà rédigés
+  contenu: {
+    modele: { type: String, default: null },
+    variables: { type: mongoose.Schema.Types.Mixed, default: {} },
+    titre: { type: String, maxlength: 150 },
+    message: { type: String, maxlength: 1000 },
+    donnees: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+
+  // Notification in-app associée (identifiant transmis dans le push)
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+
+  cleDoublon: {
+    type: String,
+    required: true
+  },
+
+  statut: {
+    type: String,
+    enum: [...STATUTS_ACTIFS, ...STATUTS_FINAUX],
+    default: 'EN_COURS'
+  },
+  // Raison d'une livraison ignorée ou échouée (preferences, doublon, canaux_epuises, ...)
+  motif: {
+    type: String,
+    default: null
+  },
+
+  // Heures silencieuses : envoi reporté à cette date
+  planifieePour: {
+    type: Date,
+    default: null
+  },
+  // Push envoyé : repli sur le canal suivant sans accusé de réception à cette date
+  echeanceAcquittement: {
+    type: Date,
+    default: null
+  },
+  // Index du prochain canal à tenter dans la cascade de la priorité
+  canalSuivant: {
+    type: Number,
+    default: 0
+  },
+
+  tentatives: [TentativeSchema],
+
+  coutTotal: {
+    type: Number,
+    default: 0
+  },
+
+  livreeLe: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+LivraisonNotificationSchema.index({ cleDoublon: 1, createdAt: -1 });
+LivraisonNotificationSchema.index({ statut: 1, planifieePour: 1 });
+LivraisonNotificationSchema.index({ statut: 1, echeanceAcquittement: 1 });
+LivraisonNotificationSchema.index({ notificationId: 1 });
+LivraisonNotificationSchema.index({ createdAt: -1 });
+
+LivraisonNotificationSchema.statics.CANAUX = CANAUX_LIVRAISON;
+LivraisonNotificationSchema.statics.PRIORITES = PRIORITES_LIVRAISON;
+LivraisonNotificationSchema.statics.STATUTS_ACTIFS = STATUTS_ACTIFS;
+LivraisonNotificationSchema.statics.STATUTS_FINAUX = STATUTS_FINAUX;
+
+module.exports = mongoose.model('LivraisonNotification', LivraisonNotificationSchema);
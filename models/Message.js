@@ -29,7 +29,7 @@ const messageSchema = new mongoose.Schema({
   },
   typeMessage: {
     type: String,
-    enum: ['TEXTE', 'POSITION', 'MODELE_PREDEFINI'],
+    enum: ['TEXTE', 'POSITION', 'MODELE_PREDEFINI', 'IMAGE', 'AUDIO'],
     required: true,
     default: 'TEXTE'
   },
@@ -42,9 +42,18 @@ const messageSchema = new mongoose.Schema({
   pieceJointe: {
     type: {
       type: String,
-      enum: ['IMAGE', 'LOCALISATION']
+      enum: ['IMAGE', 'AUDIO', 'LOCALISATION']
     },
     url: String,
+    // Photo : miniature générée à l'upload
+    miniatureUrl: String,
+    mimeType: String,
+    taille: Number, // octets
+    // Note vocale : durée déclarée par l'application
+    dureeSecondes: {
+      type: Number,
+      min: 0
+    },
     coordonnees: {
       type: {
         type: String,
@@ -79,6 +88,20 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Administrateur'
   },
+  // Filtre automatique (numéros, paiements hors plateforme, insultes, liens)
+  moderation: {
+    statut: {
+      type: String,
+      enum: ['MASQUE', 'AVERTI', 'RETENU', 'LIBERE']
+    },
+    detections: [{
+      _id: false,
+      categorie: String,
+      analyseur: String
+    }],
+    avertissement: String,
+    analyseLe: Date
+  },
   
   // Statut de lecture
   lu: {
@@ -87,6 +110,38 @@ const messageSchema = new mongoose.Schema({
     index: true
   },
   dateLecture: Date,
+
+  // Accusés de réception et de lecture par participant (hors expéditeur)
+  accuses: [{
+    _id: false,
+    utilisateurId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Utilisateur',
+      required: true
+    },
+    recuLe: {
+      type: Date,
+      default: null
+    },
+    luLe: {
+      type: Date,
+      default: null
+    }
+  }],
+
+  // Édition et suppression par l'expéditeur
+  modifieLe: {
+    type: Date,
+    default: null
+  },
+  supprime: {
+    type: Boolean,
+    default: false
+  },
+  supprimeLe: {
+    type: Date,
+    default: null
+  },
   
   // Métadonnées temporelles
   dateEnvoi: {
@@ -104,6 +159,8 @@ messageSchema.index({ conversationId: 1, dateEnvoi: -1 });
 messageSchema.index({ expediteurId: 1, dateEnvoi: -1 });
 messageSchema.index({ destinataireId: 1, lu: 1 });
 messageSchema.index({ estSignale: 1, moderateurId: 1 });
+messageSchema.index({ conversationId: 1, 'accuses.utilisateurId': 1 });
+messageSchema.index({ expediteurId: 1, 'moderation.statut': 1, dateEnvoi: -1 });
 
 // Index géospatial pour les coordonnées (sparse = ignore les documents sans ce champ)
 messageSchema.index({ 'pieceJointe.coordonnees': '2dsphere' }, { sparse: true });
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { LANGUES_NOTIFICATION } = require('../utils/modelesNotifications');
+
+/**
+ * 🌍 Modèle ModeleNotification
+ * Surcharge, saisie par un administrateur, du texte par défaut d'une
+ * notification (utils/modelesNotifications.js) pour un événement et une
+ * langue. Supprimer la surcharge rétablit le texte par défaut.
+ */
+const ModeleNotificationSchema = new mongoose.Schema({
+
+  evenement: {
+    type: String,
+    required: [true, 'L\'événement est requis'],
+    uppercase: true,
+    trim: true
+  },
+
+  langue: {
+    type: String,
+    required: [true, 'La langue est requise'],
+    enum: {
+      values: LANGUES_NOTIFICATION,
+      message: 'Langue non supportée'
+    }
+  },
+
+  titre: {
+    type: String,
+    required: [true, 'Le titre est requis'],
+    trim: true,
+    maxlength: 150
+  },
+
+  corps: {
+    type: String,
+    required: [true, 'Le corps est requis'],
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Variantes par canal (à défaut : titre / corps)
+  sms: { type: String, trim: true, maxlength: 480 },
+  whatsapp: { type: String, trim: true, maxlength: 2000 },
+  emailSujet: { type: String, trim: true, maxlength: 200 },
+  emailCorps: { type: String, trim: true, maxlength: 5000 },
+
+  modifiePar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Administrateur',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+ModeleNotificationSchema.index({ evenement: 1, langue: 1 }, { unique: true });
+
+module.exports = mongoose.model('ModeleNotification', ModeleNotificationSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Trajet = require('./Trajet');
+
+/**
+ * 📦 Modèle ModeleTrajet
+ * Trajet type enregistré par un conducteur (points, arrêts, véhicule,
+ * préférences, prix et places par défaut) pour republier le même
+ * itinéraire sans tout ressaisir. Seules la date et l'heure changent.
+ */
+
+// Nombre max de modèles par conducteur
+const MAX_MODELES_PAR_CONDUCTEUR = 20;
+
+// Sous-schémas repris du trajet : un modèle publié doit passer la même validation
+const schemaDe = (chemin) => Trajet.schema.path(chemin).schema;
+
+const ModeleTrajetSchema = new mongoose.Schema({
+
+  // ─── Conducteur ────────────────────────────────────────────────
+  conducteurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'Le conducteur est requis'],
+    index: true
+  },
+
+  nom: {
+    type: String,
+    required: [true, 'Le nom du modèle est requis'],
+    trim: true,
+    maxlength: [100, 'Le nom ne peut dépasser 100 caractères']
+  },
+
+  // ─── Itinéraire ────────────────────────────────────────────────
+  pointDepart: {
+    type: schemaDe('pointDepart'),
+    required: [true, 'Le point de départ est requis']
+  },
+  pointArrivee: {
+    type: schemaDe('pointArrivee'),
+    required: [true, 'Le point d\'arrivée est requis']
+  },
+  arretsIntermediaires: [schemaDe('arretsIntermediaires')],
+
+  // ─── Valeurs par défaut à la publication ───────────────────────
+  // Heure proposée si aucune n'est fournie à la publication
+  heureDepart: {
+    type: String,
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'L\'heure de départ doit être au format HH:MM (24h)']
+  },
+  prixParPassager: {
+    type: Number,
+    required: [true, 'Le prix par passager est requis'],
+    min: [0, 'Le prix ne peut pas être négatif'],
+    max: [100000, 'Le prix ne peut dépasser 100 000 FCFA']
+  },
+  nombrePlacesTotal: {
+    type: Number,
+    required: [true, 'Le nombre de places est requis'],
+    min: 1,
+    max: 8
+  },
+  vehiculeUtilise: {
+    type: schemaDe('vehiculeUtilise'),
+    required: [true, 'Le véhicule est requis']
+  },
+  preferences: {
+    type: schemaDe('preferences'),
+    default: () => ({})
+  },
+  politiqueAnnulation: {
+    type: String,
+    enum: Trajet.schema.path('politiqueAnnulation').enumValues,
+    default: 'MODEREE'
+  },
+  commentaireConducteur: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // ─── Origine et utilisation ────────────────────────────────────
+  trajetSourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trajet',
+    default: null
+  },
+  nombreUtilisations: {
+    type: Number,
+    default: 0
+  },
+  derniereUtilisation: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Un nom de modèle est unique par conducteur
+ModeleTrajetSchema.index({ conducteurId: 1, nom: 1 }, { unique: true });
+
+ModeleTrajetSchema.statics.MAX_MODELES_PAR_CONDUCTEUR = MAX_MODELES_PAR_CONDUCTEUR;
+
+module.exports = mongoose.model('ModeleTrajet', ModeleTrajetSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📦 Modèle Notification
+ * Notification in-app conservée côté serveur (en complément du push FCM)
+ */
+const NotificationSchema = new mongoose.Schema({
+
+  destinataireId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'Le destinataire est requis']
+  },
+
+  type: {
+    type: String,
+    required: [true, 'Le type de notification est requis'],
+    trim: true
+  },
+
+  titre: {
+    type: String,
+    required: [true, 'Le titre est requis'],
+    trim: true,
+    maxlength: 150
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Le message est requis'],
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Données utiles à l'application (trajetId, écran cible, ...)
+  donnees: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Lien profond vers l'écran concerné (wayzeco://ecran/ReservationDetails?reservationId=...)
+  lien: {
+    type: String,
+    default: null
+  },
+
+  // Catégorie de préférences (reservations, paiements, trajets, ...)
+  canal: {
+    type: String,
+    default: 'general',
+    trim: true
+  },
+
+  lue: {
+    type: Boolean,
+    default: false
+  },
+  dateLecture: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ destinataireId: 1, lue: 1, createdAt: -1 });
+NotificationSchema.index({ destinataireId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -188,7 +188,15 @@ const paiementSchema = new mongoose.Schema({
       min: 0,
       comment: 'Montant bloqué en attente de validation du trajet'
     },
+    // Séquestre des gains d'une course payée via l'opérateur
+    statutSequestre: {
+      type: String,
+      enum: ['AUCUN', 'BLOQUE', 'LIBERE', 'REMBOURSE'],
+      default: 'AUCUN'
+    },
+    // Fin du délai de contestation, fixée à la fin du trajet ou à la prise en charge
     dateDeblocage: Date,
+    dateLiberation: Date,
     raisonBlocage: String,
     transactionBlocageId: String
   },
@@ -212,7 +220,19 @@ const paiementSchema = new mongoose.Schema({
   repartitionFrais: {
     peages: { type: Number, default: 0, min: 0 },
     carburant: { type: Number, default: 0, min: 0 },
-    usureVehicule: { type: Number, default: 0, min: 0 }
+    usureVehicule: { type: Number, default: 0, min: 0 },
+    // Réductions non payées par le passager, à la charge de la plateforme :
+    // code promo (compte PROMOTIONS) et crédit de parrainage (CREDIT_PROMOTIONNEL)
+    reductionPlateforme: { type: Number, default: 0, min: 0 },
+    creditPassager: { type: Number, default: 0, min: 0 }
+  },
+
+  // ===== PARTAGE DU PRIX =====
+  // Paiement d'une réservation au prix partagé : part d'un co-passager
+  // (Reservation.partage.parts) ou, sans partId, solde du titulaire
+  partage: {
+    reservationPartagee: { type: Boolean, default: false },
+    partId: { type: mongoose.Schema.Types.ObjectId, default: null }
   },
 
   // ===== STATUT =====
@@ -235,6 +255,17 @@ const paiementSchema = new mongoose.Schema({
   numeroRecu: { type: String, sparse: true, unique: true },
   urlRecu: { type: String },
 
+  // ===== REMBOURSEMENT =====
+  remboursement: {
+    montant: { type: Number, min: 0 },
+    motif: { type: String, maxlength: 500 },
+    dateRemboursement: Date,
+    effectuePar: { type: mongoose.Schema.Types.ObjectId, ref: 'Administrateur' },
+    // Politique d'annulation appliquée et dédommagement versé par le conducteur
+    politique: { type: String, enum: ['FLEXIBLE', 'MODEREE', 'STRICTE'] },
+    compensation: { type: Number, min: 0, default: 0 }
+  },
+
   // ===== TRAÇABILITÉ =====
   historiqueStatuts: [{
     ancienStatut: String,
@@ -262,6 +293,24 @@ const paiementSchema = new mongoose.Schema({
     }
   },
 
+  // ===== FOURNISSEUR DE PAIEMENT =====
+  // Fournisseur qui a pris en charge la transaction (routage par opérateur,
+  // bascule sur le suivant en cas de panne) : la vérification du statut et le
+  // remboursement passent par lui. Absent sur les paiements antérieurs : CinetPay.
+  fournisseurPaiement: {
+    nom: { type: String, enum: ['cinetpay', 'wave', 'orange', 'sandbox'] },
+    transactionId: String,
+    // Jeton de session fournisseur (vérification de statut, authentification des notifications)
+    jeton: { type: String, select: false },
+    jetonNotification: { type: String, select: false },
+    tentatives: [{
+      _id: false,
+      nom: String,
+      erreur: String,
+      date: { type: Date, default: Date.now }
+    }]
+  },
+
   // ===== SÉCURITÉ =====
   securite: {
     empreinteTransaction: { type: String, unique: true,
@@ -316,6 +365,7 @@ paiementSchema.index({ statutPaiement: 1, dateInitiation: -1 });
 paiementSchema.index({ methodePaiement: 1, statutPaiement: 1 });
 paiementSchema.index({ 'commission.statutPrelevement': 1 });
 paiementSchema.index({ 'reglesPaiement.soldeSuffisant': 1 }); // 🆕
+paiementSchema.index({ 'portefeuilleConducteur.statutSequestre': 1, 'portefeuilleConducteur.dateDeblocage': 1 });
 
 // ===== PROPRIÉTÉS VIRTUELLES =====
 paiementSchema.virtual('estComplete').get(function() {
@@ -327,12 +377,17 @@ paiementSchema.virtual('estPaiementMobile').get(function() {
 });
 
 paiementSchema.virtual('montantNetConducteur').get(function() {
-  return this.montantTotal - this.commission.montant - this.fraisTransaction + 
+  return this.montantAvantReduction - this.commission.montant - this.fraisTransaction + 
          (this.bonus.bonusRecharge || 0) + (this.bonus.primePerformance || 0);
 });
 
+// Prix de la course avant réductions : base de la commission et des gains du conducteur
+paiementSchema.virtual('montantAvantReduction').get(function() {
+  return this.montantTotal + (this.repartitionFrais?.reductionPlateforme || 0) + (this.repartitionFrais?.creditPassager || 0);
+});
+
 paiementSchema.virtual('tauxCommissionReel').get(function() {
-  return this.montantTotal > 0 ? (this.commission.montant / this.montantTotal) : 0;
+  return this.montantAvantReduction > 0 ? (this.commission.montant / this.montantAvantReduction) : 0;
 });
 
 // ===== 🆕 MÉTHODES AMÉLIORÉES =====
@@ -364,10 +419,10 @@ paiementSchema.methods.calculerCommissionDynamique = async function(distanceKm,
   this.commission.tauxOriginal = tauxBase;
   this.commission.reductionAppliquee = reductionNote;
   this.commission.taux = tauxBase - reductionNote;
-  this.commission.montant = Math.round(this.montantTotal * this.commission.taux);
+  this.commission.montant = Math.round(this.montantAvantReduction * this.commission.taux);
   
   this.commissionPlateforme = this.commission.montant;
-  this.montantConducteur = this.montantTotal - this.commission.montant - this.fraisTransaction;
+  this.montantConducteur = this.montantAvantReduction - this.commission.montant - this.fraisTransaction;
   
   this.ajouterLog('COMMISSION_DYNAMIQUE_CALCULEE', {
     distance: distanceKm,
@@ -560,26 +615,20 @@ paiementSchema.methods.traiterCommissionApresPayement = async function() {
       modePrelevement: this.commission.modePrelevement
     });
 
-    // ── Vérifier que les méthodes existent sur Utilisateur
-    if (typeof conducteur.preleverCommission !== 'function') {
-      console.error('❌ Méthode preleverCommission inexistante sur Utilisateur');
-      this.commission.statutPrelevement = 'echec';
-      this.ajouterErreur('METHODE_MANQUANTE', 'preleverCommission non définie sur Utilisateur');
-      await this.save();
-      return;
-    }
-
-    if (typeof conducteur.crediterGains !== 'function') {
-      console.error('❌ Méthode crediterGains inexistante sur Utilisateur');
+    const modeConnu = ['compte_recharge', 'paiement_mobile'].includes(this.commission.modePrelevement);
+    if (!modeConnu) {
+      console.error('❌ Mode de prélèvement inconnu', {
+        modePrelevement: this.commission.modePrelevement
+      });
       this.commission.statutPrelevement = 'echec';
-      this.ajouterErreur('METHODE_MANQUANTE', 'crediterGains non définie sur Utilisateur');
+      this.ajouterErreur('MODE_PRELEVEMENT_INCONNU',
+        `Mode inconnu : ${this.commission.modePrelevement}`
+      );
       await this.save();
       return;
     }
 
-    // ── Traitement selon le mode de prélèvement
     if (this.commission.modePrelevement === 'compte_recharge') {
-
       // Vérifier solde suffisant
       if (conducteur.compteCovoiturage.solde < this.commission.montant) {
         console.error('❌ Solde insuffisant pour commission', {
@@ -596,58 +645,52 @@ paiementSchema.methods.traiterCommissionApresPayement = async function() {
 
       // Enregistrer solde avant
       this.reglesPaiement.soldeConducteurAvant = conducteur.compteCovoiturage.solde;
+    }
 
-      // Prélever commission
-      await conducteur.preleverCommission(
-        this.commission.montant,
-        this.reservationId,
-        this._id
-      );
+    // ── Comptabiliser commission et gains en une seule écriture du grand livre
+    const grandLivreService = require('../services/grandLivreService');
+
+    // ── Course payée via l'opérateur : gains séquestrés jusqu'à la fin du trajet
+    if (grandLivreService.doitSequestrer(this)) {
+      this.bloquerMontantPortefeuille(this.montantConducteur, 'SEQUESTRE_TRAJET');
+      await this.save();
+    }
+
+    const { ecriture, soldePortefeuille } = await grandLivreService.comptabiliserPaiement(this);
+
+    if (this.commission.modePrelevement === 'compte_recharge') {
       console.log('✅ Commission prélevée du compte rechargé', {
         montant: this.commission.montant
       });
 
       // Enregistrer solde après
-      const conducteurMisAJour = await Utilisateur.findById(this.beneficiaireId);
-      this.reglesPaiement.soldeConducteurApres = conducteurMisAJour.compteCovoiturage.solde;
+      if (soldePortefeuille !== undefined) {
+        this.reglesPaiement.soldeConducteurApres = soldePortefeuille;
+      }
 
       this.ajouterLog('COMMISSION_PRELEVEE_COMPTE', {
         montant:    this.commission.montant,
         soldeAvant: this.reglesPaiement.soldeConducteurAvant,
         soldeApres: this.reglesPaiement.soldeConducteurApres
       });
-
-    } else if (this.commission.modePrelevement === 'paiement_mobile') {
-
+    } else {
       // ✅ Pour paiement mobile : commission déjà incluse dans le paiement CinetPay
-      // On logue simplement — pas de prélèvement supplémentaire
       console.log('✅ Mode paiement_mobile — commission incluse dans le paiement CinetPay');
       this.ajouterLog('COMMISSION_PRELEVEE_MOBILE', {
         montant:   this.commission.montant,
         operateur: this.mobileMoney?.operateur || 'CinetPay'
       });
-
-    } else {
-      console.error('❌ Mode de prélèvement inconnu', {
-        modePrelevement: this.commission.modePrelevement
-      });
-      this.commission.statutPrelevement = 'echec';
-      this.ajouterErreur('MODE_PRELEVEMENT_INCONNU',
-        `Mode inconnu : ${this.commission.modePrelevement}`
-      );
-      await this.save();
-      return;
     }
 
-    // ── Créditer les gains au conducteur
-    await conducteur.crediterGains(
-      this.montantConducteur,
-      this.reservationId,
-      this._id
-    );
-    console.log('✅ Gains crédités au conducteur', {
+    console.log(this.portefeuilleConducteur.statutSequestre === 'BLOQUE'
+      ? '🔒 Gains séquestrés jusqu\'à la fin du trajet'
+      : '✅ Gains crédités au conducteur', {
       montant: this.montantConducteur
     });
+    this.ajouterLog('ECRITURE_GRAND_LIVRE', {
+      ecritureId: ecriture._id,
+      reference:  ecriture.reference
+    });
 
     // ── Marquer comme traité
     this.commission.statutPrelevement = 'preleve';
@@ -712,9 +755,10 @@ paiementSchema.methods.appliquerPrimePerformance = function(noteMoyenne, nombreT
   return this.bonus.primePerformance;
 };
 
-// 🆕 Bloquer montant dans portefeuille
-paiementSchema.methods.bloquerMontantPortefeuille = async function(montant, raison) {
+// 🆕 Bloquer montant dans portefeuille (séquestre jusqu'à la fin du trajet)
+paiementSchema.methods.bloquerMontantPortefeuille = function(montant, raison) {
   this.portefeuilleConducteur.soldeBloque = montant;
+  this.portefeuilleConducteur.statutSequestre = 'BLOQUE';
   this.portefeuilleConducteur.raisonBlocage = raison;
   this.portefeuilleConducteur.transactionBlocageId = this.referenceTransaction;
   
@@ -724,21 +768,24 @@ paiementSchema.methods.bloquerMontantPortefeuille = async function(montant, rais
     dateDeblocage: this.portefeuilleConducteur.dateDeblocage
   });
   
-  return this.save();
+  return this;
 };
 
-// 🆕 Débloquer montant dans portefeuille
-paiementSchema.methods.debloquerMontantPortefeuille = async function() {
+// 🆕 Débloquer montant dans portefeuille : versé au conducteur (LIBERE) ou rendu au passager (REMBOURSE)
+paiementSchema.methods.debloquerMontantPortefeuille = function(issue = 'LIBERE', source = 'SYSTEM') {
   const montantDebloque = this.portefeuilleConducteur.soldeBloque;
   this.portefeuilleConducteur.soldeBloque = 0;
+  this.portefeuilleConducteur.statutSequestre = issue;
+  this.portefeuilleConducteur.dateLiberation = new Date();
   this.portefeuilleConducteur.raisonBlocage = null;
   this.portefeuilleConducteur.transactionBlocageId = null;
   
   this.ajouterLog('MONTANT_DEBLOQUE', {
-    montant: montantDebloque
-  });
+    montant: montantDebloque,
+    issue
+  }, source);
   
-  return this.save();
+  return this;
 };
 
 // Autres méthodes existantes...
@@ -792,7 +839,7 @@ paiementSchema.methods.traiterCallbackMobile = function(donneesCallback) {
 
 paiementSchema.methods.peutChangerStatut = function(nouveauStatut) {
   const transitionsValides = {
-    'EN_ATTENTE': ['TRAITE', 'ECHEC', 'REMBOURSE', 'BLOQUE'],
+    'EN_ATTENTE': ['TRAITE', 'COMPLETE', 'ECHEC', 'REMBOURSE', 'BLOQUE'],
     'TRAITE': ['COMPLETE', 'ECHEC', 'REMBOURSE'],
     'COMPLETE': ['REMBOURSE'],
     'ECHEC': ['EN_ATTENTE'],
@@ -803,6 +850,32 @@ paiementSchema.methods.peutChangerStatut = function(nouveauStatut) {
   return transitionsValides[this.statutPaiement]?.includes(nouveauStatut) || false;
 };
 
+/**
+ * Applique un changement de statut s'il est autorisé par peutChangerStatut.
+ * Un doublon (même statut) ou une transition interdite ne modifie rien et
+ * laisse une trace TRANSITION_IGNOREE dans les logs de la transaction.
+ * @returns {boolean} true si le statut a changé
+ */
+paiementSchema.methods.changerStatut = function(nouveauStatut, details = {}, source = 'SYSTEM') {
+  if (!this.peutChangerStatut(nouveauStatut)) {
+    this.ajouterLog('TRANSITION_IGNOREE', {
+      statutActuel: this.statutPaiement,
+      statutDemande: nouveauStatut,
+      raison: this.statutPaiement === nouveauStatut ? 'DOUBLON' : 'TRANSITION_INTERDITE',
+      ...details
+    }, source, 'WARNING');
+    return false;
+  }
+
+  const ancienStatut = this.statutPaiement;
+  this.statutPaiement = nouveauStatut;
+  if (nouveauStatut === 'COMPLETE' && !this.dateCompletion) {
+    this.dateCompletion = new Date();
+  }
+  this.ajouterLog('CHANGEMENT_STATUT', { de: ancienStatut, vers: nouveauStatut, ...details }, source);
+  return true;
+};
+
 paiementSchema.methods.ajouterLog = function(action, details, source = 'SYSTEM', niveau = 'INFO') {
   this.logsTransaction.push({
     date: new Date(),
@@ -838,6 +911,7 @@ paiementSchema.methods.obtenirResume = function() {
     id: this._id,
     referenceTransaction: this.referenceTransaction,
     montantTotal: this.montantTotal,
+    montantAvantReduction: this.montantAvantReduction,
     montantConducteur: this.montantConducteur,
     commission: {
       montant: this.commission.montant,
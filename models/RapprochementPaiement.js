@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * 🧾 Modèle RapprochementPaiement
+ * Résultat d'un passage de rapprochement avec le fournisseur de paiement :
+ * chaque paiement ou recharge non finalisé contrôlé y a sa ligne, avec le
+ * statut avant/après et l'éventuel écart de montant. Sert de source aux
+ * exports CSV/XLSX de l'administration.
+ */
+
+const ACTIONS = ['CORRIGE', 'EXPIRE', 'INCHANGE', 'ERREUR'];
+
+const LigneRapprochementSchema = new mongoose.Schema({
+  paiementId: { type: mongoose.Schema.Types.ObjectId, ref: 'Paiement' },
+  referenceTransaction: String,
+  type: { type: String, enum: ['PAIEMENT', 'RECHARGE'] },
+  methodePaiement: String,
+  dateInitiation: Date,
+  montantAttendu: Number,
+  montantFournisseur: { type: Number, default: null },
+  statutAvant: String,
+  statutApres: String,
+  codeFournisseur: { type: Number, default: null },
+  statutFournisseur: String,
+  action: { type: String, enum: ACTIONS },
+  // Montant CinetPay différent du montant attendu (signalé, non corrigé)
+  ecartMontant: { type: Boolean, default: false },
+  message: String
+}, { _id: false });
+
+const RapprochementPaiementSchema = new mongoose.Schema({
+
+  fournisseur: {
+    type: String,
+    required: true
+  },
+
+  declenchement: {
+    type: String,
+    enum: ['AUTOMATIQUE', 'MANUEL'],
+    default: 'AUTOMATIQUE'
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Administrateur',
+    default: null
+  },
+
+  statut: {
+    type: String,
+    enum: ['EN_COURS', 'TERMINE', 'ECHOUE'],
+    default: 'EN_COURS',
+    index: true
+  },
+
+  // Paiements initiés dans cette fenêtre
+  periode: {
+    debut: Date,
+    fin: Date
+  },
+
+  statistiques: {
+    controles: { type: Number, default: 0 },
+    corriges: { type: Number, default: 0 },
+    expires: { type: Number, default: 0 },
+    ecartsMontant: { type: Number, default: 0 },
+    inchanges: { type: Number, default: 0 },
+    erreurs: { type: Number, default: 0 }
+  },
+
+  // Plus de paiements à contrôler que la limite d'un passage
+  tronque: {
+    type: Boolean,
+    default: false
+  },
+
+  lignes: [LigneRapprochementSchema],
+
+  dateFin: Date,
+  messageErreur: String
+
+}, {
+  timestamps: true
+});
+
+RapprochementPaiementSchema.index({ createdAt: -1 });
+
+RapprochementPaiementSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('RapprochementPaiement', RapprochementPaiementSchema);
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📦 Modèle RechercheSauvegardee
+ * Critères de recherche enregistrés par un passager pour être alerté
+ * dès qu'un trajet correspondant est publié ou libère des places
+ */
+
+// Nombre max d'alertes envoyées par recherche et par jour
+const MAX_ALERTES_PAR_JOUR = 3;
+// Trajets déjà signalés conservés (évite de réalerter pour le même trajet)
+const MAX_TRAJETS_NOTIFIES = 100;
+
+const LieuSchema = new mongoose.Schema({
+  adresse: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  commune: {
+    type: String,
+    trim: true
+  },
+  coordonnees: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function(coords) {
+          return coords.length === 2 &&
+            coords[0] >= -180 && coords[0] <= 180 &&
+            coords[1] >= -90 && coords[1] <= 90;
+        },
+        message: 'Coordonnées invalides [longitude, latitude]'
+      }
+    }
+  }
+}, { _id: false });
+
+const RechercheSauvegardeeSchema = new mongoose.Schema({
+
+  // ─── Passager ──────────────────────────────────────────────────
+  passagerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'Le passager est requis'],
+    index: true
+  },
+
+  libelle: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // ─── Critères ──────────────────────────────────────────────────
+  depart: {
+    type: LieuSchema,
+    required: [true, 'Le point de départ est requis']
+  },
+  arrivee: {
+    type: LieuSchema,
+    required: [true, 'Le point d\'arrivée est requis']
+  },
+
+  // Rayon autour de la montée et de la descente souhaitées (km)
+  rayonKm: {
+    type: Number,
+    min: [0.5, 'Le rayon minimum est de 0.5 km'],
+    max: [50, 'Le rayon maximum est de 50 km'],
+    default: 2
+  },
+
+  // Fenêtre de départ acceptée
+  dateDebut: {
+    type: Date,
+    required: [true, 'La date de début est requise']
+  },
+  dateFin: {
+    type: Date,
+    required: [true, 'La date de fin est requise'],
+    validate: {
+      validator: function(date) {
+        return !this.dateDebut || date >= this.dateDebut;
+      },
+      message: 'La date de fin doit être postérieure à la date de début'
+    }
+  },
+
+  prixMax: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  nombrePlaces: {
+    type: Number,
+    min: 1,
+    max: 8,
+    default: 1
+  },
+
+  // ─── Cycle de vie ──────────────────────────────────────────────
+  // EXPIREE : fenêtre de départ dépassée (job automatique)
+  statut: {
+    type: String,
+    enum: ['ACTIVE', 'EXPIREE'],
+    default: 'ACTIVE'
+  },
+
+  // ─── Alertes envoyées ──────────────────────────────────────────
+  alertes: {
+    jour: {
+      type: String,    // AAAA-MM-JJ (UTC) du compteur courant
+      default: null
+    },
+    nombreDuJour: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    dernierEnvoi: {
+      type: Date,
+      default: null
+    }
+  },
+  trajetsNotifies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trajet'
+  }]
+
+}, {
+  timestamps: true
+});
+
+// ─── Index ────────────────────────────────────────────────────────
+RechercheSauvegardeeSchema.index({ statut: 1, dateDebut: 1, dateFin: 1 });
+RechercheSauvegardeeSchema.index({ passagerId: 1, statut: 1 });
+
+// ─── Méthodes statiques ───────────────────────────────────────────
+
+/**
+ * Réserve atomiquement une alerte pour un trajet :
+ * - refuse si le trajet a déjà été signalé pour cette recherche
+ * - refuse si la limite quotidienne est atteinte
+ * @returns {Promise<boolean>} - true si l'alerte peut être envoyée
+ */
+RechercheSauvegardeeSchema.statics.reserverAlerte = async function(rechercheId, trajetId, maintenant = new Date()) {
+  const jour = maintenant.toISOString().slice(0, 10);
+  const ajoutTrajet = { trajetsNotifies: { $each: [trajetId], $slice: -MAX_TRAJETS_NOTIFIES } };
+
+  // Premier envoi de la journée : réinitialiser le compteur
+  const nouveauJour = await this.updateOne(
+    { _id: rechercheId, trajetsNotifies: { $ne: trajetId }, 'alertes.jour': { $ne: jour } },
+    {
+      $set: { 'alertes.jour': jour, 'alertes.nombreDuJour': 1, 'alertes.dernierEnvoi': maintenant },
+      $inc: { 'alertes.total': 1 },
+      $push: ajoutTrajet
+    }
+  );
+  if (nouveauJour.modifiedCount > 0) return true;
+
+  const memeJour = await this.updateOne(
+    {
+      _id: rechercheId,
+      trajetsNotifies: { $ne: trajetId },
+      'alertes.jour': jour,
+      'alertes.nombreDuJour': { $lt: MAX_ALERTES_PAR_JOUR }
+    },
+    {
+      $set: { 'alertes.dernierEnvoi': maintenant },
+      $inc: { 'alertes.nombreDuJour': 1, 'alertes.total': 1 },
+      $push: ajoutTrajet
+    }
+  );
+  return memeJour.modifiedCount > 0;
+};
+
+/**
+ * Passe en EXPIREE les recherches dont la fenêtre est dépassée
+ * @returns {Promise<number>} - Nombre de recherches expirées
+ */
+RechercheSauvegardeeSchema.statics.expirerRecherches = async function(maintenant = new Date()) {
+  const resultat = await this.updateMany(
+    { statut: 'ACTIVE', dateFin: { $lt: maintenant } },
+    { $set: { statut: 'EXPIREE' } }
+  );
+  return resultat.modifiedCount;
+};
+
+RechercheSauvegardeeSchema.statics.MAX_ALERTES_PAR_JOUR = MAX_ALERTES_PAR_JOUR;
+
+module.exports = mongoose.model('RechercheSauvegardee', RechercheSauvegardeeSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * 🧾 Modèle Recu
+ * Reçu numéroté émis pour chaque paiement complété (course ou recharge).
+ * Le contenu est figé à l'émission et chaîné au reçu précédent : l'empreinte
+ * SHA-256 couvre la séquence, le numéro, le contenu et l'empreinte du reçu
+ * précédent. Modifier, supprimer ou insérer un reçu casse la chaîne.
+ */
+
+// Empreinte « précédente » du tout premier reçu
+const EMPREINTE_ORIGINE = '0'.repeat(64);
+
+const RecuSchema = new mongoose.Schema({
+
+  // Numéro affiché (RC-AAAA-000001)
+  numero: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Séquence globale sans trou : l'index unique arbitre les émissions concurrentes
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  paiementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Paiement',
+    required: true,
+    unique: true
+  },
+  payeurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: true,
+    index: true
+  },
+  beneficiaireId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['COURSE', 'RECHARGE'],
+    required: true
+  },
+  montant: {
+    type: Number,
+    required: true
+  },
+
+  // Instantané du paiement au moment de l'émission (dates en ISO)
+  contenu: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  empreinte: {
+    type: String,
+    required: true
+  },
+  empreintePrecedente: {
+    type: String,
+    required: true
+  },
+
+  dateEmission: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+RecuSchema.index({ payeurId: 1, dateEmission: -1 });
+
+RecuSchema.statics.EMPREINTE_ORIGINE = EMPREINTE_ORIGINE;
+
+module.exports = mongoose.model('Recu', RecuSchema);
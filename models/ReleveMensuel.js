@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📊 Modèle ReleveMensuel
+ * Trace de l'envoi par email du relevé mensuel d'un conducteur : une seule
+ * entrée par conducteur et par mois, réservée avant l'envoi pour qu'un
+ * redémarrage ou un second serveur n'envoie pas le relevé deux fois.
+ */
+
+const ReleveMensuelSchema = new mongoose.Schema({
+
+  conducteurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: true
+  },
+
+  // Mois couvert (AAAA-MM)
+  periode: {
+    type: String,
+    required: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/
+  },
+
+  statut: {
+    type: String,
+    enum: ['EN_COURS', 'ENVOYE', 'ECHOUE'],
+    default: 'EN_COURS'
+  },
+
+  totaux: {
+    trajets: { type: Number, default: 0 },
+    courses: { type: Number, default: 0 },
+    montantBrut: { type: Number, default: 0 },
+    commissions: { type: Number, default: 0 },
+    fraisTransaction: { type: Number, default: 0 },
+    montantNet: { type: Number, default: 0 },
+    retraits: { type: Number, default: 0 },
+    nombreRetraits: { type: Number, default: 0 }
+  },
+
+  dateEnvoi: Date,
+  messageErreur: String
+
+}, {
+  timestamps: true
+});
+
+ReleveMensuelSchema.index({ conducteurId: 1, periode: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReleveMensuel', ReleveMensuelSchema);
@@ -141,6 +141,44 @@ const FraisSupplementaireSchema = new Schema({
   }
 }, { _id: false });
 
+// Supplément de détour proposé au conducteur (prise en charge hors itinéraire)
+const SupplementDetourSchema = new Schema({
+  statut: {
+    type: String,
+    enum: ['AUCUN', 'PROPOSE', 'ACCEPTE', 'REFUSE'],
+    default: 'AUCUN'
+  },
+  kmAjoutes: { type: Number, default: 0, min: 0 },
+  minutesAjoutees: { type: Number, default: 0, min: 0 },
+  montantSuggere: { type: Number, default: 0, min: 0 },
+  montantApplique: { type: Number, default: 0, min: 0 },
+  provider: { type: String },
+  dateCalcul: { type: Date },
+  dateDecision: { type: Date }
+}, { _id: false });
+
+// Part d'un co-passager invité à partager le prix de la réservation
+const PartPassagerSchema = new Schema({
+  telephone: { type: String, required: true, trim: true },
+  nom: { type: String, trim: true, maxlength: 100 },
+  // Renseigné si le numéro correspond à un compte existant
+  utilisateurId: { type: Schema.Types.ObjectId, ref: 'Utilisateur', default: null },
+  nombrePlaces: { type: Number, min: 1, default: 1 },
+  montant: { type: Number, required: true, min: 0 },
+  // Quote-part de la réduction du code promo (financée par la plateforme)
+  reductionPlateforme: { type: Number, min: 0, default: 0 },
+  statut: {
+    type: String,
+    enum: ['INVITEE', 'PAYEE', 'COUVERTE', 'ANNULEE'],
+    default: 'INVITEE'
+  },
+  // Jeton du lien de paiement envoyé par SMS
+  jeton: { type: String, select: false },
+  paiementId: { type: Schema.Types.ObjectId, ref: 'Paiement' },
+  dateInvitation: { type: Date, default: Date.now },
+  datePaiement: Date
+});
+
 // 🆕 Schéma pour les critères d'évaluation
 const CriteresEvaluationSchema = new Schema({
   ponctualite: { type: Number, min: 1, max: 5 },
@@ -207,6 +245,30 @@ const ReservationSchema = new Schema({
     required: true
   },
 
+  // Tronçon réservé (index dans Trajet.obtenirArretsOrdonnes:
+  // 0 = départ, arrêts intermédiaires, dernier = arrivée).
+  // Absents = trajet complet (réservations antérieures aux segments).
+  indexMontee: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'L\'index de montée doit être un entier'
+    }
+  },
+  indexDescente: {
+    type: Number,
+    min: 1,
+    default: null,
+    validate: {
+      validator: function(index) {
+        return index === null || (Number.isInteger(index) && index > (this.indexMontee || 0));
+      },
+      message: 'L\'arrêt de descente doit se situer après l\'arrêt de montée'
+    }
+  },
+
   // Statut de la réservation
   statutReservation: {
     type: String,
@@ -228,6 +290,23 @@ const ReservationSchema = new Schema({
     maxlength: 500
   },
 
+  // Règlement de l'annulation selon la politique du trajet (services/politiqueAnnulationService)
+  annulation: {
+    type: {
+      type: String,
+      enum: ['PASSAGER', 'ABSENCE_PASSAGER', 'CONDUCTEUR']
+    },
+    date: Date,
+    constateePar: { type: Schema.Types.ObjectId, ref: 'Utilisateur' },
+    politique: { type: String, enum: ['FLEXIBLE', 'MODEREE', 'STRICTE'] },
+    heuresAvantDepart: Number,
+    tauxRemboursement: { type: Number, min: 0, max: 1 },
+    montantBase: { type: Number, min: 0 },
+    montantRembourse: { type: Number, min: 0 },
+    fraisAnnulation: { type: Number, min: 0 },
+    compensation: { type: Number, min: 0, default: 0 }
+  },
+
   // Paiement
   montantTotal: {
     type: Number,
@@ -240,6 +319,30 @@ const ReservationSchema = new Schema({
       message: 'Le montant doit être un nombre positif'
     }
   },
+  // Réduction financée par la plateforme (montantTotal = montant dû par le passager)
+  promotion: {
+    codePromoId: { type: Schema.Types.ObjectId, ref: 'CodePromo' },
+    code: String,
+    montantAvantReduction: { type: Number, min: 0 },
+    // Part du code promo
+    reduction: { type: Number, min: 0, default: 0 },
+    // Part prise sur le crédit promotionnel du passager (parrainage)
+    creditUtilise: { type: Number, min: 0, default: 0 }
+  },
+  // Partage du prix avec des co-passagers : la réservation reste en attente de
+  // paiement jusqu'au règlement de toutes les parts ou leur prise en charge
+  // par le titulaire avant dateLimite
+  partage: {
+    actif: { type: Boolean, default: false },
+    dateLimite: Date,
+    dateCouverture: Date,
+    parts: { type: [PartPassagerSchema], default: undefined }
+  },
+  // Supplément de détour (ajouté à montantTotal si le conducteur l'accepte)
+  supplementDetour: {
+    type: SupplementDetourSchema,
+    default: () => ({})
+  },
   // 🆕  Répartition financière automatique (500F)
   repartitionFinanciere: {
     fraisServiceParPassager: { type: Number, default: 500 },
@@ -425,6 +528,8 @@ ReservationSchema.index({ statutReservation: 1, dateReservation: -1 });
 ReservationSchema.index({ passagerId: 1, statutReservation: 1 });
 ReservationSchema.index({ 'pointPriseEnCharge.coordonnees': '2dsphere' });
 ReservationSchema.index({ 'pointDepose.coordonnees': '2dsphere' });
+ReservationSchema.index({ 'partage.parts.jeton': 1 }, { unique: true, sparse: true });
+ReservationSchema.index({ 'partage.actif': 1, 'partage.dateLimite': 1 });
 
 // Middleware pré-sauvegarde
 ReservationSchema.pre('save', function(next) {
@@ -851,25 +956,22 @@ ReservationSchema.methods.peutEtreAnnulee = function() {
   return ['EN_ATTENTE', 'CONFIRMEE'].includes(this.statutReservation);
 };
 
-// Calculer le montant du remboursement selon la politique
-ReservationSchema.methods.calculerRemboursement = function(trajetDateDepart) {
+// Calculer le montant du remboursement selon la politique d'annulation du trajet
+// (trajet peuplé ou date de départ seule : politique par défaut)
+ReservationSchema.methods.calculerRemboursement = function(trajet, maintenant = new Date()) {
   if (!this.peutEtreAnnulee() || this.statutPaiement !== 'PAYE') {
     return 0;
   }
 
-  const maintenant = new Date();
-  const heuresAvantDepart = (trajetDateDepart - maintenant) / (1000 * 60 * 60);
-  
-  // Politique de remboursement
-  if (heuresAvantDepart >= 24) {
-    return this.montantTotal * 0.9; // 90% de remboursement
-  } else if (heuresAvantDepart >= 12) {
-    return this.montantTotal * 0.7; // 70% de remboursement
-  } else if (heuresAvantDepart >= 2) {
-    return this.montantTotal * 0.5; // 50% de remboursement
-  } else {
-    return 0; // Pas de remboursement
-  }
+  const politiqueAnnulationService = require('../services/politiqueAnnulationService');
+  const { dateDepart, politiqueAnnulation } = trajet instanceof Date ? { dateDepart: trajet } : trajet;
+
+  return politiqueAnnulationService.calculerAnnulationPassager({
+    politique: politiqueAnnulation,
+    dateDepart,
+    montant: this.montantTotal,
+    maintenant
+  }).montantRembourse;
 };
 /**
  * Effectuer le remboursement d'une réservation annulée
@@ -1301,7 +1403,7 @@ ReservationSchema.statics.obtenirReservationsUtilisateur = async function(userId
   const reservationsAvecTrajet = await this.find(query)
     .populate({
       path: 'trajetId',
-      select: 'pointDepart pointArrivee dateDepart heureDepart distance conducteurId statutTrajet',
+      select: 'pointDepart pointArrivee dateDepart heureDepart dureeEstimee distance conducteurId statutTrajet vehiculeUtilise',
       populate: {
         path: 'conducteurId',
         select: 'nom prenom photoProfil telephone noteGenerale'
@@ -1364,34 +1466,89 @@ ReservationSchema.statics.obtenirReservationsTrajet = function(trajetId) {
 };
 
 // Vérifier la disponibilité des places
-ReservationSchema.statics.verifierDisponibilite = async function(trajetId, nombrePlaces) {
-  const reservationsConfirmees = await this.aggregate([
-    {
-      $match: {
-        trajetId: new mongoose.Types.ObjectId(trajetId),
-        statutReservation: { $in: ['CONFIRMEE', 'EN_ATTENTE'] }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalPlacesReservees: { $sum: '$nombrePlacesReservees' }
-      }
-    }
-  ]);
+// options.exclureListeAttenteId : ignorer les places retenues par cette inscription
+ReservationSchema.statics.verifierDisponibilite = async function(trajetId, nombrePlaces, indexMontee = null, indexDescente = null, options = {}) {
+  const segmentService = require('../services/segmentService');
 
-  const trajet = await mongoose.model('Trajet').findById(trajetId);
-  if (!trajet) throw new Error('Trajet non trouvé');
+  const { arrets, occupation, placesTotal } = await this.calculerDisponibiliteSegments(trajetId, null, options);
+  const troncon = segmentService.normaliserIndex(indexMontee, indexDescente, arrets.length);
 
-  const placesReservees = reservationsConfirmees[0]?.totalPlacesReservees || 0;
-  const placesDisponibles = trajet.nombrePlacesTotal - placesReservees;
+  const placesDisponibles = segmentService.placesDisponiblesEntre(
+    occupation, placesTotal, troncon.indexMontee, troncon.indexDescente
+  );
 
   return {
     disponible: placesDisponibles >= nombrePlaces,
     placesDisponibles,
-    placesReservees
+    placesReservees: placesTotal - placesDisponibles,
+    indexMontee: troncon.indexMontee,
+    indexDescente: troncon.indexDescente
+  };
+};
+
+/**
+ * Occupation des places par segment d'un trajet
+ * (réservations EN_ATTENTE et CONFIRMEE, places retenues par la liste d'attente)
+ */
+ReservationSchema.statics.calculerDisponibiliteSegments = async function(trajetId, trajetCharge = null, options = {}) {
+  const segmentService = require('../services/segmentService');
+  const Trajet = mongoose.model('Trajet');
+  const ListeAttente = require('./ListeAttente');
+
+  const trajet = trajetCharge || await Trajet.findById(trajetId).lean();
+  if (!trajet) throw new Error('Trajet non trouvé');
+
+  const reservations = await this.find({
+    trajetId: trajet._id,
+    statutReservation: { $in: ['CONFIRMEE', 'EN_ATTENTE'] }
+  }).select('nombrePlacesReservees indexMontee indexDescente').lean();
+  const placesRetenues = await ListeAttente.obtenirPlacesRetenues(trajet._id, {
+    exclureId: options.exclureListeAttenteId
+  });
+
+  const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+  const occupation = segmentService.calculerOccupation(arrets.length, [...reservations, ...placesRetenues]);
+  const placesTotal = trajet.nombrePlacesTotal;
+
+  const segments = occupation.map((placesReservees, index) => ({
+    index,
+    de: arrets[index].nom,
+    vers: arrets[index + 1].nom,
+    distanceKm: parseFloat(
+      (arrets[index + 1].distanceDepuisDepartKm - arrets[index].distanceDepuisDepartKm).toFixed(2)
+    ),
+    placesReservees,
+    placesDisponibles: Math.max(0, placesTotal - placesReservees)
+  }));
+
+  return {
+    trajet,
+    placesTotal,
+    arrets,
+    segments,
+    occupation,
+    matrice: segmentService.construireMatrice(occupation, placesTotal)
   };
 };
 
+/**
+ * Recalculer Trajet.nombrePlacesDisponibles à partir des segments:
+ * places encore vendables sur au moins un tronçon.
+ */
+ReservationSchema.statics.synchroniserPlacesTrajet = async function(trajetId) {
+  const { trajet, segments } = await this.calculerDisponibiliteSegments(trajetId);
+
+  const nombrePlacesDisponibles = segments.length > 0
+    ? Math.max(...segments.map(s => s.placesDisponibles))
+    : trajet.nombrePlacesTotal;
+
+  await mongoose.model('Trajet').updateOne(
+    { _id: trajet._id },
+    { $set: { nombrePlacesDisponibles } }
+  );
+
+  return nombrePlacesDisponibles;
+};
+
 // Export du modèle
 module.exports = mongoose.model('Reservation', ReservationSchema);
\ No newline at end of file
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * 📦 Modèle Retrait
+ * Demande de retrait des gains d'un conducteur vers son numéro Mobile Money.
+ * Le montant est réservé dans le grand livre dès la demande ; il est réglé
+ * quand l'opérateur confirme le transfert, ou libéré en cas d'échec, de
+ * rejet par un administrateur ou d'annulation par le conducteur.
+ */
+
+const STATUTS_ACTIFS = ['EN_ATTENTE_APPROBATION', 'EN_COURS'];
+const STATUTS_FINAUX = ['REUSSI', 'ECHOUE', 'REJETE', 'ANNULE'];
+
+const RetraitSchema = new mongoose.Schema({
+
+  reference: {
+    type: String,
+    unique: true,
+    default: () => `RET-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+  },
+
+  conducteurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    required: [true, 'Le conducteur est requis'],
+    index: true
+  },
+
+  montant: {
+    type: Number,
+    required: [true, 'Le montant est requis'],
+    min: [1, 'Le montant doit être positif']
+  },
+
+  // ─── Destination (copiée des paramètres de retrait au moment de la demande)
+  numeroMobile: {
+    type: String,
+    required: [true, 'Le numéro de retrait est requis']
+  },
+  operateur: {
+    type: String,
+    enum: ['ORANGE', 'MTN', 'MOOV'],
+    required: [true, 'L\'opérateur est requis']
+  },
+  nomTitulaire: {
+    type: String,
+    trim: true
+  },
+
+  statut: {
+    type: String,
+    enum: [...STATUTS_ACTIFS, ...STATUTS_FINAUX],
+    default: 'EN_COURS',
+    index: true
+  },
+
+  // ─── Approbation administrateur (montants au-dessus du seuil)
+  approbation: {
+    requise: { type: Boolean, default: false },
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Administrateur' },
+    date: Date,
+    motifRejet: { type: String, maxlength: 500 }
+  },
+
+  // ─── Exécution par le fournisseur de transfert
+  fournisseur: {
+    type: String,
+    default: null
+  },
+  transactionFournisseurId: {
+    type: String,
+    default: null
+  },
+  dateExecution: Date,
+  dateFinalisation: Date,
+  messageFournisseur: String,
+
+  historique: [{
+    statut: String,
+    date: { type: Date, default: Date.now },
+    details: String
+  }]
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+RetraitSchema.index({ conducteurId: 1, createdAt: -1 });
+RetraitSchema.index({ statut: 1, createdAt: 1 });
+
+RetraitSchema.virtual('estFinal').get(function() {
+  return STATUTS_FINAUX.includes(this.statut);
+});
+
+RetraitSchema.methods.ajouterHistorique = function(statut, details) {
+  this.historique.push({ statut, date: new Date(), details });
+  if (this.historique.length > 20) {
+    this.historique = this.historique.slice(-20);
+  }
+};
+
+RetraitSchema.statics.STATUTS_ACTIFS = STATUTS_ACTIFS;
+RetraitSchema.statics.STATUTS_FINAUX = STATUTS_FINAUX;
+
+module.exports = mongoose.model('Retrait', RetraitSchema);
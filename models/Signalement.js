@@ -8,10 +8,21 @@ const signalementSchema = new mongoose.Schema({
   // =====================================================
   // RÉFÉRENCES
   // =====================================================
+  // Signalement déposé par un utilisateur ou ouvert par le filtre de la messagerie
+  origine: {
+    type: String,
+    enum: ['UTILISATEUR', 'FILTRE_AUTOMATIQUE'],
+    default: 'UTILISATEUR',
+    index: true
+  },
+
   signalantId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Utilisateur',
-    required: [true, 'L\'ID du signalant est requis'],
+    required: [
+      function() { return this.origine !== 'FILTRE_AUTOMATIQUE'; },
+      'L\'ID du signalant est requis'
+    ],
     index: true
   },
 
@@ -71,6 +82,7 @@ const signalementSchema = new mongoose.Schema({
         'PRIX_ABUSIFS',
         'ANNULATION_ABUSIVE',
         'FAUSSE_EVALUATION',
+        'CONTOURNEMENT_PLATEFORME',
         
         // SÉCURITÉ
         'CONDUITE_DANGEREUSE',
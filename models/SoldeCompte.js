@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { COMPTES } = require('./EcritureComptable');
+
+/**
+ * 💰 Modèle SoldeCompte
+ * Instantané du solde d'un compte du grand livre, mis à jour dans la même
+ * transaction que l'écriture qui le modifie. Le journal reste la source de
+ * vérité : un instantané peut toujours être recalculé depuis les écritures.
+ */
+const SoldeCompteSchema = new mongoose.Schema({
+
+  compte: {
+    type: String,
+    enum: Object.keys(COMPTES),
+    required: [true, 'Le compte est requis']
+  },
+
+  // Titulaire pour les comptes conducteur, null pour les comptes plateforme
+  utilisateurId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    default: null
+  },
+
+  // Solde dans le sens naturel du compte (voir COMPTES[compte].nature)
+  solde: {
+    type: Number,
+    default: 0
+  },
+
+  totalDebits: {
+    type: Number,
+    default: 0
+  },
+  totalCredits: {
+    type: Number,
+    default: 0
+  },
+
+  derniereEcritureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EcritureComptable',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+SoldeCompteSchema.index({ compte: 1, utilisateurId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SoldeCompte', SoldeCompteSchema);
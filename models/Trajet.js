@@ -109,13 +109,120 @@ const arretIntermediaireSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Schéma pour l'itinéraire routier (corridor de recherche)
+const itineraireSchema = new mongoose.Schema({
+  // Polyline encodée (format Google, précision 1e-5)
+  polyline: {
+    type: String
+  },
+  // Trace allégée indexée en 2dsphere pour la présélection des trajets
+  trace: {
+    type: {
+      type: String,
+      enum: ['LineString']
+    },
+    coordinates: {
+      type: [[Number]],
+      default: undefined
+    }
+  },
+  source: {
+    type: String,
+    enum: ['GOOGLE_DIRECTIONS', 'POINTS_DECLARES'],
+    default: 'POINTS_DECLARES'
+  },
+  distanceMetres: Number,
+  dureeSecondes: Number,
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const JOURS_SEMAINE = ['LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI', 'DIMANCHE'];
+const FORMAT_HEURE = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Horaire spécifique à un jour de la semaine (ex: départ 30 min plus tard le vendredi)
+const horaireJourSchema = new mongoose.Schema({
+  jour: {
+    type: String,
+    enum: JOURS_SEMAINE,
+    required: true
+  },
+  heureDepart: {
+    type: String,
+    required: true,
+    match: [FORMAT_HEURE, 'L\'heure doit être au format HH:MM (24h)']
+  }
+}, { _id: false });
+
+// Motif mensuel positionnel (ex: 1er lundi, dernier vendredi du mois)
+const positionMensuelleSchema = new mongoose.Schema({
+  rang: {
+    type: Number,
+    enum: [1, 2, 3, 4, -1], // -1 = dernier
+    required: true
+  },
+  jour: {
+    type: String,
+    enum: JOURS_SEMAINE,
+    required: true
+  }
+}, { _id: false });
+
+// Exception sur une occurrence (jour férié, congé, horaire décalé)
+const exceptionRecurrenceSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['ANNULEE', 'HORAIRE_MODIFIE'],
+    default: 'ANNULEE'
+  },
+  heureDepart: {
+    type: String,
+    match: [FORMAT_HEURE, 'L\'heure doit être au format HH:MM (24h)'],
+    required: function() {
+      return this.type === 'HORAIRE_MODIFIE';
+    }
+  },
+  motif: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
 // Schéma pour la récurrence
 const recurrenceSchema = new mongoose.Schema({
+  frequence: {
+    type: String,
+    enum: ['HEBDOMADAIRE', 'MENSUEL'],
+    default: 'HEBDOMADAIRE'
+  },
+  // HEBDOMADAIRE : jours concernés, toutes les N semaines (à partir de la semaine de dateDepart)
   jours: [{
     type: String,
-    enum: ['LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI', 'DIMANCHE'],
+    enum: JOURS_SEMAINE,
     required: true
   }],
+  intervalleSemaines: {
+    type: Number,
+    min: [1, 'L\'intervalle doit être d\'au moins 1 semaine'],
+    max: [52, 'L\'intervalle ne peut pas dépasser 52 semaines'],
+    default: 1
+  },
+  // MENSUEL : jours du mois (1-31) et/ou positions (1er lundi, dernier vendredi...)
+  joursDuMois: [{
+    type: Number,
+    min: 1,
+    max: 31
+  }],
+  positionsMensuelles: [positionMensuelleSchema],
+  horairesParJour: [horaireJourSchema],
+  exceptions: [exceptionRecurrenceSchema],
   dateFinRecurrence: {
     type: Date,
     validate: {
@@ -197,6 +304,27 @@ const preferencesSchema = new mongoose.Schema({
   climatisationActive: {
     type: Boolean,
     default: true
+  },
+
+  // Détour accepté pour aller chercher / déposer un passager hors itinéraire
+  // (null = pas de limite)
+  detourMaxKm: {
+    type: Number,
+    min: [0, 'Le détour maximum ne peut pas être négatif'],
+    max: [50, 'Le détour maximum ne peut pas dépasser 50 km'],
+    default: null
+  },
+  detourMaxMinutes: {
+    type: Number,
+    min: [0, 'Le détour maximum ne peut pas être négatif'],
+    max: [120, 'Le détour maximum ne peut pas dépasser 120 minutes'],
+    default: null
+  },
+  // Supplément proposé au passager par kilomètre de détour (FCFA)
+  tarifDetourParKm: {
+    type: Number,
+    min: [0, 'Le tarif de détour ne peut pas être négatif'],
+    default: 100
   }
 }, { _id: false });
 
@@ -229,6 +357,12 @@ const trajetSchema = new mongoose.Schema({
   },
   arretsIntermediaires: [arretIntermediaireSchema],
 
+  // ⭐ Itinéraire routier complet (calculé automatiquement)
+  itineraire: {
+    type: itineraireSchema,
+    default: undefined
+  },
+
   // Planification
   dateDepart: {
     type: Date,
@@ -347,6 +481,8 @@ const trajetSchema = new mongoose.Schema({
       message: 'Le prix par passager doit être un nombre entier positif en FCFA'
     }
   },
+  // Places encore vendables sur au moins un segment du trajet
+  // (recalculé par Reservation.synchroniserPlacesTrajet)
   nombrePlacesDisponibles: {
     type: Number,
     required: true,
@@ -410,6 +546,16 @@ const trajetSchema = new mongoose.Schema({
     default: () => ({})
   },
 
+  // Politique d'annulation choisie par le conducteur (data/annulation/politiques.json)
+  politiqueAnnulation: {
+    type: String,
+    enum: {
+      values: ['FLEXIBLE', 'MODEREE', 'STRICTE'],
+      message: 'Politique d\'annulation invalide'
+    },
+    default: 'MODEREE'
+  },
+
   // Assurance voyage (UC09.3)
   assuranceVoyage: {
     active: {
@@ -540,6 +686,7 @@ const trajetSchema = new mongoose.Schema({
 // Index géospatial pour les recherches par proximité
 trajetSchema.index({ "pointDepart.coordonnees": "2dsphere" });
 trajetSchema.index({ "pointArrivee.coordonnees": "2dsphere" });
+trajetSchema.index({ "itineraire.trace": "2dsphere" });
 
 // Index composés pour optimiser les requêtes courantes
 trajetSchema.index({ conducteurId: 1, dateDepart: 1 });
@@ -579,7 +726,14 @@ trajetSchema.index({
 
   // Validation pour les trajets récurrents
   if (this.typeTrajet === 'RECURRENT') {
-    if (!this.recurrence || !this.recurrence.jours || this.recurrence.jours.length === 0) {
+    if (!this.recurrence) {
+      return next(new Error('Les jours de récurrence sont requis pour un trajet récurrent'));
+    }
+    if (this.recurrence.frequence === 'MENSUEL') {
+      if (!this.recurrence.joursDuMois?.length && !this.recurrence.positionsMensuelles?.length) {
+        return next(new Error('Un jour du mois ou une position mensuelle est requis pour une récurrence mensuelle'));
+      }
+    } else if (!this.recurrence.jours || this.recurrence.jours.length === 0) {
       return next(new Error('Les jours de récurrence sont requis pour un trajet récurrent'));
     }
   }
@@ -692,6 +846,11 @@ trajetSchema.pre('save', async function(next) {
         arrivee: this.heureArriveePrevue
       });
     }
+
+    // Itinéraire (corridor) : aussi recalculé si les arrêts changent
+    if (shouldCalculate || this.isModified('arretsIntermediaires') || !this.itineraire?.polyline) {
+      await this.calculerItineraire();
+    }
     
     next();
   } catch (error) {
@@ -741,6 +900,8 @@ trajetSchema.pre('save', async function(next) {
         calculatedAt: new Date()
       };
       
+      this.itineraire = this.constructor.construireItineraireDepuisPoints(this);
+
       console.log('✅ Distances calculées (fallback à vol d\'oiseau)');
     } catch (fallbackError) {
       console.error('❌ Erreur fallback:', fallbackError.message);
@@ -935,6 +1096,8 @@ trajetSchema.methods.recalculerDistance = async function() {
       }
     }
     
+    await this.calculerItineraire();
+
     // Adapter la structure
     this.infoDistance = {
       vehicle: {
@@ -976,6 +1139,52 @@ trajetSchema.methods.recalculerDistance = async function() {
   }
 };
 
+/**
+ * ⭐ Calculer l'itinéraire routier (polyline) passant par les arrêts intermédiaires.
+ * Google Directions si configuré, sinon ligne brisée entre les points déclarés.
+ * Ne sauvegarde pas le document.
+ */
+trajetSchema.methods.calculerItineraire = async function() {
+  const distanceService = require('../services/distanceService');
+  const corridorService = require('../services/corridorService');
+
+  const origin = this.pointDepart?.coordonnees?.coordinates;
+  const destination = this.pointArrivee?.coordonnees?.coordinates;
+  if (!origin || !destination) return null;
+
+  const waypoints = (this.arretsIntermediaires || [])
+    .slice()
+    .sort((a, b) => a.ordreArret - b.ordreArret)
+    .map(a => a.coordonnees?.coordinates)
+    .filter(Boolean);
+
+  try {
+    const directions = await distanceService.getDetailedDirections(origin, destination, 'driving', waypoints);
+    const points = corridorService.decodePolyline(directions.polyline);
+
+    this.itineraire = {
+      polyline: directions.polyline,
+      trace: corridorService.construireTrace(points) || undefined,
+      source: 'GOOGLE_DIRECTIONS',
+      distanceMetres: directions.distance,
+      dureeSecondes: directions.duration,
+      calculatedAt: new Date()
+    };
+  } catch (error) {
+    console.warn('⚠️ Itinéraire détaillé indisponible, corridor sur points déclarés:', error.message);
+    this.itineraire = this.constructor.construireItineraireDepuisPoints(this);
+  }
+
+  return this.itineraire;
+};
+
+/**
+ * Points [lat, lng] de l'itinéraire (polyline décodée ou points déclarés)
+ */
+trajetSchema.methods.obtenirPointsItineraire = function() {
+  return this.constructor.obtenirPointsItineraire(this);
+};
+
 // Méthodes pour les trajets récurrents
 trajetSchema.methods.estTrajetRecurrent = function() {
   return this.typeTrajet === 'RECURRENT';
@@ -1003,6 +1212,100 @@ trajetSchema.methods.obtenirInstances = async function(dateDebut = null, dateFin
 // MÉTHODES STATIQUES
 // ===============================================
 
+/**
+ * Construire un itinéraire de repli à partir des points déclarés
+ * (départ → arrêts intermédiaires → arrivée). Utilisable sur un objet lean.
+ */
+trajetSchema.statics.construireItineraireDepuisPoints = function(trajet) {
+  const corridorService = require('../services/corridorService');
+
+  const points = trajetSchema.statics.obtenirPointsDeclares(trajet);
+  if (points.length < 2) return undefined;
+
+  return {
+    polyline: corridorService.encodePolyline(points),
+    trace: corridorService.construireTrace(points, 0) || undefined,
+    source: 'POINTS_DECLARES',
+    distanceMetres: Math.round(corridorService.longueurItineraire(points)),
+    calculatedAt: new Date()
+  };
+};
+
+/**
+ * Points déclarés [lat, lng] dans l'ordre de passage
+ */
+trajetSchema.statics.obtenirPointsDeclares = function(trajet) {
+  const arrets = (trajet.arretsIntermediaires || [])
+    .slice()
+    .sort((a, b) => a.ordreArret - b.ordreArret);
+
+  return [trajet.pointDepart, ...arrets, trajet.pointArrivee]
+    .map(p => p?.coordonnees?.coordinates)
+    .filter(c => Array.isArray(c) && c.length === 2)
+    .map(([lng, lat]) => [lat, lng]);
+};
+
+/**
+ * Points [lat, lng] de l'itinéraire d'un trajet (document ou objet lean)
+ */
+trajetSchema.statics.obtenirPointsItineraire = function(trajet) {
+  const corridorService = require('../services/corridorService');
+
+  if (trajet.itineraire?.polyline) {
+    const points = corridorService.decodePolyline(trajet.itineraire.polyline);
+    if (points.length >= 2) return points;
+  }
+  return trajetSchema.statics.obtenirPointsDeclares(trajet);
+};
+
+/**
+ * Arrêts du trajet dans l'ordre de passage, indexés pour la vente par segment:
+ * 0 = départ, 1..n = arrêts intermédiaires (ordreArret), n+1 = arrivée.
+ * Chaque arrêt porte sa distance le long de l'itinéraire depuis le départ.
+ */
+trajetSchema.statics.obtenirArretsOrdonnes = function(trajet) {
+  const corridorService = require('../services/corridorService');
+
+  const intermediaires = (trajet.arretsIntermediaires || [])
+    .slice()
+    .sort((a, b) => a.ordreArret - b.ordreArret);
+
+  // Sous-documents Mongoose ou objets lean
+  const versObjet = (p) => (p && typeof p.toObject === 'function' ? p.toObject() : p) || {};
+
+  const arrets = [
+    { ...versObjet(trajet.pointDepart), type: 'DEPART' },
+    ...intermediaires.map(a => ({ ...versObjet(a), type: 'ARRET' })),
+    { ...versObjet(trajet.pointArrivee), type: 'ARRIVEE' }
+  ];
+
+  const points = trajetSchema.statics.obtenirPointsItineraire(trajet);
+  const longueurTotale = corridorService.longueurItineraire(points);
+  let abscisse = 0;
+
+  return arrets.map((arret, index) => {
+    const coords = arret.coordonnees?.coordinates;
+
+    if (index === arrets.length - 1) {
+      abscisse = Math.max(abscisse, longueurTotale);
+    } else if (index > 0 && Array.isArray(coords) && points.length >= 2) {
+      const proj = corridorService.projeterSurItineraire(points, coords[1], coords[0], abscisse);
+      if (proj) abscisse = proj.distanceLeLongMetres;
+    }
+
+    return {
+      index,
+      type: arret.type,
+      nom: arret.nom || arret.adresse,
+      adresse: arret.adresse,
+      ville: arret.ville,
+      commune: arret.commune,
+      coordonnees: coords,
+      distanceDepuisDepartKm: parseFloat((abscisse / 1000).toFixed(2))
+    };
+  });
+};
+
 trajetSchema.statics.findTrajetsDisponibles = function(dateDebut, dateFin) {
   return this.find({
     dateDepart: { $gte: dateDebut, $lte: dateFin },
@@ -377,7 +377,8 @@ const utilisateurSchema = new mongoose.Schema({
 
   // SYSTÈME DE COMPTE COVOITURAGE (REMPLACEMENT DU PORTEFEUILLE) =====
   compteCovoiturage: {
-    // Solde du compte rechargé (pour conducteurs)
+    // Solde du compte rechargé (pour conducteurs). Cache du compte
+    // PORTEFEUILLE_CONDUCTEUR du grand livre : ne pas modifier directement
     solde: { 
       type: Number, 
       default: 0,
@@ -459,7 +460,8 @@ const utilisateurSchema = new mongoose.Schema({
       }
     },
     
-    // Historique des commissions prélevées
+    // Historique des commissions antérieur au grand livre (lecture seule) :
+    // commissions et gains sont désormais des écritures EcritureComptable
     historiqueCommissions: [{
       montant: Number,
       date: Date,
@@ -518,6 +520,8 @@ const utilisateurSchema = new mongoose.Schema({
         default: 5000000 // 5 millions FCFA
       },
       dernierRetraitLe: Date,
+      // Verrou posé le temps d'enregistrer une demande de retrait (plafonds)
+      demandeRetraitEnCours: Date,
       montantRetireAujourdhui: {
         type: Number,
         default: 0
@@ -756,7 +760,71 @@ preferencesNotifications: {
   messages: {
     type: Boolean,
     default: true
+  },
+  // Relevé mensuel des gains envoyé par email (conducteurs, sur demande)
+  relevesMensuels: {
+    type: Boolean,
+    default: false
+  },
+  // Langue des notifications (push, SMS, WhatsApp, email)
+  langue: {
+    type: String,
+    enum: {
+      values: ['fr', 'en', 'dioula', 'baoule'],
+      message: 'Langue de notification non supportée'
+    },
+    default: 'fr'
+  },
+  // Heures silencieuses (HH:mm, fuseau Africa/Abidjan) : seules les urgences
+  // sont remises, le reste est reporté à la fin de la plage
+  heuresSilencieuses: {
+    activees: {
+      type: Boolean,
+      default: false
+    },
+    debut: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Heure de début invalide (HH:mm)'],
+      default: '22:00'
+    },
+    fin: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Heure de fin invalide (HH:mm)'],
+      default: '07:00'
+    }
   }
+},
+
+// 📅 Flux iCalendar personnel (abonnement Google Agenda / Outlook / Apple)
+calendrier: {
+  token: {
+    type: String,
+    select: false
+  },
+  genereLe: {
+    type: Date,
+    default: null
+  }
+},
+
+// 🎁 Parrainage : parrain et filleul sont crédités après la première course terminée du filleul
+parrainage: {
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  parrainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Utilisateur',
+    default: null
+  },
+  dateParrainage: Date,
+  recompenseVersee: {
+    type: Boolean,
+    default: false
+  },
+  dateRecompense: Date
 }
 
 }, {
@@ -780,6 +848,9 @@ utilisateurSchema.index({ 'compteCovoiturage.historiqueRecharges.date': -1 });
 utilisateurSchema.index({ 'fcmTokens.token': 1 });
 utilisateurSchema.index({ 'fcmTokens.actif': 1 });
 utilisateurSchema.index({ 'fcmTokens.derniereActivite': -1 });
+utilisateurSchema.index({ 'calendrier.token': 1 }, { unique: true, sparse: true });
+utilisateurSchema.index({ 'parrainage.code': 1 }, { unique: true, sparse: true });
+utilisateurSchema.index({ 'parrainage.parrainId': 1 }, { sparse: true });
 
 // VIRTUALS
 utilisateurSchema.virtual('nomComplet').get(function() {
@@ -1326,8 +1397,9 @@ utilisateurSchema.methods.rechargerCompte = function(montant, methodePaiement, r
   return this.save();
 };
 
-// Confirmer une recharge
-utilisateurSchema.methods.confirmerRecharge = function(referenceTransaction, statut = 'reussi') {
+// Confirmer une recharge : le crédit du solde passe par le grand livre
+// (montantCredite inclut l'éventuel bonus de recharge, par défaut le net après frais)
+utilisateurSchema.methods.confirmerRecharge = async function(referenceTransaction, statut = 'reussi', montantCredite = null) {
   const recharge = this.compteCovoiturage.historiqueRecharges.find(
     r => r.referenceTransaction === referenceTransaction && r.statut === 'en_attente'
   );
@@ -1336,20 +1408,24 @@ utilisateurSchema.methods.confirmerRecharge = function(referenceTransaction, sta
     throw new Error('Recharge introuvable ou déjà traitée');
   }
 
-  recharge.statut = statut;
-
   if (statut === 'reussi') {
-    // Créditer le solde (montant net après frais)
+    const grandLivreService = require('../services/grandLivreService');
     const montantNet = recharge.montant - recharge.fraisTransaction;
-    this.compteCovoiturage.solde += montantNet;
-    this.compteCovoiturage.estRecharge = true;
+    const { soldePortefeuille } = await grandLivreService.enregistrerRecharge(this._id, {
+      referenceTransaction,
+      montantNet,
+      bonus: Math.max(0, (montantCredite ?? montantNet) - montantNet)
+    });
+    this.synchroniserCompteCovoiturage({ solde: soldePortefeuille, estRecharge: true });
   }
 
+  recharge.statut = statut;
+
   return this.save();
 };
 
 // Prélever commission du compte rechargé
-utilisateurSchema.methods.preleverCommission = function(montant, trajetId, reservationId) {
+utilisateurSchema.methods.preleverCommission = async function(montant, trajetId, reservationId) {
   if (montant <= 0) {
     throw new Error('Le montant de commission doit être positif');
   }
@@ -1362,44 +1438,61 @@ utilisateurSchema.methods.preleverCommission = function(montant, trajetId, reser
     throw new Error('Solde insuffisant pour prélever la commission');
   }
 
-  // Débiter le solde
-  this.compteCovoiturage.solde -= montant;
-  this.compteCovoiturage.totalCommissionsPayees += montant;
-  this.compteCovoiturage.dernierPrelevementCommission = new Date();
-
-  // Ajouter à l'historique des commissions
-  this.compteCovoiturage.historiqueCommissions.push({
+  const grandLivreService = require('../services/grandLivreService');
+  const { soldePortefeuille, dejaComptabilisee } = await grandLivreService.preleverCommission({
+    conducteurId: this._id,
     montant,
-    date: new Date(),
     trajetId,
-    reservationId,
-    typePrelevement: 'compte_recharge',
-    statut: 'preleve'
+    reservationId
   });
+  if (dejaComptabilisee) {
+    return this;
+  }
 
-  return this.save();
+  this.synchroniserCompteCovoiturage({
+    solde: soldePortefeuille,
+    totalCommissionsPayees: (this.compteCovoiturage.totalCommissionsPayees || 0) + montant,
+    dernierPrelevementCommission: new Date()
+  });
+
+  return this;
 };
 
 // Créditer les gains du conducteur
-utilisateurSchema.methods.crediterGains = function(montant, trajetId, reservationId) {
+utilisateurSchema.methods.crediterGains = async function(montant, trajetId, reservationId) {
   if (montant <= 0) {
     throw new Error('Le montant des gains doit être positif');
   }
 
-  this.compteCovoiturage.totalGagnes += montant;
-  this.compteCovoiturage.dernierPaiementRecu = new Date();
-
-  // Ajouter un historique des gains pour traçabilité
-  this.compteCovoiturage.historiqueCommissions.push({
+  const grandLivreService = require('../services/grandLivreService');
+  const { dejaComptabilisee } = await grandLivreService.crediterGains({
+    conducteurId: this._id,
     montant,
-    date: new Date(),
     trajetId,
-    reservationId,
-    typePrelevement: 'gain_course',
-    statut: 'complete'
+    reservationId
   });
+  if (dejaComptabilisee) {
+    return this;
+  }
 
-  return this.save();
+  this.synchroniserCompteCovoiturage({
+    totalGagnes: (this.compteCovoiturage.totalGagnes || 0) + montant,
+    dernierPaiementRecu: new Date()
+  });
+
+  return this;
+};
+
+// Reporter sur le document en mémoire des valeurs déjà écrites par le grand livre,
+// sans les marquer modifiées : un save() ultérieur ne doit pas les écraser
+utilisateurSchema.methods.synchroniserCompteCovoiturage = function(valeurs) {
+  Object.entries(valeurs).forEach(([champ, valeur]) => {
+    if (valeur === undefined) return;
+    const chemin = `compteCovoiturage.${champ}`;
+    this.set(chemin, valeur);
+    this.unmarkModified(chemin);
+  });
+  return this;
 };
 
 // Vérifier si le conducteur peut accepter des courses
@@ -1459,6 +1552,25 @@ utilisateurSchema.methods.configurerRetraitGains = function(numeroMobile, operat
   return this.save();
 };
 
+// Cumuler un retrait versé dans les compteurs journalier et mensuel
+utilisateurSchema.methods.cumulerRetrait = function(montant, date = new Date()) {
+  const limites = this.compteCovoiturage.limites;
+  const dernier = limites.dernierRetraitLe;
+
+  if (!dernier || dernier.toDateString() !== date.toDateString()) {
+    limites.montantRetireAujourdhui = 0;
+  }
+  if (!dernier || dernier.getMonth() !== date.getMonth() || dernier.getFullYear() !== date.getFullYear()) {
+    limites.montantRetireCeMois = 0;
+  }
+
+  limites.montantRetireAujourdhui += montant;
+  limites.montantRetireCeMois += montant;
+  limites.dernierRetraitLe = date;
+
+  return this.save({ validateBeforeSave: false });
+};
+
 // Obtenir le résumé du compte covoiturage
 utilisateurSchema.methods.obtenirResumeCompte = function() {
   const maintenant = new Date();
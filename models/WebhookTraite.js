@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * 📨 Modèle WebhookTraite
+ * Registre des notifications de paiement déjà traitées, une entrée par
+ * transaction fournisseur. La première notification réserve l'entrée ;
+ * les suivantes (renvois, rejeux) sont reconnues comme doublons.
+ * Une entrée n'est conservée que si le paiement a atteint un statut final :
+ * une notification « en attente » n'empêche pas la suivante d'être traitée.
+ */
+const WebhookTraiteSchema = new mongoose.Schema({
+
+  fournisseur: {
+    type: String,
+    required: [true, 'Le fournisseur est requis'],
+    lowercase: true,
+    trim: true
+  },
+
+  // Identifiant de transaction du fournisseur (à défaut, notre référence)
+  transactionId: {
+    type: String,
+    required: [true, 'L\'identifiant de transaction est requis']
+  },
+
+  referenceTransaction: {
+    type: String,
+    index: true
+  },
+
+  statut: {
+    type: String,
+    enum: ['EN_COURS', 'TRAITE'],
+    default: 'EN_COURS'
+  },
+
+  // Statut du paiement à l'issue du traitement
+  resultat: String,
+
+  nombreReceptions: {
+    type: Number,
+    default: 1
+  },
+  derniereReception: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Conservé 90 jours, au-delà des fenêtres de renvoi des fournisseurs
+  expireLe: {
+    type: Date,
+    default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
+    index: { expireAfterSeconds: 0 }
+  }
+
+}, {
+  timestamps: true
+});
+
+WebhookTraiteSchema.index({ fournisseur: 1, transactionId: 1 }, { unique: true });
+
+/**
+ * Réserve le traitement d'une notification
+ * @param {string} fournisseur
+ * @param {string} transactionId
+ * @param {Object} [infos] - { referenceTransaction }
+ * @returns {Promise<{ reserve: boolean, entree: Object }>} reserve=false si doublon
+ */
+WebhookTraiteSchema.statics.reserver = async function(fournisseur, transactionId, infos = {}) {
+  try {
+    const entree = await this.create({ fournisseur, transactionId, ...infos });
+    return { reserve: true, entree };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const entree = await this.findOneAndUpdate(
+      { fournisseur, transactionId },
+      { $inc: { nombreReceptions: 1 }, $set: { derniereReception: new Date() } },
+      { new: true }
+    );
+    return { reserve: false, entree };
+  }
+};
+
+WebhookTraiteSchema.statics.marquerTraite = function(id, resultat) {
+  return this.updateOne({ _id: id }, { $set: { statut: 'TRAITE', resultat } });
+};
+
+// Libère une réservation pour qu'une notification ultérieure soit traitée
+WebhookTraiteSchema.statics.liberer = function(id) {
+  return this.deleteOne({ _id: id, statut: 'EN_COURS' });
+};
+
+module.exports = mongoose.model('WebhookTraite', WebhookTraiteSchema);
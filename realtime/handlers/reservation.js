@@ -1,6 +1,11 @@
 const Reservation = require('../../models/Reservation');
 const Trajet = require('../../models/Trajet');
 const Conversation = require('../../models/Conversation');
+const listeAttenteService = require('../../services/listeAttenteService');
+const sequestreService = require('../../services/sequestreService');
+const politiqueAnnulationService = require('../../services/politiqueAnnulationService');
+const promotionService = require('../../services/promotionService');
+const segmentService = require('../../services/segmentService');
 //const Utilisateur = require('../../models/Utilisateur');
 
 module.exports = (socket, io) => {
@@ -13,7 +18,9 @@ module.exports = (socket, io) => {
         nombrePlacesReservees, 
         pointPriseEnCharge, 
         pointDepose,
-        bagages 
+        bagages,
+        indexMontee,
+        indexDescente
       } = reservationData;
 
       // Validation des données
@@ -45,10 +52,29 @@ module.exports = (socket, io) => {
         return;
       }
 
-      if (trajet.nombrePlacesDisponibles < nombrePlacesReservees) {
+      // Tronçon réservé (trajet complet par défaut) : places et prix par segment
+      const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+      const troncon = segmentService.normaliserIndex(
+        indexMontee !== undefined ? parseInt(indexMontee) : null,
+        indexDescente !== undefined ? parseInt(indexDescente) : null,
+        arrets.length
+      );
+      const erreurTroncon = segmentService.validerIndex(troncon.indexMontee, troncon.indexDescente, arrets.length);
+      if (erreurTroncon) {
+        socket.emit('error', {
+          type: 'RESERVATION_ERROR',
+          message: erreurTroncon
+        });
+        return;
+      }
+
+      const disponibilite = await Reservation.verifierDisponibilite(
+        trajetId, nombrePlacesReservees, troncon.indexMontee, troncon.indexDescente
+      );
+      if (!disponibilite.disponible) {
         socket.emit('error', { 
           type: 'RESERVATION_ERROR',
-          message: `Seulement ${trajet.nombrePlacesDisponibles} place(s) disponible(s)` 
+          message: `Seulement ${disponibilite.placesDisponibles} place(s) disponible(s)` 
         });
         return;
       }
@@ -84,19 +110,21 @@ module.exports = (socket, io) => {
         nombrePlacesReservees,
         pointPriseEnCharge,
         pointDepose,
+        indexMontee: troncon.indexMontee,
+        indexDescente: troncon.indexDescente,
         bagages: bagages || { quantite: 0, description: '', poids: 0 },
         statutReservation: trajet.validationAutomatique ? 'CONFIRMEE' : 'EN_ATTENTE',
         dateReservation: new Date(),
-        montantTotal: trajet.prixParPassager * nombrePlacesReservees
+        montantTotal: segmentService.calculerPrixSegment(
+          trajet.prixParPassager, arrets, troncon.indexMontee, troncon.indexDescente
+        ) * nombrePlacesReservees
       });
 
       await reservation.save();
+      // Une demande en attente retient déjà ses places sur le tronçon
+      await Reservation.synchroniserPlacesTrajet(trajetId);
 
       if (trajet.validationAutomatique) {
-        // Validation automatique - mettre à jour les places disponibles
-        await Trajet.findByIdAndUpdate(trajetId, {
-          $inc: { nombrePlacesDisponibles: -nombrePlacesReservees }
-        });
 
         reservation.dateConfirmation = new Date();
         await reservation.save();
@@ -197,15 +225,8 @@ module.exports = (socket, io) => {
         return;
       }
 
-      // Vérifier encore la disponibilité des places
-      const trajet = await Trajet.findById(reservation.trajetId._id);
-      if (trajet.nombrePlacesDisponibles < reservation.nombrePlacesReservees) {
-        socket.emit('error', { 
-          type: 'RESERVATION_ERROR',
-          message: 'Plus assez de places disponibles' 
-        });
-        return;
-      }
+      // Pas de nouvelle vérification des places : la demande en attente
+      // retient déjà les siennes sur son tronçon (calculerDisponibiliteSegments)
 
       // Confirmer la réservation
       reservation.statutReservation = 'CONFIRMEE';
@@ -213,9 +234,7 @@ module.exports = (socket, io) => {
       await reservation.save();
 
       // Mettre à jour les places disponibles
-      await Trajet.findByIdAndUpdate(reservation.trajetId._id, {
-        $inc: { nombrePlacesDisponibles: -reservation.nombrePlacesReservees }
-      });
+      await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
 
       // Créer ou récupérer la conversation
       let conversation = await Conversation.findOne({
@@ -298,6 +317,15 @@ module.exports = (socket, io) => {
       reservation.statutReservation = 'REFUSEE';
       reservation.motifRefus = motifRefus || 'Aucun motif spécifié';
       await reservation.save();
+      await promotionService.annulerReduction(reservation);
+
+      // Rembourser les montants mis en séquestre, comme le refus HTTP
+      await sequestreService.rembourserReservations(reservation._id, 'Réservation refusée par le conducteur', { io });
+
+      // Les places retenues par la demande redeviennent vendables
+      await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
+      // Liste d'attente d'abord, puis alertes de recherches sauvegardées
+      listeAttenteService.signalerPlacesLiberees(reservation.trajetId._id, { io });
 
       // Notifier le passager
       io.to(`user_${reservation.passagerId._id}`).emit('reservationRejected', {
@@ -359,32 +387,29 @@ module.exports = (socket, io) => {
         return;
       }
 
-      // Vérifier les conditions d'annulation (par exemple, délai minimum)
-      const maintenant = new Date();
-      const dateDepart = new Date(reservation.trajetId.dateDepart);
-      const heuresAvantDepart = (dateDepart - maintenant) / (1000 * 60 * 60);
-
-      if (heuresAvantDepart < 2) { // Moins de 2h avant le départ
-        socket.emit('error', { 
-          type: 'RESERVATION_ERROR',
-          message: 'Annulation impossible : moins de 2h avant le départ' 
-        });
-        return;
-      }
+      // Remboursement selon la politique d'annulation du trajet, comme l'annulation HTTP
+      const annulation = await politiqueAnnulationService.annulerParPassager(reservation, reservation.trajetId, {
+        motif: motifAnnulation || 'Annulée par le passager',
+        io
+      });
+      // Avant paiement, l'utilisation du code promo est rendue
+      await promotionService.annulerReduction(reservation);
 
       // Annuler la réservation
-      const ancienStatut = reservation.statutReservation;
       reservation.statutReservation = 'ANNULEE';
       reservation.motifRefus = motifAnnulation || 'Annulée par le passager';
-      await reservation.save();
 
-      // Si la réservation était confirmée, libérer les places
-      if (ancienStatut === 'CONFIRMEE') {
-        await Trajet.findByIdAndUpdate(reservation.trajetId._id, {
-          $inc: { nombrePlacesDisponibles: reservation.nombrePlacesReservees }
-        });
+      if (annulation.montantRembourse > 0 && reservation.statutPaiement === 'PAYE') {
+        reservation.statutPaiement = 'REMBOURSE';
       }
 
+      await reservation.save();
+
+      // Une demande en attente retient aussi ses places : les libérer dans tous les cas
+      await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
+      // Liste d'attente d'abord, puis alertes de recherches sauvegardées
+      listeAttenteService.signalerPlacesLiberees(reservation.trajetId._id, { io });
+
       // Notifier le conducteur
       io.to(`user_${reservation.trajetId.conducteurId}`).emit('reservationCanceled', {
         reservation,
@@ -400,7 +425,9 @@ module.exports = (socket, io) => {
       socket.emit('reservationCancelConfirmed', {
         reservationId,
         message: 'Réservation annulée avec succès',
-        placesLiberees: ancienStatut === 'CONFIRMEE' ? reservation.nombrePlacesReservees : 0
+        montantRemboursement: annulation.montantRembourse,
+        annulation,
+        placesLiberees: reservation.nombrePlacesReservees
       });
 
       console.log(`🚫 Réservation annulée: ${reservationId} par ${socket.user.nom}`);
@@ -458,13 +485,16 @@ module.exports = (socket, io) => {
       if (nouveauNombrePlaces && nouveauNombrePlaces !== reservation.nombrePlacesReservees) {
         differencePlaces = nouveauNombrePlaces - reservation.nombrePlacesReservees;
         
-        // Vérifier la disponibilité si on augmente le nombre de places
+        // Vérifier la disponibilité du tronçon si on augmente le nombre de places
+        // (les places actuelles de la réservation y sont déjà comptées)
         if (differencePlaces > 0) {
-          const trajet = await Trajet.findById(reservation.trajetId._id);
-          if (trajet.nombrePlacesDisponibles < differencePlaces) {
+          const disponibilite = await Reservation.verifierDisponibilite(
+            reservation.trajetId._id, differencePlaces, reservation.indexMontee, reservation.indexDescente
+          );
+          if (!disponibilite.disponible) {
             socket.emit('error', { 
               type: 'RESERVATION_ERROR',
-              message: `Seulement ${trajet.nombrePlacesDisponibles} place(s) supplémentaire(s) disponible(s)` 
+              message: `Seulement ${disponibilite.placesDisponibles} place(s) supplémentaire(s) disponible(s)` 
             });
             return;
           }
@@ -484,8 +514,14 @@ module.exports = (socket, io) => {
       let hasChanges = false;
 
       if (nouveauNombrePlaces && nouveauNombrePlaces !== reservation.nombrePlacesReservees) {
+        const arrets = Trajet.obtenirArretsOrdonnes(reservation.trajetId);
+        const troncon = segmentService.normaliserIndex(reservation.indexMontee, reservation.indexDescente, arrets.length);
+        const prixParPlace = segmentService.calculerPrixSegment(
+          reservation.trajetId.prixParPassager, arrets, troncon.indexMontee, troncon.indexDescente
+        );
         modifications.nombrePlacesReservees = nouveauNombrePlaces;
-        modifications.montantTotal = reservation.trajetId.prixParPassager * nouveauNombrePlaces;
+        // Écart au prix du tronçon : réduction et supplément de détour déjà appliqués sont conservés
+        modifications.montantTotal = reservation.montantTotal + prixParPlace * differencePlaces;
         hasChanges = true;
       }
 
@@ -517,9 +553,7 @@ module.exports = (socket, io) => {
 
       // Mettre à jour les places disponibles si nécessaire
       if (differencePlaces !== 0) {
-        await Trajet.findByIdAndUpdate(reservation.trajetId._id, {
-          $inc: { nombrePlacesDisponibles: -differencePlaces }
-        });
+        await Reservation.synchroniserPlacesTrajet(reservation.trajetId._id);
       }
 
       // Notifier le conducteur des modifications
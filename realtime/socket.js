@@ -3,13 +3,15 @@ const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Utilisateur = require('../models/Utilisateur');
 const Conversation = require('../models/Conversation');
-const { Message } = require('../models/Message');
 const Trajet = require('../models/Trajet');
 const Reservation = require('../models/Reservation');
 //const AlerteUrgence = require('../models/AlerteUrgence');
 //const Paiement = require('../models/Paiement');
 const notificationService = require('../services/notificationService');
 const presenceService = require('../services/presenceService');
+const centreNotificationsService = require('../services/centreNotificationsService');
+const messageService = require('../services/messageService');
+const segmentService = require('../services/segmentService');
 //const locationService = require('../services/locationService');
 const { registerDriverValidationHandlers, notifyDriverValidation } = require('./handlers/driver_validation');
 const registerGpsHandlers = require('./handlers/gps');
@@ -188,6 +190,8 @@ function initSocket(httpServer, app) {
   app.set('connectedUsers', connectedUsers);
   app.set('anonymousUsers', anonymousUsers);
   app.set('io', io);
+  centreNotificationsService.utiliserSocket(io);
+  messageService.utiliserSocket(io);
 
   // ==================== GESTION DES CONNEXIONS ====================
   io.on('connection', async (socket) => {
@@ -227,6 +231,10 @@ function initSocket(httpServer, app) {
         }
       });
 
+      // Compteur du centre de notifications (badge) dès la connexion
+      centreNotificationsService.emettreNonLues(userId)
+        .catch(err => console.warn('Compteur de notifications non transmis:', err.message));
+
       // Enregistrer tous les handlers pour les utilisateurs authentifiés
       registerGpsHandlers(socket, io);
       registerReservationHandlers(socket, io);
@@ -415,24 +423,8 @@ function initSocket(httpServer, app) {
           throw new Error('FORBIDDEN');
         }
         
-        // Marquer tous les messages de la conversation comme lus pour cet utilisateur
-        await Message.updateMany(
-          {
-            conversationId,
-            destinataireId: userId,
-            lu: false
-          },
-          {
-            lu: true,
-            dateLecture: new Date()
-          }
-        );
-        
-        // Réinitialiser le compteur de messages non lus pour cet utilisateur
-        await Conversation.updateOne(
-          { _id: conversationId },
-          { $set: { [`nombreMessagesNonLus.${userId}`]: 0 } }
-        );
+        // Accusés de lecture par message + compteur de non lus de l'utilisateur
+        await messageService.marquerLus(conversationId, userId);
         
         // Notifier les autres participants via socket
         const { conversationRoom } = buildRoomNames(conversationId, userId);
@@ -449,6 +441,7 @@ function initSocket(httpServer, app) {
     });
 
     // Envoyer un message (authentification requise)
+    // Photo / note vocale : typeMessage IMAGE|AUDIO + pieceJointe { url, dureeSecondes } issue de POST /api/messages/medias
     socket.on('send_message', async (payload, ack = () => {}) => {
       try {
         if (!isAuthenticated(socket)) {
@@ -468,94 +461,99 @@ function initSocket(httpServer, app) {
           throw new Error('CONTENU_REQUIRED');
         }
 
-        // Vérifier que la conversation existe et que l'utilisateur en fait partie
-        const conversation = await Conversation.findById(conversationId).select('participants statistiques trajetId');
-        if (!conversation) {
-          throw new Error('CONVERSATION_NOT_FOUND');
-        }
-        
-        const participantIds = conversation.participants.map(p => p.toString());
-        if (!participantIds.includes(userId)) {
-          throw new Error('FORBIDDEN');
-        }
-
-        // Créer le message
-        const messageData = {
+        // Filtre automatique, création, compteurs, diffusion 'new_message' et notification hors ligne
+        // (un message retenu pour modération n'est pas diffusé)
+        const message = await messageService.envoyerMessage({
           conversationId,
           expediteurId: userId,
           destinataireId,
           contenu,
           typeMessage,
-          lu: false,
-          dateEnvoi: new Date()
-        };
-        
-        // N'ajouter pieceJointe que si elle est définie et non null
-        if (pieceJointe && typeof pieceJointe === 'object') {
-          messageData.pieceJointe = pieceJointe;
+          pieceJointe: pieceJointe && typeof pieceJointe === 'object' ? pieceJointe : null
+        });
+
+        ack({
+          success: true,
+          message,
+          ...(message.moderation?.avertissement ? { avertissement: message.moderation.avertissement } : {})
+        });
+      } catch (e) {
+        console.error('Erreur d\'envoi de message:', e);
+        ack({ success: false, error: e.message, code: e.code });
+      }
+    });
+
+    // Accusé de réception : messages arrivés sur l'appareil
+    socket.on('message:delivered', async ({ conversationId, messageIds } = {}, ack = () => {}) => {
+      try {
+        if (!isAuthenticated(socket)) {
+          throw new Error('AUTHENTICATION_REQUIRED');
+        }
+        if (!mongoose.isValidObjectId(conversationId)) {
+          throw new Error('INVALID_CONVERSATION_ID');
+        }
+        if (messageIds !== undefined && (!Array.isArray(messageIds) || !messageIds.every(id => mongoose.isValidObjectId(id)))) {
+          throw new Error('INVALID_MESSAGE_IDS');
         }
-        
-        const message = await Message.create(messageData);
 
-        // Mettre à jour la conversation
-        const update = {
-          derniereActivite: new Date(),
-          'statistiques.dernierMessagePar': userId,
-          'statistiques.dernierMessageContenu': (contenu || '').slice(0, 100)
-        };
+        const resultat = await messageService.marquerRecus(conversationId, socket.user.id, { messageIds });
+        ack({ success: true, ...resultat });
+      } catch (e) {
+        ack({ success: false, error: e.message, code: e.code });
+      }
+    });
 
-        // Incrémenter le nombre de messages non lus pour tous sauf l'expéditeur
-        const inc = {};
-        participantIds.forEach(pid => {
-          if (pid !== userId) {
-            inc[`nombreMessagesNonLus.${pid}`] = 1;
-          }
-        });
+    // Accusé de lecture de messages précis
+    socket.on('message:read', async ({ conversationId, messageIds } = {}, ack = () => {}) => {
+      try {
+        if (!isAuthenticated(socket)) {
+          throw new Error('AUTHENTICATION_REQUIRED');
+        }
+        if (!mongoose.isValidObjectId(conversationId)) {
+          throw new Error('INVALID_CONVERSATION_ID');
+        }
+        if (!Array.isArray(messageIds) || !messageIds.every(id => mongoose.isValidObjectId(id))) {
+          throw new Error('INVALID_MESSAGE_IDS');
+        }
 
-        await Conversation.updateOne(
-          { _id: conversationId },
-          {
-            $set: update,
-            ...(Object.keys(inc).length ? { $inc: inc } : {})
-          }
-        );
+        const resultat = await messageService.marquerLus(conversationId, socket.user.id, { messageIds });
+        ack({ success: true, ...resultat });
+      } catch (e) {
+        ack({ success: false, error: e.message, code: e.code });
+      }
+    });
 
-        // Récupérer le message avec les infos utilisateur
-        const populated = await Message.findById(message._id)
-          .populate('expediteurId', 'nom prenom photoProfil')
-          .populate('destinataireId', 'nom prenom photoProfil');
+    // Modifier un message (délai d'édition)
+    socket.on('message:edit', async ({ messageId, contenu } = {}, ack = () => {}) => {
+      try {
+        if (!isAuthenticated(socket)) {
+          throw new Error('AUTHENTICATION_REQUIRED');
+        }
+        if (!mongoose.isValidObjectId(messageId)) {
+          throw new Error('INVALID_MESSAGE_ID');
+        }
 
-        // Émettre l'événement de nouveau message aux participants de la conversation
-        const { conversationRoom } = buildRoomNames(conversationId, userId);
-        io.to(conversationRoom).emit('new_message', {
-          message: populated,
-          expediteur: {
-            _id: socket.user.id,
-            nom: socket.user.nom,
-            prenom: socket.user.prenom,
-            photoProfil: socket.user.photoProfil
-          }
-        });
+        const message = await messageService.modifierMessage(messageId, socket.user.id, contenu);
+        ack({ success: true, message });
+      } catch (e) {
+        ack({ success: false, error: e.message, code: e.code });
+      }
+    });
 
-        // Notifier le destinataire s'il est hors ligne
-        const isDestOnline = presenceService.isOnline(destinataireId);
-        if (!isDestOnline) {
-          try {
-            await notificationService.sendMessageNotification(
-              destinataireId,
-              `${socket.user.prenom} ${socket.user.nom}`,
-              (contenu || '').slice(0, 120),
-              { conversationId, messageId: message._id }
-            );
-          } catch (err) {
-            console.warn('Notification de message non envoyée:', err.message);
-          }
+    // Supprimer un message (délai de suppression)
+    socket.on('message:delete', async ({ messageId } = {}, ack = () => {}) => {
+      try {
+        if (!isAuthenticated(socket)) {
+          throw new Error('AUTHENTICATION_REQUIRED');
+        }
+        if (!mongoose.isValidObjectId(messageId)) {
+          throw new Error('INVALID_MESSAGE_ID');
         }
 
-        ack({ success: true, message: populated });
+        await messageService.supprimerMessage(messageId, socket.user.id);
+        ack({ success: true, messageId });
       } catch (e) {
-        console.error('Erreur d\'envoi de message:', e);
-        ack({ success: false, error: e.message });
+        ack({ success: false, error: e.message, code: e.code });
       }
     });
 
@@ -735,6 +733,9 @@ function initSocket(httpServer, app) {
             email: socket.user.email
           }
         });
+
+        centreNotificationsService.emettreNonLues(userId)
+          .catch(err => console.warn('Compteur de notifications non transmis:', err.message));
       } catch (e) {
         console.error('Erreur authenticate:', e);
         ack({ success: false, error: e.message });
@@ -768,7 +769,9 @@ function initSocket(httpServer, app) {
           nombrePlacesReservees,
           pointPriseEnCharge,
           pointDepose,
-          bagages = null
+          bagages = null,
+          indexMontee,
+          indexDescente
         } = data;
 
         if (!trajetId || !nombrePlacesReservees || !pointPriseEnCharge || !pointDepose) {
@@ -781,18 +784,32 @@ function initSocket(httpServer, app) {
           throw new Error('TRAJET_NOT_FOUND');
         }
 
-        // Vérifier la disponibilité des places
-        if (trajet.nombrePlacesDisponibles < nombrePlacesReservees) {
-          throw new Error('PLACES_INSUFFISANTES');
-        }
-
         // Vérifier que l'utilisateur n'est pas le conducteur
         if (trajet.conducteurId.toString() === userId) {
           throw new Error('SELF_RESERVATION_FORBIDDEN');
         }
 
-        // Calculer le montant total
-        const montantTotal = trajet.prixParPassager * nombrePlacesReservees;
+        // Tronçon réservé (trajet complet par défaut) : places et prix par segment
+        const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+        const troncon = segmentService.normaliserIndex(
+          indexMontee !== undefined ? parseInt(indexMontee) : null,
+          indexDescente !== undefined ? parseInt(indexDescente) : null,
+          arrets.length
+        );
+        if (segmentService.validerIndex(troncon.indexMontee, troncon.indexDescente, arrets.length)) {
+          throw new Error('INVALID_SEGMENT');
+        }
+
+        const disponibilite = await Reservation.verifierDisponibilite(
+          trajetId, nombrePlacesReservees, troncon.indexMontee, troncon.indexDescente
+        );
+        if (!disponibilite.disponible) {
+          throw new Error('PLACES_INSUFFISANTES');
+        }
+
+        const montantTotal = segmentService.calculerPrixSegment(
+          trajet.prixParPassager, arrets, troncon.indexMontee, troncon.indexDescente
+        ) * nombrePlacesReservees;
 
         // Créer la réservation
         const newReservation = new Reservation({
@@ -801,6 +818,8 @@ function initSocket(httpServer, app) {
           nombrePlacesReservees,
           pointPriseEnCharge,
           pointDepose,
+          indexMontee: troncon.indexMontee,
+          indexDescente: troncon.indexDescente,
           statutReservation: trajet.validationAutomatique ? 'CONFIRMEE' : 'EN_ATTENTE',
           dateReservation: new Date(),
           montantTotal,
@@ -811,9 +830,7 @@ function initSocket(httpServer, app) {
         await newReservation.save();
 
         // Mettre à jour le nombre de places disponibles sur le trajet
-        await Trajet.findByIdAndUpdate(trajetId, {
-          $inc: { nombrePlacesDisponibles: -nombrePlacesReservees }
-        });
+        await Reservation.synchroniserPlacesTrajet(trajetId);
 
         // Créer une conversation pour la réservation si elle n'existe pas déjà
         let conversation = await Conversation.findOne({
@@ -4,6 +4,7 @@
 
 const express = require('express');
 const { body, query, param } = require('express-validator');
+const { LANGUES_NOTIFICATION } = require('../utils/modelesNotifications');
 const router = express.Router();
 
 // Import du middleware d'authentification admin dédié
@@ -84,7 +85,28 @@ const {
   listerPaiements,
   obtenirPaiement,
   rembourserPaiement,
+  libererSequestrePaiement,
+  verifierRapprochementGrandLivre,
+  listerRapprochementsFournisseur,
+  lancerRapprochementFournisseur,
+  exporterRapprochementFournisseur,
+  verifierChaineRecus,
+  listerRetraits,
+  approuverRetrait,
+  rejeterRetrait,
+  verifierRetrait,
   obtenirStatistiquesPaiements,
+  // Gestion Promotions
+  listerCodesPromo,
+  creerCodePromo,
+  obtenirCodePromo,
+  modifierCodePromo,
+  // Modèles de notifications
+  listerModelesNotification,
+  apercuModeleNotification,
+  modifierModeleNotification,
+  reinitialiserModeleNotification,
+  statistiquesLivraisonsNotifications,
   // Gestion Commissions
   obtenirStatistiquesCommissions,
   traiterCommissionsEnEchec,
@@ -182,7 +204,8 @@ const PERMISSIONS_VALIDES = [
   // Configuration
   'CONFIGURATION_SYSTEME',
   'GESTION_NOTIFICATIONS',
-  'GESTION_TARIFS'
+  'GESTION_TARIFS',
+  'GESTION_PROMOTIONS'
 ];
 
 // === FONCTIONS HELPER SÉCURISÉES ===
@@ -997,6 +1020,341 @@ router.get('/paiements/export',
   exporterPaiements || creerControleurParDefaut('exporterPaiements')
 );
 
+/**
+ * @route   GET /api/admin/paiements/rapprochement
+ * @desc    Rapprocher les paiements avec les écritures du grand livre
+ *          (écritures manquantes, déséquilibrées ou divergentes, écarts de soldes)
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+router.get('/paiements/rapprochement',
+  middlewareAuth,
+  middlewareRateLimit('reporting'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'RAPPORTS_FINANCIERS']),
+  [
+    query('dateDebut').optional().isISO8601().withMessage('Date de début invalide'),
+    query('dateFin').optional().isISO8601().withMessage('Date de fin invalide'),
+    query('limite').optional().isInt({ min: 1, max: 20000 }).withMessage('Limite invalide')
+  ],
+  verifierRapprochementGrandLivre || creerControleurParDefaut('verifierRapprochementGrandLivre')
+);
+
+/**
+ * @route   GET /api/admin/paiements/rapprochement-fournisseur
+ * @desc    Historique des rapprochements quotidiens avec CinetPay
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+router.get('/paiements/rapprochement-fournisseur',
+  middlewareAuth,
+  middlewareRateLimit('reporting'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'RAPPORTS_FINANCIERS']),
+  listerRapprochementsFournisseur || creerControleurParDefaut('listerRapprochementsFournisseur')
+);
+
+/**
+ * @route   POST /api/admin/paiements/rapprochement-fournisseur
+ * @desc    Lancer un rapprochement CinetPay sans attendre le passage nocturne
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+router.post('/paiements/rapprochement-fournisseur',
+  middlewareAuth,
+  middlewareRateLimit('reporting'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'RAPPORTS_FINANCIERS']),
+  middlewareLogSensitiveAction('RAPPROCHEMENT_PAIEMENTS'),
+  lancerRapprochementFournisseur || creerControleurParDefaut('lancerRapprochementFournisseur')
+);
+
+/**
+ * @route   GET /api/admin/paiements/rapprochement-fournisseur/:id/export
+ * @desc    Télécharger un rapport de rapprochement (format=xlsx|csv)
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+router.get('/paiements/rapprochement-fournisseur/:id/export',
+  middlewareAuth,
+  middlewareRateLimit('reporting'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'RAPPORTS_FINANCIERS']),
+  validationId,
+  [
+    query('format').optional().isIn(['xlsx', 'csv']).withMessage('Format invalide (xlsx ou csv)')
+  ],
+  exporterRapprochementFournisseur || creerControleurParDefaut('exporterRapprochementFournisseur')
+);
+
+/**
+ * @route   GET /api/admin/paiements/recus/verification
+ * @desc    Contrôler la chaîne des reçus : numéros manquants, contenus altérés, chaînage rompu
+ * @access  Private (Admin avec permission RAPPORTS_FINANCIERS)
+ */
+router.get('/paiements/recus/verification',
+  middlewareAuth,
+  middlewareRateLimit('reporting'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'RAPPORTS_FINANCIERS']),
+  [
+    query('depuis').optional().isInt({ min: 1 }).withMessage('Séquence de départ invalide'),
+    query('limite').optional().isInt({ min: 1, max: 100000 }).withMessage('Limite invalide')
+  ],
+  verifierChaineRecus || creerControleurParDefaut('verifierChaineRecus')
+);
+
+/**
+ * @route   GET /api/admin/paiements/retraits
+ * @desc    File des retraits conducteurs (EN_ATTENTE_APPROBATION par défaut)
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+router.get('/paiements/retraits',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_PAIEMENTS']),
+  [
+    query('statut')
+      .optional()
+      .isIn(['EN_ATTENTE_APPROBATION', 'EN_COURS', 'REUSSI', 'ECHOUE', 'REJETE', 'ANNULE'])
+      .withMessage('Statut de retrait invalide'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+  ],
+  listerRetraits || creerControleurParDefaut('listerRetraits')
+);
+
+/**
+ * @route   POST /api/admin/paiements/retraits/:id/approuver
+ * @desc    Approuver un retrait et l'envoyer au fournisseur de transfert
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+router.post('/paiements/retraits/:id/approuver',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_PAIEMENTS']),
+  validationId,
+  middlewareLogSensitiveAction('RETRAIT_APPROBATION'),
+  approuverRetrait || creerControleurParDefaut('approuverRetrait')
+);
+
+/**
+ * @route   POST /api/admin/paiements/retraits/:id/rejeter
+ * @desc    Rejeter un retrait en attente de validation
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+router.post('/paiements/retraits/:id/rejeter',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_PAIEMENTS']),
+  validationId,
+  [
+    body('motif')
+      .trim()
+      .notEmpty()
+      .withMessage('Le motif est requis')
+      .isLength({ max: 500 })
+      .withMessage('Le motif ne peut pas dépasser 500 caractères')
+  ],
+  middlewareLogSensitiveAction('RETRAIT_REJET'),
+  rejeterRetrait || creerControleurParDefaut('rejeterRetrait')
+);
+
+/**
+ * @route   POST /api/admin/paiements/retraits/:id/verifier
+ * @desc    Relire le statut d'un retrait auprès du fournisseur
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+router.post('/paiements/retraits/:id/verifier',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_PAIEMENTS']),
+  validationId,
+  verifierRetrait || creerControleurParDefaut('verifierRetrait')
+);
+
+// =====================================================
+// ROUTES GESTION DES CODES PROMO
+// =====================================================
+
+const validationCodePromo = (creation) => [
+  (creation ? body('code') : body('code').optional())
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_-]{3,30}$/)
+    .withMessage('Le code doit contenir 3 à 30 lettres, chiffres, tirets ou soulignés'),
+  body('description').optional().trim().isLength({ max: 300 }).withMessage('Description trop longue'),
+  (creation ? body('typeReduction') : body('typeReduction').optional())
+    .isIn(['POURCENTAGE', 'MONTANT_FIXE'])
+    .withMessage('Type de réduction invalide (POURCENTAGE ou MONTANT_FIXE)'),
+  (creation ? body('valeur') : body('valeur').optional())
+    .isInt({ min: 1 })
+    .withMessage('La valeur de la réduction doit être un entier positif'),
+  body(['reductionMax', 'limiteGlobale'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Doit être un entier positif'),
+  body('montantMinimum').optional().isInt({ min: 0 }).withMessage('Montant minimum invalide'),
+  body('limiteParUtilisateur').optional().isInt({ min: 1 }).withMessage('Limite par utilisateur invalide'),
+  (creation ? body('dateDebut') : body('dateDebut').optional())
+    .isISO8601()
+    .withMessage('Date de début invalide'),
+  (creation ? body('dateFin') : body('dateFin').optional())
+    .isISO8601()
+    .withMessage('Date de fin invalide'),
+  body(['actif', 'premiereCourseUniquement']).optional().isBoolean().withMessage('Doit être un booléen'),
+  body(['restrictions.communesDepart', 'restrictions.communesArrivee'])
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Liste de communes invalide')
+];
+
+/**
+ * @route   GET /api/admin/promotions/codes
+ * @desc    Lister les codes promo
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+router.get('/promotions/codes',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_PROMOTIONS']),
+  [
+    query('actif').optional().isBoolean().withMessage('Filtre actif invalide'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page invalide'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite invalide')
+  ],
+  listerCodesPromo || creerControleurParDefaut('listerCodesPromo')
+);
+
+/**
+ * @route   POST /api/admin/promotions/codes
+ * @desc    Créer un code promo (réduction financée par la plateforme)
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+router.post('/promotions/codes',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_PROMOTIONS']),
+  validationCodePromo(true),
+  middlewareLogSensitiveAction('CODE_PROMO_CREATION'),
+  creerCodePromo || creerControleurParDefaut('creerCodePromo')
+);
+
+/**
+ * @route   GET /api/admin/promotions/codes/:id
+ * @desc    Détail d'un code promo et coût de ses réservations
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+router.get('/promotions/codes/:id',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_PROMOTIONS']),
+  validationId,
+  obtenirCodePromo || creerControleurParDefaut('obtenirCodePromo')
+);
+
+/**
+ * @route   PUT /api/admin/promotions/codes/:id
+ * @desc    Modifier ou désactiver un code promo
+ * @access  Private (Admin avec permission GESTION_PROMOTIONS)
+ */
+router.put('/promotions/codes/:id',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_PROMOTIONS']),
+  validationId,
+  validationCodePromo(false),
+  middlewareLogSensitiveAction('CODE_PROMO_MODIFICATION'),
+  modifierCodePromo || creerControleurParDefaut('modifierCodePromo')
+);
+
+// Événement et langue d'un modèle de notification
+const validationModeleNotification = [
+  param('evenement')
+    .matches(/^[A-Z_]{3,60}$/)
+    .withMessage('Événement de notification invalide'),
+  param('langue')
+    .isIn(LANGUES_NOTIFICATION)
+    .withMessage(`Langue invalide (${LANGUES_NOTIFICATION.join(', ')})`)
+];
+
+const validationContenuModele = [
+  body(['titre', 'corps'])
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Le titre et le corps sont requis'),
+  body(['sms', 'whatsapp', 'emailSujet', 'emailCorps'])
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Doit être un texte')
+];
+
+/**
+ * @route   GET /api/admin/notifications/modeles
+ * @desc    Modèles de notifications par événement et par langue (défaut, surcharge)
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+router.get('/notifications/modeles',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_NOTIFICATIONS']),
+  listerModelesNotification || creerControleurParDefaut('listerModelesNotification')
+);
+
+/**
+ * @route   POST /api/admin/notifications/modeles/:evenement/:langue/apercu
+ * @desc    Prévisualiser un modèle, enregistré ou brouillon (body.contenu), avec des variables d'exemple
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+router.post('/notifications/modeles/:evenement/:langue/apercu',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_NOTIFICATIONS']),
+  validationModeleNotification,
+  [
+    body('variables').optional().isObject().withMessage('Les variables doivent être un objet'),
+    body('contenu').optional().isObject().withMessage('Le contenu doit être un objet')
+  ],
+  apercuModeleNotification || creerControleurParDefaut('apercuModeleNotification')
+);
+
+/**
+ * @route   PUT /api/admin/notifications/modeles/:evenement/:langue
+ * @desc    Modifier le texte d'une notification dans une langue, sans redéploiement
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+router.put('/notifications/modeles/:evenement/:langue',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_NOTIFICATIONS']),
+  validationModeleNotification,
+  validationContenuModele,
+  middlewareLogSensitiveAction('MODELE_NOTIFICATION_MODIFICATION'),
+  modifierModeleNotification || creerControleurParDefaut('modifierModeleNotification')
+);
+
+/**
+ * @route   DELETE /api/admin/notifications/modeles/:evenement/:langue
+ * @desc    Rétablir le texte par défaut d'une notification dans une langue
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+router.delete('/notifications/modeles/:evenement/:langue',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_NOTIFICATIONS']),
+  validationModeleNotification,
+  middlewareLogSensitiveAction('MODELE_NOTIFICATION_REINITIALISATION'),
+  reinitialiserModeleNotification || creerControleurParDefaut('reinitialiserModeleNotification')
+);
+
+/**
+ * @route   GET /api/admin/notifications/livraisons/statistiques
+ * @desc    Livraison des notifications par statut, canal et priorité, avec les coûts (30 derniers jours par défaut)
+ * @access  Private (Admin avec permission GESTION_NOTIFICATIONS)
+ */
+router.get('/notifications/livraisons/statistiques',
+  middlewareAuth,
+  middlewareRateLimit('reporting'),
+  middlewareAuthorize(['SUPER_ADMIN', 'MODERATEUR'], ['ALL', 'GESTION_NOTIFICATIONS']),
+  [
+    query('dateDebut').optional().isISO8601().withMessage('Date de début invalide'),
+    query('dateFin').optional().isISO8601().withMessage('Date de fin invalide')
+  ],
+  statistiquesLivraisonsNotifications || creerControleurParDefaut('statistiquesLivraisonsNotifications')
+);
+
 /**
  * @route   GET /api/admin/paiements
  * @desc    Lister tous les paiements
@@ -1038,12 +1396,30 @@ router.post('/paiements/:id/rembourser',
     body('montant')
       .optional()
       .isFloat({ min: 0 })
-      .withMessage('Le montant doit être positif')
+      .withMessage('Le montant doit être positif'),
+    body('appliquerPolitique')
+      .optional()
+      .isBoolean()
+      .withMessage('appliquerPolitique doit être un booléen')
   ],
   middlewareLogSensitiveAction('PAIEMENT_REMBOURSEMENT'),
   rembourserPaiement || creerControleurParDefaut('rembourserPaiement')
 );
 
+/**
+ * @route   POST /api/admin/paiements/:id/liberer-sequestre
+ * @desc    Verser au conducteur les gains séquestrés sans attendre la fin du délai de contestation
+ * @access  Private (Admin avec permission GESTION_PAIEMENTS)
+ */
+router.post('/paiements/:id/liberer-sequestre',
+  middlewareAuth,
+  middlewareRateLimit('standard'),
+  middlewareAuthorize(['SUPER_ADMIN'], ['ALL', 'GESTION_PAIEMENTS']),
+  validationId,
+  middlewareLogSensitiveAction('PAIEMENT_LIBERATION_SEQUESTRE'),
+  libererSequestrePaiement || creerControleurParDefaut('libererSequestrePaiement')
+);
+
 // =====================================================
 // ROUTES DE GESTION DES SIGNALEMENTS
 // =====================================================
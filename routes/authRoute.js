@@ -81,6 +81,7 @@ const {
 } = require('../controllers/authController');
 
 const { authMiddleware } = require('../middlewares/authMiddleware');
+const idempotence = require('../middlewares/idempotence');
 const AppError = require('../utils/AppError');
 
 // =============== RATE LIMITING ===============
@@ -796,10 +797,12 @@ router.get('/peut-accepter-course', authMiddleware, verifierCapaciteAcceptationC
 /**
  * @route   POST /api/auth/recharge
  * @desc    Demander une recharge de compte
+ *          (en-tête Idempotency-Key recommandé pour les renvois du mobile)
  * @access  Privé (conducteurs uniquement)
  */
 router.post('/recharge',
   authMiddleware,
+  idempotence(),
   validateRecharge,
   handleValidationErrors,
   demanderRecharge
@@ -0,0 +1,75 @@
+// routes/calendrier.js
+const express                    = require('express');
+const { param, validationResult } = require('express-validator');
+const calendrierCtrl             = require('../controllers/calendrierController');
+const { authMiddleware }         = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// ===============================================
+// MIDDLEWARE DE VALIDATION DES ERREURS
+// (même pattern que trajetRoutes.js)
+// ===============================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array().map(error => ({
+        champ:   error.path || error.param,
+        message: error.msg,
+        valeur:  error.value
+      }))
+    });
+  }
+  next();
+};
+
+// ===============================================
+// ROUTE PUBLIQUE — sans authentification
+// Interrogée périodiquement par les applications d'agenda
+// ===============================================
+
+/**
+ * @route   GET /api/calendrier/flux/:token.ics
+ * @desc    Flux iCalendar des trajets conduits et des réservations de l'utilisateur
+ * @access  Public (token secret révocable)
+ */
+router.get('/flux/:token.ics',
+  [
+    param('token')
+      .matches(/^[a-f0-9]{48}$/i)
+      .withMessage('Format de token invalide')
+  ],
+  handleValidationErrors,
+  calendrierCtrl.obtenirFlux
+);
+
+// ===============================================
+// ROUTES PROTÉGÉES — gestion du lien depuis le profil
+// ===============================================
+
+/**
+ * @route   GET /api/calendrier/lien
+ * @desc    État du lien d'abonnement (actif, URL, date de génération)
+ * @access  Privé
+ */
+router.get('/lien', authMiddleware, calendrierCtrl.obtenirLien);
+
+/**
+ * @route   POST /api/calendrier/lien
+ * @desc    Générer ou régénérer le lien d'abonnement (invalide l'ancien)
+ * @access  Privé
+ */
+router.post('/lien', authMiddleware, calendrierCtrl.genererLien);
+
+/**
+ * @route   DELETE /api/calendrier/lien
+ * @desc    Révoquer le lien d'abonnement
+ * @access  Privé
+ */
+router.delete('/lien', authMiddleware, calendrierCtrl.revoquerLien);
+
+module.exports = router;
@@ -8,8 +8,18 @@ const {
   validerMessage,
   validerPosition,
   validerModelePredefini,
-  validerSignalement
+  validerSignalement,
+  validerMedia,
+  validerModification,
+  validerAccuses,
+  validerRequeteComplete,
+  filtrerContenu
 } = require('../middlewares/messageMiddleware');
+const {
+  uploadMessageMedia,
+  generateThumbnail,
+  handleUploadError
+} = require('../middlewares/uploadMiddleware');
 
 const {protect : authentificationRequise} = require('../middlewares/authMiddleware')
 
@@ -22,6 +32,7 @@ router.post('/texte',
   authentificationRequise,
   limiterTaux.envoyerMessage,
   validerMessage,
+  filtrerContenu,
   MessageController.envoyerMessageTexte
 );
 
@@ -41,6 +52,25 @@ router.post('/modele',
   MessageController.utiliserModelePredefini
 );
 
+// POST /api/messages/medias - Déposer une photo ou une note vocale (champ "fichier")
+router.post('/medias',
+  authentificationRequise,
+  limiterTaux.envoyerMessage,
+  uploadMessageMedia.single('fichier'),
+  generateThumbnail,
+  MessageController.televerserMedia,
+  handleUploadError
+);
+
+// POST /api/messages/media - Envoyer une photo ou une note vocale déposée
+router.post('/media',
+  authentificationRequise,
+  limiterTaux.envoyerMessage,
+  validerMedia,
+  validerRequeteComplete,
+  MessageController.envoyerMedia
+);
+
 // ===========================================
 // ROUTES READ - Lecture de messages
 // ===========================================
@@ -100,6 +130,16 @@ router.put('/conversation/:conversationId/lu',
   MessageController.marquerConversationCommeLue
 );
 
+// PUT /api/messages/conversation/:conversationId/recu - Accuser réception des messages
+router.put('/conversation/:conversationId/recu',
+  authentificationRequise,
+  verifierAccesConversation,
+  limiterTaux.marquerLu,
+  validerAccuses,
+  validerRequeteComplete,
+  MessageController.marquerConversationRecue
+);
+
 // PUT /api/messages/:messageId/signaler - Signaler message
 router.put('/:messageId/signaler',
   authentificationRequise,
@@ -108,6 +148,15 @@ router.put('/:messageId/signaler',
   MessageController.signalerMessage
 );
 
+// PUT /api/messages/:messageId - Modifier le texte d'un message (délai d'édition)
+router.put('/:messageId',
+  authentificationRequise,
+  limiterTaux.envoyerMessage,
+  validerModification,
+  validerRequeteComplete,
+  MessageController.modifierMessage
+);
+
 // ===========================================
 // ROUTES DELETE - Suppression de messages
 // ===========================================
@@ -1,12 +1,15 @@
 // routes/notifications.js
 const express = require('express');
+const { param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const Utilisateur = require('../models/Utilisateur');
 const Trajet = require('../models/Trajet');  
 const Reservation = require('../models/Reservation');
 const firebaseService = require('../services/firebaseService');
+const notificationCtrl = require('../controllers/notificationController');
 const { authMiddleware } = require('../middlewares/authMiddleware');
 const { logger } = require('../utils/logger');
+const { LANGUES_NOTIFICATION } = require('../utils/modelesNotifications');
 
 /**
  * ═══════════════════════════════════════════════════════════════
@@ -24,6 +27,8 @@ const { logger } = require('../utils/logger');
  * - Notifications de groupe (broadcast aux passagers)
  * - Support multilingue (FR, EN, Baoulé, Dioula)
  * - Tests et monitoring
+ * - Centre de notifications in-app (historique, lecture, suppression)
+ * - Heures silencieuses et accusé de réception des push (repli WhatsApp / SMS)
  */
 
 // ═══════════════════════════════════════════════════════════════
@@ -301,7 +306,7 @@ router.put('/preferences', authMiddleware, async (req, res) => {
       });
     }
     
-    const clefsValides = ['activees', 'reservations', 'paiements', 'trajets', 'promotions', 'messages'];
+    const clefsValides = ['activees', 'reservations', 'paiements', 'trajets', 'promotions', 'messages', 'relevesMensuels', 'heuresSilencieuses'];
     const clefsInvalides = Object.keys(preferences).filter(k => !clefsValides.includes(k));
     
     if (clefsInvalides.length > 0) {
@@ -313,6 +318,21 @@ router.put('/preferences', authMiddleware, async (req, res) => {
       });
     }
     
+    // 🌙 Heures silencieuses : { activees, debut: 'HH:mm', fin: 'HH:mm' }
+    const { heuresSilencieuses } = preferences;
+    if (heuresSilencieuses !== undefined) {
+      const heureValide = (heure) => heure === undefined || /^([01]\d|2[0-3]):[0-5]\d$/.test(heure);
+      if (!heuresSilencieuses || typeof heuresSilencieuses !== 'object'
+        || (heuresSilencieuses.activees !== undefined && typeof heuresSilencieuses.activees !== 'boolean')
+        || !heureValide(heuresSilencieuses.debut) || !heureValide(heuresSilencieuses.fin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Heures silencieuses invalides : { activees: booléen, debut et fin au format HH:mm }',
+          code: 'INVALID_QUIET_HOURS'
+        });
+      }
+    }
+    
     const utilisateur = await Utilisateur.findById(userId);
     
     if (!utilisateur) {
@@ -323,6 +343,16 @@ router.put('/preferences', authMiddleware, async (req, res) => {
       });
     }
     
+    if (heuresSilencieuses) {
+      const actuelles = utilisateur.preferencesNotifications?.heuresSilencieuses || {};
+      preferences.heuresSilencieuses = {
+        activees: actuelles.activees,
+        debut: actuelles.debut,
+        fin: actuelles.fin,
+        ...heuresSilencieuses
+      };
+    }
+    
     if (!utilisateur.preferencesNotifications) {
       utilisateur.preferencesNotifications = {
         activees: true,
@@ -835,7 +865,7 @@ router.put('/language', authMiddleware, async (req, res) => {
     const userId = req.user.userId || req.user.id;
     
     // Langues supportées en Côte d'Ivoire
-    const supportedLanguages = ['fr', 'en', 'baoule', 'dioula'];
+    const supportedLanguages = LANGUES_NOTIFICATION;
     
     if (!language) {
       return res.status(400).json({
@@ -864,7 +894,7 @@ router.put('/language', authMiddleware, async (req, res) => {
       });
     }
     
-    utilisateur.languePref = language;
+    utilisateur.preferencesNotifications.langue = language;
     await utilisateur.save();
     
     logger.info('✅ Langue des notifications mise à jour', {
@@ -1112,5 +1142,110 @@ router.post('/test-fcm-token', authMiddleware, async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// 📥 CENTRE DE NOTIFICATIONS IN-APP
+// ═══════════════════════════════════════════════════════════════
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array().map(error => ({
+        champ: error.path || error.param,
+        message: error.msg,
+        valeur: error.value
+      }))
+    });
+  }
+  next();
+};
+
+const validateNotificationId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Identifiant de notification invalide')
+];
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Historique paginé des notifications, des plus récentes aux plus anciennes
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page invalide'),
+    query('limite')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('La limite doit être comprise entre 1 et 50'),
+    query('nonLues')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('nonLues doit valoir true ou false'),
+    query('canal')
+      .optional()
+      .isIn(['general', 'reservations', 'trajets', 'messages', 'paiements', 'promotions', 'emergency'])
+      .withMessage('Canal de notification invalide')
+  ],
+  handleValidationErrors,
+  notificationCtrl.listerNotifications
+);
+
+/**
+ * @route   GET /api/notifications/non-lues
+ * @desc    Nombre de notifications non lues
+ * @access  Private
+ */
+router.get('/non-lues', authMiddleware, notificationCtrl.compterNonLues);
+
+/**
+ * @route   PATCH /api/notifications/lues
+ * @desc    Marquer toutes les notifications comme lues
+ * @access  Private
+ */
+router.patch('/lues', authMiddleware, notificationCtrl.marquerToutesLues);
+
+/**
+ * @route   PATCH /api/notifications/:id/lue
+ * @desc    Marquer une notification comme lue
+ * @access  Private
+ */
+router.patch('/:id/lue',
+  authMiddleware,
+  validateNotificationId,
+  handleValidationErrors,
+  notificationCtrl.marquerLue
+);
+
+/**
+ * @route   POST /api/notifications/:id/recue
+ * @desc    Accusé de réception du push (identifiant data.notificationId) :
+ *          arrête le repli vers WhatsApp et SMS
+ * @access  Private
+ */
+router.post('/:id/recue',
+  authMiddleware,
+  validateNotificationId,
+  handleValidationErrors,
+  notificationCtrl.accuserReception
+);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Supprimer une notification de l'historique
+ * @access  Private
+ */
+router.delete('/:id',
+  authMiddleware,
+  validateNotificationId,
+  handleValidationErrors,
+  notificationCtrl.supprimerNotification
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
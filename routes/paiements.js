@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const paiementController = require('../controllers/paiementController');
+const retraitController = require('../controllers/retraitController');
 
 // ✅ Import correct des middlewares d'authentification
 const { authMiddleware, roleMiddleware } = require('../middlewares/authMiddleware');
@@ -10,6 +11,9 @@ const { authMiddleware, roleMiddleware } = require('../middlewares/authMiddlewar
 const authenticateToken = authMiddleware;
 const requireRole = (roles) => roleMiddleware(roles);
 
+// Rejeu sûr des requêtes de création (en-tête Idempotency-Key)
+const idempotence = require('../middlewares/idempotence');
+
 // Import des validations
 const {
   // Paiements trajets
@@ -22,6 +26,11 @@ const {
   validateHistoriqueRecharges,
   validateAutoRecharge,
   validateAnnulerRecharge,
+
+  // Retraits
+  validateDemandeRetrait,
+  validateHistoriqueRetraits,
+  validateRetraitId,
   
   // Communes
   validateReferenceTransaction,
@@ -76,6 +85,15 @@ router.post('/webhook/cinetpay',
   paiementController.webhookCinetPay
 );
 
+/**
+ * @route   POST /api/paiements/webhook/:fournisseur
+ * @desc    Notification de paiement d'un fournisseur (wave, orange, sandbox)
+ * @access  Public (Webhook) — signature vérifiée, statut relu auprès du fournisseur
+ */
+router.post('/webhook/:fournisseur',
+  paiementController.webhookFournisseur
+);
+
 /**
  * @route   GET /api/paiements/retour/:referenceTransaction
  * @desc    Page de retour après paiement
@@ -86,6 +104,15 @@ router.get('/retour/:referenceTransaction',
   paiementController.pageRetour
 );
 
+/**
+ * @route   POST /api/paiements/retraits/notification/:fournisseur
+ * @desc    Notification de statut d'un transfert de retrait (cinetpay, local)
+ * @access  Public (Webhook) — statut relu auprès du fournisseur
+ */
+router.post('/retraits/notification/:fournisseur',
+  retraitController.notificationFournisseur
+);
+
 // =========================
 // MIDDLEWARE D'AUTHENTIFICATION
 // =========================
@@ -99,10 +126,12 @@ router.use(authenticateToken);
 /**
  * @route   POST /api/paiements/initier
  * @desc    Initier un paiement pour une réservation de trajet
+ *          (en-tête Idempotency-Key recommandé pour les renvois du mobile)
  * @access  Private (Passager)
  */
 router.post('/initier', 
   validatePaiement, 
+  idempotence(),
   paiementController.initierPaiement
 );
 
@@ -167,6 +196,44 @@ router.get('/methodes/disponibles',
   paiementController.obtenirMethodesDisponibles
 );
 
+// =========================
+// RETRAITS DES GAINS CONDUCTEUR
+// =========================
+
+/**
+ * @route   POST /api/paiements/retraits
+ * @desc    Demander un retrait des gains vers Mobile Money
+ * @access  Private (Conducteur, pièce d'identité vérifiée)
+ */
+router.post('/retraits',
+  requireRole(['conducteur']),
+  validateDemandeRetrait,
+  idempotence(),
+  retraitController.demanderRetrait
+);
+
+/**
+ * @route   GET /api/paiements/retraits
+ * @desc    Historique des retraits du conducteur
+ * @access  Private (Conducteur)
+ */
+router.get('/retraits',
+  requireRole(['conducteur']),
+  validateHistoriqueRetraits,
+  retraitController.listerRetraits
+);
+
+/**
+ * @route   DELETE /api/paiements/retraits/:retraitId
+ * @desc    Annuler un retrait en attente de validation
+ * @access  Private (Conducteur)
+ */
+router.delete('/retraits/:retraitId',
+  requireRole(['conducteur']),
+  validateRetraitId,
+  retraitController.annulerRetrait
+);
+
 /**
  * @route   GET /api/paiements/:paiementId
  * @desc    Obtenir les détails d'un paiement spécifique
@@ -189,6 +256,7 @@ router.get('/:paiementId',
 router.post('/recharge/initier', 
   requireRole(['conducteur']), 
   validateRecharge, 
+  idempotence(),
   paiementController.initierRecharge
 );
 
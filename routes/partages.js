@@ -0,0 +1,86 @@
+// routes/partages.js
+const express                          = require('express');
+const rateLimit                        = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const partageCtrl                      = require('../controllers/partageController');
+
+const router = express.Router();
+
+// ===============================================
+// MIDDLEWARE DE VALIDATION DES ERREURS
+// ===============================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array().map(error => ({
+        champ:   error.path || error.param,
+        message: error.msg,
+        valeur:  error.value
+      }))
+    });
+  }
+  next();
+};
+
+// Liens publics : limiter les essais de jetons et d'initiation de paiement
+const partageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    message: 'Trop de requêtes sur ce lien. Réessayez dans 15 minutes.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+const validateJeton = [
+  param('jeton')
+    .matches(/^[a-f0-9]{48}$/i)
+    .withMessage('Lien de paiement invalide')
+];
+
+// ===============================================
+// ROUTES PUBLIQUES — sans authentification
+// Ouvertes depuis le lien reçu par SMS par chaque co-passager
+// ===============================================
+
+/**
+ * @route   GET /api/partages/:jeton
+ * @desc    Part à payer d'un co-passager (montant, trajet, date limite)
+ * @access  Public (jeton secret du lien de paiement)
+ */
+router.get('/:jeton',
+  partageLimiter,
+  validateJeton,
+  handleValidationErrors,
+  partageCtrl.obtenirPart
+);
+
+/**
+ * @route   POST /api/partages/:jeton/paiement
+ * @desc    Initier le paiement mobile de la part
+ * @access  Public (jeton secret du lien de paiement)
+ */
+router.post('/:jeton/paiement',
+  partageLimiter,
+  [
+    ...validateJeton,
+    body('numeroTelephone')
+      .optional()
+      .trim()
+      .matches(/^(\+225)?[0-9]{8,10}$/)
+      .withMessage('Numéro de téléphone invalide'),
+    body('operateur')
+      .optional()
+      .isIn(['ORANGE', 'MTN', 'MOOV', 'WAVE'])
+      .withMessage('Opérateur invalide')
+  ],
+  handleValidationErrors,
+  partageCtrl.payerPart
+);
+
+module.exports = router;
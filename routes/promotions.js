@@ -0,0 +1,93 @@
+// routes/promotions.js
+const express                   = require('express');
+const { body, validationResult } = require('express-validator');
+const promotionCtrl             = require('../controllers/promotionController');
+const { authMiddleware }        = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// ===============================================
+// MIDDLEWARE DE VALIDATION DES ERREURS
+// ===============================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array().map(error => ({
+        champ:   error.path || error.param,
+        message: error.msg,
+        valeur:  error.value
+      }))
+    });
+  }
+  next();
+};
+
+router.use(authMiddleware);
+
+// ===============================================
+// CODES PROMO
+// ===============================================
+
+/**
+ * @route   POST /api/promotions/verifier
+ * @desc    Aperçu de la réduction d'un code promo sur un trajet (appliquée à la réservation)
+ * @access  Privé
+ */
+router.post('/verifier',
+  [
+    body('codePromo')
+      .trim()
+      .notEmpty()
+      .withMessage('Le code promo est requis')
+      .isLength({ max: 30 })
+      .withMessage('Code promo invalide'),
+    body('trajetId')
+      .isMongoId()
+      .withMessage('ID de trajet invalide'),
+    body('nombrePlaces')
+      .optional()
+      .isInt({ min: 1, max: 8 })
+      .withMessage('Le nombre de places doit être entre 1 et 8'),
+    body(['indexMontee', 'indexDescente'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Index d\'arrêt invalide')
+  ],
+  handleValidationErrors,
+  promotionCtrl.verifierCode
+);
+
+// ===============================================
+// PARRAINAGE
+// ===============================================
+
+/**
+ * @route   GET /api/promotions/parrainage
+ * @desc    Code de parrainage à partager, filleuls et crédit promotionnel disponible
+ * @access  Privé
+ */
+router.get('/parrainage', promotionCtrl.obtenirParrainage);
+
+/**
+ * @route   POST /api/promotions/parrainage
+ * @desc    Enregistrer le code d'un parrain (avant la première course)
+ * @access  Privé
+ */
+router.post('/parrainage',
+  [
+    body('codeParrainage')
+      .trim()
+      .notEmpty()
+      .withMessage('Le code de parrainage est requis')
+      .isLength({ max: 20 })
+      .withMessage('Code de parrainage invalide')
+  ],
+  handleValidationErrors,
+  promotionCtrl.utiliserCodeParrainage
+);
+
+module.exports = router;
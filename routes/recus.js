@@ -0,0 +1,126 @@
+// routes/recus.js
+const express                           = require('express');
+const rateLimit                         = require('express-rate-limit');
+const { param, query, validationResult } = require('express-validator');
+const recuCtrl                          = require('../controllers/recuController');
+const { authMiddleware }                = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// ===============================================
+// MIDDLEWARE DE VALIDATION DES ERREURS
+// ===============================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array().map(error => ({
+        champ:   error.path || error.param,
+        message: error.msg,
+        valeur:  error.value
+      }))
+    });
+  }
+  next();
+};
+
+// Vérification publique : limiter l'énumération des numéros
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: {
+    success: false,
+    message: 'Trop de vérifications. Réessayez dans 15 minutes.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+const validateNumero = [
+  param('numero')
+    .matches(/^RC-\d{4}-\d{6,}$/i)
+    .withMessage('Numéro de reçu invalide')
+];
+
+// ===============================================
+// ROUTE PUBLIQUE — sans authentification
+// ===============================================
+
+/**
+ * @route   GET /api/recus/verification/:numero
+ * @desc    Vérifier l'authenticité d'un reçu (empreinte et chaînage)
+ * @access  Public
+ */
+router.get('/verification/:numero',
+  verificationLimiter,
+  validateNumero,
+  handleValidationErrors,
+  recuCtrl.verifierRecu
+);
+
+router.use(authMiddleware);
+
+// ===============================================
+// REÇUS DE L'UTILISATEUR
+// ===============================================
+
+/**
+ * @route   GET /api/recus
+ * @desc    Reçus de l'utilisateur (payeur ou bénéficiaire), du plus récent au plus ancien
+ * @access  Privé
+ */
+router.get('/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page invalide'),
+    query('limite')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('La limite doit être entre 1 et 100')
+  ],
+  handleValidationErrors,
+  recuCtrl.listerRecus
+);
+
+/**
+ * @route   GET /api/recus/paiements/:paiementId
+ * @desc    Reçu d'un paiement complété (émis immédiatement s'il ne l'est pas encore)
+ * @access  Privé (payeur ou bénéficiaire)
+ */
+router.get('/paiements/:paiementId',
+  [
+    param('paiementId')
+      .isMongoId()
+      .withMessage('ID de paiement invalide')
+  ],
+  handleValidationErrors,
+  recuCtrl.obtenirRecuPaiement
+);
+
+/**
+ * @route   GET /api/recus/:numero
+ * @desc    Détail d'un reçu
+ * @access  Privé (payeur ou bénéficiaire)
+ */
+router.get('/:numero',
+  validateNumero,
+  handleValidationErrors,
+  recuCtrl.obtenirRecu
+);
+
+/**
+ * @route   GET /api/recus/:numero/pdf
+ * @desc    Télécharger le reçu en PDF
+ * @access  Privé (payeur ou bénéficiaire)
+ */
+router.get('/:numero/pdf',
+  validateNumero,
+  handleValidationErrors,
+  recuCtrl.telechargerRecu
+);
+
+module.exports = router;
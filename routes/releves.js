@@ -0,0 +1,98 @@
+// routes/releves.js
+const express                           = require('express');
+const rateLimit                         = require('express-rate-limit');
+const { param, query, validationResult } = require('express-validator');
+const releveCtrl                        = require('../controllers/releveController');
+const { authMiddleware, roleMiddleware } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// ===============================================
+// MIDDLEWARE DE VALIDATION DES ERREURS
+// ===============================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array().map(error => ({
+        champ:   error.path || error.param,
+        message: error.msg,
+        valeur:  error.value
+      }))
+    });
+  }
+  next();
+};
+
+// Envoi par email à la demande : quelques envois par heure suffisent
+const envoiLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 5,
+  message: {
+    success: false,
+    message: 'Trop d\'envois de relevés. Réessayez dans une heure.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+const validatePeriode = [
+  param('annee')
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage('Année invalide'),
+  param('mois')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Le mois doit être entre 1 et 12')
+];
+
+router.use(authMiddleware, roleMiddleware(['conducteur']));
+
+// ===============================================
+// RELEVÉ MENSUEL DU CONDUCTEUR
+// L'envoi automatique le 1er du mois s'active avec la préférence
+// relevesMensuels (PUT /api/notifications/preferences)
+// ===============================================
+
+/**
+ * @route   GET /api/releves/:annee/:mois
+ * @desc    Trajets, montant brut, commissions, gains nets et retraits du mois
+ * @access  Privé (Conducteur)
+ */
+router.get('/:annee/:mois',
+  validatePeriode,
+  handleValidationErrors,
+  releveCtrl.obtenirReleve
+);
+
+/**
+ * @route   GET /api/releves/:annee/:mois/export
+ * @desc    Télécharger le relevé du mois (format=pdf|csv)
+ * @access  Privé (Conducteur)
+ */
+router.get('/:annee/:mois/export',
+  [
+    ...validatePeriode,
+    query('format')
+      .optional()
+      .isIn(['pdf', 'csv'])
+      .withMessage('Format invalide (pdf ou csv)')
+  ],
+  handleValidationErrors,
+  releveCtrl.exporterReleve
+);
+
+/**
+ * @route   POST /api/releves/:annee/:mois/envoyer
+ * @desc    Recevoir le relevé du mois par email (PDF et CSV en pièces jointes)
+ * @access  Privé (Conducteur)
+ */
+router.post('/:annee/:mois/envoyer',
+  envoiLimiter,
+  validatePeriode,
+  handleValidationErrors,
+  releveCtrl.envoyerReleve
+);
+
+module.exports = router;
@@ -61,6 +61,15 @@ const validateCreateReservation = [
   body('pointDepose.coordonnees')
     .isArray({ min: 2, max: 2 })
     .withMessage('Les coordonnées doivent être un tableau [longitude, latitude]'),
+  body('codePromo')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Code promo invalide'),
+  body('utiliserCreditPromotionnel')
+    .optional()
+    .isBoolean()
+    .withMessage('utiliserCreditPromotionnel doit être un booléen'),
   body('bagages.quantite')
     .optional()
     .isInt({ min: 0, max: 10 })
@@ -73,7 +82,15 @@ const validateCreateReservation = [
     .optional()
     .trim()
     .isLength({ max: 200 })
-    .withMessage('La description des bagages ne peut dépasser 200 caractères')
+    .withMessage('La description des bagages ne peut dépasser 200 caractères'),
+  body('indexMontee')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('L\'index de l\'arrêt de montée doit être un entier positif'),
+  body('indexDescente')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('L\'index de l\'arrêt de descente doit être un entier supérieur à 0')
 ];
 
 const validateQueryParams = [
@@ -290,6 +307,72 @@ router.get('/statistiques',
   ReservationController.obtenirStatistiques
 );
 
+// Liste d'attente (avant /:id)
+
+/**
+ * @route   POST /api/reservations/liste-attente
+ * @desc    Rejoindre la liste d'attente d'un trajet complet
+ *          (même corps qu'une réservation ; les places libérées sont
+ *          proposées dans l'ordre d'inscription, pour une durée limitée)
+ * @access  Private
+ */
+router.post('/liste-attente',
+  authMiddleware.requireAuth,
+  validateCreateReservation,
+  handleValidationErrors,
+  ReservationController.rejoindreListeAttente
+);
+
+/**
+ * @route   GET /api/reservations/liste-attente
+ * @desc    Mes inscriptions en liste d'attente, avec ma position
+ * @query   inclureTerminees (true: inclut acceptées / expirées / annulées)
+ * @access  Private
+ */
+router.get('/liste-attente',
+  authMiddleware.requireAuth,
+  [
+    query('inclureTerminees')
+      .optional()
+      .isBoolean()
+      .withMessage('inclureTerminees doit être un booléen')
+  ],
+  handleValidationErrors,
+  ReservationController.obtenirMesListesAttente
+);
+
+/**
+ * @route   PUT /api/reservations/liste-attente/:id/accepter
+ * @desc    Accepter la place proposée (crée la réservation)
+ * @access  Private
+ */
+router.put('/liste-attente/:id/accepter',
+  authMiddleware.requireAuth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID d\'inscription invalide')
+  ],
+  handleValidationErrors,
+  ReservationController.accepterPlaceListeAttente
+);
+
+/**
+ * @route   DELETE /api/reservations/liste-attente/:id
+ * @desc    Quitter la liste d'attente ou décliner la place proposée
+ * @access  Private
+ */
+router.delete('/liste-attente/:id',
+  authMiddleware.requireAuth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID d\'inscription invalide')
+  ],
+  handleValidationErrors,
+  ReservationController.quitterListeAttente
+);
+
 /**
  * @route   GET /api/reservations/:id
  * @desc    Obtenir les détails d'une réservation
@@ -305,11 +388,19 @@ router.get('/:id',
 /**
  * @route   PUT /api/reservations/:id/confirmer
  * @desc    Confirmer une réservation (conducteur uniquement)
+ * @body    accepterSupplementDetour - requis si un supplément de détour est proposé
+ *          (true: ajouté au montant total, false: prix initial conservé)
  * @access  Private
  */
 router.put('/:id/confirmer',
   authMiddleware.requireAuth,
-  validateReservationId,
+  [
+    ...validateReservationId,
+    body('accepterSupplementDetour')
+      .optional()
+      .isBoolean()
+      .withMessage('accepterSupplementDetour doit être un booléen')
+  ],
   handleValidationErrors,
   ReservationController.confirmerReservation
 );
@@ -462,6 +553,18 @@ router.post('/:id/confirmer-prise-en-charge',
   ReservationController.confirmerPriseEnCharge
 );
 
+/**
+ * @route   POST /api/reservations/:id/absence-passager
+ * @desc    Constater l'absence du passager à la prise en charge (frais d'absence selon la politique du trajet)
+ * @access  Private (Conducteur uniquement)
+ */
+router.post('/:id/absence-passager',
+  authMiddleware.requireAuth,
+  validateReservationId,
+  handleValidationErrors,
+  ReservationController.signalerAbsencePassager
+);
+
 // 🆕 NOUVELLES ROUTES - Suivi itinéraire
 
 /**
@@ -548,6 +651,83 @@ router.get('/:id/remboursement',
   ReservationController.calculerRemboursement
 );
 
+// Partage du prix entre co-passagers
+
+/**
+ * @route   POST /api/reservations/:id/partage
+ * @desc    Partager le prix avec des co-passagers (lien de paiement envoyé par SMS à chacun)
+ * @access  Private (Titulaire de la réservation)
+ */
+router.post('/:id/partage',
+  authMiddleware.requireAuth,
+  [
+    ...validateReservationId,
+    body('coPassagers')
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Entre 1 et 7 co-passagers'),
+    body('coPassagers.*.telephone')
+      .trim()
+      .notEmpty()
+      .withMessage('Le téléphone du co-passager est requis'),
+    body('coPassagers.*.nom')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Le nom ne peut dépasser 100 caractères'),
+    body('coPassagers.*.nombrePlaces')
+      .optional()
+      .isInt({ min: 1, max: 7 })
+      .withMessage('Le nombre de places doit être entre 1 et 7'),
+    body('dateLimite')
+      .optional()
+      .isISO8601()
+      .withMessage('Date limite invalide')
+  ],
+  handleValidationErrors,
+  ReservationController.partagerPrix
+);
+
+/**
+ * @route   GET /api/reservations/:id/partage
+ * @desc    Parts du prix partagé et montant restant dû par le titulaire
+ * @access  Private (Titulaire de la réservation)
+ */
+router.get('/:id/partage',
+  authMiddleware.requireAuth,
+  validateReservationId,
+  handleValidationErrors,
+  ReservationController.obtenirPartagePrix
+);
+
+/**
+ * @route   POST /api/reservations/:id/partage/couvrir
+ * @desc    Prendre à sa charge les parts pas encore payées
+ * @access  Private (Titulaire de la réservation)
+ */
+router.post('/:id/partage/couvrir',
+  authMiddleware.requireAuth,
+  validateReservationId,
+  handleValidationErrors,
+  ReservationController.couvrirPartsPrix
+);
+
+/**
+ * @route   POST /api/reservations/:id/partage/parts/:partId/relancer
+ * @desc    Renvoyer son lien de paiement à un co-passager
+ * @access  Private (Titulaire de la réservation)
+ */
+router.post('/:id/partage/parts/:partId/relancer',
+  authMiddleware.requireAuth,
+  [
+    ...validateReservationId,
+    param('partId')
+      .isMongoId()
+      .withMessage('ID de part invalide')
+  ],
+  handleValidationErrors,
+  ReservationController.relancerPartPrix
+);
+
 /**
  * @route   GET /api/reservations/:id/positions
  * @desc    Obtenir l'historique des positions (suivi temps réel)
@@ -586,7 +766,9 @@ router.get('/trajet/:trajetId',
 
 /**
  * @route   GET /api/reservations/trajet/:trajetId/disponibilite
- * @desc    Vérifier la disponibilité d'un trajet
+ * @desc    Vérifier la disponibilité d'un trajet: places par segment,
+ *          matrice montée × descente et prix du tronçon demandé
+ * @query   nombrePlaces, indexMontee (0 = départ), indexDescente (défaut: arrivée)
  * @access  Private
  */
 router.get('/trajet/:trajetId/disponibilite',
@@ -596,12 +778,32 @@ router.get('/trajet/:trajetId/disponibilite',
     query('nombrePlaces')
       .optional()
       .isInt({ min: 1, max: 8 })
-      .withMessage('Le nombre de places doit être entre 1 et 8')
+      .withMessage('Le nombre de places doit être entre 1 et 8'),
+    query('indexMontee')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('L\'index de l\'arrêt de montée doit être un entier positif'),
+    query('indexDescente')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('L\'index de l\'arrêt de descente doit être un entier supérieur à 0')
   ],
   handleValidationErrors,
   ReservationController.verifierDisponibilite
 );
 
+/**
+ * @route   GET /api/reservations/trajet/:trajetId/liste-attente
+ * @desc    File d'attente d'un trajet, dans l'ordre de service (conducteur uniquement)
+ * @access  Private
+ */
+router.get('/trajet/:trajetId/liste-attente',
+  authMiddleware.requireAuth,
+  validateTrajetId,
+  handleValidationErrors,
+  ReservationController.obtenirListeAttenteTrajet
+);
+
 // Routes d'administration
 
 /**
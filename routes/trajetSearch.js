@@ -13,8 +13,9 @@ router.use(authMiddleware);
 /**
  * @route   POST /api/trajets/search/nearby
  * @desc    Recherche géospatiale de trajets — Logique Yango
- *          Cherche les conducteurs proches du passager qui vont dans la même direction.
- *          Vérifie le point de départ ET les arrêts intermédiaires du conducteur.
+ *          Cherche les conducteurs dont l'itinéraire (polyline) passe près de la
+ *          montée ET de la descente du passager, dans le bon ordre (corridor).
+ *          À défaut, vérifie le point de départ ET les arrêts intermédiaires du conducteur.
  * @access  Private (authentification requise)
  * @body    {
  *   departLat:    number  (requis) - Latitude du passager,
@@ -24,6 +25,7 @@ router.use(authMiddleware);
  *   rayonDepart?:  number (km, défaut: 5)  - Grand rayon de recherche initial,
  *   rayonArrivee?: number (km, défaut: 5)  - Rayon autour de la destination,
  *   rayonMontee?:  number (km, défaut: 2)  - Rayon pour détecter un arrêt de montée proche du passager,
+ *   rayonCorridor?: number (m, défaut: 500) - Écart max entre le passager et l'itinéraire du conducteur,
  *   dateDepart?:   string (ISO 8601)       - Date souhaitée du trajet,
  *   toleranceDate?: number (heures, défaut: 2) - Tolérance sur l'horaire,
  *   nombrePassagers?: number - Nombre de places nécessaires,
@@ -42,13 +44,22 @@ router.use(authMiddleware);
  *   trajets: [{
  *     ...infoTrajet,
  *     arretMontee: {          ← où le passager peut monter
- *       type: "DEPART" | "ARRET_INTERMEDIAIRE",
+ *       type: "CORRIDOR" | "DEPART" | "ARRET_INTERMEDIAIRE",
  *       nom: string,
  *       distanceKm: number,
  *       ordre: number
  *     },
  *     distanceMonteeKm: number,   ← distance passager → arrêt de montée
  *     distanceArriveeKm: number,  ← distance destinations
+ *     correspondance: "CORRIDOR" | "ARRETS",
+ *     pointMontee?: {             ← projection de la montée sur l'itinéraire (corridor)
+ *       coordonnees: { lat, lng },
+ *       distanceMetres: number,   ← écart passager ↔ itinéraire
+ *       distanceLeLongKm: number  ← position depuis le départ du conducteur
+ *     },
+ *     pointDescente?: { ... },    ← projection de la descente (même format)
+ *     detourMinutes?: number,     ← détour estimé pour le conducteur
+ *     supplementDetourEstime?: number, ← supplément suggéré (FCFA) selon le tarif du conducteur
  *     conducteur: { ... }
  *   }]
  * }
@@ -134,6 +145,7 @@ router.post('/commune', trajetSearchController.searchByCommune);
  *   rayonDepart?:     number (km, défaut: 5),
  *   rayonArrivee?:    number (km, défaut: 5),
  *   rayonMontee?:     number (km, défaut: 2) - Rayon arrêt de montée autour du passager,
+ *   rayonCorridor?:   number (m, défaut: 500) - Écart max passager ↔ itinéraire du conducteur,
  *   dateDepart?:      string (ISO 8601),
  *   toleranceDate?:   number (heures, défaut: 2),
  *   nombrePassagers?: number,
@@ -151,6 +163,9 @@ router.post('/commune', trajetSearchController.searchByCommune);
  *   methode: "geospatial_yango" | "commune" | "commune_fallback",
  *   fallback?: boolean,       ← true si la géospatiale a été remplacée par commune
  *   fallbackRaison?: string,
+ *   alerte?: {               ← présent si 0 résultat: proposer une recherche sauvegardée
+ *     disponible: true, message, endpoint
+ *   },
  *   geocoding?: {             ← présent si résolution texte → GPS
  *     depart:  { label, precision },
  *     arrivee: { label, precision }
@@ -193,6 +208,104 @@ router.post('/commune', trajetSearchController.searchByCommune);
  */
 router.post('/smart', trajetSearchController.smartSearch);
 
+/**
+ * @route   POST /api/trajets/search/multimodal
+ * @desc    Itinéraires porte-à-porte combinant covoiturage, gbaka / woro-woro et marche.
+ *          Les lignes de transport artisanal viennent du jeu de données local
+ *          (data/transportInformel, format GTFS) : le calcul fonctionne sans Google.
+ *          Les gares routières servent de points de correspondance.
+ *          Durées estimées : attente = moitié de l'intervalle de passage.
+ * @access  Private
+ * @body    {
+ *   departLat:  number (requis),
+ *   departLng:  number (requis),
+ *   arriveeLat: number (requis),
+ *   arriveeLng: number (requis),
+ *   nomDepart?:       string,
+ *   nomArrivee?:      string,
+ *   dateDepart?:      string (ISO 8601, défaut: maintenant),
+ *   toleranceDate?:   number (heures) - Fenêtre de recherche des covoiturages,
+ *   nombrePassagers?: number (défaut: 1),
+ *   tri?:             string (EQUILIBRE | RAPIDE | ECONOMIQUE, défaut: EQUILIBRE),
+ *   limit?:           number (défaut: 5, max: 10),
+ *   inclureLieuxGoogle?: boolean - Ajouter les gares trouvées par Google Places
+ * }
+ * @returns {
+ *   success, count,
+ *   itineraires: [{ rang, resume, modes, heureDepart, heureArrivee, dureeTotaleMinutes,
+ *                   correspondances, prixTotal, distanceMarcheMetres, trajetsAReserver, etapes }],
+ *   parametres
+ * }
+ * @example
+ * POST /api/trajets/search/multimodal
+ * {
+ *   "departLat": 5.3850,
+ *   "departLng": -4.0950,
+ *   "arriveeLat": 5.3196,
+ *   "arriveeLng": -4.0167,
+ *   "dateDepart": "2026-03-10T07:00:00Z",
+ *   "tri": "RAPIDE"
+ * }
+ */
+router.post('/multimodal', trajetSearchController.planifierItineraireMultimodal);
+
+/**
+ * @route   POST /api/trajets/search/sauvegardees
+ * @desc    Enregistrer une recherche et être alerté (push FCM + notification in-app)
+ *          dès qu'un trajet correspondant est publié ou libère des places.
+ *          Même matcher que /nearby (corridor puis arrêts). Un trajet n'est signalé
+ *          qu'une fois par recherche, 3 alertes max par recherche et par jour.
+ *          La recherche expire automatiquement après dateFin.
+ * @access  Private
+ * @body    {
+ *   departLat:  number (requis),
+ *   departLng:  number (requis),
+ *   arriveeLat: number (requis),
+ *   arriveeLng: number (requis),
+ *   dateDebut:  string (ISO 8601, requis) - Début de la fenêtre de départ,
+ *   dateFin:    string (ISO 8601, requis) - Fin de la fenêtre (60 jours max),
+ *   adresseDepart?:  string,
+ *   adresseArrivee?: string,
+ *   rayonKm?:        number (km, défaut: 2) - Rayon autour de la montée et de la descente,
+ *   prixMax?:        number (FCFA),
+ *   nombrePlaces?:   number (défaut: 1),
+ *   libelle?:        string - Ex: "Bureau le matin"
+ * }
+ * @example
+ * POST /api/trajets/search/sauvegardees
+ * {
+ *   "departLat": 5.3601,
+ *   "departLng": -3.9969,
+ *   "arriveeLat": 5.3196,
+ *   "arriveeLng": -4.0167,
+ *   "dateDebut": "2026-03-10T00:00:00Z",
+ *   "dateFin": "2026-03-20T23:59:00Z",
+ *   "prixMax": 1500
+ * }
+ */
+router.post('/sauvegardees', trajetSearchController.creerRechercheSauvegardee);
+
+/**
+ * @route   GET /api/trajets/search/sauvegardees
+ * @desc    Lister mes recherches sauvegardées (?statut=ACTIVE|EXPIREE)
+ * @access  Private
+ */
+router.get('/sauvegardees', trajetSearchController.listerRecherchesSauvegardees);
+
+/**
+ * @route   PUT /api/trajets/search/sauvegardees/:id
+ * @desc    Modifier une recherche (mêmes champs, tous optionnels) — la réactive si expirée
+ * @access  Private
+ */
+router.put('/sauvegardees/:id', trajetSearchController.modifierRechercheSauvegardee);
+
+/**
+ * @route   DELETE /api/trajets/search/sauvegardees/:id
+ * @desc    Supprimer une recherche (plus aucune alerte)
+ * @access  Private
+ */
+router.delete('/sauvegardees/:id', trajetSearchController.supprimerRechercheSauvegardee);
+
 /**
  * @route   GET /api/trajets/search/config
  * @desc    Obtenir la configuration actuelle du service de recherche
@@ -206,7 +319,10 @@ router.post('/smart', trajetSearchController.smartSearch);
  *     LIMITE_RESULTATS_DEFAUT: 20,
  *     RAYON_MAX_KM: 50,
  *     RAYON_MIN_KM: 0.5,
- *     TOLERANCE_DIRECTION_DEGRES: 60
+ *     TOLERANCE_DIRECTION_DEGRES: 60,
+ *     RAYON_CORRIDOR_DEFAUT_METRES: 500,
+ *     RAYON_CORRIDOR_MIN_METRES: 50,
+ *     RAYON_CORRIDOR_MAX_METRES: 5000
  *   }
  * }
  */
@@ -222,11 +338,16 @@ router.get('/health', (req, res) => {
     success: true,
     service: 'Recherche de trajets WAYZ-ECO',
     status: 'Opérationnel',
-    logique: 'Yango — arrêts intermédiaires inclus',
+    logique: 'Yango — corridor d\'itinéraire + arrêts intermédiaires',
     endpoints: {
       'POST /nearby':  'Recherche géospatiale Yango (GPS obligatoire)',
       'POST /commune': 'Recherche par commune/quartier (sans GPS)',
       'POST /smart':   'Recherche intelligente avec fallback automatique (recommandé)',
+      'POST /multimodal':    'Itinéraire covoiturage + gbaka / woro-woro + marche',
+      'POST /sauvegardees':  'Enregistrer une recherche et être alerté',
+      'GET  /sauvegardees':  'Mes recherches sauvegardées',
+      'PUT  /sauvegardees/:id':  'Modifier une recherche sauvegardée',
+      'DELETE /sauvegardees/:id': 'Supprimer une recherche sauvegardée',
       'GET  /config':  'Configuration du service'
     },
     timestamp: new Date().toISOString()
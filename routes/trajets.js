@@ -233,9 +233,53 @@ const validateVehicule = [
     .withMessage('Type de véhicule invalide')
 ];
 
+// Options avancées de récurrence (intervalle, mensuel, horaires, exceptions)
+const validateOptionsRecurrence = [
+  body('recurrence.intervalleSemaines')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('L\'intervalle doit être entre 1 et 52 semaines'),
+  body('recurrence.joursDuMois')
+    .optional()
+    .isArray({ max: 31 })
+    .withMessage('Les jours du mois doivent être un tableau'),
+  body('recurrence.joursDuMois.*')
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Jour du mois invalide (1-31)'),
+  body('recurrence.positionsMensuelles.*.rang')
+    .isIn([1, 2, 3, 4, -1])
+    .withMessage('Rang mensuel invalide (1 à 4, ou -1 pour le dernier)'),
+  body('recurrence.positionsMensuelles.*.jour')
+    .isIn(['LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI', 'DIMANCHE'])
+    .withMessage('Jour de la semaine invalide'),
+  body('recurrence.horairesParJour.*.jour')
+    .isIn(['LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI', 'DIMANCHE'])
+    .withMessage('Jour de la semaine invalide'),
+  body('recurrence.horairesParJour.*.heureDepart')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('L\'heure doit être au format HH:MM'),
+  body('recurrence.exceptions.*.date')
+    .isISO8601()
+    .withMessage('La date d\'exception doit être au format ISO 8601'),
+  body('recurrence.exceptions.*.type')
+    .optional()
+    .isIn(['ANNULEE', 'HORAIRE_MODIFIE'])
+    .withMessage('Type d\'exception invalide'),
+  body('recurrence.exceptions.*.heureDepart')
+    .if(body('recurrence.exceptions.*.type').equals('HORAIRE_MODIFIE'))
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('L\'heure doit être au format HH:MM'),
+  body('recurrence.exceptions.*.motif')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Le motif ne peut dépasser 200 caractères')
+];
+
 // Validation de la récurrence
 const validateRecurrence = [
   body('recurrence.jours')
+    .if(body('recurrence.frequence').not().equals('MENSUEL'))
     .isArray({ min: 1, max: 7 })
     .withMessage('Au moins un jour doit être sélectionné et maximum 7 jours'),
   body('recurrence.jours.*')
@@ -257,7 +301,8 @@ const validateRecurrence = [
   body('recurrence.frequence')
     .optional()
     .isIn(['HEBDOMADAIRE', 'MENSUEL'])
-    .withMessage('Fréquence invalide')
+    .withMessage('Fréquence invalide'),
+  ...validateOptionsRecurrence
 ];
 
 // Validation des préférences
@@ -290,13 +335,38 @@ const validatePreferences = [
     .isBoolean().withMessage('La préférence animaux doit être un booléen'),
   body('preferences.climatisationActive')
     .optional()
-    .isBoolean().withMessage('La préférence climatisation doit être un booléen')
+    .isBoolean().withMessage('La préférence climatisation doit être un booléen'),
+  body('preferences.detourMaxKm')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 50 }).withMessage('Le détour maximum doit être entre 0 et 50 km'),
+  body('preferences.detourMaxMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 120 }).withMessage('Le détour maximum doit être entre 0 et 120 minutes'),
+  body('preferences.tarifDetourParKm')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Le tarif de détour par km doit être positif')
+];
+
+// Politique d'annulation choisie par le conducteur
+const validatePolitiqueAnnulation = [
+  body('politiqueAnnulation')
+    .optional()
+    .isIn(['FLEXIBLE', 'MODEREE', 'STRICTE'])
+    .withMessage('La politique d\'annulation doit être FLEXIBLE, MODEREE ou STRICTE')
 ];
 
 // ===============================================
 // ROUTES PUBLIQUES (sans authentification)
 // ===============================================
 
+/**
+ * @route   GET /api/trajets/politiques-annulation
+ * @desc    Politiques d'annulation proposées aux conducteurs (paliers de
+ *          remboursement, frais d'absence, dédommagement en cas d'annulation tardive)
+ * @access  Public
+ */
+router.get('/politiques-annulation', TrajetController.obtenirPolitiquesAnnulation);
+
 /**
  * @route   GET /api/trajets/recherche
  * @desc    Rechercher des trajets disponibles avec filtres géospatiaux
@@ -413,7 +483,12 @@ router.get('/expirer', [
 /**
  * ⭐ Route de prévisualisation de distance
  * @route   POST /api/trajets/preview-distance
- * @desc    Prévisualiser la distance et durée AVANT de créer un trajet
+ * @desc    Prévisualiser la distance et durée AVANT de créer un trajet,
+ *          avec une fourchette de prix conseillée par passager (data.tarification :
+ *          min, recommande, max, plafond). Si prixParPassager est fourni,
+ *          data.tarification.evaluation indique s'il est bas, élevé ou au-dessus
+ *          du plafond (refusé à la publication en mode BLOQUER).
+ *          Champs optionnels pris en compte : nombrePlacesTotal, arretsIntermediaires.
  * @access  Privé
  */
 router.post('/preview-distance',
@@ -539,6 +614,7 @@ router.post('/ponctuel',
     ...validateNombrePlaces,
     ...validateVehicule,
     ...validatePreferences,
+    ...validatePolitiqueAnnulation,
     body('distance')
       .optional()
       .isFloat({ min: 0, max: 1000 })
@@ -584,6 +660,7 @@ router.post('/recurrent',
     ...validateVehicule,
     ...validateRecurrence,
     ...validatePreferences,
+    ...validatePolitiqueAnnulation,
     body('distance')
       .optional()
       .isFloat({ min: 0, max: 1000 })
@@ -602,6 +679,185 @@ router.post('/recurrent',
   TrajetController.creerTrajetRecurrent
 );
 
+// ===============================================
+// MODÈLES DE TRAJET ET DUPLICATION
+// ===============================================
+
+// Champs d'un modèle (tous optionnels en modification)
+const validateModele = (optionnel = false) => {
+  const champ = (nom) => optionnel ? body(nom).optional() : body(nom);
+  return [
+    champ('nom')
+      .trim()
+      .notEmpty().withMessage('Le nom du modèle est requis')
+      .isLength({ max: 100 }).withMessage('Le nom ne peut dépasser 100 caractères'),
+    body('heureDepart')
+      .optional()
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('L\'heure de départ doit être au format HH:MM (ex: 08:30)'),
+    champ('prixParPassager')
+      .isInt({ min: 0, max: 100000 })
+      .withMessage('Le prix doit être un nombre entier entre 0 et 100 000 FCFA'),
+    champ('nombrePlacesTotal')
+      .isInt({ min: 1, max: 8 })
+      .withMessage('Le nombre total de places doit être entre 1 et 8'),
+    body('commentaireConducteur')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Le commentaire ne peut pas dépasser 500 caractères'),
+    body('arretsIntermediaires')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Maximum 10 points d\'arrêt intermédiaires')
+  ];
+};
+
+// Options de publication d'un modèle ou de duplication d'un trajet
+const validatePublication = [
+  body('dateDepart')
+    .notEmpty().withMessage('La date de départ est requise')
+    .isISO8601().withMessage('La date de départ doit être au format ISO 8601 (YYYY-MM-DD)'),
+  body('heureDepart')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('L\'heure de départ doit être au format HH:MM (ex: 08:30)'),
+  body('prixParPassager')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Le prix doit être un nombre entier entre 0 et 100 000 FCFA'),
+  body('nombrePlacesTotal')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('Le nombre total de places doit être entre 1 et 8'),
+  body('commentaireConducteur')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Le commentaire ne peut pas dépasser 500 caractères')
+];
+
+/**
+ * @route   POST /api/trajets/modeles
+ * @desc    Enregistrer un modèle de trajet (points, arrêts, véhicule, préférences,
+ *          prix et places par défaut, heure proposée). 20 modèles max, nom unique.
+ * @access  Privé (Conducteur)
+ */
+router.post('/modeles',
+  authMiddleware,
+  transformerCoordonneesEnGeoJSON,
+  [
+    ...validateModele(),
+    ...validatePointDepart,
+    ...validatePointArrivee,
+    ...validateVehicule,
+    ...validatePreferences,
+    ...validatePolitiqueAnnulation
+  ],
+  handleValidationErrors,
+  TrajetController.creerModeleTrajet
+);
+
+/**
+ * @route   GET /api/trajets/modeles
+ * @desc    Mes modèles de trajet (derniers utilisés en premier)
+ * @access  Privé (Conducteur)
+ */
+router.get('/modeles', authMiddleware, TrajetController.obtenirModelesTrajet);
+
+/**
+ * @route   PUT /api/trajets/modeles/:modeleId
+ * @desc    Modifier un modèle (mêmes champs, tous optionnels)
+ * @access  Privé (Propriétaire du modèle)
+ */
+router.put('/modeles/:modeleId',
+  authMiddleware,
+  transformerCoordonneesEnGeoJSON,
+  [
+    param('modeleId')
+      .isMongoId().withMessage('ID du modèle invalide'),
+    ...validateModele(true),
+    ...validatePreferences,
+    ...validatePolitiqueAnnulation
+  ],
+  handleValidationErrors,
+  TrajetController.modifierModeleTrajet
+);
+
+/**
+ * @route   DELETE /api/trajets/modeles/:modeleId
+ * @desc    Supprimer un modèle (les trajets déjà publiés ne sont pas touchés)
+ * @access  Privé (Propriétaire du modèle)
+ */
+router.delete('/modeles/:modeleId',
+  authMiddleware,
+  [
+    param('modeleId')
+      .isMongoId().withMessage('ID du modèle invalide')
+  ],
+  handleValidationErrors,
+  TrajetController.supprimerModeleTrajet
+);
+
+/**
+ * @route   POST /api/trajets/modeles/:modeleId/publier
+ * @desc    Publier un trajet ponctuel depuis un modèle. Seule la date est requise ;
+ *          heure, prix, places et commentaire peuvent être ajustés.
+ *          Même validation que POST /ponctuel (date future, véhicule, documents)
+ *          et distance recalculée.
+ * @access  Privé (Propriétaire du modèle)
+ * @example
+ * POST /api/trajets/modeles/665f.../publier
+ * { "dateDepart": "2026-03-12", "heureDepart": "07:15" }
+ */
+router.post('/modeles/:modeleId/publier',
+  authMiddleware,
+  [
+    param('modeleId')
+      .isMongoId().withMessage('ID du modèle invalide'),
+    ...validatePublication
+  ],
+  handleValidationErrors,
+  TrajetController.publierModeleTrajet
+);
+
+/**
+ * @route   POST /api/trajets/:id/cloner
+ * @desc    Dupliquer un de mes trajets (même passé ou annulé) à une nouvelle date.
+ *          Le nouveau trajet est ponctuel ; mêmes options et validation que /publier.
+ * @access  Privé (Propriétaire du trajet)
+ */
+router.post('/:id/cloner',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId().withMessage('ID du trajet invalide'),
+    ...validatePublication
+  ],
+  handleValidationErrors,
+  TrajetController.clonerTrajet
+);
+
+/**
+ * @route   POST /api/trajets/:id/modele
+ * @desc    Enregistrer un de mes trajets comme modèle
+ * @access  Privé (Propriétaire du trajet)
+ * @body    { nom: string (requis) }
+ */
+router.post('/:id/modele',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId().withMessage('ID du trajet invalide'),
+    body('nom')
+      .trim()
+      .notEmpty().withMessage('Le nom du modèle est requis')
+      .isLength({ max: 100 }).withMessage('Le nom ne peut dépasser 100 caractères')
+  ],
+  handleValidationErrors,
+  TrajetController.creerModeleDepuisTrajet
+);
+
 /**
  * @route   GET /api/trajets/historique
  * @desc    Obtenir l'historique des trajets de l'utilisateur connecté
@@ -663,7 +919,8 @@ router.put('/:id',
           throw new Error('La date de départ ne peut pas être dans le passé');
         }
         return true;
-      })
+      }),
+    ...validatePolitiqueAnnulation
   ],
   handleValidationErrors,
   TrajetController.modifierDetailsTrajet
@@ -705,6 +962,40 @@ router.patch('/:id/preferences',
 );
 
 
+/**
+ * @route   PUT /api/trajets/:id/recurrence
+ * @desc    Modifier la récurrence (intervalle, motif mensuel, horaires par jour,
+ *          exceptions). Seules les instances futures sans réservation sont
+ *          régénérées ; les passagers des instances réservées en conflit sont notifiés.
+ * @access  Privé (Propriétaire du trajet)
+ */
+router.put('/:id/recurrence',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId().withMessage('ID du trajet invalide'),
+    body('recurrence')
+      .isObject().withMessage('La récurrence est requise'),
+    body('recurrence.frequence')
+      .optional()
+      .isIn(['HEBDOMADAIRE', 'MENSUEL'])
+      .withMessage('Fréquence invalide'),
+    body('recurrence.jours')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Au moins un jour doit être sélectionné et maximum 7 jours'),
+    body('recurrence.jours.*')
+      .isIn(['LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI', 'DIMANCHE'])
+      .withMessage('Jour de la semaine invalide'),
+    body('recurrence.dateFinRecurrence')
+      .optional()
+      .isISO8601().withMessage('La date de fin doit être au format ISO 8601'),
+    ...validateOptionsRecurrence
+  ],
+  handleValidationErrors,
+  TrajetController.mettreAJourRecurrence
+);
+
 // : Recalculer distance manuellement
 router.patch(
   '/:id/recalculer-distance',
@@ -840,7 +1131,16 @@ router.get('/health', (req, res) => {
       creation: [
         'POST /preview-distance - Prévisualiser distance/durée',
         'POST /ponctuel - Créer un trajet ponctuel',
-        'POST /recurrent - Créer un trajet récurrent'
+        'POST /recurrent - Créer un trajet récurrent',
+        'POST /modeles/:modeleId/publier - Publier depuis un modèle',
+        'POST /:id/cloner - Dupliquer un trajet à une nouvelle date'
+      ],
+      modeles: [
+        'POST /modeles - Créer un modèle',
+        'POST /:id/modele - Enregistrer un trajet comme modèle',
+        'GET /modeles - Mes modèles',
+        'PUT /modeles/:modeleId - Modifier un modèle',
+        'DELETE /modeles/:modeleId - Supprimer un modèle'
       ],
       lecture: [
         'GET /recherche - Rechercher des trajets',
@@ -854,6 +1154,7 @@ router.get('/health', (req, res) => {
         'PUT /:id - Modifier un trajet',
         'PATCH /:id/places - Modifier les places',
         'PATCH /:id/preferences - Modifier les préférences',
+        'PUT /:id/recurrence - Modifier la récurrence (exceptions, horaires, intervalle)',
         'PATCH /:id/statut - Changer le statut',
         'PATCH /:id/annuler - Annuler un trajet'
       ],
@@ -2,6 +2,12 @@ const http = require('http');
 const connectDB = require('./config/db');
 const app = require('./app');
 const trajetAutomationService = require('./services/trajetAutomationService');
+const rapprochementPaiementService = require('./services/rapprochementPaiementService');
+const sequestreService = require('./services/sequestreService');
+const partageReservationService = require('./services/partageReservationService');
+const recuService = require('./services/recuService');
+const releveService = require('./services/releveService');
+const livraisonNotificationsService = require('./services/livraisonNotificationsService');
 
 const PORT = process.env.PORT || 5500;
 const HOST = '0.0.0.0';
@@ -14,6 +20,30 @@ const demarrerServeur = async () => {
     console.log('🚀 Démarrage du service d\'automation des trajets...');
     trajetAutomationService.start();
 
+    if (process.env.RAPPROCHEMENT_ACTIF !== 'false') {
+      rapprochementPaiementService.start();
+    }
+
+    if (process.env.SEQUESTRE_ACTIF !== 'false') {
+      sequestreService.start();
+    }
+
+    if (process.env.PARTAGE_ACTIF !== 'false') {
+      partageReservationService.start();
+    }
+
+    if (process.env.RECUS_ACTIF !== 'false') {
+      recuService.start();
+    }
+
+    if (process.env.RELEVES_ACTIF !== 'false') {
+      releveService.start();
+    }
+
+    if (process.env.LIVRAISON_NOTIF_ACTIF !== 'false') {
+      livraisonNotificationsService.start();
+    }
+
     const server = http.createServer(app);
 
     // Initialiser Socket.io si disponible
@@ -58,6 +88,12 @@ process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM reçu, fermeture...');
   try {
     trajetAutomationService.stop();
+    rapprochementPaiementService.stop();
+    sequestreService.stop();
+    partageReservationService.stop();
+    recuService.stop();
+    releveService.stop();
+    livraisonNotificationsService.stop();
     
     const mongoose = require('mongoose');
     await mongoose.connection.close(false);
@@ -2,8 +2,7 @@
 const mongoose = require('mongoose');
 const AppError = require('../utils/AppError');
 const notificationService = require('./notificationService');
-const firebaseService = require('./firebaseService');
-const Utilisateur = require('../models/Utilisateur');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
 
 // Modèle AlerteUrgence
 const AlerteUrgence = mongoose.model('AlerteUrgence', new mongoose.Schema({
@@ -393,23 +392,22 @@ const notifierServicesUrgence = async (alerte) => {
 const notifierChangementStatut = async (alerte, ancienStatut, nouveauStatut) => {
   try {
     if (alerte.declencheurId) {
-      await firebaseService.sendToUser(
-        alerte.declencheurId,
-        {
-          title: '🔔 Mise à jour de votre alerte',
-          message: `Alerte ${alerte.numeroUrgence}: ${ancienStatut} → ${nouveauStatut}`,
-          data: {
-            type: 'EMERGENCY_ALERT',
-            alerteId: alerte._id.toString(),
-            numeroUrgence: alerte.numeroUrgence,
-            ancienStatut,
-            nouveauStatut
-          },
-          channelId: 'emergency',
-          type: 'emergency'
+      // Urgence : heures silencieuses ignorées, repli WhatsApp puis SMS sans accusé de réception
+      await livraisonNotificationsService.envoyer(alerte.declencheurId, {
+        evenement: 'EMERGENCY_ALERT_STATUS',
+        titre: '🔔 Mise à jour de votre alerte',
+        message: `Alerte ${alerte.numeroUrgence}: ${ancienStatut} → ${nouveauStatut}`,
+        donnees: {
+          type: 'EMERGENCY_ALERT',
+          alerteId: alerte._id.toString(),
+          numeroUrgence: alerte.numeroUrgence,
+          ancienStatut,
+          nouveauStatut
         },
-        Utilisateur
-      );
+        categorie: 'emergency',
+        priorite: 'URGENTE',
+        reference: `${alerte._id}:${nouveauStatut}`
+      });
     }
   } catch (error) {
     console.error('Erreur notification changement statut:', error);
@@ -0,0 +1,564 @@
+const crypto           = require('crypto');
+const Trajet           = require('../models/Trajet');
+const Reservation      = require('../models/Reservation');
+const Utilisateur      = require('../models/Utilisateur');
+const RecurrenceService = require('./recurrenceService');
+
+/**
+ * =========================================================
+ *  📅 calendrierService
+ *  Flux iCalendar (RFC 5545) personnel : trajets conduits et
+ *  réservations passager, consultables par Google Agenda,
+ *  Outlook ou Apple Calendrier via un lien secret révocable
+ * =========================================================
+ */
+
+const PRODID = '-//WAYZ-ECO//Covoiturage Cote d\'Ivoire//FR';
+const DOMAINE_UID = 'wayz-eco.ci';
+const FENETRE_PASSE_JOURS = 7;          // Garder les trajets récents (annulations visibles)
+const HORIZON_RECURRENCE_JOURS = 365;   // Limite de calcul des séries sans fin proche
+const DUREE_PAR_DEFAUT_MINUTES = 60;
+const MS_PAR_JOUR = 24 * 60 * 60 * 1000;
+
+const CODES_JOURS = {
+  LUNDI: 'MO', MARDI: 'TU', MERCREDI: 'WE', JEUDI: 'TH',
+  VENDREDI: 'FR', SAMEDI: 'SA', DIMANCHE: 'SU'
+};
+
+const STATUTS_RESERVATION = {
+  CONFIRMEE: 'CONFIRMED',
+  TERMINEE: 'CONFIRMED',
+  EN_ATTENTE: 'TENTATIVE',
+  ANNULEE: 'CANCELLED',
+  REFUSEE: 'CANCELLED'
+};
+
+const calendrierService = {
+
+  // ─────────────────────────────────────────────────────────────
+  // 1. TOKEN ET LIEN D'ABONNEMENT
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Génère un token secret de 48 caractères hexadécimaux (192 bits)
+   * @returns {string}
+   */
+  _genererToken() {
+    return crypto.randomBytes(24).toString('hex');
+  },
+
+  /**
+   * Construit l'URL du flux à partir du token
+   * @param {string} token
+   * @returns {string}
+   */
+  construireUrlFlux(token) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}/api/calendrier/flux/${token}.ics`;
+  },
+
+  /**
+   * Génère (ou régénère) le token du flux. L'ancien lien cesse
+   * immédiatement de fonctionner.
+   * @param {string} userId
+   * @returns {Promise<{ url: string, genereLe: Date }>}
+   */
+  async activerFlux(userId) {
+    const token = this._genererToken();
+    const genereLe = new Date();
+
+    const resultat = await Utilisateur.updateOne(
+      { _id: userId },
+      { $set: { 'calendrier.token': token, 'calendrier.genereLe': genereLe } }
+    );
+
+    if (!resultat.matchedCount) {
+      throw new Error('Utilisateur introuvable');
+    }
+
+    return { url: this.construireUrlFlux(token), genereLe };
+  },
+
+  /**
+   * Révoque le lien du flux : les agendas abonnés reçoivent un 404
+   * @param {string} userId
+   * @returns {Promise<boolean>} - false si aucun flux n'était actif
+   */
+  async revoquerFlux(userId) {
+    const resultat = await Utilisateur.updateOne(
+      { _id: userId, 'calendrier.token': { $exists: true } },
+      { $unset: { 'calendrier.token': '' }, $set: { 'calendrier.genereLe': null } }
+    );
+    return resultat.modifiedCount > 0;
+  },
+
+  /**
+   * État du flux pour l'écran profil
+   * @param {string} userId
+   * @returns {Promise<{ actif: boolean, url: string|null, genereLe: Date|null }>}
+   */
+  async obtenirStatut(userId) {
+    const utilisateur = await Utilisateur.findById(userId).select('+calendrier.token');
+    if (!utilisateur) {
+      throw new Error('Utilisateur introuvable');
+    }
+
+    const token = utilisateur.calendrier?.token;
+    return {
+      actif: Boolean(token),
+      url: token ? this.construireUrlFlux(token) : null,
+      genereLe: token ? utilisateur.calendrier.genereLe : null
+    };
+  },
+
+  // ─────────────────────────────────────────────────────────────
+  // 2. GÉNÉRATION DU FLUX
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Génère le flux ICS correspondant à un token
+   * @param {string} token
+   * @returns {Promise<string|null>} - null si le token est inconnu ou le compte inactif
+   */
+  async genererFluxParToken(token) {
+    const utilisateur = await Utilisateur.findOne({
+      'calendrier.token': token,
+      statutCompte: { $nin: ['SUSPENDU', 'BLOQUE'] }
+    }).select('nom prenom');
+
+    if (!utilisateur) {
+      return null;
+    }
+
+    return this.genererFlux(utilisateur);
+  },
+
+  /**
+   * Génère le flux complet d'un utilisateur :
+   * trajets conduits (séries récurrentes en RRULE) + réservations passager
+   * @param {Object} utilisateur - { _id, nom, prenom }
+   * @param {Date} maintenant
+   * @returns {Promise<string>}
+   */
+  async genererFlux(utilisateur, maintenant = new Date()) {
+    const debutFenetre = new Date(maintenant.getTime() - FENETRE_PASSE_JOURS * MS_PAR_JOUR);
+    const horizon = new Date(maintenant.getTime() + HORIZON_RECURRENCE_JOURS * MS_PAR_JOUR);
+
+    const [evenementsConducteur, evenementsPassager] = await Promise.all([
+      this._evenementsConducteur(utilisateur._id, debutFenetre, horizon),
+      this._evenementsPassager(utilisateur._id, debutFenetre)
+    ]);
+
+    const nom = [utilisateur.prenom, utilisateur.nom].filter(Boolean).join(' ');
+    return this._envelopper(
+      [...evenementsConducteur, ...evenementsPassager],
+      nom ? `WAYZ-ECO — ${nom}` : 'WAYZ-ECO'
+    );
+  },
+
+  /**
+   * Trajets du conducteur : ponctuels + séries récurrentes.
+   * Les instances d'une série n'apparaissent pas en double : elles ne
+   * sont émises qu'en surcharge (RECURRENCE-ID) lorsqu'elles diffèrent.
+   * @private
+   */
+  async _evenementsConducteur(conducteurId, debutFenetre, horizon) {
+    const [series, trajets] = await Promise.all([
+      Trajet.find({ conducteurId, typeTrajet: 'RECURRENT' }).lean(),
+      Trajet.find({
+        conducteurId,
+        typeTrajet: { $ne: 'RECURRENT' },
+        dateDepart: { $gte: debutFenetre }
+      }).sort({ dateDepart: 1 }).lean()
+    ]);
+
+    const instancesParSerie = new Map();
+    const ponctuels = [];
+
+    trajets.forEach(trajet => {
+      const serieId = trajet.trajetRecurrentId?.toString();
+      if (serieId && series.some(s => s._id.toString() === serieId)) {
+        if (!instancesParSerie.has(serieId)) instancesParSerie.set(serieId, []);
+        instancesParSerie.get(serieId).push(trajet);
+      } else {
+        ponctuels.push(trajet);
+      }
+    });
+
+    const evenements = [];
+
+    series.forEach(serie => {
+      const { evenements: evenementsSerie, instancesHorsSerie } = this._evenementsSerie(
+        serie,
+        instancesParSerie.get(serie._id.toString()) || [],
+        debutFenetre,
+        horizon
+      );
+      evenements.push(...evenementsSerie);
+      ponctuels.push(...instancesHorsSerie);
+    });
+
+    ponctuels.forEach(trajet => {
+      evenements.push(this._construireEvenement({
+        uid: `trajet-${trajet._id}@${DOMAINE_UID}`,
+        ...this._contenuTrajet(trajet),
+        debut: this._dateDepartTrajet(trajet),
+        statut: trajet.statutTrajet === 'ANNULE' ? 'CANCELLED' : 'CONFIRMED',
+        modifieLe: trajet.updatedAt
+      }));
+    });
+
+    return evenements;
+  },
+
+  /**
+   * Convertit un trajet récurrent en une ou plusieurs séries RRULE
+   *
+   * - Hebdomadaire : une série par heure de départ distincte (horairesParJour)
+   * - Mensuel : une série BYMONTHDAY et/ou une série BYDAY positionnelle
+   * - Exceptions ANNULEE : EXDATE
+   * - Horaire modifié / instance annulée : VEVENT de surcharge (RECURRENCE-ID)
+   *
+   * @private
+   * @returns {{ evenements: Array<Array<string>>, instancesHorsSerie: Array<Object> }}
+   */
+  _evenementsSerie(serie, instances, debutFenetre, horizon) {
+    const recurrence = serie.recurrence || {};
+    const evenements = [];
+
+    if (RecurrenceService.validerConfiguration(recurrence)) {
+      return { evenements, instancesHorsSerie: instances };
+    }
+
+    const premierJour = new Date(serie.dateDepart);
+    premierJour.setHours(0, 0, 0, 0);
+    const debut = premierJour > debutFenetre ? premierJour : debutFenetre;
+    const finRecurrence = recurrence.dateFinRecurrence ? new Date(recurrence.dateFinRecurrence) : horizon;
+    const fin = finRecurrence < horizon ? finRecurrence : horizon;
+
+    if (debut > fin) {
+      return { evenements, instancesHorsSerie: instances };
+    }
+
+    // Occurrences effectives (exceptions et horaires par jour appliqués)
+    const reelles = new Map(
+      RecurrenceService.genererOccurrences(recurrence, debut, fin, serie.heureDepart, serie.dateDepart)
+        .map(occurrence => [this._cleJour(occurrence.date), occurrence])
+    );
+    const instancesParJour = new Map(instances.map(instance => [this._cleJour(new Date(instance.dateDepart)), instance]));
+    const joursCouverts = new Set();
+    const contenu = this._contenuTrajet(serie);
+    const annulee = serie.statutTrajet === 'ANNULE';
+
+    this._reglesRecurrence(recurrence, serie.heureDepart).forEach(regle => {
+      const theoriques = RecurrenceService.genererOccurrences(
+        regle.motif, debut, fin, regle.heureDepart, serie.dateDepart
+      );
+      if (theoriques.length === 0) return;
+
+      const uid = `serie-${serie._id}-${regle.cle}@${DOMAINE_UID}`;
+      const exdates = [];
+      const surcharges = [];
+
+      theoriques.forEach(({ date }) => {
+        const cle = this._cleJour(date);
+
+        // Jour déjà couvert par une autre règle (ex. le 25 = dernier vendredi)
+        if (joursCouverts.has(cle) || !reelles.has(cle)) {
+          exdates.push(date);
+          return;
+        }
+        joursCouverts.add(cle);
+
+        const instance = instancesParJour.get(cle);
+        instancesParJour.delete(cle);
+
+        const debutReel = instance ? this._dateDepartTrajet(instance) : reelles.get(cle).date;
+        const instanceAnnulee = instance?.statutTrajet === 'ANNULE';
+
+        if (instanceAnnulee || debutReel.getTime() !== date.getTime()) {
+          surcharges.push(this._construireEvenement({
+            uid,
+            ...(instance ? this._contenuTrajet(instance) : contenu),
+            debut: debutReel,
+            recurrenceId: date,
+            statut: instanceAnnulee || annulee ? 'CANCELLED' : 'CONFIRMED',
+            modifieLe: instance?.updatedAt || serie.updatedAt
+          }));
+        }
+      });
+
+      evenements.push(this._construireEvenement({
+        uid,
+        ...contenu,
+        debut: theoriques[0].date,
+        rrule: `${regle.rrule};UNTIL=${this._formaterDateUTC(fin)}`,
+        exdates,
+        statut: annulee ? 'CANCELLED' : 'CONFIRMED',
+        modifieLe: serie.updatedAt
+      }), ...surcharges);
+    });
+
+    // Instances conservées hors motif (ex. réservées avant un changement de récurrence)
+    return { evenements, instancesHorsSerie: [...instancesParJour.values()] };
+  },
+
+  /**
+   * Découpe une récurrence en règles RRULE exprimables
+   * @private
+   * @returns {Array<{ cle: string, motif: Object, heureDepart: string, rrule: string }>}
+   */
+  _reglesRecurrence(recurrence, heureDepart) {
+    if ((recurrence.frequence || 'HEBDOMADAIRE') === 'MENSUEL') {
+      const regles = [];
+
+      if (recurrence.joursDuMois?.length) {
+        regles.push({
+          cle: 'jours-du-mois',
+          motif: { frequence: 'MENSUEL', joursDuMois: recurrence.joursDuMois },
+          heureDepart,
+          rrule: `FREQ=MONTHLY;BYMONTHDAY=${recurrence.joursDuMois.join(',')}`
+        });
+      }
+
+      if (recurrence.positionsMensuelles?.length) {
+        const positions = recurrence.positionsMensuelles
+          .map(position => `${position.rang}${CODES_JOURS[position.jour]}`);
+        regles.push({
+          cle: 'positions',
+          motif: { frequence: 'MENSUEL', positionsMensuelles: recurrence.positionsMensuelles },
+          heureDepart,
+          rrule: `FREQ=MONTHLY;BYDAY=${positions.join(',')}`
+        });
+      }
+
+      return regles;
+    }
+
+    // Hebdomadaire : regrouper les jours partageant la même heure de départ
+    const horaires = new Map((recurrence.horairesParJour || []).map(h => [h.jour, h.heureDepart]));
+    const intervalle = recurrence.intervalleSemaines || 1;
+    const groupes = new Map();
+
+    recurrence.jours.forEach(jour => {
+      const heure = horaires.get(jour) || heureDepart;
+      if (!groupes.has(heure)) groupes.set(heure, []);
+      groupes.get(heure).push(jour);
+    });
+
+    return [...groupes.entries()].map(([heure, jours]) => ({
+      cle: heure.replace(':', ''),
+      motif: { frequence: 'HEBDOMADAIRE', jours, intervalleSemaines: intervalle },
+      heureDepart: heure,
+      rrule: `FREQ=WEEKLY;INTERVAL=${intervalle};BYDAY=${jours.map(j => CODES_JOURS[j]).join(',')};WKST=MO`
+    }));
+  },
+
+  /**
+   * Réservations du passager (mêmes données que /mes-reservations)
+   * @private
+   */
+  async _evenementsPassager(passagerId, debutFenetre) {
+    const reservations = await Reservation.obtenirReservationsUtilisateur(passagerId, {
+      type: 'all',
+      limite: 200
+    });
+
+    return reservations
+      .filter(reservation => new Date(reservation.trajetId.dateDepart) >= debutFenetre)
+      .map(reservation => this._evenementReservation(reservation));
+  },
+
+  /**
+   * @private
+   */
+  _evenementReservation(reservation) {
+    const trajet = reservation.trajetId;
+    const conducteur = trajet.conducteurId || {};
+    const vehicule = trajet.vehiculeUtilise;
+    const priseEnCharge = reservation.pointPriseEnCharge || trajet.pointDepart || {};
+    const depose = reservation.pointDepose || trajet.pointArrivee || {};
+
+    const description = [
+      conducteur.nom && `Conducteur : ${[conducteur.prenom, conducteur.nom].filter(Boolean).join(' ')}`
+        + (conducteur.telephone ? ` (${conducteur.telephone})` : ''),
+      vehicule && `Véhicule : ${vehicule.marque} ${vehicule.modele} ${vehicule.couleur} — ${vehicule.immatriculation}`,
+      `Places réservées : ${reservation.nombrePlacesReservees}`,
+      reservation.montantTotal !== undefined && `Montant : ${reservation.montantTotal} FCFA`,
+      `Prise en charge : ${this._lieu(priseEnCharge)}`,
+      `Dépose : ${this._lieu(depose)}`
+    ].filter(Boolean).join('\n');
+
+    const trajetAnnule = trajet.statutTrajet === 'ANNULE';
+
+    return this._construireEvenement({
+      uid: `reservation-${reservation._id}@${DOMAINE_UID}`,
+      resume: `Covoiturage : ${this._lieu(trajet.pointDepart)} → ${this._lieu(trajet.pointArrivee)}`,
+      description,
+      lieu: this._lieu(priseEnCharge),
+      geo: priseEnCharge.coordonnees?.coordinates,
+      debut: this._dateDepartTrajet(trajet),
+      dureeMinutes: trajet.dureeEstimee,
+      statut: trajetAnnule ? 'CANCELLED' : (STATUTS_RESERVATION[reservation.statutReservation] || 'TENTATIVE'),
+      modifieLe: reservation.updatedAt
+    });
+  },
+
+  /**
+   * Champs communs d'un trajet conduit
+   * @private
+   */
+  _contenuTrajet(trajet) {
+    const vehicule = trajet.vehiculeUtilise;
+    const placesReservees = (trajet.nombrePlacesTotal || 0) - (trajet.nombrePlacesDisponibles || 0);
+
+    const description = [
+      `Départ : ${this._lieu(trajet.pointDepart)}`,
+      `Arrivée : ${this._lieu(trajet.pointArrivee)}`,
+      trajet.typeTrajet !== 'RECURRENT' && `Places réservées : ${placesReservees}/${trajet.nombrePlacesTotal}`,
+      `Prix par passager : ${trajet.prixParPassager} FCFA`,
+      vehicule && `Véhicule : ${vehicule.marque} ${vehicule.modele} — ${vehicule.immatriculation}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      resume: `Trajet conducteur : ${this._lieu(trajet.pointDepart)} → ${this._lieu(trajet.pointArrivee)}`,
+      description,
+      lieu: this._lieu(trajet.pointDepart),
+      geo: trajet.pointDepart?.coordonnees?.coordinates,
+      dureeMinutes: trajet.dureeEstimee
+    };
+  },
+
+  // ─────────────────────────────────────────────────────────────
+  // 3. FORMAT iCALENDAR
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Construit les lignes d'un VEVENT
+   * @private
+   * @returns {Array<string>}
+   */
+  _construireEvenement({
+    uid, resume, description, lieu, geo, debut, dureeMinutes,
+    statut, rrule, exdates = [], recurrenceId, modifieLe
+  }) {
+    const fin = new Date(debut.getTime() + (dureeMinutes || DUREE_PAR_DEFAUT_MINUTES) * 60000);
+    const lignes = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${this._formaterDateUTC(new Date())}`
+    ];
+
+    if (recurrenceId) lignes.push(`RECURRENCE-ID:${this._formaterDateUTC(recurrenceId)}`);
+    lignes.push(`DTSTART:${this._formaterDateUTC(debut)}`, `DTEND:${this._formaterDateUTC(fin)}`);
+    if (rrule) lignes.push(`RRULE:${rrule}`);
+    if (exdates.length) lignes.push(`EXDATE:${exdates.map(d => this._formaterDateUTC(d)).join(',')}`);
+
+    lignes.push(`SUMMARY:${this._echapperTexte(resume)}`);
+    if (description) lignes.push(`DESCRIPTION:${this._echapperTexte(description)}`);
+    if (lieu) lignes.push(`LOCATION:${this._echapperTexte(lieu)}`);
+    if (Array.isArray(geo) && geo.length === 2) lignes.push(`GEO:${geo[1]};${geo[0]}`);
+    lignes.push(`STATUS:${statut}`);
+    if (modifieLe) lignes.push(`LAST-MODIFIED:${this._formaterDateUTC(new Date(modifieLe))}`);
+    lignes.push('END:VEVENT');
+
+    return lignes;
+  },
+
+  /**
+   * Assemble le VCALENDAR (lignes pliées, fins de ligne CRLF)
+   * @private
+   */
+  _envelopper(evenements, nomCalendrier) {
+    const lignes = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this._echapperTexte(nomCalendrier)}`,
+      'X-WR-TIMEZONE:Africa/Abidjan',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H',
+      ...evenements.flat(),
+      'END:VCALENDAR'
+    ];
+
+    return lignes.map(ligne => this._plierLigne(ligne)).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Échappe un texte selon RFC 5545 §3.3.11
+   * @private
+   */
+  _echapperTexte(texte) {
+    return String(texte ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Plie une ligne à 75 octets (RFC 5545 §3.1) sans couper un caractère UTF-8
+   * @private
+   */
+  _plierLigne(ligne) {
+    const morceaux = [];
+    let courant = '';
+    let octets = 0;
+    let limite = 75;
+
+    for (const caractere of ligne) {
+      const taille = Buffer.byteLength(caractere);
+      if (octets + taille > limite) {
+        morceaux.push(courant);
+        courant = '';
+        octets = 0;
+        limite = 74; // L'espace de continuation compte pour un octet
+      }
+      courant += caractere;
+      octets += taille;
+    }
+    morceaux.push(courant);
+
+    return morceaux.join('\r\n ');
+  },
+
+  /**
+   * Date au format UTC iCalendar (AAAAMMJJTHHMMSSZ)
+   * @private
+   */
+  _formaterDateUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  /**
+   * Date/heure de départ d'un trajet
+   * Cohérent avec setUTCHours utilisé dans TrajetController
+   * @private
+   */
+  _dateDepartTrajet(trajet) {
+    const date = new Date(trajet.dateDepart);
+    const [h, m] = (trajet.heureDepart || '00:00').split(':').map(Number);
+    date.setUTCHours(h, m, 0, 0);
+    return date;
+  },
+
+  /**
+   * @private
+   */
+  _lieu(point) {
+    return point?.adresse || point?.nom || '';
+  },
+
+  /**
+   * Clé de jour (heure locale, comme RecurrenceService)
+   * @private
+   */
+  _cleJour(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  }
+};
+
+module.exports = calendrierService;
@@ -0,0 +1,196 @@
+// services/centreNotificationsService.js
+
+const Notification = require('../models/Notification');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+// Identifiants repris dans le lien profond (reservationId, trajetId, ...)
+const PARAMETRE_LIEN = /(Id|reference|Reference)$/;
+
+/**
+ * 📥 Centre de notifications in-app
+ *
+ * Historique des notifications de chaque utilisateur, qu'il ait reçu le push
+ * ou non (aucun token FCM valide, push désactivé, application fermée).
+ * Toute notification remise par l'orchestrateur (livraisonNotificationsService,
+ * appelé aussi par notificationService) ou envoyée par firebaseService y est
+ * enregistrée avec son type, ses données et un lien profond vers l'écran
+ * concerné ; le nombre de notifications non lues est poussé en direct dans la
+ * salle Socket.IO user_<id> à chaque changement.
+ */
+class CentreNotificationsService {
+
+  constructor() {
+    this.config = {
+      SCHEMA_LIEN: process.env.APP_DEEP_LINK_SCHEME || 'wayzeco',
+      LIMITE_MAX: 50
+    };
+
+    // Renseigné par realtime/socket.js au démarrage du serveur
+    this.io = null;
+  }
+
+  utiliserSocket(io) {
+    this.io = io;
+  }
+
+  /**
+   * Lien profond construit depuis l'écran cible et les identifiants des données
+   * @param {Object} donnees - données de la notification (screen, reservationId, ...)
+   * @returns {string|null}
+   */
+  lienProfond(donnees = {}) {
+    if (!donnees.screen) return null;
+
+    const parametres = new URLSearchParams();
+    Object.keys(donnees)
+      .filter(cle => PARAMETRE_LIEN.test(cle) && donnees[cle] !== undefined && donnees[cle] !== null && donnees[cle] !== '')
+      .forEach(cle => parametres.append(cle, String(donnees[cle])));
+
+    const requete = parametres.toString();
+    return `${this.config.SCHEMA_LIEN}://ecran/${donnees.screen}${requete ? `?${requete}` : ''}`;
+  }
+
+  /**
+   * Enregistre une notification et la signale en direct au destinataire
+   * @param {Object} notification - { destinataireId, type, titre, message, donnees, lien, canal }
+   * @returns {Promise<Object>} document Notification
+   */
+  async enregistrer({ destinataireId, type, titre, message, donnees = {}, lien, canal = 'general' }) {
+    const notification = await Notification.create({
+      destinataireId,
+      type,
+      titre: String(titre).slice(0, 150),
+      message: String(message).slice(0, 1000),
+      donnees,
+      lien: lien === undefined ? this.lienProfond(donnees) : lien,
+      canal
+    });
+
+    if (this.io) {
+      this.io.to(`user_${destinataireId}`).emit('notification:new', this._presenter(notification));
+      // La notification est enregistrée : un compteur non transmis n'est pas une erreur
+      try {
+        await this.emettreNonLues(destinataireId);
+      } catch (error) {
+        logger.warn(`Compteur de notifications non transmis (${destinataireId}): ${error.message}`);
+      }
+    }
+
+    return notification;
+  }
+
+  /**
+   * Notifications de l'utilisateur, des plus récentes aux plus anciennes
+   * @param {string} utilisateurId
+   * @param {Object} options - { page, limite, nonLues, canal }
+   * @returns {Promise<{ notifications: Array, pagination: Object, nonLues: number }>}
+   */
+  async lister(utilisateurId, { page = 1, limite = 20, nonLues = false, canal = null } = {}) {
+    limite = Math.min(limite, this.config.LIMITE_MAX);
+
+    const filtre = { destinataireId: utilisateurId };
+    if (nonLues) filtre.lue = false;
+    if (canal) filtre.canal = canal;
+
+    const [notifications, total, nombreNonLues] = await Promise.all([
+      Notification.find(filtre)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limite)
+        .limit(limite)
+        .lean(),
+      Notification.countDocuments(filtre),
+      this.compterNonLues(utilisateurId)
+    ]);
+
+    return {
+      notifications: notifications.map(n => this._presenter(n)),
+      pagination: { page, limite, total, pages: Math.ceil(total / limite) },
+      nonLues: nombreNonLues
+    };
+  }
+
+  async compterNonLues(utilisateurId) {
+    return Notification.countDocuments({ destinataireId: utilisateurId, lue: false });
+  }
+
+  /**
+   * Marque une notification comme lue (sans effet si elle l'est déjà)
+   * @returns {Promise<{ notification: Object, nonLues: number }>}
+   */
+  async marquerLue(notificationId, utilisateurId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, destinataireId: utilisateurId, lue: false },
+      { $set: { lue: true, dateLecture: new Date() } },
+      { new: true }
+    ).lean() || await Notification.findOne({ _id: notificationId, destinataireId: utilisateurId }).lean();
+
+    if (!notification) {
+      throw this._erreur('Notification introuvable', 'NOTIFICATION_NOT_FOUND', 404);
+    }
+
+    const nonLues = await this.emettreNonLues(utilisateurId);
+    return { notification: this._presenter(notification), nonLues };
+  }
+
+  /**
+   * Marque toutes les notifications de l'utilisateur comme lues
+   * @returns {Promise<{ modifiees: number, nonLues: number }>}
+   */
+  async marquerToutesLues(utilisateurId) {
+    const resultat = await Notification.updateMany(
+      { destinataireId: utilisateurId, lue: false },
+      { $set: { lue: true, dateLecture: new Date() } }
+    );
+
+    const nonLues = await this.emettreNonLues(utilisateurId);
+    return { modifiees: resultat.modifiedCount || 0, nonLues };
+  }
+
+  /**
+   * Supprime une notification de l'utilisateur
+   * @returns {Promise<{ nonLues: number }>}
+   */
+  async supprimer(notificationId, utilisateurId) {
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, destinataireId: utilisateurId });
+    if (!notification) {
+      throw this._erreur('Notification introuvable', 'NOTIFICATION_NOT_FOUND', 404);
+    }
+
+    const nonLues = await this.emettreNonLues(utilisateurId);
+    return { nonLues };
+  }
+
+  /**
+   * Pousse le nombre de notifications non lues dans la salle de l'utilisateur
+   * @returns {Promise<number>} nombre de notifications non lues
+   */
+  async emettreNonLues(utilisateurId) {
+    const nonLues = await this.compterNonLues(utilisateurId);
+    if (this.io) {
+      this.io.to(`user_${utilisateurId}`).emit('notification:unread_count', { nonLues });
+    }
+    return nonLues;
+  }
+
+  _presenter(notification) {
+    return {
+      id: notification._id,
+      type: notification.type,
+      canal: notification.canal,
+      titre: notification.titre,
+      message: notification.message,
+      donnees: notification.donnees,
+      lien: notification.lien,
+      lue: notification.lue,
+      dateLecture: notification.dateLecture,
+      dateCreation: notification.createdAt
+    };
+  }
+
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
+}
+
+module.exports = new CentreNotificationsService();
@@ -4,6 +4,8 @@ const axios = require('axios');
 const Paiement = require('../models/Paiement');
 const Reservation = require('../models/Reservation');
 const Utilisateur = require('../models/Utilisateur');
+const FournisseurPaiement = require('./connectors/fournisseurPaiement');
+const CinetPayTransfertConnector = require('./connectors/cinetPayTransfertConnector');
 const { logger } = require('../utils/logger');
 
 /**
@@ -39,8 +41,17 @@ const { logger } = require('../utils/logger');
  * Limites de dépôt CI : min 300 FCFA / max 2 000 000 FCFA
  */
 
-class CinetPayService {
+// Refus définitifs à l'initiation (paramètres, compte client) : pas de bascule
+const CODES_REFUS = [1004, 2004, 2005, 2006, 2007, 2010];
+
+/**
+ * Adaptateur CinetPay de la passerelle de paiement (paiementMobileService).
+ * Agrégateur : sert tous les opérateurs, et reste le secours des API directes.
+ */
+class CinetPayService extends FournisseurPaiement {
   constructor() {
+    super();
+    this.nom         = 'cinetpay';
     this.apiUrl      = process.env.CINETPAY_API_URL || 'https://api.cinetpay.net';
     this.apiKey      = process.env.CINETPAY_API_KEY;       // sk_test_...
     this.apiPassword = process.env.CINETPAY_SECRET_KEY;    // mot de passe API
@@ -56,6 +67,10 @@ class CinetPayService {
     this._accessToken    = null;
     this._tokenExpiresAt = null;
 
+    // Remboursements : envoyés comme des transferts
+    this.transfert = new CinetPayTransfertConnector();
+    this.enabled   = Boolean(this.apiKey && this.apiPassword);
+
     if (!this.apiKey || !this.apiPassword) {
       logger.warn('⚠️ Configuration CinetPay incomplète — CINETPAY_API_KEY ou CINETPAY_SECRET_KEY manquant');
     } else {
@@ -172,217 +187,80 @@ class CinetPayService {
   }
 
   // ─────────────────────────────────────────────────────────────
-  // 🚀 INITIER UN PAIEMENT
+  // 🚀 INITIER UNE TRANSACTION
   // ─────────────────────────────────────────────────────────────
 
   /**
-   * Initier un paiement mobile via CinetPay v1.0
+   * Initier une transaction CinetPay v1.0
    * POST /v1/payment  (Authorization: Bearer {token})
+   * @param {Object} transaction - voir FournisseurPaiement
    */
-  async initierPaiement(reservationId, montantTotal, options = {}) {
-    try {
-      logger.info('🚀 Initiation paiement CinetPay v1.0', {
-        reservationId,
-        montantTotal,
-        methodePaiement: options.methodePaiement,
-        isRecharge: options.isRecharge
-      });
-
-      // ── 1. Charger les données métier ──────────────────────────
-      let passager, conducteur, trajet, designation;
-
-      if (options.isRecharge) {
-        const user = await Utilisateur.findById(options.userId)
-          .select('nom prenom email telephone compteCovoiturage');
-        if (!user) throw new Error('Utilisateur introuvable');
-
-        passager    = user;
-        conducteur  = null;
-        trajet      = null;
-        designation = `Recharge compte conducteur - ${montantTotal} FCFA`;
-
-      } else {
-        const reservation = await Reservation.findById(reservationId)
-          .populate('passagerId')
-          .populate({
-            path: 'trajetId',
-            populate: { path: 'conducteurId', select: 'nom prenom compteCovoiturage noteMoyenne statistiques' }
-          });
-        if (!reservation) throw new Error('Reservation introuvable');
-
-        passager   = reservation.passagerId;
-        conducteur = reservation.trajetId.conducteurId;
-        trajet     = reservation.trajetId;
-
-        const nomDepart  = trajet.pointDepart?.nom  || trajet.pointDepart?.adresse  || 'Depart';
-        const nomArrivee = trajet.pointArrivee?.nom || trajet.pointArrivee?.adresse || 'Arrivee';
-        designation = `Paiement trajet ${nomDepart} - ${nomArrivee}`.substring(0, 100);
-      }
-
-      // ── 2. Créer ou récupérer l'enregistrement Paiement ───────
-      let paiement = null;
-      if (options.referenceInterne) {
-        paiement = await Paiement.findOne({ referenceTransaction: options.referenceInterne });
-      }
-
-      if (!paiement) {
-        const paiementData = {
-          payeurId:        passager._id,
-          montantTotal,
-          methodePaiement: options.methodePaiement || 'MOBILE_MONEY',
-          statutPaiement:  'EN_ATTENTE',
-          securite: {
-            ipAddress: options.ipAddress,
-            userAgent: options.userAgent,
-            deviceId:  options.deviceId
-          }
-        };
-
-        if (options.isRecharge) {
-          paiementData.beneficiaireId = passager._id;
-          paiementData.commission = {
-            taux: 0, tauxOriginal: 0, montant: 0,
-            modePrelevement:   'paiement_mobile',
-            statutPrelevement: 'preleve'
-          };
-          paiementData.reglesPaiement = {
-            conducteurCompteRecharge: passager.compteCovoiturage?.estRecharge || false,
-            modesAutorises:           ['MOBILE_MONEY'],
-            raisonValidation:         'Recharge de compte conducteur',
-            verificationsPassees:     true,
-            soldeSuffisant:           true
-          };
-        } else {
-          paiementData.reservationId  = reservationId;
-          paiementData.beneficiaireId = conducteur._id;
-          paiementData.commission = {
-            taux: 0.10, tauxOriginal: 0.10, montant: 0,
-            modePrelevement:   'paiement_mobile',
-            statutPrelevement: 'en_attente'
-          };
-          paiementData.reglesPaiement = {
-            conducteurCompteRecharge: conducteur.compteCovoiturage?.estRecharge || false,
-            soldeConducteurAvant:     conducteur.compteCovoiturage?.solde || 0,
-            soldeMinimumRequis:       1000,
-            verificationsPassees:     false
-          };
-        }
-
-        paiement = new Paiement(paiementData);
-
-        if (!options.isRecharge && trajet && conducteur) {
-          const distanceKm     = trajet.distanceKm || 0;
-          const noteConducteur = conducteur.noteMoyenne || 0;
-          await paiement.calculerCommissionDynamique(distanceKm, noteConducteur);
-
-          const nombreTrajetsMois = conducteur.statistiques?.trajetsEffectuesMois || 0;
-          paiement.appliquerPrimePerformance(noteConducteur, nombreTrajetsMois);
-
-          const reglesValides = await paiement.validerReglesPaiement();
-          if (!reglesValides) throw new Error('Regles de paiement non respectees');
-        }
-
-        if (options.numeroTelephone && options.operateur) {
-          paiement.initierPaiementMobile(options.numeroTelephone, options.operateur);
-        }
-
-        await paiement.save();
-      }
-
-      // ── 3. Préparer le payload CinetPay v1.0 ──────────────────
-      const transactionId = paiement.referenceTransaction;
-      const phoneNumber   = options.numeroTelephone || passager.telephone;
-      if (!phoneNumber) throw new Error('Numero de telephone requis pour le paiement');
-
-      const paymentMethod = this.mapperMethodePaiement(
-        options.methodePaiement || 'MOBILE_MONEY',
-        options.operateur || null
-      );
-
-      const cinetPayData = {
-        currency:                'XOF',
-        // payment_method omis si null → CinetPay affiche tous les opérateurs
-        ...(paymentMethod && { payment_method: paymentMethod }),
-        merchant_transaction_id: transactionId,
-        amount:                  Math.round(montantTotal),
-        success_url:             this.successUrl,
-        failed_url:              this.failedUrl,
-        notify_url:              this.notifyUrl,
-        lang:                    'fr',
-        designation:             designation,
-        client_first_name:       passager.prenom || 'Client',
-        client_last_name:        passager.nom    || 'Utilisateur',
-        client_phone_number:     phoneNumber,
-        client_email:            passager.email  || `user${passager._id}@wayz-eco.local`,
-        direct_pay:              false
-      };
+  async initier(transaction) {
+    const paymentMethod = this.mapperMethodePaiement(
+      transaction.methodePaiement || 'MOBILE_MONEY',
+      transaction.operateur || null
+    );
+
+    const cinetPayData = {
+      currency:                transaction.devise || 'XOF',
+      // payment_method omis si null → CinetPay affiche tous les opérateurs
+      ...(paymentMethod && { payment_method: paymentMethod }),
+      merchant_transaction_id: transaction.reference,
+      amount:                  Math.round(transaction.montant),
+      success_url:             this.successUrl,
+      failed_url:              this.failedUrl,
+      notify_url:              this.notifyUrl,
+      lang:                    'fr',
+      designation:             transaction.designation,
+      client_first_name:       transaction.client?.prenom || 'Client',
+      client_last_name:        transaction.client?.nom    || 'Utilisateur',
+      client_phone_number:     transaction.numeroTelephone,
+      client_email:            transaction.client?.email,
+      direct_pay:              false
+    };
 
-      logger.info('📤 Envoi requête CinetPay v1.0 /v1/payment', {
-      merchant_transaction_id: transactionId,
-      amount:         montantTotal,
+    logger.info('📤 Envoi requête CinetPay v1.0 /v1/payment', {
+      merchant_transaction_id: transaction.reference,
+      amount:         transaction.montant,
       payment_method: paymentMethod || 'non spécifié (tous opérateurs)'
     });
 
-      // ── 4. Appel API avec token OAuth ──────────────────────────
-      const response = await this.appellerAPICinetPay('/v1/payment', cinetPayData);
-
-      // ── 5. Traiter la réponse ──────────────────────────────────
-      // code 100  = SUCCESS (immédiat)
-      // code 200  = OK (initié, attente confirmation)
-      // code 2001 = INITIATED (attente action utilisateur)
-      // code 1200 = TRANSACTION_EXIST (déjà existante)
-      if ([100, 200, 2001, 1200].includes(Number(response.code))) {
-        paiement.referencePaiementMobile = response.transaction_id || transactionId;
-        paiement.ajouterLog('CINETPAY_INITIE', {
-          cinetpayTransactionId: response.transaction_id,
-          merchantTransactionId: response.merchant_transaction_id,
-          code:   response.code,
-          status: response.status
-        });
-        await paiement.save();
-
-        // Si paiement immédiatement confirmé → traiter commission
-        if (Number(response.code) === 100) {
-          await paiement.traiterCommissionApresPayement();
-          logger.info('✅ Paiement immédiatement confirmé (code 100)', { transactionId });
-        }
+    let response;
+    try {
+      response = await this.appellerAPICinetPay('/v1/payment', cinetPayData);
+    } catch (error) {
+      throw this.erreur(error.message);
+    }
 
-        logger.info('✅ Paiement CinetPay v1.0 initié avec succès', {
-          paiementId:           paiement._id,
-          referenceTransaction: transactionId,
-          code:   response.code,
-          status: response.status
-        });
+    const code = Number(response.code);
 
-        return {
-          success:               true,
-          paiementId:            paiement._id,
-          referenceTransaction:  transactionId,
-          cinetpayTransactionId: response.transaction_id,
-          urlPaiement:           response.payment_url, 
-          token:                 response.payment_token,  
-          statut:                response.status,
-          message:               'Paiement initie — confirmez sur votre telephone mobile'
-        };
-
-      } else {
-        paiement.statutPaiement = 'ECHEC';
-        paiement.ajouterErreur('CINETPAY_INIT_ECHEC', response.message || response.status || 'Erreur inconnue');
-        await paiement.save();
-
-        logger.error('❌ Échec initiation CinetPay v1.0', {
-          code:    response.code,
-          status:  response.status,
-          message: response.message
-        });
+    // code 100  = SUCCESS (immédiat)
+    // code 200  = OK (initié, attente confirmation)
+    // code 2001 = INITIATED (attente action utilisateur)
+    // code 1200 = TRANSACTION_EXIST (déjà existante)
+    if ([100, 200, 2001, 1200].includes(code)) {
+      return {
+        statut:        code === 100 ? 'COMPLETE' : 'EN_ATTENTE',
+        transactionId: response.transaction_id,
+        urlPaiement:   response.payment_url,
+        jeton:         response.payment_token,
+        code,
+        status:        response.status
+      };
+    }
 
-        throw new Error(this._traduireCodeErreur(response.code, response.status));
-      }
+    logger.error('❌ Échec initiation CinetPay v1.0', {
+      code,
+      status:  response.status,
+      message: response.message
+    });
 
-    } catch (error) {
-      logger.error('❌ Erreur initiation paiement CinetPay:', { message: error.message });
-      throw error;
+    // Refus lié à la demande ou au client : un autre fournisseur ne ferait pas mieux
+    if (CODES_REFUS.includes(code)) {
+      return { statut: 'ECHEC', code, status: response.status, message: this._traduireCodeErreur(code, response.status) };
     }
+
+    throw this.erreur(this._traduireCodeErreur(code, response.status), { code });
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -390,57 +268,92 @@ class CinetPayService {
   // ─────────────────────────────────────────────────────────────
 
   /**
-   * Vérifier le statut d'une transaction
-   * GET /v1/payment/{merchant_transaction_id}  (Authorization: Bearer {token})
+   * Statut normalisé d'une transaction
+   * @param {string} referenceTransaction - merchant_transaction_id
    */
-  async verifierStatutTransaction(referenceTransaction) {
+  async verifier(referenceTransaction) {
+    let data;
     try {
-      logger.info('🔍 Vérification statut transaction CinetPay v1.0', { referenceTransaction });
-
-      const paiement = await Paiement.findOne({ referenceTransaction })
-        .populate('payeurId', 'nom prenom email')
-        .populate('beneficiaireId', 'nom prenom email compteCovoiturage');
-
-      if (!paiement) throw new Error('Transaction introuvable');
+      data = await this.consulterTransaction(referenceTransaction);
+    } catch (error) {
+      // L'API répond 404 (HTTP) pour une référence qu'elle ne connaît pas
+      data = error.response?.data;
+      if (!data) throw this.erreur(`Vérification CinetPay impossible : ${error.message}`);
+    }
 
-      const token = await this.obtenirToken();
+    const code = Number(data.code);
+    let statut = 'EN_ATTENTE';
+    if ([100, 1200].includes(code)) statut = 'COMPLETE';
+    else if ([2010, 2005].includes(code)) statut = 'ECHEC';
+    else if ([2003, 2008].includes(code)) statut = 'EXPIRE';
+    else if (code === 404) statut = 'INCONNU';
+
+    return {
+      statut,
+      code,
+      status:          data.status,
+      montant:         this._montantTransaction(data),
+      transactionId:   data.transaction_id || data.data?.transaction_id || null,
+      numeroTelephone: data.user?.phone_number,
+      message:         statut === 'ECHEC' ? this._traduireCodeErreur(code, data.status) : undefined
+    };
+  }
 
-      const response = await axios.get(
-        `${this.apiUrl}/v1/payment/${referenceTransaction}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Accept': 'application/json'
-          },
-          timeout: 20000
-        }
-      );
+  /**
+   * Lire une transaction chez CinetPay sans rien modifier
+   * @returns {Promise<Object>} réponse brute { code, status, amount, transaction_id, ... }
+   */
+  async consulterTransaction(referenceTransaction) {
+    const token = await this.obtenirToken();
 
-      const data = response.data;
-      logger.info('📥 Réponse vérification statut', { code: data.code, status: data.status });
+    const response = await axios.get(
+      `${this.apiUrl}/v1/payment/${referenceTransaction}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        },
+        timeout: 20000
+      }
+    );
 
-      await this._mettreAJourStatutPaiement(paiement, data);
-      await paiement.save();
+    return response.data;
+  }
 
-      return {
-        success:        true,
-        statutPaiement: paiement.statutPaiement,
-        paiement:       paiement.obtenirResume ? paiement.obtenirResume() : { _id: paiement._id, statut: paiement.statutPaiement }
-      };
+  // ─────────────────────────────────────────────────────────────
+  // ↩️ REMBOURSER
+  // ─────────────────────────────────────────────────────────────
 
-    } catch (error) {
-      logger.error('❌ Erreur vérification statut CinetPay v1.0:', { message: error.message });
-      throw error;
+  /**
+   * L'API de paiement ne rembourse pas : le montant est renvoyé au payeur
+   * par un transfert (API Transfert, mêmes identifiants que les retraits)
+   */
+  async rembourser({ reference, montant, numeroTelephone, operateur, nomTitulaire }) {
+    if (!this.transfert.enabled || !numeroTelephone) {
+      return { statut: 'NON_SUPPORTE', message: 'Transfert CinetPay non configuré ou numéro inconnu' };
     }
+    return this.transfert.envoyer({
+      reference: `RMB-${reference}`,
+      montant,
+      numeroMobile: numeroTelephone,
+      operateur,
+      nomTitulaire
+    });
   }
 
   // ─────────────────────────────────────────────────────────────
-  // 📨 TRAITER UN WEBHOOK
+  // 📨 NOTIFICATIONS
   // ─────────────────────────────────────────────────────────────
 
   /**
-   * Traiter une notification webhook reçue de CinetPay
-   *
+   * Les notifications CinetPay v1.0 ne sont pas signées : le statut est
+   * toujours relu via l'API avant d'être appliqué
+   */
+  verifierSignature() {
+    return true;
+  }
+
+  /**
    * Format reçu :
    * {
    *   "notify_token":            "4bbd93ce...",
@@ -448,90 +361,45 @@ class CinetPayService {
    *   "transaction_id":          "50901a80...",
    *   "user": { name, email, phone_number }
    * }
-   *
-   * Selon la doc : après réception, vérifier le statut final via l'API
    */
-  async traiterWebhook(webhookData) {
-    try {
-      logger.info('📨 Webhook CinetPay v1.0 reçu', {
-        merchant_transaction_id: webhookData.merchant_transaction_id,
-        transaction_id:          webhookData.transaction_id
-      });
-
-      const { merchant_transaction_id, transaction_id, notify_token, user } = webhookData;
-
-      if (!merchant_transaction_id) {
-        logger.error('❌ Webhook invalide — merchant_transaction_id manquant');
-        return { success: false, message: 'merchant_transaction_id manquant' };
-      }
-
-      const paiement = await Paiement.findOne({ referenceTransaction: merchant_transaction_id })
-        .populate('beneficiaireId', 'compteCovoiturage nom prenom email');
-
-      if (!paiement) {
-        logger.error('❌ Paiement introuvable pour webhook', { merchant_transaction_id });
-        return { success: false, message: 'Paiement introuvable' };
-      }
-
-      paiement.ajouterLog('WEBHOOK_RECU', {
-        notify_token,
-        transaction_id,
-        user,
-        dateReception: new Date()
-      });
-
-      // ⚠️ Selon doc CinetPay : vérifier le statut final via l'API après réception du webhook
-      try {
-        const token = await this.obtenirToken();
-        const statusResponse = await axios.get(
-          `${this.apiUrl}/v1/payment/${merchant_transaction_id}`,
-          {
-            headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' },
-            timeout: 15000
-          }
-        );
-
-        logger.info('🔍 Statut vérifié après webhook', {
-          code:   statusResponse.data.code,
-          status: statusResponse.data.status
-        });
-
-        await this._mettreAJourStatutPaiement(paiement, statusResponse.data);
-
-      } catch (verifyError) {
-        // Fallback si la vérification échoue : notify_token présent = succès probable
-        logger.warn('⚠️ Vérification statut impossible après webhook — fallback', {
-          message: verifyError.message
-        });
+  interpreterNotification({ corps = {} } = {}) {
+    const { merchant_transaction_id, transaction_id, notify_token, user } = corps;
+    return {
+      reference:     merchant_transaction_id || null,
+      transactionId: transaction_id || null,
+      // Repli si la relecture échoue : notify_token présent = succès probable
+      resultatProbable: notify_token
+        ? { statut: 'COMPLETE', status: 'NOTIFY_TOKEN', transactionId: transaction_id, numeroTelephone: user?.phone_number }
+        : null
+    };
+  }
 
-        if (notify_token) {
-          paiement.statutPaiement = 'COMPLETE';
-          paiement.dateCompletion = new Date();
-          if (paiement.mobileMoney) {
-            paiement.mobileMoney.statutMobileMoney = 'SUCCESS';
-            paiement.mobileMoney.transactionId     = transaction_id;
-            if (user?.phone_number) paiement.mobileMoney.numeroTelephone = user.phone_number;
-            paiement.mobileMoney.dateTransaction   = new Date();
-          }
-          paiement.ajouterLog('WEBHOOK_SUCCESS_FALLBACK', { notify_token, transaction_id });
-          await paiement.traiterCommissionApresPayement();
-        }
-      }
+  // ─────────────────────────────────────────────────────────────
+  // 🔄 COMPATIBILITÉ (passerelle de paiement)
+  // ─────────────────────────────────────────────────────────────
 
-      await paiement.save();
+  // Chargée à l'usage : la passerelle instancie elle-même ce service
+  _passerelle() {
+    return require('./paiementMobileService');
+  }
 
-      logger.info('✅ Webhook CinetPay v1.0 traité', {
-        merchant_transaction_id,
-        statutFinal: paiement.statutPaiement
-      });
+  /**
+   * Initier un paiement via la passerelle (routage par opérateur)
+   */
+  async initierPaiement(reservationId, montantTotal, options = {}) {
+    return this._passerelle().initierPaiement(reservationId, montantTotal, options);
+  }
 
-      return {
-        success:        true,
-        message:        'Webhook traite avec succes',
-        paiementId:     paiement._id,
-        statutPaiement: paiement.statutPaiement
-      };
+  /**
+   * Vérifier une transaction auprès de cette instance et appliquer son statut
+   */
+  async verifierStatutTransaction(referenceTransaction) {
+    return this._passerelle().verifierStatutTransaction(referenceTransaction, { fournisseur: this });
+  }
 
+  async traiterWebhook(webhookData) {
+    try {
+      return await this._passerelle().traiterWebhook('cinetpay', { corps: webhookData });
     } catch (error) {
       logger.error('❌ Erreur traitement webhook CinetPay v1.0:', { message: error.message });
       return { success: false, message: error.message };
@@ -611,53 +479,10 @@ class CinetPayService {
   // 🔧 MÉTHODES PRIVÉES
   // ─────────────────────────────────────────────────────────────
 
-  /**
-   * Mettre à jour le statut d'un paiement selon la réponse CinetPay
-   */
-  async _mettreAJourStatutPaiement(paiement, data) {
-    const code = Number(data.code);
-
-    if (code === 100) {
-      // ✅ SUCCESS — statut final positif
-      paiement.statutPaiement = 'COMPLETE';
-      paiement.dateCompletion = new Date();
-      if (paiement.mobileMoney) {
-        paiement.mobileMoney.statutMobileMoney = 'SUCCESS';
-        paiement.mobileMoney.transactionId     = data.transaction_id;
-        if (data.user?.phone_number) paiement.mobileMoney.numeroTelephone = data.user.phone_number;
-        paiement.mobileMoney.dateTransaction   = new Date();
-      }
-      paiement.ajouterLog('PAIEMENT_CONFIRME', { code, status: data.status, transactionId: data.transaction_id });
-      await paiement.traiterCommissionApresPayement();
-      logger.info('✅ Paiement confirmé SUCCESS', { referenceTransaction: paiement.referenceTransaction });
-
-    } else if (code === 1200) {
-      // Transaction déjà existante et traitée — succès
-      paiement.statutPaiement = 'COMPLETE';
-      paiement.dateCompletion = paiement.dateCompletion || new Date();
-      paiement.ajouterLog('TRANSACTION_EXISTANTE', { code, status: data.status });
-
-    } else if ([2010, 2005].includes(code)) {
-      // ❌ FAILED / INSUFFICIENT_BALANCE — statuts finaux négatifs
-      paiement.statutPaiement = 'ECHEC';
-      if (paiement.mobileMoney) paiement.mobileMoney.statutMobileMoney = 'FAILED';
-      paiement.ajouterErreur('PAIEMENT_ECHOUE', this._traduireCodeErreur(code, data.status));
-      logger.warn('⚠️ Paiement échoué', { code, status: data.status });
-
-    } else if ([2001, 2002].includes(code)) {
-      // ⏳ En attente (non final)
-      paiement.ajouterLog('PAIEMENT_EN_ATTENTE', { code, status: data.status });
-      logger.info('⏳ Paiement en attente', { code, status: data.status });
-
-    } else if ([2003, 2004, 2008].includes(code)) {
-      // ⏰ Expiré ou erreur OTP
-      paiement.ajouterLog('PAIEMENT_EXPIRE_OTP', { code, status: data.status });
-      logger.warn('⚠️ Paiement expiré ou OTP invalide', { code, status: data.status });
-
-    } else {
-      paiement.ajouterLog('STATUT_INCONNU', { code, status: data.status });
-      logger.warn('⚠️ Code statut CinetPay non géré', { code, status: data.status });
-    }
+  // Montant encaissé selon CinetPay (à plat ou sous `data` selon l'endpoint)
+  _montantTransaction(data) {
+    const montant = data.amount ?? data.data?.amount;
+    return montant === undefined || montant === null ? null : Number(montant);
   }
 
   /**
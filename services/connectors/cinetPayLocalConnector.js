@@ -0,0 +1,42 @@
+// services/connectors/cinetPayLocalConnector.js
+const CinetPayService = require('../cinetPayService');
+
+/**
+ * Fournisseur de paiement local (développement et tests)
+ *
+ * Reprend toute la logique de CinetPayService (statuts appliqués et
+ * comptabilisés par la passerelle) mais lit les transactions dans une table en mémoire
+ * au lieu d'appeler l'API : `enregistrerTransaction` simule ce que
+ * CinetPay renverrait pour une référence. Une référence inconnue répond
+ * NOT_FOUND, comme l'API réelle.
+ */
+class CinetPayLocalConnector extends CinetPayService {
+  constructor() {
+    super();
+    this.nom = 'local';
+    this.transactions = new Map();
+  }
+
+  /**
+   * @param {string} referenceTransaction
+   * @param {Object} transaction - { code, status, amount, transactionId }
+   */
+  enregistrerTransaction(referenceTransaction, { code = 100, status = 'SUCCESS', amount = null, transactionId = null } = {}) {
+    this.transactions.set(referenceTransaction, {
+      code,
+      status,
+      amount,
+      transaction_id: transactionId || `LOCAL-${referenceTransaction}`
+    });
+  }
+
+  async consulterTransaction(referenceTransaction) {
+    return this.transactions.get(referenceTransaction) || { code: 404, status: 'NOT_FOUND' };
+  }
+
+  async obtenirToken() {
+    return 'local';
+  }
+}
+
+module.exports = CinetPayLocalConnector;
@@ -0,0 +1,176 @@
+// services/connectors/cinetPayTransfertConnector.js
+const axios = require('axios');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Connecteur de transfert CinetPay (API Transfert)
+ *
+ * Envoie les retraits des conducteurs vers leur numéro Mobile Money :
+ * POST /v1/auth/login                  → token (valable 5 min)
+ * POST /v1/transfer/contact            → enregistrement du bénéficiaire
+ * POST /v1/transfer/money/send/contact → envoi (client_transaction_id = référence du retrait)
+ * GET  /v1/transfer/check/money        → statut (treatment_status VAL / REJ / NEW / REC)
+ *
+ * Les notifications de transfert ne sont pas signées : le statut est
+ * toujours relu via /check/money avant d'être appliqué.
+ */
+
+// treatment_status CinetPay → statut de Retrait
+const STATUTS_TRAITEMENT = {
+  VAL: 'REUSSI',
+  REJ: 'ECHOUE',
+  NEW: 'EN_COURS',
+  REC: 'EN_COURS'
+};
+
+const METHODES_OPERATEUR = {
+  ORANGE: 'OM',
+  MTN: 'MOMO',
+  MOOV: 'FLOOZ'
+};
+
+class CinetPayTransfertConnector {
+  constructor() {
+    this.nom = 'cinetpay';
+    this.apiUrl = process.env.CINETPAY_TRANSFERT_URL || 'https://client.cinetpay.com';
+    this.apiKey = process.env.CINETPAY_API_KEY;
+    this.motDePasse = process.env.CINETPAY_TRANSFERT_PASSWORD;
+    this.notifyUrl = process.env.RETRAIT_NOTIFY_URL
+      || `${process.env.BACKEND_URL || 'http://localhost:3000'}/api/paiements/retraits/notification/cinetpay`;
+
+    this.enabled = Boolean(this.apiKey && this.motDePasse);
+
+    this._token = null;
+    this._tokenExpireLe = 0;
+  }
+
+  /**
+   * Envoie un transfert
+   * @param {Object} transfert - { reference, montant, numeroMobile, operateur, nomTitulaire, email }
+   * @returns {Promise<{ statut: string, transactionId?: string, message?: string }>}
+   */
+  async envoyer(transfert) {
+    const token = await this._obtenirToken();
+    const { prefix, phone } = this._decouperNumero(transfert.numeroMobile);
+    const [prenom, ...noms] = (transfert.nomTitulaire || 'Conducteur').split(' ');
+
+    const contact = await this._post('/v1/transfer/contact', token, [{
+      prefix,
+      phone,
+      name: noms.join(' ') || prenom,
+      surname: prenom,
+      email: transfert.email || `${phone}@covoiturage.ci`
+    }]);
+    if (Number(contact.code) !== 0) {
+      // Contact déjà enregistré : CinetPay renvoie une erreur par contact, l'envoi reste possible
+      logger.debug('💸 Contact CinetPay non ajouté', { code: contact.code, message: contact.message });
+    }
+
+    const reponse = await this._post('/v1/transfer/money/send/contact', token, [{
+      prefix,
+      phone,
+      amount: transfert.montant,
+      client_transaction_id: transfert.reference,
+      notify_url: this.notifyUrl,
+      payment_method: METHODES_OPERATEUR[transfert.operateur]
+    }]);
+
+    if (Number(reponse.code) !== 0) {
+      return { statut: 'ECHOUE', message: reponse.description || reponse.message || `Code CinetPay ${reponse.code}` };
+    }
+
+    const resultat = [].concat(...(reponse.data || []))[0] || {};
+    return {
+      statut: STATUTS_TRAITEMENT[resultat.treatment_status] || 'EN_COURS',
+      transactionId: resultat.transaction_id || null,
+      message: resultat.treatment_status
+    };
+  }
+
+  /**
+   * Relit le statut d'un transfert
+   * @param {string} reference - référence du retrait (client_transaction_id)
+   */
+  async verifier(reference) {
+    const token = await this._obtenirToken();
+    const response = await axios.get(`${this.apiUrl}/v1/transfer/check/money`, {
+      params: { token, lang: 'fr', client_transaction_id: reference },
+      timeout: 15000
+    });
+    const reponse = response.data || {};
+
+    if (Number(reponse.code) !== 0) {
+      return { statut: 'EN_COURS', message: reponse.message };
+    }
+
+    const resultat = (reponse.data || [])[0] || {};
+    return {
+      statut: STATUTS_TRAITEMENT[resultat.treatment_status] || 'EN_COURS',
+      transactionId: resultat.transaction_id || null,
+      message: resultat.comment || resultat.treatment_status
+    };
+  }
+
+  /**
+   * Extrait la référence du retrait d'une notification CinetPay
+   * @param {Object} corps
+   */
+  interpreterNotification(corps = {}) {
+    return {
+      reference: corps.client_transaction_id,
+      transactionId: corps.transaction_id || null
+    };
+  }
+
+  async _obtenirToken() {
+    if (this._token && Date.now() < this._tokenExpireLe) {
+      return this._token;
+    }
+
+    const response = await axios.post(
+      `${this.apiUrl}/v1/auth/login`,
+      new URLSearchParams({ apikey: this.apiKey, password: this.motDePasse }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 15000 }
+    );
+
+    if (Number(response.data?.code) !== 0 || !response.data?.data?.token) {
+      throw new Error(`Authentification transfert CinetPay échouée : ${response.data?.message || 'réponse invalide'}`);
+    }
+
+    this._token = response.data.data.token;
+    // Le token expire après 5 minutes
+    this._tokenExpireLe = Date.now() + 4 * 60 * 1000;
+    return this._token;
+  }
+
+  async _post(chemin, token, donnees) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}${chemin}`,
+        new URLSearchParams({ data: JSON.stringify(donnees) }).toString(),
+        {
+          params: { token, lang: 'fr' },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 30000
+        }
+      );
+      return response.data || {};
+    } catch (error) {
+      if (error.response?.data) {
+        return error.response.data;
+      }
+      throw new Error(`Erreur API transfert CinetPay: ${error.message}`);
+    }
+  }
+
+  // +2250701020304 → { prefix: '225', phone: '0701020304' }
+  _decouperNumero(numero) {
+    const chiffres = String(numero).replace(/\D/g, '');
+    if (chiffres.startsWith('225') && chiffres.length > 10) {
+      return { prefix: '225', phone: chiffres.slice(3) };
+    }
+    return { prefix: '225', phone: chiffres };
+  }
+}
+
+module.exports = CinetPayTransfertConnector;
@@ -0,0 +1,86 @@
+// services/connectors/fournisseurPaiement.js
+const AppError = require('../../utils/AppError');
+
+/**
+ * Contrat commun des fournisseurs de paiement Mobile Money
+ *
+ * Chaque adaptateur (CinetPay, Wave, Orange Money, bac à sable) traduit son
+ * API vers des résultats normalisés ; paiementMobileService choisit le
+ * fournisseur selon l'opérateur, bascule sur le suivant en cas de panne et
+ * applique les statuts aux paiements.
+ *
+ * - initier(transaction) → { statut, transactionId, urlPaiement, jeton, jetonNotification, code, status, message }
+ *     transaction : { reference, montant, devise, methodePaiement, operateur,
+ *                     numeroTelephone, designation, client: { prenom, nom, email } }
+ *     statut : EN_ATTENTE | COMPLETE | ECHEC (refus définitif, sans bascule)
+ *     Une panne du fournisseur (réseau, identifiants, erreur serveur) est levée.
+ * - verifier(reference, contexte) → { statut, code, status, montant, transactionId, numeroTelephone, message }
+ *     contexte : { transactionId, jeton, montant } enregistrés à l'initiation
+ *     statut : EN_ATTENTE | COMPLETE | ECHEC | EXPIRE | INCONNU
+ * - rembourser(remboursement) → { statut, transactionId, message }
+ *     remboursement : { reference, transactionId, jeton, montant, montantPaye, numeroTelephone, operateur, nomTitulaire, motif }
+ *     statut : REUSSI | EN_COURS | ECHOUE | NON_SUPPORTE
+ * - verifierSignature(notification, paiement) → boolean
+ *     notification : { corps, corpsBrut, entetes, query }
+ * - interpreterNotification(notification) → { reference, transactionId, resultatProbable }
+ */
+
+const STATUTS_TRANSACTION = ['EN_ATTENTE', 'COMPLETE', 'ECHEC', 'EXPIRE', 'INCONNU'];
+const STATUTS_REMBOURSEMENT = ['REUSSI', 'EN_COURS', 'ECHOUE', 'NON_SUPPORTE'];
+
+class FournisseurPaiement {
+  constructor() {
+    this.nom = 'inconnu';
+    this.enabled = false;
+    // Opérateurs servis ; null = tous (agrégateur)
+    this.operateurs = null;
+  }
+
+  /**
+   * @param {string|null} operateur - WAVE | ORANGE | MTN | MOOV | null (choix sur la page du fournisseur)
+   * @returns {boolean}
+   */
+  accepte(operateur) {
+    if (!this.operateurs) return true;
+    return Boolean(operateur) && this.operateurs.includes(operateur);
+  }
+
+  async initier() {
+    throw this.erreur('Initiation non implémentée');
+  }
+
+  async verifier() {
+    throw this.erreur('Vérification non implémentée');
+  }
+
+  async rembourser() {
+    return { statut: 'NON_SUPPORTE', message: `Remboursement non proposé par ${this.nom}` };
+  }
+
+  verifierSignature() {
+    return false;
+  }
+
+  interpreterNotification({ corps = {} } = {}) {
+    return { reference: corps.reference || null, transactionId: corps.transactionId || null, resultatProbable: null };
+  }
+
+  /**
+   * Panne du fournisseur : paiementMobileService bascule sur le suivant
+   * @param {string} message
+   * @param {Object} [context]
+   * @returns {AppError}
+   */
+  erreur(message, context = {}) {
+    return new AppError(message, {
+      code: 'PAYMENT_PROVIDER_ERROR',
+      status: 502,
+      context: { fournisseur: this.nom, ...context }
+    });
+  }
+}
+
+FournisseurPaiement.STATUTS_TRANSACTION = STATUTS_TRANSACTION;
+FournisseurPaiement.STATUTS_REMBOURSEMENT = STATUTS_REMBOURSEMENT;
+
+module.exports = FournisseurPaiement;
@@ -0,0 +1,170 @@
+// services/connectors/orangeMoneyPaiementConnector.js
+const axios = require('axios');
+const crypto = require('crypto');
+const FournisseurPaiement = require('./fournisseurPaiement');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Connecteur de paiement Orange Money (WebPay Côte d'Ivoire)
+ *
+ * POST /oauth/v3/token                                        → jeton d'accès (Basic client_id:secret)
+ * POST /orange-money-webpay/ci/v1/webpayment                  → pay_token, notif_token, payment_url
+ * POST /orange-money-webpay/ci/v1/transactionstatus           → INITIATED | PENDING | SUCCESS | FAILED | EXPIRED
+ *
+ * Les notifications ne sont pas signées : elles portent le notif_token
+ * remis à l'initiation, comparé à celui enregistré sur le paiement.
+ * L'API WebPay ne propose pas de remboursement.
+ */
+
+const STATUTS = {
+  SUCCESS: 'COMPLETE',
+  FAILED: 'ECHEC',
+  EXPIRED: 'EXPIRE'
+};
+
+class OrangeMoneyPaiementConnector extends FournisseurPaiement {
+  constructor() {
+    super();
+    this.nom = 'orange';
+    this.operateurs = ['ORANGE'];
+    this.apiUrl = process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com';
+    this.clientId = process.env.ORANGE_MONEY_CLIENT_ID;
+    this.clientSecret = process.env.ORANGE_MONEY_CLIENT_SECRET;
+    this.merchantKey = process.env.ORANGE_MONEY_MERCHANT_KEY;
+    // OUV en environnement de développement Orange
+    this.devise = process.env.ORANGE_MONEY_DEVISE || 'XOF';
+    this.returnUrl = process.env.ORANGE_MONEY_RETURN_URL
+      || `${process.env.BASE_URL || 'http://localhost:3000'}/paiement/succes`;
+    this.cancelUrl = process.env.ORANGE_MONEY_CANCEL_URL
+      || `${process.env.BASE_URL || 'http://localhost:3000'}/paiement/echec`;
+    this.notifUrl = process.env.ORANGE_MONEY_NOTIFY_URL
+      || `${process.env.BACKEND_URL || 'http://localhost:3000'}/api/paiements/webhook/orange`;
+
+    this.token = null;
+    this.tokenExpiration = null;
+    this.enabled = Boolean(this.clientId && this.clientSecret && this.merchantKey);
+  }
+
+  async obtenirToken() {
+    if (this.token && this.tokenExpiration && new Date() < this.tokenExpiration) {
+      return this.token;
+    }
+
+    try {
+      const identifiants = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+      const reponse = await axios.post(`${this.apiUrl}/oauth/v3/token`, 'grant_type=client_credentials', {
+        headers: {
+          'Authorization': `Basic ${identifiants}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 15000
+      });
+
+      this.token = reponse.data.access_token;
+      // Marge d'une minute sur la durée de validité annoncée
+      const duree = Math.max(Number(reponse.data.expires_in || 3600) - 60, 60);
+      this.tokenExpiration = new Date(Date.now() + duree * 1000);
+      return this.token;
+    } catch (error) {
+      throw this.erreur(`Authentification Orange Money impossible : ${this._messageErreur(error)}`);
+    }
+  }
+
+  async initier({ reference, montant }) {
+    try {
+      const donnees = await this._requete('/orange-money-webpay/ci/v1/webpayment', {
+        merchant_key: this.merchantKey,
+        currency: this.devise,
+        order_id: reference,
+        amount: Math.round(montant),
+        return_url: this.returnUrl,
+        cancel_url: this.cancelUrl,
+        notif_url: `${this.notifUrl}?reference=${encodeURIComponent(reference)}`,
+        lang: 'fr',
+        reference: 'Covoiturage'
+      });
+
+      return {
+        statut: 'EN_ATTENTE',
+        jeton: donnees.pay_token,
+        jetonNotification: donnees.notif_token,
+        urlPaiement: donnees.payment_url,
+        code: donnees.status,
+        message: donnees.message
+      };
+    } catch (error) {
+      if (error.isOperational) throw error;
+      if ([400, 422].includes(error.response?.status)) {
+        return { statut: 'ECHEC', code: error.response.status, message: this._messageErreur(error) };
+      }
+      throw this.erreur(`Orange Money indisponible : ${this._messageErreur(error)}`, { status: error.response?.status });
+    }
+  }
+
+  async verifier(reference, { jeton = null, montant = null } = {}) {
+    // Le statut WebPay exige le pay_token reçu à l'initiation
+    if (!jeton) {
+      return { statut: 'INCONNU', code: 404, status: 'NOT_FOUND', montant: null };
+    }
+
+    let donnees;
+    try {
+      donnees = await this._requete('/orange-money-webpay/ci/v1/transactionstatus', {
+        order_id: reference,
+        amount: montant !== null ? Math.round(montant) : undefined,
+        pay_token: jeton
+      });
+    } catch (error) {
+      if (error.isOperational) throw error;
+      if (error.response?.status === 404) {
+        return { statut: 'INCONNU', code: 404, status: 'NOT_FOUND', montant: null };
+      }
+      throw this.erreur(`Vérification Orange Money impossible : ${this._messageErreur(error)}`);
+    }
+
+    return {
+      statut: STATUTS[donnees.status] || 'EN_ATTENTE',
+      status: donnees.status,
+      // WebPay ne renvoie pas le montant : celui de la demande fait foi
+      montant,
+      transactionId: donnees.txnid || null
+    };
+  }
+
+  verifierSignature({ corps = {} } = {}, paiement) {
+    const attendu = paiement?.fournisseurPaiement?.jetonNotification;
+    const recu = corps.notif_token;
+    if (!attendu || !recu || String(recu).length !== attendu.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(String(recu)), Buffer.from(attendu));
+  }
+
+  interpreterNotification({ corps = {}, query = {} } = {}) {
+    const statut = STATUTS[corps.status];
+    return {
+      reference: query.reference || null,
+      transactionId: corps.txnid || null,
+      // Indication seulement : le statut est relu auprès d'Orange
+      resultatProbable: statut ? { statut, status: corps.status, montant: null } : null
+    };
+  }
+
+  async _requete(chemin, donnees) {
+    const token = await this.obtenirToken();
+    const reponse = await axios.post(`${this.apiUrl}${chemin}`, donnees, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      timeout: 20000
+    });
+    logger.debug('🟠 Réponse Orange Money', { chemin, status: reponse.data?.status });
+    return reponse.data;
+  }
+
+  _messageErreur(error) {
+    return error.response?.data?.message || error.response?.data?.description || error.message;
+  }
+}
+
+module.exports = OrangeMoneyPaiementConnector;
@@ -0,0 +1,95 @@
+// services/connectors/sandboxPaiementConnector.js
+const crypto = require('crypto');
+const FournisseurPaiement = require('./fournisseurPaiement');
+
+/**
+ * Fournisseur de paiement bac à sable (tests, développement hors ligne)
+ *
+ * Les transactions sont conservées en mémoire ; completer() simule la
+ * confirmation côté opérateur. Numéros de test :
+ *   - se terminant par 0000 : paiement refusé (solde insuffisant)
+ *   - se terminant par 1111 : fournisseur en panne (déclenche la bascule)
+ *
+ * Les notifications sont signées HMAC-SHA256 du corps brut
+ * (en-tête x-sandbox-signature, secret PAIEMENT_SANDBOX_SECRET).
+ * Désactivé tant que PAIEMENT_SANDBOX_SECRET n'est pas configuré avec une
+ * autre valeur que "sandbox", et toujours en production.
+ */
+class SandboxPaiementConnector extends FournisseurPaiement {
+  constructor() {
+    super();
+    this.nom = 'sandbox';
+    this.secret = process.env.PAIEMENT_SANDBOX_SECRET || null;
+    this.transactions = new Map();
+    this.remboursements = [];
+    this.enabled = Boolean(this.secret) && this.secret !== 'sandbox' && process.env.NODE_ENV !== 'production';
+  }
+
+  async initier({ reference, montant, numeroTelephone }) {
+    const numero = String(numeroTelephone || '');
+    if (numero.endsWith('1111')) {
+      throw this.erreur('Bac à sable : fournisseur indisponible (numéro de test)');
+    }
+    if (numero.endsWith('0000')) {
+      return { statut: 'ECHEC', code: 'SOLDE_INSUFFISANT', message: 'Solde insuffisant' };
+    }
+
+    const transactionId = `SBX-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    this.transactions.set(reference, { statut: 'EN_ATTENTE', montant, transactionId, numeroTelephone: numero || null });
+
+    return {
+      statut: 'EN_ATTENTE',
+      transactionId,
+      jeton: transactionId,
+      urlPaiement: `sandbox://paiement/${reference}`,
+      status: 'PENDING'
+    };
+  }
+
+  async verifier(reference) {
+    const transaction = this.transactions.get(reference);
+    if (!transaction) {
+      return { statut: 'INCONNU', code: 404, status: 'NOT_FOUND', montant: null };
+    }
+    return { ...transaction, status: transaction.statut };
+  }
+
+  async rembourser({ reference, montant }) {
+    this.remboursements.push({ reference, montant });
+    return { statut: 'REUSSI', transactionId: `SBX-RMB-${reference}` };
+  }
+
+  verifierSignature({ corpsBrut, entetes = {} } = {}) {
+    const signature = entetes['x-sandbox-signature'];
+    if (!this.enabled || !signature || !corpsBrut) return false;
+    const attendue = this.signer(corpsBrut);
+    return signature.length === attendue.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(attendue));
+  }
+
+  interpreterNotification({ corps = {} } = {}) {
+    return { reference: corps.reference || null, transactionId: corps.transactionId || null, resultatProbable: null };
+  }
+
+  /**
+   * Simule la décision de l'opérateur sur une transaction initiée
+   * @param {string} reference
+   * @param {string} [statut='COMPLETE'] - COMPLETE | ECHEC | EXPIRE
+   */
+  completer(reference, statut = 'COMPLETE') {
+    const transaction = this.transactions.get(reference);
+    if (transaction) transaction.statut = statut;
+    return transaction || null;
+  }
+
+  signer(corpsBrut) {
+    return crypto.createHmac('sha256', this.secret).update(corpsBrut).digest('hex');
+  }
+
+  reinitialiser() {
+    this.transactions.clear();
+    this.remboursements = [];
+  }
+}
+
+module.exports = SandboxPaiementConnector;
@@ -0,0 +1,59 @@
+// services/connectors/transfertLocalConnector.js
+const crypto = require('crypto');
+
+/**
+ * Connecteur de transfert local (développement et tests)
+ *
+ * Simule un opérateur Mobile Money sans appel réseau : le transfert est
+ * accepté immédiatement, sauf pour les numéros se terminant par 0000
+ * (refus de l'opérateur). Avec `enAttente: true`, le transfert reste
+ * EN_COURS jusqu'à `confirmer`, pour exercer le circuit des notifications.
+ */
+class TransfertLocalConnector {
+  constructor({ enAttente = process.env.RETRAIT_LOCAL_EN_ATTENTE === 'true' } = {}) {
+    this.nom = 'local';
+    this.enabled = true;
+    this.enAttente = enAttente;
+    this.transferts = new Map();
+  }
+
+  async envoyer(transfert) {
+    const statut = /0000$/.test(String(transfert.numeroMobile))
+      ? 'ECHOUE'
+      : (this.enAttente ? 'EN_COURS' : 'REUSSI');
+
+    const resultat = {
+      statut,
+      transactionId: `LOCAL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      message: statut === 'ECHOUE' ? 'Numéro refusé par l\'opérateur (simulation)' : 'Transfert simulé'
+    };
+    this.transferts.set(transfert.reference, resultat);
+    return resultat;
+  }
+
+  async verifier(reference) {
+    return this.transferts.get(reference) || { statut: 'EN_COURS', message: 'Transfert inconnu du simulateur' };
+  }
+
+  /**
+   * Fixe l'issue d'un transfert en attente (simule le traitement opérateur)
+   * @param {string} reference
+   * @param {string} statut - REUSSI | ECHOUE
+   */
+  confirmer(reference, statut = 'REUSSI') {
+    const transfert = this.transferts.get(reference);
+    if (transfert) {
+      transfert.statut = statut;
+    }
+    return transfert;
+  }
+
+  interpreterNotification(corps = {}) {
+    if (corps.reference && corps.statut) {
+      this.confirmer(corps.reference, corps.statut);
+    }
+    return { reference: corps.reference, transactionId: corps.transactionId || null };
+  }
+}
+
+module.exports = TransfertLocalConnector;
@@ -0,0 +1,163 @@
+// services/connectors/wavePaiementConnector.js
+const axios = require('axios');
+const crypto = require('crypto');
+const FournisseurPaiement = require('./fournisseurPaiement');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Connecteur de paiement Wave (API Checkout directe)
+ *
+ * POST /v1/checkout/sessions                      → session (wave_launch_url)
+ * GET  /v1/checkout/sessions/:id                  → statut (payment_status)
+ * GET  /v1/checkout/sessions/search?client_reference= → sessions d'une référence
+ * POST /v1/checkout/sessions/:id/refund           → remboursement intégral
+ *
+ * Les webhooks Wave sont configurés dans le portail marchand et signés
+ * (en-tête Wave-Signature : t=horodatage,v1=HMAC-SHA256(horodatage + corps)).
+ */
+
+// Écart toléré entre l'horodatage signé et la réception (rejeu)
+const TOLERANCE_SIGNATURE_MS = 5 * 60 * 1000;
+
+class WavePaiementConnector extends FournisseurPaiement {
+  constructor() {
+    super();
+    this.nom = 'wave';
+    this.operateurs = ['WAVE'];
+    this.apiUrl = process.env.WAVE_API_URL || 'https://api.wave.com';
+    this.apiKey = process.env.WAVE_API_KEY;
+    this.secretWebhook = process.env.WAVE_WEBHOOK_SECRET;
+    this.successUrl = process.env.WAVE_SUCCESS_URL
+      || `${process.env.BASE_URL || 'http://localhost:3000'}/paiement/succes`;
+    this.errorUrl = process.env.WAVE_ERROR_URL
+      || `${process.env.BASE_URL || 'http://localhost:3000'}/paiement/echec`;
+
+    this.enabled = Boolean(this.apiKey);
+  }
+
+  async initier({ reference, montant, devise = 'XOF' }) {
+    try {
+      const session = await this._requete('post', '/v1/checkout/sessions', {
+        amount: String(Math.round(montant)),
+        currency: devise,
+        client_reference: reference,
+        success_url: this.successUrl,
+        error_url: this.errorUrl
+      });
+
+      return {
+        statut: 'EN_ATTENTE',
+        transactionId: session.id,
+        jeton: session.id,
+        urlPaiement: session.wave_launch_url,
+        status: session.checkout_status
+      };
+    } catch (error) {
+      // Requête refusée (montant, devise) : inutile de réessayer ailleurs
+      if ([400, 422].includes(error.response?.status)) {
+        return { statut: 'ECHEC', code: error.response.status, message: this._messageErreur(error) };
+      }
+      throw this.erreur(`Wave indisponible : ${this._messageErreur(error)}`, { status: error.response?.status });
+    }
+  }
+
+  async verifier(reference, { jeton = null } = {}) {
+    let session;
+    try {
+      if (jeton) {
+        session = await this._requete('get', `/v1/checkout/sessions/${jeton}`);
+      } else {
+        const resultat = await this._requete('get', `/v1/checkout/sessions/search?client_reference=${encodeURIComponent(reference)}`);
+        // Plusieurs sessions possibles pour une référence : une payée l'emporte
+        const sessions = resultat.result || [];
+        session = sessions.find(s => s.payment_status === 'succeeded') || sessions[0];
+      }
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { statut: 'INCONNU', code: 404, status: 'NOT_FOUND', montant: null };
+      }
+      throw this.erreur(`Vérification Wave impossible : ${this._messageErreur(error)}`);
+    }
+
+    if (!session) {
+      return { statut: 'INCONNU', code: 404, status: 'NOT_FOUND', montant: null };
+    }
+
+    let statut = 'EN_ATTENTE';
+    if (session.payment_status === 'succeeded') statut = 'COMPLETE';
+    else if (session.payment_status === 'cancelled') statut = 'ECHEC';
+    else if (session.checkout_status === 'expired') statut = 'EXPIRE';
+
+    return {
+      statut,
+      status: `${session.checkout_status}/${session.payment_status}`,
+      montant: session.amount !== undefined ? Number(session.amount) : null,
+      transactionId: session.transaction_id || session.id,
+      message: session.last_payment_error?.message
+    };
+  }
+
+  async rembourser({ jeton, transactionId, montant, montantPaye }) {
+    const session = jeton || transactionId;
+    if (!session) {
+      return { statut: 'ECHOUE', message: 'Session Wave inconnue' };
+    }
+    // L'API rembourse toujours la session entière
+    if (montantPaye && montant < montantPaye) {
+      return { statut: 'NON_SUPPORTE', message: 'Wave ne rembourse que l\'intégralité du paiement' };
+    }
+    try {
+      await this._requete('post', `/v1/checkout/sessions/${session}/refund`);
+      return { statut: 'REUSSI', transactionId: session };
+    } catch (error) {
+      return { statut: 'ECHOUE', message: this._messageErreur(error) };
+    }
+  }
+
+  verifierSignature({ entetes = {}, corpsBrut } = {}, paiement, { maintenant = Date.now() } = {}) {
+    const entete = entetes['wave-signature'];
+    if (!this.secretWebhook || !entete || !corpsBrut) return false;
+
+    const elements = String(entete).split(',').map(e => e.trim().split('='));
+    const horodatage = elements.find(([cle]) => cle === 't')?.[1];
+    const signatures = elements.filter(([cle]) => cle === 'v1').map(([, valeur]) => valeur);
+    if (!horodatage || !signatures.length) return false;
+    if (Math.abs(maintenant - Number(horodatage) * 1000) > TOLERANCE_SIGNATURE_MS) return false;
+
+    const attendue = crypto
+      .createHmac('sha256', this.secretWebhook)
+      .update(`${horodatage}${corpsBrut}`)
+      .digest('hex');
+
+    return signatures.some(signature =>
+      signature.length === attendue.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(attendue))
+    );
+  }
+
+  interpreterNotification({ corps = {} } = {}) {
+    const session = corps.data || {};
+    return { reference: session.client_reference || null, transactionId: session.id || null, resultatProbable: null };
+  }
+
+  async _requete(methode, chemin, donnees) {
+    const reponse = await axios({
+      method: methode,
+      url: `${this.apiUrl}${chemin}`,
+      data: donnees,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 20000
+    });
+    logger.debug('🌊 Réponse Wave', { chemin, status: reponse.status });
+    return reponse.data;
+  }
+
+  _messageErreur(error) {
+    return error.response?.data?.message || error.response?.data?.code || error.message;
+  }
+}
+
+module.exports = WavePaiementConnector;
@@ -0,0 +1,350 @@
+// services/corridorService.js
+
+/**
+ * Service de corridor d'itinéraire
+ *
+ * Outils géométriques autour de la polyline routière d'un trajet:
+ *   - encodage / décodage des polylines Google (précision 1e-5)
+ *   - projection d'un point GPS sur l'itinéraire
+ *   - vérification qu'un passager (montée + descente) se trouve dans le
+ *     corridor du conducteur, dans le bon ordre
+ *   - estimation du détour nécessaire pour aller chercher / déposer le passager
+ *
+ * Toutes les fonctions sont pures (aucun appel réseau, aucune base de données).
+ * Convention des points: [latitude, longitude] (comme les polylines Google).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const RAYON_TERRE_METRES = 6371000;
+const PRECISION_POLYLINE = 1e5;
+
+// Vitesse moyenne en détour urbain (Abidjan) et facteur route / vol d'oiseau
+const VITESSE_DETOUR_KMH = 25;
+const FACTEUR_ROUTIER = 1.3;
+
+// Espacement minimal entre deux sommets de la trace GeoJSON stockée
+const ESPACEMENT_TRACE_METRES = 50;
+const MAX_POINTS_TRACE = 500;
+
+// ============================================
+// FONCTIONS UTILITAIRES
+// ============================================
+
+const toRad = (d) => d * Math.PI / 180;
+
+/**
+ * Distance Haversine entre deux points GPS (résultat en mètres)
+ */
+function distanceMetres(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLng / 2) ** 2;
+  return RAYON_TERRE_METRES * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// ============================================
+// POLYLINE GOOGLE
+// ============================================
+
+/**
+ * Décoder une polyline encodée (algorithme Google)
+ * @param {string} encoded
+ * @returns {Array<[number, number]>} points [lat, lng]
+ */
+function decodePolyline(encoded) {
+  if (!encoded || typeof encoded !== 'string') return [];
+
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    result = 0;
+    shift = 0;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    points.push([lat / PRECISION_POLYLINE, lng / PRECISION_POLYLINE]);
+  }
+
+  return points;
+}
+
+/**
+ * Encoder une liste de points [lat, lng] en polyline Google
+ * @param {Array<[number, number]>} points
+ * @returns {string}
+ */
+function encodePolyline(points) {
+  let output = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    chunk += String.fromCharCode(v + 63);
+    return chunk;
+  };
+
+  for (const [lat, lng] of points || []) {
+    const iLat = Math.round(lat * PRECISION_POLYLINE);
+    const iLng = Math.round(lng * PRECISION_POLYLINE);
+    output += encodeValue(iLat - prevLat) + encodeValue(iLng - prevLng);
+    prevLat = iLat;
+    prevLng = iLng;
+  }
+
+  return output;
+}
+
+/**
+ * Construire une trace GeoJSON LineString allégée à partir des points décodés.
+ * Supprime les sommets trop rapprochés (un 2dsphere refuse les doublons consécutifs)
+ * et plafonne le nombre de sommets pour garder des documents légers.
+ *
+ * @param {Array<[number, number]>} points - [lat, lng]
+ * @returns {Object|null} { type: 'LineString', coordinates: [[lng, lat], ...] }
+ */
+function construireTrace(points, espacementMetres = ESPACEMENT_TRACE_METRES) {
+  if (!Array.isArray(points) || points.length < 2) return null;
+
+  let espacement = espacementMetres;
+  let gardes = [];
+
+  // Augmenter l'espacement jusqu'à respecter MAX_POINTS_TRACE
+  do {
+    gardes = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+      const [lastLat, lastLng] = gardes[gardes.length - 1];
+      if (distanceMetres(lastLat, lastLng, points[i][0], points[i][1]) >= espacement) {
+        gardes.push(points[i]);
+      }
+    }
+    const dernier = points[points.length - 1];
+    const [lastLat, lastLng] = gardes[gardes.length - 1];
+    if (distanceMetres(lastLat, lastLng, dernier[0], dernier[1]) > 0) {
+      gardes.push(dernier);
+    }
+    espacement *= 2;
+  } while (gardes.length > MAX_POINTS_TRACE);
+
+  if (gardes.length < 2) return null;
+
+  return {
+    type: 'LineString',
+    coordinates: gardes.map(([lat, lng]) => [lng, lat])
+  };
+}
+
+// ============================================
+// PROJECTION SUR L'ITINÉRAIRE
+// ============================================
+
+/**
+ * Projeter un point sur un segment [A, B] (approximation plane locale,
+ * largement suffisante pour des segments de quelques kilomètres).
+ */
+function _projeterSurSegment(a, b, lat, lng) {
+  const cosLat = Math.cos(toRad(a[0]));
+  const mParDeg = toRad(1) * RAYON_TERRE_METRES;
+
+  const bx = (b[1] - a[1]) * cosLat * mParDeg;
+  const by = (b[0] - a[0]) * mParDeg;
+  const px = (lng - a[1]) * cosLat * mParDeg;
+  const py = (lat - a[0]) * mParDeg;
+
+  const longueur2 = bx * bx + by * by;
+  const t = longueur2 > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / longueur2)) : 0;
+
+  const projLat = a[0] + (b[0] - a[0]) * t;
+  const projLng = a[1] + (b[1] - a[1]) * t;
+
+  return { lat: projLat, lng: projLng, t };
+}
+
+/**
+ * Trouver le point de l'itinéraire le plus proche d'une position.
+ *
+ * @param {Array<[number, number]>} points - Itinéraire [lat, lng]
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} [depuisMetres=0] - Ignorer la partie de l'itinéraire avant cette abscisse
+ * @returns {Object|null} {
+ *   lat, lng,                 ← point projeté sur l'itinéraire
+ *   distanceMetres,           ← écart entre la position et l'itinéraire
+ *   distanceLeLongMetres,     ← abscisse curviligne depuis le départ
+ *   indexSegment
+ * }
+ */
+function projeterSurItineraire(points, lat, lng, depuisMetres = 0) {
+  if (!Array.isArray(points) || points.length === 0) return null;
+
+  if (points.length === 1) {
+    return {
+      lat: points[0][0],
+      lng: points[0][1],
+      distanceMetres: distanceMetres(lat, lng, points[0][0], points[0][1]),
+      distanceLeLongMetres: 0,
+      indexSegment: 0
+    };
+  }
+
+  let meilleur = null;
+  let cumul = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const longueurSegment = distanceMetres(a[0], a[1], b[0], b[1]);
+
+    if (cumul + longueurSegment >= depuisMetres) {
+      const proj = _projeterSurSegment(a, b, lat, lng);
+      const abscisse = cumul + longueurSegment * proj.t;
+
+      if (abscisse >= depuisMetres) {
+        const ecart = distanceMetres(lat, lng, proj.lat, proj.lng);
+        if (!meilleur || ecart < meilleur.distanceMetres) {
+          meilleur = {
+            lat: proj.lat,
+            lng: proj.lng,
+            distanceMetres: ecart,
+            distanceLeLongMetres: abscisse,
+            indexSegment: i
+          };
+        }
+      }
+    }
+
+    cumul += longueurSegment;
+  }
+
+  return meilleur;
+}
+
+/**
+ * Longueur totale d'un itinéraire (mètres)
+ */
+function longueurItineraire(points) {
+  let total = 0;
+  for (let i = 0; i < (points || []).length - 1; i++) {
+    total += distanceMetres(points[i][0], points[i][1], points[i + 1][0], points[i + 1][1]);
+  }
+  return total;
+}
+
+/**
+ * Estimer le détour (minutes) pour rejoindre une position depuis
+ * l'itinéraire puis y revenir (aller-retour).
+ */
+function estimerDetourMinutes(ecartMetres, vitesseKmh = VITESSE_DETOUR_KMH, facteurRoutier = FACTEUR_ROUTIER) {
+  if (!ecartMetres || ecartMetres <= 0) return 0;
+  const kmAllerRetour = (2 * ecartMetres * facteurRoutier) / 1000;
+  return Math.ceil((kmAllerRetour / vitesseKmh) * 60);
+}
+
+// ============================================
+// CORRESPONDANCE CORRIDOR
+// ============================================
+
+/**
+ * Vérifier qu'un passager peut être pris et déposé le long de l'itinéraire.
+ *
+ * Conditions:
+ *   1. La montée est à moins de `rayonMetres` de l'itinéraire
+ *   2. La descente est à moins de `rayonMetres` de l'itinéraire
+ *   3. La descente se situe APRÈS la montée dans le sens du trajet
+ *
+ * @param {Array<[number, number]>} points - Itinéraire [lat, lng]
+ * @param {{lat: number, lng: number}} montee
+ * @param {{lat: number, lng: number}} descente
+ * @param {Object} [options]
+ * @param {number} [options.rayonMetres=500]
+ * @param {number} [options.vitesseKmh]
+ * @param {number} [options.facteurRoutier]
+ * @returns {Object|null} Détails de la correspondance, ou null si hors corridor
+ */
+function evaluerCorridor(points, montee, descente, options = {}) {
+  const {
+    rayonMetres = 500,
+    vitesseKmh = VITESSE_DETOUR_KMH,
+    facteurRoutier = FACTEUR_ROUTIER
+  } = options;
+
+  if (!Array.isArray(points) || points.length < 2) return null;
+
+  const projMontee = projeterSurItineraire(points, montee.lat, montee.lng);
+  if (!projMontee || projMontee.distanceMetres > rayonMetres) return null;
+
+  // La descente doit être cherchée en aval de la montée
+  const projDescente = projeterSurItineraire(
+    points, descente.lat, descente.lng, projMontee.distanceLeLongMetres
+  );
+  if (!projDescente || projDescente.distanceMetres > rayonMetres) return null;
+  if (projDescente.distanceLeLongMetres <= projMontee.distanceLeLongMetres) return null;
+
+  const detourMontee   = estimerDetourMinutes(projMontee.distanceMetres, vitesseKmh, facteurRoutier);
+  const detourDescente = estimerDetourMinutes(projDescente.distanceMetres, vitesseKmh, facteurRoutier);
+
+  // Aller-retour depuis l'itinéraire pour la montée et pour la descente
+  const detourKm = (2 * (projMontee.distanceMetres + projDescente.distanceMetres) * facteurRoutier) / 1000;
+
+  const formater = (proj) => ({
+    coordonnees:       { lat: parseFloat(proj.lat.toFixed(6)), lng: parseFloat(proj.lng.toFixed(6)) },
+    distanceMetres:    Math.round(proj.distanceMetres),
+    distanceLeLongKm:  parseFloat((proj.distanceLeLongMetres / 1000).toFixed(2))
+  });
+
+  return {
+    pointMontee:        formater(projMontee),
+    pointDescente:      formater(projDescente),
+    distancePartageeKm: parseFloat(
+      ((projDescente.distanceLeLongMetres - projMontee.distanceLeLongMetres) / 1000).toFixed(2)
+    ),
+    detourMinutes:      detourMontee + detourDescente,
+    detourKm:           parseFloat(detourKm.toFixed(2))
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Polyline
+  decodePolyline,
+  encodePolyline,
+  construireTrace,
+
+  // Géométrie
+  distanceMetres,
+  projeterSurItineraire,
+  longueurItineraire,
+  estimerDetourMinutes,
+
+  // Correspondance
+  evaluerCorridor
+};
@@ -0,0 +1,177 @@
+// services/detourService.js
+
+/**
+ * Service d'estimation du détour conducteur
+ *
+ * Calcule le coût d'insertion d'une prise en charge et d'une dépose dans
+ * un trajet existant:
+ *
+ *   trajet direct :  départ ─────────────────────────────▶ arrivée
+ *   avec passager :  départ ──▶ prise en charge ──▶ dépose ──▶ arrivée
+ *
+ * Le détour = (distance / durée avec passager) − (distance / durée directe).
+ * Les distances passent par distanceService.calculateDistance
+ * (Google Maps → OSRM → Haversine, avec cache).
+ *
+ * Convention des coordonnées: [longitude, latitude] (comme GeoJSON / Reservation).
+ */
+
+const distanceService = require('./distanceService');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Tarif par km de détour si le conducteur n'a rien défini (FCFA)
+const TARIF_DETOUR_PAR_KM_DEFAUT = 100;
+
+// En dessous de ce seuil, le détour est considéré comme nul (bruit des APIs)
+const SEUIL_DETOUR_NEGLIGEABLE_KM = 0.5;
+
+// Les suppléments sont arrondis à la tranche supérieure (pas de petite monnaie)
+const ARRONDI_SUPPLEMENT_FCFA = 50;
+
+// ============================================
+// FONCTIONS UTILITAIRES
+// ============================================
+
+const arrondir = (valeur, decimales = 2) => parseFloat(Number(valeur).toFixed(decimales));
+
+/**
+ * Vérifier qu'une coordonnée [lng, lat] est exploitable
+ * ([0, 0] est la valeur par défaut des réservations sans GPS)
+ */
+function coordonneesValides(coords) {
+  return Array.isArray(coords) &&
+    coords.length === 2 &&
+    coords.every(c => typeof c === 'number' && !isNaN(c)) &&
+    !(coords[0] === 0 && coords[1] === 0);
+}
+
+// ============================================
+// ESTIMATION DU DÉTOUR
+// ============================================
+
+/**
+ * Estimer les kilomètres et minutes ajoutés au trajet par un passager
+ *
+ * @param {Object} trajet              - Trajet (pointDepart / pointArrivee GeoJSON)
+ * @param {number[]} priseEnCharge     - [lng, lat]
+ * @param {number[]} depose            - [lng, lat]
+ * @param {Object} [options]
+ * @param {string} [options.userId]    - Pour le rate limiting de distanceService
+ * @returns {Promise<Object>} {
+ *   distanceDirecteKm, distanceAvecPassagerKm, kmAjoutes,
+ *   dureeDirecteMinutes, dureeAvecPassagerMinutes, minutesAjoutees,
+ *   provider
+ * }
+ */
+async function estimerDetour(trajet, priseEnCharge, depose, options = {}) {
+  const depart = trajet?.pointDepart?.coordonnees?.coordinates;
+  const arrivee = trajet?.pointArrivee?.coordonnees?.coordinates;
+
+  if (!coordonneesValides(depart) || !coordonneesValides(arrivee)) {
+    throw new Error('Coordonnées du trajet manquantes');
+  }
+  if (!coordonneesValides(priseEnCharge) || !coordonneesValides(depose)) {
+    throw new Error('Coordonnées de prise en charge / dépose invalides');
+  }
+
+  const calcOptions = { userId: options.userId || null };
+
+  const [direct, versPriseEnCharge, trajetPassager, versArrivee] = await Promise.all([
+    distanceService.calculateDistance(depart, arrivee, calcOptions),
+    distanceService.calculateDistance(depart, priseEnCharge, calcOptions),
+    distanceService.calculateDistance(priseEnCharge, depose, calcOptions),
+    distanceService.calculateDistance(depose, arrivee, calcOptions)
+  ]);
+
+  const segments = [versPriseEnCharge, trajetPassager, versArrivee];
+
+  const distanceDirecteKm = direct.distance / 1000;
+  const distanceAvecPassagerKm = segments.reduce((sum, s) => sum + s.distance, 0) / 1000;
+  const dureeDirecteMinutes = direct.duration / 60;
+  const dureeAvecPassagerMinutes = segments.reduce((sum, s) => sum + s.duration, 0) / 60;
+
+  let kmAjoutes = Math.max(0, distanceAvecPassagerKm - distanceDirecteKm);
+  let minutesAjoutees = Math.max(0, dureeAvecPassagerMinutes - dureeDirecteMinutes);
+
+  if (kmAjoutes < SEUIL_DETOUR_NEGLIGEABLE_KM) {
+    kmAjoutes = 0;
+    minutesAjoutees = 0;
+  }
+
+  // Le fournisseur le moins précis détermine la fiabilité de l'estimation
+  const providers = [direct, ...segments].map(s => s.provider);
+  const provider = ['haversine', 'osrm', 'googleMaps'].find(p => providers.includes(p)) || providers[0];
+
+  return {
+    distanceDirecteKm: arrondir(distanceDirecteKm),
+    distanceAvecPassagerKm: arrondir(distanceAvecPassagerKm),
+    kmAjoutes: arrondir(kmAjoutes),
+    dureeDirecteMinutes: Math.ceil(dureeDirecteMinutes),
+    dureeAvecPassagerMinutes: Math.ceil(dureeAvecPassagerMinutes),
+    minutesAjoutees: Math.ceil(minutesAjoutees),
+    provider
+  };
+}
+
+// ============================================
+// RÈGLES CONDUCTEUR
+// ============================================
+
+/**
+ * Vérifier un détour contre les limites fixées par le conducteur
+ *
+ * @param {Object} detour          - Résultat de estimerDetour
+ * @param {Object} [preferences]   - Trajet.preferences
+ * @returns {{ acceptable: boolean, raison: string|null }}
+ */
+function verifierDetourMax(detour, preferences = {}) {
+  const { detourMaxKm, detourMaxMinutes } = preferences || {};
+
+  if (detourMaxKm !== null && detourMaxKm !== undefined && detour.kmAjoutes > detourMaxKm) {
+    return {
+      acceptable: false,
+      raison: `Détour de ${detour.kmAjoutes} km supérieur au maximum du conducteur (${detourMaxKm} km)`
+    };
+  }
+
+  if (detourMaxMinutes !== null && detourMaxMinutes !== undefined && detour.minutesAjoutees > detourMaxMinutes) {
+    return {
+      acceptable: false,
+      raison: `Détour de ${detour.minutesAjoutees} min supérieur au maximum du conducteur (${detourMaxMinutes} min)`
+    };
+  }
+
+  return { acceptable: true, raison: null };
+}
+
+/**
+ * Calculer le supplément suggéré pour un détour (FCFA, arrondi à 50)
+ *
+ * @param {number} kmAjoutes
+ * @param {Object} [preferences]   - Trajet.preferences (tarifDetourParKm)
+ * @returns {number}
+ */
+function calculerSupplement(kmAjoutes, preferences = {}) {
+  if (!kmAjoutes || kmAjoutes <= 0) return 0;
+
+  const tarif = preferences?.tarifDetourParKm ?? TARIF_DETOUR_PAR_KM_DEFAUT;
+  if (tarif <= 0) return 0;
+
+  return Math.ceil((kmAjoutes * tarif) / ARRONDI_SUPPLEMENT_FCFA) * ARRONDI_SUPPLEMENT_FCFA;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  estimerDetour,
+  verifierDetourMax,
+  calculerSupplement,
+  coordonneesValides,
+
+  TARIF_DETOUR_PAR_KM_DEFAUT
+};
@@ -525,8 +525,12 @@ function calculateArrivalTime(departureTime, durationMinutes, departureDate = nu
 
 /**
  * Obtenir les directions détaillées (Google Maps)
+ * @param {Array} origin - [longitude, latitude]
+ * @param {Array} destination - [longitude, latitude]
+ * @param {string} mode
+ * @param {Array<Array>} waypoints - Arrêts intermédiaires [[longitude, latitude], ...]
  */
-async function getDetailedDirections(origin, destination, mode = 'driving') {
+async function getDetailedDirections(origin, destination, mode = 'driving', waypoints = []) {
   try {
     if (!GOOGLE_MAPS_ENABLED || !GOOGLE_MAPS_API_KEY) {
       throw new Error('Google Maps non configuré');
@@ -534,14 +538,22 @@ async function getDetailedDirections(origin, destination, mode = 'driving') {
 
     console.log('🧭 Récupération itinéraire détaillé...');
 
+    const params = {
+      origin: `${origin[1]},${origin[0]}`,
+      destination: `${destination[1]},${destination[0]}`,
+      mode: mode,
+      language: 'fr',
+      key: GOOGLE_MAPS_API_KEY
+    };
+
+    // Forcer le passage par les arrêts intermédiaires (dans l'ordre)
+    if (waypoints.length > 0) {
+      waypoints.forEach((wp, i) => validateCoordinates(wp, `waypoint ${i + 1}`));
+      params.waypoints = waypoints.map(wp => `${wp[1]},${wp[0]}`);
+    }
+
     const response = await googleMapsClient.directions({
-      params: {
-        origin: `${origin[1]},${origin[0]}`,
-        destination: `${destination[1]},${destination[0]}`,
-        mode: mode,
-        language: 'fr',
-        key: GOOGLE_MAPS_API_KEY
-      },
+      params,
       timeout: DISTANCE_TIMEOUT
     });
 
@@ -550,20 +562,22 @@ async function getDetailedDirections(origin, destination, mode = 'driving') {
     }
 
     const route = response.data.routes[0];
-    const leg = route.legs[0];
+    const legs = route.legs;
+    const distance = legs.reduce((sum, leg) => sum + leg.distance.value, 0);
+    const duration = legs.reduce((sum, leg) => sum + leg.duration.value, 0);
 
     return {
-      distance: leg.distance.value,
-      distanceText: leg.distance.text,
-      duration: leg.duration.value,
-      durationText: leg.duration.text,
-      startAddress: leg.start_address,
-      endAddress: leg.end_address,
-      steps: leg.steps.map(step => ({
+      distance,
+      distanceText: legs.length === 1 ? legs[0].distance.text : `${(distance / 1000).toFixed(1)} km`,
+      duration,
+      durationText: legs.length === 1 ? legs[0].duration.text : `${Math.ceil(duration / 60)} min`,
+      startAddress: legs[0].start_address,
+      endAddress: legs[legs.length - 1].end_address,
+      steps: legs.flatMap(leg => leg.steps.map(step => ({
         instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
         distance: step.distance.text,
         duration: step.duration.text
-      })),
+      }))),
       polyline: route.overview_polyline.points,
       bounds: route.bounds
     };
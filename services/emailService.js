@@ -60,8 +60,9 @@ class EmailService {
    * @param {Object} options.data - Données pour le template
    * @param {string} options.html - HTML direct (si pas de template)
    * @param {string} options.text - Texte brut
+   * @param {Array} [options.attachments] - Pièces jointes nodemailer ({ filename, content, contentType })
    */
-  async envoyerEmail({ to, subject, template, data, html, text }) {
+  async envoyerEmail({ to, subject, template, data, html, text, attachments }) {
     try {
       // Validation
       if (!to || !subject) {
@@ -84,7 +85,8 @@ class EmailService {
           to,
           subject,
           html: htmlContent,
-          text: textContent
+          text: textContent,
+          ...(attachments?.length && { attachments })
         };
 
         const info = await this.transporter.sendMail(mailOptions);
@@ -1,5 +1,7 @@
 const admin = require('firebase-admin');
 const path = require('path');
+const centreNotificationsService = require('./centreNotificationsService');
+const modelesNotificationService = require('./modelesNotificationService');
 
 /**
  * 🔥 SERVICE FIREBASE CLOUD MESSAGING POUR WAYZ-ECO
@@ -9,6 +11,8 @@ const path = require('path');
  * - Gestion automatique des tokens invalides
  * - 12 types de notifications prédéfinies
  * - Vérification des préférences utilisateur
+ * - Historique in-app de chaque notification (centre de notifications)
+ * - Contenu traduit dans la langue de l'utilisateur (modèles de notifications)
  * 
  * @requires firebase-admin
  * @requires FIREBASE_ENABLED dans .env
@@ -303,6 +307,9 @@ class FirebaseService {
    * 
    * @param {String} userId - ID MongoDB de l'utilisateur
    * @param {Object} notification - Objet notification
+   * @param {String} notification.notificationId - Notification in-app déjà enregistrée (optionnel)
+   * @param {String} notification.modele - Événement du modèle de notification : title et message
+   *   sont alors rendus dans la langue de l'utilisateur à partir de notification.variables
    * @param {Model} Utilisateur - Modèle Mongoose Utilisateur
    * @returns {Promise<Object>} Résultat de l'envoi
    */
@@ -320,6 +327,25 @@ class FirebaseService {
         };
       }
 
+      // 🌍 Titre et message dans la langue de l'utilisateur
+      if (notification.modele) {
+        const { titre, corps } = await modelesNotificationService.rendrePour(
+          utilisateur,
+          notification.modele,
+          notification.variables
+        );
+        notification = { ...notification, title: titre, message: corps };
+      }
+
+      // 📥 Historique in-app avant toute vérification : conservé même sans push
+      const notificationId = notification.notificationId || (await this.archiver(userId, notification))?._id;
+      if (notificationId) {
+        notification = {
+          ...notification,
+          data: { ...notification.data, notificationId: String(notificationId) }
+        };
+      }
+
       // ✅ Vérifier les préférences de notifications
       const type = notification.type || 'general';
       
@@ -428,6 +454,9 @@ class FirebaseService {
   async sendToMultipleUsers(userIds, notification, Utilisateur) {
     if (!this.enabled) {
       console.log('⚠️  Firebase désactivé - Notifications multiples simulées');
+      for (const userId of userIds || []) {
+        await this.archiver(userId, notification);
+      }
       return { 
         success: false, 
         reason: 'disabled',
@@ -574,8 +603,8 @@ class FirebaseService {
     return this.sendToUser(
       userId,
       {
-        title: '✅ Réservation confirmée',
-        message: `Votre trajet vers ${reservationData.destination} est confirmé`,
+        modele: 'RESERVATION_CONFIRMEE',
+        variables: { destination: reservationData.destination },
         data: {
           type: 'RESERVATION_CONFIRMED',
           reservationId: reservationData.reservationId,
@@ -699,6 +728,125 @@ class FirebaseService {
     );
   }
 
+  /**
+   * 🔁 CONFLIT RÉCURRENCE - Le conducteur a modifié son trajet récurrent
+   */
+  async notifyRecurrenceConflict(userId, conflitData, Utilisateur) {
+    const date = new Date(conflitData.dateDepart).toLocaleDateString('fr-FR');
+    const message = conflitData.raison === 'HORAIRE_MODIFIE'
+      ? `Le conducteur part désormais à ${conflitData.nouvelleHeureDepart} (au lieu de ${conflitData.heureDepart}) le ${date}. Votre réservation reste valable.`
+      : `Le conducteur ne prévoit plus ce trajet le ${date}. Votre réservation reste valable, contactez-le pour confirmer.`;
+
+    return this.sendToUser(
+      userId,
+      {
+        title: '🔁 Trajet récurrent modifié',
+        message,
+        data: {
+          type: 'RECURRENCE_CONFLICT',
+          trajetId: conflitData.trajetId,
+          reservationId: conflitData.reservationId,
+          raison: conflitData.raison,
+          heureDepart: conflitData.heureDepart,
+          nouvelleHeureDepart: conflitData.nouvelleHeureDepart || '',
+          destination: conflitData.destination,
+          screen: 'ReservationDetails'
+        },
+        channelId: 'reservations',
+        type: 'reservations'
+      },
+      Utilisateur
+    );
+  }
+
+  /**
+   * 🔎 RECHERCHE SAUVEGARDÉE - Un trajet correspond aux critères du passager
+   */
+  async notifySavedSearchMatch(userId, alerteData, Utilisateur) {
+    const message = alerteData.motif === 'PLACES_LIBEREES'
+      ? `Des places se sont libérées : ${alerteData.depart} → ${alerteData.arrivee} le ${alerteData.date} à ${alerteData.heureDepart}`
+      : `Nouveau trajet ${alerteData.depart} → ${alerteData.arrivee} le ${alerteData.date} à ${alerteData.heureDepart} (${alerteData.prix} FCFA)`;
+
+    return this.sendToUser(
+      userId,
+      {
+        title: '🔎 Un trajet correspond à votre recherche',
+        message,
+        data: {
+          type: 'SAVED_SEARCH_MATCH',
+          trajetId: alerteData.trajetId,
+          rechercheId: alerteData.rechercheId,
+          motif: alerteData.motif,
+          heureDepart: alerteData.heureDepart,
+          prix: String(alerteData.prix),
+          screen: 'TrajetDetails'
+        },
+        channelId: 'trajets',
+        type: 'trajets',
+        notificationId: alerteData.notificationId
+      },
+      Utilisateur
+    );
+  }
+
+  /**
+   * ⏳ LISTE D'ATTENTE - Place proposée au passager
+   */
+  async notifyWaitlistSeatOffered(userId, offreData, Utilisateur) {
+    return this.sendToUser(
+      userId,
+      {
+        title: '⏳ Une place s\'est libérée !',
+        message: `${offreData.depart} → ${offreData.arrivee} le ${offreData.date} : acceptez avant ${offreData.heureExpiration}`,
+        data: {
+          type: 'WAITLIST_SEAT_OFFERED',
+          inscriptionId: offreData.inscriptionId,
+          trajetId: offreData.trajetId,
+          nombrePlaces: String(offreData.nombrePlaces),
+          dateExpiration: offreData.dateExpiration,
+          screen: 'ListeAttente'
+        },
+        channelId: 'reservations',
+        type: 'reservations',
+        notificationId: offreData.notificationId
+      },
+      Utilisateur
+    );
+  }
+
+  /**
+   * 💸 RETRAIT - Changement de statut d'un retrait de gains
+   */
+  async notifyPayoutStatus(userId, retraitData, Utilisateur) {
+    const titres = {
+      REUSSI: '💸 Retrait effectué',
+      ECHOUE: '❌ Retrait échoué',
+      REJETE: '❌ Retrait refusé',
+      ANNULE: '↩️ Retrait annulé',
+      EN_ATTENTE_APPROBATION: '⏳ Retrait en cours de validation'
+    };
+
+    return this.sendToUser(
+      userId,
+      {
+        title: titres[retraitData.statut] || '💸 Retrait',
+        message: retraitData.message,
+        data: {
+          type: 'PAYOUT_STATUS',
+          retraitId: retraitData.retraitId,
+          reference: retraitData.reference,
+          statut: retraitData.statut,
+          montant: String(retraitData.montant),
+          screen: 'Retraits'
+        },
+        channelId: 'paiements',
+        type: 'paiements',
+        notificationId: retraitData.notificationId
+      },
+      Utilisateur
+    );
+  }
+
   /**
    * 🕐 COURSE BIENTÔT - Rappel 1h avant
    */
@@ -820,8 +968,8 @@ async notifyReservationRefusee(userId, reservationData, Utilisateur) {
   return this.sendToUser(
     userId,
     {
-      title: '❌ Réservation refusée',
-      message: `Votre demande vers ${reservationData.destination} a été refusée`,
+      modele: 'RESERVATION_REFUSEE',
+      variables: { destination: reservationData.destination, raison: reservationData.raison },
       data: {
         type: 'RESERVATION_REFUSEE',
         reservationId: reservationData.reservationId,
@@ -844,8 +992,12 @@ async notifyNewReservation(conducteurId, reservationData, Utilisateur) {
   return this.sendToUser(
     conducteurId,
     {
-      title: '🔔 Nouvelle réservation',
-      message: `${reservationData.passagerNom} ${reservationData.passagerPrenom} souhaite réserver ${reservationData.nombrePlaces} place(s) vers ${reservationData.destination}`,
+      modele: 'NOUVELLE_RESERVATION',
+      variables: {
+        passager: `${reservationData.passagerNom} ${reservationData.passagerPrenom}`,
+        nombrePlaces: reservationData.nombrePlaces,
+        destination: reservationData.destination
+      },
       data: {
         type: 'NEW_RESERVATION',
         reservationId: reservationData.reservationId,
@@ -854,6 +1006,7 @@ async notifyNewReservation(conducteurId, reservationData, Utilisateur) {
         passagerPrenom: reservationData.passagerPrenom,
         nombrePlaces: String(reservationData.nombrePlaces),
         montant: String(reservationData.montant),
+        supplementDetourSuggere: String(reservationData.supplementDetourSuggere || 0),
         depart: reservationData.depart,
         destination: reservationData.destination,
         screen: 'ReservationManagement'
@@ -896,6 +1049,33 @@ async notifyEmergencyAlert(adminIds, alerteData, Utilisateur) {
    * ===============================================
    */
 
+  /**
+   * Enregistrer la notification dans le centre de notifications de l'utilisateur
+   * 
+   * @param {String} userId - ID MongoDB de l'utilisateur
+   * @param {Object} notification - Objet notification (title, message, data, type)
+   * @returns {Promise<Object|null>} Notification enregistrée, null en cas d'échec
+   */
+  async archiver(userId, notification) {
+    const donnees = notification.data || {};
+    try {
+      return await centreNotificationsService.enregistrer({
+        destinataireId: userId,
+        type: donnees.type || notification.type || 'general',
+        titre: notification.title,
+        message: notification.message,
+        donnees,
+        canal: notification.type || 'general'
+      });
+    } catch (error) {
+      console.error('❌ Erreur enregistrement notification in-app:', {
+        error: error.message,
+        userId: userId
+      });
+      return null;
+    }
+  }
+
   /**
    * Vérifier si une erreur indique un token invalide
    */
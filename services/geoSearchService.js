@@ -2,16 +2,20 @@
 
 const Trajet = require('../models/Trajet');
 const geocodingService = require('./geocodingService');
+const corridorService = require('./corridorService');
+const detourService = require('./detourService');
 const { logger } = require('../utils/logger');
 
 /**
  * Service de recherche géospatiale — Logique Yango complète
  *
- * Un conducteur est retourné si le passager peut le rejoindre à:
- *   1. Son point de DÉPART (il est proche du passager)
- *   2. Un de ses ARRÊTS INTERMÉDIAIRES (il passe près du passager)
+ * Un conducteur est retourné si:
+ *   1. Son ITINÉRAIRE (polyline) passe à moins de N mètres de la montée
+ *      ET de la descente du passager, dans le bon ordre (corridor)
+ *   2. Sinon, le passager peut le rejoindre à son point de DÉPART
+ *      ou à un de ses ARRÊTS INTERMÉDIAIRES (logique historique)
  *
- * Le résultat indique toujours à quel arrêt le passager peut monter.
+ * Le résultat indique toujours où le passager peut monter.
  */
 class GeoSearchService {
 
@@ -27,7 +31,10 @@ class GeoSearchService {
       LIMITE_RESULTATS_DEFAUT:      20,
       RAYON_MAX_KM:                 50,
       RAYON_MIN_KM:                 0.5,
-      TOLERANCE_DIRECTION_DEGRES:   60   // ±60° = même direction acceptée
+      TOLERANCE_DIRECTION_DEGRES:   60,  // ±60° = même direction acceptée
+      RAYON_CORRIDOR_DEFAUT_METRES: 500, // écart max passager ↔ itinéraire du conducteur
+      RAYON_CORRIDOR_MIN_METRES:    50,
+      RAYON_CORRIDOR_MAX_METRES:    5000
     };
   }
 
@@ -48,6 +55,13 @@ class GeoSearchService {
     }
   }
 
+  _validateCorridorRadius(rayonMetres) {
+    const { RAYON_CORRIDOR_MIN_METRES: min, RAYON_CORRIDOR_MAX_METRES: max } = this.config;
+    if (typeof rayonMetres !== 'number' || rayonMetres < min || rayonMetres > max) {
+      throw new Error(`Le rayon du corridor doit être entre ${min} et ${max} mètres`);
+    }
+  }
+
   _validateSearchParams({ departLat, departLng, arriveeLat, arriveeLng }) {
     if (!this.isValidCoordinate(departLat, departLng))
       throw new Error('Coordonnées de départ invalides');
@@ -162,6 +176,183 @@ class GeoSearchService {
     return null; // Pas de point de montée dans le rayon
   }
 
+  // ============================================================
+  // CORRIDOR: MONTÉE ET DESCENTE LE LONG DE L'ITINÉRAIRE
+  // ============================================================
+
+  /**
+   * Vérifie que l'itinéraire du conducteur passe près de la montée
+   * ET de la descente du passager, la descente après la montée, sans
+   * dépasser le détour maximum fixé dans trajet.preferences.
+   *
+   * @param {Object} trajet        - Trajet (objet aggregate ou document)
+   * @param {Object} montee        - { lat, lng }
+   * @param {Object} descente      - { lat, lng }
+   * @param {number} rayonMetres   - Écart max autorisé avec l'itinéraire
+   * @returns {Object|null}        - Points projetés + détour, ou null
+   */
+  _evaluerCorridor(trajet, montee, descente, rayonMetres) {
+    const points = Trajet.obtenirPointsItineraire(trajet);
+    if (points.length < 2) return null;
+
+    const correspondance = corridorService.evaluerCorridor(points, montee, descente, { rayonMetres });
+    if (!correspondance) return null;
+
+    // Respecter le détour maximum fixé par le conducteur
+    const verification = detourService.verifierDetourMax(
+      { kmAjoutes: correspondance.detourKm, minutesAjoutees: correspondance.detourMinutes },
+      trajet.preferences
+    );
+    if (!verification.acceptable) {
+      logger.info(`Corridor refusé: ${verification.raison}`);
+      return null;
+    }
+
+    return {
+      ...correspondance,
+      supplementDetourEstime: detourService.calculerSupplement(correspondance.detourKm, trajet.preferences),
+      sourceItineraire: trajet.itineraire?.source || 'POINTS_DECLARES'
+    };
+  }
+
+  // ============================================================
+  // CORRESPONDANCE D'UN TRAJET AVEC LES CRITÈRES D'UN PASSAGER
+  // ============================================================
+
+  /**
+   * Logique Yango appliquée à un seul trajet (utilisée par la recherche
+   * et par les alertes de recherches sauvegardées)
+   *
+   * @param {Object} trajet   - Trajet (objet aggregate ou document)
+   * @param {Object} criteres - { departLat, departLng, arriveeLat, arriveeLng,
+   *                              rayonArrivee, rayonMontee, rayonCorridor,
+   *                              communeArrivee, quartierArrivee, directionPassager }
+   * @returns {Object|null}   - Correspondance pour _formaterResultat, ou null
+   */
+  evaluerCorrespondance(trajet, criteres) {
+    const {
+      departLat, departLng,
+      arriveeLat, arriveeLng,
+      rayonArrivee  = this.config.RAYON_DEFAUT_KM,
+      rayonMontee   = this.config.RAYON_MONTEE_DEFAUT_KM,
+      rayonCorridor = this.config.RAYON_CORRIDOR_DEFAUT_METRES,
+      communeArrivee,
+      quartierArrivee
+    } = criteres;
+    const directionPassager = criteres.directionPassager
+      ?? this.calculateBearing(departLat, departLng, arriveeLat, arriveeLng);
+
+    logger.info(`\n--- Analyse trajet: ${trajet._id} (${trajet.pointDepart?.commune} → ${trajet.pointArrivee?.commune}) ---`);
+
+    // 0) Corridor: montée ET descente le long de l'itinéraire, dans l'ordre
+    const corridor = this._evaluerCorridor(
+      trajet,
+      { lat: departLat,  lng: departLng },
+      { lat: arriveeLat, lng: arriveeLng },
+      rayonCorridor
+    );
+
+    if (corridor) {
+      logger.info(`✅ TRAJET ACCEPTÉ (corridor): ${trajet._id} — montée à ${corridor.pointMontee.distanceMetres} m, descente à ${corridor.pointDescente.distanceMetres} m, détour ${corridor.detourMinutes} min`);
+      const distanceMonteeKm = parseFloat((corridor.pointMontee.distanceMetres / 1000).toFixed(2));
+      return {
+        arretMontee: {
+          type:        'CORRIDOR',
+          nom:         'Point de prise en charge sur l\'itinéraire',
+          distanceKm:  distanceMonteeKm,
+          ordre:       null,
+          coordonnees: corridor.pointMontee.coordonnees
+        },
+        distanceMonteeKm,
+        distanceArriveeKm: parseFloat((corridor.pointDescente.distanceMetres / 1000).toFixed(2)),
+        correspondance: 'CORRIDOR',
+        corridor
+      };
+    }
+
+    // A) Destination du conducteur proche de celle du passager ?
+    const arrCoords = trajet.pointArrivee?.coordonnees?.coordinates;
+    if (!arrCoords) { logger.info('EXCLU: pas de coordonnées arrivée'); return null; }
+    const [arrLng, arrLat] = arrCoords;
+    const distArrivee = this.haversineKm(arriveeLat, arriveeLng, arrLat, arrLng);
+    logger.info(`Distance arrivée: ${distArrivee.toFixed(2)} km (max autorisé: ${rayonArrivee} km)`);
+    if (distArrivee > rayonArrivee) { logger.info('EXCLU: arrivée trop loin'); return null; }
+
+    // Filtre commune arrivée
+    if (communeArrivee) {
+      const communeConducteur = trajet.pointArrivee?.commune?.toLowerCase().trim();
+      const communePassager   = communeArrivee.toLowerCase().trim();
+      logger.info(`Commune arrivée: conducteur="${communeConducteur}" vs passager="${communePassager}"`);
+      if (communeConducteur !== communePassager) {
+        logger.info('EXCLU: commune arrivée différente');
+        return null;
+      }
+
+      if (quartierArrivee && trajet.pointArrivee?.quartier) {
+        const quartierConducteur = trajet.pointArrivee.quartier.toLowerCase().trim();
+        let quartierPassager   = quartierArrivee.toLowerCase().trim();
+        logger.info(`Quartier arrivée: conducteur="${quartierConducteur}" vs passager="${quartierPassager}"`);
+        // anciennement nous excluions si les noms ne correspondaient pas exactement
+        // mais cela élimine des trajets valables (ex. Riviera vs Attoban dans Cocody).
+        // le filtre de distance suffit pour garantir proximité, on se contente donc
+        // de logguer l'écart et on ne bloque plus le trajet.
+        
+        // pour conserver un peu d'information, on pourrait plus tard conserver cette
+        // comparaison dans le diagnostic, mais on ne met plus `continue` ici.
+      }
+    } else {
+      logger.info('Filtre commune arrivée: IGNORÉ (communeArrivee non résolue)');
+    }
+    // B) Même direction que le passager ?
+    const depCoords = trajet.pointDepart?.coordonnees?.coordinates;
+    if (depCoords) {
+      const [depLng, depLat] = depCoords;
+      const dirConducteur = this.calculateBearing(depLat, depLng, arrLat, arrLng);
+      const dirSimilaire  = this.isSimilarDirection(directionPassager, dirConducteur);
+      logger.info(`Direction: conducteur=${dirConducteur.toFixed(0)}° passager=${directionPassager.toFixed(0)}° similaire=${dirSimilaire}`);
+      if (!dirSimilaire) {
+        logger.info('EXCLU: direction différente');
+        return null;
+      }
+    }
+
+    // C) Le passager peut-il monter quelque part sur ce trajet ?
+    logger.info(`Recherche arrêt montée: passager à (${departLat}, ${departLng}), rayon=${rayonMontee} km`);
+    logger.info(`Arrêts disponibles: départ + ${trajet.arretsIntermediaires?.length || 0} intermédiaire(s)`);
+    const arretMontee = this._trouverArretMontee(trajet, departLat, departLng, rayonMontee);
+    if (!arretMontee) {
+      logger.info('EXCLU: aucun arrêt de montée dans le rayon');
+
+      // Log détaillé pour debug
+      const dCoords = trajet.pointDepart?.coordonnees?.coordinates;
+      if (dCoords) {
+        const [dLng, dLat] = dCoords;
+        const distDepart = this.haversineKm(departLat, departLng, dLat, dLng);
+        logger.info(`  → Départ conducteur: (${dLat}, ${dLng}) — distance: ${distDepart.toFixed(2)} km`);
+      }
+      for (const arret of (trajet.arretsIntermediaires || [])) {
+        const aCoords = arret.coordonnees?.coordinates;
+        if (aCoords) {
+          const [aLng, aLat] = aCoords;
+          const distArret = this.haversineKm(departLat, departLng, aLat, aLng);
+          logger.info(`  → Arrêt "${arret.nom}": (${aLat}, ${aLng}) — distance: ${distArret.toFixed(2)} km`);
+        }
+      }
+      return null;
+    }
+    logger.info(`Arrêt montée trouvé: type=${arretMontee.type} nom="${arretMontee.nom}" distance=${arretMontee.distanceKm} km`);
+
+    // D) Correspondance retenue
+    logger.info(`✅ TRAJET ACCEPTÉ: ${trajet._id}`);
+    return {
+      arretMontee,
+      distanceMonteeKm:  arretMontee.distanceKm,
+      distanceArriveeKm: parseFloat(distArrivee.toFixed(2)),
+      correspondance:    'ARRETS',
+      corridor:          null
+    };
+  }
+
   // ============================================================
   // RECHERCHE GÉOSPATIALE PRINCIPALE
   // ============================================================
@@ -189,6 +380,7 @@ class GeoSearchService {
         rayonDepart    = this.config.RAYON_DEFAUT_KM,
         rayonArrivee   = this.config.RAYON_DEFAUT_KM,
         rayonMontee    = this.config.RAYON_MONTEE_DEFAUT_KM,
+        rayonCorridor  = this.config.RAYON_CORRIDOR_DEFAUT_METRES,
         dateDepart,
         toleranceDate  = this.config.TOLERANCE_DATE_DEFAUT_HEURES,
         nombrePassagers,
@@ -200,6 +392,7 @@ class GeoSearchService {
       this._validateSearchParams(params);
       this._validateRadius(rayonDepart);
       this._validateRadius(rayonArrivee);
+      this._validateCorridorRadius(rayonCorridor);
 
       let communeArriveeFinale  = communeArrivee;
       let quartierArriveeFinale = quartierArrivee;
@@ -221,23 +414,11 @@ class GeoSearchService {
       // --------------------------------------------------------
       // PIPELINE MONGODB
       // --------------------------------------------------------
+      // Les étapes de filtre sont partagées par deux présélections:
+      //   - $geoNear sur le point de départ (logique arrêts)
+      //   - $geoNear sur la trace de l'itinéraire (logique corridor)
       const pipeline = [];
 
-      // ÉTAPE 1: $geoNear avec grand rayon
-      // On utilise un rayon large pour attraper les conducteurs
-      // dont un arrêt intermédiaire est proche du passager
-      // Le filtre précis se fait ensuite en JS via _trouverArretMontee()
-      const rayonRecherche = this.config.RAYON_MAX_KM * 1000;
-      pipeline.push({
-        $geoNear: {
-          near: { type: 'Point', coordinates: [departLng, departLat] },
-          distanceField: 'distanceDepartMetres',
-          maxDistance: rayonRecherche,
-          spherical: true,
-          key: 'pointDepart.coordonnees'
-        }
-      });
-
       // ÉTAPE 2: Filtres de base
       const matchBase = { statutTrajet: { $in: ['PROGRAMME', 'EN_COURS'] } };
       if (nombrePassagers)       matchBase.nombrePlacesDisponibles            = { $gte: nombrePassagers };
@@ -278,6 +459,33 @@ class GeoSearchService {
       // Limiter avant le traitement JS pour la performance
       pipeline.push({ $limit: limit * 5 });
 
+      // ÉTAPE 1: $geoNear avec grand rayon
+      // On utilise un rayon large pour attraper les conducteurs
+      // dont un arrêt intermédiaire est proche du passager
+      // Le filtre précis se fait ensuite en JS via _trouverArretMontee()
+      const rayonRecherche = this.config.RAYON_MAX_KM * 1000;
+      const pipelineDepart = [{
+        $geoNear: {
+          near: { type: 'Point', coordinates: [departLng, departLat] },
+          distanceField: 'distanceDepartMetres',
+          maxDistance: rayonRecherche,
+          spherical: true,
+          key: 'pointDepart.coordonnees'
+        }
+      }, ...pipeline];
+
+      // ÉTAPE 1 bis: itinéraires passant à moins de rayonCorridor de la montée
+      // (le départ du conducteur peut être très loin du passager)
+      const pipelineCorridor = [{
+        $geoNear: {
+          near: { type: 'Point', coordinates: [departLng, departLat] },
+          distanceField: 'distanceItineraireMetres',
+          maxDistance: rayonCorridor,
+          spherical: true,
+          key: 'itineraire.trace'
+        }
+      }, ...pipeline];
+
       // diagnostic test to verify 2dsphere index
       const testPipeline = [
         {
@@ -296,8 +504,22 @@ class GeoSearchService {
       logger.info(`TEST $geoNear: ${testCandidats.length} résultat(s)`);
       testCandidats.forEach(t => logger.info(`  → ${t._id} | départ: ${t.pointDepart?.commune}`));
 
-      const candidats = await Trajet.aggregate(pipeline);
-      logger.info(`${candidats.length} candidat(s) à analyser...`);
+      const [candidatsDepart, candidatsCorridor] = await Promise.all([
+        Trajet.aggregate(pipelineDepart),
+        Trajet.aggregate(pipelineCorridor).catch(error => {
+          // Index 2dsphere absent ou aucune trace: on garde la logique arrêts
+          logger.warn('Présélection corridor indisponible:', error.message);
+          return [];
+        })
+      ]);
+
+      // Fusion sans doublon (un trajet peut remonter par les deux voies)
+      const candidatsParId = new Map();
+      [...candidatsCorridor, ...candidatsDepart].forEach(t => {
+        if (!candidatsParId.has(t._id.toString())) candidatsParId.set(t._id.toString(), t);
+      });
+      const candidats = [...candidatsParId.values()];
+      logger.info(`${candidats.length} candidat(s) à analyser (${candidatsCorridor.length} via corridor)...`);
 
       // store diagnostics for response if caller asked
       let diagnostic = null;
@@ -314,116 +536,18 @@ class GeoSearchService {
       const resultats = [];
 
       for (const trajet of candidats) {
-        logger.info(`\n--- Analyse trajet: ${trajet._id} (${trajet.pointDepart?.commune} → ${trajet.pointArrivee?.commune}) ---`);
-
-        // A) Destination du conducteur proche de celle du passager ?
-        const arrCoords = trajet.pointArrivee?.coordonnees?.coordinates;
-        if (!arrCoords) { logger.info('EXCLU: pas de coordonnées arrivée'); continue; }
-        const [arrLng, arrLat] = arrCoords;
-        const distArrivee = this.haversineKm(arriveeLat, arriveeLng, arrLat, arrLng);
-        logger.info(`Distance arrivée: ${distArrivee.toFixed(2)} km (max autorisé: ${rayonArrivee} km)`);
-        if (distArrivee > rayonArrivee) { logger.info('EXCLU: arrivée trop loin'); continue; }
-
-        // Filtre commune arrivée
-        if (communeArriveeFinale) {
-          const communeConducteur = trajet.pointArrivee?.commune?.toLowerCase().trim();
-          const communePassager   = communeArriveeFinale.toLowerCase().trim();
-          logger.info(`Commune arrivée: conducteur="${communeConducteur}" vs passager="${communePassager}"`);
-          if (communeConducteur !== communePassager) {
-            logger.info('EXCLU: commune arrivée différente');
-            continue;
-          }
-
-          if (quartierArriveeFinale && trajet.pointArrivee?.quartier) {
-            const quartierConducteur = trajet.pointArrivee.quartier.toLowerCase().trim();
-            let quartierPassager   = quartierArriveeFinale.toLowerCase().trim();
-            logger.info(`Quartier arrivée: conducteur="${quartierConducteur}" vs passager="${quartierPassager}"`);
-            // anciennement nous excluions si les noms ne correspondaient pas exactement
-            // mais cela élimine des trajets valables (ex. Riviera vs Attoban dans Cocody).
-            // le filtre de distance suffit pour garantir proximité, on se contente donc
-            // de logguer l'écart et on ne bloque plus le trajet.
-            
-            // pour conserver un peu d'information, on pourrait plus tard conserver cette
-            // comparaison dans le diagnostic, mais on ne met plus `continue` ici.
-          }
-        } else {
-          logger.info('Filtre commune arrivée: IGNORÉ (communeArriveeFinale non résolue)');
-        }
-        // B) Même direction que le passager ?
-        const depCoords = trajet.pointDepart?.coordonnees?.coordinates;
-        if (depCoords) {
-          const [depLng, depLat] = depCoords;
-          const dirConducteur = this.calculateBearing(depLat, depLng, arrLat, arrLng);
-          const dirSimilaire  = this.isSimilarDirection(directionPassager, dirConducteur);
-          logger.info(`Direction: conducteur=${dirConducteur.toFixed(0)}° passager=${directionPassager.toFixed(0)}° similaire=${dirSimilaire}`);
-          if (!dirSimilaire) {
-            logger.info('EXCLU: direction différente');
-            continue;
-          }
-        }
+        const correspondance = this.evaluerCorrespondance(trajet, {
+          departLat, departLng,
+          arriveeLat, arriveeLng,
+          rayonArrivee, rayonMontee, rayonCorridor,
+          communeArrivee:  communeArriveeFinale,
+          quartierArrivee: quartierArriveeFinale,
+          directionPassager
+        });
 
-        // C) Le passager peut-il monter quelque part sur ce trajet ?
-        logger.info(`Recherche arrêt montée: passager à (${departLat}, ${departLng}), rayon=${rayonMontee} km`);
-        logger.info(`Arrêts disponibles: départ + ${trajet.arretsIntermediaires?.length || 0} intermédiaire(s)`);
-        const arretMontee = this._trouverArretMontee(trajet, departLat, departLng, rayonMontee);
-        if (!arretMontee) {
-          logger.info('EXCLU: aucun arrêt de montée dans le rayon');
-
-          // Log détaillé pour debug
-          const dCoords = trajet.pointDepart?.coordonnees?.coordinates;
-          if (dCoords) {
-            const [dLng, dLat] = dCoords;
-            const distDepart = this.haversineKm(departLat, departLng, dLat, dLng);
-            logger.info(`  → Départ conducteur: (${dLat}, ${dLng}) — distance: ${distDepart.toFixed(2)} km`);
-          }
-          for (const arret of (trajet.arretsIntermediaires || [])) {
-            const aCoords = arret.coordonnees?.coordinates;
-            if (aCoords) {
-              const [aLng, aLat] = aCoords;
-              const distArret = this.haversineKm(departLat, departLng, aLat, aLng);
-              logger.info(`  → Arrêt "${arret.nom}": (${aLat}, ${aLng}) — distance: ${distArret.toFixed(2)} km`);
-            }
-          }
-          continue;
+        if (correspondance) {
+          resultats.push(this._formaterResultat(trajet, correspondance));
         }
-        logger.info(`Arrêt montée trouvé: type=${arretMontee.type} nom="${arretMontee.nom}" distance=${arretMontee.distanceKm} km`);
-
-        // D) Résultat formaté
-        logger.info(`✅ TRAJET ACCEPTÉ: ${trajet._id}`);
-        resultats.push({
-          _id:                     trajet._id,
-          titre:                   trajet.titre,
-          pointDepart:             trajet.pointDepart,
-          pointArrivee:            trajet.pointArrivee,
-          arretsIntermediaires:    trajet.arretsIntermediaires,
-          dateDepart:              trajet.dateDepart,
-          heureDepart:             trajet.heureDepart,
-          heureArriveePrevue:      trajet.heureArriveePrevue,
-          prixParPassager:         trajet.prixParPassager,
-          nombrePlacesDisponibles: trajet.nombrePlacesDisponibles,
-          nombrePlacesTotal:       trajet.nombrePlacesTotal,
-          statutTrajet:            trajet.statutTrajet,
-          distance:                trajet.distance,
-          dureeEstimee:            trajet.dureeEstimee,
-          vehiculeUtilise:         trajet.vehiculeUtilise,
-          preferences:             trajet.preferences,
-          typeTrajet:              trajet.typeTrajet,
-
-          arretMontee,
-          distanceMonteeKm:  arretMontee.distanceKm,
-          distanceArriveeKm: parseFloat(distArrivee.toFixed(2)),
-
-          conducteur: {
-            _id:               trajet.conducteurInfo._id,
-            nom:               trajet.conducteurInfo.nom,
-            prenom:            trajet.conducteurInfo.prenom,
-            photo:             trajet.conducteurInfo.photo,
-            noteGlobale:       trajet.conducteurInfo.noteGlobale,
-            nombreEvaluations: trajet.conducteurInfo.nombreEvaluations,
-            telephoneVerifie:  trajet.conducteurInfo.telephoneVerifie,
-            scoreConfiance:    trajet.conducteurInfo.scoreConfiance
-          }
-        });
       }
 
       // E) Trier par distance arrêt de montée (le plus proche en premier)
@@ -442,6 +566,7 @@ class GeoSearchService {
           rayonDepart:       `${rayonDepart} km`,
           rayonArrivee:      `${rayonArrivee} km`,
           rayonMontee:       `${rayonMontee} km`,
+          rayonCorridor:     `${rayonCorridor} m`,
           position:          { lat: departLat,  lng: departLng  },
           destination:       { lat: arriveeLat, lng: arriveeLng },
           directionPassager: `${directionPassager.toFixed(1)}°`,
@@ -462,6 +587,53 @@ class GeoSearchService {
     }
   }
 
+  /**
+   * Format commun d'un trajet accepté (logique corridor ou arrêts)
+   */
+  _formaterResultat(trajet, correspondance) {
+    return {
+      _id:                     trajet._id,
+      titre:                   trajet.titre,
+      pointDepart:             trajet.pointDepart,
+      pointArrivee:            trajet.pointArrivee,
+      arretsIntermediaires:    trajet.arretsIntermediaires,
+      dateDepart:              trajet.dateDepart,
+      heureDepart:             trajet.heureDepart,
+      heureArriveePrevue:      trajet.heureArriveePrevue,
+      prixParPassager:         trajet.prixParPassager,
+      nombrePlacesDisponibles: trajet.nombrePlacesDisponibles,
+      nombrePlacesTotal:       trajet.nombrePlacesTotal,
+      statutTrajet:            trajet.statutTrajet,
+      distance:                trajet.distance,
+      dureeEstimee:            trajet.dureeEstimee,
+      vehiculeUtilise:         trajet.vehiculeUtilise,
+      preferences:             trajet.preferences,
+      typeTrajet:              trajet.typeTrajet,
+
+      arretMontee:       correspondance.arretMontee,
+      distanceMonteeKm:  correspondance.distanceMonteeKm,
+      distanceArriveeKm: correspondance.distanceArriveeKm,
+
+      // 'CORRIDOR' (itinéraire) ou 'ARRETS' (départ / arrêts intermédiaires)
+      correspondance:    correspondance.correspondance,
+      pointMontee:       correspondance.corridor?.pointMontee   || null,
+      pointDescente:     correspondance.corridor?.pointDescente || null,
+      detourMinutes:     correspondance.corridor ? correspondance.corridor.detourMinutes : null,
+      supplementDetourEstime: correspondance.corridor ? correspondance.corridor.supplementDetourEstime : null,
+
+      conducteur: {
+        _id:               trajet.conducteurInfo._id,
+        nom:               trajet.conducteurInfo.nom,
+        prenom:            trajet.conducteurInfo.prenom,
+        photo:             trajet.conducteurInfo.photo,
+        noteGlobale:       trajet.conducteurInfo.noteGlobale,
+        nombreEvaluations: trajet.conducteurInfo.nombreEvaluations,
+        telephoneVerifie:  trajet.conducteurInfo.telephoneVerifie,
+        scoreConfiance:    trajet.conducteurInfo.scoreConfiance
+      }
+    };
+  }
+
   // ============================================================
   // RECHERCHE PAR COMMUNE (fallback sans GPS)
   // ============================================================
@@ -570,7 +742,7 @@ class GeoSearchService {
         departLat, departLng, arriveeLat, arriveeLng,
         communeDepart, communeArrivee,
         quartierDepart, quartierArrivee,
-        rayonDepart, rayonArrivee, rayonMontee,
+        rayonDepart, rayonArrivee, rayonMontee, rayonCorridor,
         dateDepart, toleranceDate,
         nombrePassagers, prixMax, noteMin,
         musique, climatisation, bagages, nonFumeur,
@@ -612,6 +784,7 @@ class GeoSearchService {
         rayonDepart:  rayonDepart  ? parseFloat(rayonDepart)  : this.config.RAYON_DEFAUT_KM,
         rayonArrivee: rayonArrivee ? parseFloat(rayonArrivee) : this.config.RAYON_DEFAUT_KM,
         rayonMontee:  rayonMontee  ? parseFloat(rayonMontee)  : this.config.RAYON_MONTEE_DEFAUT_KM,
+        rayonCorridor: rayonCorridor ? parseFloat(rayonCorridor) : this.config.RAYON_CORRIDOR_DEFAUT_METRES,
         dateDepart,
         toleranceDate: toleranceDate ? parseInt(toleranceDate) : this.config.TOLERANCE_DATE_DEFAUT_HEURES,
         nombrePassagers, prixMax, noteMin,
@@ -0,0 +1,1108 @@
+// services/grandLivreService.js
+
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const SoldeCompte = require('../models/SoldeCompte');
+const Paiement = require('../models/Paiement');
+const Utilisateur = require('../models/Utilisateur');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const { COMPTES } = EcritureComptable;
+
+const idDe = (valeur) => (valeur && valeur._id ? valeur._id : valeur) || null;
+const cleCompte = (compte, utilisateurId) => `${compte}:${utilisateurId ? utilisateurId.toString() : ''}`;
+
+/**
+ * Grand livre des comptes conducteurs et de la plateforme
+ *
+ * Tout mouvement d'argent est une écriture en partie double dans la collection
+ * EcritureComptable (immuable, clé d'idempotence `reference`). Les soldes sont
+ * des instantanés SoldeCompte mis à jour dans la même transaction MongoDB que
+ * l'écriture ; `compteCovoiturage.solde` de l'utilisateur n'est plus qu'un
+ * cache du compte PORTEFEUILLE_CONDUCTEUR, écrit depuis l'instantané.
+ *
+ * Les lignes attendues pour un Paiement sont calculées par une seule fonction
+ * (lignesPaiement) utilisée à la fois pour comptabiliser et pour rapprocher :
+ * verifierRapprochement prouve que chaque Paiement finalisé a ses écritures,
+ * équilibrées et aux bons montants.
+ */
+class GrandLivreService {
+
+  constructor() {
+    this.COMPTES = COMPTES;
+    // null : pas encore déterminé, false : MongoDB sans replica set
+    this._transactionsSupportees = null;
+  }
+
+  // ============================================================
+  // TRANSACTIONS
+  // ============================================================
+
+  /**
+   * Exécute `operation(session)` dans une transaction MongoDB.
+   * Sur une instance autonome (sans replica set, typiquement en local) les
+   * transactions sont refusées : on exécute alors sans session. passerEcriture
+   * insère alors l'écriture avant les soldes (l'unicité de `reference` garantit
+   * l'idempotence) et défait ce qu'elle a écrit en cas d'échec.
+   * @param {Function} operation
+   * @returns {Promise<*>}
+   */
+  async executerEnTransaction(operation) {
+    if (this._transactionsSupportees === false) {
+      return operation(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let resultat;
+      await session.withTransaction(async () => {
+        resultat = await operation(session);
+      });
+      this._transactionsSupportees = true;
+      return resultat;
+    } catch (error) {
+      if (this._transactionsSupportees === null && this._estTransactionNonSupportee(error)) {
+        this._transactionsSupportees = false;
+        logger.warn('📒 Transactions MongoDB indisponibles (pas de replica set) : grand livre sans session');
+        return operation(null);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  _estTransactionNonSupportee(error) {
+    return error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || '');
+  }
+
+  // ============================================================
+  // ÉCRITURES
+  // ============================================================
+
+  /**
+   * Passe une écriture équilibrée et met à jour les soldes concernés.
+   * Une référence déjà comptabilisée est renvoyée telle quelle (idempotence).
+   * @param {Object} donnees - { reference, type, lignes, paiementId, reservationId,
+   *                            trajetId, ecritureOrigineId, libelle }
+   * @param {Object} [options] - { session, comptesSansDecouvert }
+   *   comptesSansDecouvert : comptes dont le débit doit être couvert par le solde
+   * @returns {Promise<{ ecriture: Object, soldes: Object[], dejaComptabilisee: boolean }>}
+   */
+  async passerEcriture(donnees, { session = null, comptesSansDecouvert = ['PORTEFEUILLE_CONDUCTEUR'] } = {}) {
+    const lignes = this._normaliserLignes(donnees.lignes);
+    const { debit, credit } = EcritureComptable.totaux(lignes);
+
+    if (lignes.length < 2 || debit !== credit) {
+      throw new AppError('Écriture comptable déséquilibrée', {
+        code: 'LEDGER_UNBALANCED',
+        status: 500,
+        context: { reference: donnees.reference, debit, credit },
+        isOperational: false
+      });
+    }
+
+    const existante = await EcritureComptable.findOne({ reference: donnees.reference }).session(session);
+    if (existante) {
+      return { ecriture: existante, soldes: [], dejaComptabilisee: true };
+    }
+
+    const portefeuilles = new Set(lignes
+      .filter(l => l.compte === 'PORTEFEUILLE_CONDUCTEUR')
+      .map(l => l.utilisateurId.toString()));
+    for (const utilisateurId of portefeuilles) {
+      await this._ouvrirPortefeuille(utilisateurId, session);
+    }
+
+    const ecriture = new EcritureComptable({
+      reference: donnees.reference,
+      type: donnees.type,
+      lignes,
+      paiementId: donnees.paiementId || null,
+      reservationId: donnees.reservationId || null,
+      trajetId: donnees.trajetId || null,
+      ecritureOrigineId: donnees.ecritureOrigineId || null,
+      libelle: donnees.libelle,
+      dateEcriture: donnees.dateEcriture || new Date()
+    });
+
+    // Écriture d'abord : sa référence unique départage deux appels concurrents
+    // avant que le moindre solde ne bouge
+    try {
+      await ecriture.save({ session });
+    } catch (error) {
+      if (session || error.code !== 11000) throw error;
+      const concurrente = await EcritureComptable.findOne({ reference: donnees.reference });
+      return { ecriture: concurrente, soldes: [], dejaComptabilisee: true };
+    }
+
+    let soldes;
+    try {
+      soldes = await this._appliquerSoldes(ecriture, session, comptesSansDecouvert);
+    } catch (error) {
+      // Sans transaction, rien n'annule l'écriture à notre place
+      if (!session) {
+        await this._retirerEcriture(ecriture);
+      }
+      throw error;
+    }
+    await this._synchroniserCacheUtilisateurs(soldes, session);
+
+    return { ecriture, soldes, dejaComptabilisee: false };
+  }
+
+  /**
+   * Annule une écriture par une écriture de sens inverse
+   * @param {string} ecritureId
+   * @param {string} motif
+   */
+  async contrePasser(ecritureId, motif) {
+    return this.executerEnTransaction(async (session) => {
+      const origine = await EcritureComptable.findById(ecritureId).session(session);
+      if (!origine) {
+        throw AppError.notFound('Écriture comptable introuvable');
+      }
+
+      return this.passerEcriture({
+        reference: `ANNULATION:${origine.reference}`,
+        type: 'CONTRE_PASSATION',
+        lignes: origine.lignes.map(l => ({
+          compte: l.compte,
+          utilisateurId: l.utilisateurId,
+          sens: l.sens === 'DEBIT' ? 'CREDIT' : 'DEBIT',
+          montant: l.montant
+        })),
+        paiementId: origine.paiementId,
+        reservationId: origine.reservationId,
+        trajetId: origine.trajetId,
+        ecritureOrigineId: origine._id,
+        libelle: motif
+      }, { session });
+    });
+  }
+
+  /**
+   * Retire une écriture dont les soldes n'ont pas pu être appliqués (mode sans
+   * transaction). Passe par la collection : le modèle interdit toute suppression.
+   */
+  async _retirerEcriture(ecriture) {
+    try {
+      await EcritureComptable.collection.deleteOne({ _id: ecriture._id });
+    } catch (error) {
+      logger.error('📒 Écriture sans soldes non retirée : à contre-passer', {
+        reference: ecriture.reference,
+        error: error.message
+      });
+    }
+  }
+
+  _normaliserLignes(lignes = []) {
+    return lignes
+      .map(l => ({
+        compte: l.compte,
+        utilisateurId: COMPTES[l.compte]?.parUtilisateur ? idDe(l.utilisateurId) : null,
+        sens: l.sens,
+        montant: Math.round(Number(l.montant) || 0)
+      }))
+      .filter(l => l.montant > 0);
+  }
+
+  /**
+   * Applique les variations d'une écriture aux instantanés de solde.
+   * Le débit d'un compte sans découvert est conditionné au solde disponible ;
+   * hors transaction, un refus défait les variations déjà appliquées.
+   */
+  async _appliquerSoldes(ecriture, session, comptesSansDecouvert = ['PORTEFEUILLE_CONDUCTEUR']) {
+    const variations = new Map();
+    for (const ligne of ecriture.lignes) {
+      const cle = cleCompte(ligne.compte, ligne.utilisateurId);
+      const v = variations.get(cle) || { compte: ligne.compte, utilisateurId: ligne.utilisateurId, debit: 0, credit: 0 };
+      if (ligne.sens === 'DEBIT') v.debit += ligne.montant;
+      else v.credit += ligne.montant;
+      variations.set(cle, v);
+    }
+
+    const soldes = [];
+    const appliquees = [];
+    for (const v of variations.values()) {
+      const variation = COMPTES[v.compte].nature === 'CREDIT' ? v.credit - v.debit : v.debit - v.credit;
+      const conditionnel = comptesSansDecouvert.includes(v.compte) && variation < 0;
+      const filtre = { compte: v.compte, utilisateurId: v.utilisateurId || null };
+      if (conditionnel) {
+        filtre.solde = { $gte: -variation };
+      }
+
+      const solde = await SoldeCompte.findOneAndUpdate(
+        filtre,
+        {
+          $inc: { solde: variation, totalDebits: v.debit, totalCredits: v.credit },
+          $set: { derniereEcritureId: ecriture._id }
+        },
+        { new: true, upsert: !conditionnel, session }
+      );
+
+      if (!solde) {
+        if (!session) {
+          await this._annulerVariations(appliquees);
+        }
+        const message = {
+          GAINS_CONDUCTEUR: 'Gains disponibles insuffisants',
+          SEQUESTRE_CONDUCTEUR: 'Montant insuffisant au séquestre',
+          CREDIT_PROMOTIONNEL: 'Crédit promotionnel insuffisant'
+        }[v.compte] || 'Solde insuffisant sur le portefeuille conducteur';
+        throw new AppError(message, {
+          code: 'INSUFFICIENT_BALANCE',
+          status: 400,
+          context: { compte: v.compte, utilisateurId: v.utilisateurId, montantRequis: -variation }
+        });
+      }
+      soldes.push(solde);
+      appliquees.push({ ...v, variation });
+    }
+    return soldes;
+  }
+
+  async _annulerVariations(appliquees) {
+    for (const v of appliquees) {
+      await SoldeCompte.updateOne(
+        { compte: v.compte, utilisateurId: v.utilisateurId || null },
+        { $inc: { solde: -v.variation, totalDebits: -v.debit, totalCredits: -v.credit } }
+      );
+    }
+  }
+
+  /**
+   * Crée le compte PORTEFEUILLE_CONDUCTEUR d'un utilisateur à sa première
+   * écriture, en reprenant le solde historique de compteCovoiturage.
+   */
+  async _ouvrirPortefeuille(utilisateurId, session) {
+    const existant = await SoldeCompte.exists({ compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId }).session(session);
+    if (existant) return;
+
+    const utilisateur = await Utilisateur.findById(utilisateurId)
+      .select('compteCovoiturage.solde')
+      .session(session)
+      .lean();
+    const soldeHistorique = Math.round(utilisateur?.compteCovoiturage?.solde || 0);
+
+    if (soldeHistorique <= 0) {
+      await SoldeCompte.updateOne(
+        { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId },
+        { $setOnInsert: { solde: 0, totalDebits: 0, totalCredits: 0 } },
+        { upsert: true, session }
+      );
+      return;
+    }
+
+    const reprise = new EcritureComptable({
+      reference: `REPRISE:${utilisateurId}`,
+      type: 'REPRISE_SOLDE',
+      lignes: [
+        { compte: 'COMPENSATION_OPERATEUR', sens: 'DEBIT', montant: soldeHistorique },
+        { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId, sens: 'CREDIT', montant: soldeHistorique }
+      ],
+      libelle: 'Reprise du solde antérieur au grand livre'
+    });
+    try {
+      await reprise.save({ session });
+    } catch (error) {
+      // Reprise déjà passée par un appel concurrent
+      if (session || error.code !== 11000) throw error;
+      return;
+    }
+    try {
+      await this._appliquerSoldes(reprise, session);
+    } catch (error) {
+      if (!session) {
+        await this._retirerEcriture(reprise);
+      }
+      throw error;
+    }
+  }
+
+  async _synchroniserCacheUtilisateurs(soldes, session) {
+    for (const solde of soldes) {
+      if (solde.compte !== 'PORTEFEUILLE_CONDUCTEUR') continue;
+      await Utilisateur.updateOne(
+        { _id: solde.utilisateurId },
+        { $set: { 'compteCovoiturage.solde': solde.solde } },
+        { session }
+      );
+    }
+  }
+
+  _soldePortefeuille(soldes, utilisateurId) {
+    const solde = soldes.find(s =>
+      s.compte === 'PORTEFEUILLE_CONDUCTEUR' && s.utilisateurId?.toString() === utilisateurId?.toString()
+    );
+    return solde ? solde.solde : undefined;
+  }
+
+  // ============================================================
+  // PAIEMENTS
+  // ============================================================
+
+  /**
+   * Une recharge est un paiement du conducteur vers son propre compte
+   * @param {Object} paiement
+   * @returns {boolean}
+   */
+  estRecharge(paiement) {
+    return !paiement.reservationId &&
+      idDe(paiement.payeurId)?.toString() === idDe(paiement.beneficiaireId)?.toString();
+  }
+
+  referencePaiement(paiement) {
+    return `PAIEMENT:${paiement.referenceTransaction}`;
+  }
+
+  // ============================================================
+  // SÉQUESTRE
+  // ============================================================
+
+  /**
+   * Course payée via l'opérateur dont les gains ne sont pas encore
+   * comptabilisés : ils iront au séquestre jusqu'à la fin du trajet
+   * @param {Object} paiement
+   * @returns {boolean}
+   */
+  doitSequestrer(paiement) {
+    return Boolean(paiement.reservationId) &&
+      paiement.methodePaiement !== 'ESPECES' &&
+      !this.estRecharge(paiement) &&
+      paiement.montantConducteur > 0 &&
+      (paiement.portefeuilleConducteur?.statutSequestre || 'AUCUN') === 'AUCUN' &&
+      paiement.commission?.statutPrelevement !== 'preleve';
+  }
+
+  /**
+   * Compte crédité des gains à l'encaissement. Un paiement antérieur au
+   * séquestre (statut AUCUN) reste comptabilisé directement en gains.
+   */
+  compteGains(paiement) {
+    const statut = paiement.portefeuilleConducteur?.statutSequestre;
+    return statut && statut !== 'AUCUN' ? 'SEQUESTRE_CONDUCTEUR' : 'GAINS_CONDUCTEUR';
+  }
+
+  referenceSequestre(paiement) {
+    return `SEQUESTRE:${paiement.referenceTransaction}`;
+  }
+
+  /**
+   * Part des gains à verser au conducteur à la sortie du séquestre : la
+   * totalité, ou ce qui reste après un remboursement partiel du passager
+   * @param {Object} paiement
+   * @param {number} [montantRembourse]
+   * @returns {number}
+   */
+  montantALiberer(paiement, montantRembourse = null) {
+    const rembourse = montantRembourse ?? (paiement.portefeuilleConducteur?.statutSequestre === 'REMBOURSE'
+      ? paiement.remboursement?.montant || 0
+      : 0);
+    const partConducteur = rembourse > 0 ? this._partsRemboursement(paiement, rembourse).partConducteur : 0;
+    return Math.max(0, Math.round(paiement.montantConducteur - partConducteur));
+  }
+
+  lignesLiberationSequestre(paiement, montant) {
+    const conducteurId = idDe(paiement.beneficiaireId);
+    return this._normaliserLignes([
+      { compte: 'SEQUESTRE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant },
+      { compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant }
+    ]);
+  }
+
+  /**
+   * Verse au conducteur les gains séquestrés d'une course
+   * @param {Object} paiement - document Paiement au séquestre
+   * @param {Object} [options] - { session, montant }
+   */
+  async libererSequestre(paiement, { session = null, montant = null } = {}) {
+    const conducteurId = idDe(paiement.beneficiaireId);
+    const lignes = this.lignesLiberationSequestre(paiement, montant ?? this.montantALiberer(paiement));
+
+    const liberer = async (s) => {
+      const resultat = await this.passerEcriture({
+        reference: this.referenceSequestre(paiement),
+        type: 'LIBERATION_SEQUESTRE',
+        lignes,
+        paiementId: paiement._id,
+        reservationId: paiement.reservationId,
+        libelle: 'Gains de course libérés du séquestre'
+      }, { session: s, comptesSansDecouvert: ['SEQUESTRE_CONDUCTEUR'] });
+
+      if (!resultat.dejaComptabilisee) {
+        await this._majStatistiquesConducteur(conducteurId, lignes, s);
+      }
+      return resultat;
+    };
+
+    return session ? liberer(session) : this.executerEnTransaction(liberer);
+  }
+
+  /**
+   * Lignes comptables d'un paiement (recharge ou course)
+   *
+   * - Recharge : l'opérateur encaisse le net, la plateforme finance le bonus,
+   *   le portefeuille est crédité du total.
+   * - Course payée via l'opérateur : le net encaissé (total - frais) se répartit
+   *   entre gains du conducteur (au séquestre jusqu'à la fin du trajet) et commission.
+   * - Commission en mode compte_recharge : débitée du portefeuille.
+   * - Réductions (code promo, crédit de parrainage) : financées par la
+   *   plateforme, elles complètent l'encaissement pour que gains et commission
+   *   restent calculés sur le prix avant réduction. En espèces, le conducteur
+   *   n'a reçu que le montant remisé : la réduction lui est versée en gains.
+   * @param {Object} paiement
+   * @returns {Array<{compte, utilisateurId, sens, montant}>}
+   */
+  lignesPaiement(paiement) {
+    const conducteurId = idDe(paiement.beneficiaireId);
+
+    if (this.estRecharge(paiement)) {
+      const bonus = paiement.bonus?.bonusRecharge || 0;
+      return this._normaliserLignes([
+        { compte: 'COMPENSATION_OPERATEUR', sens: 'DEBIT', montant: paiement.montantConducteur },
+        { compte: 'PROMOTIONS', sens: 'DEBIT', montant: bonus },
+        { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: paiement.montantConducteur + bonus }
+      ]);
+    }
+
+    const lignes = this._lignesReductions(paiement, 'DEBIT');
+    const commission = paiement.commission?.montant || 0;
+
+    if (paiement.commission?.modePrelevement === 'compte_recharge') {
+      lignes.push(
+        { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant: commission },
+        { compte: 'COMMISSION_PLATEFORME', sens: 'CREDIT', montant: commission }
+      );
+    }
+
+    const reduction = this._montantReductions(paiement);
+    if (paiement.methodePaiement !== 'ESPECES') {
+      const encaisse = paiement.montantTotal - (paiement.fraisTransaction || 0);
+      lignes.push(
+        { compte: 'COMPENSATION_OPERATEUR', sens: 'DEBIT', montant: encaisse },
+        { compte: this.compteGains(paiement), utilisateurId: conducteurId, sens: 'CREDIT', montant: paiement.montantConducteur },
+        { compte: 'COMMISSION_PLATEFORME', sens: 'CREDIT', montant: encaisse + reduction - paiement.montantConducteur }
+      );
+    } else if (reduction > 0) {
+      lignes.push({ compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant: reduction });
+    }
+
+    return this._normaliserLignes(lignes);
+  }
+
+  _montantReductions(paiement) {
+    return (paiement.repartitionFrais?.reductionPlateforme || 0) + (paiement.repartitionFrais?.creditPassager || 0);
+  }
+
+  // Réductions d'un paiement : débitées à l'encaissement, recréditées au remboursement
+  _lignesReductions(paiement, sens, { reductionPlateforme, creditPassager } = paiement.repartitionFrais || {}) {
+    return [
+      { compte: 'PROMOTIONS', sens, montant: reductionPlateforme || 0 },
+      { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: idDe(paiement.payeurId), sens, montant: creditPassager || 0 }
+    ];
+  }
+
+  // Le remboursement reprend au prorata les réductions : le passager récupère
+  // son crédit et la plateforme n'a plus à financer le code promo
+  _partsRemboursement(paiement, montant) {
+    const encaisse = paiement.montantTotal - (paiement.fraisTransaction || 0);
+    const prorata = (valeur) => (encaisse > 0 ? Math.round((valeur || 0) * montant / encaisse) : 0);
+    const partReduction = prorata(paiement.repartitionFrais?.reductionPlateforme);
+    const partCredit = prorata(paiement.repartitionFrais?.creditPassager);
+    const brut = encaisse + this._montantReductions(paiement);
+    const partPlateforme = brut > 0
+      ? Math.round((montant + partReduction + partCredit) * (brut - paiement.montantConducteur) / brut)
+      : 0;
+    return {
+      partPlateforme,
+      partConducteur: montant + partReduction + partCredit - partPlateforme,
+      partReduction,
+      partCredit
+    };
+  }
+
+  // Remboursé avant la sortie du séquestre : la part conducteur y est reprise
+  _rembourseDepuisSequestre(paiement) {
+    return ['BLOQUE', 'REMBOURSE'].includes(paiement.portefeuilleConducteur?.statutSequestre);
+  }
+
+  /**
+   * Lignes du remboursement d'un paiement encaissé via l'opérateur :
+   * la part remboursée est reprise sur les gains (ou le séquestre) et la
+   * commission au prorata.
+   * @param {Object} paiement
+   * @param {number} montant
+   */
+  lignesRemboursement(paiement, montant) {
+    const { partPlateforme, partConducteur, partReduction, partCredit } = this._partsRemboursement(paiement, montant);
+    const compteConducteur = this._rembourseDepuisSequestre(paiement) ? 'SEQUESTRE_CONDUCTEUR' : 'GAINS_CONDUCTEUR';
+
+    return this._normaliserLignes([
+      { compte: compteConducteur, utilisateurId: idDe(paiement.beneficiaireId), sens: 'DEBIT', montant: partConducteur },
+      { compte: 'COMMISSION_PLATEFORME', sens: 'DEBIT', montant: partPlateforme },
+      { compte: 'REMBOURSEMENTS', sens: 'CREDIT', montant },
+      ...this._lignesReductions(paiement, 'CREDIT', { reductionPlateforme: partReduction, creditPassager: partCredit })
+    ]);
+  }
+
+  /**
+   * Comptabilise un paiement finalisé et met à jour les statistiques du conducteur
+   * @param {Object} paiement - document Paiement
+   * @returns {Promise<{ ecriture: Object, dejaComptabilisee: boolean, soldePortefeuille?: number }>}
+   */
+  async comptabiliserPaiement(paiement) {
+    const conducteurId = idDe(paiement.beneficiaireId);
+    const recharge = this.estRecharge(paiement);
+    const lignes = this.lignesPaiement(paiement);
+
+    return this.executerEnTransaction(async (session) => {
+      const resultat = await this.passerEcriture({
+        reference: this.referencePaiement(paiement),
+        type: recharge ? 'RECHARGE' : (paiement.methodePaiement === 'ESPECES' ? 'COMMISSION' : 'PAIEMENT_COURSE'),
+        lignes,
+        paiementId: paiement._id,
+        reservationId: paiement.reservationId,
+        libelle: recharge ? 'Recharge du compte covoiturage' : 'Paiement de course'
+      }, { session });
+
+      if (!resultat.dejaComptabilisee) {
+        await this._majStatistiquesConducteur(conducteurId, lignes, session);
+      }
+
+      return { ...resultat, soldePortefeuille: this._soldePortefeuille(resultat.soldes, conducteurId) };
+    });
+  }
+
+  /**
+   * Comptabilise une recharge confirmée sans passer par un document Paiement
+   * (confirmation depuis l'historique du compte). Le paiement portant la même
+   * référence est rattaché s'il existe.
+   * @param {string} utilisateurId
+   * @param {Object} recharge - { referenceTransaction, montantNet, bonus }
+   */
+  async enregistrerRecharge(utilisateurId, { referenceTransaction, montantNet, bonus = 0 }) {
+    const paiement = await Paiement.findOne({ referenceTransaction }).select('_id').lean();
+    const lignes = this._normaliserLignes([
+      { compte: 'COMPENSATION_OPERATEUR', sens: 'DEBIT', montant: montantNet },
+      { compte: 'PROMOTIONS', sens: 'DEBIT', montant: bonus },
+      { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId, sens: 'CREDIT', montant: montantNet + bonus }
+    ]);
+
+    return this.executerEnTransaction(async (session) => {
+      const resultat = await this.passerEcriture({
+        reference: `PAIEMENT:${referenceTransaction}`,
+        type: 'RECHARGE',
+        lignes,
+        paiementId: paiement?._id,
+        libelle: 'Recharge du compte covoiturage'
+      }, { session });
+
+      if (!resultat.dejaComptabilisee) {
+        await this._majStatistiquesConducteur(utilisateurId, lignes, session);
+      }
+
+      return { ...resultat, soldePortefeuille: this._soldePortefeuille(resultat.soldes, utilisateurId) };
+    });
+  }
+
+  /**
+   * Crédite parrain et filleul après la première course terminée du filleul.
+   * Une seule écriture par filleul (référence PARRAINAGE:<filleulId>).
+   * @param {Object} donnees - { parrainId, filleulId, montantParrain, montantFilleul, reservationId }
+   */
+  async crediterParrainage({ parrainId, filleulId, montantParrain, montantFilleul, reservationId = null }) {
+    const lignes = this._normaliserLignes([
+      { compte: 'PROMOTIONS', sens: 'DEBIT', montant: montantParrain + montantFilleul },
+      { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: parrainId, sens: 'CREDIT', montant: montantParrain },
+      { compte: 'CREDIT_PROMOTIONNEL', utilisateurId: filleulId, sens: 'CREDIT', montant: montantFilleul }
+    ]);
+
+    return this.executerEnTransaction(session => this.passerEcriture({
+      reference: `PARRAINAGE:${filleulId}`,
+      type: 'PARRAINAGE',
+      lignes,
+      reservationId,
+      libelle: 'Crédit de parrainage'
+    }, { session }));
+  }
+
+  /**
+   * Référence d'une écriture rattachée à un paiement ou, à défaut, à une
+   * réservation : un renvoi de la même opération retombe sur la même écriture
+   */
+  _referenceMetier(prefixe, { paiementId, reservationId }) {
+    const id = idDe(paiementId) || idDe(reservationId);
+    if (!id) {
+      throw new AppError('Paiement ou réservation requis pour comptabiliser l\'opération', {
+        code: 'LEDGER_REFERENCE_REQUIRED',
+        status: 500,
+        context: { prefixe },
+        isOperational: false
+      });
+    }
+    return `${prefixe}:${paiementId ? 'PAIEMENT' : 'RESERVATION'}:${id}`;
+  }
+
+  /**
+   * Prélève une commission sur le portefeuille d'un conducteur
+   * @param {Object} donnees - { conducteurId, montant, trajetId, reservationId, paiementId, reference }
+   */
+  async preleverCommission({ conducteurId, montant, trajetId, reservationId, paiementId, reference }) {
+    const lignes = this._normaliserLignes([
+      { compte: 'PORTEFEUILLE_CONDUCTEUR', utilisateurId: conducteurId, sens: 'DEBIT', montant },
+      { compte: 'COMMISSION_PLATEFORME', sens: 'CREDIT', montant }
+    ]);
+
+    const referenceEcriture = reference || this._referenceMetier('COMMISSION', { paiementId, reservationId });
+
+    return this.executerEnTransaction(async (session) => {
+      const resultat = await this.passerEcriture({
+        reference: referenceEcriture,
+        type: 'COMMISSION',
+        lignes,
+        paiementId,
+        reservationId,
+        trajetId,
+        libelle: 'Prélèvement de commission'
+      }, { session });
+
+      if (!resultat.dejaComptabilisee) {
+        await this._majStatistiquesConducteur(conducteurId, lignes, session);
+      }
+
+      return { ...resultat, soldePortefeuille: this._soldePortefeuille(resultat.soldes, conducteurId) };
+    });
+  }
+
+  /**
+   * Crédite des gains encaissés par l'opérateur pour le compte d'un conducteur
+   * @param {Object} donnees - { conducteurId, montant, trajetId, reservationId, paiementId, reference }
+   */
+  async crediterGains({ conducteurId, montant, trajetId, reservationId, paiementId, reference }) {
+    const lignes = this._normaliserLignes([
+      { compte: 'COMPENSATION_OPERATEUR', sens: 'DEBIT', montant },
+      { compte: 'GAINS_CONDUCTEUR', utilisateurId: conducteurId, sens: 'CREDIT', montant }
+    ]);
+
+    const referenceEcriture = reference || this._referenceMetier('GAIN', { paiementId, reservationId });
+
+    return this.executerEnTransaction(async (session) => {
+      const resultat = await this.passerEcriture({
+        reference: referenceEcriture,
+        type: 'GAIN',
+        lignes,
+        paiementId,
+        reservationId,
+        trajetId,
+        libelle: 'Gains de course'
+      }, { session });
+
+      if (!resultat.dejaComptabilisee) {
+        await this._majStatistiquesConducteur(conducteurId, lignes, session);
+      }
+
+      return resultat;
+    });
+  }
+
+  /**
+   * Comptabilise le remboursement d'un paiement encaissé via l'opérateur.
+   * Un paiement encore au séquestre en sort définitivement : le passager est
+   * remboursé et le reste éventuel des gains est versé au conducteur.
+   * @param {Object} paiement - document Paiement
+   * @param {number} [montant] - par défaut la totalité du montant encaissé
+   * @param {Object} [options] - { compensation } dédommagement à la charge du conducteur
+   * @returns {Promise<{ ecriture, soldes, dejaComptabilisee, liberation?, compensation? }>}
+   */
+  async rembourserPaiement(paiement, montant, { compensation = 0 } = {}) {
+    if (paiement.methodePaiement === 'ESPECES' || this.estRecharge(paiement)) {
+      throw new AppError('Seuls les paiements de course encaissés par l\'opérateur sont remboursables', {
+        code: 'REFUND_NOT_SUPPORTED'
+      });
+    }
+
+    const encaisse = paiement.montantTotal - (paiement.fraisTransaction || 0);
+    const montantRembourse = Math.round(montant ?? encaisse);
+    if (montantRembourse <= 0 || montantRembourse > encaisse) {
+      throw new AppError(`Le montant remboursable est compris entre 1 et ${encaisse} FCFA`, {
+        code: 'INVALID_REFUND_AMOUNT',
+        context: { montantDemande: montant, montantEncaisse: encaisse }
+      });
+    }
+
+    return this.executerEnTransaction(async (session) => {
+      const encaissement = await EcritureComptable.exists({ reference: this.referencePaiement(paiement) }).session(session);
+      if (!encaissement) {
+        throw new AppError('Ce paiement n\'a pas encore été encaissé', {
+          code: 'PAYMENT_NOT_SETTLED',
+          context: { referenceTransaction: paiement.referenceTransaction }
+        });
+      }
+
+      const resultat = await this.passerEcriture({
+        reference: `REMBOURSEMENT:${paiement.referenceTransaction}`,
+        type: 'REMBOURSEMENT',
+        lignes: this.lignesRemboursement(paiement, montantRembourse),
+        paiementId: paiement._id,
+        reservationId: paiement.reservationId,
+        libelle: 'Remboursement passager'
+      }, { session, comptesSansDecouvert: ['PORTEFEUILLE_CONDUCTEUR', 'SEQUESTRE_CONDUCTEUR'] });
+
+      const reliquat = !resultat.dejaComptabilisee && paiement.portefeuilleConducteur?.statutSequestre === 'BLOQUE'
+        ? this.montantALiberer(paiement, montantRembourse)
+        : 0;
+      if (reliquat > 0) {
+        resultat.liberation = await this.libererSequestre(paiement, { session, montant: reliquat });
+      }
+      if (!resultat.dejaComptabilisee && compensation > 0) {
+        resultat.compensation = await this.compenserPassager(paiement, compensation, { session });
+      }
+      return resultat;
+    });
+  }
+
+  referenceCompensation(paiement) {
+    return `COMPENSATION:${paiement.referenceTransaction}`;
+  }
+
+  lignesCompensation(paiement, montant) {
+    return this._normaliserLignes([
+      { compte: 'GAINS_CONDUCTEUR', utilisateurId: idDe(paiement.beneficiaireId), sens: 'DEBIT', montant },
+      { compte: 'REMBOURSEMENTS', sens: 'CREDIT', montant }
+    ]);
+  }
+
+  /**
+   * Dédommagement du passager, à la charge du conducteur qui annule
+   * tardivement. Pris sur les gains, qui peuvent devenir débiteurs : la dette
+   * est apurée par les courses suivantes.
+   * @param {Object} paiement - document Paiement remboursé
+   * @param {number} montant
+   * @param {Object} [options] - { session }
+   */
+  async compenserPassager(paiement, montant, { session = null } = {}) {
+    const montantCompensation = Math.round(montant);
+    if (!(montantCompensation > 0)) {
+      throw new AppError('Le dédommagement doit être positif', {
+        code: 'INVALID_COMPENSATION_AMOUNT',
+        context: { montant }
+      });
+    }
+
+    return this.passerEcriture({
+      reference: this.referenceCompensation(paiement),
+      type: 'COMPENSATION_ANNULATION',
+      lignes: this.lignesCompensation(paiement, montantCompensation),
+      paiementId: paiement._id,
+      reservationId: paiement.reservationId,
+      libelle: 'Dédommagement passager (annulation tardive du conducteur)'
+    }, { session });
+  }
+
+  // ============================================================
+  // RETRAITS
+  // ============================================================
+
+  referenceRetrait(retrait) {
+    return `RETRAIT:${retrait.reference}`;
+  }
+
+  /**
+   * Réserve le montant d'un retrait sur les gains du conducteur.
+   * À appeler dans la transaction qui enregistre la demande.
+   * @param {Object} retrait - document Retrait
+   * @param {Object} [options] - { session }
+   */
+  async reserverRetrait(retrait, { session = null } = {}) {
+    return this.passerEcriture({
+      reference: this.referenceRetrait(retrait),
+      type: 'RETRAIT',
+      lignes: [
+        { compte: 'GAINS_CONDUCTEUR', utilisateurId: retrait.conducteurId, sens: 'DEBIT', montant: retrait.montant },
+        { compte: 'RETRAITS_EN_COURS', sens: 'CREDIT', montant: retrait.montant }
+      ],
+      libelle: 'Retrait de gains demandé'
+    }, { session, comptesSansDecouvert: ['GAINS_CONDUCTEUR'] });
+  }
+
+  /**
+   * Transfert confirmé par l'opérateur : les fonds quittent le compte de compensation
+   * @param {Object} retrait
+   */
+  async reglerRetrait(retrait) {
+    return this.executerEnTransaction(session => this.passerEcriture({
+      reference: `${this.referenceRetrait(retrait)}:REGLE`,
+      type: 'RETRAIT',
+      lignes: [
+        { compte: 'RETRAITS_EN_COURS', sens: 'DEBIT', montant: retrait.montant },
+        { compte: 'COMPENSATION_OPERATEUR', sens: 'CREDIT', montant: retrait.montant }
+      ],
+      libelle: 'Retrait de gains versé'
+    }, { session }));
+  }
+
+  /**
+   * Retrait échoué, rejeté ou annulé : le montant réservé revient aux gains
+   * @param {Object} retrait
+   * @param {string} motif
+   */
+  async libererRetrait(retrait, motif) {
+    const reservation = await EcritureComptable.findOne({ reference: this.referenceRetrait(retrait) }).select('_id').lean();
+    if (!reservation) {
+      return null;
+    }
+    return this.contrePasser(reservation._id, motif);
+  }
+
+  async _majStatistiquesConducteur(conducteurId, lignes, session) {
+    const maintenant = new Date();
+    const $inc = {};
+    const $set = {};
+
+    for (const ligne of lignes) {
+      if (ligne.utilisateurId?.toString() !== conducteurId.toString()) continue;
+
+      if (ligne.compte === 'PORTEFEUILLE_CONDUCTEUR' && ligne.sens === 'DEBIT') {
+        $inc['compteCovoiturage.totalCommissionsPayees'] = ($inc['compteCovoiturage.totalCommissionsPayees'] || 0) + ligne.montant;
+        $set['compteCovoiturage.dernierPrelevementCommission'] = maintenant;
+      } else if (ligne.compte === 'PORTEFEUILLE_CONDUCTEUR') {
+        $set['compteCovoiturage.estRecharge'] = true;
+      } else if (ligne.compte === 'GAINS_CONDUCTEUR' && ligne.sens === 'CREDIT') {
+        $inc['compteCovoiturage.totalGagnes'] = ($inc['compteCovoiturage.totalGagnes'] || 0) + ligne.montant;
+        $set['compteCovoiturage.dernierPaiementRecu'] = maintenant;
+      }
+    }
+
+    if (Object.keys($inc).length || Object.keys($set).length) {
+      await Utilisateur.updateOne({ _id: conducteurId }, { $inc, $set }, { session });
+    }
+  }
+
+  // ============================================================
+  // CONSULTATION
+  // ============================================================
+
+  /**
+   * @param {string} compte
+   * @param {string|null} [utilisateurId]
+   * @returns {Promise<number>}
+   */
+  async obtenirSolde(compte, utilisateurId = null) {
+    const solde = await SoldeCompte.findOne({ compte, utilisateurId }).lean();
+    return solde ? solde.solde : 0;
+  }
+
+  /**
+   * Relevé des mouvements d'un utilisateur sur ses comptes conducteur
+   * @param {string} utilisateurId
+   * @param {Object} [options] - { compte, types, dateDebut, dateFin, limit }
+   */
+  async obtenirReleve(utilisateurId, { compte = null, types = null, dateDebut = null, dateFin = null, limit = 20 } = {}) {
+    const id = new mongoose.Types.ObjectId(utilisateurId.toString());
+    const filtre = { lignes: { $elemMatch: { utilisateurId: id, ...(compte ? { compte } : {}) } } };
+    if (types) filtre.type = { $in: types };
+    if (dateDebut || dateFin) {
+      filtre.dateEcriture = {};
+      if (dateDebut) filtre.dateEcriture.$gte = new Date(dateDebut);
+      if (dateFin) filtre.dateEcriture.$lte = new Date(dateFin);
+    }
+
+    const ecritures = await EcritureComptable.find(filtre)
+      .sort({ dateEcriture: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 200))
+      .lean();
+
+    return ecritures.flatMap(ecriture => ecriture.lignes
+      .filter(l => l.utilisateurId?.toString() === id.toString() && (!compte || l.compte === compte))
+      .map(l => ({
+        ecritureId: ecriture._id,
+        reference: ecriture.reference,
+        type: ecriture.type,
+        libelle: ecriture.libelle,
+        date: ecriture.dateEcriture,
+        compte: l.compte,
+        sens: l.sens,
+        // Montant signé dans le sens du compte : positif = le solde augmente
+        montant: l.sens === COMPTES[l.compte].nature ? l.montant : -l.montant,
+        paiementId: ecriture.paiementId,
+        reservationId: ecriture.reservationId,
+        trajetId: ecriture.trajetId
+      })));
+  }
+
+  // ============================================================
+  // RAPPROCHEMENT
+  // ============================================================
+
+  /**
+   * Écritures attendues pour un paiement selon son état
+   * @param {Object} paiement
+   * @returns {Array<{ reference: string, lignes: Array }>}
+   */
+  ecrituresAttendues(paiement) {
+    const attendues = [];
+    const comptabilise = this.estRecharge(paiement)
+      ? ['COMPLETE', 'REMBOURSE'].includes(paiement.statutPaiement)
+      : paiement.commission?.statutPrelevement === 'preleve';
+
+    if (comptabilise) {
+      attendues.push({ reference: this.referencePaiement(paiement), lignes: this.lignesPaiement(paiement) });
+    }
+    if (paiement.statutPaiement === 'REMBOURSE' && paiement.remboursement?.montant > 0) {
+      attendues.push({
+        reference: `REMBOURSEMENT:${paiement.referenceTransaction}`,
+        lignes: this.lignesRemboursement(paiement, paiement.remboursement.montant)
+      });
+    }
+    if (paiement.statutPaiement === 'REMBOURSE' && paiement.remboursement?.compensation > 0) {
+      attendues.push({
+        reference: this.referenceCompensation(paiement),
+        lignes: this.lignesCompensation(paiement, paiement.remboursement.compensation)
+      });
+    }
+    if (['LIBERE', 'REMBOURSE'].includes(paiement.portefeuilleConducteur?.statutSequestre)) {
+      const montant = this.montantALiberer(paiement);
+      if (montant > 0) {
+        attendues.push({ reference: this.referenceSequestre(paiement), lignes: this.lignesLiberationSequestre(paiement, montant) });
+      }
+    }
+    return attendues;
+  }
+
+  /**
+   * Vérifie que chaque Paiement de la période correspond à des écritures
+   * équilibrées aux bons montants, et que les instantanés de solde sont égaux
+   * aux soldes recalculés depuis le journal.
+   * @param {Object} [options] - { dateDebut, dateFin, limite }
+   * @returns {Promise<Object>} rapport de rapprochement
+   */
+  async verifierRapprochement({ dateDebut = null, dateFin = null, limite = 5000 } = {}) {
+    const filtre = {};
+    if (dateDebut || dateFin) {
+      filtre.dateInitiation = {};
+      if (dateDebut) filtre.dateInitiation.$gte = new Date(dateDebut);
+      if (dateFin) filtre.dateInitiation.$lte = new Date(dateFin);
+    }
+
+    const paiements = await Paiement.find(filtre)
+      .select('referenceTransaction reservationId payeurId beneficiaireId montantTotal montantConducteur fraisTransaction repartitionFrais commission bonus methodePaiement statutPaiement remboursement portefeuilleConducteur')
+      .sort({ dateInitiation: 1 })
+      .limit(limite)
+      .lean();
+
+    const ecritures = await EcritureComptable.find({ paiementId: { $in: paiements.map(p => p._id) } }).lean();
+    const parPaiement = new Map();
+    for (const ecriture of ecritures) {
+      const cle = ecriture.paiementId.toString();
+      parPaiement.set(cle, [...(parPaiement.get(cle) || []), ecriture]);
+    }
+
+    const anomalies = [];
+    for (const paiement of paiements) {
+      anomalies.push(...this._rapprocherPaiement(paiement, parPaiement.get(paiement._id.toString()) || []));
+    }
+
+    const ecartsSoldes = await this.verifierSoldes();
+
+    return {
+      periode: { dateDebut, dateFin },
+      paiementsControles: paiements.length,
+      ecrituresControlees: ecritures.length,
+      tronque: paiements.length === limite,
+      conforme: anomalies.length === 0 && ecartsSoldes.length === 0,
+      anomalies,
+      ecartsSoldes
+    };
+  }
+
+  _rapprocherPaiement(paiement, ecritures) {
+    const anomalies = [];
+    const base = { paiementId: paiement._id, referenceTransaction: paiement.referenceTransaction };
+    const attendues = this.ecrituresAttendues(paiement);
+    const annulees = new Set(ecritures
+      .filter(e => e.type === 'CONTRE_PASSATION')
+      .map(e => e.ecritureOrigineId?.toString()));
+
+    for (const ecriture of ecritures) {
+      const { debit, credit } = EcritureComptable.totaux(ecriture.lignes);
+      if (debit === 0 || debit !== credit) {
+        anomalies.push({ ...base, code: 'ECRITURE_DESEQUILIBREE', reference: ecriture.reference, debit, credit });
+      }
+      const prevue = ecriture.type === 'CONTRE_PASSATION' || annulees.has(ecriture._id.toString()) ||
+        attendues.some(a => a.reference === ecriture.reference);
+      if (!prevue) {
+        anomalies.push({ ...base, code: 'ECRITURE_INATTENDUE', reference: ecriture.reference, statutPaiement: paiement.statutPaiement });
+      }
+    }
+
+    for (const attendue of attendues) {
+      const ecriture = ecritures.find(e => e.reference === attendue.reference);
+      if (!ecriture || annulees.has(ecriture._id.toString())) {
+        anomalies.push({ ...base, code: 'ECRITURE_MANQUANTE', reference: attendue.reference, statutPaiement: paiement.statutPaiement });
+      } else if (this._signature(ecriture.lignes) !== this._signature(attendue.lignes)) {
+        anomalies.push({
+          ...base,
+          code: 'MONTANT_DIVERGENT',
+          reference: attendue.reference,
+          attendu: attendue.lignes,
+          constate: ecriture.lignes
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  // Forme canonique des lignes : même compte + titulaire + sens cumulés
+  _signature(lignes) {
+    const cumul = new Map();
+    for (const l of lignes) {
+      const cle = `${cleCompte(l.compte, l.utilisateurId)}:${l.sens}`;
+      cumul.set(cle, (cumul.get(cle) || 0) + l.montant);
+    }
+    return [...cumul.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([cle, montant]) => `${cle}=${montant}`).join('|');
+  }
+
+  /**
+   * Compare les instantanés de solde aux soldes recalculés depuis le journal
+   * @returns {Promise<Array<{ compte, utilisateurId, instantane, journal }>>}
+   */
+  async verifierSoldes() {
+    const cumuls = await EcritureComptable.aggregate([
+      { $unwind: '$lignes' },
+      {
+        $group: {
+          _id: { compte: '$lignes.compte', utilisateurId: '$lignes.utilisateurId' },
+          debit: { $sum: { $cond: [{ $eq: ['$lignes.sens', 'DEBIT'] }, '$lignes.montant', 0] } },
+          credit: { $sum: { $cond: [{ $eq: ['$lignes.sens', 'CREDIT'] }, '$lignes.montant', 0] } }
+        }
+      }
+    ]);
+    const instantanes = await SoldeCompte.find({}).lean();
+
+    const journal = new Map(cumuls.map(c => {
+      const solde = COMPTES[c._id.compte].nature === 'CREDIT' ? c.credit - c.debit : c.debit - c.credit;
+      return [cleCompte(c._id.compte, c._id.utilisateurId), { compte: c._id.compte, utilisateurId: c._id.utilisateurId || null, solde }];
+    }));
+
+    const ecarts = [];
+    for (const instantane of instantanes) {
+      const cle = cleCompte(instantane.compte, instantane.utilisateurId);
+      const attendu = journal.get(cle)?.solde || 0;
+      journal.delete(cle);
+      if (instantane.solde !== attendu) {
+        ecarts.push({ compte: instantane.compte, utilisateurId: instantane.utilisateurId, instantane: instantane.solde, journal: attendu });
+      }
+    }
+    for (const restant of journal.values()) {
+      if (restant.solde !== 0) {
+        ecarts.push({ compte: restant.compte, utilisateurId: restant.utilisateurId, instantane: null, journal: restant.solde });
+      }
+    }
+    return ecarts;
+  }
+}
+
+module.exports = new GrandLivreService();
@@ -1,5 +1,6 @@
 // services/greenApiService.js
 const axios = require('axios');
+const modelesNotificationService = require('./modelesNotificationService');
 
 class GreenApiService {
   constructor() {
@@ -12,6 +13,14 @@ class GreenApiService {
     }
   }
 
+  /**
+   * Identifiants Green-API renseignés
+   * @returns {boolean}
+   */
+  estConfigure() {
+    return Boolean(this.idInstance && this.apiTokenInstance);
+  }
+
   /**
    * Formater le numéro de téléphone pour WhatsApp
    * @param {string} telephone - Numéro au format +225XXXXXXXX ou 07XXXXXXXX
@@ -87,50 +96,40 @@ class GreenApiService {
     }
   }
 
+  /**
+   * Envoyer un message WhatsApp à partir d'un modèle de notification
+   * @param {string} telephone - Numéro de téléphone
+   * @param {string} evenement - Modèle de notification (CODE_VERIFICATION, ...)
+   * @param {Object} variables - Valeurs interpolées
+   * @param {string} langue - Langue du destinataire (français à défaut)
+   * @returns {Promise<Object>} Résultat de l'envoi
+   */
+  async envoyerModele(telephone, evenement, variables = {}, langue = 'fr') {
+    const { corps } = await modelesNotificationService.rendre(evenement, variables, { langue, canal: 'whatsapp' });
+    return this.envoyerMessage(telephone, corps);
+  }
+
   /**
    * Envoyer un code de vérification
    * @param {string} telephone - Numéro de téléphone
    * @param {string} code - Code de vérification
    * @param {string} nomComplet - Nom complet de l'utilisateur
+   * @param {string} langue - Langue du destinataire (français à défaut)
    * @returns {Promise<Object>}
    */
-  async envoyerCodeVerification(telephone, code, nomComplet) {
-    const message = `🚗 *Bienvenue ${nomComplet} !*
-
-Votre code de vérification pour l'application Covoiturage est :
-
-🔐 *${code}*
-
-Ce code est valide pendant *10 minutes*.
-
-⚠️ Ne partagez ce code avec personne.
-
-Merci de votre confiance ! 🙏`;
-
-    return this.envoyerMessage(telephone, message);
+  async envoyerCodeVerification(telephone, code, nomComplet, langue = 'fr') {
+    return this.envoyerModele(telephone, 'CODE_VERIFICATION', { code, nomComplet }, langue);
   }
 
   /**
    * Envoyer une notification de bienvenue
    * @param {string} telephone - Numéro de téléphone
    * @param {string} prenom - Prénom de l'utilisateur
+   * @param {string} langue - Langue du destinataire (français à défaut)
    * @returns {Promise<Object>}
    */
-  async envoyerMessageBienvenue(telephone, prenom) {
-    const message = `✅ *Compte vérifié avec succès !*
-
-Félicitations ${prenom} ! 🎉
-
-Votre compte Covoiturage est maintenant actif.
-
-Vous pouvez commencer à :
-🚗 Proposer des trajets
-🧳 Réserver des places
-💬 Échanger avec la communauté
-
-Bon voyage ! 🛣️`;
-
-    return this.envoyerMessage(telephone, message);
+  async envoyerMessageBienvenue(telephone, prenom, langue = 'fr') {
+    return this.envoyerModele(telephone, 'BIENVENUE', { prenom }, langue);
   }
 
   /**
@@ -138,24 +137,11 @@ Bon voyage ! 🛣️`;
    * @param {string} telephone - Numéro de téléphone
    * @param {string} code - Code de réinitialisation (6 chiffres)
    * @param {string} nomComplet - Nom complet de l'utilisateur
+   * @param {string} langue - Langue du destinataire (français à défaut)
    * @returns {Promise<Object>}
    */
-  async envoyerCodeResetMotDePasse(telephone, code, nomComplet) {
-    const message = `🔐 *Réinitialisation de mot de passe*
-
-Bonjour ${nomComplet},
-
-Votre code de réinitialisation Covoiturage est :
-
-🔑 *${code}*
-
-Ce code est valide pendant *10 minutes*.
-
-⚠️ Si vous n'avez pas demandé cette réinitialisation, ignorez ce message et contactez le support.
-
-Sécurité avant tout ! 🛡️`;
-
-    const resultat = await this.envoyerMessage(telephone, message);
+  async envoyerCodeResetMotDePasse(telephone, code, nomComplet, langue = 'fr') {
+    const resultat = await this.envoyerModele(telephone, 'CODE_REINITIALISATION', { code, nomComplet }, langue);
 
     if (resultat.success) {
       console.log('✅ Code réinitialisation envoyé:', {
@@ -171,27 +157,11 @@ Sécurité avant tout ! 🛡️`;
    * 🔐 NOUVEAU - Envoyer une confirmation de réinitialisation réussie
    * @param {string} telephone - Numéro de téléphone
    * @param {string} prenom - Prénom de l'utilisateur
+   * @param {string} langue - Langue du destinataire (français à défaut)
    * @returns {Promise<Object>}
    */
-  async envoyerConfirmationResetMotDePasse(telephone, prenom) {
-    const message = `✅ *Mot de passe réinitialisé avec succès !*
-
-Bonjour ${prenom},
-
-Votre mot de passe Covoiturage a été modifié avec succès. 🎉
-
-Vous pouvez maintenant vous connecter avec votre nouveau mot de passe.
-
-🔒 *Conseils de sécurité :*
-- Ne partagez jamais votre mot de passe
-- Utilisez un mot de passe unique et complexe
-- Changez-le régulièrement
-
-Si vous n'êtes pas à l'origine de cette modification, contactez immédiatement notre support.
-
-Bon covoiturage ! 🚗`;
-
-    const resultat = await this.envoyerMessage(telephone, message);
+  async envoyerConfirmationResetMotDePasse(telephone, prenom, langue = 'fr') {
+    const resultat = await this.envoyerModele(telephone, 'CONFIRMATION_REINITIALISATION', { prenom }, langue);
 
     if (resultat.success) {
       console.log('✅ Confirmation réinitialisation envoyée:', {
@@ -0,0 +1,485 @@
+// services/listeAttenteService.js
+
+const ListeAttente = require('../models/ListeAttente');
+const Reservation = require('../models/Reservation');
+const Trajet = require('../models/Trajet');
+const segmentService = require('./segmentService');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const rechercheSauvegardeeService = require('./rechercheSauvegardeeService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+/**
+ * Liste d'attente des trajets complets
+ *
+ * Un passager qui ne trouve plus de place s'inscrit avec la même demande
+ * qu'une réservation (places, tronçon, points). Dès qu'une réservation est
+ * annulée ou refusée, les places libérées sont proposées aux inscriptions
+ * dans l'ordre d'arrivée : une inscription qui ne tient pas dans les places
+ * libérées garde son rang et la suivante compatible est servie.
+ *
+ * Une proposition retient les places (Reservation.calculerDisponibiliteSegments
+ * les compte comme occupées) pendant DUREE_PROPOSITION_MINUTES. Sans réponse,
+ * le job d'automatisation l'expire et passe à l'inscription suivante.
+ */
+class ListeAttenteService {
+
+  constructor() {
+    this.config = {
+      DUREE_PROPOSITION_MINUTES: ListeAttente.DUREE_PROPOSITION_MINUTES,
+      MAX_INSCRIPTIONS_ACTIVES: 5
+    };
+  }
+
+  // ============================================================
+  // CÔTÉ PASSAGER
+  // ============================================================
+
+  /**
+   * Inscrit un passager sur la liste d'attente d'un trajet complet
+   * @param {string} passagerId
+   * @param {Object} demande - { trajetId, nombrePlacesReservees, pointPriseEnCharge,
+   *                             pointDepose, bagages, indexMontee, indexDescente, methodePaiement }
+   * @returns {Promise<{ inscription: Object, position: number }>}
+   */
+  async inscrire(passagerId, demande) {
+    const trajet = await Trajet.findById(demande.trajetId).lean();
+    if (!trajet) {
+      throw new AppError('Trajet introuvable', { code: 'TRAJET_NOT_FOUND', status: 404 });
+    }
+    if (trajet.statutTrajet !== 'PROGRAMME' || new Date(trajet.dateDepart) <= new Date()) {
+      throw new AppError('Ce trajet n\'accepte plus de réservations', { code: 'TRAJET_NOT_AVAILABLE' });
+    }
+    if (trajet.conducteurId.toString() === passagerId.toString()) {
+      throw new AppError('Vous ne pouvez pas rejoindre la liste d\'attente de votre propre trajet', {
+        code: 'SELF_BOOKING_NOT_ALLOWED'
+      });
+    }
+
+    const [reservationExistante, inscriptionExistante, inscriptionsActives] = await Promise.all([
+      Reservation.findOne({
+        trajetId: trajet._id,
+        passagerId,
+        statutReservation: { $in: ['EN_ATTENTE', 'CONFIRMEE'] }
+      }).select('_id').lean(),
+      ListeAttente.findOne({
+        trajetId: trajet._id,
+        passagerId,
+        statut: { $in: ListeAttente.STATUTS_ACTIFS }
+      }).select('_id').lean(),
+      ListeAttente.countDocuments({ passagerId, statut: { $in: ListeAttente.STATUTS_ACTIFS } })
+    ]);
+
+    if (reservationExistante) {
+      throw new AppError('Vous avez déjà une réservation pour ce trajet', { code: 'RESERVATION_EXISTS', status: 409 });
+    }
+    if (inscriptionExistante) {
+      throw new AppError('Vous êtes déjà sur la liste d\'attente de ce trajet', { code: 'WAITLIST_EXISTS', status: 409 });
+    }
+    if (inscriptionsActives >= this.config.MAX_INSCRIPTIONS_ACTIVES) {
+      throw new AppError(`Limite de ${this.config.MAX_INSCRIPTIONS_ACTIVES} listes d'attente simultanées atteinte`, {
+        code: 'WAITLIST_LIMIT_REACHED'
+      });
+    }
+
+    const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+    const troncon = segmentService.normaliserIndex(
+      demande.indexMontee !== undefined ? parseInt(demande.indexMontee) : null,
+      demande.indexDescente !== undefined ? parseInt(demande.indexDescente) : null,
+      arrets.length
+    );
+    const erreurTroncon = segmentService.validerIndex(troncon.indexMontee, troncon.indexDescente, arrets.length);
+    if (erreurTroncon) {
+      throw new AppError(erreurTroncon, { code: 'INVALID_SEGMENT' });
+    }
+
+    const nombrePlaces = parseInt(demande.nombrePlacesReservees) || 1;
+    if (nombrePlaces > trajet.nombrePlacesTotal) {
+      throw new AppError(`Ce trajet ne compte que ${trajet.nombrePlacesTotal} place(s)`, { code: 'INVALID_SEATS' });
+    }
+
+    // La liste d'attente ne sert qu'aux trajets réellement complets sur ce tronçon
+    const disponibilite = await Reservation.verifierDisponibilite(
+      trajet._id, nombrePlaces, troncon.indexMontee, troncon.indexDescente
+    );
+    if (disponibilite.disponible) {
+      throw new AppError('Des places sont disponibles : réservez directement', {
+        code: 'SEATS_AVAILABLE',
+        status: 409
+      });
+    }
+
+    const inscription = await ListeAttente.create({
+      trajetId: trajet._id,
+      passagerId,
+      dateDepart: trajet.dateDepart,
+      nombrePlaces,
+      indexMontee: troncon.indexMontee,
+      indexDescente: troncon.indexDescente,
+      pointPriseEnCharge: this._normaliserPoint(demande.pointPriseEnCharge),
+      pointDepose: this._normaliserPoint(demande.pointDepose),
+      bagages: demande.bagages || {},
+      methodePaiement: demande.methodePaiement || 'MOBILE_MONEY'
+    });
+
+    const position = await ListeAttente.calculerPosition(inscription);
+    logger.info(`⏳ Liste d'attente: passager ${passagerId} inscrit en position ${position} (trajet ${trajet._id})`);
+
+    return { inscription, position };
+  }
+
+  /**
+   * Inscriptions d'un passager, avec leur position pour les actives
+   */
+  async listerInscriptionsPassager(passagerId, { inclureTerminees = false } = {}) {
+    const filtre = { passagerId };
+    if (!inclureTerminees) filtre.statut = { $in: ListeAttente.STATUTS_ACTIFS };
+
+    const inscriptions = await ListeAttente.find(filtre)
+      .populate('trajetId', 'pointDepart pointArrivee dateDepart heureDepart prixParPassager statutTrajet')
+      .sort({ dateInscription: -1 })
+      .lean();
+
+    return Promise.all(inscriptions.map(async inscription => ({
+      ...inscription,
+      position: await ListeAttente.calculerPosition({
+        ...inscription,
+        trajetId: inscription.trajetId?._id || inscription.trajetId
+      })
+    })));
+  }
+
+  /**
+   * Quitter la file (ou décliner une proposition : les places passent au suivant)
+   */
+  async quitter(passagerId, inscriptionId, { io = null } = {}) {
+    // Document d'avant la mise à jour : permet de savoir si des places étaient retenues
+    const avant = await ListeAttente.findOneAndUpdate(
+      { _id: inscriptionId, passagerId, statut: { $in: ListeAttente.STATUTS_ACTIFS } },
+      { $set: { statut: 'ANNULEE', dateSortie: new Date() } },
+      { new: false }
+    ).lean();
+    if (!avant) {
+      throw new AppError('Inscription en liste d\'attente introuvable', { code: 'WAITLIST_NOT_FOUND', status: 404 });
+    }
+
+    if (avant.statut === 'PROPOSEE') {
+      await this.signalerPlacesLiberees(avant.trajetId, { io });
+    }
+    return { ...avant, statut: 'ANNULEE' };
+  }
+
+  /**
+   * Accepter une place proposée : crée la réservation (EN_ATTENTE de
+   * confirmation du conducteur, comme une réservation classique)
+   * @returns {Promise<{ reservation: Object, inscription: Object }>}
+   */
+  async accepterProposition(passagerId, inscriptionId, { maintenant = new Date() } = {}) {
+    const inscription = await ListeAttente.findOne({ _id: inscriptionId, passagerId });
+    if (!inscription) {
+      throw new AppError('Inscription en liste d\'attente introuvable', { code: 'WAITLIST_NOT_FOUND', status: 404 });
+    }
+    if (inscription.statut !== 'PROPOSEE') {
+      throw new AppError('Aucune place ne vous est proposée pour ce trajet', { code: 'NO_PENDING_OFFER' });
+    }
+    if (inscription.offre.dateExpiration <= maintenant) {
+      throw new AppError('La proposition a expiré', { code: 'OFFER_EXPIRED', status: 410 });
+    }
+
+    const trajet = await Trajet.findById(inscription.trajetId).lean();
+    if (!trajet || trajet.statutTrajet !== 'PROGRAMME' || new Date(trajet.dateDepart) <= maintenant) {
+      inscription.statut = 'EXPIREE';
+      inscription.dateSortie = maintenant;
+      await inscription.save();
+      throw new AppError('Ce trajet n\'accepte plus de réservations', { code: 'TRAJET_NOT_AVAILABLE' });
+    }
+
+    // Ses propres places retenues ne comptent pas contre lui
+    const disponibilite = await Reservation.verifierDisponibilite(
+      trajet._id, inscription.nombrePlaces, inscription.indexMontee, inscription.indexDescente,
+      { exclureListeAttenteId: inscription._id }
+    );
+    if (!disponibilite.disponible) {
+      // Places reprises entre-temps : l'inscription retrouve son rang
+      await ListeAttente.updateOne(
+        { _id: inscription._id, statut: 'PROPOSEE' },
+        { $set: { statut: 'EN_ATTENTE', 'offre.dateProposition': null, 'offre.dateExpiration': null } }
+      );
+      throw new AppError('Les places ne sont plus disponibles, vous restez sur la liste d\'attente', {
+        code: 'INSUFFICIENT_SEATS',
+        status: 409
+      });
+    }
+
+    // Verrou : une seule acceptation par proposition
+    const verrou = await ListeAttente.updateOne(
+      { _id: inscription._id, statut: 'PROPOSEE' },
+      { $set: { statut: 'ACCEPTEE', dateSortie: maintenant } }
+    );
+    if (verrou.modifiedCount === 0) {
+      throw new AppError('Aucune place ne vous est proposée pour ce trajet', { code: 'NO_PENDING_OFFER' });
+    }
+
+    const arrets = Trajet.obtenirArretsOrdonnes(trajet);
+    const prixParPlace = segmentService.calculerPrixSegment(
+      trajet.prixParPassager, arrets, inscription.indexMontee, inscription.indexDescente
+    );
+
+    let reservation;
+    try {
+      reservation = await Reservation.create({
+        trajetId: trajet._id,
+        passagerId,
+        nombrePlacesReservees: inscription.nombrePlaces,
+        pointPriseEnCharge: inscription.pointPriseEnCharge,
+        pointDepose: inscription.pointDepose,
+        indexMontee: inscription.indexMontee,
+        indexDescente: inscription.indexDescente,
+        montantTotal: prixParPlace * inscription.nombrePlaces,
+        bagages: inscription.bagages || {},
+        statutReservation: 'EN_ATTENTE',
+        statutPaiement: 'EN_ATTENTE',
+        methodePaiement: inscription.methodePaiement
+      });
+    } catch (error) {
+      await ListeAttente.updateOne(
+        { _id: inscription._id },
+        { $set: { statut: 'PROPOSEE', dateSortie: null } }
+      );
+      throw error;
+    }
+
+    await ListeAttente.updateOne({ _id: inscription._id }, { $set: { reservationId: reservation._id } });
+    inscription.statut = 'ACCEPTEE';
+    inscription.reservationId = reservation._id;
+    inscription.dateSortie = maintenant;
+
+    await Reservation.synchroniserPlacesTrajet(trajet._id);
+    logger.info(`✅ Liste d'attente: place acceptée par ${passagerId} (trajet ${trajet._id}, réservation ${reservation._id})`);
+
+    return { reservation, inscription, trajet };
+  }
+
+  // ============================================================
+  // CÔTÉ CONDUCTEUR
+  // ============================================================
+
+  /**
+   * File d'attente d'un trajet, dans l'ordre de service
+   */
+  async obtenirFileTrajet(trajetId, conducteurId) {
+    const trajet = await Trajet.findById(trajetId).select('conducteurId').lean();
+    if (!trajet) {
+      throw new AppError('Trajet introuvable', { code: 'TRAJET_NOT_FOUND', status: 404 });
+    }
+    if (trajet.conducteurId.toString() !== conducteurId.toString()) {
+      throw new AppError('Seul le conducteur peut consulter la liste d\'attente', { code: 'UNAUTHORIZED', status: 403 });
+    }
+
+    const inscriptions = await ListeAttente.find({
+      trajetId,
+      statut: { $in: ListeAttente.STATUTS_ACTIFS }
+    })
+      .populate('passagerId', 'nom prenom photoProfil noteGenerale')
+      .select('-bagages -methodePaiement')
+      .sort({ dateInscription: 1 })
+      .lean();
+
+    return inscriptions.map((inscription, index) => ({ ...inscription, position: index + 1 }));
+  }
+
+  // ============================================================
+  // ATTRIBUTION DES PLACES
+  // ============================================================
+
+  /**
+   * Point d'entrée non bloquant après une annulation, un refus ou une
+   * proposition perdue. La liste d'attente est servie en premier ; les
+   * recherches sauvegardées ne sont alertées que pour les places restantes.
+   */
+  async signalerPlacesLiberees(trajetId, { io = null, maintenant = new Date() } = {}) {
+    let resultat = { proposees: 0 };
+    try {
+      resultat = await this.proposerPlacesLiberees(trajetId, { io, maintenant });
+    } catch (error) {
+      logger.error(`Liste d'attente (trajet ${trajetId}):`, error);
+    }
+
+    rechercheSauvegardeeService.signalerTrajetDisponible(trajetId, { motif: 'PLACES_LIBEREES', io });
+    return resultat;
+  }
+
+  /**
+   * Propose les places libres aux inscriptions EN_ATTENTE, dans l'ordre
+   * d'inscription, tant qu'il en reste sur leur tronçon
+   * @returns {Promise<{ proposees: number }>}
+   */
+  async proposerPlacesLiberees(trajetId, { io = null, maintenant = new Date() } = {}) {
+    const trajet = await Trajet.findById(trajetId).lean();
+    if (!trajet) return { proposees: 0 };
+
+    if (trajet.statutTrajet !== 'PROGRAMME' || new Date(trajet.dateDepart) <= maintenant) {
+      await this._fermerFile(trajet._id, maintenant);
+      return { proposees: 0 };
+    }
+
+    const enAttente = await ListeAttente.find({ trajetId: trajet._id, statut: 'EN_ATTENTE' })
+      .sort({ dateInscription: 1 })
+      .lean();
+
+    let proposees = 0;
+    if (enAttente.length > 0) {
+      proposees = await this._attribuerPlaces(trajet, enAttente, { io, maintenant });
+    }
+
+    // Recalcul systématique : une proposition expirée ou déclinée rend ses places
+    await Reservation.synchroniserPlacesTrajet(trajet._id);
+    if (proposees > 0) {
+      logger.info(`⏳ Liste d'attente: ${proposees} proposition(s) envoyée(s) pour le trajet ${trajet._id}`);
+    }
+    return { proposees };
+  }
+
+  /**
+   * Retient les places pour chaque inscription qui tient dans l'occupation courante
+   * @private
+   * @returns {Promise<number>} - Nombre de propositions envoyées
+   */
+  async _attribuerPlaces(trajet, enAttente, { io, maintenant }) {
+    const { occupation, placesTotal } = await Reservation.calculerDisponibiliteSegments(trajet._id, trajet);
+
+    let proposees = 0;
+    for (const inscription of enAttente) {
+      const libres = segmentService.placesDisponiblesEntre(
+        occupation, placesTotal, inscription.indexMontee, inscription.indexDescente
+      );
+      if (libres < inscription.nombrePlaces) continue;
+
+      const dateExpiration = new Date(Math.min(
+        maintenant.getTime() + this.config.DUREE_PROPOSITION_MINUTES * 60 * 1000,
+        new Date(trajet.dateDepart).getTime()
+      ));
+
+      const resultat = await ListeAttente.updateOne(
+        { _id: inscription._id, statut: 'EN_ATTENTE' },
+        { $set: { statut: 'PROPOSEE', 'offre.dateProposition': maintenant, 'offre.dateExpiration': dateExpiration } }
+      );
+      if (resultat.modifiedCount === 0) continue;
+
+      for (let i = inscription.indexMontee; i < inscription.indexDescente; i++) {
+        occupation[i] += inscription.nombrePlaces;
+      }
+      proposees++;
+
+      await this._notifierProposition(inscription, trajet, dateExpiration, io);
+    }
+    return proposees;
+  }
+
+  /**
+   * Job périodique : expire les propositions sans réponse (et passe au
+   * suivant), ferme les files des trajets partis
+   * @returns {Promise<{ propositionsExpirees: number, inscriptionsFermees: number, proposees: number }>}
+   */
+  async traiterExpirations({ io = null, maintenant = new Date() } = {}) {
+    const expirees = await ListeAttente.find({
+      statut: 'PROPOSEE',
+      'offre.dateExpiration': { $lte: maintenant }
+    }).select('_id trajetId passagerId').lean();
+
+    if (expirees.length > 0) {
+      await ListeAttente.updateMany(
+        { _id: { $in: expirees.map(i => i._id) }, statut: 'PROPOSEE' },
+        { $set: { statut: 'EXPIREE', dateSortie: maintenant } }
+      );
+    }
+
+    const fermees = await ListeAttente.updateMany(
+      { statut: 'EN_ATTENTE', dateDepart: { $lte: maintenant } },
+      { $set: { statut: 'EXPIREE', dateSortie: maintenant } }
+    );
+
+    let proposees = 0;
+    const trajetIds = [...new Set(expirees.map(i => i.trajetId.toString()))];
+    for (const trajetId of trajetIds) {
+      const resultat = await this.signalerPlacesLiberees(trajetId, { io, maintenant });
+      proposees += resultat.proposees;
+    }
+
+    return {
+      propositionsExpirees: expirees.length,
+      inscriptionsFermees: fermees.modifiedCount,
+      proposees
+    };
+  }
+
+  // ============================================================
+  // UTILITAIRES
+  // ============================================================
+
+  /**
+   * Notification d'une place proposée (in-app et cascade de canaux), signalée par socket
+   * @private
+   */
+  async _notifierProposition(inscription, trajet, dateExpiration, io) {
+    const offre = {
+      inscriptionId: inscription._id.toString(),
+      trajetId: trajet._id.toString(),
+      nombrePlaces: inscription.nombrePlaces,
+      depart: trajet.pointDepart?.commune || trajet.pointDepart?.nom,
+      arrivee: trajet.pointArrivee?.commune || trajet.pointArrivee?.nom,
+      date: new Date(trajet.dateDepart).toLocaleDateString('fr-FR'),
+      heureDepart: trajet.heureDepart,
+      dateExpiration: dateExpiration.toISOString(),
+      heureExpiration: dateExpiration.toISOString().slice(11, 16)
+    };
+
+    try {
+      // Offre à durée limitée : repli WhatsApp puis SMS si le push n'est pas vu
+      const { livraison } = await livraisonNotificationsService.envoyer(inscription.passagerId, {
+        evenement: 'LISTE_ATTENTE_PLACE_PROPOSEE',
+        titre: 'Une place s\'est libérée',
+        message: `${offre.depart} → ${offre.arrivee} le ${offre.date} à ${offre.heureDepart} : acceptez avant ${offre.heureExpiration}`,
+        donnees: { ...offre, screen: 'ListeAttente' },
+        categorie: 'reservations',
+        priorite: 'HAUTE'
+      });
+
+      if (io) {
+        io.to(`user_${inscription.passagerId}`).emit('waitlistSeatOffered', {
+          notificationId: livraison.notificationId,
+          ...offre
+        });
+      }
+    } catch (error) {
+      logger.warn(`Notification liste d'attente non envoyée (${inscription.passagerId}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Trajet parti ou annulé : plus rien à proposer
+   * @private
+   */
+  async _fermerFile(trajetId, maintenant) {
+    await ListeAttente.updateMany(
+      { trajetId, statut: { $in: ListeAttente.STATUTS_ACTIFS } },
+      { $set: { statut: 'EXPIREE', dateSortie: maintenant } }
+    );
+  }
+
+  /**
+   * @private
+   */
+  _normaliserPoint(point = {}) {
+    return {
+      nom: point.nom,
+      adresse: point.adresse,
+      coordonnees: {
+        type: 'Point',
+        coordinates: point.coordonnees || [0, 0]
+      }
+    };
+  }
+}
+
+module.exports = new ListeAttenteService();
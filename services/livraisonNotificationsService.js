@@ -0,0 +1,477 @@
+// services/livraisonNotificationsService.js
+
+const cron = require('node-cron');
+const LivraisonNotification = require('../models/LivraisonNotification');
+const Utilisateur = require('../models/Utilisateur');
+const firebaseService = require('./firebaseService');
+const centreNotificationsService = require('./centreNotificationsService');
+const modelesNotificationService = require('./modelesNotificationService');
+const greenApiService = require('./greenApiService');
+const { sendSMS } = require('./smsService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const MINUTES_PAR_JOUR = 24 * 60;
+const CHAMPS_DESTINATAIRE = 'nom prenom telephone fcmTokens preferencesNotifications preferences';
+// Identifiants des données retenus pour reconnaître une même notification
+const PARAMETRE_REFERENCE = /(Id|reference|Reference)$/;
+
+const nombreEnv = (valeur, defaut) => {
+  const nombre = parseInt(valeur, 10);
+  return Number.isFinite(nombre) && nombre >= 0 ? nombre : defaut;
+};
+
+/**
+ * 📡 Orchestrateur de livraison des notifications
+ *
+ * Un seul point d'entrée choisit le canal selon la priorité de l'événement :
+ * le push d'abord, puis WhatsApp et enfin SMS quand le push échoue ou n'est
+ * pas acquitté par l'application dans le délai imparti. Les préférences par
+ * catégorie et les heures silencieuses de l'utilisateur sont respectées
+ * (sauf urgences), les rafales d'une même notification sont fusionnées et
+ * chaque tentative est enregistrée avec son statut et son coût.
+ *
+ * La notification in-app est enregistrée immédiatement, y compris pendant
+ * les heures silencieuses ; seuls les canaux externes sont reportés.
+ */
+class LivraisonNotificationsService {
+
+  constructor() {
+    const delaiAcquittement = nombreEnv(process.env.LIVRAISON_NOTIF_ACQUITTEMENT_SECONDES, 300);
+
+    this.config = {
+      CRON: process.env.LIVRAISON_NOTIF_CRON || '* * * * *',
+      FUSEAU: process.env.LIVRAISON_NOTIF_FUSEAU || 'Africa/Abidjan',
+      FENETRE_DOUBLON_SECONDES: nombreEnv(process.env.LIVRAISON_NOTIF_FENETRE_DOUBLON_SECONDES, 120),
+      // Coût unitaire facturé par les fournisseurs (FCFA)
+      COUTS: {
+        push: 0,
+        whatsapp: nombreEnv(process.env.LIVRAISON_NOTIF_COUT_WHATSAPP, 5),
+        sms: nombreEnv(process.env.LIVRAISON_NOTIF_COUT_SMS, 25)
+      },
+      // Cascade de canaux et délai d'accusé de réception du push par priorité
+      PRIORITES: {
+        URGENTE: {
+          canaux: ['push', 'whatsapp', 'sms'],
+          acquittementSecondes: nombreEnv(process.env.LIVRAISON_NOTIF_ACQUITTEMENT_URGENT_SECONDES, 60)
+        },
+        HAUTE: { canaux: ['push', 'whatsapp', 'sms'], acquittementSecondes: delaiAcquittement },
+        NORMALE: { canaux: ['push', 'whatsapp'], acquittementSecondes: delaiAcquittement },
+        BASSE: { canaux: ['push'], acquittementSecondes: 0 }
+      },
+      LIMITE: 200
+    };
+
+    this.job = null;
+    this.enCours = false;
+  }
+
+  start() {
+    if (this.job) return;
+    this.job = cron.schedule(this.config.CRON, async () => {
+      if (this.enCours) return;
+      this.enCours = true;
+      try {
+        await this.traiterEcheances();
+      } catch (error) {
+        logger.error('📡 Reprise des livraisons de notifications échouée', { error: error.message });
+      } finally {
+        this.enCours = false;
+      }
+    }, { timezone: this.config.FUSEAU });
+    logger.info('📡 Reprise des livraisons de notifications planifiée', { cron: this.config.CRON });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Remet une notification à un utilisateur sur le meilleur canal disponible
+   * @param {string} utilisateurId
+   * @param {Object} notification - {
+   *   modele, variables (contenu rendu dans la langue du destinataire)
+   *   ou titre, message ; evenement (modele à défaut), categorie (préférence
+   *   concernée), priorite (URGENTE | HAUTE | NORMALE | BASSE), donnees,
+   *   reference (dédoublonnage, identifiants des données à défaut) }
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<{ livraison: Object, doublon: boolean }>}
+   */
+  async envoyer(utilisateurId, notification = {}, { maintenant = new Date() } = {}) {
+    const {
+      modele = null,
+      variables = {},
+      categorie = 'general',
+      priorite = 'NORMALE',
+      donnees = {},
+      reference = null
+    } = notification;
+    const evenement = notification.evenement || modele;
+
+    if (!this.config.PRIORITES[priorite]) {
+      throw this._erreur(`Priorité de notification inconnue : ${priorite}`, 'INVALID_PRIORITY');
+    }
+    if (!evenement || (!modele && (!notification.titre || !notification.message))) {
+      throw this._erreur('Un modèle ou un titre et un message sont requis', 'INVALID_NOTIFICATION');
+    }
+
+    const utilisateur = await Utilisateur.findById(utilisateurId).select(CHAMPS_DESTINATAIRE);
+    if (!utilisateur) {
+      throw this._erreur('Utilisateur non trouvé', 'USER_NOT_FOUND', 404);
+    }
+
+    // Même notification déjà partie récemment : la rafale est fusionnée
+    const cleDoublon = this._cleDoublon(utilisateurId, evenement, reference, donnees);
+    const precedente = await LivraisonNotification.findOne({
+      cleDoublon,
+      createdAt: { $gte: new Date(maintenant.getTime() - this.config.FENETRE_DOUBLON_SECONDES * 1000) }
+    });
+    if (precedente) {
+      logger.info('📡 Notification en double ignorée', { utilisateurId, evenement, livraisonId: precedente._id });
+      return { livraison: precedente, doublon: true };
+    }
+
+    const urgente = priorite === 'URGENTE';
+    const base = { utilisateurId, evenement, priorite, categorie, cleDoublon };
+
+    if (!urgente && !this._preferencesAutorisent(utilisateur, categorie)) {
+      const livraison = await LivraisonNotification.create({ ...base, statut: 'IGNOREE', motif: 'preferences' });
+      return { livraison, doublon: false };
+    }
+
+    let { titre, message } = notification;
+    if (modele) {
+      ({ titre, corps: message } = await modelesNotificationService.rendrePour(utilisateur, modele, variables));
+    }
+
+    const finSilence = urgente ? null : this._finHeuresSilencieuses(utilisateur, maintenant);
+    const livraison = await LivraisonNotification.create({
+      ...base,
+      contenu: { modele, variables, titre, message, donnees },
+      notificationId: await this._archiver(utilisateur, { evenement, titre, message, donnees, categorie }),
+      statut: finSilence ? 'PLANIFIEE' : 'EN_COURS',
+      planifieePour: finSilence
+    });
+
+    if (!finSilence) {
+      await this._poursuivre(livraison, utilisateur, maintenant);
+    }
+
+    return { livraison, doublon: false };
+  }
+
+  /**
+   * Accusé de réception du push par l'application (ou lecture in-app) :
+   * arrête la cascade vers WhatsApp et SMS
+   * @param {string} notificationId - notification in-app transmise dans le push
+   * @param {string} utilisateurId
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<{ acquittee: boolean }>}
+   */
+  async accuser(notificationId, utilisateurId, { maintenant = new Date() } = {}) {
+    const livraison = await LivraisonNotification.findOneAndUpdate(
+      { notificationId, utilisateurId, statut: 'EN_ATTENTE_ACQUITTEMENT' },
+      {
+        $set: {
+          statut: 'ACQUITTEE',
+          livreeLe: maintenant,
+          echeanceAcquittement: null,
+          'tentatives.$[push].statut': 'ACQUITTEE',
+          'tentatives.$[push].acquitteeLe': maintenant
+        }
+      },
+      { new: true, arrayFilters: [{ 'push.canal': 'push', 'push.statut': 'ENVOYEE' }] }
+    );
+
+    return { acquittee: Boolean(livraison) };
+  }
+
+  /**
+   * Reprend les livraisons échues : fin des heures silencieuses, puis push
+   * non acquitté dans le délai (repli sur le canal suivant)
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<{ traitees: number }>}
+   */
+  async traiterEcheances({ maintenant = new Date() } = {}) {
+    let traitees = 0;
+
+    while (traitees < this.config.LIMITE) {
+      // Réservation atomique : une livraison n'est reprise que par une instance
+      const livraison = await LivraisonNotification.findOneAndUpdate(
+        {
+          $or: [
+            { statut: 'PLANIFIEE', planifieePour: { $lte: maintenant } },
+            { statut: 'EN_ATTENTE_ACQUITTEMENT', echeanceAcquittement: { $lte: maintenant } }
+          ]
+        },
+        { $set: { statut: 'EN_COURS' } },
+        { sort: { createdAt: 1 } }
+      );
+      if (!livraison) break;
+      traitees++;
+
+      if (livraison.statut === 'EN_ATTENTE_ACQUITTEMENT') {
+        const push = livraison.tentatives.find(t => t.canal === 'push' && t.statut === 'ENVOYEE');
+        if (push) push.statut = 'EXPIREE';
+        livraison.echeanceAcquittement = null;
+      }
+      livraison.statut = 'EN_COURS';
+
+      try {
+        const utilisateur = await Utilisateur.findById(livraison.utilisateurId).select(CHAMPS_DESTINATAIRE);
+        if (!utilisateur) {
+          livraison.statut = 'ECHOUEE';
+          livraison.motif = 'utilisateur_introuvable';
+          await livraison.save();
+          continue;
+        }
+        await this._poursuivre(livraison, utilisateur, maintenant);
+      } catch (error) {
+        logger.error('📡 Reprise de livraison échouée', { livraisonId: livraison._id, error: error.message });
+      }
+    }
+
+    if (traitees > 0) {
+      logger.info('📡 Livraisons de notifications reprises', { traitees });
+    }
+    return { traitees };
+  }
+
+  /**
+   * Statistiques de livraison par statut, canal et priorité, avec les coûts
+   * @param {Object} [periode] - { dateDebut, dateFin } (30 derniers jours à défaut)
+   * @returns {Promise<Object>}
+   */
+  async statistiques({ dateDebut = null, dateFin = null } = {}) {
+    const fin = dateFin ? new Date(dateFin) : new Date();
+    const debut = dateDebut ? new Date(dateDebut) : new Date(fin.getTime() - 30 * MINUTES_PAR_JOUR * MINUTE);
+
+    const [resultat] = await LivraisonNotification.aggregate([
+      { $match: { createdAt: { $gte: debut, $lte: fin } } },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, livraisons: { $sum: 1 }, cout: { $sum: '$coutTotal' } } }],
+          parStatut: [{ $group: { _id: '$statut', nombre: { $sum: 1 } } }],
+          parPriorite: [{ $group: { _id: '$priorite', nombre: { $sum: 1 }, cout: { $sum: '$coutTotal' } } }],
+          parCanal: [
+            { $unwind: '$tentatives' },
+            {
+              $group: {
+                _id: '$tentatives.canal',
+                tentatives: { $sum: 1 },
+                envoyees: { $sum: { $cond: [{ $ne: ['$tentatives.statut', 'ECHOUEE'] }, 1, 0] } },
+                acquittees: { $sum: { $cond: [{ $eq: ['$tentatives.statut', 'ACQUITTEE'] }, 1, 0] } },
+                expirees: { $sum: { $cond: [{ $eq: ['$tentatives.statut', 'EXPIREE'] }, 1, 0] } },
+                echecs: { $sum: { $cond: [{ $eq: ['$tentatives.statut', 'ECHOUEE'] }, 1, 0] } },
+                cout: { $sum: '$tentatives.cout' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const parCle = (lignes) => lignes.reduce((acc, { _id, ...valeurs }) => ({ ...acc, [_id]: valeurs }), {});
+
+    return {
+      periode: { debut, fin },
+      livraisons: resultat.total[0]?.livraisons || 0,
+      coutTotal: resultat.total[0]?.cout || 0,
+      devise: 'XOF',
+      parStatut: resultat.parStatut.reduce((acc, { _id, nombre }) => ({ ...acc, [_id]: nombre }), {}),
+      parPriorite: parCle(resultat.parPriorite),
+      parCanal: parCle(resultat.parCanal)
+    };
+  }
+
+  /**
+   * Tente les canaux restants de la cascade jusqu'au premier envoi réussi
+   * @private
+   */
+  async _poursuivre(livraison, utilisateur, maintenant) {
+    const { canaux, acquittementSecondes } = this.config.PRIORITES[livraison.priorite];
+
+    while (livraison.canalSuivant < canaux.length) {
+      const canal = canaux[livraison.canalSuivant];
+      livraison.canalSuivant += 1;
+
+      const tentative = await this._tenter(canal, livraison, utilisateur);
+      livraison.tentatives.push({ ...tentative, envoyeeLe: maintenant });
+      livraison.coutTotal += tentative.cout || 0;
+      if (tentative.statut !== 'ENVOYEE') continue;
+
+      // Un push réussi n'est pas une remise : on attend l'accusé de réception
+      if (canal === 'push' && livraison.canalSuivant < canaux.length && acquittementSecondes > 0) {
+        livraison.statut = 'EN_ATTENTE_ACQUITTEMENT';
+        livraison.echeanceAcquittement = new Date(maintenant.getTime() + acquittementSecondes * 1000);
+      } else {
+        livraison.statut = 'LIVREE';
+        livraison.livreeLe = maintenant;
+      }
+      return livraison.save();
+    }
+
+    livraison.statut = 'ECHOUEE';
+    livraison.motif = 'canaux_epuises';
+    logger.warn('📡 Notification non remise', {
+      livraisonId: livraison._id,
+      utilisateurId: livraison.utilisateurId,
+      evenement: livraison.evenement
+    });
+    return livraison.save();
+  }
+
+  /**
+   * Un envoi sur un canal ; une erreur du fournisseur devient une tentative échouée
+   * @private
+   */
+  async _tenter(canal, livraison, utilisateur) {
+    try {
+      if (canal === 'push') return await this._envoyerPush(livraison, utilisateur);
+
+      if (!utilisateur.telephone) {
+        return { canal, statut: 'ECHOUEE', erreur: 'Aucun numéro de téléphone' };
+      }
+      const texte = await this._texte(canal, livraison, utilisateur);
+      return canal === 'whatsapp'
+        ? await this._envoyerWhatsApp(utilisateur.telephone, texte)
+        : await this._envoyerSMS(utilisateur.telephone, texte);
+    } catch (error) {
+      return { canal, statut: 'ECHOUEE', erreur: error.message };
+    }
+  }
+
+  async _envoyerPush(livraison, utilisateur) {
+    const { titre, message, donnees } = livraison.contenu;
+    const resultat = await firebaseService.sendToUser(utilisateur._id, {
+      title: titre,
+      message,
+      notificationId: livraison.notificationId,
+      data: { ...donnees, type: donnees?.type || livraison.evenement },
+      channelId: livraison.categorie,
+      type: livraison.categorie
+    }, Utilisateur);
+
+    return resultat?.success
+      ? { canal: 'push', fournisseur: 'FCM', statut: 'ENVOYEE', cout: this.config.COUTS.push }
+      : { canal: 'push', fournisseur: 'FCM', statut: 'ECHOUEE', erreur: resultat?.error || resultat?.reason || 'Push non envoyé' };
+  }
+
+  async _envoyerWhatsApp(telephone, texte) {
+    if (!greenApiService.estConfigure()) {
+      return { canal: 'whatsapp', statut: 'ECHOUEE', erreur: 'WhatsApp non configuré' };
+    }
+
+    const resultat = await greenApiService.envoyerMessage(telephone, texte);
+    return resultat.success
+      ? { canal: 'whatsapp', fournisseur: 'GREEN_API', statut: 'ENVOYEE', messageId: resultat.idMessage, cout: this.config.COUTS.whatsapp }
+      : { canal: 'whatsapp', fournisseur: 'GREEN_API', statut: 'ECHOUEE', erreur: resultat.error };
+  }
+
+  async _envoyerSMS(telephone, texte) {
+    const resultat = await sendSMS({ to: telephone, message: texte });
+    return {
+      canal: 'sms',
+      fournisseur: resultat.provider,
+      statut: 'ENVOYEE',
+      messageId: resultat.messageId,
+      // Fournisseur de développement : SMS simulé, non facturé
+      cout: resultat.provider === 'DEV' ? 0 : this.config.COUTS.sms
+    };
+  }
+
+  /**
+   * Texte WhatsApp / SMS : variante du modèle pour le canal, sinon titre et message
+   * @private
+   */
+  async _texte(canal, livraison, utilisateur) {
+    const { modele, variables, titre, message } = livraison.contenu;
+    if (modele) {
+      const { corps } = await modelesNotificationService.rendrePour(utilisateur, modele, variables, { canal });
+      return corps;
+    }
+    return canal === 'sms' ? `${titre} : ${message}` : `*${titre}*\n${message}`;
+  }
+
+  /**
+   * Historique in-app ; la livraison se poursuit même s'il n'est pas enregistré
+   * @private
+   */
+  async _archiver(utilisateur, { evenement, titre, message, donnees, categorie }) {
+    try {
+      const notification = await centreNotificationsService.enregistrer({
+        destinataireId: utilisateur._id,
+        type: donnees?.type || evenement,
+        titre,
+        message,
+        donnees,
+        canal: categorie
+      });
+      return notification._id;
+    } catch (error) {
+      logger.warn(`Notification in-app non enregistrée (${utilisateur._id}): ${error.message}`);
+      return null;
+    }
+  }
+
+  _preferencesAutorisent(utilisateur, categorie) {
+    const preferences = utilisateur.preferencesNotifications;
+    if (!preferences) return true;
+    return preferences.activees !== false && preferences[categorie] !== false;
+  }
+
+  /**
+   * Fin de la plage silencieuse en cours, ou null hors plage
+   * @private
+   */
+  _finHeuresSilencieuses(utilisateur, maintenant) {
+    const plage = utilisateur.preferencesNotifications?.heuresSilencieuses;
+    if (!plage?.activees) return null;
+
+    const debut = this._minutes(plage.debut);
+    const fin = this._minutes(plage.fin);
+    if (debut === null || fin === null || debut === fin) return null;
+
+    const actuelle = this._minutesLocales(maintenant);
+    const dansLaPlage = debut < fin
+      ? actuelle >= debut && actuelle < fin
+      : actuelle >= debut || actuelle < fin;
+    if (!dansLaPlage) return null;
+
+    const finPlage = new Date(maintenant.getTime() + ((fin - actuelle + MINUTES_PAR_JOUR) % MINUTES_PAR_JOUR) * MINUTE);
+    finPlage.setSeconds(0, 0);
+    return finPlage;
+  }
+
+  _minutes(heure) {
+    const correspondance = /^(\d{2}):(\d{2})$/.exec(heure || '');
+    return correspondance ? Number(correspondance[1]) * 60 + Number(correspondance[2]) : null;
+  }
+
+  _minutesLocales(date) {
+    const [heures, minutes] = new Intl.DateTimeFormat('fr-FR', {
+      timeZone: this.config.FUSEAU,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(date).split(':').map(Number);
+    return heures * 60 + minutes;
+  }
+
+  _cleDoublon(utilisateurId, evenement, reference, donnees = {}) {
+    const references = reference
+      ? [reference]
+      : Object.keys(donnees).filter(cle => PARAMETRE_REFERENCE.test(cle)).sort().map(cle => `${cle}=${donnees[cle]}`);
+    return [String(utilisateurId), evenement, ...references].join(':');
+  }
+
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
+}
+
+module.exports = new LivraisonNotificationsService();
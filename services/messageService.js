@@ -1,73 +1,162 @@
-const Message = require('../models/Message');
+const fs = require('fs');
+const path = require('path');
+const { Message } = require('../models/Message');
 const Conversation = require('../models/Conversation');
-const Utilisateur = require('../models/Utilisateur');
-const { AppError } = require('../utils/helpers');
+const presenceService = require('./presenceService');
+const notificationService = require('./notificationService');
+const moderationMessagesService = require('./moderationMessagesService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
 const mongoose = require('mongoose');
 
+// Pièces jointes déposées via POST /api/messages/medias (uploadMiddleware.uploadMessageMedia)
+const PREFIXE_MEDIAS = '/uploads/messages/';
+const DOSSIER_MEDIAS = path.join(process.cwd(), 'uploads', 'messages');
+
+const TYPES_MEDIAS = {
+  IMAGE: {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+  },
+  AUDIO: {
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/opus',
+    '.webm': 'audio/webm',
+    '.wav': 'audio/wav'
+  }
+};
+
+const APERCUS_MEDIAS = {
+  IMAGE: '📷 Photo',
+  AUDIO: '🎤 Note vocale'
+};
+
 class MessageService {
 
+  constructor() {
+    this.config = {
+      // Délai pendant lequel l'expéditeur peut corriger son message
+      EDITION_MINUTES: parseInt(process.env.MESSAGES_EDITION_MINUTES, 10) || 15,
+      // Délai pendant lequel l'expéditeur peut supprimer son message
+      SUPPRESSION_HEURES: parseInt(process.env.MESSAGES_SUPPRESSION_HEURES, 10) || 24,
+      AUDIO_DUREE_MAX_SECONDES: parseInt(process.env.MESSAGES_AUDIO_DUREE_MAX_SECONDES, 10) || 120
+    };
+    this.io = null;
+  }
+
   /**
-   * Envoyer un nouveau message
+   * Brancher Socket.IO pour diffuser messages, accusés et modifications
+   * @param {import('socket.io').Server} io
+   */
+  utiliserSocket(io) {
+    this.io = io;
+  }
+
+  /**
+   * Envoyer un nouveau message (texte, position, modèle, photo ou note vocale)
+   * Les pièces jointes IMAGE/AUDIO doivent avoir été déposées au préalable par
+   * l'expéditeur : seule l'URL renvoyée par le dépôt (et la durée d'une note
+   * vocale) est reprise du client.
+   * Le texte passe par le filtre automatique : un message retenu n'est remis
+   * aux autres participants qu'après validation d'un modérateur (libererMessage).
+   * @param {Object} donnees
+   * @param {Object} [donnees.moderation] - Bilan déjà calculé par le middleware filtrerContenu
    */
   async envoyerMessage(donnees) {
-    const { conversationId, expediteurId, destinataireId, contenu, typeMessage = 'TEXTE', pieceJointe = null, modeleUtilise = null } = donnees;
+    const { conversationId, expediteurId, destinataireId, typeMessage = 'TEXTE', modeleUtilise = null } = donnees;
+    let { pieceJointe = null } = donnees;
 
     // Validation de base
-    if (!contenu && !pieceJointe) {
-      throw new AppError('Le contenu du message ou une pièce jointe est requis', 400);
+    if (!donnees.contenu && !pieceJointe) {
+      throw new AppError('Le contenu du message ou une pièce jointe est requis', { status: 400 });
     }
 
     if (!conversationId || !expediteurId) {
-      throw new AppError('ID conversation et expéditeur requis', 400);
+      throw new AppError('ID conversation et expéditeur requis', { status: 400 });
     }
 
-    // Vérifier que la conversation existe
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      throw new AppError('Conversation non trouvée', 404);
+    if (TYPES_MEDIAS[typeMessage]) {
+      pieceJointe = await this._preparerMedia(typeMessage, pieceJointe, expediteurId);
     }
 
-    // Vérifier que l'expéditeur fait partie de la conversation
-    if (!conversation.participants.includes(expediteurId)) {
-      throw new AppError('Vous n\'êtes pas autorisé à envoyer des messages dans cette conversation', 403);
-    }
+    // Vérifier que la conversation existe et que l'expéditeur en fait partie
+    const conversation = await this._chargerConversation(conversationId, expediteurId);
+    const participantIds = conversation.participants.map(p => p.toString());
 
-    // Déterminer le destinataire si non fourni
-    let destinataireIdFinal = destinataireId;
-    if (!destinataireIdFinal) {
-      // Trouver l'autre participant de la conversation
-      destinataireIdFinal = conversation.participants.find(
-        participantId => !participantId.equals(expediteurId)
-      );
-    }
+    // Déterminer le destinataire si non fourni : l'autre participant de la conversation
+    const destinataireIdFinal = destinataireId || participantIds.find(pid => pid !== expediteurId.toString());
+
+    const analyse = donnees.moderation || moderationMessagesService.analyser(donnees.contenu);
+    const retenu = analyse.action === 'RETENIR';
 
     // Créer le message
     const nouveauMessage = new Message({
       conversationId,
       expediteurId,
       destinataireId: destinataireIdFinal,
-      contenu,
+      contenu: analyse.contenu,
       typeMessage,
-      pieceJointe,
+      ...(pieceJointe ? { pieceJointe } : {}),
       modeleUtilise,
+      ...this._bilanModeration(analyse),
       dateEnvoi: new Date(),
       lu: false
     });
 
-    await nouveauMessage.save();
+    if (!retenu) {
+      nouveauMessage.accuses = this._accusesInitiaux(participantIds, expediteurId);
+    }
 
-    // Mettre à jour la conversation
-    await Conversation.findByIdAndUpdate(conversationId, {
-      derniereActivite: new Date(),
-      $inc: { nombreMessagesNonLus: 1 }
-    });
+    await nouveauMessage.save();
 
     // Peupler les informations de l'expéditeur
     await nouveauMessage.populate('expediteurId', 'nom prenom photoProfil');
 
+    if (!retenu) {
+      await this._distribuer(nouveauMessage, participantIds);
+    }
+
+    if (analyse.detections.length) {
+      this._avertirExpediteur(nouveauMessage);
+      await this._signalerRecidive(nouveauMessage);
+    }
+
     return nouveauMessage;
   }
 
+  /**
+   * Remettre un message retenu par le filtre automatique, après validation d'un modérateur
+   */
+  async libererMessage(messageId, moderateurId) {
+    const message = await Message.findById(messageId);
+    if (!message || message.supprime) {
+      throw this._erreur('Message non trouvé', 'MESSAGE_NOT_FOUND', 404);
+    }
+    if (message.moderation?.statut !== 'RETENU') {
+      throw this._erreur('Ce message n\'est pas en attente de modération', 'MESSAGE_NOT_HELD');
+    }
+
+    const conversation = await Conversation.findById(message.conversationId).select('participants');
+    const participantIds = conversation ? conversation.participants.map(p => p.toString()) : [];
+
+    message.moderation.statut = 'LIBERE';
+    message.estSignale = false;
+    message.motifSignalement = undefined;
+    message.moderateurId = moderateurId;
+    message.accuses = this._accusesInitiaux(participantIds, message.expediteurId);
+    await message.save();
+
+    await message.populate('expediteurId', 'nom prenom photoProfil');
+    await this._distribuer(message, participantIds);
+
+    return message;
+  }
+
   /**
    * Obtenir les messages d'une conversation avec pagination
    */
@@ -75,20 +164,19 @@ class MessageService {
     const { page = 1, limite = 50 } = options;
 
     // Vérifier que l'utilisateur fait partie de la conversation
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      throw new AppError('Conversation non trouvée', 404);
-    }
-
-    if (!conversation.participants.includes(utilisateurId)) {
-      throw new AppError('Accès non autorisé à cette conversation', 403);
-    }
+    await this._chargerConversation(conversationId, utilisateurId);
 
     // Calcul de la pagination
     const skip = (page - 1) * limite;
 
+    // Les messages retenus par le filtre ne sont visibles que de leur expéditeur
+    const filtre = {
+      conversationId,
+      $or: [{ 'moderation.statut': { $ne: 'RETENU' } }, { expediteurId: utilisateurId }]
+    };
+
     // Récupérer les messages avec pagination (ordre décroissant par date)
-    const messages = await Message.find({ conversationId })
+    const messages = await Message.find(filtre)
       .populate('expediteurId', 'nom prenom photoProfil')
       .populate('destinataireId', 'nom prenom')
       .sort({ dateEnvoi: -1 })
@@ -97,7 +185,7 @@ class MessageService {
       .lean();
 
     // Compter le total pour la pagination
-    const total = await Message.countDocuments({ conversationId });
+    const total = await Message.countDocuments(filtre);
 
     // Marquer les messages comme lus
     await this.marquerMessagesCommelus(conversationId, utilisateurId);
@@ -119,52 +207,167 @@ class MessageService {
    * Marquer les messages comme lus
    */
   async marquerMessagesCommelus(conversationId, utilisateurId) {
-    // Marquer tous les messages non lus destinés à cet utilisateur comme lus
-    const result = await Message.updateMany(
-      {
+    const { messageIds } = await this.marquerLus(conversationId, utilisateurId);
+    return messageIds.length;
+  }
+
+  /**
+   * Accusé de réception : messages arrivés sur l'appareil du participant
+   * @param {string} conversationId
+   * @param {string} utilisateurId - Participant qui accuse réception
+   * @param {Object} [options]
+   * @param {string[]} [options.messageIds] - Limiter à ces messages (tous les messages en attente sinon)
+   * @returns {Promise<{messageIds: string[], recuLe: Date}>}
+   */
+  async marquerRecus(conversationId, utilisateurId, { messageIds, maintenant = new Date() } = {}) {
+    await this._chargerConversation(conversationId, utilisateurId);
+
+    const ids = await this._accusesEnAttente(conversationId, utilisateurId, 'recuLe', messageIds);
+    if (ids.length) {
+      await this._poserAccuse(ids, utilisateurId, 'recuLe', maintenant);
+      this._diffuser(conversationId, 'message:receipt', {
         conversationId,
-        destinataireId: utilisateurId,
-        lu: false
-      },
-      {
-        lu: true,
-        dateLecture: new Date()
-      }
-    );
+        utilisateurId,
+        type: 'recu',
+        messageIds: ids,
+        date: maintenant
+      });
+    }
 
-    // Réinitialiser le compteur de messages non lus pour cet utilisateur
-    await Conversation.findByIdAndUpdate(conversationId, {
-      nombreMessagesNonLus: 0
+    return { messageIds: ids, recuLe: maintenant };
+  }
+
+  /**
+   * Accusé de lecture : un message lu est aussi considéré comme reçu
+   * @param {string} conversationId
+   * @param {string} utilisateurId - Participant qui a lu
+   * @param {Object} [options]
+   * @param {string[]} [options.messageIds] - Limiter à ces messages (toute la conversation sinon)
+   * @returns {Promise<{messageIds: string[], luLe: Date, nombreNonLus: number}>}
+   */
+  async marquerLus(conversationId, utilisateurId, { messageIds, maintenant = new Date() } = {}) {
+    await this._chargerConversation(conversationId, utilisateurId);
+
+    const ids = await this._accusesEnAttente(conversationId, utilisateurId, 'luLe', messageIds);
+    if (ids.length) {
+      await this._poserAccuse(ids, utilisateurId, 'recuLe', maintenant);
+      await this._poserAccuse(ids, utilisateurId, 'luLe', maintenant);
+
+      // Champs historiques lus par les anciennes versions de l'application
+      await Message.updateMany(
+        { _id: { $in: ids }, destinataireId: utilisateurId, lu: false },
+        { $set: { lu: true, dateLecture: maintenant } }
+      );
+    }
+
+    // Recalculer le compteur de non lus de ce participant (lecture partielle possible)
+    const nombreNonLus = await Message.countDocuments({
+      conversationId,
+      supprime: { $ne: true },
+      accuses: { $elemMatch: { utilisateurId, luLe: null } }
     });
+    await Conversation.updateOne(
+      { _id: conversationId },
+      { $set: { [`nombreMessagesNonLus.${utilisateurId}`]: nombreNonLus } }
+    );
+
+    if (ids.length) {
+      this._diffuser(conversationId, 'message:receipt', {
+        conversationId,
+        utilisateurId,
+        type: 'lu',
+        messageIds: ids,
+        date: maintenant
+      });
+    }
 
-    return result.modifiedCount;
+    return { messageIds: ids, luLe: maintenant, nombreNonLus };
   }
 
   /**
-   * Supprimer un message
+   * Modifier le texte d'un message (expéditeur, dans le délai d'édition)
    */
-  async supprimerMessage(messageId, utilisateurId) {
-    const message = await Message.findById(messageId);
-    
-    if (!message) {
-      throw new AppError('Message non trouvé', 404);
+  async modifierMessage(messageId, utilisateurId, contenu, { maintenant = new Date() } = {}) {
+    const texte = typeof contenu === 'string' ? contenu.trim() : '';
+    if (!texte) {
+      throw this._erreur('Le nouveau contenu est requis', 'CONTENT_REQUIRED');
+    }
+
+    const message = await this._chargerMessageExpediteur(messageId, utilisateurId, 'modifier');
+
+    if (!['TEXTE', 'IMAGE'].includes(message.typeMessage)) {
+      throw this._erreur('Seuls les messages texte et les légendes de photo sont modifiables', 'MESSAGE_NOT_EDITABLE');
+    }
+
+    const limite = message.dateEnvoi.getTime() + this.config.EDITION_MINUTES * 60 * 1000;
+    if (maintenant.getTime() > limite) {
+      throw this._erreur(
+        `Impossible de modifier un message de plus de ${this.config.EDITION_MINUTES} minutes`,
+        'EDIT_WINDOW_EXPIRED'
+      );
+    }
+
+    // Le texte modifié repasse par le filtre ; un message déjà remis ne peut pas être retenu
+    const analyse = moderationMessagesService.analyser(texte);
+    if (analyse.action === 'RETENIR') {
+      throw this._erreur(analyse.avertissement, 'CONTENT_NOT_ALLOWED');
+    }
+
+    message.contenu = analyse.contenu;
+    message.modifieLe = maintenant;
+    if (analyse.detections.length && message.moderation?.statut !== 'RETENU') {
+      message.set(this._bilanModeration(analyse, maintenant));
     }
+    await message.save();
 
-    // Seul l'expéditeur peut supprimer son message
-    if (!message.expediteurId.equals(utilisateurId)) {
-      throw new AppError('Vous ne pouvez supprimer que vos propres messages', 403);
+    if (analyse.detections.length) {
+      this._avertirExpediteur(message);
+      await this._signalerRecidive(message);
     }
 
-    // Vérifier que le message n'est pas trop ancien (ex: 24h)
-    const limiteSuppressionHeures = 24;
-    const maintenant = new Date();
+    this._diffuser(message.conversationId, 'message:updated', {
+      conversationId: message.conversationId,
+      messageId: message._id,
+      contenu: message.contenu,
+      modifieLe: maintenant
+    });
+
+    return message;
+  }
+
+  /**
+   * Supprimer un message (expéditeur, dans le délai de suppression)
+   * Le message reste dans le fil avec la mention « supprimé » ; texte et fichiers sont effacés.
+   */
+  async supprimerMessage(messageId, utilisateurId, { maintenant = new Date() } = {}) {
+    const message = await this._chargerMessageExpediteur(messageId, utilisateurId, 'supprimer');
+
+    // Vérifier que le message n'est pas trop ancien
+    const limiteSuppressionHeures = this.config.SUPPRESSION_HEURES;
     const tempsEcoule = (maintenant - message.dateEnvoi) / (1000 * 60 * 60);
-    
+
     if (tempsEcoule > limiteSuppressionHeures) {
-      throw new AppError(`Impossible de supprimer un message de plus de ${limiteSuppressionHeures}h`, 400);
+      throw this._erreur(
+        `Impossible de supprimer un message de plus de ${limiteSuppressionHeures}h`,
+        'DELETE_WINDOW_EXPIRED'
+      );
     }
 
-    await Message.findByIdAndDelete(messageId);
+    const fichiers = [message.pieceJointe?.url, message.pieceJointe?.miniatureUrl].filter(Boolean);
+
+    message.supprime = true;
+    message.supprimeLe = maintenant;
+    message.contenu = undefined;
+    message.pieceJointe = undefined;
+    await message.save();
+
+    await Promise.all(fichiers.map(url => this._effacerFichier(url)));
+
+    this._diffuser(message.conversationId, 'message:deleted', {
+      conversationId: message.conversationId,
+      messageId: message._id,
+      supprimeLe: maintenant
+    });
 
     return {
       message: 'Message supprimé avec succès',
@@ -179,12 +382,12 @@ class MessageService {
     const message = await Message.findById(messageId);
     
     if (!message) {
-      throw new AppError('Message non trouvé', 404);
+      throw new AppError('Message non trouvé', { status: 404 });
     }
 
     // Ne pas permettre de signaler ses propres messages
     if (message.expediteurId.equals(signalantId)) {
-      throw new AppError('Vous ne pouvez pas signaler vos propres messages', 400);
+      throw new AppError('Vous ne pouvez pas signaler vos propres messages', { status: 400 });
     }
 
     // Mettre à jour le message
@@ -280,7 +483,7 @@ class MessageService {
   async obtenirOuCreerConversation(trajetId, participantIds) {
     // Vérifier qu'il y a exactement 2 participants
     if (!Array.isArray(participantIds) || participantIds.length !== 2) {
-      throw new AppError('Une conversation doit avoir exactement 2 participants', 400);
+      throw new AppError('Une conversation doit avoir exactement 2 participants', { status: 400 });
     }
 
     // Vérifier si une conversation existe déjà pour ce trajet et ces participants
@@ -316,11 +519,11 @@ class MessageService {
     const conversation = await Conversation.findById(conversationId);
     
     if (!conversation) {
-      throw new AppError('Conversation non trouvée', 404);
+      throw new AppError('Conversation non trouvée', { status: 404 });
     }
 
     if (!conversation.participants.includes(utilisateurId)) {
-      throw new AppError('Accès non autorisé à cette conversation', 403);
+      throw new AppError('Accès non autorisé à cette conversation', { status: 403 });
     }
 
     await Conversation.findByIdAndUpdate(conversationId, {
@@ -440,12 +643,21 @@ class MessageService {
     const message = await Message.findById(messageId);
     
     if (!message) {
-      throw new AppError('Message non trouvé', 404);
+      throw new AppError('Message non trouvé', { status: 404 });
     }
 
     const actionsValides = ['APPROUVER', 'REJETER', 'SUPPRIMER'];
     if (!actionsValides.includes(action)) {
-      throw new AppError('Action de modération invalide', 400);
+      throw new AppError('Action de modération invalide', { status: 400 });
+    }
+
+    // Message retenu par le filtre automatique : l'approbation le remet aux participants
+    if (action === 'APPROUVER' && message.moderation?.statut === 'RETENU') {
+      return {
+        message: 'Message approuvé et remis aux participants',
+        messageModere: await this.libererMessage(messageId, moderateurId),
+        action
+      };
     }
 
     let updateData = {
@@ -540,7 +752,7 @@ class MessageService {
 
     const contenu = modelesMessages[modeleUtilise];
     if (!contenu) {
-      throw new AppError('Modèle de message non trouvé', 404);
+      throw new AppError('Modèle de message non trouvé', { status: 404 });
     }
 
     // Remplacer les variables dans le template si nécessaire
@@ -575,7 +787,7 @@ class MessageService {
    */
   async envoyerLocalisation(conversationId, expediteurId, coordonnees) {
     if (!coordonnees || !coordonnees.longitude || !coordonnees.latitude) {
-      throw new AppError('Coordonnées de localisation requises', 400);
+      throw new AppError('Coordonnées de localisation requises', { status: 400 });
     }
 
     const pieceJointe = {
@@ -632,6 +844,311 @@ class MessageService {
       dateLimit
     };
   }
+
+  // ===============================
+  // MÉTHODES PRIVÉES
+  // ===============================
+
+  /**
+   * Vérifier l'existence de la conversation et la participation de l'utilisateur
+   * @private
+   */
+  async _chargerConversation(conversationId, utilisateurId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      throw this._erreur('Conversation non trouvée', 'CONVERSATION_NOT_FOUND', 404);
+    }
+
+    if (!conversation.participants.some(p => p.toString() === utilisateurId.toString())) {
+      throw this._erreur('Accès non autorisé à cette conversation', 'CONVERSATION_ACCESS_DENIED', 403);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Charger un message non supprimé dont l'utilisateur est l'expéditeur
+   * @private
+   */
+  async _chargerMessageExpediteur(messageId, utilisateurId, action) {
+    const message = await Message.findById(messageId);
+    if (!message || message.supprime) {
+      throw this._erreur('Message non trouvé', 'MESSAGE_NOT_FOUND', 404);
+    }
+
+    if (message.expediteurId.toString() !== utilisateurId.toString()) {
+      throw this._erreur(`Vous ne pouvez ${action} que vos propres messages`, 'MESSAGE_NOT_OWNER', 403);
+    }
+
+    return message;
+  }
+
+  /**
+   * Valider une pièce jointe déposée et reconstruire ses métadonnées côté serveur.
+   * Le fichier doit avoir été déposé par l'expéditeur (nom préfixé par son ID au dépôt).
+   * @private
+   */
+  async _preparerMedia(typeMessage, pieceJointe, expediteurId) {
+    const url = pieceJointe && typeof pieceJointe.url === 'string' ? pieceJointe.url : '';
+    const nomFichier = url.startsWith(PREFIXE_MEDIAS) ? url.slice(PREFIXE_MEDIAS.length) : '';
+
+    if (!nomFichier || nomFichier !== path.basename(nomFichier)) {
+      throw this._erreur('Pièce jointe invalide : déposez d\'abord le fichier', 'INVALID_ATTACHMENT');
+    }
+
+    if (!nomFichier.startsWith(`${expediteurId}_`)) {
+      throw this._erreur('Cette pièce jointe a été déposée par un autre utilisateur', 'ATTACHMENT_NOT_OWNED', 403);
+    }
+
+    const extension = path.extname(nomFichier).toLowerCase();
+    const mimeType = TYPES_MEDIAS[typeMessage][extension];
+    if (!mimeType) {
+      throw this._erreur(`Format de fichier incompatible avec un message ${typeMessage}`, 'ATTACHMENT_TYPE_MISMATCH');
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(path.join(DOSSIER_MEDIAS, nomFichier));
+    } catch (error) {
+      throw this._erreur('Pièce jointe introuvable', 'ATTACHMENT_NOT_FOUND', 404);
+    }
+
+    const media = {
+      type: typeMessage,
+      url,
+      mimeType,
+      taille: stats.size
+    };
+
+    if (typeMessage === 'IMAGE') {
+      const miniature = nomFichier.replace(/\.[^.]+$/, '_thumb.webp');
+      if (fs.existsSync(path.join(DOSSIER_MEDIAS, miniature))) {
+        media.miniatureUrl = `${PREFIXE_MEDIAS}${miniature}`;
+      }
+    } else {
+      const duree = Number(pieceJointe.dureeSecondes);
+      if (!Number.isFinite(duree) || duree <= 0) {
+        throw this._erreur('La durée de la note vocale est requise', 'AUDIO_DURATION_REQUIRED');
+      }
+      if (duree > this.config.AUDIO_DUREE_MAX_SECONDES) {
+        throw this._erreur(
+          `Note vocale limitée à ${this.config.AUDIO_DUREE_MAX_SECONDES} secondes`,
+          'AUDIO_TOO_LONG'
+        );
+      }
+      media.dureeSecondes = Math.round(duree);
+    }
+
+    return media;
+  }
+
+  /**
+   * Identifiants des messages dont l'accusé (recuLe ou luLe) manque pour ce participant
+   * @private
+   */
+  async _accusesEnAttente(conversationId, utilisateurId, champ, messageIds) {
+    const filtre = {
+      conversationId,
+      supprime: { $ne: true },
+      accuses: { $elemMatch: { utilisateurId, [champ]: null } }
+    };
+    if (Array.isArray(messageIds)) {
+      filtre._id = { $in: messageIds };
+    }
+
+    const messages = await Message.find(filtre).select('_id').lean();
+    return messages.map(m => m._id.toString());
+  }
+
+  /**
+   * Renseigner la date d'accusé d'un participant sans écraser une date existante
+   * @private
+   */
+  async _poserAccuse(messageIds, utilisateurId, champ, date) {
+    return Message.updateMany(
+      { _id: { $in: messageIds } },
+      { $set: { [`accuses.$[accuse].${champ}`]: date } },
+      {
+        arrayFilters: [{
+          'accuse.utilisateurId': new mongoose.Types.ObjectId(utilisateurId.toString()),
+          [`accuse.${champ}`]: null
+        }]
+      }
+    );
+  }
+
+  /**
+   * Accusés en attente pour chaque participant hors expéditeur
+   * @private
+   */
+  _accusesInitiaux(participantIds, expediteurId) {
+    return participantIds
+      .filter(pid => pid !== expediteurId.toString())
+      .map(utilisateurId => ({ utilisateurId }));
+  }
+
+  /**
+   * Mettre à jour la conversation, diffuser le message et prévenir les participants hors ligne
+   * @private
+   */
+  async _distribuer(message, participantIds) {
+    const expediteurId = (message.expediteurId._id || message.expediteurId).toString();
+    const autresParticipants = participantIds.filter(pid => pid !== expediteurId);
+
+    // Dernier message + non lus par participant
+    const inc = { 'statistiques.nombreTotalMessages': 1 };
+    autresParticipants.forEach(pid => {
+      inc[`nombreMessagesNonLus.${pid}`] = 1;
+    });
+
+    await Conversation.updateOne(
+      { _id: message.conversationId },
+      {
+        $set: {
+          derniereActivite: new Date(),
+          'statistiques.dernierMessagePar': expediteurId,
+          'statistiques.dernierMessageContenu': this._apercu(message)
+        },
+        $inc: inc
+      }
+    );
+
+    this._diffuser(message.conversationId, 'new_message', {
+      message,
+      expediteur: message.expediteurId
+    });
+
+    await this._notifierHorsLigne(message, autresParticipants);
+  }
+
+  /**
+   * Champs du message issus du filtre automatique (rien si le texte est sain)
+   * @private
+   */
+  _bilanModeration(analyse, maintenant = new Date()) {
+    if (!analyse.detections.length) {
+      return {};
+    }
+
+    const bilan = {
+      moderation: {
+        statut: analyse.statut,
+        detections: analyse.detections,
+        avertissement: analyse.avertissement,
+        analyseLe: maintenant
+      }
+    };
+
+    // Retenu : placé dans la file des messages signalés des modérateurs
+    if (analyse.action === 'RETENIR') {
+      bilan.estSignale = true;
+      bilan.motifSignalement = `Filtre automatique : ${analyse.detections.map(d => d.categorie).join(', ')}`;
+    }
+
+    return bilan;
+  }
+
+  /**
+   * Rappeler les règles à l'expéditeur sur ses autres appareils connectés
+   * @private
+   */
+  _avertirExpediteur(message) {
+    if (!this.io || !message.moderation?.avertissement) {
+      return;
+    }
+    const expediteurId = (message.expediteurId._id || message.expediteurId).toString();
+    this.io.to(`user_${expediteurId}`).emit('message:warning', {
+      conversationId: message.conversationId,
+      messageId: message._id,
+      statut: message.moderation.statut,
+      avertissement: message.moderation.avertissement
+    });
+  }
+
+  /**
+   * Le filtre ne doit jamais bloquer l'envoi : une erreur de signalement est seulement journalisée
+   * @private
+   */
+  async _signalerRecidive(message) {
+    try {
+      await moderationMessagesService.enregistrerInfraction(message);
+    } catch (error) {
+      logger.error('Signalement automatique non enregistré', { messageId: message._id.toString(), error: error.message });
+    }
+  }
+
+  /**
+   * Texte affiché dans la liste des conversations et les notifications
+   * @private
+   */
+  _apercu(message) {
+    const legende = (message.contenu || '').slice(0, 100);
+    const media = APERCUS_MEDIAS[message.typeMessage];
+    if (!media) {
+      return legende;
+    }
+    return (legende ? `${media} · ${legende}` : media).slice(0, 100);
+  }
+
+  /**
+   * Prévenir par push les participants qui ne sont pas connectés
+   * @private
+   */
+  async _notifierHorsLigne(message, destinataireIds) {
+    const horsLigne = destinataireIds.filter(pid => !presenceService.isOnline(pid));
+    if (!horsLigne.length) {
+      return;
+    }
+
+    const expediteur = message.expediteurId;
+    const nom = expediteur && expediteur.prenom ? `${expediteur.prenom} ${expediteur.nom}` : 'un participant';
+
+    await Promise.all(horsLigne.map(async (pid) => {
+      try {
+        await notificationService.sendMessageNotification(pid, nom, this._apercu(message) || 'Nouveau message', {
+          conversationId: message.conversationId.toString(),
+          messageId: message._id.toString()
+        });
+      } catch (error) {
+        logger.warn('Notification de message non envoyée', { destinataireId: pid, error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Diffuser un événement aux participants connectés à la conversation
+   * @private
+   */
+  _diffuser(conversationId, evenement, donnees) {
+    if (!this.io) {
+      return;
+    }
+    this.io.to(`conversation_${conversationId}`).emit(evenement, donnees);
+  }
+
+  /**
+   * Effacer un fichier de pièce jointe (absence tolérée)
+   * @private
+   */
+  async _effacerFichier(url) {
+    if (!url.startsWith(PREFIXE_MEDIAS)) {
+      return;
+    }
+    try {
+      await fs.promises.unlink(path.join(DOSSIER_MEDIAS, path.basename(url)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Pièce jointe non effacée', { url, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
 }
 
 module.exports = new MessageService();
\ No newline at end of file
@@ -0,0 +1,415 @@
+// services/modeleTrajetService.js
+
+const ModeleTrajet = require('../models/ModeleTrajet');
+const Trajet = require('../models/Trajet');
+const Vehicule = require('../models/Vehicule');
+const tarificationService = require('./tarificationService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+// Champs repris d'un trajet ou d'un modèle lors d'une publication
+const CHAMPS_ITINERAIRE = [
+  'pointDepart',
+  'pointArrivee',
+  'arretsIntermediaires',
+  'vehiculeUtilise',
+  'preferences',
+  'politiqueAnnulation',
+  'prixParPassager',
+  'nombrePlacesTotal',
+  'commentaireConducteur'
+];
+
+// Véhicules qui ne peuvent pas être utilisés pour publier un trajet
+const STATUTS_VEHICULE_BLOQUES = ['HORS_SERVICE', 'REJETE', 'SUSPENDU', 'BLOQUE', 'EN_REPARATION'];
+
+const REGEX_HEURE = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Modèles de trajet et duplication de trajets
+ *
+ * Un conducteur qui refait souvent le même trajet l'enregistre comme modèle
+ * (ou duplique un ancien trajet) et ne choisit plus que la date.
+ * Toute publication passe par preparerPublication(), la même validation que
+ * POST /api/trajets/ponctuel : date future, plafond de prix, places,
+ * véhicule et documents.
+ * Distance, durée et itinéraire sont recalculés par le hook pre-save du
+ * trajet (comme Trajet#recalculerDistance), jamais recopiés.
+ */
+class ModeleTrajetService {
+
+  // ============================================================
+  // VALIDATION COMMUNE À TOUTE PUBLICATION
+  // ============================================================
+
+  /**
+   * Valide et complète les données d'un trajet ponctuel avant création
+   *
+   * @param {string} conducteurId
+   * @param {Object} donnees - Corps de création (dateDepart, heureDepart, ...)
+   * @param {Object} options - { maintenant }
+   * @returns {Promise<Object>} - Données prêtes pour new Trajet()
+   */
+  async preparerPublication(conducteurId, donnees, { maintenant = new Date() } = {}) {
+    const trajetData = {
+      ...donnees,
+      conducteurId,
+      typeTrajet: 'PONCTUEL'
+    };
+
+    // Si heureDepart n'est pas fournie, utiliser 00:00 par défaut
+    const heureDepart = trajetData.heureDepart || '00:00';
+    const dateDepartComplete = this.calculerDateDepart(trajetData.dateDepart, heureDepart);
+
+    if (dateDepartComplete < maintenant) {
+      throw new AppError('La date de départ doit être dans le futur', {
+        code: 'DEPARTURE_IN_PAST',
+        status: 400,
+        context: {
+          dateDepartDemandee: dateDepartComplete.toISOString(),
+          dateActuelle: maintenant.toISOString()
+        }
+      });
+    }
+
+    trajetData.dateDepart = dateDepartComplete;
+    trajetData.heureDepart = heureDepart;
+
+    this.verifierPrix(trajetData);
+
+    const placesTotal = Number(trajetData.nombrePlacesTotal);
+    const placesDisponibles = trajetData.nombrePlacesDisponibles !== undefined
+      ? Number(trajetData.nombrePlacesDisponibles)
+      : placesTotal;
+
+    if (!Number.isInteger(placesTotal) || placesTotal < 1 || placesTotal > 8) {
+      throw new AppError('Le nombre total de places doit être entre 1 et 8', { code: 'INVALID_SEATS', status: 400 });
+    }
+    if (placesDisponibles > placesTotal) {
+      throw new AppError('Le nombre de places disponibles ne peut pas dépasser le nombre total de places', {
+        code: 'INVALID_SEATS',
+        status: 400
+      });
+    }
+    if (trajetData.vehiculeUtilise?.nombrePlaces && placesTotal > trajetData.vehiculeUtilise.nombrePlaces) {
+      throw new AppError('Le nombre total de places ne peut pas dépasser la capacité du véhicule', {
+        code: 'INVALID_SEATS',
+        status: 400
+      });
+    }
+    trajetData.nombrePlacesDisponibles = placesDisponibles;
+
+    const documentsValidite = await this.verifierVehicule(conducteurId, trajetData.vehiculeUtilise, dateDepartComplete, maintenant);
+    if (documentsValidite) {
+      trajetData.documentsValidite = documentsValidite;
+    }
+
+    // Valeur temporaire : le hook pre-save calcule la vraie distance
+    if (!trajetData.distance) {
+      trajetData.distance = 0.1;
+    }
+
+    return trajetData;
+  }
+
+  /**
+   * Prix par passager : entier entre 0 et 100 000 FCFA, sous le plafond par km
+   *
+   * Aussi appliqué aux trajets récurrents, qui ne passent pas par
+   * preparerPublication (leur date de départ peut être passée).
+   *
+   * @param {Object} trajetData - prixParPassager, distance, arrêts...
+   */
+  verifierPrix(trajetData) {
+    const prix = Number(trajetData.prixParPassager);
+    if (!Number.isInteger(prix) || prix < 0 || prix > 100000) {
+      throw new AppError('Le prix doit être un nombre entier entre 0 et 100 000 FCFA', {
+        code: 'INVALID_PRICE',
+        status: 400
+      });
+    }
+
+    // Plafond anti-abus par km (bloquant ou simple avertissement selon la config)
+    tarificationService.verifierPlafond(prix, {
+      ...trajetData,
+      distance: Number(trajetData.distance) || null
+    });
+  }
+
+  /**
+   * Date + heure "HH:MM" → date de départ complète (UTC)
+   */
+  calculerDateDepart(dateDepart, heureDepart = '00:00') {
+    const date = new Date(dateDepart);
+    if (!dateDepart || isNaN(date.getTime())) {
+      throw new AppError('La date de départ est invalide', { code: 'INVALID_DATE', status: 400 });
+    }
+    if (!REGEX_HEURE.test(heureDepart)) {
+      throw new AppError('L\'heure de départ doit être au format HH:MM (ex: 08:30)', { code: 'INVALID_TIME', status: 400 });
+    }
+
+    const [heures, minutes] = heureDepart.split(':').map(Number);
+    date.setUTCHours(heures, minutes, 0, 0);
+    return date;
+  }
+
+  /**
+   * Vérifie le véhicule enregistré correspondant à l'immatriculation
+   *
+   * Un véhicule non enregistré reste accepté (saisie libre historique).
+   * Sinon il doit être utilisable et avoir une assurance et une visite
+   * technique valides à la date du départ.
+   *
+   * @returns {Promise<Object|null>} - documentsValidite du trajet, ou null
+   */
+  async verifierVehicule(conducteurId, vehiculeUtilise, dateDepart, maintenant = new Date()) {
+    if (!vehiculeUtilise?.immatriculation) {
+      throw new AppError('Le véhicule utilisé est requis', { code: 'VEHICLE_REQUIRED', status: 400 });
+    }
+
+    const vehicule = await Vehicule.findOne({
+      proprietaireId: conducteurId,
+      immatriculation: String(vehiculeUtilise.immatriculation).trim().toUpperCase()
+    });
+    if (!vehicule) return null;
+
+    if (STATUTS_VEHICULE_BLOQUES.includes(vehicule.statut)) {
+      throw new AppError(`Ce véhicule ne peut pas être utilisé (statut: ${vehicule.statut})`, {
+        code: 'VEHICLE_UNAVAILABLE',
+        status: 400
+      });
+    }
+
+    const dateAssurance = vehicule.assurance?.dateExpiration;
+    const dateVisite = vehicule.visiteTechnique?.dateExpiration;
+
+    if (dateAssurance && dateAssurance < dateDepart) {
+      throw new AppError('L\'assurance du véhicule aura expiré à la date du départ', {
+        code: 'INSURANCE_EXPIRED',
+        status: 400,
+        context: { dateExpiration: dateAssurance }
+      });
+    }
+    if (dateVisite && dateVisite < dateDepart) {
+      throw new AppError('La visite technique du véhicule aura expiré à la date du départ', {
+        code: 'INSPECTION_EXPIRED',
+        status: 400,
+        context: { dateExpiration: dateVisite }
+      });
+    }
+
+    return {
+      assuranceValide: !!dateAssurance,
+      visiteTechniqueValide: !!dateVisite,
+      dateExpirationAssurance: dateAssurance || undefined,
+      dateExpirationVisite: dateVisite || undefined,
+      derniereVerification: maintenant
+    };
+  }
+
+  // ============================================================
+  // MODÈLES
+  // ============================================================
+
+  /**
+   * Crée un modèle à partir des champs fournis
+   */
+  async creer(conducteurId, donnees) {
+    await this._verifierLimite(conducteurId);
+    await this._verifierNomDisponible(conducteurId, donnees.nom);
+
+    const modele = await ModeleTrajet.create({
+      ...this._extraireChamps(donnees),
+      conducteurId,
+      nom: donnees.nom,
+      heureDepart: donnees.heureDepart
+    });
+
+    logger.info(`📋 Modèle de trajet créé: ${modele._id} (${modele.nom})`);
+    return modele;
+  }
+
+  /**
+   * Enregistre un trajet existant du conducteur comme modèle
+   */
+  async creerDepuisTrajet(conducteurId, trajetId, nom) {
+    const trajet = await this._obtenirTrajetConducteur(conducteurId, trajetId);
+
+    await this._verifierLimite(conducteurId);
+    await this._verifierNomDisponible(conducteurId, nom);
+
+    const modele = await ModeleTrajet.create({
+      ...this._extraireChamps(trajet),
+      conducteurId,
+      nom,
+      heureDepart: trajet.heureDepart,
+      trajetSourceId: trajet._id
+    });
+
+    logger.info(`📋 Modèle de trajet ${modele._id} créé depuis le trajet ${trajetId}`);
+    return modele;
+  }
+
+  async lister(conducteurId) {
+    return ModeleTrajet.find({ conducteurId })
+      .sort({ derniereUtilisation: -1, createdAt: -1 })
+      .lean();
+  }
+
+  async obtenir(conducteurId, modeleId) {
+    const modele = await ModeleTrajet.findOne({ _id: modeleId, conducteurId });
+    if (!modele) {
+      throw new AppError('Modèle de trajet introuvable', { code: 'TEMPLATE_NOT_FOUND', status: 404 });
+    }
+    return modele;
+  }
+
+  async modifier(conducteurId, modeleId, donnees) {
+    const modele = await this.obtenir(conducteurId, modeleId);
+
+    if (donnees.nom && donnees.nom !== modele.nom) {
+      await this._verifierNomDisponible(conducteurId, donnees.nom);
+      modele.nom = donnees.nom;
+    }
+    if (donnees.heureDepart !== undefined) {
+      modele.heureDepart = donnees.heureDepart;
+    }
+    Object.assign(modele, this._extraireChamps(donnees));
+
+    await modele.save();
+    return modele;
+  }
+
+  async supprimer(conducteurId, modeleId) {
+    const resultat = await ModeleTrajet.deleteOne({ _id: modeleId, conducteurId });
+    if (resultat.deletedCount === 0) {
+      throw new AppError('Modèle de trajet introuvable', { code: 'TEMPLATE_NOT_FOUND', status: 404 });
+    }
+  }
+
+  // ============================================================
+  // PUBLICATION
+  // ============================================================
+
+  /**
+   * Publie un trajet ponctuel à partir d'un modèle
+   *
+   * @param {Object} options - { dateDepart (requis), heureDepart, prixParPassager,
+   *                             nombrePlacesTotal, commentaireConducteur, maintenant }
+   * @returns {Promise<Object>} - Trajet créé
+   */
+  async publierModele(conducteurId, modeleId, options = {}) {
+    const modele = await this.obtenir(conducteurId, modeleId);
+
+    const trajet = await this._publier(conducteurId, {
+      ...this._extraireChamps(modele.toObject()),
+      heureDepart: modele.heureDepart
+    }, options);
+
+    await ModeleTrajet.updateOne(
+      { _id: modele._id },
+      { $inc: { nombreUtilisations: 1 }, $set: { derniereUtilisation: options.maintenant || new Date() } }
+    );
+
+    logger.info(`📋 Trajet ${trajet._id} publié depuis le modèle ${modeleId}`);
+    return trajet;
+  }
+
+  /**
+   * Duplique n'importe quel trajet du conducteur (passé, annulé, récurrent...)
+   * en un nouveau trajet ponctuel à la date demandée
+   */
+  async clonerTrajet(conducteurId, trajetId, options = {}) {
+    const source = await this._obtenirTrajetConducteur(conducteurId, trajetId);
+
+    const trajet = await this._publier(conducteurId, {
+      ...this._extraireChamps(source),
+      heureDepart: source.heureDepart
+    }, options);
+
+    logger.info(`📋 Trajet ${trajetId} dupliqué → ${trajet._id}`);
+    return trajet;
+  }
+
+  /**
+   * @private
+   */
+  async _publier(conducteurId, base, options) {
+    if (!options.dateDepart) {
+      throw new AppError('La date de départ est requise', { code: 'INVALID_DATE', status: 400 });
+    }
+
+    const donnees = { ...base, dateDepart: options.dateDepart };
+    for (const champ of ['heureDepart', 'prixParPassager', 'nombrePlacesTotal', 'commentaireConducteur']) {
+      if (options[champ] !== undefined) donnees[champ] = options[champ];
+    }
+
+    const trajetData = await this.preparerPublication(conducteurId, donnees, {
+      maintenant: options.maintenant
+    });
+
+    const trajet = new Trajet(trajetData);
+    await trajet.save();
+    return trajet;
+  }
+
+  // ============================================================
+  // UTILITAIRES
+  // ============================================================
+
+  /**
+   * Copie profonde des champs réutilisables (sans distance ni itinéraire calculés)
+   * @private
+   */
+  _extraireChamps(source) {
+    const champs = {};
+    for (const champ of CHAMPS_ITINERAIRE) {
+      if (source[champ] !== undefined && source[champ] !== null) {
+        champs[champ] = JSON.parse(JSON.stringify(source[champ]));
+      }
+    }
+    return champs;
+  }
+
+  /**
+   * @private
+   */
+  async _obtenirTrajetConducteur(conducteurId, trajetId) {
+    const trajet = await Trajet.findById(trajetId).lean();
+    if (!trajet) {
+      throw new AppError('Trajet non trouvé', { code: 'TRIP_NOT_FOUND', status: 404 });
+    }
+    if (trajet.conducteurId.toString() !== conducteurId.toString()) {
+      throw new AppError('Vous ne pouvez dupliquer que vos propres trajets', { code: 'FORBIDDEN', status: 403 });
+    }
+    return trajet;
+  }
+
+  /**
+   * @private
+   */
+  async _verifierLimite(conducteurId) {
+    const nombre = await ModeleTrajet.countDocuments({ conducteurId });
+    if (nombre >= ModeleTrajet.MAX_MODELES_PAR_CONDUCTEUR) {
+      throw new AppError(`Limite de ${ModeleTrajet.MAX_MODELES_PAR_CONDUCTEUR} modèles atteinte`, {
+        code: 'TEMPLATE_LIMIT_REACHED',
+        status: 400
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _verifierNomDisponible(conducteurId, nom) {
+    if (!nom || !String(nom).trim()) {
+      throw new AppError('Le nom du modèle est requis', { code: 'TEMPLATE_NAME_REQUIRED', status: 400 });
+    }
+    const existant = await ModeleTrajet.exists({ conducteurId, nom: String(nom).trim() });
+    if (existant) {
+      throw new AppError('Un modèle porte déjà ce nom', { code: 'TEMPLATE_NAME_TAKEN', status: 409 });
+    }
+  }
+}
+
+module.exports = new ModeleTrajetService();
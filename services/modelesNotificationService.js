@@ -0,0 +1,322 @@
+// services/modelesNotificationService.js
+
+const ModeleNotification = require('../models/ModeleNotification');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+const {
+  LANGUES_NOTIFICATION,
+  LANGUE_PAR_DEFAUT,
+  CHAMPS_PAR_CANAL,
+  CHAMPS_MODELE,
+  REGLES_PLURIEL,
+  MODELES
+} = require('../utils/modelesNotifications');
+
+// {{variable}} ou {{variable:singulier|pluriel}}
+const MARQUEUR = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(?::([^}|]*)\|([^}]*))?\}\}/g;
+
+// Ancienne préférence de langue de l'application (preferences.languePreferee)
+const LANGUES_APPLICATION = { FR: 'fr', ANG: 'en' };
+
+/**
+ * 🌍 Contenu des notifications dans la langue du destinataire
+ *
+ * Les textes par défaut (utils/modelesNotifications.js) sont complétés par
+ * les surcharges saisies par les administrateurs (ModeleNotification),
+ * relues au plus tard toutes les CACHE_SECONDES. Push, in-app, SMS, WhatsApp
+ * et email rendent le même événement avec le champ propre à leur canal.
+ */
+class ModelesNotificationService {
+
+  constructor() {
+    this.config = {
+      CACHE_SECONDES: parseInt(process.env.MODELES_NOTIFICATION_CACHE_SECONDES) || 60
+    };
+
+    this.surcharges = null;
+    this.chargeesLe = 0;
+  }
+
+  /**
+   * Langue des notifications d'un utilisateur (français à défaut)
+   * @param {Object} utilisateur - document ou objet lean Utilisateur
+   * @returns {string}
+   */
+  langueDe(utilisateur) {
+    const langue = utilisateur?.preferencesNotifications?.langue
+      || LANGUES_APPLICATION[utilisateur?.preferences?.languePreferee];
+    return LANGUES_NOTIFICATION.includes(langue) ? langue : LANGUE_PAR_DEFAUT;
+  }
+
+  /**
+   * Rend un événement dans une langue, pour un canal
+   * @param {string} evenement - clé du modèle (RESERVATION_CONFIRMEE, ...)
+   * @param {Object} variables - valeurs interpolées
+   * @param {Object} options - { langue, canal: push | sms | whatsapp | email }
+   * @returns {Promise<{ titre: string, corps: string, langue: string }>}
+   */
+  async rendre(evenement, variables = {}, { langue = LANGUE_PAR_DEFAUT, canal = 'push' } = {}) {
+    this._verifierEvenement(evenement);
+    const champs = CHAMPS_PAR_CANAL[canal];
+    if (!champs) {
+      throw this._erreur(`Canal de notification inconnu : ${canal}`, 'UNKNOWN_CHANNEL');
+    }
+
+    const surcharges = await this._chargerSurcharges();
+    const langueRendue = this._contenu(evenement, langue, surcharges) ? langue : LANGUE_PAR_DEFAUT;
+    const contenu = this._contenu(evenement, langueRendue, surcharges);
+
+    return {
+      titre: this.interpoler(contenu[champs.titre] || contenu.titre, variables, langueRendue),
+      corps: this.interpoler(contenu[champs.corps] || contenu.corps, variables, langueRendue),
+      langue: langueRendue
+    };
+  }
+
+  /**
+   * Rend un événement dans la langue d'un utilisateur
+   * @returns {Promise<{ titre: string, corps: string, langue: string }>}
+   */
+  async rendrePour(utilisateur, evenement, variables = {}, { canal = 'push' } = {}) {
+    return this.rendre(evenement, variables, { langue: this.langueDe(utilisateur), canal });
+  }
+
+  /**
+   * Remplace les marqueurs d'un texte ; une variable absente est rendue vide
+   * @param {string} texte
+   * @param {Object} variables
+   * @param {string} langue - règle de pluriel appliquée
+   * @returns {string}
+   */
+  interpoler(texte, variables = {}, langue = LANGUE_PAR_DEFAUT) {
+    const singulier = REGLES_PLURIEL[langue] || REGLES_PLURIEL[LANGUE_PAR_DEFAUT];
+
+    return String(texte || '').replace(MARQUEUR, (marqueur, nom, formeSinguliere, formePlurielle) => {
+      const valeur = variables[nom];
+      if (valeur === undefined || valeur === null) return '';
+      if (formePlurielle === undefined) return String(valeur);
+
+      const forme = singulier(Number(valeur)) ? formeSinguliere : formePlurielle;
+      return forme.replace(/#/g, String(valeur));
+    });
+  }
+
+  /**
+   * Catalogue des modèles : textes par défaut, surcharges et langues manquantes
+   * @returns {Promise<Array>}
+   */
+  async lister() {
+    const surcharges = await this._chargerSurcharges({ forcer: true });
+
+    return Object.entries(MODELES).map(([evenement, modele]) => ({
+      evenement,
+      description: modele.description,
+      variables: this._variables(modele),
+      exemple: modele.exemple,
+      langues: LANGUES_NOTIFICATION.reduce((langues, langue) => {
+        const surcharge = surcharges.get(this._cle(evenement, langue));
+        const parDefaut = modele[langue] || null;
+        langues[langue] = {
+          contenu: surcharge ? this._extraireChamps(surcharge) : parDefaut,
+          parDefaut,
+          surcharge: Boolean(surcharge),
+          modifieLe: surcharge?.updatedAt || null
+        };
+        return langues;
+      }, {})
+    }));
+  }
+
+  /**
+   * Aperçu d'un modèle, éventuellement d'un brouillon non enregistré
+   * @param {string} evenement
+   * @param {string} langue
+   * @param {Object} options - { variables (exemple du modèle à défaut), contenu (brouillon) }
+   * @returns {Promise<Object>} rendu par canal
+   */
+  async apercu(evenement, langue, { variables = null, contenu = null } = {}) {
+    this._verifierEvenement(evenement);
+    this._verifierLangue(langue);
+    const valeurs = { ...MODELES[evenement].exemple, ...(variables || {}) };
+
+    let source;
+    if (contenu) {
+      source = this._valider(evenement, contenu);
+    } else {
+      const surcharges = await this._chargerSurcharges();
+      source = this._contenu(evenement, langue, surcharges) || this._contenu(evenement, LANGUE_PAR_DEFAUT, surcharges);
+    }
+
+    const rendu = {};
+    Object.entries(CHAMPS_PAR_CANAL).forEach(([canal, champs]) => {
+      rendu[canal] = {
+        titre: this.interpoler(source[champs.titre] || source.titre, valeurs, langue),
+        corps: this.interpoler(source[champs.corps] || source.corps, valeurs, langue)
+      };
+    });
+
+    return { evenement, langue, variables: valeurs, rendu };
+  }
+
+  /**
+   * Enregistre la surcharge d'un modèle (prise en compte immédiatement)
+   * @param {string} evenement
+   * @param {string} langue
+   * @param {Object} contenu - { titre, corps, sms, whatsapp, emailSujet, emailCorps }
+   * @param {string} adminId
+   * @returns {Promise<Object>} document ModeleNotification
+   */
+  async modifier(evenement, langue, contenu, adminId = null) {
+    this._verifierEvenement(evenement);
+    this._verifierLangue(langue);
+    const champs = this._valider(evenement, contenu);
+
+    // Les variantes non fournies reprennent titre / corps
+    const update = { $set: { ...champs, modifiePar: adminId } };
+    const retirees = CHAMPS_MODELE.filter(champ => !champs[champ]);
+    if (retirees.length > 0) {
+      update.$unset = retirees.reduce((vides, champ) => ({ ...vides, [champ]: '' }), {});
+    }
+
+    const modele = await ModeleNotification.findOneAndUpdate(
+      { evenement, langue },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    this._invaliderCache();
+    return modele;
+  }
+
+  /**
+   * Supprime la surcharge : le texte par défaut s'applique de nouveau
+   * @returns {Promise<{ supprime: boolean }>}
+   */
+  async reinitialiser(evenement, langue) {
+    this._verifierEvenement(evenement);
+    this._verifierLangue(langue);
+
+    const resultat = await ModeleNotification.deleteOne({ evenement, langue });
+    this._invaliderCache();
+    return { supprime: resultat.deletedCount > 0 };
+  }
+
+  /**
+   * Contenu d'un événement dans une langue (surcharge, sinon défaut)
+   * @private
+   */
+  _contenu(evenement, langue, surcharges) {
+    const surcharge = surcharges.get(this._cle(evenement, langue));
+    return surcharge ? this._extraireChamps(surcharge) : MODELES[evenement][langue] || null;
+  }
+
+  /**
+   * Surcharges en cache ; une base injoignable laisse les textes par défaut
+   * @private
+   */
+  async _chargerSurcharges({ forcer = false } = {}) {
+    const perime = Date.now() - this.chargeesLe > this.config.CACHE_SECONDES * 1000;
+    if (this.surcharges && !perime && !forcer) {
+      return this.surcharges;
+    }
+
+    // Base pas encore connectée (démarrage, scripts) : pas d'attente des requêtes en file
+    if (!this._baseConnectee()) {
+      return this.surcharges || new Map();
+    }
+
+    try {
+      const modeles = await ModeleNotification.find({}).lean();
+      this.surcharges = new Map(modeles.map(m => [this._cle(m.evenement, m.langue), m]));
+      this.chargeesLe = Date.now();
+    } catch (error) {
+      logger.warn(`Surcharges des modèles de notification non chargées : ${error.message}`);
+      if (!this.surcharges) this.surcharges = new Map();
+    }
+    return this.surcharges;
+  }
+
+  /**
+   * Champs renseignés d'un contenu, marqueurs limités aux variables du modèle
+   * @private
+   */
+  _valider(evenement, contenu = {}) {
+    const champs = {};
+    CHAMPS_MODELE.forEach(champ => {
+      if (typeof contenu[champ] === 'string' && contenu[champ].trim()) {
+        champs[champ] = contenu[champ].trim();
+      }
+    });
+
+    if (!champs.titre || !champs.corps) {
+      throw this._erreur('Le titre et le corps du modèle sont requis', 'TEMPLATE_INVALID');
+    }
+
+    const connues = this._variables(MODELES[evenement]);
+    const inconnues = new Set();
+    Object.values(champs).forEach(texte => {
+      for (const [, nom] of texte.matchAll(MARQUEUR)) {
+        if (!connues.includes(nom)) inconnues.add(nom);
+      }
+    });
+    if (inconnues.size > 0) {
+      throw new AppError(`Variables inconnues pour ${evenement} : ${[...inconnues].join(', ')}`, {
+        code: 'TEMPLATE_INVALID',
+        context: { variablesDisponibles: connues }
+      });
+    }
+
+    return champs;
+  }
+
+  /**
+   * Variables utilisées par les textes par défaut d'un modèle
+   * @private
+   */
+  _variables(modele) {
+    const noms = new Set(Object.keys(modele.exemple || {}));
+    LANGUES_NOTIFICATION.forEach(langue => {
+      Object.values(modele[langue] || {}).forEach(texte => {
+        for (const [, nom] of String(texte).matchAll(MARQUEUR)) noms.add(nom);
+      });
+    });
+    return [...noms];
+  }
+
+  _extraireChamps(document) {
+    return CHAMPS_MODELE.reduce((contenu, champ) => {
+      if (document[champ]) contenu[champ] = document[champ];
+      return contenu;
+    }, {});
+  }
+
+  _verifierEvenement(evenement) {
+    if (!MODELES[evenement]) {
+      throw this._erreur(`Modèle de notification inconnu : ${evenement}`, 'TEMPLATE_NOT_FOUND', 404);
+    }
+  }
+
+  _verifierLangue(langue) {
+    if (!LANGUES_NOTIFICATION.includes(langue)) {
+      throw this._erreur(`Langue non supportée : ${langue}`, 'UNSUPPORTED_LANGUAGE');
+    }
+  }
+
+  _baseConnectee() {
+    return ModeleNotification.db.readyState === 1;
+  }
+
+  _invaliderCache() {
+    this.chargeesLe = 0;
+  }
+
+  _cle(evenement, langue) {
+    return `${evenement}:${langue}`;
+  }
+
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
+}
+
+module.exports = new ModelesNotificationService();
@@ -0,0 +1,124 @@
+// services/moderation/analyseursContenu.js
+
+/**
+ * Analyseurs de contenu des messages de la messagerie
+ *
+ * Chaque analyseur repère une catégorie de contenu à risque ; c'est
+ * moderationMessagesService qui décide de l'action (masquer, avertir,
+ * retenir pour modération) selon la catégorie.
+ *
+ * - nom : identifiant de l'analyseur (remplaçable via utiliserAnalyseur)
+ * - categorie : telephone | mobile_money | insulte | lien | ...
+ * - analyser(texte, normalise) → [{ debut, fin }]
+ *     texte : contenu brut du message
+ *     normalise : même texte en minuscules sans accents, de même longueur
+ *     (les positions renvoyées valent pour les deux)
+ */
+
+// Sans accents ni majuscules, caractère par caractère pour conserver les positions
+const normaliser = (texte) => Array.from(texte, (caractere) => {
+  const base = caractere.normalize('NFD');
+  return caractere.length === 1 && base.length > 1 ? base[0] : caractere;
+}).join('').toLowerCase();
+
+const occurrences = (regex, texte, filtre = () => true) => {
+  const resultats = [];
+  for (const correspondance of texte.matchAll(regex)) {
+    if (filtre(correspondance[0])) {
+      resultats.push({ debut: correspondance.index, fin: correspondance.index + correspondance[0].length });
+    }
+  }
+  return resultats;
+};
+
+// Expressions entières uniquement : « con » ne doit pas toucher « contact »
+const expressions = (liste) => new RegExp(
+  `(?<![a-z0-9])(?:${liste.map(mot => mot.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+')).join('|')})(?![a-z0-9])`,
+  'g'
+);
+
+// ===============================
+// LISTES DE MOTS (minuscules, sans accents)
+// ===============================
+
+const INSULTES_FRANCAIS = [
+  'connard', 'connards', 'connasse', 'con', 'conne', 'salaud', 'salope', 'pute', 'putain',
+  'encule', 'batard', 'fdp', 'fils de pute', 'ntm', 'nique ta mere', 'ta gueule',
+  'ferme ta gueule', 'abruti', 'imbecile', 'debile', 'cretin', 'pd'
+];
+
+const INSULTES_NOUCHI = [
+  'gnata', 'gaou', 'djandjou', 'tchoin', 'fouka'
+];
+
+// Opérateurs et portefeuilles Mobile Money de Côte d'Ivoire
+const PORTEFEUILLES = [
+  'wave', 'orange money', 'om', 'mtn money', 'mtn momo', 'momo', 'moov money', 'flooz', 'djamo'
+];
+
+const SOLLICITATIONS_PAIEMENT = [
+  // Paiement en direct plutôt que via l'application
+  /(?<![a-z0-9])(?:paie|paye|payer|payez|paies|regle|regler|reglez|donne|donnes)\s+(?:moi\s+)?(?:en\s+|par\s+)?(?:cash|especes?|liquide|main\s+a\s+main)(?![a-z0-9])/g,
+  /(?<![a-z0-9])(?:en\s+dehors|hors)\s+(?:de\s+)?(?:l'|l\s)?(?:appli|application|plateforme|app)(?![a-z0-9])/g,
+  // Nouchi : « djê » / « wari » = l'argent
+  /(?<![a-z0-9])(?:envoie|envoies|envoyer|donne|donnes|depose|mets?)[\s-]+(?:moi\s+)?(?:le\s+|mon\s+|ton\s+)?(?:dje|wari|djai)(?![a-z0-9])/g
+];
+
+const VERBES_TRANSFERT = '(?:envoie|envoies|envoyez|envoyer|envoi|transfere|transferer|transferez|depose|deposer|deposez|paie|paye|payer|payez|fais|faire|mets|mettre)';
+
+// ===============================
+// ANALYSEURS
+// ===============================
+
+const telephone = {
+  nom: 'telephone',
+  categorie: 'telephone',
+  analyser(texte) {
+    // 8 à 15 chiffres, séparés ou non par espaces, points ou tirets (+225 07 01 02 03 04, 0701020304...)
+    return occurrences(/(?:\+|00)?\d(?:[\s.-]?\d){7,14}(?!\d)/g, texte, (extrait) => {
+      const chiffres = extrait.replace(/\D/g, '').length;
+      return chiffres >= 8 && chiffres <= 15;
+    });
+  }
+};
+
+const mobileMoney = {
+  nom: 'mobile_money',
+  categorie: 'mobile_money',
+  analyser(texte, normalise) {
+    const portefeuilles = PORTEFEUILLES.join('|').replace(/ /g, '\\s+');
+    const demandeTransfert = new RegExp(
+      `(?<![a-z0-9])${VERBES_TRANSFERT}[\\s-]+(?:[a-z']+[\\s-]+){0,3}?(?:sur|par|via|avec|dans)\\s+(?:mon\\s+|ton\\s+|le\\s+|un\\s+)?(?:${portefeuilles})(?![a-z0-9])`,
+      'g'
+    );
+
+    return [demandeTransfert, ...SOLLICITATIONS_PAIEMENT]
+      .flatMap(regex => occurrences(regex, normalise));
+  }
+};
+
+const insultes = {
+  nom: 'insultes_fr_nouchi',
+  categorie: 'insulte',
+  analyser(texte, normalise) {
+    return occurrences(expressions([...INSULTES_FRANCAIS, ...INSULTES_NOUCHI]), normalise);
+  }
+};
+
+const liens = {
+  nom: 'liens',
+  categorie: 'lien',
+  analyser(texte, normalise) {
+    return occurrences(
+      /(?:https?:\/\/|www\.)\S+|(?<![\w@.-])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|ci|fr|io|me|ly|link|info|biz)(?:\/\S*)?(?![\w-])/g,
+      normalise
+    );
+  }
+};
+
+module.exports = {
+  normaliser,
+  ANALYSEURS_PAR_DEFAUT: [telephone, mobileMoney, insultes, liens],
+  INSULTES_FRANCAIS,
+  INSULTES_NOUCHI
+};
@@ -0,0 +1,209 @@
+// services/moderationMessagesService.js
+const { Message } = require('../models/Message');
+const Signalement = require('../models/Signalement');
+const { logger } = require('../utils/logger');
+const { normaliser, ANALYSEURS_PAR_DEFAUT } = require('./moderation/analyseursContenu');
+
+/**
+ * =========================================================
+ *  🛡️ ModerationMessagesService
+ *  Filtre automatique des messages de la messagerie :
+ *  numéros de téléphone, paiements hors plateforme, insultes, liens.
+ *
+ *  Chaque catégorie détectée déclenche une action :
+ *  - MASQUER : le passage est remplacé avant enregistrement
+ *  - AVERTIR : le message part, l'expéditeur reçoit un rappel des règles
+ *  - RETENIR : le message n'est remis qu'après validation d'un modérateur
+ *  Au-delà de SEUIL_RECIDIVE messages filtrés sur la fenêtre, un
+ *  signalement est ouvert automatiquement contre l'expéditeur.
+ * =========================================================
+ */
+
+// Du moins au plus sévère : l'action retenue est la plus sévère des catégories détectées
+const ACTIONS = ['AUCUNE', 'MASQUER', 'AVERTIR', 'RETENIR'];
+
+const STATUTS_PAR_ACTION = {
+  MASQUER: 'MASQUE',
+  AVERTIR: 'AVERTI',
+  RETENIR: 'RETENU'
+};
+
+const AVERTISSEMENTS = {
+  telephone: 'Les numéros de téléphone sont masqués : restez sur WAYZ-ECO pour échanger avec votre covoitureur.',
+  mobile_money: 'Les paiements se font uniquement dans l\'application : un paiement en direct n\'est ni protégé ni remboursable.',
+  insulte: 'Votre message a été retenu et sera vérifié par la modération avant d\'être remis.',
+  lien: 'Les liens sont masqués pour protéger les utilisateurs des arnaques.'
+};
+
+// Catégorie → type et motif du signalement automatique
+const SIGNALEMENTS = {
+  telephone: { typeSignalement: 'FRAUDE', motif: 'CONTOURNEMENT_PLATEFORME' },
+  mobile_money: { typeSignalement: 'FRAUDE', motif: 'CONTOURNEMENT_PLATEFORME' },
+  insulte: { typeSignalement: 'CONTENU', motif: 'CONTENU_OFFENSANT' },
+  lien: { typeSignalement: 'CONTENU', motif: 'SPAM' }
+};
+
+class ModerationMessagesService {
+  constructor() {
+    this.config = {
+      ACTIF: process.env.MODERATION_MESSAGES_ACTIF !== 'false',
+      SEUIL_RECIDIVE: parseInt(process.env.MODERATION_SEUIL_RECIDIVE, 10) || 3,
+      FENETRE_RECIDIVE_HEURES: parseInt(process.env.MODERATION_FENETRE_RECIDIVE_HEURES, 10) || 72,
+      ACTIONS: {
+        telephone: process.env.MODERATION_ACTION_TELEPHONE || 'MASQUER',
+        mobile_money: process.env.MODERATION_ACTION_MOBILE_MONEY || 'AVERTIR',
+        insulte: process.env.MODERATION_ACTION_INSULTE || 'RETENIR',
+        lien: process.env.MODERATION_ACTION_LIEN || 'MASQUER'
+      },
+      MASQUES: {
+        telephone: '[numéro masqué]',
+        lien: '[lien masqué]'
+      }
+    };
+
+    this.analyseurs = [...ANALYSEURS_PAR_DEFAUT];
+  }
+
+  /**
+   * Ajoute ou remplace un analyseur (même nom)
+   * @param {Object} analyseur - { nom, categorie, analyser(texte, normalise) → [{ debut, fin }] }
+   */
+  utiliserAnalyseur(analyseur) {
+    this.analyseurs = [...this.analyseurs.filter(a => a.nom !== analyseur.nom), analyseur];
+  }
+
+  /**
+   * Analyser le texte d'un message
+   * @param {string} contenu
+   * @returns {{ action: string, statut: string|null, contenu: string, detections: Array<{categorie, analyseur}>, avertissement: string|null }}
+   */
+  analyser(contenu) {
+    const resultat = { action: 'AUCUNE', statut: null, contenu, detections: [], avertissement: null };
+    if (!this.config.ACTIF || typeof contenu !== 'string' || !contenu.trim()) {
+      return resultat;
+    }
+
+    const normalise = normaliser(contenu);
+    const passages = [];
+    let categoriePrincipale = null;
+
+    for (const analyseur of this.analyseurs) {
+      let trouves;
+      try {
+        trouves = analyseur.analyser(contenu, normalise) || [];
+      } catch (error) {
+        logger.error('Analyseur de messages en échec', { analyseur: analyseur.nom, error: error.message });
+        continue;
+      }
+      if (!trouves.length) continue;
+
+      const action = this.config.ACTIONS[analyseur.categorie] || 'AVERTIR';
+      resultat.detections.push({ categorie: analyseur.categorie, analyseur: analyseur.nom });
+
+      if (ACTIONS.indexOf(action) > ACTIONS.indexOf(resultat.action)) {
+        resultat.action = action;
+        categoriePrincipale = analyseur.categorie;
+      }
+      if (action === 'MASQUER') {
+        const masque = this.config.MASQUES[analyseur.categorie] || '[masqué]';
+        passages.push(...trouves.map(passage => ({ ...passage, masque })));
+      }
+    }
+
+    if (!resultat.detections.length) {
+      return resultat;
+    }
+
+    resultat.statut = STATUTS_PAR_ACTION[resultat.action];
+    resultat.contenu = this._masquer(contenu, passages);
+    resultat.avertissement = AVERTISSEMENTS[categoriePrincipale] || null;
+    return resultat;
+  }
+
+  /**
+   * Compter les messages filtrés récents de l'expéditeur et ouvrir (ou compléter)
+   * un signalement automatique au-delà du seuil de récidive
+   * @param {Object} message - Message enregistré avec son bilan de modération
+   * @returns {Promise<{ recidive: boolean, signalement: Object|null }>}
+   */
+  async enregistrerInfraction(message, { maintenant = new Date() } = {}) {
+    const depuis = new Date(maintenant.getTime() - this.config.FENETRE_RECIDIVE_HEURES * 60 * 60 * 1000);
+    const infractions = await Message.countDocuments({
+      expediteurId: message.expediteurId,
+      'moderation.statut': { $in: Object.values(STATUTS_PAR_ACTION) },
+      dateEnvoi: { $gte: depuis }
+    });
+
+    if (infractions < this.config.SEUIL_RECIDIVE) {
+      return { recidive: false, signalement: null };
+    }
+
+    // Un seul signalement automatique ouvert par expéditeur : les suivants s'y ajoutent
+    const ouvert = await Signalement.findOneAndUpdate(
+      {
+        signaleId: message.expediteurId,
+        origine: 'FILTRE_AUTOMATIQUE',
+        statutTraitement: { $in: ['EN_ATTENTE', 'EN_COURS'] }
+      },
+      { $inc: { nombreSignalementsSimilaires: 1 }, $set: { messageId: message._id } },
+      { new: true }
+    );
+    if (ouvert) {
+      return { recidive: true, signalement: ouvert };
+    }
+
+    const categories = [...new Set(message.moderation.detections.map(d => d.categorie))];
+    const categorie = categories.find(c => c === 'insulte') || categories[0];
+    const signalement = await Signalement.create({
+      origine: 'FILTRE_AUTOMATIQUE',
+      signaleId: message.expediteurId,
+      messageId: message._id,
+      ...(SIGNALEMENTS[categorie] || { typeSignalement: 'CONTENU', motif: 'CONTENU_INAPPROPRIE' }),
+      description: `Signalement automatique : ${infractions} messages filtrés en ${this.config.FENETRE_RECIDIVE_HEURES}h (${categories.join(', ')})`,
+      nombreSignalementsSimilaires: infractions
+    });
+
+    logger.warn('Signalement automatique ouvert pour récidive dans la messagerie', {
+      signaleId: message.expediteurId.toString(),
+      infractions,
+      categories
+    });
+
+    return { recidive: true, signalement };
+  }
+
+  // ===============================
+  // MÉTHODES PRIVÉES
+  // ===============================
+
+  /**
+   * Remplacer les passages détectés (les chevauchements sont fusionnés)
+   * @private
+   */
+  _masquer(contenu, passages) {
+    if (!passages.length) {
+      return contenu;
+    }
+
+    const tries = [...passages].sort((a, b) => a.debut - b.debut);
+    const fusionnes = [];
+    for (const passage of tries) {
+      const precedent = fusionnes[fusionnes.length - 1];
+      if (precedent && passage.debut < precedent.fin) {
+        precedent.fin = Math.max(precedent.fin, passage.fin);
+      } else {
+        fusionnes.push({ ...passage });
+      }
+    }
+
+    let resultat = '';
+    let position = 0;
+    for (const passage of fusionnes) {
+      resultat += contenu.slice(position, passage.debut) + passage.masque;
+      position = passage.fin;
+    }
+    return resultat + contenu.slice(position);
+  }
+}
+
+module.exports = new ModerationMessagesService();
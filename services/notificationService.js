@@ -1,6 +1,17 @@
 // services/notificationService.js
 const nodemailer = require('nodemailer');
 const mongoose = require('mongoose');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const modelesNotificationService = require('./modelesNotificationService');
+
+// Catégorie de préférences de la notification, selon le type envoyé
+const CANAUX = {
+  MESSAGE: 'messages',
+  RESERVATION: 'reservations',
+  TRAJET: 'trajets',
+  EMERGENCY: 'emergency',
+  PAYMENT: 'paiements'
+};
 
 /**
  * Service pour gérer les notifications (email, push, etc.)
@@ -148,13 +159,15 @@ class NotificationService {
 
   /**
    * Envoie une notification à un utilisateur par les canaux disponibles
+   * (in-app, push puis WhatsApp / SMS via l'orchestrateur, et email)
    * @param {string} userId - ID de l'utilisateur
    * @param {string} title - Titre de la notification
    * @param {string} body - Corps de la notification
    * @param {Object} data - Données supplémentaires
+   * @param {Object} [options] - { categorie, priorite } transmis à l'orchestrateur
    * @returns {Promise} - Résultat de l'envoi
    */
-  async sendNotification(userId, title, body, data = {}) {
+  async sendNotification(userId, title, body, data = {}, options = {}) {
     try {
       const Utilisateur = mongoose.model('Utilisateur');
       const user = await Utilisateur.findById(userId).select('email preferenceNotifications');
@@ -164,12 +177,33 @@ class NotificationService {
       }
       
       const results = {
-        email: null,
-        push: null
+        livraison: null,
+        email: null
       };
+
+      // In-app et canaux mobiles : préférences, heures silencieuses et repli gérés par l'orchestrateur
+      try {
+        const { livraison, doublon } = await livraisonNotificationsService.envoyer(userId, {
+          evenement: data.type || 'general',
+          titre: title,
+          message: body,
+          donnees: data,
+          categorie: options.categorie || CANAUX[data.type] || 'general',
+          priorite: options.priorite || (data.priority === 'high' ? 'URGENTE' : 'NORMALE')
+        });
+        results.livraison = {
+          success: livraison.statut !== 'IGNOREE',
+          statut: livraison.statut,
+          notificationId: livraison.notificationId || null,
+          doublon
+        };
+      } catch (livraisonError) {
+        console.error('Erreur de livraison de la notification:', livraisonError);
+        results.livraison = { success: false, error: livraisonError.message };
+      }
       
-      // Vérifier les préférences de notification de l'utilisateur
-      const preferences = user.preferenceNotifications || { email: true, push: true };
+      // Vérifier les préférences email de l'utilisateur
+      const preferences = user.preferenceNotifications || { email: true };
       
       // Envoyer par email si l'utilisateur a activé les notifications par email
       if (preferences.email && user.email) {
@@ -185,23 +219,8 @@ class NotificationService {
         }
       }
       
-      // Envoyer par notification push si l'utilisateur a activé les notifications push
-      if (preferences.push) {
-        try {
-          results.push = await this.sendPushNotification(
-            userId,
-            title,
-            body,
-            data
-          );
-        } catch (pushError) {
-          console.error('Erreur d\'envoi de notification push:', pushError);
-          results.push = { success: false, error: pushError.message };
-        }
-      }
-      
       return {
-        success: results.email?.success || results.push?.success,
+        success: results.livraison.success || results.email?.success,
         results
       };
     } catch (error) {
@@ -227,7 +246,7 @@ class NotificationService {
     return this.sendNotification(userId, title, body, {
       type: 'MESSAGE',
       ...data
-    });
+    }, { categorie: 'messages' });
   }
 
   /**
@@ -242,7 +261,7 @@ class NotificationService {
     return this.sendNotification(userId, title, body, {
       type: 'RESERVATION',
       ...data
-    });
+    }, { categorie: 'reservations' });
   }
 
   /**
@@ -257,7 +276,7 @@ class NotificationService {
     return this.sendNotification(userId, title, body, {
       type: 'TRAJET',
       ...data
-    });
+    }, { categorie: 'trajets' });
   }
 
   /**
@@ -273,7 +292,7 @@ class NotificationService {
       type: 'EMERGENCY',
       priority: 'high',
       ...data
-    });
+    }, { categorie: 'emergency', priorite: 'URGENTE' });
   }
 
   /**
@@ -288,40 +307,43 @@ class NotificationService {
     return this.sendNotification(userId, title, body, {
       type: 'PAYMENT',
       ...data
-    });
+    }, { categorie: 'paiements' });
   }
   /**
  * Notifier confirmation de réservation au passager
  * @param {Object} passager - Document Utilisateur populé
  * @param {Object} data - Données de la réservation
- * @param {Model} Utilisateur - Modèle Mongoose
  */
-async notifierReservationConfirmee(passager, data, Utilisateur) {
+async notifierReservationConfirmee(passager, data) {
   try {
-    const firebaseService = require('./firebaseService');
-
-    // 1. Notification push FCM
-    await firebaseService.notifyReservationConfirmed(
-      passager._id,
-      {
+    // 1. In-app, push puis repli WhatsApp / SMS
+    await livraisonNotificationsService.envoyer(passager._id, {
+      modele: 'RESERVATION_CONFIRMEE',
+      variables: { destination: data.destination },
+      donnees: {
+        type: 'RESERVATION_CONFIRMED',
         reservationId: data.reservationId,
         trajetId: data.trajetId,
         destination: data.destination,
         depart: data.depart,
         dateDepart: String(data.dateDepart || ''),
         heureDepart: String(data.heureDepart || ''),
-        montant: String(data.montant || '')
+        montant: String(data.montant || ''),
+        screen: 'ReservationDetails'
       },
-      Utilisateur
-    );
+      categorie: 'reservations',
+      priorite: 'HAUTE'
+    });
 
     // 2. Email si disponible
     if (passager.email && this.emailTransporter) {
-      await this.sendEmail(
-        passager.email,
-        '✅ Votre réservation est confirmée',
-        `Bonjour ${passager.prenom},\n\nVotre trajet vers ${data.destination} a été confirmé.\n\nBonne route !`
+      const email = await modelesNotificationService.rendrePour(
+        passager,
+        'RESERVATION_CONFIRMEE',
+        { prenom: passager.prenom, destination: data.destination },
+        { canal: 'email' }
       );
+      await this.sendEmail(passager.email, email.titre, email.corps);
     }
 
   } catch (error) {
@@ -333,37 +355,115 @@ async notifierReservationConfirmee(passager, data, Utilisateur) {
  * Notifier refus de réservation au passager
  * @param {Object} passager - Document Utilisateur populé
  * @param {Object} data - Données de la réservation
- * @param {Model} Utilisateur - Modèle Mongoose
  */
-async notifierReservationRefusee(passager, data, Utilisateur) {
+async notifierReservationRefusee(passager, data) {
   try {
-    const firebaseService = require('./firebaseService');
-
-    // 1. Notification push FCM
-    await firebaseService.notifyReservationRefusee(
-      passager._id,
-      {
+    // 1. In-app, push puis repli WhatsApp / SMS
+    await livraisonNotificationsService.envoyer(passager._id, {
+      modele: 'RESERVATION_REFUSEE',
+      variables: { destination: data.destination, raison: data.raison },
+      donnees: {
+        type: 'RESERVATION_REFUSEE',
         reservationId: data.reservationId,
         trajetId: data.trajetId,
         destination: data.destination,
-        raison: data.raison || 'Aucun motif spécifié'
+        raison: data.raison || 'Aucun motif spécifié',
+        screen: 'ReservationDetails'
       },
-      Utilisateur
-    );
+      categorie: 'reservations',
+      priorite: 'HAUTE'
+    });
 
     // 2. Email si disponible
     if (passager.email && this.emailTransporter) {
-      await this.sendEmail(
-        passager.email,
-        '❌ Votre réservation a été refusée',
-        `Bonjour ${passager.prenom},\n\nVotre demande de réservation vers ${data.destination} a été refusée.\n\nMotif : ${data.raison || 'Aucun motif spécifié'}`
+      const email = await modelesNotificationService.rendrePour(
+        passager,
+        'RESERVATION_REFUSEE',
+        { prenom: passager.prenom, destination: data.destination, raison: data.raison || 'Aucun motif spécifié' },
+        { canal: 'email' }
       );
+      await this.sendEmail(passager.email, email.titre, email.corps);
     }
 
   } catch (error) {
     console.error('⚠️ Erreur notifierReservationRefusee:', error.message);
   }
 }
+
+/**
+ * Notifier une nouvelle demande de réservation au conducteur
+ * @param {string} conducteurId - ID du conducteur
+ * @param {Object} data - Données de la réservation et du passager
+ */
+async notifierNouvelleReservation(conducteurId, data) {
+  return livraisonNotificationsService.envoyer(conducteurId, {
+    modele: 'NOUVELLE_RESERVATION',
+    variables: {
+      passager: `${data.passagerNom} ${data.passagerPrenom}`,
+      nombrePlaces: data.nombrePlaces,
+      destination: data.destination
+    },
+    donnees: {
+      type: 'NEW_RESERVATION',
+      reservationId: data.reservationId,
+      trajetId: data.trajetId,
+      passagerNom: data.passagerNom,
+      passagerPrenom: data.passagerPrenom,
+      nombrePlaces: String(data.nombrePlaces),
+      montant: String(data.montant),
+      supplementDetourSuggere: String(data.supplementDetourSuggere || 0),
+      depart: data.depart,
+      destination: data.destination,
+      screen: 'ReservationManagement'
+    },
+    categorie: 'reservations',
+    priorite: 'HAUTE'
+  });
+}
+
+/**
+ * Notifier un paiement réussi
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} data - { montant, transactionId, methode }
+ */
+async notifierPaiementReussi(userId, data) {
+  return livraisonNotificationsService.envoyer(userId, {
+    evenement: 'PAYMENT_SUCCESS',
+    titre: '💳 Paiement réussi',
+    message: `Votre paiement de ${data.montant} FCFA a été effectué`,
+    donnees: {
+      type: 'PAYMENT_SUCCESS',
+      transactionId: data.transactionId,
+      montant: String(data.montant),
+      methode: data.methode,
+      screen: 'PaymentHistory'
+    },
+    categorie: 'paiements',
+    priorite: 'HAUTE'
+  });
+}
+
+/**
+ * Notifier un paiement échoué
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} data - { montant, transactionId, reason }
+ */
+async notifierPaiementEchoue(userId, data) {
+  return livraisonNotificationsService.envoyer(userId, {
+    evenement: 'PAYMENT_FAILED',
+    titre: '❌ Paiement échoué',
+    message: `Le paiement de ${data.montant} FCFA a échoué`,
+    donnees: {
+      type: 'PAYMENT_FAILED',
+      transactionId: data.transactionId,
+      montant: String(data.montant),
+      reason: data.reason || 'Erreur de traitement',
+      screen: 'Recharge'
+    },
+    categorie: 'paiements',
+    priorite: 'HAUTE'
+  });
+}
 }
 
 module.exports = new NotificationService();
\ No newline at end of file
@@ -0,0 +1,677 @@
+// services/paiementMobileService.js
+const Paiement = require('../models/Paiement');
+const WebhookTraite = require('../models/WebhookTraite');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const promotionService = require('./promotionService');
+const CinetPayService = require('./cinetPayService');
+const WavePaiementConnector = require('./connectors/wavePaiementConnector');
+const OrangeMoneyPaiementConnector = require('./connectors/orangeMoneyPaiementConnector');
+const SandboxPaiementConnector = require('./connectors/sandboxPaiementConnector');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+// Statuts de paiement après lesquels une notification n'a plus d'effet
+const STATUTS_FINAUX = ['COMPLETE', 'ECHEC', 'REMBOURSE'];
+
+// Routage par défaut : API directe de l'opérateur, CinetPay en secours
+const ROUTAGE_DEFAUT = {
+  WAVE: ['wave', 'cinetpay'],
+  ORANGE: ['orange', 'cinetpay'],
+  '*': ['cinetpay']
+};
+
+const OPERATEURS = {
+  WAVE: 'WAVE', WAVE_CI: 'WAVE',
+  ORANGE: 'ORANGE', ORANGE_MONEY: 'ORANGE', OM: 'ORANGE', OM_CI: 'ORANGE',
+  MTN: 'MTN', MTN_MONEY: 'MTN', MTN_CI: 'MTN',
+  MOOV: 'MOOV', MOOV_MONEY: 'MOOV', MOOV_CI: 'MOOV'
+};
+
+/**
+ * 💳 Passerelle de paiement Mobile Money
+ *
+ * Point d'entrée unique des paiements par opérateur : crée le paiement
+ * (commission, règles, réductions), choisit le fournisseur selon les règles
+ * de routage par opérateur et bascule sur le suivant quand l'un est en panne.
+ * Les statuts renvoyés par les fournisseurs (vérification, notification)
+ * sont appliqués ici, quel que soit le fournisseur.
+ *
+ * Routage (PAIEMENT_ROUTAGE) : "WAVE=wave,cinetpay;ORANGE=orange,cinetpay;*=cinetpay".
+ * Un fournisseur en erreur passe en fin de chaîne pendant
+ * PAIEMENT_PAUSE_APRES_ERREUR_SECONDES. PAIEMENT_FOURNISSEUR force un
+ * fournisseur unique, à condition qu'il soit activé (bac à sable compris).
+ */
+class PaiementMobileService {
+
+  constructor() {
+    this.nom = 'passerelle';
+    this.config = {
+      FOURNISSEUR_FORCE: process.env.PAIEMENT_FOURNISSEUR || null,
+      ROUTAGE: this._lireRoutage(process.env.PAIEMENT_ROUTAGE),
+      PAUSE_APRES_ERREUR_SECONDES: parseInt(process.env.PAIEMENT_PAUSE_APRES_ERREUR_SECONDES) || 120,
+      REMBOURSEMENT_FOURNISSEUR: process.env.PAIEMENT_REMBOURSEMENT_FOURNISSEUR === 'true'
+    };
+
+    this.fournisseurs = {
+      cinetpay: new CinetPayService(),
+      wave: new WavePaiementConnector(),
+      orange: new OrangeMoneyPaiementConnector(),
+      sandbox: new SandboxPaiementConnector()
+    };
+
+    // nom du fournisseur → fin de la mise en retrait (timestamp)
+    this.pauses = new Map();
+  }
+
+  /**
+   * Remplace un fournisseur (tests)
+   * @param {Object} fournisseur - instance respectant le contrat FournisseurPaiement
+   */
+  utiliserFournisseur(fournisseur) {
+    this.fournisseurs[fournisseur.nom] = fournisseur;
+  }
+
+  // ============================================================
+  // ROUTAGE
+  // ============================================================
+
+  /**
+   * @param {string} [methodePaiement] - WAVE, ORANGE_MONEY, MOBILE_MONEY...
+   * @param {string} [operateur] - prioritaire sur la méthode
+   * @returns {string|null} WAVE | ORANGE | MTN | MOOV, null si non précisé
+   */
+  normaliserOperateur(methodePaiement, operateur = null) {
+    return OPERATEURS[String(operateur || '').toUpperCase()]
+      || OPERATEURS[String(methodePaiement || '').toUpperCase()]
+      || null;
+  }
+
+  /**
+   * Fournisseurs à essayer, dans l'ordre, pour un opérateur
+   * @param {string|null} operateur
+   * @param {number} [maintenant]
+   * @returns {Object[]}
+   */
+  fournisseursPour(operateur, maintenant = Date.now()) {
+    if (this.config.FOURNISSEUR_FORCE) {
+      const force = this.fournisseurs[this.config.FOURNISSEUR_FORCE];
+      return force?.enabled ? [force] : [];
+    }
+
+    const noms = this.config.ROUTAGE[operateur] || this.config.ROUTAGE['*'] || [];
+    const candidats = [...new Set(noms)]
+      .map(nom => this.fournisseurs[nom])
+      .filter(fournisseur => fournisseur?.enabled && fournisseur.accepte(operateur));
+
+    const enPause = (fournisseur) => (this.pauses.get(fournisseur.nom) || 0) > maintenant;
+    return [
+      ...candidats.filter(fournisseur => !enPause(fournisseur)),
+      ...candidats.filter(enPause)
+    ];
+  }
+
+  /**
+   * Fournisseur ayant pris en charge un paiement (CinetPay pour les anciens)
+   * @param {Object} paiement
+   * @returns {Object}
+   */
+  fournisseurDuPaiement(paiement) {
+    const nom = paiement.fournisseurPaiement?.nom || 'cinetpay';
+    const fournisseur = this.fournisseurs[nom];
+    if (!fournisseur) {
+      throw new AppError(`Fournisseur de paiement inconnu : ${nom}`, {
+        code: 'PAYMENT_PROVIDER_UNAVAILABLE',
+        status: 503
+      });
+    }
+    return fournisseur;
+  }
+
+  // ============================================================
+  // INITIATION
+  // ============================================================
+
+  /**
+   * Initier un paiement mobile (course ou recharge)
+   * @param {string|null} reservationId - null pour une recharge
+   * @param {number} montantTotal
+   * @param {Object} options - { methodePaiement, operateur, numeroTelephone,
+   *   referenceInterne, isRecharge, userId, ipAddress, userAgent, deviceId }
+   */
+  async initierPaiement(reservationId, montantTotal, options = {}) {
+    logger.info('🚀 Initiation paiement mobile', {
+      reservationId,
+      montantTotal,
+      methodePaiement: options.methodePaiement,
+      isRecharge: options.isRecharge
+    });
+
+    const { paiement, passager, designation } = await this._preparerPaiement(reservationId, montantTotal, options);
+
+    const reference = paiement.referenceTransaction;
+    const numeroTelephone = options.numeroTelephone || passager.telephone;
+    if (!numeroTelephone) throw AppError.badRequest('Numero de telephone requis pour le paiement');
+
+    const transaction = {
+      reference,
+      montant: Math.round(montantTotal),
+      devise: 'XOF',
+      methodePaiement: options.methodePaiement || 'MOBILE_MONEY',
+      operateur: this.normaliserOperateur(options.methodePaiement, options.operateur),
+      numeroTelephone,
+      designation,
+      client: {
+        prenom: passager.prenom || 'Client',
+        nom: passager.nom || 'Utilisateur',
+        email: passager.email || `user${passager._id}@wayz-eco.local`
+      }
+    };
+
+    const choix = await this._initierAvecBascule(paiement, transaction);
+    if (!choix) {
+      paiement.changerStatut('ECHEC', { raison: 'FOURNISSEURS_INDISPONIBLES' }, 'MOBILE_MONEY');
+      paiement.ajouterErreur('FOURNISSEURS_INDISPONIBLES', 'Aucun fournisseur de paiement disponible');
+      await paiement.save();
+      throw new AppError('Paiement mobile momentanément indisponible, réessayez dans quelques minutes', {
+        code: 'PAYMENT_PROVIDER_UNAVAILABLE',
+        status: 503
+      });
+    }
+
+    const { fournisseur, resultat } = choix;
+    paiement.set('fournisseurPaiement.nom', fournisseur.nom);
+    paiement.set('fournisseurPaiement.transactionId', resultat.transactionId);
+    paiement.set('fournisseurPaiement.jeton', resultat.jeton);
+    paiement.set('fournisseurPaiement.jetonNotification', resultat.jetonNotification);
+
+    if (resultat.statut === 'ECHEC') {
+      // Refus du fournisseur (paramètres, solde, compte) : pas de bascule
+      paiement.changerStatut('ECHEC', { fournisseur: fournisseur.nom, code: resultat.code }, 'MOBILE_MONEY');
+      paiement.ajouterErreur('FOURNISSEUR_INIT_ECHEC', resultat.message || 'Paiement refusé par le fournisseur');
+      await paiement.save();
+      throw new AppError(resultat.message || 'Paiement refusé par le fournisseur', {
+        code: 'PAYMENT_REFUSED',
+        status: 402,
+        context: { fournisseur: fournisseur.nom }
+      });
+    }
+
+    paiement.referencePaiementMobile = resultat.transactionId || reference;
+    paiement.ajouterLog('FOURNISSEUR_INITIE', {
+      fournisseur: fournisseur.nom,
+      transactionId: resultat.transactionId,
+      code: resultat.code,
+      status: resultat.status
+    });
+
+    // Paiement confirmé dès l'initiation (rare) : appliqué comme une notification
+    const statutModifie = resultat.statut === 'COMPLETE'
+      ? await this._appliquerStatut(paiement, resultat, fournisseur.nom)
+      : false;
+    await paiement.save();
+    if (statutModifie) await this._apresConfirmation(paiement);
+
+    logger.info('✅ Paiement mobile initié', {
+      paiementId: paiement._id,
+      referenceTransaction: reference,
+      fournisseur: fournisseur.nom,
+      statut: resultat.statut
+    });
+
+    return {
+      success: true,
+      paiementId: paiement._id,
+      referenceTransaction: reference,
+      fournisseur: fournisseur.nom,
+      transactionFournisseurId: resultat.transactionId,
+      // Compatibilité des clients mobiles existants
+      cinetpayTransactionId: fournisseur.nom === 'cinetpay' ? resultat.transactionId : undefined,
+      urlPaiement: resultat.urlPaiement,
+      token: resultat.jeton,
+      statut: resultat.status || resultat.statut,
+      message: 'Paiement initie — confirmez sur votre telephone mobile'
+    };
+  }
+
+  /**
+   * Essaie les fournisseurs de la chaîne jusqu'au premier qui répond.
+   * Seule une panne (exception) fait basculer : un refus est une réponse.
+   * @returns {Promise<{ fournisseur, resultat }|null>}
+   * @private
+   */
+  async _initierAvecBascule(paiement, transaction) {
+    const chaine = this.fournisseursPour(transaction.operateur);
+
+    for (const fournisseur of chaine) {
+      try {
+        const resultat = await fournisseur.initier(transaction);
+        this.pauses.delete(fournisseur.nom);
+        return { fournisseur, resultat };
+      } catch (error) {
+        this.pauses.set(fournisseur.nom, Date.now() + this.config.PAUSE_APRES_ERREUR_SECONDES * 1000);
+        paiement.fournisseurPaiement.tentatives.push({ nom: fournisseur.nom, erreur: error.message });
+        paiement.ajouterLog('FOURNISSEUR_INDISPONIBLE', {
+          fournisseur: fournisseur.nom,
+          message: error.message
+        }, 'MOBILE_MONEY', 'WARNING');
+        logger.warn('⚠️ Fournisseur de paiement indisponible, bascule', {
+          fournisseur: fournisseur.nom,
+          operateur: transaction.operateur,
+          reference: transaction.reference,
+          erreur: error.message
+        });
+      }
+    }
+
+    return null;
+  }
+
+  // Charge la réservation (ou le conducteur qui recharge) et crée le paiement
+  async _preparerPaiement(reservationId, montantTotal, options) {
+    let passager, conducteur, trajet, designation, reservation;
+
+    if (options.isRecharge) {
+      const user = await Utilisateur.findById(options.userId)
+        .select('nom prenom email telephone compteCovoiturage');
+      if (!user) throw AppError.notFound('Utilisateur introuvable');
+
+      passager    = user;
+      conducteur  = null;
+      trajet      = null;
+      designation = `Recharge compte conducteur - ${montantTotal} FCFA`;
+
+    } else {
+      reservation = await Reservation.findById(reservationId)
+        .populate('passagerId')
+        .populate({
+          path: 'trajetId',
+          populate: { path: 'conducteurId', select: 'nom prenom compteCovoiturage noteMoyenne statistiques' }
+        });
+      if (!reservation) throw AppError.notFound('Reservation introuvable');
+
+      passager   = reservation.passagerId;
+      conducteur = reservation.trajetId.conducteurId;
+      trajet     = reservation.trajetId;
+
+      const nomDepart  = trajet.pointDepart?.nom  || trajet.pointDepart?.adresse  || 'Depart';
+      const nomArrivee = trajet.pointArrivee?.nom || trajet.pointArrivee?.adresse || 'Arrivee';
+      designation = `Paiement trajet ${nomDepart} - ${nomArrivee}`.substring(0, 100);
+    }
+
+    let paiement = null;
+    if (options.referenceInterne) {
+      paiement = await Paiement.findOne({ referenceTransaction: options.referenceInterne });
+    }
+
+    if (!paiement) {
+      const paiementData = {
+        payeurId:        passager._id,
+        montantTotal,
+        methodePaiement: options.methodePaiement || 'MOBILE_MONEY',
+        statutPaiement:  'EN_ATTENTE',
+        securite: {
+          ipAddress: options.ipAddress,
+          userAgent: options.userAgent,
+          deviceId:  options.deviceId
+        }
+      };
+
+      if (options.isRecharge) {
+        paiementData.beneficiaireId = passager._id;
+        paiementData.commission = {
+          taux: 0, tauxOriginal: 0, montant: 0,
+          modePrelevement:   'paiement_mobile',
+          statutPrelevement: 'preleve'
+        };
+        paiementData.reglesPaiement = {
+          conducteurCompteRecharge: passager.compteCovoiturage?.estRecharge || false,
+          modesAutorises:           ['MOBILE_MONEY'],
+          raisonValidation:         'Recharge de compte conducteur',
+          verificationsPassees:     true,
+          soldeSuffisant:           true
+        };
+      } else {
+        paiementData.reservationId  = reservationId;
+        paiementData.beneficiaireId = conducteur._id;
+        paiementData.repartitionFrais = promotionService.repartitionFrais(reservation);
+        paiementData.commission = {
+          taux: 0.10, tauxOriginal: 0.10, montant: 0,
+          modePrelevement:   'paiement_mobile',
+          statutPrelevement: 'en_attente'
+        };
+        paiementData.reglesPaiement = {
+          conducteurCompteRecharge: conducteur.compteCovoiturage?.estRecharge || false,
+          soldeConducteurAvant:     conducteur.compteCovoiturage?.solde || 0,
+          soldeMinimumRequis:       1000,
+          verificationsPassees:     false
+        };
+      }
+
+      paiement = new Paiement(paiementData);
+
+      if (!options.isRecharge && trajet && conducteur) {
+        const distanceKm     = trajet.distanceKm || 0;
+        const noteConducteur = conducteur.noteMoyenne || 0;
+        await paiement.calculerCommissionDynamique(distanceKm, noteConducteur);
+
+        const nombreTrajetsMois = conducteur.statistiques?.trajetsEffectuesMois || 0;
+        paiement.appliquerPrimePerformance(noteConducteur, nombreTrajetsMois);
+
+        const reglesValides = await paiement.validerReglesPaiement();
+        if (!reglesValides) throw AppError.badRequest('Regles de paiement non respectees');
+      }
+
+      if (options.numeroTelephone && options.operateur) {
+        paiement.initierPaiementMobile(options.numeroTelephone, options.operateur);
+      }
+
+      await paiement.save();
+    }
+
+    return { paiement, passager, designation };
+  }
+
+  // ============================================================
+  // VÉRIFICATION
+  // ============================================================
+
+  /**
+   * Relit le statut d'une transaction chez son fournisseur et l'applique
+   * au paiement. `transactionFournisseur` expose la réponse normalisée utile
+   * au rapprochement (statut, code, montant connus du fournisseur).
+   * @param {string} referenceTransaction
+   * @param {Object} [options] - { fournisseur } force l'instance interrogée
+   */
+  async verifierStatutTransaction(referenceTransaction, { fournisseur = null } = {}) {
+    const paiement = await Paiement.findOne({ referenceTransaction })
+      .select('+fournisseurPaiement.jeton')
+      .populate('payeurId', 'nom prenom email')
+      .populate('beneficiaireId', 'nom prenom email compteCovoiturage');
+
+    if (!paiement) throw AppError.notFound('Transaction introuvable');
+
+    const source = fournisseur || this.fournisseurDuPaiement(paiement);
+    const transaction = await source.verifier(referenceTransaction, this._contexte(paiement));
+
+    logger.info('🔍 Statut fournisseur relu', {
+      referenceTransaction,
+      fournisseur: source.nom,
+      statut: transaction.statut,
+      code: transaction.code
+    });
+
+    const statutModifie = await this._appliquerStatut(paiement, transaction, source.nom);
+    await paiement.save();
+    if (statutModifie) await this._apresConfirmation(paiement);
+
+    return {
+      success:        true,
+      statutPaiement: paiement.statutPaiement,
+      statutModifie,
+      paiement:       paiement.obtenirResume ? paiement.obtenirResume() : { _id: paiement._id, statut: paiement.statutPaiement },
+      transactionFournisseur: {
+        fournisseur:   source.nom,
+        statut:        transaction.statut,
+        code:          transaction.code,
+        status:        transaction.status,
+        montant:       transaction.montant ?? null,
+        transactionId: transaction.transactionId || null
+      }
+    };
+  }
+
+  // ============================================================
+  // NOTIFICATIONS
+  // ============================================================
+
+  /**
+   * Traiter la notification d'un fournisseur.
+   * Le statut est toujours relu chez le fournisseur : la notification ne
+   * sert que de déclencheur (et de repli si la relecture échoue).
+   * @param {string} nomFournisseur
+   * @param {Object} notification - { corps, corpsBrut, entetes, query }
+   */
+  async traiterWebhook(nomFournisseur, notification) {
+    const fournisseur = this.fournisseurs[nomFournisseur];
+    if (!fournisseur) {
+      throw AppError.notFound(`Fournisseur de paiement inconnu : ${nomFournisseur}`);
+    }
+
+    const { reference, transactionId, resultatProbable } = fournisseur.interpreterNotification(notification);
+    logger.info('📨 Notification de paiement reçue', { fournisseur: fournisseur.nom, reference, transactionId });
+
+    if (!reference) {
+      throw AppError.badRequest('Référence de transaction manquante');
+    }
+
+    const paiement = await Paiement.findOne({ referenceTransaction: reference })
+      .select('+fournisseurPaiement.jeton +fournisseurPaiement.jetonNotification')
+      .populate('beneficiaireId', 'compteCovoiturage nom prenom email');
+
+    if (!paiement) {
+      throw AppError.notFound('Paiement introuvable');
+    }
+
+    if (!fournisseur.verifierSignature(notification, paiement)) {
+      logger.warn('🚫 Notification de paiement non authentifiée', { fournisseur: fournisseur.nom, reference });
+      throw new AppError('Signature de notification invalide', { code: 'WEBHOOK_SIGNATURE_INVALID', status: 401 });
+    }
+
+    // Une notification par transaction fournisseur : les renvois sont des doublons
+    const { reserve, entree } = await WebhookTraite.reserver(
+      fournisseur.nom,
+      transactionId || reference,
+      { referenceTransaction: reference }
+    );
+
+    if (!reserve) {
+      paiement.ajouterLog('WEBHOOK_DOUBLON', {
+        fournisseur: fournisseur.nom,
+        transactionId,
+        statutRegistre:   entree?.statut,
+        nombreReceptions: entree?.nombreReceptions
+      }, 'MOBILE_MONEY', 'WARNING');
+      await paiement.save();
+
+      return {
+        success:        true,
+        dejaTraite:     true,
+        message:        'Webhook deja traite',
+        paiementId:     paiement._id,
+        statutPaiement: paiement.statutPaiement
+      };
+    }
+
+    let statutModifie = false;
+    try {
+      paiement.ajouterLog('WEBHOOK_RECU', { fournisseur: fournisseur.nom, transactionId, dateReception: new Date() });
+
+      let transaction;
+      try {
+        transaction = await fournisseur.verifier(reference, this._contexte(paiement));
+      } catch (verifyError) {
+        if (!resultatProbable) throw verifyError;
+        logger.warn('⚠️ Vérification statut impossible après notification — repli', {
+          fournisseur: fournisseur.nom,
+          message: verifyError.message
+        });
+        transaction = { ...resultatProbable, transactionId: resultatProbable.transactionId || transactionId };
+        paiement.ajouterLog('WEBHOOK_STATUT_REPLI', { fournisseur: fournisseur.nom, statut: transaction.statut });
+      }
+
+      statutModifie = await this._appliquerStatut(paiement, transaction, fournisseur.nom);
+      await paiement.save();
+      if (statutModifie) await this._apresConfirmation(paiement);
+    } catch (traitementError) {
+      // Réservation libérée : le renvoi du fournisseur pourra être traité
+      await WebhookTraite.liberer(entree._id);
+      throw traitementError;
+    }
+
+    // Statut non final (en attente) : une notification ultérieure reste attendue
+    if (STATUTS_FINAUX.includes(paiement.statutPaiement)) {
+      await WebhookTraite.marquerTraite(entree._id, paiement.statutPaiement);
+    } else {
+      await WebhookTraite.liberer(entree._id);
+    }
+
+    logger.info('✅ Notification de paiement traitée', {
+      fournisseur: fournisseur.nom,
+      reference,
+      statutFinal: paiement.statutPaiement,
+      statutModifie
+    });
+
+    return {
+      success:        true,
+      message:        'Webhook traite avec succes',
+      paiementId:     paiement._id,
+      statutPaiement: paiement.statutPaiement,
+      statutModifie
+    };
+  }
+
+  // ============================================================
+  // REMBOURSEMENT
+  // ============================================================
+
+  /**
+   * Renvoie l'argent au passager via le fournisseur qui a encaissé.
+   * Désactivé par défaut (PAIEMENT_REMBOURSEMENT_FOURNISSEUR) : les
+   * remboursements restent alors versés hors plateforme.
+   * @param {Object} paiement
+   * @param {number} montant
+   * @param {string} motif
+   * @returns {Promise<Object|null>} résultat normalisé, null si désactivé
+   */
+  async rembourserAupresFournisseur(paiement, montant, motif) {
+    if (!this.config.REMBOURSEMENT_FOURNISSEUR || paiement.methodePaiement === 'ESPECES') return null;
+
+    const document = await Paiement.findById(paiement._id)
+      .select('+fournisseurPaiement.jeton')
+      .lean();
+    const source = this.fournisseurDuPaiement(document || paiement);
+
+    let resultat;
+    try {
+      resultat = await source.rembourser({
+        reference: paiement.referenceTransaction,
+        ...this._contexte(document || paiement),
+        montant,
+        montantPaye: paiement.montantTotal,
+        numeroTelephone: document?.mobileMoney?.numeroTelephone,
+        operateur: document?.mobileMoney?.operateur,
+        motif
+      });
+    } catch (error) {
+      resultat = { statut: 'ECHOUE', message: error.message };
+    }
+
+    logger[resultat.statut === 'ECHOUE' ? 'warn' : 'info']('↩️ Remboursement fournisseur', {
+      referenceTransaction: paiement.referenceTransaction,
+      fournisseur: source.nom,
+      montant,
+      statut: resultat.statut,
+      message: resultat.message
+    });
+
+    return { fournisseur: source.nom, ...resultat };
+  }
+
+  // ============================================================
+  // MÉTHODES PRIVÉES
+  // ============================================================
+
+  _contexte(paiement) {
+    const fournisseurPaiement = paiement.fournisseurPaiement || {};
+    return {
+      transactionId: fournisseurPaiement.transactionId || paiement.referencePaiementMobile || null,
+      jeton: fournisseurPaiement.jeton || null,
+      montant: paiement.montantTotal
+    };
+  }
+
+  /**
+   * Applique un statut normalisé au paiement. Les transitions passent par
+   * Paiement.changerStatut : un statut déjà appliqué (doublon) ne relance
+   * pas le traitement de la commission.
+   * @returns {Promise<boolean>} true si le statut du paiement a changé
+   * @private
+   */
+  async _appliquerStatut(paiement, transaction, nomFournisseur) {
+    const details = { fournisseur: nomFournisseur, code: transaction.code, status: transaction.status };
+
+    switch (transaction.statut) {
+    case 'COMPLETE':
+      if (!paiement.changerStatut('COMPLETE', { ...details, transactionId: transaction.transactionId }, 'MOBILE_MONEY')) {
+        return false;
+      }
+      if (paiement.mobileMoney) {
+        paiement.mobileMoney.statutMobileMoney = 'SUCCESS';
+        if (transaction.transactionId) paiement.mobileMoney.transactionId = transaction.transactionId;
+        if (transaction.numeroTelephone) paiement.mobileMoney.numeroTelephone = transaction.numeroTelephone;
+        paiement.mobileMoney.dateTransaction = new Date();
+      }
+      paiement.ajouterLog('PAIEMENT_CONFIRME', { ...details, transactionId: transaction.transactionId });
+      await paiement.traiterCommissionApresPayement();
+      logger.info('✅ Paiement confirmé', { referenceTransaction: paiement.referenceTransaction, fournisseur: nomFournisseur });
+      return true;
+
+    case 'ECHEC':
+      // Un échec tardif ne peut pas annuler un paiement déjà complété
+      if (!paiement.changerStatut('ECHEC', details, 'MOBILE_MONEY')) {
+        return false;
+      }
+      if (paiement.mobileMoney) paiement.mobileMoney.statutMobileMoney = 'FAILED';
+      paiement.ajouterErreur('PAIEMENT_ECHOUE', transaction.message || `Paiement échoué chez ${nomFournisseur}`);
+      logger.warn('⚠️ Paiement échoué', details);
+      return true;
+
+    case 'EXPIRE':
+      // Finalisé en échec par le rapprochement au-delà du délai d'expiration
+      paiement.ajouterLog('PAIEMENT_EXPIRE', details);
+      return false;
+
+    case 'EN_ATTENTE':
+      paiement.ajouterLog('PAIEMENT_EN_ATTENTE', details);
+      return false;
+
+    default:
+      paiement.ajouterLog('STATUT_INCONNU', details);
+      logger.warn('⚠️ Transaction inconnue du fournisseur', { referenceTransaction: paiement.referenceTransaction, ...details });
+      return false;
+    }
+  }
+
+  // Réservation au prix partagé : la part ou le solde payé est pris en compte
+  async _apresConfirmation(paiement) {
+    if (paiement.statutPaiement !== 'COMPLETE' || !paiement.partage?.reservationPartagee) return;
+    try {
+      // Chargé à l'usage : le partage initie lui-même ses paiements via ce service
+      const partageReservationService = require('./partageReservationService');
+      await partageReservationService.enregistrerPaiement(paiement);
+    } catch (error) {
+      logger.error('❌ Prise en compte du paiement partagé impossible', {
+        referenceTransaction: paiement.referenceTransaction,
+        message: error.message
+      });
+    }
+  }
+
+  // "WAVE=wave,cinetpay;ORANGE=orange,cinetpay;*=cinetpay"
+  _lireRoutage(valeur) {
+    if (!valeur) return { ...ROUTAGE_DEFAUT };
+
+    const routage = {};
+    valeur.split(';').forEach((regle) => {
+      const [operateur, noms] = regle.split('=').map(partie => partie?.trim());
+      if (!operateur || !noms) return;
+      routage[operateur.toUpperCase()] = noms.split(',').map(nom => nom.trim().toLowerCase()).filter(Boolean);
+    });
+    if (!routage['*']) routage['*'] = ROUTAGE_DEFAUT['*'];
+    return routage;
+  }
+}
+
+module.exports = new PaiementMobileService();
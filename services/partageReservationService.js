@@ -0,0 +1,725 @@
+// services/partageReservationService.js
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const paiementMobileService = require('./paiementMobileService');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const modelesNotificationService = require('./modelesNotificationService');
+const promotionService = require('./promotionService');
+const sequestreService = require('./sequestreService');
+const listeAttenteService = require('./listeAttenteService');
+const { sendSMS, normaliserTelephoneCI } = require('./smsService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const HEURE = 60 * 60 * 1000;
+const STATUTS_ACTIFS = ['EN_ATTENTE', 'CONFIRMEE'];
+// Parts dont le titulaire n'a pas à payer le montant
+const STATUTS_HORS_TITULAIRE = ['INVITEE', 'PAYEE'];
+
+const nombreEnv = (valeur, defaut) => {
+  const nombre = parseInt(valeur, 10);
+  return Number.isFinite(nombre) && nombre >= 0 ? nombre : defaut;
+};
+
+/**
+ * 🤝 Partage du prix d'une réservation entre plusieurs passagers
+ *
+ * Le titulaire invite ses co-passagers par téléphone : chacun reçoit par SMS
+ * un lien de paiement de sa part (places occupées × prix par place). La
+ * réservation reste en attente de paiement jusqu'à ce que toutes les parts
+ * et celle du titulaire soient réglées ; avant la date limite, le titulaire
+ * peut couvrir lui-même les parts restantes. Passé ce délai sans paiement
+ * complet, le job périodique annule la réservation et rembourse les parts
+ * déjà payées.
+ *
+ * Réduction de code promo : répartie entre les parts au prorata des places.
+ * Crédit promotionnel : reste à la charge du seul titulaire, qui l'a engagé.
+ */
+class PartageReservationService {
+
+  constructor() {
+    this.config = {
+      CRON: process.env.PARTAGE_CRON || '*/10 * * * *',
+      FUSEAU: process.env.PARTAGE_FUSEAU || 'Africa/Abidjan',
+      // Délai laissé aux co-passagers pour payer
+      DELAI_HEURES: nombreEnv(process.env.PARTAGE_DELAI_HEURES, 24),
+      // La date limite tombe au plus tard ce nombre d'heures avant le départ
+      MARGE_DEPART_HEURES: nombreEnv(process.env.PARTAGE_MARGE_DEPART_HEURES, 2),
+      MONTANT_MINIMUM: promotionService.config.MONTANT_MINIMUM_DU,
+      LIMITE: 200
+    };
+
+    this.fournisseur = null;
+    this.job = null;
+    this.enCours = false;
+  }
+
+  start() {
+    if (this.job) return;
+    this.job = cron.schedule(this.config.CRON, async () => {
+      if (this.enCours) return;
+      this.enCours = true;
+      try {
+        await this.expirerPartages();
+      } catch (error) {
+        logger.error('🤝 Expiration des partages échouée', { error: error.message });
+      } finally {
+        this.enCours = false;
+      }
+    }, { timezone: this.config.FUSEAU });
+    logger.info('🤝 Expiration des partages de prix planifiée', {
+      cron: this.config.CRON,
+      delaiHeures: this.config.DELAI_HEURES
+    });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ============================================================
+  // CÔTÉ TITULAIRE
+  // ============================================================
+
+  /**
+   * Partage le prix d'une réservation non payée avec des co-passagers
+   * @param {string} reservationId
+   * @param {string} titulaireId
+   * @param {Object} donnees - { coPassagers: [{ telephone, nom, nombrePlaces }], dateLimite }
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<Object>} détail du partage
+   */
+  async creerPartage(reservationId, titulaireId, { coPassagers = [], dateLimite = null } = {}, { maintenant = new Date() } = {}) {
+    const reservation = await this._reservationTitulaire(reservationId, titulaireId);
+    const trajet = reservation.trajetId;
+
+    if (!STATUTS_ACTIFS.includes(reservation.statutReservation) || reservation.statutPaiement !== 'EN_ATTENTE') {
+      throw this._erreur('Seule une réservation active non payée peut être partagée', 'SHARE_NOT_ALLOWED');
+    }
+    if (reservation.methodePaiement === 'ESPECES') {
+      throw this._erreur('Une réservation payée en espèces ne peut pas être partagée', 'SHARE_NOT_ALLOWED');
+    }
+    if (reservation.partage?.actif || reservation.partage?.parts?.length) {
+      throw this._erreur('Le prix de cette réservation est déjà partagé', 'SHARE_ALREADY_EXISTS', 409);
+    }
+    if (await Paiement.exists({ reservationId: reservation._id, statutPaiement: { $in: ['COMPLETE', 'TRAITE'] } })) {
+      throw this._erreur('Un paiement a déjà été effectué pour cette réservation', 'SHARE_NOT_ALLOWED');
+    }
+
+    const echeance = this._dateLimite(trajet, dateLimite, maintenant);
+    const parts = await this._construireParts(reservation, coPassagers, titulaireId);
+
+    reservation.partage = {
+      actif: true,
+      dateLimite: echeance,
+      parts
+    };
+    await reservation.save();
+
+    for (const part of reservation.partage.parts) {
+      await this._inviter(reservation, part, part.jeton, trajet);
+    }
+
+    logger.info('🤝 Prix de réservation partagé', {
+      reservationId: reservation._id,
+      parts: parts.length,
+      dateLimite: echeance
+    });
+
+    return this._detail(reservation, await this._paiementsTitulaire(reservation._id));
+  }
+
+  /**
+   * Détail du partage pour son titulaire : parts, montant restant dû
+   * @param {string} reservationId
+   * @param {string} titulaireId
+   */
+  async obtenirPartage(reservationId, titulaireId) {
+    const reservation = await this._reservationTitulaire(reservationId, titulaireId);
+    if (!reservation.partage?.parts?.length) {
+      throw this._erreur('Le prix de cette réservation n\'est pas partagé', 'SHARE_NOT_FOUND', 404);
+    }
+    return this._detail(reservation, await this._paiementsTitulaire(reservation._id));
+  }
+
+  /**
+   * Le titulaire prend à sa charge les parts pas encore payées : les liens
+   * des co-passagers sont désactivés et leur montant s'ajoute au sien
+   * @returns {Promise<Object>} détail du partage (montantDu mis à jour)
+   */
+  async couvrirParts(reservationId, titulaireId, { maintenant = new Date() } = {}) {
+    const reservation = await this._reservationTitulaire(reservationId, titulaireId);
+    this._verifierPartageOuvert(reservation, maintenant);
+
+    const parts = reservation.partage.parts.filter(part => part.statut === 'INVITEE');
+    if (parts.length === 0) {
+      throw this._erreur('Aucune part en attente de paiement', 'SHARE_NOTHING_TO_COVER');
+    }
+    parts.forEach((part) => { part.statut = 'COUVERTE'; });
+    reservation.partage.dateCouverture = maintenant;
+    await reservation.save();
+
+    for (const part of parts) {
+      if (part.utilisateurId) {
+        await this._notifier(part.utilisateurId, {
+          type: 'PARTAGE_PART_COUVERTE',
+          titre: '🤝 Part prise en charge',
+          message: 'Votre part du trajet a été prise en charge par le titulaire de la réservation',
+          reservation
+        });
+      }
+    }
+
+    return this._detail(reservation, await this._paiementsTitulaire(reservation._id));
+  }
+
+  /**
+   * Renvoie le lien de paiement d'une part encore due
+   */
+  async relancerPart(reservationId, titulaireId, partId, { maintenant = new Date() } = {}) {
+    const reservation = await this._reservationTitulaire(reservationId, titulaireId, { avecJetons: true });
+    this._verifierPartageOuvert(reservation, maintenant);
+
+    const part = reservation.partage.parts.id(partId);
+    if (!part) {
+      throw this._erreur('Part introuvable', 'SHARE_PART_NOT_FOUND', 404);
+    }
+    if (part.statut !== 'INVITEE') {
+      throw this._erreur('Cette part n\'est plus en attente de paiement', 'SHARE_PART_CLOSED');
+    }
+
+    await this._inviter(reservation, part, part.jeton, reservation.trajetId);
+    return { partId: part._id, telephone: part.telephone, dateLimite: reservation.partage.dateLimite };
+  }
+
+  /**
+   * Montant restant dû par le titulaire et réductions financées sur son
+   * paiement : sa part (et les parts qu'il couvre) moins ce qu'il a déjà payé
+   * @param {Object} reservation
+   * @param {Object[]} paiementsTitulaire - paiements COMPLETE du titulaire
+   * @returns {{ montantDu: number, repartitionFrais: { reductionPlateforme: number, creditPassager: number } }}
+   */
+  soldeTitulaire(reservation, paiementsTitulaire = []) {
+    const promotion = promotionService.repartitionFrais(reservation);
+    const horsTitulaire = (reservation.partage?.parts || [])
+      .filter(part => STATUTS_HORS_TITULAIRE.includes(part.statut));
+    const somme = (liste, valeur) => liste.reduce((total, element) => total + (valeur(element) || 0), 0);
+
+    const montantDu = reservation.montantTotal
+      - somme(horsTitulaire, part => part.montant)
+      - somme(paiementsTitulaire, paiement => paiement.montantTotal);
+
+    return {
+      montantDu: Math.max(0, montantDu),
+      repartitionFrais: {
+        reductionPlateforme: Math.max(0, promotion.reductionPlateforme
+          - somme(horsTitulaire, part => part.reductionPlateforme)
+          - somme(paiementsTitulaire, paiement => paiement.repartitionFrais?.reductionPlateforme)),
+        creditPassager: Math.max(0, promotion.creditPassager
+          - somme(paiementsTitulaire, paiement => paiement.repartitionFrais?.creditPassager))
+      }
+    };
+  }
+
+  /**
+   * Solde du titulaire d'une réservation partagée (paiements chargés)
+   */
+  async calculerSoldeTitulaire(reservation) {
+    return this.soldeTitulaire(reservation, await this._paiementsTitulaire(reservation._id));
+  }
+
+  // ============================================================
+  // CÔTÉ CO-PASSAGER (lien de paiement, sans compte)
+  // ============================================================
+
+  /**
+   * Part désignée par le jeton d'un lien de paiement
+   * @param {string} jeton
+   * @returns {Promise<Object>} résumé de la part et du trajet
+   */
+  async obtenirPart(jeton) {
+    const { reservation, part } = await this._trouverPart(jeton);
+    const trajet = reservation.trajetId;
+
+    return {
+      partId: part._id,
+      nom: part.nom,
+      nombrePlaces: part.nombrePlaces,
+      montant: part.montant,
+      statut: part.statut,
+      dateLimite: reservation.partage.dateLimite,
+      payable: this._payable(reservation, part),
+      titulaire: reservation.passagerId
+        ? { prenom: reservation.passagerId.prenom, nom: reservation.passagerId.nom }
+        : null,
+      trajet: trajet
+        ? {
+          depart: trajet.pointDepart?.nom || trajet.pointDepart?.commune,
+          arrivee: trajet.pointArrivee?.nom || trajet.pointArrivee?.commune,
+          dateDepart: trajet.dateDepart,
+          heureDepart: trajet.heureDepart
+        }
+        : null
+    };
+  }
+
+  /**
+   * Initie le paiement mobile d'une part via CinetPay
+   * @param {string} jeton
+   * @param {Object} options - { numeroTelephone, operateur, ipAddress, userAgent, deviceId }
+   * @returns {Promise<Object>} réponse de l'opérateur (urlPaiement, référence)
+   */
+  async initierPaiementPart(jeton, { numeroTelephone, operateur = null, ipAddress, userAgent, deviceId } = {}, { maintenant = new Date() } = {}) {
+    const { reservation, part } = await this._trouverPart(jeton);
+    if (!this._payable(reservation, part, maintenant)) {
+      throw this._erreur('Cette part ne peut plus être payée', 'SHARE_PART_CLOSED');
+    }
+
+    const trajet = reservation.trajetId;
+    const conducteur = trajet.conducteurId;
+    // Co-passager sans compte : le paiement est rattaché au titulaire
+    const paiement = new Paiement({
+      reservationId: reservation._id,
+      payeurId: part.utilisateurId || reservation.passagerId._id,
+      beneficiaireId: conducteur._id,
+      montantTotal: part.montant,
+      methodePaiement: 'MOBILE_MONEY',
+      statutPaiement: 'EN_ATTENTE',
+      commission: {
+        taux: 0.10,
+        tauxOriginal: 0.10,
+        montant: 0,
+        modePrelevement: 'paiement_mobile',
+        statutPrelevement: 'en_attente'
+      },
+      reglesPaiement: {
+        conducteurCompteRecharge: conducteur.compteCovoiturage?.estRecharge || false,
+        soldeConducteurAvant: conducteur.compteCovoiturage?.solde || 0,
+        soldeMinimumRequis: 1000,
+        verificationsPassees: false
+      },
+      repartitionFrais: { reductionPlateforme: part.reductionPlateforme || 0 },
+      partage: { reservationPartagee: true, partId: part._id },
+      securite: { ipAddress, userAgent, deviceId }
+    });
+
+    await paiement.calculerCommissionDynamique(trajet.distanceKm || 0, conducteur.noteGenerale || 0);
+    paiement.initierPaiementMobile(numeroTelephone || part.telephone, operateur);
+    await paiement.save();
+
+    await Reservation.updateOne(
+      { _id: reservation._id, 'partage.parts._id': part._id },
+      { $set: { 'partage.parts.$.paiementId': paiement._id } }
+    );
+
+    return this._fournisseurPaiement().initierPaiement(reservation._id, part.montant, {
+      referenceInterne: paiement.referenceTransaction,
+      methodePaiement: 'MOBILE_MONEY',
+      numeroTelephone: numeroTelephone || part.telephone,
+      operateur,
+      ipAddress,
+      userAgent,
+      deviceId
+    });
+  }
+
+  // ============================================================
+  // CONFIRMATION DES PAIEMENTS
+  // ============================================================
+
+  /**
+   * Prend en compte un paiement confirmé d'une réservation partagée (appelé
+   * par le service de paiement au passage à COMPLETE) : la part est marquée
+   * payée, et la réservation une fois tous les montants réglés. Un paiement
+   * qui n'est plus attendu (part couverte entre-temps, réservation annulée)
+   * est remboursé.
+   * @param {Object} paiement - document Paiement COMPLETE
+   * @param {Object} [options] - { io }
+   * @returns {Promise<{ statut: string }|null>} null si la réservation n'est pas partagée
+   */
+  async enregistrerPaiement(paiement, { io = null } = {}) {
+    if (!paiement.reservationId || paiement.statutPaiement !== 'COMPLETE') return null;
+
+    const reservation = await Reservation.findById(paiement.reservationId);
+    if (!reservation?.partage?.parts?.length) return null;
+
+    const partId = paiement.partage?.partId;
+    const part = partId ? reservation.partage.parts.id(partId) : null;
+    const active = reservation.partage.actif && STATUTS_ACTIFS.includes(reservation.statutReservation);
+
+    const autresPaiements = await Paiement.find({
+      reservationId: reservation._id,
+      statutPaiement: 'COMPLETE',
+      _id: { $ne: paiement._id }
+    }).select('montantTotal').lean();
+    const dejaEncaisse = autresPaiements.reduce((total, p) => total + p.montantTotal, 0);
+
+    const attendu = active && (
+      !part
+      || part.statut === 'INVITEE'
+      || (part.statut === 'COUVERTE' && dejaEncaisse + paiement.montantTotal <= reservation.montantTotal)
+    );
+    if (!attendu) {
+      await this._rembourserPaiementEnTrop(paiement, reservation, io);
+      return { statut: 'REMBOURSE' };
+    }
+
+    if (part) {
+      part.statut = 'PAYEE';
+      part.paiementId = paiement._id;
+      part.datePaiement = new Date();
+    }
+
+    const complet = dejaEncaisse + paiement.montantTotal >= reservation.montantTotal;
+    if (complet) {
+      reservation.partage.actif = false;
+      reservation.statutPaiement = 'PAYE';
+      reservation.methodePaiement = 'MOBILE_MONEY';
+      reservation.datePaiement = new Date();
+    }
+    await reservation.save();
+
+    if (part) {
+      await this._notifier(reservation.passagerId, {
+        type: 'PARTAGE_PART_PAYEE',
+        titre: '🤝 Part payée',
+        message: `${part.nom || part.telephone} a payé sa part (${part.montant} FCFA)`,
+        reservation
+      });
+    }
+
+    return { statut: complet ? 'PAYE' : 'PARTIEL' };
+  }
+
+  // ============================================================
+  // EXPIRATION
+  // ============================================================
+
+  /**
+   * Annule les réservations partagées non payées à la date limite : les
+   * parts déjà payées sont remboursées et les places remises en vente
+   * @param {Object} [options] - { maintenant, io }
+   * @returns {Promise<{ expirees: number, erreurs: number }>}
+   */
+  async expirerPartages({ maintenant = new Date(), io = null } = {}) {
+    const bilan = { expirees: 0, erreurs: 0 };
+    const reservations = await Reservation.find({
+      'partage.actif': true,
+      'partage.dateLimite': { $lte: maintenant },
+      statutPaiement: 'EN_ATTENTE',
+      statutReservation: { $in: STATUTS_ACTIFS }
+    }).limit(this.config.LIMITE);
+
+    for (const reservation of reservations) {
+      try {
+        await this._expirer(reservation, { maintenant, io });
+        bilan.expirees++;
+      } catch (error) {
+        bilan.erreurs++;
+        logger.error('🤝 Expiration d\'un partage impossible', {
+          reservationId: reservation._id,
+          error: error.message
+        });
+      }
+    }
+
+    if (reservations.length > 0) {
+      logger.info('🤝 Partages expirés', bilan);
+    }
+    return bilan;
+  }
+
+  // ============================================================
+  // OUTILS
+  // ============================================================
+
+  /**
+   * Co-passagers inscrits d'une réservation (part payée ou couverte) :
+   * évalués en fin de trajet et prévenus en cas d'alerte
+   * @param {Object} reservation
+   * @returns {string[]} identifiants utilisateur
+   */
+  coPassagersInscrits(reservation) {
+    return (reservation.partage?.parts || [])
+      .filter(part => part.utilisateurId && ['PAYEE', 'COUVERTE'].includes(part.statut))
+      .map(part => part.utilisateurId.toString());
+  }
+
+  /** @private */
+  async _expirer(reservation, { maintenant, io }) {
+    const motif = 'Partage du prix non réglé avant la date limite';
+    const resultat = await Reservation.updateOne(
+      { _id: reservation._id, 'partage.actif': true, statutPaiement: 'EN_ATTENTE' },
+      {
+        $set: {
+          statutReservation: 'ANNULEE',
+          motifRefus: motif,
+          dateReponse: maintenant,
+          'partage.actif': false
+        }
+      }
+    );
+    if (resultat.modifiedCount === 0) return;
+
+    await sequestreService.rembourserReservations(reservation._id, motif, { io });
+    await promotionService.annulerReduction(reservation);
+    await Reservation.synchroniserPlacesTrajet(reservation.trajetId);
+    listeAttenteService.signalerPlacesLiberees(reservation.trajetId, { io });
+
+    const destinataires = [reservation.passagerId, ...reservation.partage.parts
+      .filter(part => part.utilisateurId && part.statut !== 'ANNULEE')
+      .map(part => part.utilisateurId)];
+    for (const destinataireId of destinataires) {
+      await this._notifier(destinataireId, {
+        type: 'PARTAGE_EXPIRE',
+        titre: '⌛ Réservation annulée',
+        message: 'Toutes les parts n\'ont pas été payées à temps : la réservation est annulée et les paiements remboursés',
+        reservation
+      });
+    }
+  }
+
+  /** @private */
+  async _rembourserPaiementEnTrop(paiement, reservation, io) {
+    logger.warn('🤝 Paiement de part non attendu — remboursement', {
+      paiementId: paiement._id,
+      reservationId: reservation._id
+    });
+    // Rechargé sans population (bénéficiaire peuplé par le webhook)
+    const aRembourser = await Paiement.findById(paiement._id);
+    await sequestreService.rembourser(aRembourser, {
+      motif: 'Part déjà réglée ou réservation annulée',
+      reservationRemboursee: false,
+      io
+    });
+  }
+
+  /** @private */
+  async _construireParts(reservation, coPassagers, titulaireId) {
+    if (!Array.isArray(coPassagers) || coPassagers.length === 0) {
+      throw this._erreur('Au moins un co-passager est requis', 'SHARE_INVALID');
+    }
+
+    const nombrePlaces = reservation.nombrePlacesReservees;
+    const placesPartagees = coPassagers.reduce((total, c) => total + (parseInt(c.nombrePlaces, 10) || 1), 0);
+    if (placesPartagees > nombrePlaces - 1) {
+      throw this._erreur(
+        `Les co-passagers ne peuvent occuper que ${nombrePlaces - 1} des ${nombrePlaces} places réservées`,
+        'SHARE_TOO_MANY_SEATS'
+      );
+    }
+
+    const titulaire = await Utilisateur.findById(titulaireId).select('telephone').lean();
+    const telephoneTitulaire = normaliserTelephoneCI(titulaire?.telephone || '');
+    const { reduction = 0, creditUtilise = 0 } = reservation.promotion || {};
+    // Prix après code promo : le crédit promotionnel reste au titulaire
+    const prixPartage = reservation.montantTotal + creditUtilise;
+
+    const vus = new Set();
+    const parts = [];
+    for (const coPassager of coPassagers) {
+      const telephone = normaliserTelephoneCI(coPassager.telephone || '');
+      if (!telephone) {
+        throw this._erreur(`Numéro de téléphone invalide : ${coPassager.telephone}`, 'SHARE_INVALID_PHONE');
+      }
+      if (telephone === telephoneTitulaire || vus.has(telephone)) {
+        throw this._erreur(`Numéro en double : ${coPassager.telephone}`, 'SHARE_DUPLICATE_PHONE');
+      }
+      vus.add(telephone);
+
+      const places = parseInt(coPassager.nombrePlaces, 10) || 1;
+      const utilisateur = await Utilisateur.findOne({
+        telephone: { $in: [telephone, telephone.slice(4)] }
+      }).select('_id').lean();
+
+      parts.push({
+        telephone,
+        nom: coPassager.nom,
+        utilisateurId: utilisateur?._id || null,
+        nombrePlaces: places,
+        montant: Math.round(prixPartage * places / nombrePlaces),
+        reductionPlateforme: Math.round(reduction * places / nombrePlaces),
+        statut: 'INVITEE',
+        jeton: crypto.randomBytes(24).toString('hex')
+      });
+    }
+
+    const montantTitulaire = reservation.montantTotal - parts.reduce((total, part) => total + part.montant, 0);
+    if (parts.some(part => part.montant < this.config.MONTANT_MINIMUM) || montantTitulaire < this.config.MONTANT_MINIMUM) {
+      throw this._erreur(
+        `Chaque part doit être d'au moins ${this.config.MONTANT_MINIMUM} FCFA`,
+        'SHARE_AMOUNT_TOO_LOW'
+      );
+    }
+    return parts;
+  }
+
+  /** @private */
+  _dateLimite(trajet, dateLimite, maintenant) {
+    const plafond = Math.min(
+      maintenant.getTime() + this.config.DELAI_HEURES * HEURE,
+      new Date(trajet.dateDepart).getTime() - this.config.MARGE_DEPART_HEURES * HEURE
+    );
+    const echeance = dateLimite ? Math.min(new Date(dateLimite).getTime(), plafond) : plafond;
+    if (!Number.isFinite(echeance) || echeance <= maintenant.getTime()) {
+      throw this._erreur('Le départ est trop proche pour partager le prix', 'SHARE_TOO_LATE');
+    }
+    return new Date(echeance);
+  }
+
+  /** @private */
+  async _reservationTitulaire(reservationId, titulaireId, { avecJetons = false } = {}) {
+    const requete = Reservation.findById(reservationId)
+      .populate('trajetId', 'dateDepart heureDepart pointDepart pointArrivee conducteurId');
+    if (avecJetons) requete.select('+partage.parts.jeton');
+    const reservation = await requete;
+
+    if (!reservation) {
+      throw this._erreur('Réservation introuvable', 'RESERVATION_NOT_FOUND', 404);
+    }
+    if (reservation.passagerId.toString() !== titulaireId.toString()) {
+      throw this._erreur('Seul le titulaire de la réservation peut gérer le partage', 'FORBIDDEN', 403);
+    }
+    return reservation;
+  }
+
+  /** @private */
+  async _trouverPart(jeton) {
+    const reservation = jeton
+      ? await Reservation.findOne({ 'partage.parts.jeton': jeton })
+        .select('+partage.parts.jeton')
+        .populate('passagerId', 'nom prenom')
+        .populate({
+          path: 'trajetId',
+          select: 'dateDepart heureDepart pointDepart pointArrivee distanceKm conducteurId',
+          populate: { path: 'conducteurId', select: 'nom prenom compteCovoiturage noteGenerale' }
+        })
+      : null;
+    const part = reservation?.partage.parts.find(p => p.jeton === jeton);
+    if (!part) {
+      throw this._erreur('Lien de paiement invalide ou expiré', 'SHARE_LINK_INVALID', 404);
+    }
+    return { reservation, part };
+  }
+
+  /** @private */
+  _payable(reservation, part, maintenant = new Date()) {
+    return part.statut === 'INVITEE'
+      && reservation.partage.actif
+      && STATUTS_ACTIFS.includes(reservation.statutReservation)
+      && reservation.partage.dateLimite > maintenant;
+  }
+
+  /** @private */
+  _verifierPartageOuvert(reservation, maintenant) {
+    if (!reservation.partage?.actif) {
+      throw this._erreur('Aucun partage en cours sur cette réservation', 'SHARE_NOT_FOUND', 404);
+    }
+    if (reservation.partage.dateLimite <= maintenant) {
+      throw this._erreur('La date limite du partage est dépassée', 'SHARE_EXPIRED');
+    }
+  }
+
+  /** @private */
+  async _paiementsTitulaire(reservationId) {
+    return Paiement.find({
+      reservationId,
+      statutPaiement: 'COMPLETE',
+      'partage.partId': null
+    }).select('montantTotal repartitionFrais').lean();
+  }
+
+  /** @private */
+  _detail(reservation, paiementsTitulaire) {
+    const { montantDu, repartitionFrais } = this.soldeTitulaire(reservation, paiementsTitulaire);
+    return {
+      reservationId: reservation._id,
+      montantTotal: reservation.montantTotal,
+      actif: reservation.partage.actif,
+      dateLimite: reservation.partage.dateLimite,
+      montantDuTitulaire: montantDu,
+      reductionTitulaire: repartitionFrais.reductionPlateforme,
+      parts: reservation.partage.parts.map(part => ({
+        partId: part._id,
+        telephone: part.telephone,
+        nom: part.nom,
+        inscrit: Boolean(part.utilisateurId),
+        nombrePlaces: part.nombrePlaces,
+        montant: part.montant,
+        statut: part.statut,
+        datePaiement: part.datePaiement
+      }))
+    };
+  }
+
+  /** @private */
+  async _inviter(reservation, part, jeton, trajet) {
+    const lien = `${process.env.FRONTEND_URL || 'https://wayzeco.com'}/partage/${jeton}`;
+    const depart = trajet?.pointDepart?.nom || trajet?.pointDepart?.commune || 'départ';
+    const arrivee = trajet?.pointArrivee?.nom || trajet?.pointArrivee?.commune || 'arrivée';
+    const echeance = reservation.partage.dateLimite.toLocaleString('fr-FR', { timeZone: this.config.FUSEAU });
+    const variables = { depart, arrivee, montant: part.montant, echeance, lien };
+
+    // Co-passager inscrit : push d'abord, repli WhatsApp puis SMS
+    if (part.utilisateurId) {
+      await this._notifier(part.utilisateurId, {
+        type: 'PARTAGE_INVITATION',
+        modele: 'PARTAGE_INVITATION',
+        variables,
+        reservation,
+        donnees: { lien },
+        priorite: 'HAUTE'
+      });
+      return;
+    }
+
+    // Numéro sans compte : seul le SMS peut l'atteindre
+    try {
+      const sms = await modelesNotificationService.rendre('PARTAGE_INVITATION', variables, { canal: 'sms' });
+      await sendSMS({ to: part.telephone, message: sms.corps });
+    } catch (error) {
+      logger.warn(`SMS de partage non envoyé (${part.telephone}): ${error.message}`);
+    }
+  }
+
+  /** @private */
+  _fournisseurPaiement() {
+    return this.fournisseur || paiementMobileService;
+  }
+
+  /** @private */
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
+
+  /**
+   * Notification in-app et cascade de canaux (catégorie paiements)
+   * @private
+   */
+  async _notifier(destinataireId, { type, titre, message, modele, variables, reservation, donnees: extra = {}, priorite = 'NORMALE' }) {
+    const donnees = { reservationId: reservation._id.toString(), screen: 'Reservation', ...extra };
+    try {
+      await livraisonNotificationsService.envoyer(destinataireId, {
+        evenement: type,
+        modele,
+        variables,
+        titre,
+        message,
+        donnees: { type, ...donnees },
+        categorie: 'paiements',
+        priorite
+      });
+    } catch (error) {
+      logger.warn(`Notification de partage non envoyée (${destinataireId}): ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PartageReservationService();
@@ -0,0 +1,607 @@
+// services/planificateurMultimodalService.js
+
+const geoSearchService = require('./geoSearchService');
+const placesV2Service = require('./placesV2Service');
+const transportInformelService = require('./transportInformelService');
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Planificateur d'itinéraires multimodaux
+ *
+ * Combine un ou deux covoiturages (geoSearchService) avec la marche et
+ * les lignes de gbaka / woro-woro du jeu de données local
+ * (transportInformelService). Les gares routières servent de points
+ * relais ; Google Places peut en ajouter si la clé est configurée et
+ * que l'appelant le demande, mais le calcul fonctionne entièrement hors
+ * ligne.
+ *
+ * Schémas évalués :
+ *   - marche seule, transport artisanal seul (une correspondance max)
+ *   - covoiturage direct, avec premiers / derniers km à pied ou en gbaka
+ *   - transport artisanal jusqu'à une gare puis covoiturage
+ *   - covoiturage jusqu'à une gare puis transport artisanal
+ *   - deux covoiturages avec correspondance dans une gare
+ *
+ * Les durées sont des estimations : attente = moitié de l'intervalle de
+ * passage, marche à VITESSE_MARCHE_KMH avec un facteur de détour.
+ */
+class PlanificateurMultimodalService {
+
+  constructor() {
+    this.config = {
+      VITESSE_MARCHE_KMH:              4.5,
+      FACTEUR_DETOUR_MARCHE:           1.3,  // distance réelle ≈ 1.3 × vol d'oiseau
+      MARCHE_MAX_METRES:               1000, // par étape de marche
+      MARCHE_SEULE_MAX_METRES:         2500, // itinéraire entièrement à pied
+      MARCHE_NEGLIGEABLE_METRES:       30,
+      RAYON_CORRESPONDANCE_METRES:     400,  // marche entre deux arrêts de correspondance
+      RAYON_ARRIVEE_COVOITURAGE_KM:    3,
+      RATIO_DETOUR_RELAIS_MAX:         1.4,  // (O→relais + relais→D) / O→D
+      MAX_POINTS_RELAIS:               3,
+      MAX_COVOITURAGES_PAR_RECHERCHE:  5,
+      MAX_LIAISONS:                    3,
+      MARGE_MONTEE_MINUTES:            5,    // arriver avant le conducteur
+      MARGE_CORRESPONDANCE_MINUTES:    10,   // entre deux covoiturages
+      VITESSE_COVOITURAGE_KMH:         30,   // à défaut de durée estimée
+      PENALITE_CORRESPONDANCE_MINUTES: 5,
+      MINUTES_PAR_100_FCFA:            1,    // arbitrage prix / temps (tri EQUILIBRE)
+      LIMITE_ITINERAIRES_DEFAUT:       5,
+      LIMITE_ITINERAIRES_MAX:          10,
+      TRIS:                            ['EQUILIBRE', 'RAPIDE', 'ECONOMIQUE']
+    };
+  }
+
+  // ============================================================
+  // POINT D'ENTRÉE
+  // ============================================================
+
+  /**
+   * Calcule et classe les itinéraires entre deux points
+   *
+   * @param {Object} params - { departLat, departLng, arriveeLat, arriveeLng,
+   *                            dateDepart, toleranceDate, nombrePassagers,
+   *                            tri, limit, inclureLieuxGoogle }
+   * @returns {Promise<Object>} - { success, count, itineraires, parametres }
+   */
+  async planifier(params) {
+    const { departLat, departLng, arriveeLat, arriveeLng } = params;
+
+    if (!geoSearchService.isValidCoordinate(departLat, departLng)) {
+      throw new Error('Coordonnées de départ invalides');
+    }
+    if (!geoSearchService.isValidCoordinate(arriveeLat, arriveeLng)) {
+      throw new Error('Coordonnées d\'arrivée invalides');
+    }
+
+    const tri = params.tri || 'EQUILIBRE';
+    if (!this.config.TRIS.includes(tri)) {
+      throw new Error(`Le tri doit être parmi: ${this.config.TRIS.join(', ')}`);
+    }
+
+    const heure = params.dateDepart ? new Date(params.dateDepart) : new Date();
+    if (isNaN(heure)) {
+      throw new Error('La date de départ est invalide');
+    }
+
+    const limit = Math.min(params.limit || this.config.LIMITE_ITINERAIRES_DEFAUT, this.config.LIMITE_ITINERAIRES_MAX);
+    const contexte = {
+      heure,
+      nombrePassagers: params.nombrePassagers || 1,
+      toleranceDate:   params.toleranceDate,
+      covoiturages:    new Map() // cache des recherches geoSearchService
+    };
+
+    const origine = { nom: params.nomDepart || 'Point de départ', lat: departLat, lng: departLng };
+    const destination = { nom: params.nomArrivee || 'Destination', lat: arriveeLat, lng: arriveeLng };
+
+    logger.info(`🧭 Planification multimodale (${departLat}, ${departLng}) → (${arriveeLat}, ${arriveeLng}) à ${heure.toISOString()}`);
+
+    const candidats = [];
+
+    // 1. Sans covoiturage
+    candidats.push(...this._liaisons(origine, destination, heure, contexte, {
+      marcheMaxMetres: this.config.MARCHE_SEULE_MAX_METRES
+    }));
+
+    // 2. Covoiturage direct
+    candidats.push(...await this._avecCovoiturage(origine, destination, origine, destination, contexte));
+
+    // 3. Points relais
+    const relais = await this._pointsRelais(origine, destination, params.inclureLieuxGoogle);
+    for (const pointRelais of relais) {
+      candidats.push(...await this._avecCovoiturage(origine, destination, origine, pointRelais, contexte));
+      candidats.push(...await this._avecCovoiturage(origine, destination, pointRelais, destination, contexte));
+      candidats.push(...await this._avecDeuxCovoiturages(origine, destination, pointRelais, contexte));
+    }
+
+    const itineraires = this._dedupliquer(
+      candidats
+        .filter(etapes => etapes.length > 0)
+        .map(etapes => this._construireItineraire(etapes, heure))
+    );
+    this._classer(itineraires, tri);
+
+    const resultats = itineraires.slice(0, limit).map((itineraire, index) => ({ rang: index + 1, ...itineraire }));
+    logger.info(`🧭 ${candidats.length} candidat(s), ${resultats.length} itinéraire(s) retenu(s)`);
+
+    return {
+      success: true,
+      count: resultats.length,
+      itineraires: resultats,
+      parametres: {
+        depart:          { lat: departLat, lng: departLng },
+        arrivee:         { lat: arriveeLat, lng: arriveeLng },
+        dateDepart:      heure,
+        nombrePassagers: contexte.nombrePassagers,
+        tri,
+        pointsRelais:    relais.map(r => ({ nom: r.nom, source: r.source }))
+      }
+    };
+  }
+
+  // ============================================================
+  // COMBINAISONS AVEC COVOITURAGE
+  // ============================================================
+
+  /**
+   * Un covoiturage de `debutRecherche` à `finRecherche`, complété à pied
+   * ou en transport artisanal depuis l'origine et jusqu'à la destination
+   * @private
+   */
+  async _avecCovoiturage(origine, destination, debutRecherche, finRecherche, contexte) {
+    const covoiturages = await this._rechercherCovoiturages(debutRecherche, finRecherche, contexte);
+    const itineraires = [];
+
+    for (const covoiturage of covoiturages) {
+      const acces = this._accesAvant(origine, covoiturage, contexte);
+      if (!acces) continue;
+
+      const sortie = this._liaisons(covoiturage.arrivee, destination, covoiturage.heureArrivee, contexte)[0];
+      if (!sortie) continue;
+
+      itineraires.push([...acces, covoiturage, ...sortie]);
+    }
+    return itineraires;
+  }
+
+  /**
+   * Deux covoiturages avec correspondance au point relais
+   * @private
+   */
+  async _avecDeuxCovoiturages(origine, destination, relais, contexte) {
+    const premiers = await this._rechercherCovoiturages(origine, relais, contexte);
+    if (premiers.length === 0) return [];
+    const seconds = await this._rechercherCovoiturages(relais, destination, contexte);
+
+    const itineraires = [];
+    for (const premier of premiers) {
+      const acces = this._accesAvant(origine, premier, contexte);
+      if (!acces) continue;
+
+      for (const second of seconds) {
+        if (second.trajet.id.toString() === premier.trajet.id.toString()) continue;
+
+        const limite = second.heureDepart.getTime() - this.config.MARGE_CORRESPONDANCE_MINUTES * MINUTE_MS;
+        const correspondance = this._liaisons(premier.arrivee, second.depart, premier.heureArrivee, contexte)
+          .find(etapes => this._fin(etapes, premier.heureArrivee).getTime() <= limite);
+        if (!correspondance) continue;
+
+        const sortie = this._liaisons(second.arrivee, destination, second.heureArrivee, contexte)[0];
+        if (!sortie) continue;
+
+        itineraires.push([...acces, premier, ...correspondance, second, ...sortie]);
+      }
+    }
+    return itineraires;
+  }
+
+  /**
+   * Trajet jusqu'au point de montée, décalé pour arriver juste avant le conducteur
+   * @private
+   * @returns {Array|null} - Étapes, ou null si la montée est inatteignable à temps
+   */
+  _accesAvant(origine, covoiturage, contexte) {
+    const limite = covoiturage.heureDepart.getTime() - this.config.MARGE_MONTEE_MINUTES * MINUTE_MS;
+    const acces = this._liaisons(origine, covoiturage.depart, contexte.heure, contexte)
+      .find(etapes => this._fin(etapes, contexte.heure).getTime() <= limite);
+    if (!acces) return null;
+
+    const decalage = limite - this._fin(acces, contexte.heure).getTime();
+    return decalage > 0 ? this._decaler(acces, decalage) : acces;
+  }
+
+  /**
+   * Covoiturages entre deux points (mis en cache pour la requête)
+   * @private
+   */
+  async _rechercherCovoiturages(depart, arrivee, contexte) {
+    const cle = `${depart.lat},${depart.lng}|${arrivee.lat},${arrivee.lng}`;
+    if (contexte.covoiturages.has(cle)) return contexte.covoiturages.get(cle);
+
+    let etapes = [];
+    try {
+      const resultat = await geoSearchService.searchNearbyTrips({
+        departLat:       depart.lat,
+        departLng:       depart.lng,
+        arriveeLat:      arrivee.lat,
+        arriveeLng:      arrivee.lng,
+        rayonMontee:     this.config.MARCHE_MAX_METRES / 1000,
+        rayonArrivee:    this.config.RAYON_ARRIVEE_COVOITURAGE_KM,
+        dateDepart:      contexte.heure,
+        toleranceDate:   contexte.toleranceDate,
+        nombrePassagers: contexte.nombrePassagers,
+        limit:           this.config.MAX_COVOITURAGES_PAR_RECHERCHE
+      });
+
+      etapes = (resultat.trajets || [])
+        .map(trajet => this._etapeCovoiturage(trajet, contexte.nombrePassagers))
+        .filter(etape => etape && etape.heureDepart >= contexte.heure);
+    } catch (error) {
+      logger.warn(`Recherche covoiturage indisponible (${cle}): ${error.message}`);
+    }
+
+    contexte.covoiturages.set(cle, etapes);
+    return etapes;
+  }
+
+  /**
+   * Gares routières pouvant servir de correspondance, les plus
+   * proches de la ligne droite origine → destination en premier
+   * @private
+   */
+  async _pointsRelais(origine, destination, inclureLieuxGoogle = false) {
+    const distance = (a, b) => transportInformelService.distanceMetres(a.lat, a.lng, b.lat, b.lng);
+    const distanceTotale = distance(origine, destination);
+
+    const relais = transportInformelService.obtenirGares().map(gare => ({
+      nom: gare.nom, lat: gare.lat, lng: gare.lng, arretId: gare.id, source: 'GTFS'
+    }));
+
+    if (inclureLieuxGoogle && placesV2Service.apiKey) {
+      const milieu = { lat: (origine.lat + destination.lat) / 2, lng: (origine.lng + destination.lng) / 2 };
+      const rayon = Math.min(Math.max(distanceTotale / 2, 2000), 10000);
+      const resultat = await placesV2Service.searchGaresRoutieres(milieu.lat, milieu.lng, rayon);
+      if (resultat.success) {
+        relais.push(...resultat.data
+          .filter(lieu => typeof lieu.latitude === 'number' && typeof lieu.longitude === 'number')
+          .map(lieu => ({ nom: lieu.name, lat: lieu.latitude, lng: lieu.longitude, source: 'GOOGLE' })));
+      }
+    }
+
+    return relais
+      .map(r => ({ ...r, ratio: (distance(origine, r) + distance(r, destination)) / distanceTotale }))
+      .filter(r =>
+        distance(origine, r) > this.config.MARCHE_MAX_METRES &&
+        distance(r, destination) > this.config.MARCHE_MAX_METRES &&
+        r.ratio <= this.config.RATIO_DETOUR_RELAIS_MAX
+      )
+      .sort((a, b) => a.ratio - b.ratio)
+      .slice(0, this.config.MAX_POINTS_RELAIS);
+  }
+
+  // ============================================================
+  // LIAISONS SANS COVOITURAGE (marche, gbaka, woro-woro)
+  // ============================================================
+
+  /**
+   * Façons de relier deux points sans covoiturage, les plus rapides d'abord
+   * @private
+   * @returns {Array<Array<Object>>} - Listes d'étapes ([] si les points se confondent)
+   */
+  _liaisons(depart, arrivee, heure, contexte, { marcheMaxMetres = this.config.MARCHE_MAX_METRES } = {}) {
+    const distance = transportInformelService.distanceMetres(depart.lat, depart.lng, arrivee.lat, arrivee.lng);
+    if (distance <= this.config.MARCHE_NEGLIGEABLE_METRES) return [[]];
+
+    const chaines = [];
+    if (distance <= marcheMaxMetres) {
+      chaines.push([this._etapeMarche(depart, arrivee, heure)]);
+    }
+    chaines.push(...this._chainesTransport(depart, arrivee, heure, contexte));
+
+    return this._dedupliquerChaines(chaines, heure).slice(0, this.config.MAX_LIAISONS);
+  }
+
+  /**
+   * Une ou deux lignes de transport artisanal, avec marche aux extrémités
+   * @private
+   */
+  _chainesTransport(depart, arrivee, heure, contexte) {
+    const { MARCHE_MAX_METRES, RAYON_CORRESPONDANCE_METRES } = this.config;
+    const reseau = transportInformelService;
+
+    const sorties = new Set(
+      reseau.arretsProches(arrivee.lat, arrivee.lng, MARCHE_MAX_METRES).map(s => s.arret.id)
+    );
+    if (sorties.size === 0) return [];
+
+    const terminer = (etapes, arretId) => {
+      const fin = etapes[etapes.length - 1].heureArrivee;
+      return [...etapes, ...this._marcheSiNecessaire(this._point(reseau.obtenirArret(arretId)), arrivee, fin)];
+    };
+
+    const chaines = [];
+    for (const acces of reseau.arretsProches(depart.lat, depart.lng, MARCHE_MAX_METRES)) {
+      const marcheAcces = this._marcheSiNecessaire(depart, this._point(acces.arret), heure);
+      const heureArret = this._fin(marcheAcces, heure);
+
+      for (const passage of reseau.passagesA(acces.arret.id)) {
+        const trajet = reseau.obtenirTrajet(passage.trajetId);
+
+        for (let k = passage.position + 1; k < trajet.arrets.length; k++) {
+          const etape = this._etapeTransport(trajet, passage.position, k, heureArret, contexte);
+          if (!etape) break; // ligne hors service à cette heure
+
+          const arretK = reseau.obtenirArret(trajet.arrets[k].arretId);
+          if (sorties.has(arretK.id)) {
+            chaines.push(terminer([...marcheAcces, etape], arretK.id));
+          }
+
+          // Une correspondance au plus, sur une autre ligne
+          for (const proche of reseau.arretsProches(arretK.lat, arretK.lng, RAYON_CORRESPONDANCE_METRES)) {
+            const marcheCorrespondance = this._marcheSiNecessaire(this._point(arretK), this._point(proche.arret), etape.heureArrivee);
+            const heureCorrespondance = this._fin(marcheCorrespondance, etape.heureArrivee);
+
+            for (const passage2 of reseau.passagesA(proche.arret.id)) {
+              const trajet2 = reseau.obtenirTrajet(passage2.trajetId);
+              if (trajet2.ligneId === trajet.ligneId) continue;
+
+              for (let m = passage2.position + 1; m < trajet2.arrets.length; m++) {
+                if (!sorties.has(trajet2.arrets[m].arretId)) continue;
+
+                const etape2 = this._etapeTransport(trajet2, passage2.position, m, heureCorrespondance, contexte);
+                if (!etape2) break;
+
+                chaines.push(terminer(
+                  [...marcheAcces, etape, ...marcheCorrespondance, etape2],
+                  trajet2.arrets[m].arretId
+                ));
+              }
+            }
+          }
+        }
+      }
+    }
+    return chaines;
+  }
+
+  // ============================================================
+  // ÉTAPES
+  // ============================================================
+
+  /**
+   * @private
+   */
+  _etapeMarche(depart, arrivee, heure) {
+    const distanceMetres = Math.round(
+      transportInformelService.distanceMetres(depart.lat, depart.lng, arrivee.lat, arrivee.lng) *
+      this.config.FACTEUR_DETOUR_MARCHE
+    );
+    const metresParMinute = this.config.VITESSE_MARCHE_KMH * 1000 / 60;
+    const dureeMinutes = Math.max(1, Math.ceil(distanceMetres / metresParMinute));
+
+    return {
+      mode: 'MARCHE',
+      depart,
+      arrivee,
+      distanceMetres,
+      dureeMinutes,
+      heureDepart: heure,
+      heureArrivee: this._ajouterMinutes(heure, dureeMinutes),
+      prix: 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  _marcheSiNecessaire(depart, arrivee, heure) {
+    const distance = transportInformelService.distanceMetres(depart.lat, depart.lng, arrivee.lat, arrivee.lng);
+    return distance <= this.config.MARCHE_NEGLIGEABLE_METRES ? [] : [this._etapeMarche(depart, arrivee, heure)];
+  }
+
+  /**
+   * Trajet en gbaka / woro-woro entre les positions i et j d'un trajet type
+   * @private
+   * @returns {Object|null} - null si la ligne ne circule pas à cette heure
+   */
+  _etapeTransport(trajet, i, j, heureArret, contexte) {
+    const attenteMinutes = transportInformelService.attenteMinutes(trajet.id, heureArret, trajet.arrets[i].minutes);
+    if (attenteMinutes === null) return null;
+
+    const ligne = transportInformelService.obtenirLigne(trajet.ligneId);
+    const dureeMinutes = Math.round(trajet.arrets[j].minutes - trajet.arrets[i].minutes);
+    const heureDepart = this._ajouterMinutes(heureArret, attenteMinutes);
+
+    return {
+      mode: ligne.mode,
+      ligne: {
+        id:        ligne.id,
+        nom:       ligne.nom,
+        libelle:   ligne.libelle,
+        direction: trajet.direction
+      },
+      depart:  this._point(transportInformelService.obtenirArret(trajet.arrets[i].arretId)),
+      arrivee: this._point(transportInformelService.obtenirArret(trajet.arrets[j].arretId)),
+      nombreArrets: j - i,
+      attenteMinutes,
+      dureeMinutes,
+      heureDepart,
+      heureArrivee: this._ajouterMinutes(heureDepart, dureeMinutes),
+      prix: ligne.prix * contexte.nombrePassagers
+    };
+  }
+
+  /**
+   * Étape covoiturage à partir d'un résultat geoSearchService.
+   * Pour une montée sur l'itinéraire (corridor), les heures de montée et de
+   * descente sont interpolées sur la durée estimée du trajet.
+   * @private
+   */
+  _etapeCovoiturage(trajet, nombrePassagers) {
+    const montee = trajet.arretMontee?.coordonnees;
+    const arriveeCoords = trajet.pointArrivee?.coordonnees?.coordinates;
+    if (!montee || !arriveeCoords) return null;
+
+    const dureeTotale = trajet.dureeEstimee
+      || Math.round((trajet.distance || 0) / this.config.VITESSE_COVOITURAGE_KMH * 60);
+    if (!dureeTotale) return null;
+
+    let fractionDebut = 0;
+    let fractionFin = 1;
+    if (trajet.pointMontee && trajet.pointDescente && trajet.distance > 0) {
+      fractionDebut = Math.min(trajet.pointMontee.distanceLeLongKm / trajet.distance, 1);
+      fractionFin = Math.min(Math.max(trajet.pointDescente.distanceLeLongKm / trajet.distance, fractionDebut), 1);
+    }
+
+    const dateDepart = new Date(trajet.dateDepart);
+    const heureDepart = this._ajouterMinutes(dateDepart, Math.round(dureeTotale * fractionDebut));
+    const heureArrivee = this._ajouterMinutes(dateDepart, Math.round(dureeTotale * fractionFin));
+
+    const descente = trajet.pointDescente?.coordonnees
+      || { lat: arriveeCoords[1], lng: arriveeCoords[0] };
+
+    return {
+      mode: 'COVOITURAGE',
+      trajet: {
+        id:                trajet._id,
+        heureDepart:       trajet.heureDepart,
+        placesDisponibles: trajet.nombrePlacesDisponibles,
+        correspondance:    trajet.correspondance,
+        conducteur:        trajet.conducteur
+          ? { nom: trajet.conducteur.nom, prenom: trajet.conducteur.prenom, noteGlobale: trajet.conducteur.noteGlobale }
+          : null
+      },
+      depart:  { nom: trajet.arretMontee.nom, lat: montee.lat, lng: montee.lng },
+      arrivee: {
+        nom: trajet.pointDescente ? 'Point de dépose sur l\'itinéraire' : trajet.pointArrivee.nom,
+        lat: descente.lat,
+        lng: descente.lng
+      },
+      dureeMinutes: Math.round((heureArrivee - heureDepart) / MINUTE_MS),
+      heureDepart,
+      heureArrivee,
+      prix: (trajet.prixParPassager || 0) * nombrePassagers
+    };
+  }
+
+  // ============================================================
+  // ASSEMBLAGE ET CLASSEMENT
+  // ============================================================
+
+  /**
+   * Totaux d'un itinéraire
+   * @private
+   */
+  _construireItineraire(etapes, heureDemandee) {
+    // L'attente au premier arrêt fait partie du trajet
+    const heureDepart = this._ajouterMinutes(etapes[0].heureDepart, -(etapes[0].attenteMinutes || 0));
+    const heureArrivee = etapes[etapes.length - 1].heureArrivee;
+    const motorisees = etapes.filter(e => e.mode !== 'MARCHE');
+
+    const dureeTotaleMinutes = Math.round((heureArrivee - heureDepart) / MINUTE_MS);
+    const correspondances = Math.max(motorisees.length - 1, 0);
+    const prixTotal = etapes.reduce((total, e) => total + e.prix, 0);
+    const minutesJusquArrivee = (heureArrivee - heureDemandee) / MINUTE_MS;
+
+    return {
+      resume: etapes.map(e => e.ligne?.nom || this._libelleMode(e.mode)).join(' → '),
+      modes: [...new Set(etapes.map(e => e.mode))],
+      heureDepart,
+      heureArrivee,
+      dureeTotaleMinutes,
+      attenteAvantDepartMinutes: Math.max(0, Math.round((heureDepart - heureDemandee) / MINUTE_MS)),
+      correspondances,
+      prixTotal,
+      distanceMarcheMetres: etapes.reduce((total, e) => total + (e.distanceMetres || 0), 0),
+      trajetsAReserver: motorisees.filter(e => e.mode === 'COVOITURAGE').map(e => e.trajet.id),
+      score: Math.round(
+        minutesJusquArrivee +
+        correspondances * this.config.PENALITE_CORRESPONDANCE_MINUTES +
+        (prixTotal / 100) * this.config.MINUTES_PAR_100_FCFA
+      ),
+      signature: motorisees.map(e => e.ligne?.id || e.trajet?.id?.toString()).join('>') || 'MARCHE',
+      etapes
+    };
+  }
+
+  /**
+   * @private
+   */
+  _classer(itineraires, tri) {
+    const comparateurs = {
+      EQUILIBRE:  (a, b) => a.score - b.score || a.heureArrivee - b.heureArrivee,
+      RAPIDE:     (a, b) => a.heureArrivee - b.heureArrivee || a.score - b.score,
+      ECONOMIQUE: (a, b) => a.prixTotal - b.prixTotal || a.heureArrivee - b.heureArrivee
+    };
+    return itineraires.sort(comparateurs[tri]);
+  }
+
+  /**
+   * Un seul itinéraire par combinaison de lignes / trajets : le meilleur score
+   * @private
+   */
+  _dedupliquer(itineraires) {
+    const parSignature = new Map();
+    for (const itineraire of itineraires) {
+      const existant = parSignature.get(itineraire.signature);
+      if (!existant || itineraire.score < existant.score) {
+        parSignature.set(itineraire.signature, itineraire);
+      }
+    }
+    return [...parSignature.values()];
+  }
+
+  /**
+   * @private
+   */
+  _dedupliquerChaines(chaines, heure) {
+    const parSignature = new Map();
+    for (const etapes of chaines) {
+      const signature = etapes.filter(e => e.mode !== 'MARCHE').map(e => e.ligne.id).join('>') || 'MARCHE';
+      const existante = parSignature.get(signature);
+      if (!existante || this._fin(etapes, heure) < this._fin(existante, heure)) {
+        parSignature.set(signature, etapes);
+      }
+    }
+    return [...parSignature.values()].sort((a, b) => this._fin(a, heure) - this._fin(b, heure));
+  }
+
+  // ============================================================
+  // UTILITAIRES
+  // ============================================================
+
+  _fin(etapes, heureParDefaut) {
+    return etapes.length > 0 ? etapes[etapes.length - 1].heureArrivee : heureParDefaut;
+  }
+
+  _decaler(etapes, millisecondes) {
+    return etapes.map(etape => ({
+      ...etape,
+      heureDepart: new Date(etape.heureDepart.getTime() + millisecondes),
+      heureArrivee: new Date(etape.heureArrivee.getTime() + millisecondes)
+    }));
+  }
+
+  _ajouterMinutes(date, minutes) {
+    return new Date(date.getTime() + minutes * MINUTE_MS);
+  }
+
+  _point(arret) {
+    return { nom: arret.nom, lat: arret.lat, lng: arret.lng, arretId: arret.id };
+  }
+
+  _libelleMode(mode) {
+    return {
+      MARCHE:      'Marche',
+      COVOITURAGE: 'Covoiturage',
+      GBAKA:       'Gbaka',
+      WORO_WORO:   'Woro-woro'
+    }[mode] || mode;
+  }
+
+  getConfig() { return { ...this.config }; }
+}
+
+module.exports = new PlanificateurMultimodalService();
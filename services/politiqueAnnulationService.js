@@ -0,0 +1,337 @@
+// services/politiqueAnnulationService.js
+
+const fs = require('fs');
+const path = require('path');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const sequestreService = require('./sequestreService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const HEURE = 60 * 60 * 1000;
+
+// Barème historique, appliqué si le référentiel ne peut pas être lu
+const REFERENTIEL_SECOURS = {
+  politiqueParDefaut: 'MODEREE',
+  politiques: {
+    MODEREE: {
+      libelle: 'Modérée',
+      paliers: [
+        { heuresAvantDepart: 24, tauxRemboursement: 0.9 },
+        { heuresAvantDepart: 12, tauxRemboursement: 0.7 },
+        { heuresAvantDepart: 2, tauxRemboursement: 0.5 }
+      ],
+      tauxFraisAbsence: 0.5
+    }
+  },
+  annulationConducteur: { paliers: [] }
+};
+
+/**
+ * 📜 Politiques d'annulation
+ *
+ * Le conducteur choisit une politique par trajet (Trajet.politiqueAnnulation) ;
+ * les barèmes sont dans data/annulation/politiques.json. Les taux s'appliquent
+ * au montant encaissé du paiement (hors frais opérateur), à défaut au montant
+ * de la réservation.
+ * - Annulation par le passager : taux du palier atteint selon le délai avant départ.
+ * - Passager absent à la prise en charge : les frais d'absence restent au conducteur.
+ * - Annulation tardive par le conducteur : remboursement intégral et
+ *   dédommagement du passager pris sur les gains du conducteur.
+ * Les montants passent par sequestreService : le reste d'un remboursement
+ * partiel est versé au conducteur.
+ */
+class PolitiqueAnnulationService {
+
+  constructor() {
+    this.fichier = process.env.ANNULATION_POLITIQUES_FILE
+      || path.join(__dirname, '..', 'data', 'annulation', 'politiques.json');
+    this.referentiel = null;
+  }
+
+  // ============================================================
+  // RÉFÉRENTIEL
+  // ============================================================
+
+  /**
+   * Politiques disponibles, pour le choix du conducteur
+   * @returns {{ politiqueParDefaut: string, politiques: Array, annulationConducteur: Object }}
+   */
+  lister() {
+    const { politiqueParDefaut, politiques, annulationConducteur } = this._charger();
+    return {
+      politiqueParDefaut,
+      politiques: Object.entries(politiques).map(([code, politique]) => ({ code, ...politique })),
+      annulationConducteur
+    };
+  }
+
+  /**
+   * Politique d'un trajet (politique par défaut si inconnue)
+   * @param {string} [code]
+   * @returns {Object} { code, libelle, paliers, tauxFraisAbsence, ... }
+   */
+  obtenir(code) {
+    const { politiqueParDefaut, politiques } = this._charger();
+    const retenu = politiques[code] ? code : politiqueParDefaut;
+    return { code: retenu, ...politiques[retenu] };
+  }
+
+  // ============================================================
+  // CALCULS
+  // ============================================================
+
+  /**
+   * Remboursement d'une annulation par le passager
+   * @param {Object} params - { politique, dateDepart, montant, maintenant }
+   * @returns {Object} détail de l'annulation (voir _detail)
+   */
+  calculerAnnulationPassager({ politique, dateDepart, montant, maintenant = new Date() }) {
+    const retenue = this.obtenir(politique);
+    const heures = this.heuresAvantDepart(dateDepart, maintenant);
+    const palier = heures >= 0
+      ? [...retenue.paliers]
+        .sort((a, b) => b.heuresAvantDepart - a.heuresAvantDepart)
+        .find(p => heures >= p.heuresAvantDepart)
+      : null;
+
+    return this._detail('PASSAGER', retenue.code, heures, montant, palier ? palier.tauxRemboursement : 0);
+  }
+
+  /**
+   * Remboursement d'un passager absent à la prise en charge
+   * @param {Object} params - { politique, dateDepart, montant, maintenant }
+   */
+  calculerAbsencePassager({ politique, dateDepart, montant, maintenant = new Date() }) {
+    const retenue = this.obtenir(politique);
+    const heures = this.heuresAvantDepart(dateDepart, maintenant);
+    return this._detail('ABSENCE_PASSAGER', retenue.code, heures, montant, 1 - retenue.tauxFraisAbsence);
+  }
+
+  /**
+   * Remboursement intégral et dédommagement d'une annulation par le conducteur
+   * @param {Object} params - { politique, dateDepart, montant, maintenant }
+   */
+  calculerAnnulationConducteur({ politique, dateDepart, montant, maintenant = new Date() }) {
+    const heures = this.heuresAvantDepart(dateDepart, maintenant);
+    const tauxCompensation = this.tauxCompensation(heures);
+    return {
+      ...this._detail('CONDUCTEUR', this.obtenir(politique).code, heures, montant, 1),
+      tauxCompensation,
+      compensation: Math.round(montant * tauxCompensation)
+    };
+  }
+
+  /**
+   * Part du montant encaissé due au passager par le conducteur qui annule
+   * @param {number} heures - délai avant le départ au moment de l'annulation
+   */
+  tauxCompensation(heures) {
+    const palier = [...this._charger().annulationConducteur.paliers]
+      .sort((a, b) => a.moinsDeHeures - b.moinsDeHeures)
+      .find(p => heures < p.moinsDeHeures);
+    return palier ? palier.tauxCompensation : 0;
+  }
+
+  heuresAvantDepart(dateDepart, maintenant = new Date()) {
+    return Math.round((new Date(dateDepart) - maintenant) / HEURE * 10) / 10;
+  }
+
+  // ============================================================
+  // RÈGLEMENT
+  // ============================================================
+
+  /**
+   * Montants d'une annulation par le passager, sans rien régler
+   * @param {Object} reservation
+   * @param {Object} trajet - { dateDepart, politiqueAnnulation }
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<{ calcul: Object, paiements: Object[] }>}
+   */
+  async simulerAnnulationPassager(reservation, trajet, { maintenant = new Date() } = {}) {
+    const paiements = await this._paiementsRemboursables(reservation._id);
+    const calcul = this.calculerAnnulationPassager({
+      politique: trajet.politiqueAnnulation,
+      dateDepart: trajet.dateDepart,
+      montant: this._montantBase(reservation, paiements),
+      maintenant
+    });
+    return { calcul, paiements };
+  }
+
+  /**
+   * Règle l'annulation d'une réservation par son passager
+   * @param {Object} reservation - document Reservation (non sauvegardé)
+   * @param {Object} trajet
+   * @param {Object} [options] - { motif, io, maintenant }
+   * @returns {Promise<Object>} détail de l'annulation, aussi porté par reservation.annulation
+   */
+  async annulerParPassager(reservation, trajet, { motif = 'Annulé par le passager', io = null, maintenant = new Date() } = {}) {
+    const { calcul, paiements } = await this.simulerAnnulationPassager(reservation, trajet, { maintenant });
+    reservation.annulation = { ...calcul, date: maintenant };
+    await this._regler(paiements, calcul, { motif, io });
+    return calcul;
+  }
+
+  /**
+   * Règle l'absence d'un passager constatée par le conducteur
+   * @param {Object} reservation - document Reservation (non sauvegardé)
+   * @param {Object} trajet
+   * @param {Object} [options] - { constateePar, io, maintenant }
+   */
+  async constaterAbsence(reservation, trajet, { constateePar = null, io = null, maintenant = new Date() } = {}) {
+    const paiements = await this._paiementsRemboursables(reservation._id);
+    const calcul = this.calculerAbsencePassager({
+      politique: trajet.politiqueAnnulation,
+      dateDepart: trajet.dateDepart,
+      montant: this._montantBase(reservation, paiements),
+      maintenant
+    });
+    reservation.annulation = { ...calcul, date: maintenant, constateePar };
+    await this._regler(paiements, calcul, { motif: 'Passager absent à la prise en charge', io });
+    return calcul;
+  }
+
+  /**
+   * Rembourse intégralement les passagers d'un trajet annulé par son
+   * conducteur, avec dédommagement si l'annulation est tardive
+   * @param {Object} trajet
+   * @param {string} motif
+   * @param {Object} [options] - { io, maintenant }
+   */
+  async annulerParConducteur(trajet, motif, { io = null, maintenant = new Date() } = {}) {
+    const heures = this.heuresAvantDepart(trajet.dateDepart, maintenant);
+    return sequestreService.rembourserTrajet(trajet._id, motif, {
+      tauxCompensation: this.tauxCompensation(heures),
+      politique: this.obtenir(trajet.politiqueAnnulation).code,
+      io
+    });
+  }
+
+  /**
+   * Montants d'un remboursement décidé par un administrateur : ceux déjà
+   * fixés à l'annulation de la réservation (ramenés à ce paiement si le prix
+   * a été partagé), sinon ceux d'une annulation par le passager à cet instant
+   * @param {Object} paiement - document Paiement
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<Object>} détail de l'annulation
+   */
+  async calculerPourPaiement(paiement, { maintenant = new Date() } = {}) {
+    const reservation = paiement.reservationId
+      ? await Reservation.findById(paiement.reservationId).populate('trajetId', 'dateDepart politiqueAnnulation')
+      : null;
+    if (!reservation || !reservation.trajetId) {
+      throw new AppError('Aucune réservation de trajet n\'est associée à ce paiement', {
+        code: 'NO_CANCELLATION_POLICY',
+        context: { paiementId: paiement._id }
+      });
+    }
+
+    const { annulation } = reservation.toObject();
+    if (annulation?.type) {
+      return this._pourPaiement(annulation, paiement);
+    }
+    return this.calculerAnnulationPassager({
+      politique: reservation.trajetId.politiqueAnnulation,
+      dateDepart: reservation.trajetId.dateDepart,
+      montant: sequestreService.montantEncaisse(paiement),
+      maintenant
+    });
+  }
+
+  // ============================================================
+  // OUTILS
+  // ============================================================
+
+  /** @private */
+  _detail(type, politique, heuresAvantDepart, montant, tauxRemboursement) {
+    const montantBase = Math.max(0, Math.round(montant || 0));
+    const montantRembourse = Math.round(montantBase * tauxRemboursement);
+    return {
+      type,
+      politique,
+      heuresAvantDepart,
+      tauxRemboursement,
+      montantBase,
+      montantRembourse,
+      fraisAnnulation: montantBase - montantRembourse,
+      compensation: 0
+    };
+  }
+
+  /**
+   * Rembourse la part due au passager sur chaque paiement (plusieurs si le
+   * prix a été partagé) ; sans remboursement, les gains séquestrés
+   * reviennent directement au conducteur
+   * @private
+   */
+  async _regler(paiements, calcul, { motif, io }) {
+    for (const paiement of paiements) {
+      const part = this._pourPaiement(calcul, paiement);
+
+      if (part.montantRembourse > 0) {
+        await sequestreService.rembourser(paiement, {
+          motif,
+          montant: part.montantRembourse,
+          compensation: part.compensation,
+          politique: part.politique,
+          io
+        });
+      } else if (paiement.portefeuilleConducteur?.statutSequestre === 'BLOQUE') {
+        await sequestreService.liberer(paiement);
+      }
+    }
+  }
+
+  /**
+   * Montants d'une annulation ramenés à l'un des paiements de la réservation,
+   * au prorata du montant encaissé
+   * @private
+   */
+  _pourPaiement(annulation, paiement) {
+    const montantBase = sequestreService.montantEncaisse(paiement);
+    if (!annulation.montantBase || montantBase === annulation.montantBase) {
+      return annulation;
+    }
+    const montantRembourse = Math.round(montantBase * annulation.tauxRemboursement);
+    return {
+      ...annulation,
+      montantBase,
+      montantRembourse,
+      fraisAnnulation: montantBase - montantRembourse,
+      compensation: Math.round((annulation.compensation || 0) * montantBase / annulation.montantBase)
+    };
+  }
+
+  /** @private */
+  async _paiementsRemboursables(reservationId) {
+    return Paiement.find({
+      reservationId,
+      statutPaiement: 'COMPLETE',
+      methodePaiement: { $ne: 'ESPECES' }
+    }).sort({ createdAt: -1 });
+  }
+
+  /** @private */
+  _montantBase(reservation, paiements) {
+    if (paiements.length > 0) {
+      return paiements.reduce((total, paiement) => total + sequestreService.montantEncaisse(paiement), 0);
+    }
+    return reservation.statutPaiement === 'PAYE' ? reservation.montantTotal : 0;
+  }
+
+  /** @private */
+  _charger() {
+    if (!this.referentiel) {
+      try {
+        this.referentiel = JSON.parse(fs.readFileSync(this.fichier, 'utf8'));
+      } catch (error) {
+        logger.error(`📜 Politiques d'annulation non chargées (${this.fichier}): ${error.message}`);
+        this.referentiel = REFERENTIEL_SECOURS;
+      }
+    }
+    return this.referentiel;
+  }
+}
+
+module.exports = new PolitiqueAnnulationService();
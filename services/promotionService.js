@@ -0,0 +1,479 @@
+// services/promotionService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CodePromo = require('../models/CodePromo');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const grandLivreService = require('./grandLivreService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const STATUTS_ACTIFS = ['EN_ATTENTE', 'CONFIRMEE'];
+const CHAMPS_CODE = [
+  'code', 'description', 'typeReduction', 'valeur', 'reductionMax', 'montantMinimum',
+  'dateDebut', 'dateFin', 'actif', 'limiteGlobale', 'limiteParUtilisateur', 'premiereCourseUniquement'
+];
+
+const normaliserCommune = (commune) => (commune || '')
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+const nombreEnv = (valeur, defaut) => {
+  const nombre = parseInt(valeur, 10);
+  return Number.isFinite(nombre) && nombre >= 0 ? nombre : defaut;
+};
+
+/**
+ * 🎁 Promotions : codes promo, crédit de parrainage, première course
+ *
+ * Une réduction est fixée à la réservation : Reservation.montantTotal est le
+ * montant dû par le passager, Reservation.promotion détaille le prix avant
+ * réduction, la part du code promo et la part prise sur le crédit
+ * promotionnel. Le paiement reporte ces parts dans repartitionFrais ; le grand
+ * livre les finance (PROMOTIONS, CREDIT_PROMOTIONNEL) de sorte que commission
+ * et gains du conducteur restent calculés sur le prix avant réduction.
+ *
+ * Parrainage : le filleul saisit le code de son parrain avant sa première
+ * course ; à la fin de celle-ci, les deux reçoivent un crédit promotionnel.
+ */
+class PromotionService {
+
+  constructor() {
+    this.config = {
+      CREDIT_PARRAIN: nombreEnv(process.env.PARRAINAGE_CREDIT_PARRAIN, 1000),
+      CREDIT_FILLEUL: nombreEnv(process.env.PARRAINAGE_CREDIT_FILLEUL, 1000),
+      // Montant minimum restant dû après réduction (plancher du paiement mobile)
+      MONTANT_MINIMUM_DU: nombreEnv(process.env.PROMOTION_MONTANT_MINIMUM_DU, 300)
+    };
+  }
+
+  // ============================================================
+  // RÉDUCTION À LA RÉSERVATION
+  // ============================================================
+
+  /**
+   * Vérifie qu'un code s'applique à une réservation et calcule la réduction
+   * @param {string} code
+   * @param {Object} contexte - { utilisateurId, trajet, montant, maintenant }
+   * @returns {Promise<{ codePromo: Object, reduction: number }>}
+   * @throws {AppError} PROMO_INVALID, PROMO_EXPIRED, PROMO_EXHAUSTED, PROMO_USER_LIMIT,
+   *                    PROMO_FIRST_RIDE_ONLY, PROMO_ROUTE_EXCLUDED, PROMO_MIN_AMOUNT
+   */
+  async evaluerCode(code, { utilisateurId, trajet, montant, maintenant = new Date() }) {
+    const codePromo = await CodePromo.findOne({ code: String(code).trim().toUpperCase() });
+    if (!codePromo || !codePromo.actif) {
+      throw this._erreur('Code promo invalide', 'PROMO_INVALID', 404);
+    }
+    if (maintenant < codePromo.dateDebut || maintenant > codePromo.dateFin) {
+      throw this._erreur('Ce code promo n\'est pas valable à cette date', 'PROMO_EXPIRED');
+    }
+    if (codePromo.limiteGlobale !== null && codePromo.nombreUtilisations >= codePromo.limiteGlobale) {
+      throw this._erreur('Ce code promo a atteint son nombre maximal d\'utilisations', 'PROMO_EXHAUSTED');
+    }
+    if (!this._trajetEligible(codePromo, trajet)) {
+      throw this._erreur('Ce code promo ne s\'applique pas à ce trajet', 'PROMO_ROUTE_EXCLUDED');
+    }
+    if (montant < codePromo.montantMinimum) {
+      throw this._erreur(`Ce code promo requiert un montant minimum de ${codePromo.montantMinimum} FCFA`, 'PROMO_MIN_AMOUNT');
+    }
+
+    const utilisations = await Reservation.countDocuments({
+      passagerId: utilisateurId,
+      'promotion.codePromoId': codePromo._id,
+      statutReservation: { $in: [...STATUTS_ACTIFS, 'TERMINEE'] }
+    });
+    if (utilisations >= codePromo.limiteParUtilisateur) {
+      throw this._erreur('Vous avez déjà utilisé ce code promo', 'PROMO_USER_LIMIT');
+    }
+
+    if (codePromo.premiereCourseUniquement && await this._aDejaVoyage(utilisateurId)) {
+      throw this._erreur('Ce code promo est réservé à la première course', 'PROMO_FIRST_RIDE_ONLY');
+    }
+
+    return { codePromo, reduction: this.calculerReduction(codePromo, montant) };
+  }
+
+  /**
+   * Réduction d'un code sur un montant, dans la limite du minimum restant dû
+   * @param {Object} codePromo
+   * @param {number} montant
+   * @returns {number}
+   */
+  calculerReduction(codePromo, montant) {
+    let reduction = codePromo.typeReduction === 'POURCENTAGE'
+      ? Math.round(montant * codePromo.valeur / 100)
+      : codePromo.valeur;
+    if (codePromo.reductionMax) {
+      reduction = Math.min(reduction, codePromo.reductionMax);
+    }
+    return Math.max(0, Math.min(reduction, montant - this.config.MONTANT_MINIMUM_DU));
+  }
+
+  /**
+   * Applique code promo et crédit promotionnel à une réservation en cours de
+   * création. L'utilisation du code est réservée : à libérer par
+   * annulerReduction si la réservation n'aboutit pas.
+   * @param {Object} params - { utilisateurId, trajet, montant, code, utiliserCredit, maintenant }
+   * @returns {Promise<{ montantTotal: number, promotion: Object|null }>}
+   */
+  async appliquerReduction({ utilisateurId, trajet, montant, code = null, utiliserCredit = false, maintenant = new Date() }) {
+    if (!code && !utiliserCredit) {
+      return { montantTotal: montant, promotion: null };
+    }
+
+    let codePromo = null;
+    let reduction = 0;
+    if (code) {
+      ({ codePromo, reduction } = await this.evaluerCode(code, { utilisateurId, trajet, montant, maintenant }));
+      if (!await CodePromo.reserverUtilisation(codePromo._id)) {
+        throw this._erreur('Ce code promo a atteint son nombre maximal d\'utilisations', 'PROMO_EXHAUSTED');
+      }
+    }
+
+    const creditUtilise = utiliserCredit
+      ? Math.max(0, Math.min(
+        await this.creditDisponible(utilisateurId),
+        montant - reduction - this.config.MONTANT_MINIMUM_DU
+      ))
+      : 0;
+
+    if (reduction + creditUtilise === 0) {
+      if (codePromo) await CodePromo.libererUtilisation(codePromo._id);
+      return { montantTotal: montant, promotion: null };
+    }
+
+    return {
+      montantTotal: montant - reduction - creditUtilise,
+      promotion: {
+        codePromoId: codePromo?._id,
+        code: codePromo?.code,
+        montantAvantReduction: montant,
+        reduction,
+        creditUtilise
+      }
+    };
+  }
+
+  /**
+   * Rend l'utilisation du code d'une réservation annulée ou refusée avant paiement
+   * @param {Object} reservation
+   */
+  async annulerReduction(reservation) {
+    const codePromoId = reservation.promotion?.codePromoId;
+    if (!codePromoId || reservation.statutPaiement === 'PAYE') return;
+    await CodePromo.libererUtilisation(codePromoId);
+  }
+
+  /**
+   * Parts de la réduction à reporter sur Paiement.repartitionFrais
+   * @param {Object} reservation
+   */
+  repartitionFrais(reservation) {
+    return {
+      reductionPlateforme: reservation?.promotion?.reduction || 0,
+      creditPassager: reservation?.promotion?.creditUtilise || 0
+    };
+  }
+
+  /**
+   * Crédit promotionnel utilisable : solde moins le crédit déjà engagé sur
+   * des réservations actives pas encore payées
+   * @param {string} utilisateurId
+   * @returns {Promise<number>}
+   */
+  async creditDisponible(utilisateurId) {
+    const solde = await grandLivreService.obtenirSolde('CREDIT_PROMOTIONNEL', utilisateurId);
+    const [engage] = await Reservation.aggregate([
+      {
+        $match: {
+          passagerId: new mongoose.Types.ObjectId(utilisateurId.toString()),
+          statutReservation: { $in: STATUTS_ACTIFS },
+          statutPaiement: 'EN_ATTENTE',
+          'promotion.creditUtilise': { $gt: 0 }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$promotion.creditUtilise' } } }
+    ]);
+    return Math.max(0, solde - (engage?.total || 0));
+  }
+
+  // ============================================================
+  // PARRAINAGE
+  // ============================================================
+
+  /**
+   * Code de parrainage de l'utilisateur (créé à la première demande) et bilan
+   * @param {string} utilisateurId
+   */
+  async obtenirParrainage(utilisateurId) {
+    const utilisateur = await Utilisateur.findById(utilisateurId).select('nom prenom parrainage');
+    if (!utilisateur) {
+      throw this._erreur('Utilisateur introuvable', 'USER_NOT_FOUND', 404);
+    }
+
+    const code = utilisateur.parrainage?.code || await this._attribuerCode(utilisateur);
+    const [filleuls, filleulsRecompenses, creditDisponible] = await Promise.all([
+      Utilisateur.countDocuments({ 'parrainage.parrainId': utilisateur._id }),
+      Utilisateur.countDocuments({ 'parrainage.parrainId': utilisateur._id, 'parrainage.recompenseVersee': true }),
+      this.creditDisponible(utilisateur._id)
+    ]);
+
+    return {
+      code,
+      creditParrain: this.config.CREDIT_PARRAIN,
+      creditFilleul: this.config.CREDIT_FILLEUL,
+      filleuls,
+      filleulsRecompenses,
+      parraine: Boolean(utilisateur.parrainage?.parrainId),
+      creditDisponible
+    };
+  }
+
+  /**
+   * Rattache un utilisateur au parrain dont il saisit le code, tant qu'il
+   * n'a encore terminé aucune course
+   * @param {string} filleulId
+   * @param {string} code
+   * @throws {AppError} REFERRAL_INVALID, REFERRAL_SELF, REFERRAL_ALREADY_SET, REFERRAL_TOO_LATE
+   */
+  async parrainer(filleulId, code, { maintenant = new Date() } = {}) {
+    const parrain = await Utilisateur.findOne({ 'parrainage.code': String(code).trim().toUpperCase() }).select('_id nom prenom');
+    if (!parrain) {
+      throw this._erreur('Code de parrainage invalide', 'REFERRAL_INVALID', 404);
+    }
+    if (parrain._id.toString() === filleulId.toString()) {
+      throw this._erreur('Vous ne pouvez pas utiliser votre propre code', 'REFERRAL_SELF');
+    }
+    if (await this._aDejaVoyage(filleulId)) {
+      throw this._erreur('Le parrainage doit être enregistré avant votre première course', 'REFERRAL_TOO_LATE');
+    }
+
+    const resultat = await Utilisateur.updateOne(
+      { _id: filleulId, 'parrainage.parrainId': null },
+      { $set: { 'parrainage.parrainId': parrain._id, 'parrainage.dateParrainage': maintenant } }
+    );
+    if (resultat.modifiedCount === 0) {
+      throw this._erreur('Un parrain est déjà enregistré sur votre compte', 'REFERRAL_ALREADY_SET', 409);
+    }
+
+    logger.info('🎁 Parrainage enregistré', { parrainId: parrain._id, filleulId });
+    return { parrain: { id: parrain._id, nom: parrain.nom, prenom: parrain.prenom } };
+  }
+
+  /**
+   * Verse le crédit de parrainage des passagers qui viennent de terminer
+   * leur première course. Sans effet pour les passagers sans parrain ou déjà
+   * récompensés ; une erreur n'interrompt pas la fin du trajet.
+   * @param {string|string[]} passagerIds
+   * @param {Object} [options] - { reservationId }
+   * @returns {Promise<number>} nombre de parrainages récompensés
+   */
+  async recompenserParrainages(passagerIds, { reservationId = null } = {}) {
+    const ids = [].concat(passagerIds).filter(Boolean);
+    let recompenses = 0;
+
+    for (const filleulId of ids) {
+      try {
+        if (await this._recompenserParrainage(filleulId, reservationId)) {
+          recompenses++;
+        }
+      } catch (error) {
+        logger.error('🎁 Récompense de parrainage impossible', { filleulId, error: error.message });
+      }
+    }
+    return recompenses;
+  }
+
+  // ============================================================
+  // ADMINISTRATION DES CODES
+  // ============================================================
+
+  async creerCode(donnees, adminId) {
+    if (await CodePromo.exists({ code: String(donnees.code).trim().toUpperCase() })) {
+      throw this._erreur('Ce code promo existe déjà', 'PROMO_CODE_EXISTS', 409);
+    }
+    const codePromo = await CodePromo.create({ ...this._extraireChamps(donnees), creePar: adminId });
+    logger.info(`🎁 Code promo créé: ${codePromo.code}`, { adminId });
+    return codePromo;
+  }
+
+  async modifierCode(codePromoId, donnees) {
+    const codePromo = await CodePromo.findById(codePromoId);
+    if (!codePromo) {
+      throw this._erreur('Code promo introuvable', 'PROMO_NOT_FOUND', 404);
+    }
+    // Le code a pu être diffusé : il n'est pas renommé
+    const { code, ...champs } = this._extraireChamps(donnees);
+    if (code && code.toUpperCase() !== codePromo.code) {
+      throw this._erreur('Le code d\'une promotion ne peut pas être modifié', 'PROMO_CODE_IMMUTABLE');
+    }
+    Object.assign(codePromo, champs);
+    await codePromo.save();
+    return codePromo;
+  }
+
+  async listerCodes({ actif, page = 1, limit = 20 } = {}) {
+    const filtre = actif === undefined ? {} : { actif };
+    const [codes, total] = await Promise.all([
+      CodePromo.find(filtre).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      CodePromo.countDocuments(filtre)
+    ]);
+    return { codes, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+  }
+
+  /**
+   * Détail d'un code et bilan de ses réservations (coût pour la plateforme)
+   */
+  async obtenirCode(codePromoId) {
+    const codePromo = await CodePromo.findById(codePromoId).lean();
+    if (!codePromo) {
+      throw this._erreur('Code promo introuvable', 'PROMO_NOT_FOUND', 404);
+    }
+    const statistiques = await Reservation.aggregate([
+      { $match: { 'promotion.codePromoId': codePromo._id } },
+      {
+        $group: {
+          _id: '$statutReservation',
+          reservations: { $sum: 1 },
+          reductionTotale: { $sum: '$promotion.reduction' },
+          montantPaye: { $sum: '$montantTotal' }
+        }
+      }
+    ]);
+    return { ...codePromo, statistiques };
+  }
+
+  // ============================================================
+  // OUTILS
+  // ============================================================
+
+  /** @private */
+  async _recompenserParrainage(filleulId, reservationId) {
+    // Réclamation atomique : un seul versement par filleul
+    const filleul = await Utilisateur.findOneAndUpdate(
+      { _id: filleulId, 'parrainage.parrainId': { $ne: null }, 'parrainage.recompenseVersee': { $ne: true } },
+      { $set: { 'parrainage.recompenseVersee': true, 'parrainage.dateRecompense': new Date() } },
+      { new: true }
+    ).select('nom prenom parrainage');
+    if (!filleul) return false;
+
+    const parrainId = filleul.parrainage.parrainId;
+    try {
+      await grandLivreService.crediterParrainage({
+        parrainId,
+        filleulId: filleul._id,
+        montantParrain: this.config.CREDIT_PARRAIN,
+        montantFilleul: this.config.CREDIT_FILLEUL,
+        reservationId
+      });
+    } catch (error) {
+      await Utilisateur.updateOne(
+        { _id: filleul._id },
+        { $set: { 'parrainage.recompenseVersee': false }, $unset: { 'parrainage.dateRecompense': 1 } }
+      );
+      throw error;
+    }
+
+    logger.info('🎁 Crédit de parrainage versé', { parrainId, filleulId: filleul._id });
+
+    await this._notifier(parrainId, {
+      titre: '🎁 Parrainage récompensé',
+      message: `${filleul.prenom || 'Votre filleul'} a terminé sa première course : ${this.config.CREDIT_PARRAIN} FCFA de crédit vous sont offerts`,
+      montant: this.config.CREDIT_PARRAIN
+    });
+    await this._notifier(filleul._id, {
+      titre: '🎁 Bienvenue à bord',
+      message: `Première course terminée : ${this.config.CREDIT_FILLEUL} FCFA de crédit vous sont offerts pour vos prochains trajets`,
+      montant: this.config.CREDIT_FILLEUL
+    });
+    return true;
+  }
+
+  /**
+   * Code lisible (initiales du prénom + 6 caractères), unique
+   * @private
+   */
+  async _attribuerCode(utilisateur) {
+    const prefixe = normaliserCommune(utilisateur.prenom || utilisateur.nom).replace(/[^a-z]/g, '').slice(0, 4).toUpperCase() || 'WAYZ';
+
+    for (let tentative = 0; tentative < 5; tentative++) {
+      const code = `${prefixe}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+      const resultat = await Utilisateur.updateOne(
+        { _id: utilisateur._id, 'parrainage.code': null },
+        { $set: { 'parrainage.code': code } }
+      ).catch((error) => {
+        if (error.code === 11000) return { modifiedCount: 0, collision: true };
+        throw error;
+      });
+
+      if (resultat.modifiedCount > 0) return code;
+      if (!resultat.collision) {
+        // Attribué entre-temps par une requête concurrente
+        const existant = await Utilisateur.findById(utilisateur._id).select('parrainage.code').lean();
+        if (existant?.parrainage?.code) return existant.parrainage.code;
+      }
+    }
+    throw new AppError('Impossible de générer un code de parrainage', { code: 'REFERRAL_CODE_GENERATION', status: 500 });
+  }
+
+  /** @private */
+  async _aDejaVoyage(utilisateurId) {
+    return Boolean(await Reservation.exists({ passagerId: utilisateurId, statutReservation: 'TERMINEE' }));
+  }
+
+  /** @private */
+  _trajetEligible(codePromo, trajet) {
+    const { communesDepart = [], communesArrivee = [] } = codePromo.restrictions || {};
+    const accepte = (liste, commune) =>
+      liste.length === 0 || liste.map(normaliserCommune).includes(normaliserCommune(commune));
+    return accepte(communesDepart, trajet?.pointDepart?.commune) &&
+      accepte(communesArrivee, trajet?.pointArrivee?.commune);
+  }
+
+  /** @private */
+  _extraireChamps(donnees) {
+    const champs = {};
+    for (const champ of CHAMPS_CODE) {
+      if (donnees[champ] !== undefined) champs[champ] = donnees[champ];
+    }
+    if (donnees.restrictions) {
+      champs.restrictions = {
+        communesDepart: (donnees.restrictions.communesDepart || []).map(normaliserCommune).filter(Boolean),
+        communesArrivee: (donnees.restrictions.communesArrivee || []).map(normaliserCommune).filter(Boolean)
+      };
+    }
+    return champs;
+  }
+
+  /** @private */
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
+
+  /**
+   * Notification in-app et push (catégorie promotions)
+   * @private
+   */
+  async _notifier(destinataireId, { titre, message, montant }) {
+    try {
+      // Récompense informative : push seul, sans repli payant
+      await livraisonNotificationsService.envoyer(destinataireId, {
+        evenement: 'PARRAINAGE_RECOMPENSE',
+        titre,
+        message,
+        donnees: { montant, screen: 'Parrainage' },
+        categorie: 'promotions',
+        priorite: 'BASSE'
+      });
+    } catch (error) {
+      logger.warn(`Notification parrainage non envoyée (${destinataireId}): ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,375 @@
+// services/rapprochementPaiementService.js
+
+const cron = require('node-cron');
+const ExcelJS = require('exceljs');
+const Paiement = require('../models/Paiement');
+const Utilisateur = require('../models/Utilisateur');
+const RapprochementPaiement = require('../models/RapprochementPaiement');
+const paiementMobileService = require('./paiementMobileService');
+const CinetPayLocalConnector = require('./connectors/cinetPayLocalConnector');
+const grandLivreService = require('./grandLivreService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+// Statuts fournisseur indiquant qu'une transaction n'aboutira plus
+const STATUTS_EXPIRES = ['EXPIRE', 'INCONNU'];
+
+const COLONNES_RAPPORT = [
+  { header: 'Référence', key: 'referenceTransaction', width: 28 },
+  { header: 'Type', key: 'type', width: 12 },
+  { header: 'Méthode', key: 'methodePaiement', width: 16 },
+  { header: 'Initié le', key: 'dateInitiation', width: 22 },
+  { header: 'Montant attendu', key: 'montantAttendu', width: 16 },
+  { header: 'Montant fournisseur', key: 'montantFournisseur', width: 18 },
+  { header: 'Statut avant', key: 'statutAvant', width: 14 },
+  { header: 'Statut après', key: 'statutApres', width: 14 },
+  { header: 'Code fournisseur', key: 'codeFournisseur', width: 16 },
+  { header: 'Statut fournisseur', key: 'statutFournisseur', width: 20 },
+  { header: 'Action', key: 'action', width: 16 },
+  { header: 'Écart de montant', key: 'ecartMontant', width: 16 },
+  { header: 'Message', key: 'message', width: 40 }
+];
+
+/**
+ * 🧾 Rapprochement quotidien des paiements avec leurs fournisseurs
+ *
+ * Des paiements restent EN_ATTENTE alors que le client a été débité
+ * (webhook perdu, application fermée avant le retour). Chaque nuit, tous
+ * les paiements et recharges non finalisés de la fenêtre sont relus via
+ * verifierStatutTransaction, qui interroge le fournisseur ayant pris en
+ * charge la transaction (CinetPay, Wave, Orange Money) et applique son statut
+ * (et la comptabilisation) exactement comme un webhook :
+ * - statut corrigé → CORRIGE (recharge : historique du conducteur mis à jour) ;
+ * - transaction expirée ou inconnue du fournisseur au-delà du délai → EXPIRE ;
+ * - montant du fournisseur différent du montant attendu → écart signalé sur la
+ *   ligne et dans les logs du paiement, jamais corrigé automatiquement.
+ * Le rapport de chaque passage est conservé et exportable en CSV/XLSX.
+ */
+class RapprochementPaiementService {
+
+  constructor() {
+    this.config = {
+      CRON: process.env.RAPPROCHEMENT_CRON || '30 2 * * *',
+      FUSEAU: process.env.RAPPROCHEMENT_FUSEAU || 'Africa/Abidjan',
+      // Fenêtre des paiements contrôlés
+      JOURS: parseInt(process.env.RAPPROCHEMENT_JOURS) || 30,
+      // Paiements trop récents ignorés : le client est peut-être en train de payer
+      DELAI_GRACE_MINUTES: 15,
+      // Au-delà, une transaction expirée chez le fournisseur passe en ECHEC
+      DELAI_EXPIRATION_HEURES: 24,
+      LIMITE: parseInt(process.env.RAPPROCHEMENT_LIMITE) || 2000
+    };
+
+    this.fournisseur = process.env.RAPPROCHEMENT_FOURNISSEUR === 'local'
+      ? new CinetPayLocalConnector()
+      : paiementMobileService;
+
+    this.job = null;
+    this.enCours = false;
+  }
+
+  /**
+   * Remplace le fournisseur interrogé (fournisseur local en test)
+   * @param {Object} fournisseur - expose verifierStatutTransaction(reference)
+   */
+  utiliserFournisseur(fournisseur) {
+    this.fournisseur = fournisseur;
+  }
+
+  start() {
+    if (this.job) return;
+    this.job = cron.schedule(this.config.CRON, async () => {
+      try {
+        await this.executer();
+      } catch (error) {
+        logger.error('🧾 Rapprochement des paiements automatique échoué', { error: error.message });
+      }
+    }, { timezone: this.config.FUSEAU });
+    logger.info('🧾 Rapprochement des paiements planifié', { cron: this.config.CRON, fuseau: this.config.FUSEAU });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ============================================================
+  // EXÉCUTION
+  // ============================================================
+
+  /**
+   * Lance un passage de rapprochement
+   * @param {Object} [options] - { declenchement, adminId, maintenant }
+   * @returns {Promise<Object>} rapport enregistré
+   */
+  async executer({ declenchement = 'AUTOMATIQUE', adminId = null, maintenant = new Date() } = {}) {
+    if (this.enCours) {
+      throw new AppError('Un rapprochement est déjà en cours', { code: 'RECONCILIATION_RUNNING', status: 409 });
+    }
+    this.enCours = true;
+
+    const periode = {
+      debut: new Date(maintenant.getTime() - this.config.JOURS * 24 * 60 * 60 * 1000),
+      fin: new Date(maintenant.getTime() - this.config.DELAI_GRACE_MINUTES * 60 * 1000)
+    };
+    const rapport = new RapprochementPaiement({
+      fournisseur: this.fournisseur.nom || 'cinetpay',
+      declenchement,
+      adminId,
+      periode
+    });
+
+    try {
+      await rapport.save();
+
+      const paiements = await Paiement.find({
+        statutPaiement: 'EN_ATTENTE',
+        methodePaiement: { $ne: 'ESPECES' },
+        dateInitiation: { $gte: periode.debut, $lte: periode.fin }
+      })
+        .select('referenceTransaction reservationId payeurId beneficiaireId montantTotal montantConducteur bonus methodePaiement dateInitiation statutPaiement')
+        .sort({ dateInitiation: 1 })
+        .limit(this.config.LIMITE + 1)
+        .lean();
+
+      rapport.tronque = paiements.length > this.config.LIMITE;
+
+      const lignes = [];
+      for (const paiement of paiements.slice(0, this.config.LIMITE)) {
+        lignes.push(await this._rapprocher(paiement, maintenant));
+      }
+
+      rapport.lignes = lignes;
+      rapport.statistiques = this._statistiques(lignes);
+      rapport.statut = 'TERMINE';
+      rapport.dateFin = new Date();
+      await rapport.save();
+
+      const { corriges, expires, ecartsMontant, erreurs } = rapport.statistiques;
+      const log = ecartsMontant > 0 || erreurs > 0 ? 'warn' : 'info';
+      logger[log]('🧾 Rapprochement des paiements terminé', {
+        rapportId: rapport._id,
+        controles: lignes.length,
+        corriges,
+        expires,
+        ecartsMontant,
+        erreurs,
+        tronque: rapport.tronque
+      });
+
+      return rapport;
+
+    } catch (error) {
+      rapport.statut = 'ECHOUE';
+      rapport.messageErreur = error.message;
+      rapport.dateFin = new Date();
+      await rapport.save().catch(() => {});
+      throw error;
+    } finally {
+      this.enCours = false;
+    }
+  }
+
+  async _rapprocher(paiement, maintenant) {
+    const ligne = {
+      paiementId: paiement._id,
+      referenceTransaction: paiement.referenceTransaction,
+      type: grandLivreService.estRecharge(paiement) ? 'RECHARGE' : 'PAIEMENT',
+      methodePaiement: paiement.methodePaiement,
+      dateInitiation: paiement.dateInitiation,
+      montantAttendu: paiement.montantTotal,
+      statutAvant: paiement.statutPaiement,
+      statutApres: paiement.statutPaiement
+    };
+
+    let resultat;
+    try {
+      resultat = await this.fournisseur.verifierStatutTransaction(paiement.referenceTransaction);
+    } catch (error) {
+      return { ...ligne, action: 'ERREUR', message: error.message };
+    }
+
+    const transaction = resultat.transactionFournisseur || {};
+    Object.assign(ligne, {
+      statutApres: resultat.statutPaiement,
+      codeFournisseur: Number.isFinite(transaction.code) ? transaction.code : null,
+      statutFournisseur: transaction.status,
+      montantFournisseur: transaction.montant ?? null,
+      action: resultat.statutModifie ? 'CORRIGE' : 'INCHANGE'
+    });
+
+    const ageHeures = (maintenant - new Date(paiement.dateInitiation)) / (60 * 60 * 1000);
+    if (!resultat.statutModifie &&
+        resultat.statutPaiement === 'EN_ATTENTE' &&
+        STATUTS_EXPIRES.includes(transaction.statut) &&
+        ageHeures > this.config.DELAI_EXPIRATION_HEURES) {
+      if (await this._expirer(paiement, transaction)) {
+        ligne.statutApres = 'ECHEC';
+        ligne.action = 'EXPIRE';
+      }
+    }
+
+    if (ligne.type === 'RECHARGE' && ligne.statutApres !== ligne.statutAvant) {
+      await this._finaliserRecharge(paiement, ligne.statutApres);
+    }
+
+    if (ligne.montantFournisseur !== null && ligne.montantFournisseur !== paiement.montantTotal) {
+      ligne.ecartMontant = true;
+      ligne.message = `${transaction.fournisseur || 'Fournisseur'} : ${ligne.montantFournisseur} FCFA, attendu : ${paiement.montantTotal} FCFA`;
+      await this._signalerEcart(paiement, ligne);
+    }
+
+    return ligne;
+  }
+
+  // Transaction abandonnée chez le fournisseur : le paiement ne sera jamais payé
+  async _expirer(paiement, transaction) {
+    const document = await Paiement.findById(paiement._id);
+    if (!document || !document.changerStatut('ECHEC', {
+      raison: 'EXPIRE_CHEZ_FOURNISSEUR',
+      code: transaction.code,
+      status: transaction.status
+    })) {
+      return false;
+    }
+    document.ajouterErreur('PAIEMENT_EXPIRE', `Transaction ${transaction.status || transaction.statut} chez ${transaction.fournisseur || 'le fournisseur'}`);
+    await document.save();
+    return true;
+  }
+
+  // Historique de recharge du conducteur (le crédit est déjà comptabilisé)
+  async _finaliserRecharge(paiement, statut) {
+    if (!['COMPLETE', 'ECHEC'].includes(statut)) return;
+
+    try {
+      const conducteur = await Utilisateur.findById(paiement.payeurId);
+      if (!conducteur) return;
+      if (statut === 'COMPLETE') {
+        const montantCredite = paiement.montantConducteur + (paiement.bonus?.bonusRecharge || 0);
+        await conducteur.confirmerRecharge(paiement.referenceTransaction, 'reussi', montantCredite);
+      } else {
+        await conducteur.confirmerRecharge(paiement.referenceTransaction, 'echec');
+      }
+    } catch (error) {
+      logger.warn('🧾 Historique de recharge non mis à jour', {
+        referenceTransaction: paiement.referenceTransaction,
+        error: error.message
+      });
+    }
+  }
+
+  async _signalerEcart(paiement, ligne) {
+    await Paiement.updateOne({ _id: paiement._id }, {
+      $push: {
+        logsTransaction: {
+          $each: [{
+            date: new Date(),
+            action: 'ECART_MONTANT_FOURNISSEUR',
+            details: { montantAttendu: ligne.montantAttendu, montantFournisseur: ligne.montantFournisseur },
+            source: 'SYSTEM',
+            niveau: 'WARNING'
+          }],
+          $slice: -50
+        }
+      }
+    });
+  }
+
+  _statistiques(lignes) {
+    const compter = (action) => lignes.filter(l => l.action === action).length;
+    return {
+      controles: lignes.length,
+      corriges: compter('CORRIGE'),
+      expires: compter('EXPIRE'),
+      ecartsMontant: lignes.filter(l => l.ecartMontant).length,
+      inchanges: compter('INCHANGE'),
+      erreurs: compter('ERREUR')
+    };
+  }
+
+  // ============================================================
+  // CONSULTATION ET EXPORT
+  // ============================================================
+
+  async listerRapports({ page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [rapports, total] = await Promise.all([
+      RapprochementPaiement.find()
+        .select('-lignes')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      RapprochementPaiement.countDocuments()
+    ]);
+
+    return {
+      rapports,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+  }
+
+  async obtenirRapport(rapportId) {
+    const rapport = await RapprochementPaiement.findById(rapportId).lean();
+    if (!rapport) {
+      throw AppError.notFound('Rapport de rapprochement introuvable');
+    }
+    return rapport;
+  }
+
+  /**
+   * Génère le fichier d'un rapport
+   * @param {Object} rapport
+   * @param {string} format - csv | xlsx
+   * @returns {Promise<{ contenu: Buffer, type: string, nomFichier: string }>}
+   */
+  async exporterRapport(rapport, format = 'xlsx') {
+    const jour = new Date(rapport.createdAt || Date.now()).toISOString().slice(0, 10);
+    const nomFichier = `rapprochement-cinetpay-${jour}-${rapport._id}.${format}`;
+    const lignes = (rapport.lignes || []).map(ligne => ({
+      ...ligne,
+      ecartMontant: ligne.ecartMontant ? 'oui' : 'non',
+      dateInitiation: ligne.dateInitiation ? new Date(ligne.dateInitiation).toISOString() : ''
+    }));
+
+    if (format === 'csv') {
+      const echapper = (valeur) => `"${String(valeur ?? '').replace(/"/g, '""')}"`;
+      const contenu = [
+        COLONNES_RAPPORT.map(c => echapper(c.header)).join(','),
+        ...lignes.map(ligne => COLONNES_RAPPORT.map(c => echapper(ligne[c.key])).join(','))
+      ].join('\n');
+
+      return { contenu: Buffer.from(`\uFEFF${contenu}`, 'utf8'), type: 'text/csv; charset=utf-8', nomFichier };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const resume = workbook.addWorksheet('Résumé');
+    resume.columns = [{ header: 'Indicateur', key: 'cle', width: 28 }, { header: 'Valeur', key: 'valeur', width: 30 }];
+    [
+      ['Fournisseur', rapport.fournisseur],
+      ['Déclenchement', rapport.declenchement],
+      ['Statut', rapport.statut],
+      ['Période (début)', rapport.periode?.debut ? new Date(rapport.periode.debut).toISOString() : ''],
+      ['Période (fin)', rapport.periode?.fin ? new Date(rapport.periode.fin).toISOString() : ''],
+      ...Object.entries(rapport.statistiques || {}).map(([cle, valeur]) => [cle, valeur]),
+      ['Tronqué', rapport.tronque ? 'oui' : 'non']
+    ].forEach(([cle, valeur]) => resume.addRow({ cle, valeur }));
+
+    const feuille = workbook.addWorksheet('Paiements');
+    feuille.columns = COLONNES_RAPPORT;
+    lignes.forEach(ligne => feuille.addRow(ligne));
+    feuille.getRow(1).font = { bold: true };
+
+    return {
+      contenu: Buffer.from(await workbook.xlsx.writeBuffer()),
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      nomFichier
+    };
+  }
+}
+
+module.exports = new RapprochementPaiementService();
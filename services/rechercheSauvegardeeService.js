@@ -0,0 +1,291 @@
+// services/rechercheSauvegardeeService.js
+
+const RechercheSauvegardee = require('../models/RechercheSauvegardee');
+const Trajet = require('../models/Trajet');
+const Reservation = require('../models/Reservation');
+const geoSearchService = require('./geoSearchService');
+const geocodingService = require('./geocodingService');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Recherches sauvegardées et alertes "prévenez-moi"
+ *
+ * Un passager enregistre départ / arrivée / rayon / fenêtre de dates /
+ * prix max. À chaque publication de trajet ou libération de places, le
+ * matcher de geoSearchService est rejoué contre les recherches actives ;
+ * les passagers concernés reçoivent un push FCM + une notification in-app.
+ *
+ * Garde-fous:
+ *   - un même trajet n'est signalé qu'une fois par recherche
+ *   - MAX_ALERTES_PAR_JOUR alertes par recherche et par jour
+ *   - recherches expirées automatiquement une fois la fenêtre dépassée
+ */
+class RechercheSauvegardeeService {
+
+  constructor() {
+    this.config = {
+      MAX_RECHERCHES_ACTIVES: 10,
+      DUREE_MAX_FENETRE_JOURS: 60,
+      RAYON_CORRIDOR_MAX_METRES: 5000
+    };
+  }
+
+  // ============================================================
+  // GESTION DES RECHERCHES
+  // ============================================================
+
+  /**
+   * Enregistre une recherche pour un passager
+   * @param {string} passagerId
+   * @param {Object} criteres - { departLat, departLng, arriveeLat, arriveeLng,
+   *                              adresseDepart, adresseArrivee, rayonKm,
+   *                              dateDebut, dateFin, prixMax, nombrePlaces, libelle }
+   * @returns {Promise<Object>} - Recherche créée
+   */
+  async creer(passagerId, criteres) {
+    const actives = await RechercheSauvegardee.countDocuments({ passagerId, statut: 'ACTIVE' });
+    if (actives >= this.config.MAX_RECHERCHES_ACTIVES) {
+      throw new Error(`Limite de ${this.config.MAX_RECHERCHES_ACTIVES} recherches actives atteinte`);
+    }
+
+    const recherche = new RechercheSauvegardee({
+      passagerId,
+      ...this._construireDonnees(criteres)
+    });
+    this._verifierFenetre(recherche.dateDebut, recherche.dateFin);
+
+    await recherche.save();
+    return recherche;
+  }
+
+  /**
+   * Modifie une recherche ; une recherche expirée redevient active
+   * si sa nouvelle fenêtre est dans le futur
+   */
+  async modifier(passagerId, rechercheId, criteres) {
+    const recherche = await RechercheSauvegardee.findOne({ _id: rechercheId, passagerId });
+    if (!recherche) {
+      throw new Error('Recherche sauvegardée introuvable');
+    }
+
+    const donnees = this._construireDonnees({
+      departLat:  recherche.depart.coordonnees.coordinates[1],
+      departLng:  recherche.depart.coordonnees.coordinates[0],
+      arriveeLat: recherche.arrivee.coordonnees.coordinates[1],
+      arriveeLng: recherche.arrivee.coordonnees.coordinates[0],
+      adresseDepart:  recherche.depart.adresse,
+      adresseArrivee: recherche.arrivee.adresse,
+      ...criteres
+    });
+
+    Object.entries(donnees).forEach(([champ, valeur]) => {
+      if (valeur !== undefined) recherche[champ] = valeur;
+    });
+    this._verifierFenetre(recherche.dateDebut, recherche.dateFin);
+
+    recherche.statut = 'ACTIVE';
+    await recherche.save();
+    return recherche;
+  }
+
+  async lister(passagerId, { statut } = {}) {
+    const filtre = { passagerId };
+    if (statut) filtre.statut = statut;
+
+    return RechercheSauvegardee.find(filtre)
+      .select('-trajetsNotifies')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async supprimer(passagerId, rechercheId) {
+    const resultat = await RechercheSauvegardee.deleteOne({ _id: rechercheId, passagerId });
+    if (resultat.deletedCount === 0) {
+      throw new Error('Recherche sauvegardée introuvable');
+    }
+  }
+
+  // ============================================================
+  // ALERTES
+  // ============================================================
+
+  /**
+   * Point d'entrée non bloquant : à appeler après la publication d'un
+   * trajet ou la libération de places. Les erreurs sont journalisées.
+   *
+   * @param {ObjectId|string} trajetId
+   * @param {Object} options - { motif: 'NOUVEAU_TRAJET'|'PLACES_LIBEREES', io }
+   */
+  signalerTrajetDisponible(trajetId, { motif = 'NOUVEAU_TRAJET', io = null } = {}) {
+    return this.notifierCorrespondances(trajetId, { motif, io }).catch(error => {
+      logger.error(`Alertes recherches sauvegardées (trajet ${trajetId}):`, error);
+      return { evaluees: 0, notifiees: 0 };
+    });
+  }
+
+  /**
+   * Rejoue le matcher de recherche contre les recherches actives
+   * @returns {Promise<{ evaluees: number, notifiees: number }>}
+   */
+  async notifierCorrespondances(trajetOuId, { motif = 'NOUVEAU_TRAJET', io = null, maintenant = new Date() } = {}) {
+    const trajet = trajetOuId?.pointDepart
+      ? trajetOuId
+      : await Trajet.findById(trajetOuId).lean();
+
+    if (!trajet || trajet.statutTrajet !== 'PROGRAMME' || !(trajet.nombrePlacesDisponibles > 0)) {
+      return { evaluees: 0, notifiees: 0 };
+    }
+
+    const dateDepart = new Date(trajet.dateDepart);
+    if (dateDepart < maintenant) {
+      return { evaluees: 0, notifiees: 0 };
+    }
+
+    const candidates = await RechercheSauvegardee.find({
+      statut: 'ACTIVE',
+      passagerId: { $ne: trajet.conducteurId?._id || trajet.conducteurId },
+      dateDebut: { $lte: dateDepart },
+      dateFin: { $gte: dateDepart },
+      nombrePlaces: { $lte: trajet.nombrePlacesDisponibles },
+      trajetsNotifies: { $ne: trajet._id },
+      $or: [{ prixMax: null }, { prixMax: { $gte: trajet.prixParPassager } }]
+    }).lean();
+
+    if (candidates.length === 0) {
+      return { evaluees: 0, notifiees: 0 };
+    }
+
+    // Les passagers ayant déjà réservé ce trajet ne sont pas alertés
+    const dejaPassagers = await Reservation.find({
+      trajetId: trajet._id,
+      passagerId: { $in: candidates.map(r => r.passagerId) },
+      statutReservation: { $in: ['EN_ATTENTE', 'CONFIRMEE'] }
+    }).distinct('passagerId');
+    const exclus = new Set(dejaPassagers.map(id => id.toString()));
+
+    let notifiees = 0;
+    for (const recherche of candidates) {
+      const passagerId = recherche.passagerId.toString();
+      if (exclus.has(passagerId)) continue;
+
+      const correspondance = geoSearchService.evaluerCorrespondance(trajet, this._criteresMatcher(recherche));
+      if (!correspondance) continue;
+
+      const reservee = await RechercheSauvegardee.reserverAlerte(recherche._id, trajet._id, maintenant);
+      if (!reservee) continue;
+
+      await this._envoyerAlerte(recherche, trajet, correspondance, motif, io);
+      exclus.add(passagerId); // Une seule alerte par passager et par trajet
+      notifiees++;
+    }
+
+    logger.info(`🔎 Recherches sauvegardées: ${candidates.length} évaluée(s), ${notifiees} alerte(s) pour le trajet ${trajet._id}`);
+    return { evaluees: candidates.length, notifiees };
+  }
+
+  /**
+   * Alerte in-app et push via livraisonNotificationsService (+ socket si disponible)
+   * @private
+   */
+  async _envoyerAlerte(recherche, trajet, correspondance, motif, io) {
+    const depart = trajet.pointDepart?.commune || trajet.pointDepart?.nom;
+    const arrivee = trajet.pointArrivee?.commune || trajet.pointArrivee?.nom;
+    const alerte = {
+      trajetId: trajet._id.toString(),
+      rechercheId: recherche._id.toString(),
+      motif,
+      depart,
+      arrivee,
+      date: new Date(trajet.dateDepart).toLocaleDateString('fr-FR'),
+      heureDepart: trajet.heureDepart,
+      prix: trajet.prixParPassager
+    };
+
+    const donnees = {
+      ...alerte,
+      arretMontee: correspondance.arretMontee,
+      correspondance: correspondance.correspondance,
+      screen: 'TrajetDetails'
+    };
+
+    // Simple suggestion : push seul, sans repli payant sur WhatsApp ou SMS
+    const { livraison } = await livraisonNotificationsService.envoyer(recherche.passagerId, {
+      evenement: 'RECHERCHE_SAUVEGARDEE',
+      titre: 'Un trajet correspond à votre recherche',
+      message: `${depart} → ${arrivee} le ${alerte.date} à ${alerte.heureDepart} (${alerte.prix} FCFA)`,
+      donnees,
+      categorie: 'trajets',
+      priorite: 'BASSE'
+    });
+
+    if (io) {
+      io.to(`user_${recherche.passagerId}`).emit('savedSearchMatch', {
+        notificationId: livraison.notificationId,
+        ...donnees
+      });
+    }
+  }
+
+  /**
+   * Critères du matcher geoSearchService pour une recherche
+   * @private
+   */
+  _criteresMatcher(recherche) {
+    const [departLng, departLat] = recherche.depart.coordonnees.coordinates;
+    const [arriveeLng, arriveeLat] = recherche.arrivee.coordonnees.coordinates;
+
+    return {
+      departLat, departLng,
+      arriveeLat, arriveeLng,
+      rayonMontee:    recherche.rayonKm,
+      rayonArrivee:   recherche.rayonKm,
+      rayonCorridor:  Math.min(recherche.rayonKm * 1000, this.config.RAYON_CORRIDOR_MAX_METRES),
+      communeArrivee: recherche.arrivee.commune
+    };
+  }
+
+  /**
+   * Normalise les critères reçus de l'API en champs du modèle
+   * @private
+   */
+  _construireDonnees(criteres) {
+    const lieu = (lat, lng, adresse) => {
+      const zone = geocodingService.reverseGeocode(lat, lng);
+      return {
+        adresse: adresse || zone?.label,
+        commune: zone?.commune,
+        coordonnees: { type: 'Point', coordinates: [lng, lat] }
+      };
+    };
+
+    return {
+      libelle:      criteres.libelle,
+      depart:       lieu(Number(criteres.departLat), Number(criteres.departLng), criteres.adresseDepart),
+      arrivee:      lieu(Number(criteres.arriveeLat), Number(criteres.arriveeLng), criteres.adresseArrivee),
+      rayonKm:      criteres.rayonKm !== undefined ? Number(criteres.rayonKm) : undefined,
+      dateDebut:    criteres.dateDebut ? new Date(criteres.dateDebut) : undefined,
+      dateFin:      criteres.dateFin ? new Date(criteres.dateFin) : undefined,
+      prixMax:      criteres.prixMax !== undefined ? criteres.prixMax : undefined,
+      nombrePlaces: criteres.nombrePlaces !== undefined ? Number(criteres.nombrePlaces) : undefined
+    };
+  }
+
+  /**
+   * @private
+   */
+  _verifierFenetre(dateDebut, dateFin) {
+    if (!dateDebut || !dateFin || isNaN(dateDebut) || isNaN(dateFin)) {
+      throw new Error('La fenêtre de dates (dateDebut, dateFin) est invalide');
+    }
+    if (dateFin < new Date()) {
+      throw new Error('La fenêtre de dates doit se terminer dans le futur');
+    }
+    const dureeJours = (dateFin - dateDebut) / (24 * 60 * 60 * 1000);
+    if (dureeJours > this.config.DUREE_MAX_FENETRE_JOURS) {
+      throw new Error(`La fenêtre de dates ne peut pas dépasser ${this.config.DUREE_MAX_FENETRE_JOURS} jours`);
+    }
+  }
+}
+
+module.exports = new RechercheSauvegardeeService();
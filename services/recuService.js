@@ -0,0 +1,466 @@
+// services/recuService.js
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Paiement = require('../models/Paiement');
+const Recu = require('../models/Recu');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const grandLivreService = require('./grandLivreService');
+const AppError = require('../utils/AppError');
+const { genererPdf, formaterMontant } = require('../utils/pdf');
+const { logger } = require('../utils/logger');
+
+// Statuts d'un paiement qui a été complété (un remboursement ultérieur n'annule pas le reçu)
+const STATUTS_EMETTEURS = ['COMPLETE', 'REMBOURSE'];
+
+// JSON à clés triées : l'empreinte ne dépend pas de l'ordre des champs en base
+const canonique = (valeur) => {
+  if (Array.isArray(valeur)) {
+    return `[${valeur.map(canonique).join(',')}]`;
+  }
+  if (valeur && typeof valeur === 'object') {
+    return `{${Object.keys(valeur).sort().map(cle => `${JSON.stringify(cle)}:${canonique(valeur[cle])}`).join(',')}}`;
+  }
+  return JSON.stringify(valeur === undefined ? null : valeur);
+};
+
+const nomComplet = (utilisateur) =>
+  utilisateur ? [utilisateur.prenom, utilisateur.nom].filter(Boolean).join(' ') : null;
+
+const libellePoint = (point) => point?.commune || point?.nom || point?.adresse || null;
+
+/**
+ * 🧾 Reçus numérotés des paiements complétés
+ *
+ * Chaque paiement complété (course ou recharge) reçoit un reçu à numéro
+ * séquentiel sans trou (RC-AAAA-000001). Le contenu est figé à l'émission
+ * et chaîné au reçu précédent par une empreinte SHA-256 : un reçu modifié,
+ * supprimé ou intercalé est détecté par verifierRecu / verifierChaine.
+ *
+ * Les paiements sont complétés par de nombreux chemins (webhook, vérification,
+ * espèces, rapprochement) : le job périodique émet les reçus manquants dans
+ * l'ordre de complétion, et un reçu demandé avant son passage est émis
+ * immédiatement.
+ */
+class RecuService {
+
+  constructor() {
+    this.config = {
+      CRON: process.env.RECUS_CRON || '*/5 * * * *',
+      FUSEAU: process.env.RECUS_FUSEAU || 'Africa/Abidjan',
+      LIMITE: parseInt(process.env.RECUS_LIMITE) || 500,
+      // Émissions concurrentes : la séquence déjà prise est relue
+      TENTATIVES: 5
+    };
+
+    this.job = null;
+    this.enCours = false;
+  }
+
+  start() {
+    if (this.job) return;
+    this.job = cron.schedule(this.config.CRON, async () => {
+      if (this.enCours) return;
+      this.enCours = true;
+      try {
+        await this.emettreRecusManquants();
+      } catch (error) {
+        logger.error('🧾 Émission des reçus échouée', { error: error.message });
+      } finally {
+        this.enCours = false;
+      }
+    }, { timezone: this.config.FUSEAU });
+    logger.info('🧾 Émission des reçus planifiée', { cron: this.config.CRON });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ============================================================
+  // ÉMISSION
+  // ============================================================
+
+  /**
+   * Émet les reçus des paiements complétés qui n'en ont pas encore
+   * @returns {Promise<Object>} { emis, erreurs }
+   */
+  async emettreRecusManquants() {
+    const bilan = { emis: 0, erreurs: 0 };
+    const paiements = await Paiement.find({
+      statutPaiement: { $in: STATUTS_EMETTEURS },
+      dateCompletion: { $ne: null },
+      numeroRecu: null
+    }).sort({ dateCompletion: 1 }).limit(this.config.LIMITE);
+
+    for (const paiement of paiements) {
+      try {
+        await this.emettreRecu(paiement);
+        bilan.emis++;
+      } catch (error) {
+        bilan.erreurs++;
+        logger.error('🧾 Reçu non émis', { paiementId: paiement._id, error: error.message });
+      }
+    }
+
+    if (bilan.emis || bilan.erreurs) {
+      logger.info('🧾 Reçus émis', bilan);
+    }
+    return bilan;
+  }
+
+  /**
+   * Émet le reçu d'un paiement complété (idempotent : renvoie le reçu existant)
+   * @param {Object|string} paiementOuId - document Paiement ou identifiant
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<Object>} reçu
+   */
+  async emettreRecu(paiementOuId, { maintenant = new Date() } = {}) {
+    const paiement = paiementOuId instanceof Paiement ? paiementOuId : await Paiement.findById(paiementOuId);
+    if (!paiement) {
+      throw this._erreur('Paiement introuvable', 'PAYMENT_NOT_FOUND', 404);
+    }
+
+    const existant = await Recu.findOne({ paiementId: paiement._id });
+    if (existant) {
+      if (paiement.numeroRecu !== existant.numero) {
+        await this._lierPaiement(paiement, existant.numero);
+      }
+      return existant;
+    }
+
+    if (!STATUTS_EMETTEURS.includes(paiement.statutPaiement) || !paiement.dateCompletion) {
+      throw this._erreur('Le reçu n\'est disponible qu\'une fois le paiement complété', 'RECEIPT_NOT_AVAILABLE', 409);
+    }
+
+    const instantane = await this._instantane(paiement);
+
+    for (let tentative = 1; ; tentative++) {
+      const dernier = await Recu.findOne().sort({ sequence: -1 }).select('sequence empreinte').lean();
+      const sequence = (dernier?.sequence || 0) + 1;
+      const numero = this.formaterNumero(sequence, maintenant);
+      const empreintePrecedente = dernier?.empreinte || Recu.EMPREINTE_ORIGINE;
+      const contenu = { ...instantane, numero, dateEmission: maintenant.toISOString() };
+
+      try {
+        const recu = await Recu.create({
+          numero,
+          sequence,
+          paiementId: paiement._id,
+          payeurId: paiement.payeurId,
+          beneficiaireId: paiement.beneficiaireId,
+          type: contenu.type,
+          montant: paiement.montantTotal,
+          contenu,
+          empreinte: this.calculerEmpreinte({ sequence, numero, contenu, empreintePrecedente }),
+          empreintePrecedente,
+          dateEmission: maintenant
+        });
+
+        await this._lierPaiement(paiement, numero);
+        logger.info('🧾 Reçu émis', { numero, paiementId: paiement._id });
+        return recu;
+
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Reçu émis entre-temps pour ce paiement par un autre passage
+        if (error.keyPattern?.paiementId) {
+          return Recu.findOne({ paiementId: paiement._id });
+        }
+        // Séquence prise par une émission concurrente : relire le dernier reçu
+        if (tentative >= this.config.TENTATIVES) throw error;
+      }
+    }
+  }
+
+  /**
+   * Numéro affiché d'un reçu
+   * @param {number} sequence
+   * @param {Date} date - date d'émission
+   * @returns {string} RC-AAAA-000001
+   */
+  formaterNumero(sequence, date = new Date()) {
+    return `RC-${date.getUTCFullYear()}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Empreinte SHA-256 d'un reçu, chaînée à celle du reçu précédent
+   * @param {Object} recu - { sequence, numero, contenu, empreintePrecedente }
+   * @returns {string}
+   */
+  calculerEmpreinte({ sequence, numero, contenu, empreintePrecedente }) {
+    return crypto
+      .createHash('sha256')
+      .update(`${sequence}|${numero}|${empreintePrecedente}|${canonique(contenu)}`)
+      .digest('hex');
+  }
+
+  urlRecu(numero) {
+    return `${process.env.BASE_URL || 'http://localhost:3000'}/api/recus/${numero}/pdf`;
+  }
+
+  urlVerification(numero) {
+    return `${process.env.BASE_URL || 'http://localhost:3000'}/api/recus/verification/${numero}`;
+  }
+
+  // ============================================================
+  // CONSULTATION
+  // ============================================================
+
+  /**
+   * Reçus de l'utilisateur, comme payeur ou comme bénéficiaire
+   * @param {string} utilisateurId
+   * @param {Object} [options] - { page, limite }
+   * @returns {Promise<Object>} { recus, pagination }
+   */
+  async listerRecus(utilisateurId, { page = 1, limite = 20 } = {}) {
+    const filtre = { $or: [{ payeurId: utilisateurId }, { beneficiaireId: utilisateurId }] };
+    const [recus, total] = await Promise.all([
+      Recu.find(filtre)
+        .select('numero type montant paiementId dateEmission contenu.paiement.referenceTransaction')
+        .sort({ dateEmission: -1 })
+        .skip((page - 1) * limite)
+        .limit(limite)
+        .lean(),
+      Recu.countDocuments(filtre)
+    ]);
+
+    return {
+      recus,
+      pagination: { page, limite, total, pages: Math.ceil(total / limite) }
+    };
+  }
+
+  /**
+   * Reçu consultable par le payeur ou le bénéficiaire
+   * @param {string} numero
+   * @param {string} utilisateurId
+   * @returns {Promise<Object>}
+   */
+  async obtenirRecu(numero, utilisateurId) {
+    const recu = await Recu.findOne({ numero: String(numero).toUpperCase() });
+    if (!recu) {
+      throw this._erreur('Reçu introuvable', 'RECEIPT_NOT_FOUND', 404);
+    }
+    this._verifierAcces(recu, utilisateurId);
+    return recu;
+  }
+
+  /**
+   * Reçu d'un paiement de l'utilisateur, émis à la demande s'il manque encore
+   * @param {string} paiementId
+   * @param {string} utilisateurId
+   * @returns {Promise<Object>}
+   */
+  async obtenirRecuPaiement(paiementId, utilisateurId) {
+    const paiement = await Paiement.findById(paiementId);
+    if (!paiement) {
+      throw this._erreur('Paiement introuvable', 'PAYMENT_NOT_FOUND', 404);
+    }
+    this._verifierAcces(paiement, utilisateurId);
+    return this.emettreRecu(paiement);
+  }
+
+  /**
+   * Contrôle public d'un reçu : intégrité du contenu et liens avec ses voisins
+   * @param {string} numero
+   * @returns {Promise<Object>} sans donnée personnelle
+   */
+  async verifierRecu(numero) {
+    const recu = await Recu.findOne({ numero: String(numero).toUpperCase() }).lean();
+    if (!recu) {
+      throw this._erreur('Reçu introuvable', 'RECEIPT_NOT_FOUND', 404);
+    }
+
+    const integre = recu.empreinte === this.calculerEmpreinte(recu);
+    const [precedent, suivant] = await Promise.all([
+      recu.sequence > 1 ? Recu.findOne({ sequence: recu.sequence - 1 }).select('empreinte').lean() : null,
+      Recu.findOne({ sequence: recu.sequence + 1 }).select('empreintePrecedente').lean()
+    ]);
+    const chaineValide = (recu.sequence === 1
+      ? recu.empreintePrecedente === Recu.EMPREINTE_ORIGINE
+      : Boolean(precedent) && precedent.empreinte === recu.empreintePrecedente)
+      && (!suivant || suivant.empreintePrecedente === recu.empreinte);
+
+    return {
+      numero: recu.numero,
+      valide: integre && chaineValide,
+      integre,
+      chaineValide,
+      type: recu.type,
+      montant: recu.montant,
+      dateEmission: recu.dateEmission,
+      empreinte: recu.empreinte
+    };
+  }
+
+  /**
+   * Audit de la chaîne complète (ou à partir d'une séquence)
+   * @param {Object} [options] - { depuis, limite }
+   * @returns {Promise<Object>} { controles, valide, anomalies, derniereSequence }
+   */
+  async verifierChaine({ depuis = 1, limite = 10000 } = {}) {
+    const resultat = { controles: 0, valide: true, anomalies: [], derniereSequence: null };
+    let empreinteAttendue = null;
+
+    if (depuis > 1) {
+      const precedent = await Recu.findOne({ sequence: depuis - 1 }).select('empreinte').lean();
+      empreinteAttendue = precedent?.empreinte || null;
+    } else {
+      empreinteAttendue = Recu.EMPREINTE_ORIGINE;
+    }
+
+    const curseur = Recu.find({ sequence: { $gte: depuis } }).sort({ sequence: 1 }).limit(limite).lean().cursor();
+    let sequenceAttendue = depuis;
+
+    for await (const recu of curseur) {
+      resultat.controles++;
+      if (recu.sequence !== sequenceAttendue) {
+        resultat.anomalies.push({ sequence: sequenceAttendue, anomalie: 'RECU_MANQUANT' });
+      }
+      if (empreinteAttendue !== null && recu.empreintePrecedente !== empreinteAttendue) {
+        resultat.anomalies.push({ sequence: recu.sequence, numero: recu.numero, anomalie: 'CHAINE_ROMPUE' });
+      }
+      if (recu.empreinte !== this.calculerEmpreinte(recu)) {
+        resultat.anomalies.push({ sequence: recu.sequence, numero: recu.numero, anomalie: 'CONTENU_ALTERE' });
+      }
+      empreinteAttendue = recu.empreinte;
+      sequenceAttendue = recu.sequence + 1;
+      resultat.derniereSequence = recu.sequence;
+    }
+
+    resultat.valide = resultat.anomalies.length === 0;
+    return resultat;
+  }
+
+  // ============================================================
+  // PDF
+  // ============================================================
+
+  /**
+   * Reçu au format PDF, généré à partir du contenu figé
+   * @param {Object} recu
+   * @returns {Promise<Object>} { contenu: Buffer, type, nomFichier }
+   */
+  async genererPdf(recu) {
+    const { contenu } = recu;
+    const montants = contenu.montants || {};
+
+    const pdf = await genererPdf((doc) => {
+      doc.fontSize(20).text('WAYZ-ECO', { align: 'center' });
+      doc.fontSize(14).text(contenu.type === 'RECHARGE' ? 'Reçu de recharge' : 'Reçu de paiement de course', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11);
+      doc.text(`Reçu n° ${recu.numero}`);
+      doc.text(`Émis le : ${new Date(contenu.dateEmission).toLocaleString('fr-FR', { timeZone: this.config.FUSEAU })}`);
+      doc.text(`Paiement : ${contenu.paiement.referenceTransaction}`);
+      doc.text(`Réglé le : ${new Date(contenu.paiement.dateCompletion).toLocaleString('fr-FR', { timeZone: this.config.FUSEAU })}`);
+      doc.text(`Méthode : ${contenu.paiement.methodePaiement}${contenu.paiement.operateur ? ` (${contenu.paiement.operateur})` : ''}`);
+      doc.moveDown();
+
+      doc.text(`Payé par : ${contenu.payeur.nom || '—'}`);
+      if (contenu.type === 'COURSE') {
+        doc.text(`Conducteur : ${contenu.beneficiaire.nom || '—'}`);
+        if (contenu.trajet) {
+          doc.text(`Trajet : ${contenu.trajet.depart || '—'} → ${contenu.trajet.arrivee || '—'}`);
+          if (contenu.trajet.dateDepart) {
+            doc.text(`Départ : ${new Date(contenu.trajet.dateDepart).toLocaleString('fr-FR', { timeZone: this.config.FUSEAU })}`);
+          }
+        }
+      }
+      doc.moveDown();
+
+      if (montants.reduction || montants.creditUtilise) {
+        doc.text(`Prix de la course : ${formaterMontant(montants.montantAvantReduction)}`);
+        if (montants.reduction) doc.text(`Réduction : -${formaterMontant(montants.reduction)}`);
+        if (montants.creditUtilise) doc.text(`Crédit promotionnel : -${formaterMontant(montants.creditUtilise)}`);
+      }
+      doc.fontSize(13).text(`Montant payé : ${formaterMontant(montants.montantPaye)}`);
+      doc.moveDown(2);
+
+      doc.fontSize(8).fillColor('#555555');
+      doc.text(`Empreinte : ${recu.empreinte}`);
+      doc.text(`Vérification : ${this.urlVerification(recu.numero)}`);
+    }, { info: { Title: `Reçu ${recu.numero}`, Author: 'WAYZ-ECO' } });
+
+    return { contenu: pdf, type: 'application/pdf', nomFichier: `recu-${recu.numero}.pdf` };
+  }
+
+  // ============================================================
+  // UTILITAIRES
+  // ============================================================
+
+  async _instantane(paiement) {
+    const estRecharge = grandLivreService.estRecharge(paiement);
+    const [utilisateurs, reservation] = await Promise.all([
+      Utilisateur.find({ _id: { $in: [paiement.payeurId, paiement.beneficiaireId].filter(Boolean) } })
+        .select('nom prenom')
+        .lean(),
+      !estRecharge && paiement.reservationId
+        ? Reservation.findById(paiement.reservationId)
+          .select('trajetId nombrePlacesReservees')
+          .populate('trajetId', 'pointDepart pointArrivee dateDepart')
+          .lean()
+        : null
+    ]);
+    const parId = (id) => utilisateurs.find(u => String(u._id) === String(id));
+    const trajet = reservation?.trajetId;
+
+    return {
+      type: estRecharge ? 'RECHARGE' : 'COURSE',
+      devise: 'XOF',
+      paiement: {
+        id: String(paiement._id),
+        referenceTransaction: paiement.referenceTransaction,
+        methodePaiement: paiement.methodePaiement,
+        operateur: paiement.mobileMoney?.operateur || null,
+        dateCompletion: new Date(paiement.dateCompletion).toISOString()
+      },
+      payeur: { id: String(paiement.payeurId), nom: nomComplet(parId(paiement.payeurId)) },
+      beneficiaire: paiement.beneficiaireId
+        ? { id: String(paiement.beneficiaireId), nom: nomComplet(parId(paiement.beneficiaireId)) }
+        : null,
+      trajet: trajet
+        ? {
+          depart: libellePoint(trajet.pointDepart),
+          arrivee: libellePoint(trajet.pointArrivee),
+          dateDepart: trajet.dateDepart ? new Date(trajet.dateDepart).toISOString() : null,
+          places: reservation.nombrePlacesReservees || null
+        }
+        : null,
+      montants: {
+        montantAvantReduction: paiement.montantAvantReduction,
+        reduction: paiement.repartitionFrais?.reductionPlateforme || 0,
+        creditUtilise: paiement.repartitionFrais?.creditPassager || 0,
+        montantPaye: paiement.montantTotal,
+        fraisTransaction: paiement.fraisTransaction || 0,
+        commission: estRecharge ? 0 : (paiement.commission?.montant || 0),
+        montantConducteur: estRecharge ? 0 : (paiement.montantConducteur || 0)
+      }
+    };
+  }
+
+  async _lierPaiement(paiement, numero) {
+    paiement.numeroRecu = numero;
+    paiement.urlRecu = this.urlRecu(numero);
+    await Paiement.updateOne({ _id: paiement._id }, { $set: { numeroRecu: numero, urlRecu: paiement.urlRecu } });
+  }
+
+  _verifierAcces(document, utilisateurId) {
+    const autorises = [document.payeurId, document.beneficiaireId].filter(Boolean).map(String);
+    if (!autorises.includes(String(utilisateurId))) {
+      throw this._erreur('Ce reçu ne vous concerne pas', 'RECEIPT_FORBIDDEN', 403);
+    }
+  }
+
+  _erreur(message, code, status = 400) {
+    return new AppError(message, { code, status });
+  }
+}
+
+module.exports = new RecuService();
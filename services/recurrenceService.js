@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const Trajet = require('../models/Trajet');
+const Reservation = require('../models/Reservation');
+const Utilisateur = require('../models/Utilisateur');
+const firebaseService = require('./firebaseService');
+const distanceService = require('./distanceService');
+const rechercheSauvegardeeService = require('./rechercheSauvegardeeService');
+
+const JOURS_SEMAINE = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'];
+const MS_PAR_SEMAINE = 7 * 24 * 60 * 60 * 1000;
 
 /**
  * Service de gestion des trajets récurrents
@@ -28,8 +36,9 @@ class RecurrenceService {
         throw new Error('Le trajet spécifié n\'est pas un trajet récurrent');
       }
       
-      if (!trajetRecurrent.recurrence || !trajetRecurrent.recurrence.jours || trajetRecurrent.recurrence.jours.length === 0) {
-        throw new Error('Configuration de récurrence invalide');
+      const erreurConfiguration = this.validerConfiguration(trajetRecurrent.recurrence);
+      if (erreurConfiguration) {
+        throw new Error(`Configuration de récurrence invalide: ${erreurConfiguration}`);
       }
       
       // Définir les dates de début et fin
@@ -46,24 +55,26 @@ class RecurrenceService {
       
       console.log(`📅 Période de génération: ${debut.toISOString()} → ${fin.toISOString()}`);
       
-      // Générer les dates des instances
-      const datesInstances = this.genererDatesRecurrence(
-        trajetRecurrent.recurrence.jours,
+      // Générer les occurrences (motif, intervalle, horaires par jour, exceptions)
+      const occurrences = this.genererOccurrences(
+        trajetRecurrent.recurrence,
         debut,
         fin,
-        trajetRecurrent.heureDepart
+        trajetRecurrent.heureDepart,
+        trajetRecurrent.dateDepart
       );
+      const datesInstances = occurrences.map(occurrence => occurrence.date);
       
       console.log(`📋 ${datesInstances.length} instances à générer`);
       
       // Vérifier les instances existantes pour éviter les doublons
       const instancesExistantes = await this.verifierInstancesExistantes(trajetRecurrentId, datesInstances);
-      const datesNouvelles = datesInstances.filter(date => !instancesExistantes.includes(date));
+      const occurrencesNouvelles = occurrences.filter(occurrence => !instancesExistantes.includes(occurrence.date));
       
-      console.log(`✅ ${datesNouvelles.length} nouvelles instances à créer`);
+      console.log(`✅ ${occurrencesNouvelles.length} nouvelles instances à créer`);
       
       // Créer les nouvelles instances
-      const instancesCreees = await this.creerInstances(trajetRecurrent, datesNouvelles);
+      const instancesCreees = await this.creerInstances(trajetRecurrent, occurrencesNouvelles);
       
       console.log(`🎯 ${instancesCreees.length} instances créées avec succès`);
       
@@ -84,7 +95,7 @@ class RecurrenceService {
   }
   
   /**
-   * Génère les dates des instances récurrentes
+   * Génère les dates des instances récurrentes (motif hebdomadaire simple)
    * @param {Array} jours - Jours de la semaine (LUNDI, MARDI, etc.)
    * @param {Date} dateDebut - Date de début
    * @param {Date} dateFin - Date de fin
@@ -92,33 +103,136 @@ class RecurrenceService {
    * @returns {Array<Date>} - Dates des instances
    */
   static genererDatesRecurrence(jours, dateDebut, dateFin, heureDepart) {
-    const dates = [];
-    const joursSemaine = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'];
-    
-    // Convertir les jours en indices (0-6)
-    const indicesJours = jours.map(jour => joursSemaine.indexOf(jour));
+    return this.genererOccurrences({ jours }, dateDebut, dateFin, heureDepart)
+      .map(occurrence => occurrence.date);
+  }
+  
+  /**
+   * Génère les occurrences d'une récurrence complète
+   * - HEBDOMADAIRE : jours de la semaine, toutes les `intervalleSemaines` semaines
+   *   (semaine de référence = semaine de dateAncrage)
+   * - MENSUEL : jours du mois (le 15) et/ou positions (1er lundi, dernier vendredi)
+   * - horairesParJour : heure de départ propre à un jour de la semaine
+   * - exceptions : occurrence annulée ou heure décalée à une date précise
+   *
+   * @param {Object} recurrence - Sous-document recurrence du trajet
+   * @param {Date} dateDebut - Date de début
+   * @param {Date} dateFin - Date de fin
+   * @param {String} heureDepart - Heure de départ par défaut (HH:MM)
+   * @param {Date} dateAncrage - Référence pour l'intervalle de semaines (défaut: dateDebut)
+   * @returns {Array<{date: Date, heureDepart: String, exception: String|null}>}
+   */
+  static genererOccurrences(recurrence, dateDebut, dateFin, heureDepart, dateAncrage = null) {
+    const occurrences = [];
+    const frequence = recurrence.frequence || 'HEBDOMADAIRE';
+    const intervalle = recurrence.intervalleSemaines || 1;
+    const semaineAncrage = this._debutSemaine(dateAncrage || dateDebut);
     
-    // Date courante pour l'itération
-    let dateCourante = new Date(dateDebut);
+    const horaires = new Map((recurrence.horairesParJour || []).map(h => [h.jour, h.heureDepart]));
+    const exceptions = new Map((recurrence.exceptions || []).map(e => [this._cleJour(new Date(e.date)), e]));
     
-    // Ajuster à l'heure de départ
-    const [heures, minutes] = heureDepart.split(':').map(Number);
-    dateCourante.setHours(heures, minutes, 0, 0);
+    // Itération jour par jour (minuit local)
+    const jourCourant = new Date(dateDebut);
+    jourCourant.setHours(0, 0, 0, 0);
     
-    // Générer les dates jusqu'à la fin
-    while (dateCourante <= dateFin) {
-      const jourSemaine = dateCourante.getDay(); // 0 = Dimanche, 1 = Lundi, etc.
-      
-      // Vérifier si c'est un jour de récurrence
-      if (indicesJours.includes(jourSemaine)) {
-        dates.push(new Date(dateCourante));
+    while (jourCourant <= dateFin) {
+      if (this._correspondAuMotif(jourCourant, recurrence, frequence, intervalle, semaineAncrage)) {
+        const exception = exceptions.get(this._cleJour(jourCourant));
+        
+        if (!exception || exception.type !== 'ANNULEE') {
+          const heure = exception?.type === 'HORAIRE_MODIFIE'
+            ? exception.heureDepart
+            : (horaires.get(JOURS_SEMAINE[jourCourant.getDay()]) || heureDepart);
+          
+          const [heures, minutes] = heure.split(':').map(Number);
+          const date = new Date(jourCourant);
+          date.setHours(heures, minutes, 0, 0);
+          
+          if (date <= dateFin) {
+            occurrences.push({ date, heureDepart: heure, exception: exception?.type || null });
+          }
+        }
       }
       
       // Passer au jour suivant
-      dateCourante.setDate(dateCourante.getDate() + 1);
+      jourCourant.setDate(jourCourant.getDate() + 1);
+    }
+    
+    return occurrences;
+  }
+  
+  /**
+   * Vérifie qu'une configuration de récurrence est exploitable
+   * @param {Object} recurrence - Sous-document recurrence
+   * @returns {String|null} - Message d'erreur, ou null si valide
+   */
+  static validerConfiguration(recurrence) {
+    if (!recurrence) {
+      return 'récurrence absente';
+    }
+    
+    if ((recurrence.frequence || 'HEBDOMADAIRE') === 'MENSUEL') {
+      if (!recurrence.joursDuMois?.length && !recurrence.positionsMensuelles?.length) {
+        return 'un jour du mois ou une position mensuelle est requis';
+      }
+      return null;
     }
     
-    return dates;
+    if (!recurrence.jours || recurrence.jours.length === 0) {
+      return 'au moins un jour de la semaine est requis';
+    }
+    return null;
+  }
+  
+  /**
+   * Le jour correspond-il au motif de récurrence ?
+   * @private
+   */
+  static _correspondAuMotif(jour, recurrence, frequence, intervalle, semaineAncrage) {
+    const nomJour = JOURS_SEMAINE[jour.getDay()];
+    
+    if (frequence === 'MENSUEL') {
+      const quantieme = jour.getDate();
+      if ((recurrence.joursDuMois || []).includes(quantieme)) {
+        return true;
+      }
+      
+      const joursDansMois = new Date(jour.getFullYear(), jour.getMonth() + 1, 0).getDate();
+      return (recurrence.positionsMensuelles || []).some(position => {
+        if (position.jour !== nomJour) return false;
+        if (position.rang === -1) return quantieme + 7 > joursDansMois;
+        return Math.ceil(quantieme / 7) === position.rang;
+      });
+    }
+    
+    if (!(recurrence.jours || []).includes(nomJour)) {
+      return false;
+    }
+    if (intervalle <= 1) {
+      return true;
+    }
+    
+    const semaines = Math.round((this._debutSemaine(jour) - semaineAncrage) / MS_PAR_SEMAINE);
+    return semaines >= 0 && semaines % intervalle === 0;
+  }
+  
+  /**
+   * Lundi 00:00 de la semaine d'une date
+   * @private
+   */
+  static _debutSemaine(date) {
+    const lundi = new Date(date);
+    lundi.setHours(0, 0, 0, 0);
+    lundi.setDate(lundi.getDate() - ((lundi.getDay() + 6) % 7));
+    return lundi;
+  }
+  
+  /**
+   * Clé AAAA-MM-JJ (heure locale) d'une date
+   * @private
+   */
+  static _cleJour(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
   }
   
   /**
@@ -155,14 +269,24 @@ class RecurrenceService {
   /**
    * Crée les instances de trajets récurrents
    * @param {Object} trajetRecurrent - Trajet récurrent parent
-   * @param {Array<Date>} dates - Dates des instances à créer
+   * @param {Array<Date|Object>} occurrences - Dates ou occurrences { date, heureDepart }
    * @returns {Promise<Array>} - Instances créées
    */
-  static async creerInstances(trajetRecurrent, dates) {
+  static async creerInstances(trajetRecurrent, occurrences) {
     const instances = [];
     
-    for (const date of dates) {
+    for (const occurrence of occurrences) {
+      const date = occurrence instanceof Date ? occurrence : occurrence.date;
+      const heureDepart = occurrence.heureDepart || trajetRecurrent.heureDepart;
+      
       try {
+        // Heure d'arrivée recalculée si l'horaire diffère du trajet parent
+        let heureArriveePrevue = trajetRecurrent.heureArriveePrevue;
+        if (heureDepart !== trajetRecurrent.heureDepart && trajetRecurrent.dureeEstimee) {
+          const arrivee = distanceService.calculateArrivalTime(heureDepart, trajetRecurrent.dureeEstimee, date);
+          heureArriveePrevue = arrivee?.heure || undefined;
+        }
+        
         // Créer une nouvelle instance
         const instance = new Trajet({
           // Copier les propriétés du trajet parent
@@ -171,8 +295,8 @@ class RecurrenceService {
           pointArrivee: trajetRecurrent.pointArrivee,
           arretsIntermediaires: trajetRecurrent.arretsIntermediaires,
           dateDepart: date,
-          heureDepart: trajetRecurrent.heureDepart,
-          heureArriveePrevue: trajetRecurrent.heureArriveePrevue,
+          heureDepart,
+          heureArriveePrevue,
           dureeEstimee: trajetRecurrent.dureeEstimee,
           distance: trajetRecurrent.distance,
           prixParPassager: trajetRecurrent.prixParPassager,
@@ -181,6 +305,7 @@ class RecurrenceService {
           typeTrajet: 'PONCTUEL', // Les instances sont ponctuelles
           vehiculeUtilise: trajetRecurrent.vehiculeUtilise,
           preferences: trajetRecurrent.preferences,
+          politiqueAnnulation: trajetRecurrent.politiqueAnnulation,
           statutTrajet: 'PROGRAMME',
           validationAutomatique: trajetRecurrent.validationAutomatique,
           commentaireConducteur: trajetRecurrent.commentaireConducteur,
@@ -195,20 +320,31 @@ class RecurrenceService {
         await instance.save();
         instances.push(instance);
         
-        console.log(`✅ Instance créée pour le ${date.toLocaleDateString('fr-FR')} à ${trajetRecurrent.heureDepart}`);
+        console.log(`✅ Instance créée pour le ${date.toLocaleDateString('fr-FR')} à ${heureDepart}`);
         
       } catch (error) {
         console.error(`❌ Erreur lors de la création de l'instance pour ${date}:`, error.message);
       }
     }
     
+    // Alerter les recherches sauvegardées (non bloquant)
+    instances.forEach(instance => {
+      rechercheSauvegardeeService.signalerTrajetDisponible(instance._id, { motif: 'NOUVEAU_TRAJET' });
+    });
+    
     return instances;
   }
   
   /**
    * Met à jour la récurrence d'un trajet existant
+   *
+   * Seules les instances futures SANS réservation active sont régénérées.
+   * Les instances réservées restent intactes ; si elles ne correspondent plus
+   * au nouveau motif (jour retiré, exception, horaire changé), leurs passagers
+   * sont notifiés du conflit.
+   *
    * @param {ObjectId} trajetId - ID du trajet
-   * @param {Object} nouvelleRecurrence - Nouvelle configuration de récurrence
+   * @param {Object} nouvelleRecurrence - Nouvelle configuration de récurrence (champs fusionnés)
    * @returns {Promise<Object>} - Résultat de la mise à jour
    */
   static async mettreAJourRecurrence(trajetId, nouvelleRecurrence) {
@@ -223,27 +359,102 @@ class RecurrenceService {
       }
       
       // Mettre à jour la récurrence
-      trajet.recurrence = nouvelleRecurrence;
+      const recurrenceActuelle = trajet.recurrence?.toObject ? trajet.recurrence.toObject() : (trajet.recurrence || {});
+      const recurrence = { ...recurrenceActuelle, ...nouvelleRecurrence };
+      
+      const erreurConfiguration = this.validerConfiguration(recurrence);
+      if (erreurConfiguration) {
+        throw new Error(`Configuration de récurrence invalide: ${erreurConfiguration}`);
+      }
+      
+      trajet.recurrence = recurrence;
       await trajet.save();
       
-      // Régénérer les instances si nécessaire
-      if (nouvelleRecurrence.dateFinRecurrence) {
-        const resultat = await this.genererInstancesRecurrentes(
-          trajetId,
-          new Date(),
-          nouvelleRecurrence.dateFinRecurrence
-        );
+      const maintenant = new Date();
+      const fin = trajet.recurrence.dateFinRecurrence;
+      
+      // Occurrences attendues selon le nouveau motif, indexées par jour
+      const occurrences = fin
+        ? this.genererOccurrences(trajet.recurrence, maintenant, fin, trajet.heureDepart, trajet.dateDepart)
+            .filter(occurrence => occurrence.date > maintenant)
+        : [];
+      const occurrencesParJour = new Map(occurrences.map(o => [this._cleJour(o.date), o]));
+      
+      // Instances futures encore programmées
+      const instancesFutures = await Trajet.find({
+        trajetRecurrentId: trajetId,
+        estInstanceRecurrente: true,
+        dateDepart: { $gt: maintenant },
+        statutTrajet: 'PROGRAMME'
+      });
+      
+      const reservationsActives = await Reservation.find({
+        trajetId: { $in: instancesFutures.map(instance => instance._id) },
+        statutReservation: { $in: ['EN_ATTENTE', 'CONFIRMEE'] }
+      }).select('trajetId passagerId statutReservation');
+      
+      const reservationsParInstance = new Map();
+      for (const reservation of reservationsActives) {
+        const cle = reservation.trajetId.toString();
+        if (!reservationsParInstance.has(cle)) reservationsParInstance.set(cle, []);
+        reservationsParInstance.get(cle).push(reservation);
+      }
+      
+      const aSupprimer = [];
+      const conflits = [];
+      let instancesConservees = 0;
+      
+      for (const instance of instancesFutures) {
+        const attendue = occurrencesParJour.get(this._cleJour(instance.dateDepart));
+        const correspond = attendue && attendue.heureDepart === instance.heureDepart;
+        const reservations = reservationsParInstance.get(instance._id.toString()) || [];
         
-        return {
-          success: true,
-          trajet: trajet,
-          instances: resultat
+        if (correspond) {
+          instancesConservees++;
+          continue;
+        }
+        
+        if (reservations.length === 0) {
+          // Instance libre : régénérée selon le nouveau motif
+          aSupprimer.push(instance._id);
+          continue;
+        }
+        
+        // Instance réservée : conservée telle quelle, passagers prévenus
+        instancesConservees++;
+        const conflit = {
+          instanceId: instance._id,
+          dateDepart: instance.dateDepart,
+          heureDepart: instance.heureDepart,
+          raison: attendue ? 'HORAIRE_MODIFIE' : 'OCCURRENCE_SUPPRIMEE',
+          nouvelleHeureDepart: attendue?.heureDepart || null,
+          passagersNotifies: 0
         };
+        conflit.passagersNotifies = await this._notifierConflit(trajet, instance, conflit, reservations);
+        conflits.push(conflit);
+      }
+      
+      let instancesSupprimees = 0;
+      if (aSupprimer.length > 0) {
+        const resultatSuppression = await Trajet.deleteMany({ _id: { $in: aSupprimer } });
+        instancesSupprimees = resultatSuppression.deletedCount;
       }
       
+      // Régénérer les instances manquantes (les jours déjà couverts sont ignorés)
+      let instances = null;
+      if (fin && fin > maintenant) {
+        instances = await this.genererInstancesRecurrentes(trajetId, maintenant, fin);
+      }
+      
+      console.log(`🔁 Récurrence mise à jour: ${instancesSupprimees} supprimée(s), ${instancesConservees} conservée(s), ${conflits.length} conflit(s)`);
+      
       return {
         success: true,
-        trajet: trajet
+        trajet: trajet,
+        instancesSupprimees,
+        instancesConservees,
+        conflits,
+        instances
       };
       
     } catch (error) {
@@ -252,6 +463,39 @@ class RecurrenceService {
     }
   }
   
+  /**
+   * Notifie les passagers d'une instance réservée qui ne correspond plus
+   * à la nouvelle récurrence
+   * @private
+   * @returns {Promise<Number>} - Nombre de passagers notifiés
+   */
+  static async _notifierConflit(trajet, instance, conflit, reservations) {
+    let notifies = 0;
+    
+    for (const reservation of reservations) {
+      try {
+        await firebaseService.notifyRecurrenceConflict(
+          reservation.passagerId,
+          {
+            trajetId: instance._id.toString(),
+            reservationId: reservation._id.toString(),
+            dateDepart: instance.dateDepart,
+            heureDepart: instance.heureDepart,
+            nouvelleHeureDepart: conflit.nouvelleHeureDepart,
+            raison: conflit.raison,
+            destination: trajet.pointArrivee?.adresse || ''
+          },
+          Utilisateur
+        );
+        notifies++;
+      } catch (error) {
+        console.error(`⚠️ Notification conflit récurrence (${reservation._id}):`, error.message);
+      }
+    }
+    
+    return notifies;
+  }
+  
   /**
    * Supprime la récurrence d'un trajet et ses instances futures
    * @param {ObjectId} trajetId - ID du trajet
@@ -0,0 +1,420 @@
+// services/releveService.js
+
+const cron = require('node-cron');
+const Paiement = require('../models/Paiement');
+const Retrait = require('../models/Retrait');
+const Utilisateur = require('../models/Utilisateur');
+const ReleveMensuel = require('../models/ReleveMensuel');
+const emailService = require('./emailService');
+const AppError = require('../utils/AppError');
+const { genererPdf, formaterMontant } = require('../utils/pdf');
+const { logger } = require('../utils/logger');
+
+const MOIS = [
+  'janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+  'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'
+];
+
+const COLONNES_RELEVE = [
+  { header: 'Type', key: 'type' },
+  { header: 'Date', key: 'date' },
+  { header: 'Référence', key: 'reference' },
+  { header: 'Reçu', key: 'numeroRecu' },
+  { header: 'Trajet', key: 'trajet' },
+  { header: 'Montant brut', key: 'montantBrut' },
+  { header: 'Commission', key: 'commission' },
+  { header: 'Frais de transaction', key: 'fraisTransaction' },
+  { header: 'Net conducteur', key: 'montantNet' },
+  { header: 'Retrait', key: 'retrait' }
+];
+
+const libellePoint = (point) => point?.commune || point?.nom || point?.adresse || '';
+
+/**
+ * 📊 Relevé mensuel des gains d'un conducteur
+ *
+ * Récapitulatif fiscal d'un mois civil (heure d'Abidjan = UTC) :
+ * - courses : paiements complétés dont le conducteur est bénéficiaire,
+ *   datés de leur complétion (les paiements remboursés n'y figurent pas) ;
+ * - brut : prix des courses avant réductions promotionnelles, base de la
+ *   commission ; net : montant revenant au conducteur ;
+ * - retraits : retraits Mobile Money réussis sur le mois.
+ * Téléchargeable en PDF ou CSV. Le 1er du mois, les conducteurs qui l'ont
+ * demandé (préférence relevesMensuels) reçoivent celui du mois écoulé par email.
+ */
+class ReleveService {
+
+  constructor() {
+    this.config = {
+      CRON: process.env.RELEVES_CRON || '0 6 1 * *',
+      FUSEAU: process.env.RELEVES_FUSEAU || 'Africa/Abidjan',
+      LIMITE_COURSES: 5000
+    };
+
+    this.job = null;
+    this.enCours = false;
+  }
+
+  start() {
+    if (this.job) return;
+    this.job = cron.schedule(this.config.CRON, async () => {
+      if (this.enCours) return;
+      this.enCours = true;
+      try {
+        await this.envoyerRelevesMensuels();
+      } catch (error) {
+        logger.error('📊 Envoi des relevés mensuels échoué', { error: error.message });
+      } finally {
+        this.enCours = false;
+      }
+    }, { timezone: this.config.FUSEAU });
+    logger.info('📊 Envoi des relevés mensuels planifié', { cron: this.config.CRON });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ============================================================
+  // CALCUL
+  // ============================================================
+
+  /**
+   * Bornes d'un mois civil
+   * @param {number} annee
+   * @param {number} mois - 1 à 12
+   * @returns {Object} { annee, mois, libelle, debut, fin } (fin exclue)
+   */
+  periode(annee, mois) {
+    annee = parseInt(annee, 10);
+    mois = parseInt(mois, 10);
+    if (!Number.isInteger(annee) || !Number.isInteger(mois) || mois < 1 || mois > 12) {
+      throw new AppError('Période invalide', { code: 'STATEMENT_INVALID_PERIOD', status: 400 });
+    }
+    return {
+      annee,
+      mois,
+      libelle: `${annee}-${String(mois).padStart(2, '0')}`,
+      debut: new Date(Date.UTC(annee, mois - 1, 1)),
+      fin: new Date(Date.UTC(annee, mois, 1))
+    };
+  }
+
+  /**
+   * Mois précédant une date
+   * @param {Date} maintenant
+   * @returns {Object} période
+   */
+  moisPrecedent(maintenant = new Date()) {
+    const annee = maintenant.getUTCFullYear();
+    const mois = maintenant.getUTCMonth(); // 0 = janvier → décembre de l'année précédente
+    return mois === 0 ? this.periode(annee - 1, 12) : this.periode(annee, mois);
+  }
+
+  /**
+   * Relevé d'un conducteur pour un mois
+   * @param {string} conducteurId
+   * @param {number} annee
+   * @param {number} mois - 1 à 12
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<Object>} { conducteur, periode, totaux, courses, retraits }
+   */
+  async calculerReleve(conducteurId, annee, mois, { maintenant = new Date() } = {}) {
+    const periode = this.periode(annee, mois);
+    if (periode.debut > maintenant) {
+      throw new AppError('Le relevé d\'un mois à venir n\'est pas disponible', { code: 'STATEMENT_INVALID_PERIOD', status: 400 });
+    }
+
+    const [conducteur, paiements, retraits] = await Promise.all([
+      Utilisateur.findById(conducteurId).select('nom prenom email telephone').lean(),
+      Paiement.find({
+        beneficiaireId: conducteurId,
+        reservationId: { $ne: null },
+        statutPaiement: 'COMPLETE',
+        dateCompletion: { $gte: periode.debut, $lt: periode.fin }
+      })
+        .populate({
+          path: 'reservationId',
+          select: 'trajetId',
+          populate: { path: 'trajetId', select: 'pointDepart pointArrivee dateDepart' }
+        })
+        .sort({ dateCompletion: 1 })
+        .limit(this.config.LIMITE_COURSES),
+      Retrait.find({
+        conducteurId,
+        statut: 'REUSSI',
+        dateFinalisation: { $gte: periode.debut, $lt: periode.fin }
+      })
+        .select('reference montant operateur dateFinalisation')
+        .sort({ dateFinalisation: 1 })
+        .lean()
+    ]);
+
+    if (!conducteur) {
+      throw new AppError('Conducteur introuvable', { code: 'USER_NOT_FOUND', status: 404 });
+    }
+
+    const courses = paiements.map(paiement => {
+      const trajet = paiement.reservationId?.trajetId;
+      return {
+        date: paiement.dateCompletion,
+        reference: paiement.referenceTransaction,
+        numeroRecu: paiement.numeroRecu || null,
+        trajetId: trajet?._id ? String(trajet._id) : null,
+        trajet: trajet ? `${libellePoint(trajet.pointDepart)} → ${libellePoint(trajet.pointArrivee)}` : '',
+        montantBrut: paiement.montantAvantReduction,
+        commission: paiement.commission?.montant || 0,
+        fraisTransaction: paiement.fraisTransaction || 0,
+        montantNet: paiement.montantConducteur || 0
+      };
+    });
+
+    const somme = (lignes, cle) => lignes.reduce((total, ligne) => total + (ligne[cle] || 0), 0);
+
+    return {
+      conducteur: {
+        id: String(conducteur._id),
+        nom: [conducteur.prenom, conducteur.nom].filter(Boolean).join(' '),
+        email: conducteur.email
+      },
+      periode,
+      totaux: {
+        trajets: new Set(courses.map(c => c.trajetId).filter(Boolean)).size,
+        courses: courses.length,
+        montantBrut: somme(courses, 'montantBrut'),
+        commissions: somme(courses, 'commission'),
+        fraisTransaction: somme(courses, 'fraisTransaction'),
+        montantNet: somme(courses, 'montantNet'),
+        retraits: somme(retraits, 'montant'),
+        nombreRetraits: retraits.length
+      },
+      courses,
+      retraits: retraits.map(retrait => ({
+        date: retrait.dateFinalisation,
+        reference: retrait.reference,
+        operateur: retrait.operateur,
+        montant: retrait.montant
+      })),
+      tronque: paiements.length >= this.config.LIMITE_COURSES
+    };
+  }
+
+  // ============================================================
+  // EXPORTS
+  // ============================================================
+
+  /**
+   * Relevé au format PDF ou CSV
+   * @param {Object} releve - résultat de calculerReleve
+   * @param {string} [format] - 'pdf' | 'csv'
+   * @returns {Promise<Object>} { contenu: Buffer, type, nomFichier }
+   */
+  async exporterReleve(releve, format = 'pdf') {
+    const nomFichier = `releve-wayzeco-${releve.periode.libelle}-${releve.conducteur.id}.${format}`;
+
+    if (format === 'csv') {
+      const echapper = (valeur) => `"${String(valeur ?? '').replace(/"/g, '""')}"`;
+      const jour = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+      const lignes = [
+        ...releve.courses.map(course => ({ type: 'COURSE', ...course, date: jour(course.date) })),
+        ...releve.retraits.map(retrait => ({
+          type: 'RETRAIT',
+          date: jour(retrait.date),
+          reference: retrait.reference,
+          trajet: retrait.operateur,
+          retrait: retrait.montant
+        })),
+        {
+          type: 'TOTAL',
+          date: releve.periode.libelle,
+          trajet: `${releve.totaux.trajets} trajet(s), ${releve.totaux.courses} course(s)`,
+          montantBrut: releve.totaux.montantBrut,
+          commission: releve.totaux.commissions,
+          fraisTransaction: releve.totaux.fraisTransaction,
+          montantNet: releve.totaux.montantNet,
+          retrait: releve.totaux.retraits
+        }
+      ];
+      const contenu = [
+        COLONNES_RELEVE.map(c => echapper(c.header)).join(','),
+        ...lignes.map(ligne => COLONNES_RELEVE.map(c => echapper(ligne[c.key])).join(','))
+      ].join('\n');
+
+      return { contenu: Buffer.from(`\uFEFF${contenu}`, 'utf8'), type: 'text/csv; charset=utf-8', nomFichier };
+    }
+
+    const { totaux } = releve;
+    const dateCourte = (date) => new Date(date).toLocaleDateString('fr-FR', { timeZone: this.config.FUSEAU });
+
+    const contenu = await genererPdf((doc) => {
+      doc.fontSize(20).text('WAYZ-ECO', { align: 'center' });
+      doc.fontSize(14).text(`Relevé mensuel — ${this.libelleMois(releve.periode)}`, { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11);
+      doc.text(`Conducteur : ${releve.conducteur.nom}`);
+      doc.text(`Période : du ${dateCourte(releve.periode.debut)} au ${dateCourte(new Date(releve.periode.fin.getTime() - 1))}`);
+      doc.moveDown();
+
+      doc.fontSize(13).text('Synthèse');
+      doc.fontSize(11);
+      doc.text(`Trajets effectués : ${totaux.trajets}`);
+      doc.text(`Courses payées : ${totaux.courses}`);
+      doc.text(`Montant brut des courses : ${formaterMontant(totaux.montantBrut)}`);
+      doc.text(`Commissions prélevées : ${formaterMontant(totaux.commissions)}`);
+      doc.text(`Frais de transaction : ${formaterMontant(totaux.fraisTransaction)}`);
+      doc.text(`Gains nets : ${formaterMontant(totaux.montantNet)}`);
+      doc.text(`Retraits (${totaux.nombreRetraits}) : ${formaterMontant(totaux.retraits)}`);
+      doc.moveDown();
+
+      if (releve.courses.length) {
+        doc.fontSize(13).text('Courses');
+        doc.fontSize(9);
+        releve.courses.forEach(course => {
+          doc.text(`${dateCourte(course.date)}  ${course.trajet || course.reference}  —  brut ${formaterMontant(course.montantBrut)}, commission ${formaterMontant(course.commission)}, net ${formaterMontant(course.montantNet)}${course.numeroRecu ? `  (${course.numeroRecu})` : ''}`);
+        });
+        doc.moveDown();
+      }
+
+      if (releve.retraits.length) {
+        doc.fontSize(13).text('Retraits');
+        doc.fontSize(9);
+        releve.retraits.forEach(retrait => {
+          doc.text(`${dateCourte(retrait.date)}  ${retrait.reference}  ${retrait.operateur || ''}  —  ${formaterMontant(retrait.montant)}`);
+        });
+        doc.moveDown();
+      }
+
+      doc.fontSize(8).fillColor('#555555');
+      doc.text(`Document généré le ${new Date().toLocaleString('fr-FR', { timeZone: this.config.FUSEAU })}. Montants en francs CFA (XOF).`);
+      if (releve.tronque) {
+        doc.text('Relevé tronqué : contactez le support pour un relevé complet.');
+      }
+    }, { info: { Title: `Relevé ${releve.periode.libelle}`, Author: 'WAYZ-ECO' } });
+
+    return { contenu, type: 'application/pdf', nomFichier };
+  }
+
+  libelleMois({ annee, mois }) {
+    return `${MOIS[mois - 1]} ${annee}`;
+  }
+
+  // ============================================================
+  // ENVOI MENSUEL
+  // ============================================================
+
+  /**
+   * Envoie le relevé du mois écoulé aux conducteurs actifs qui l'ont demandé
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<Object>} { envoyes, ignores, erreurs }
+   */
+  async envoyerRelevesMensuels({ maintenant = new Date() } = {}) {
+    const periode = this.moisPrecedent(maintenant);
+    const bilan = { periode: periode.libelle, envoyes: 0, ignores: 0, erreurs: 0 };
+
+    const [avecCourses, avecRetraits] = await Promise.all([
+      Paiement.distinct('beneficiaireId', {
+        reservationId: { $ne: null },
+        statutPaiement: 'COMPLETE',
+        dateCompletion: { $gte: periode.debut, $lt: periode.fin }
+      }),
+      Retrait.distinct('conducteurId', {
+        statut: 'REUSSI',
+        dateFinalisation: { $gte: periode.debut, $lt: periode.fin }
+      })
+    ]);
+
+    const conducteurs = await Utilisateur.find({
+      _id: { $in: [...avecCourses, ...avecRetraits] },
+      'preferencesNotifications.relevesMensuels': true,
+      email: { $ne: null }
+    }).select('_id').lean();
+
+    for (const { _id: conducteurId } of conducteurs) {
+      if (!await this._reserverEnvoi(conducteurId, periode.libelle)) {
+        bilan.ignores++;
+        continue;
+      }
+
+      try {
+        const totaux = await this.envoyerReleve(conducteurId, periode, { maintenant });
+        await ReleveMensuel.updateOne(
+          { conducteurId, periode: periode.libelle },
+          { $set: { statut: 'ENVOYE', totaux, dateEnvoi: new Date() } }
+        );
+        bilan.envoyes++;
+      } catch (error) {
+        bilan.erreurs++;
+        logger.error('📊 Relevé mensuel non envoyé', { conducteurId, periode: periode.libelle, error: error.message });
+        await ReleveMensuel.updateOne(
+          { conducteurId, periode: periode.libelle },
+          { $set: { statut: 'ECHOUE', messageErreur: error.message } }
+        );
+      }
+    }
+
+    logger.info('📊 Relevés mensuels envoyés', bilan);
+    return bilan;
+  }
+
+  /**
+   * Envoie par email le relevé d'un mois (PDF et CSV en pièces jointes)
+   * @param {string} conducteurId
+   * @param {Object} periode - { annee, mois }
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<Object>} totaux du relevé
+   */
+  async envoyerReleve(conducteurId, { annee, mois }, { maintenant = new Date() } = {}) {
+    const releve = await this.calculerReleve(conducteurId, annee, mois, { maintenant });
+    const [pdf, csv] = await Promise.all([
+      this.exporterReleve(releve, 'pdf'),
+      this.exporterReleve(releve, 'csv')
+    ]);
+
+    const libelle = this.libelleMois(releve.periode);
+    const sujet = `Votre relevé WAYZ-ECO de ${libelle}`;
+    const texte = [
+      `Bonjour ${releve.conducteur.nom},`,
+      '',
+      `Voici votre relevé de ${libelle} :`,
+      `- ${releve.totaux.courses} course(s) sur ${releve.totaux.trajets} trajet(s)`,
+      `- Gains nets : ${formaterMontant(releve.totaux.montantNet)} (commissions : ${formaterMontant(releve.totaux.commissions)})`,
+      `- Retraits : ${formaterMontant(releve.totaux.retraits)}`,
+      '',
+      'Le détail figure dans les pièces jointes (PDF et CSV).'
+    ].join('\n');
+
+    await emailService.envoyerEmail({
+      to: releve.conducteur.email,
+      subject: sujet,
+      text: texte,
+      html: emailService.generateHtmlTemplate(sujet, `<p>${texte.replace(/\n/g, '<br>')}</p>`),
+      attachments: [
+        { filename: pdf.nomFichier, content: pdf.contenu, contentType: pdf.type },
+        { filename: csv.nomFichier, content: csv.contenu, contentType: csv.type }
+      ]
+    });
+
+    return releve.totaux;
+  }
+
+  // Une seule tentative d'envoi par conducteur et par mois ; un échec peut être retenté
+  async _reserverEnvoi(conducteurId, periode) {
+    try {
+      await ReleveMensuel.create({ conducteurId, periode });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const repris = await ReleveMensuel.findOneAndUpdate(
+        { conducteurId, periode, statut: 'ECHOUE' },
+        { $set: { statut: 'EN_COURS' }, $unset: { messageErreur: 1 } }
+      );
+      return Boolean(repris);
+    }
+  }
+}
+
+module.exports = new ReleveService();
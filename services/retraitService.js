@@ -0,0 +1,538 @@
+// services/retraitService.js
+
+const Retrait = require('../models/Retrait');
+const Utilisateur = require('../models/Utilisateur');
+const grandLivreService = require('./grandLivreService');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const CinetPayTransfertConnector = require('./connectors/cinetPayTransfertConnector');
+const TransfertLocalConnector = require('./connectors/transfertLocalConnector');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const MESSAGES_STATUT = {
+  EN_ATTENTE_APPROBATION: (r) => `Votre retrait de ${r.montant.toLocaleString('fr-FR')} FCFA est en cours de validation`,
+  REUSSI: (r) => `${r.montant.toLocaleString('fr-FR')} FCFA ont été envoyés sur votre numéro ${r.numeroMobile}`,
+  ECHOUE: (r) => `Le retrait de ${r.montant.toLocaleString('fr-FR')} FCFA a échoué : le montant est de nouveau disponible`,
+  REJETE: (r) => `Le retrait de ${r.montant.toLocaleString('fr-FR')} FCFA a été refusé : le montant est de nouveau disponible`,
+  ANNULE: (r) => `Le retrait de ${r.montant.toLocaleString('fr-FR')} FCFA a été annulé`
+};
+
+/**
+ * Retraits des gains conducteurs vers Mobile Money
+ *
+ * Une demande réserve le montant sur le compte GAINS_CONDUCTEUR du grand livre
+ * dans la même transaction que l'enregistrement du Retrait : deux demandes
+ * simultanées ne peuvent pas dépasser les gains disponibles, et un verrou par
+ * conducteur les empêche de franchir ensemble les plafonds. Au-dessus du
+ * seuil d'approbation, le retrait attend un administrateur ; sinon il est
+ * envoyé immédiatement au fournisseur de transfert.
+ *
+ * Le fournisseur (CinetPay ou simulateur local) renvoie un statut final ou
+ * EN_COURS ; dans ce cas la notification de l'opérateur, toujours relue
+ * auprès du fournisseur, finalise le retrait : règlement dans le grand livre
+ * si REUSSI, libération du montant réservé sinon.
+ */
+class RetraitService {
+
+  constructor() {
+    this.config = {
+      MONTANT_MIN: parseInt(process.env.RETRAIT_MONTANT_MIN) || 1000,
+      SEUIL_APPROBATION: parseInt(process.env.RETRAIT_SEUIL_APPROBATION) || 100000,
+      // Les transferts CinetPay exigent un multiple de 5 FCFA
+      MULTIPLE: 5,
+      // Durée au-delà de laquelle le verrou d'une demande interrompue est repris
+      DUREE_VERROU_SECONDES: 30
+    };
+
+    const cinetPay = new CinetPayTransfertConnector();
+    this.fournisseurs = {
+      cinetpay: cinetPay,
+      local: new TransfertLocalConnector()
+    };
+    this.nomFournisseur = process.env.RETRAIT_FOURNISSEUR || (cinetPay.enabled ? 'cinetpay' : 'local');
+  }
+
+  /**
+   * @returns {Object} connecteur de transfert actif
+   */
+  fournisseur() {
+    const connecteur = this.fournisseurs[this.nomFournisseur];
+    if (!connecteur || !connecteur.enabled) {
+      throw new AppError(`Fournisseur de transfert « ${this.nomFournisseur} » indisponible`, {
+        code: 'PAYOUT_PROVIDER_UNAVAILABLE',
+        status: 503
+      });
+    }
+    return connecteur;
+  }
+
+  // ============================================================
+  // CÔTÉ CONDUCTEUR
+  // ============================================================
+
+  /**
+   * Demande un retrait de gains
+   * @param {string} conducteurId
+   * @param {Object} demande - { montant }
+   * @param {Object} [options] - { io, maintenant }
+   * @returns {Promise<Object>} retrait
+   */
+  async demanderRetrait(conducteurId, { montant }, { io = null, maintenant = new Date() } = {}) {
+    const conducteur = await Utilisateur.findById(conducteurId);
+    if (!conducteur) {
+      throw AppError.notFound('Utilisateur introuvable');
+    }
+
+    this._verifierEligibilite(conducteur);
+    montant = this._verifierMontant(montant);
+
+    // Une demande à la fois par conducteur : les plafonds sont relus sous le
+    // verrou, une demande concurrente déjà enregistrée y est donc comptée
+    const verrou = await this._verrouillerDemandes(conducteurId);
+    let retrait;
+    let approbationRequise;
+    try {
+      await this._verifierLimites(conducteur, montant, maintenant);
+
+      const { numeroMobile, operateur, nomTitulaire } = conducteur.compteCovoiturage.parametresRetrait;
+      approbationRequise = montant > this.config.SEUIL_APPROBATION;
+
+      retrait = new Retrait({
+        conducteurId,
+        montant,
+        numeroMobile,
+        operateur,
+        nomTitulaire: nomTitulaire || `${conducteur.prenom} ${conducteur.nom}`,
+        statut: approbationRequise ? 'EN_ATTENTE_APPROBATION' : 'EN_COURS',
+        approbation: { requise: approbationRequise }
+      });
+      retrait.ajouterHistorique(retrait.statut, approbationRequise
+        ? `Au-dessus du seuil d'approbation (${this.config.SEUIL_APPROBATION} FCFA)`
+        : 'Demande enregistrée');
+
+      try {
+        await grandLivreService.executerEnTransaction(async (session) => {
+          await retrait.save({ session });
+          await grandLivreService.reserverRetrait(retrait, { session });
+        });
+      } catch (error) {
+        // Sans replica set, la demande a pu être enregistrée sans sa réservation
+        await Retrait.deleteOne({ _id: retrait._id }).catch(() => {});
+        throw error;
+      }
+    } finally {
+      await this._deverrouillerDemandes(conducteurId, verrou);
+    }
+
+    logger.info('💸 Retrait demandé', {
+      retraitId: retrait._id,
+      conducteurId,
+      montant,
+      approbationRequise
+    });
+
+    if (approbationRequise) {
+      await this._notifier(retrait, { io });
+      return retrait;
+    }
+
+    return this._executer(retrait, { io });
+  }
+
+  /**
+   * Annule un retrait encore en attente d'approbation
+   * @param {string} conducteurId
+   * @param {string} retraitId
+   */
+  async annulerRetrait(conducteurId, retraitId, { io = null } = {}) {
+    const retrait = await Retrait.findById(retraitId);
+    if (!retrait) {
+      throw AppError.notFound('Retrait introuvable');
+    }
+    if (retrait.conducteurId.toString() !== conducteurId.toString()) {
+      throw AppError.forbidden('Ce retrait ne vous appartient pas');
+    }
+    if (retrait.statut !== 'EN_ATTENTE_APPROBATION') {
+      throw new AppError('Seul un retrait en attente de validation peut être annulé', {
+        code: 'PAYOUT_NOT_CANCELLABLE',
+        context: { statut: retrait.statut }
+      });
+    }
+
+    return this._finaliser(retrait, 'ANNULE', 'Annulé par le conducteur', { io });
+  }
+
+  /**
+   * @param {string} conducteurId
+   * @param {Object} [options] - { statut, page, limit }
+   */
+  async listerRetraits(conducteurId, { statut = null, page = 1, limit = 20 } = {}) {
+    const filtre = { conducteurId };
+    if (statut) filtre.statut = statut;
+    return this._paginer(filtre, { page, limit });
+  }
+
+  // ============================================================
+  // CÔTÉ ADMINISTRATEUR
+  // ============================================================
+
+  /**
+   * File des retraits à valider (les plus anciens d'abord)
+   * @param {Object} [options] - { statut, page, limit }
+   */
+  async listerFileApprobation({ statut = 'EN_ATTENTE_APPROBATION', page = 1, limit = 20 } = {}) {
+    return this._paginer({ statut }, { page, limit, tri: { createdAt: 1 }, populate: true });
+  }
+
+  /**
+   * @param {string} retraitId
+   * @param {string} adminId
+   */
+  async approuverRetrait(retraitId, adminId, { io = null } = {}) {
+    const retrait = await this._retraitEnAttente(retraitId);
+
+    const approuve = await Retrait.findOneAndUpdate(
+      { _id: retrait._id, statut: 'EN_ATTENTE_APPROBATION' },
+      {
+        $set: {
+          statut: 'EN_COURS',
+          'approbation.adminId': adminId,
+          'approbation.date': new Date()
+        },
+        $push: { historique: { statut: 'EN_COURS', date: new Date(), details: 'Approuvé par un administrateur' } }
+      },
+      { new: true }
+    );
+    if (!approuve) {
+      throw new AppError('Ce retrait a déjà été traité', { code: 'PAYOUT_ALREADY_PROCESSED', status: 409 });
+    }
+
+    return this._executer(approuve, { io });
+  }
+
+  /**
+   * @param {string} retraitId
+   * @param {string} adminId
+   * @param {string} motif
+   */
+  async rejeterRetrait(retraitId, adminId, motif, { io = null } = {}) {
+    const retrait = await this._retraitEnAttente(retraitId);
+
+    return this._finaliser(retrait, 'REJETE', motif, {
+      io,
+      maj: {
+        'approbation.adminId': adminId,
+        'approbation.date': new Date(),
+        'approbation.motifRejet': motif
+      }
+    });
+  }
+
+  /**
+   * Relit auprès du fournisseur le statut d'un retrait envoyé
+   * @param {string} retraitId
+   */
+  async verifierRetrait(retraitId, { io = null } = {}) {
+    const retrait = await Retrait.findById(retraitId);
+    if (!retrait) {
+      throw AppError.notFound('Retrait introuvable');
+    }
+    if (retrait.statut !== 'EN_COURS' || !retrait.fournisseur) {
+      return retrait;
+    }
+
+    const resultat = await this.fournisseurs[retrait.fournisseur].verifier(retrait.reference);
+    return this._appliquerResultat(retrait, resultat, { io });
+  }
+
+  // ============================================================
+  // NOTIFICATIONS FOURNISSEUR
+  // ============================================================
+
+  /**
+   * Traite la notification d'un fournisseur de transfert. Le statut n'est
+   * jamais pris dans la notification : il est relu auprès du fournisseur.
+   * @param {string} nomFournisseur
+   * @param {Object} corps
+   */
+  async traiterNotification(nomFournisseur, corps, { io = null } = {}) {
+    if (nomFournisseur !== this.nomFournisseur) {
+      throw AppError.badRequest(`Fournisseur de transfert inattendu : ${nomFournisseur}`);
+    }
+
+    const connecteur = this.fournisseur();
+    const { reference } = connecteur.interpreterNotification(corps);
+    const retrait = reference ? await Retrait.findOne({ reference }) : null;
+    if (!retrait) {
+      throw AppError.notFound('Retrait introuvable pour cette notification');
+    }
+    if (retrait.estFinal) {
+      return retrait;
+    }
+
+    const resultat = await connecteur.verifier(reference);
+    return this._appliquerResultat(retrait, resultat, { io });
+  }
+
+  // ============================================================
+  // EXÉCUTION
+  // ============================================================
+
+  async _executer(retrait, { io }) {
+    const connecteur = this.fournisseur();
+    retrait.fournisseur = connecteur.nom;
+    retrait.dateExecution = new Date();
+    await retrait.save();
+
+    let resultat;
+    try {
+      const conducteur = await Utilisateur.findById(retrait.conducteurId).select('email').lean();
+      resultat = await connecteur.envoyer({
+        reference: retrait.reference,
+        montant: retrait.montant,
+        numeroMobile: retrait.numeroMobile,
+        operateur: retrait.operateur,
+        nomTitulaire: retrait.nomTitulaire,
+        email: conducteur?.email
+      });
+    } catch (error) {
+      // Issue inconnue (réseau) : le retrait reste EN_COURS, la vérification tranchera
+      logger.error('💸 Envoi du retrait au fournisseur impossible', { retraitId: retrait._id, error: error.message });
+      retrait.ajouterHistorique('EN_COURS', `Envoi non confirmé : ${error.message}`);
+      await retrait.save();
+      return retrait;
+    }
+
+    return this._appliquerResultat(retrait, resultat, { io });
+  }
+
+  async _appliquerResultat(retrait, resultat, { io }) {
+    if (resultat.transactionId && !retrait.transactionFournisseurId) {
+      retrait.transactionFournisseurId = resultat.transactionId;
+    }
+
+    if (resultat.statut === 'REUSSI' || resultat.statut === 'ECHOUE') {
+      return this._finaliser(retrait, resultat.statut, resultat.message, { io });
+    }
+
+    retrait.messageFournisseur = resultat.message;
+    await retrait.save();
+    return retrait;
+  }
+
+  /**
+   * Passe un retrait à un statut final, une seule fois : le premier appel
+   * (notification, vérification ou décision admin) l'emporte
+   * @param {Object} [options] - { io, maj: champs supplémentaires à fixer }
+   */
+  async _finaliser(retrait, statut, message, { io, maj = {} }) {
+    const finalise = await Retrait.findOneAndUpdate(
+      { _id: retrait._id, statut: { $in: Retrait.STATUTS_ACTIFS } },
+      {
+        $set: {
+          statut,
+          dateFinalisation: new Date(),
+          messageFournisseur: message,
+          transactionFournisseurId: retrait.transactionFournisseurId,
+          ...maj
+        },
+        $push: { historique: { statut, date: new Date(), details: message } }
+      },
+      { new: true }
+    );
+    if (!finalise) {
+      return Retrait.findById(retrait._id);
+    }
+
+    if (statut === 'REUSSI') {
+      await grandLivreService.reglerRetrait(finalise);
+      const conducteur = await Utilisateur.findById(finalise.conducteurId);
+      if (conducteur) {
+        await conducteur.cumulerRetrait(finalise.montant);
+      }
+    } else {
+      await grandLivreService.libererRetrait(finalise, `Retrait ${statut.toLowerCase()} : ${message || ''}`.trim());
+    }
+
+    logger.info('💸 Retrait finalisé', { retraitId: finalise._id, statut, montant: finalise.montant });
+    await this._notifier(finalise, { io });
+    return finalise;
+  }
+
+  // ============================================================
+  // VÉRIFICATIONS
+  // ============================================================
+
+  _verifierEligibilite(conducteur) {
+    if (conducteur.role !== 'conducteur') {
+      throw AppError.forbidden('Seuls les conducteurs peuvent retirer des gains');
+    }
+    if (conducteur.documentIdentite?.statutVerification !== 'VERIFIE') {
+      throw new AppError('Votre pièce d\'identité doit être vérifiée avant tout retrait', {
+        code: 'KYC_REQUIRED',
+        status: 403,
+        context: { statutVerification: conducteur.documentIdentite?.statutVerification || 'NON_SOUMIS' }
+      });
+    }
+    const parametres = conducteur.compteCovoiturage?.parametresRetrait;
+    if (!parametres?.numeroMobile || !parametres?.operateur) {
+      throw new AppError('Configurez votre numéro de retrait avant de demander un retrait', {
+        code: 'PAYOUT_SETTINGS_MISSING'
+      });
+    }
+  }
+
+  _verifierMontant(montant) {
+    const valeur = Number(montant);
+    if (!Number.isInteger(valeur) || valeur < this.config.MONTANT_MIN || valeur % this.config.MULTIPLE !== 0) {
+      throw new AppError(
+        `Le montant doit être un multiple de ${this.config.MULTIPLE} FCFA d'au moins ${this.config.MONTANT_MIN} FCFA`,
+        { code: 'INVALID_PAYOUT_AMOUNT', context: { montant } }
+      );
+    }
+    return valeur;
+  }
+
+  /**
+   * Pose le verrou de demande de retrait du conducteur
+   * @returns {Promise<Date>} valeur du verrou, à rendre au déverrouillage
+   */
+  async _verrouillerDemandes(conducteurId) {
+    const maintenant = new Date();
+    const expire = new Date(maintenant.getTime() - this.config.DUREE_VERROU_SECONDES * 1000);
+
+    const verrou = await Utilisateur.updateOne(
+      {
+        _id: conducteurId,
+        $or: [
+          { 'compteCovoiturage.limites.demandeRetraitEnCours': null },
+          { 'compteCovoiturage.limites.demandeRetraitEnCours': { $lt: expire } }
+        ]
+      },
+      { $set: { 'compteCovoiturage.limites.demandeRetraitEnCours': maintenant } }
+    );
+    if (verrou.modifiedCount === 0) {
+      throw new AppError('Une demande de retrait est déjà en cours de traitement', {
+        code: 'PAYOUT_IN_PROGRESS',
+        status: 409
+      });
+    }
+    return maintenant;
+  }
+
+  async _deverrouillerDemandes(conducteurId, verrou) {
+    await Utilisateur.updateOne(
+      { _id: conducteurId, 'compteCovoiturage.limites.demandeRetraitEnCours': verrou },
+      { $unset: { 'compteCovoiturage.limites.demandeRetraitEnCours': '' } }
+    );
+  }
+
+  /**
+   * Plafonds journalier et mensuel du compte, calculés sur les retraits
+   * réservés ou versés (et non sur les compteurs, mis à jour au versement)
+   */
+  async _verifierLimites(conducteur, montant, maintenant) {
+    const { retraitJournalier, retraitMensuel } = conducteur.compteCovoiturage.limites;
+    const debutJour = new Date(maintenant.getFullYear(), maintenant.getMonth(), maintenant.getDate());
+    const debutMois = new Date(maintenant.getFullYear(), maintenant.getMonth(), 1);
+
+    const [cumul] = await Retrait.aggregate([
+      {
+        $match: {
+          conducteurId: conducteur._id,
+          statut: { $in: [...Retrait.STATUTS_ACTIFS, 'REUSSI'] },
+          createdAt: { $gte: debutMois }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          mois: { $sum: '$montant' },
+          jour: { $sum: { $cond: [{ $gte: ['$createdAt', debutJour] }, '$montant', 0] } }
+        }
+      }
+    ]);
+    const { jour = 0, mois = 0 } = cumul || {};
+
+    if (jour + montant > retraitJournalier) {
+      throw new AppError('Plafond de retrait journalier atteint', {
+        code: 'PAYOUT_DAILY_LIMIT',
+        context: { plafond: retraitJournalier, dejaRetire: jour, restant: Math.max(0, retraitJournalier - jour) }
+      });
+    }
+    if (mois + montant > retraitMensuel) {
+      throw new AppError('Plafond de retrait mensuel atteint', {
+        code: 'PAYOUT_MONTHLY_LIMIT',
+        context: { plafond: retraitMensuel, dejaRetire: mois, restant: Math.max(0, retraitMensuel - mois) }
+      });
+    }
+  }
+
+  async _retraitEnAttente(retraitId) {
+    const retrait = await Retrait.findById(retraitId);
+    if (!retrait) {
+      throw AppError.notFound('Retrait introuvable');
+    }
+    if (retrait.statut !== 'EN_ATTENTE_APPROBATION') {
+      throw new AppError('Ce retrait n\'est pas en attente de validation', {
+        code: 'PAYOUT_ALREADY_PROCESSED',
+        status: 409,
+        context: { statut: retrait.statut }
+      });
+    }
+    return retrait;
+  }
+
+  async _paginer(filtre, { page = 1, limit = 20, tri = { createdAt: -1 }, populate = false }) {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    let requete = Retrait.find(filtre).sort(tri).skip((pageNum - 1) * limitNum).limit(limitNum);
+    if (populate) {
+      requete = requete.populate('conducteurId', 'nom prenom telephone email documentIdentite.statutVerification');
+    }
+
+    const [retraits, total] = await Promise.all([requete.lean(), Retrait.countDocuments(filtre)]);
+    return {
+      retraits,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+  }
+
+  /**
+   * Notification du statut d'un retrait (in-app et cascade push → WhatsApp → SMS
+   * par livraisonNotificationsService), signalée en direct par socket
+   * @private
+   */
+  async _notifier(retrait, { io }) {
+    const donnees = {
+      retraitId: retrait._id.toString(),
+      reference: retrait.reference,
+      statut: retrait.statut,
+      montant: retrait.montant,
+      message: (MESSAGES_STATUT[retrait.statut] || (() => `Retrait ${retrait.statut}`))(retrait)
+    };
+
+    try {
+      const { livraison } = await livraisonNotificationsService.envoyer(retrait.conducteurId, {
+        evenement: `RETRAIT_${retrait.statut}`,
+        titre: 'Retrait de gains',
+        message: donnees.message,
+        donnees: { ...donnees, screen: 'Retraits' },
+        categorie: 'paiements',
+        priorite: 'HAUTE'
+      });
+
+      if (io) {
+        io.to(`user_${retrait.conducteurId}`).emit('payoutStatus', {
+          notificationId: livraison.notificationId,
+          ...donnees
+        });
+      }
+    } catch (error) {
+      logger.warn(`Notification retrait non envoyée (${retrait.conducteurId}): ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RetraitService();
@@ -0,0 +1,165 @@
+// services/segmentService.js
+
+/**
+ * Service d'inventaire des places par segment
+ *
+ * Un trajet avec n arrêts intermédiaires comporte n + 2 arrêts indexés
+ * (0 = départ, n + 1 = arrivée) et n + 1 segments: le segment i relie
+ * l'arrêt i à l'arrêt i + 1. Une réservation de l'arrêt a à l'arrêt b
+ * occupe les segments a .. b - 1, ce qui permet de revendre la même place
+ * sur des tronçons qui ne se chevauchent pas (Abidjan → Yamoussoukro puis
+ * Yamoussoukro → Bouaké).
+ *
+ * Toutes les fonctions sont pures: les arrêts viennent de
+ * Trajet.obtenirArretsOrdonnes, les réservations de la base.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Les prix de segment sont arrondis à la tranche supérieure (FCFA)
+const ARRONDI_PRIX_FCFA = 50;
+
+// ============================================
+// INDEX D'ARRÊTS
+// ============================================
+
+/**
+ * Normaliser les index montée / descente d'une réservation.
+ * Les réservations antérieures aux segments (index absents) couvrent
+ * tout le trajet.
+ *
+ * @param {number|null|undefined} indexMontee
+ * @param {number|null|undefined} indexDescente
+ * @param {number} nombreArrets - départ + intermédiaires + arrivée
+ * @returns {{ indexMontee: number, indexDescente: number }}
+ */
+function normaliserIndex(indexMontee, indexDescente, nombreArrets) {
+  const dernier = nombreArrets - 1;
+  return {
+    indexMontee: Number.isInteger(indexMontee) ? indexMontee : 0,
+    indexDescente: Number.isInteger(indexDescente) ? indexDescente : dernier
+  };
+}
+
+/**
+ * Vérifier qu'un couple montée / descente est exploitable pour ce trajet
+ *
+ * @returns {string|null} Message d'erreur, ou null si valide
+ */
+function validerIndex(indexMontee, indexDescente, nombreArrets) {
+  const dernier = nombreArrets - 1;
+
+  if (!Number.isInteger(indexMontee) || indexMontee < 0 || indexMontee >= dernier) {
+    return `L'index de montée doit être compris entre 0 et ${dernier - 1}`;
+  }
+  if (!Number.isInteger(indexDescente) || indexDescente < 1 || indexDescente > dernier) {
+    return `L'index de descente doit être compris entre 1 et ${dernier}`;
+  }
+  if (indexDescente <= indexMontee) {
+    return 'L\'arrêt de descente doit se situer après l\'arrêt de montée';
+  }
+  return null;
+}
+
+// ============================================
+// OCCUPATION ET DISPONIBILITÉ
+// ============================================
+
+/**
+ * Places occupées sur chaque segment
+ *
+ * @param {number} nombreArrets
+ * @param {Array<Object>} reservations - { nombrePlacesReservees, indexMontee, indexDescente }
+ * @returns {number[]} Places occupées par segment (longueur nombreArrets - 1)
+ */
+function calculerOccupation(nombreArrets, reservations = []) {
+  const occupation = new Array(Math.max(nombreArrets - 1, 0)).fill(0);
+
+  for (const reservation of reservations) {
+    const { indexMontee, indexDescente } = normaliserIndex(
+      reservation.indexMontee, reservation.indexDescente, nombreArrets
+    );
+    const debut = Math.max(0, indexMontee);
+    const fin = Math.min(occupation.length, indexDescente);
+
+    for (let segment = debut; segment < fin; segment++) {
+      occupation[segment] += reservation.nombrePlacesReservees || 0;
+    }
+  }
+
+  return occupation;
+}
+
+/**
+ * Places disponibles entre deux arrêts (minimum sur les segments couverts)
+ */
+function placesDisponiblesEntre(occupation, placesTotal, indexMontee, indexDescente) {
+  const couverts = occupation.slice(indexMontee, indexDescente);
+  if (couverts.length === 0) return 0;
+  return Math.max(0, placesTotal - Math.max(...couverts));
+}
+
+/**
+ * Matrice des places: matrice[montee][descente] = places vendables,
+ * null si la descente n'est pas après la montée.
+ */
+function construireMatrice(occupation, placesTotal) {
+  const nombreArrets = occupation.length + 1;
+  const matrice = [];
+
+  for (let montee = 0; montee < nombreArrets; montee++) {
+    const ligne = [];
+    for (let descente = 0; descente < nombreArrets; descente++) {
+      ligne.push(descente > montee
+        ? placesDisponiblesEntre(occupation, placesTotal, montee, descente)
+        : null);
+    }
+    matrice.push(ligne);
+  }
+
+  return matrice;
+}
+
+// ============================================
+// TARIFICATION PROPORTIONNELLE
+// ============================================
+
+/**
+ * Prix par place pour un tronçon, proportionnel à sa distance le long
+ * de l'itinéraire. Le trajet complet garde exactement prixParPassager.
+ *
+ * @param {number} prixParPassager
+ * @param {Array<Object>} arrets - Trajet.obtenirArretsOrdonnes (distanceDepuisDepartKm)
+ * @param {number} indexMontee
+ * @param {number} indexDescente
+ * @returns {number} Prix par place (FCFA)
+ */
+function calculerPrixSegment(prixParPassager, arrets, indexMontee, indexDescente) {
+  const dernier = arrets.length - 1;
+  if (indexMontee === 0 && indexDescente === dernier) return prixParPassager;
+
+  const distanceTotale = arrets[dernier]?.distanceDepuisDepartKm || 0;
+  if (distanceTotale <= 0) return prixParPassager;
+
+  const distanceSegment = arrets[indexDescente].distanceDepuisDepartKm -
+                          arrets[indexMontee].distanceDepuisDepartKm;
+  const ratio = Math.min(1, Math.max(0, distanceSegment / distanceTotale));
+
+  const prix = Math.ceil((prixParPassager * ratio) / ARRONDI_PRIX_FCFA) * ARRONDI_PRIX_FCFA;
+  return Math.min(prixParPassager, Math.max(ARRONDI_PRIX_FCFA, prix));
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  normaliserIndex,
+  validerIndex,
+  calculerOccupation,
+  placesDisponiblesEntre,
+  construireMatrice,
+  calculerPrixSegment
+};
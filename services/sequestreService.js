@@ -0,0 +1,434 @@
+// services/sequestreService.js
+
+const cron = require('node-cron');
+const Paiement = require('../models/Paiement');
+const Reservation = require('../models/Reservation');
+const Signalement = require('../models/Signalement');
+const livraisonNotificationsService = require('./livraisonNotificationsService');
+const grandLivreService = require('./grandLivreService');
+const paiementMobileService = require('./paiementMobileService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const HEURE = 60 * 60 * 1000;
+
+/**
+ * 🔒 Séquestre des paiements de course
+ *
+ * Les gains d'une course payée via l'opérateur sont comptabilisés sur le
+ * compte SEQUESTRE_CONDUCTEUR à la confirmation du paiement
+ * (Paiement.traiterCommissionApresPayement), pas sur les gains retirables.
+ * - Prise en charge confirmée ou réservation/trajet terminé : le délai de
+ *   contestation est ouvert (échéance = dernier événement + délai).
+ * - Échéance atteinte sans signalement du passager en cours de traitement :
+ *   les gains sont versés sur GAINS_CONDUCTEUR par le job périodique.
+ * - Trajet annulé par le conducteur, réservation refusée ou trajet expiré
+ *   par trajetAutomationService : le passager est remboursé depuis le séquestre.
+ */
+class SequestreService {
+
+  constructor() {
+    this.config = {
+      CRON: process.env.SEQUESTRE_CRON || '*/15 * * * *',
+      FUSEAU: process.env.SEQUESTRE_FUSEAU || 'Africa/Abidjan',
+      DELAI_CONTESTATION_HEURES: parseInt(process.env.SEQUESTRE_DELAI_CONTESTATION_HEURES) || 24,
+      LIMITE: 500
+    };
+
+    this.job = null;
+    this.enCours = false;
+  }
+
+  start() {
+    if (this.job) return;
+    this.job = cron.schedule(this.config.CRON, async () => {
+      try {
+        await this.libererEcheances();
+      } catch (error) {
+        logger.error('🔒 Libération des séquestres échouée', { error: error.message });
+      }
+    }, { timezone: this.config.FUSEAU });
+    logger.info('🔒 Libération des séquestres planifiée', {
+      cron: this.config.CRON,
+      delaiContestationHeures: this.config.DELAI_CONTESTATION_HEURES
+    });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  // ============================================================
+  // DÉLAI DE CONTESTATION
+  // ============================================================
+
+  /**
+   * Ouvre (ou repousse) le délai de contestation des paiements séquestrés
+   * @param {string|string[]} reservationIds
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<number>} nombre de paiements concernés
+   */
+  async ouvrirDelaiContestation(reservationIds, { maintenant = new Date() } = {}) {
+    const ids = [].concat(reservationIds).filter(Boolean);
+    if (ids.length === 0) return 0;
+
+    const dateDeblocage = new Date(maintenant.getTime() + this.config.DELAI_CONTESTATION_HEURES * HEURE);
+    const resultat = await Paiement.updateMany(
+      {
+        reservationId: { $in: ids },
+        'portefeuilleConducteur.statutSequestre': 'BLOQUE',
+        // Jamais avancer une échéance déjà fixée plus tard
+        'portefeuilleConducteur.dateDeblocage': { $not: { $gte: dateDeblocage } }
+      },
+      { $set: { 'portefeuilleConducteur.dateDeblocage': dateDeblocage } }
+    );
+    return resultat.modifiedCount;
+  }
+
+  /**
+   * Ouvre le délai de contestation des réservations terminées d'un trajet
+   * @param {string} trajetId
+   * @param {Object} [options] - { maintenant }
+   */
+  async ouvrirDelaiContestationTrajet(trajetId, options = {}) {
+    const ids = await Reservation.find({ trajetId, statutReservation: 'TERMINEE' }).distinct('_id');
+    return this.ouvrirDelaiContestation(ids, options);
+  }
+
+  // ============================================================
+  // LIBÉRATION
+  // ============================================================
+
+  /**
+   * Verse aux conducteurs les gains dont le délai de contestation est échu.
+   * Un paiement faisant l'objet d'un signalement du passager en attente de
+   * traitement reste au séquestre.
+   * @param {Object} [options] - { maintenant }
+   * @returns {Promise<{ liberes: number, suspendus: number, erreurs: number }>}
+   */
+  async libererEcheances({ maintenant = new Date() } = {}) {
+    if (this.enCours) {
+      return { liberes: 0, suspendus: 0, erreurs: 0 };
+    }
+    this.enCours = true;
+
+    const bilan = { liberes: 0, suspendus: 0, erreurs: 0 };
+    try {
+      const paiements = await Paiement.find({
+        'portefeuilleConducteur.statutSequestre': 'BLOQUE',
+        'portefeuilleConducteur.dateDeblocage': { $lte: maintenant }
+      })
+        .sort({ 'portefeuilleConducteur.dateDeblocage': 1 })
+        .limit(this.config.LIMITE);
+
+      for (const paiement of paiements) {
+        try {
+          if (await this._contestationOuverte(paiement)) {
+            bilan.suspendus++;
+            continue;
+          }
+          if (await this.liberer(paiement)) {
+            bilan.liberes++;
+          }
+        } catch (error) {
+          bilan.erreurs++;
+          logger.error('🔒 Libération du séquestre impossible', {
+            paiementId: paiement._id,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      this.enCours = false;
+    }
+
+    if (bilan.liberes || bilan.suspendus || bilan.erreurs) {
+      logger.info('🔒 Séquestres échus traités', bilan);
+    }
+    return bilan;
+  }
+
+  /**
+   * Verse au conducteur les gains séquestrés d'un paiement
+   * @param {Object} paiement - document Paiement
+   * @param {Object} [options] - { source }
+   * @returns {Promise<Object|null>} le paiement, null s'il n'était plus au séquestre
+   */
+  async liberer(paiement, { source = 'SYSTEM' } = {}) {
+    // Réclamation atomique : un remboursement concurrent ne peut plus puiser dans ce séquestre
+    if (!await this._reclamer(paiement, 'LIBERE')) {
+      return null;
+    }
+
+    let resultat;
+    try {
+      resultat = await grandLivreService.libererSequestre(paiement);
+    } catch (error) {
+      await this._restituer(paiement, 'LIBERE');
+      throw error;
+    }
+
+    const montant = this.montantSequestre(paiement);
+    paiement.debloquerMontantPortefeuille('LIBERE', source);
+    paiement.ajouterLog('ECRITURE_GRAND_LIVRE', {
+      ecritureId: resultat.ecriture._id,
+      reference: resultat.ecriture.reference
+    }, source);
+    await paiement.save();
+
+    logger.info('🔒 Gains libérés du séquestre', {
+      paiementId: paiement._id,
+      conducteurId: paiement.beneficiaireId,
+      montant
+    });
+
+    await this._notifier(paiement.beneficiaireId, {
+      type: 'GAINS_LIBERES',
+      titre: '💰 Gains disponibles',
+      message: `${montant} FCFA de la course ont été versés sur vos gains`,
+      paiement,
+      montant
+    });
+
+    return paiement;
+  }
+
+  // ============================================================
+  // REMBOURSEMENT
+  // ============================================================
+
+  /**
+   * Rembourse un paiement de course encaissé via l'opérateur. Encore au
+   * séquestre, il en sort : le passager est remboursé et le reste éventuel
+   * des gains (remboursement partiel) est versé au conducteur.
+   * @param {Object} paiement - document Paiement
+   * @param {Object} options - { motif, montant, compensation, politique, source, effectuePar, io, reservationRemboursee }
+   *   compensation : dédommagement dû par le conducteur en plus du remboursement
+   *   politique : politique d'annulation ayant fixé les montants
+   *   reservationRemboursee : false pour un paiement en trop d'une réservation
+   *   qui reste payée (part de prix partagé déjà couverte)
+   * @returns {Promise<{ paiement, montantRembourse: number, compensation: number, ecriture: Object }>}
+   */
+  async rembourser(paiement, {
+    motif, montant, compensation = 0, politique = null, source = 'SYSTEM', effectuePar = null, io = null,
+    reservationRemboursee = true
+  }) {
+    if (!paiement.peutChangerStatut('REMBOURSE')) {
+      throw new AppError(`Un paiement au statut ${paiement.statutPaiement} ne peut pas être remboursé`, {
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const sequestre = paiement.portefeuilleConducteur?.statutSequestre === 'BLOQUE';
+    if (sequestre && !await this._reclamer(paiement, 'REMBOURSE')) {
+      throw new AppError('Les fonds de ce paiement ont déjà quitté le séquestre', {
+        code: 'ESCROW_ALREADY_SETTLED',
+        status: 409
+      });
+    }
+
+    let resultat;
+    try {
+      resultat = await grandLivreService.rembourserPaiement(paiement, montant, { compensation });
+    } catch (error) {
+      if (sequestre) await this._restituer(paiement, 'REMBOURSE');
+      throw error;
+    }
+    const montantRembourse = resultat.ecriture.lignes.find(l => l.compte === 'REMBOURSEMENTS').montant;
+    const montantCompensation = resultat.compensation
+      ? resultat.compensation.ecriture.lignes.find(l => l.compte === 'REMBOURSEMENTS').montant
+      : 0;
+
+    paiement.historiqueStatuts.push({
+      ancienStatut: paiement.statutPaiement,
+      nouveauStatut: 'REMBOURSE',
+      raisonChangement: motif
+    });
+    paiement.changerStatut('REMBOURSE', { motif }, source);
+    paiement.remboursement = {
+      montant: montantRembourse,
+      motif,
+      dateRemboursement: new Date(),
+      effectuePar,
+      politique: politique || undefined,
+      compensation: montantCompensation
+    };
+    if (sequestre) {
+      paiement.debloquerMontantPortefeuille('REMBOURSE', source);
+    }
+    paiement.ajouterLog('REMBOURSEMENT_COMPTABILISE', {
+      montant: montantRembourse,
+      ecritureId: resultat.ecriture._id,
+      liberationId: resultat.liberation?.ecriture?._id,
+      compensation: montantCompensation,
+      compensationId: resultat.compensation?.ecriture?._id,
+      politique,
+      adminId: effectuePar
+    }, source);
+    await paiement.save();
+
+    // Renvoi au passager par le fournisseur qui a encaissé (si activé)
+    const retourFournisseur = await paiementMobileService.rembourserAupresFournisseur(paiement, montantRembourse, motif);
+    if (retourFournisseur) {
+      paiement.ajouterLog('REMBOURSEMENT_FOURNISSEUR', retourFournisseur, source,
+        retourFournisseur.statut === 'ECHOUE' ? 'WARNING' : 'INFO');
+      await paiement.save();
+    }
+
+    if (paiement.reservationId && reservationRemboursee) {
+      await Reservation.updateOne({ _id: paiement.reservationId }, { $set: { statutPaiement: 'REMBOURSE' } });
+    }
+
+    const message = montantCompensation > 0
+      ? `${montantRembourse} FCFA vous sont remboursés, plus ${montantCompensation} FCFA de dédommagement : ${motif}`
+      : `${montantRembourse} FCFA vous sont remboursés : ${motif}`;
+    await this._notifier(paiement.payeurId, {
+      type: 'PAIEMENT_REMBOURSE',
+      titre: '↩️ Remboursement',
+      message,
+      paiement,
+      montant: montantRembourse + montantCompensation,
+      io
+    });
+
+    return { paiement, montantRembourse, compensation: montantCompensation, ecriture: resultat.ecriture };
+  }
+
+  /**
+   * Rembourse les paiements encore séquestrés de réservations
+   * @param {string|string[]} reservationIds
+   * @param {string} motif
+   * @param {Object} [options] - { seulementSansPriseEnCharge, tauxCompensation, politique, io }
+   *   seulementSansPriseEnCharge : ignore les paiements dont le délai de
+   *   contestation est ouvert (passager déjà pris en charge)
+   *   tauxCompensation : part du montant encaissé versée en dédommagement par le conducteur
+   * @returns {Promise<{ rembourses: number, erreurs: number }>}
+   */
+  async rembourserReservations(reservationIds, motif, {
+    seulementSansPriseEnCharge = false, tauxCompensation = 0, politique = null, io = null
+  } = {}) {
+    const ids = [].concat(reservationIds).filter(Boolean);
+    const bilan = { rembourses: 0, erreurs: 0 };
+    if (ids.length === 0) return bilan;
+
+    const filtre = {
+      reservationId: { $in: ids },
+      'portefeuilleConducteur.statutSequestre': 'BLOQUE'
+    };
+    if (seulementSansPriseEnCharge) {
+      filtre['portefeuilleConducteur.dateDeblocage'] = null;
+    }
+
+    const paiements = await Paiement.find(filtre);
+    for (const paiement of paiements) {
+      try {
+        const compensation = Math.round(this.montantEncaisse(paiement) * tauxCompensation);
+        await this.rembourser(paiement, { motif, compensation, politique, io });
+        bilan.rembourses++;
+      } catch (error) {
+        bilan.erreurs++;
+        logger.error('🔒 Remboursement depuis le séquestre impossible', {
+          paiementId: paiement._id,
+          error: error.message
+        });
+      }
+    }
+    return bilan;
+  }
+
+  /**
+   * Rembourse les paiements séquestrés de toutes les réservations d'un trajet
+   * @param {string} trajetId
+   * @param {string} motif
+   * @param {Object} [options] - voir rembourserReservations
+   */
+  async rembourserTrajet(trajetId, motif, options = {}) {
+    const ids = await Reservation.find({ trajetId }).distinct('_id');
+    return this.rembourserReservations(ids, motif, options);
+  }
+
+  // ============================================================
+  // OUTILS
+  // ============================================================
+
+  montantSequestre(paiement) {
+    return grandLivreService.montantALiberer(paiement);
+  }
+
+  montantEncaisse(paiement) {
+    return paiement.montantTotal - (paiement.fraisTransaction || 0);
+  }
+
+  /**
+   * Signalement du passager contre le conducteur sur ce trajet, non encore traité
+   * @private
+   */
+  async _contestationOuverte(paiement) {
+    const reservation = await Reservation.findById(paiement.reservationId).select('trajetId').lean();
+    if (!reservation) return false;
+
+    const signalement = await Signalement.exists({
+      trajetId: reservation.trajetId,
+      signalantId: paiement.payeurId,
+      signaleId: paiement.beneficiaireId,
+      statutTraitement: { $in: ['EN_ATTENTE', 'EN_COURS'] }
+    });
+    return Boolean(signalement);
+  }
+
+  /** @private */
+  async _reclamer(paiement, issue) {
+    const resultat = await Paiement.updateOne(
+      { _id: paiement._id, 'portefeuilleConducteur.statutSequestre': 'BLOQUE' },
+      { $set: { 'portefeuilleConducteur.statutSequestre': issue } }
+    );
+    return resultat.modifiedCount === 1;
+  }
+
+  /** @private */
+  async _restituer(paiement, issue) {
+    await Paiement.updateOne(
+      { _id: paiement._id, 'portefeuilleConducteur.statutSequestre': issue },
+      { $set: { 'portefeuilleConducteur.statutSequestre': 'BLOQUE' } }
+    );
+  }
+
+  /**
+   * Notification in-app et cascade de canaux, signalée par socket
+   * @private
+   */
+  async _notifier(destinataireId, { type, titre, message, paiement, montant, io = null }) {
+    const donnees = {
+      paiementId: paiement._id.toString(),
+      referenceTransaction: paiement.referenceTransaction,
+      reservationId: paiement.reservationId?.toString(),
+      montant
+    };
+
+    try {
+      const { livraison } = await livraisonNotificationsService.envoyer(destinataireId, {
+        evenement: type,
+        titre,
+        message,
+        donnees: { type, ...donnees, screen: 'Paiements' },
+        categorie: 'paiements',
+        priorite: 'HAUTE'
+      });
+      if (io) {
+        io.to(`user_${destinataireId}`).emit('paymentStatus', {
+          notificationId: livraison.notificationId,
+          type,
+          message,
+          ...donnees
+        });
+      }
+    } catch (error) {
+      logger.warn(`Notification séquestre non envoyée (${destinataireId}): ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SequestreService();
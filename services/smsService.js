@@ -1,6 +1,7 @@
 // services/smsService.js
 const axios = require('axios');
 const { logger } = require('../utils/logger');
+const modelesNotificationService = require('./modelesNotificationService');
 
 /**
  * Configuration du service SMS
@@ -568,6 +569,15 @@ const sendSMS = async ({ to, message }) => {
   }
 };
 
+/**
+ * Envoyer un SMS à partir d'un modèle de notification, dans la langue du destinataire
+ * @param {Object} params - { to, evenement, variables, langue (français à défaut) }
+ */
+const sendTemplatedSMS = async ({ to, evenement, variables = {}, langue }) => {
+  const { corps } = await modelesNotificationService.rendre(evenement, variables, { langue, canal: 'sms' });
+  return sendSMS({ to, message: corps });
+};
+
 /**
  * Vérifier le statut d'un SMS envoyé (VERSION AMÉLIORÉE)
  */
@@ -728,6 +738,7 @@ const validateSMSConfig = () => {
 
 module.exports = {
   sendSMS,
+  sendTemplatedSMS,
   getSMSStatus,
   testSMSService,
   validateSMSConfig,
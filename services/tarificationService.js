@@ -0,0 +1,355 @@
+// services/tarificationService.js
+
+const fs = require('fs');
+const path = require('path');
+const Trajet = require('../models/Trajet');
+const RechercheSauvegardee = require('../models/RechercheSauvegardee');
+const corridorService = require('./corridorService');
+const AppError = require('../utils/AppError');
+const { logger } = require('../utils/logger');
+
+const JOUR_MS = 24 * 60 * 60 * 1000;
+
+const nombreEnv = (nom, defaut) => {
+  const valeur = parseFloat(process.env[nom]);
+  return Number.isFinite(valeur) ? valeur : defaut;
+};
+
+/**
+ * Moteur de tarification indicative
+ *
+ * Propose une fourchette de prix par passager (min / recommandé / max)
+ * à partir de :
+ *   - la distance et le coût du carburant, partagé entre conducteur et passagers
+ *   - les péages traversés par l'itinéraire (data/tarification/peages.json)
+ *   - les prix des trajets ayant trouvé preneur sur le même couple de communes
+ *   - la demande : taux de remplissage et recherches sauvegardées actives
+ *
+ * Un plafond par km protège les passagers : au-delà, le prix est bloqué
+ * (TARIF_MODE_PLAFOND=BLOQUER, défaut) ou seulement signalé (AVERTIR).
+ */
+class TarificationService {
+
+  constructor() {
+    this.config = {
+      PRIX_CARBURANT_LITRE:       nombreEnv('TARIF_PRIX_CARBURANT_LITRE', 875),   // super sans plomb, FCFA
+      CONSOMMATION_L_100KM:       nombreEnv('TARIF_CONSOMMATION_L_100KM', 7.5),
+      FACTEUR_USURE:              0.25,  // entretien, pneus... en part du carburant
+      PRIX_MAX_PAR_KM:            nombreEnv('TARIF_PRIX_MAX_PAR_KM', 100),        // plafond par passager
+      PLAFOND_MINIMUM:            nombreEnv('TARIF_PLAFOND_MINIMUM', 1000),       // courts trajets urbains
+      MODE_PLAFOND:               process.env.TARIF_MODE_PLAFOND === 'AVERTIR' ? 'AVERTIR' : 'BLOQUER',
+      PRIX_MINIMUM:               200,
+      ARRONDI:                    50,
+      PLACES_DEFAUT:              3,
+      FACTEUR_ROUTIER:            1.3,   // distance routière ≈ 1.3 × vol d'oiseau
+      ECART_MIN:                  0.8,   // min = recommandé × 0.8
+      ECART_MAX:                  1.25,  // max = recommandé × 1.25
+      POIDS_HISTORIQUE:           0.5,
+      JOURS_HISTORIQUE:           90,
+      ECHANTILLON_MIN:            3,
+      RAYON_PEAGE_METRES:         500,   // itinéraire routier détaillé
+      RAYON_PEAGE_ESTIME_METRES:  1500,  // itinéraire à vol d'oiseau
+      FACTEUR_DEMANDE_MIN:        0.9,
+      FACTEUR_DEMANDE_MAX:        1.15
+    };
+
+    this.fichierPeages = process.env.TARIF_PEAGES_FILE
+      || path.join(__dirname, '..', 'data', 'tarification', 'peages.json');
+    this.peages = null;
+  }
+
+  // ============================================================
+  // SUGGESTION DE PRIX
+  // ============================================================
+
+  /**
+   * Fourchette de prix par passager pour un itinéraire
+   *
+   * @param {Object} params - {
+   *   distanceKm,                 distance routière (sinon estimée sur les points)
+   *   pointDepart, pointArrivee,  { commune, coordonnees: { coordinates: [lng, lat] } }
+   *   arretsIntermediaires,
+   *   polyline,                   itinéraire détaillé, pour la détection des péages
+   *   nombrePlaces,               places proposées aux passagers
+   *   maintenant
+   * }
+   * @returns {Promise<Object>} - { min, recommande, max, plafond, details }
+   */
+  async suggererPrix(params) {
+    const maintenant = params.maintenant || new Date();
+    const nombrePlaces = params.nombrePlaces || this.config.PLACES_DEFAUT;
+    const points = this._pointsItineraire(params);
+    const distanceKm = this._distanceKm(params, points);
+
+    // 1. Coût de revient partagé entre le conducteur et ses passagers
+    const coutCarburant = distanceKm * this.config.CONSOMMATION_L_100KM / 100 * this.config.PRIX_CARBURANT_LITRE;
+    const peages = this.peagesSurItineraire(points, { estime: !params.polyline });
+    const totalPeages = peages.reduce((somme, p) => somme + p.tarif, 0);
+    const prixCout = (coutCarburant * (1 + this.config.FACTEUR_USURE) + totalPeages) / (nombrePlaces + 1);
+
+    // 2. Prix pratiqués sur le même couple de communes
+    const communeDepart = params.pointDepart?.commune;
+    const communeArrivee = params.pointArrivee?.commune;
+    const marche = await this._analyserMarche(communeDepart, communeArrivee, maintenant);
+
+    let recommande = prixCout;
+    if (marche.prixParKmMedian !== null) {
+      const prixMarche = marche.prixParKmMedian * distanceKm;
+      recommande = prixCout * (1 - this.config.POIDS_HISTORIQUE) + prixMarche * this.config.POIDS_HISTORIQUE;
+    }
+
+    // 3. Demande
+    recommande *= marche.facteurDemande;
+
+    const plafond = this.calculerPlafond(distanceKm, totalPeages, nombrePlaces);
+    recommande = Math.min(Math.max(this._arrondir(recommande), this.config.PRIX_MINIMUM), plafond);
+
+    return {
+      min:        Math.max(this.config.PRIX_MINIMUM, this._arrondir(recommande * this.config.ECART_MIN)),
+      recommande,
+      max:        Math.min(plafond, this._arrondir(recommande * this.config.ECART_MAX)),
+      plafond,
+      devise:     'FCFA',
+      details: {
+        distanceKm:        parseFloat(distanceKm.toFixed(1)),
+        distanceEstimee:   !(params.distanceKm > 0),
+        nombrePlaces,
+        coutCarburant:     Math.round(coutCarburant),
+        peages:            peages.map(p => ({ id: p.id, nom: p.nom, tarif: p.tarif })),
+        peagesEstimes:     !params.polyline,
+        prixCoutParPassager: Math.round(prixCout),
+        marche
+      }
+    };
+  }
+
+  /**
+   * Compare un prix à la suggestion
+   * @returns {Object} - { niveau: OK | BAS | ELEVE | AU_DESSUS_PLAFOND, bloquant, message }
+   */
+  evaluerPrix(prix, suggestion) {
+    if (prix > suggestion.plafond) {
+      return {
+        niveau: 'AU_DESSUS_PLAFOND',
+        bloquant: this.config.MODE_PLAFOND === 'BLOQUER',
+        message: `Le prix dépasse le plafond autorisé pour ce trajet (${suggestion.plafond} FCFA par passager)`
+      };
+    }
+    if (prix > suggestion.max) {
+      return {
+        niveau: 'ELEVE',
+        bloquant: false,
+        message: `Prix élevé : les passagers paient habituellement entre ${suggestion.min} et ${suggestion.max} FCFA`
+      };
+    }
+    if (prix < suggestion.min) {
+      return {
+        niveau: 'BAS',
+        bloquant: false,
+        message: `Prix bas : vous pourriez demander jusqu'à ${suggestion.recommande} FCFA`
+      };
+    }
+    return { niveau: 'OK', bloquant: false, message: 'Prix dans la fourchette conseillée' };
+  }
+
+  /**
+   * Vérifie le plafond avant publication ou modification d'un trajet
+   * (sans appel externe : distance du trajet si connue, sinon estimée)
+   *
+   * @throws {AppError} PRICE_ABOVE_CAP si le mode BLOQUER est actif
+   * @returns {Object|null} - Avertissement si le plafond est dépassé en mode AVERTIR
+   */
+  verifierPlafond(prix, trajet) {
+    const points = this._pointsItineraire(trajet);
+    const distanceKm = this._distanceKm({ distanceKm: trajet.distance > 0.1 ? trajet.distance : null }, points);
+    const totalPeages = this.peagesSurItineraire(points, { estime: !trajet.itineraire?.polyline })
+      .reduce((somme, p) => somme + p.tarif, 0);
+    const plafond = this.calculerPlafond(distanceKm, totalPeages, trajet.nombrePlacesTotal || this.config.PLACES_DEFAUT);
+
+    if (prix <= plafond) return null;
+
+    const message = `Le prix dépasse le plafond autorisé pour ce trajet (${plafond} FCFA par passager)`;
+    if (this.config.MODE_PLAFOND === 'BLOQUER') {
+      throw new AppError(message, {
+        code: 'PRICE_ABOVE_CAP',
+        status: 400,
+        context: { prix, plafond, distanceKm: parseFloat(distanceKm.toFixed(1)) }
+      });
+    }
+
+    logger.warn(`💰 Prix ${prix} FCFA au-dessus du plafond ${plafond} FCFA (${distanceKm.toFixed(1)} km)`);
+    return { niveau: 'AU_DESSUS_PLAFOND', bloquant: false, message, plafond };
+  }
+
+  /**
+   * Plafond par passager : prix max au km (avec un minimum pour les courts
+   * trajets) plus la part de péages
+   */
+  calculerPlafond(distanceKm, totalPeages = 0, nombrePlaces = this.config.PLACES_DEFAUT) {
+    const partPeages = totalPeages / (nombrePlaces + 1);
+    return this._arrondir(
+      Math.max(this.config.PLAFOND_MINIMUM, distanceKm * this.config.PRIX_MAX_PAR_KM) + partPeages
+    );
+  }
+
+  // ============================================================
+  // PÉAGES
+  // ============================================================
+
+  /**
+   * Postes de péage traversés par l'itinéraire
+   * @param {Array<[lat, lng]>} points
+   * @param {Object} options - { estime } itinéraire à vol d'oiseau : rayon élargi
+   */
+  peagesSurItineraire(points, { estime = false } = {}) {
+    if (!Array.isArray(points) || points.length < 2) return [];
+
+    const rayon = estime ? this.config.RAYON_PEAGE_ESTIME_METRES : this.config.RAYON_PEAGE_METRES;
+    return this._obtenirPeages().filter(poste => {
+      const projection = corridorService.projeterSurItineraire(points, poste.lat, poste.lng);
+      return projection && projection.distanceMetres <= rayon;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _obtenirPeages() {
+    if (!this.peages) {
+      try {
+        this.peages = JSON.parse(fs.readFileSync(this.fichierPeages, 'utf8')).postes || [];
+      } catch (error) {
+        logger.warn(`💰 Péages non chargés (${this.fichierPeages}): ${error.message}`);
+        this.peages = [];
+      }
+    }
+    return this.peages;
+  }
+
+  // ============================================================
+  // MARCHÉ ET DEMANDE
+  // ============================================================
+
+  /**
+   * Prix pratiqués et demande sur un couple de communes
+   * @private
+   */
+  async _analyserMarche(communeDepart, communeArrivee, maintenant) {
+    const marche = {
+      echantillon: 0,
+      prixParKmMedian: null,
+      tauxRemplissage: null,
+      recherchesActives: 0,
+      facteurDemande: 1
+    };
+    if (!communeDepart || !communeArrivee) return marche;
+
+    try {
+      const filtreCommunes = {
+        'pointDepart.commune':  { $regex: new RegExp(`^${this._echapper(communeDepart)}$`, 'i') },
+        'pointArrivee.commune': { $regex: new RegExp(`^${this._echapper(communeArrivee)}$`, 'i') }
+      };
+
+      const [trajets, recherchesActives] = await Promise.all([
+        Trajet.find({
+          ...filtreCommunes,
+          dateDepart: { $gte: new Date(maintenant.getTime() - this.config.JOURS_HISTORIQUE * JOUR_MS) },
+          statutTrajet: { $ne: 'ANNULE' },
+          distance: { $gt: 0.5 }
+        })
+          .select('prixParPassager distance nombrePlacesTotal nombrePlacesDisponibles')
+          .limit(200)
+          .lean(),
+        RechercheSauvegardee.countDocuments({
+          statut: 'ACTIVE',
+          'depart.commune':  filtreCommunes['pointDepart.commune'],
+          'arrivee.commune': filtreCommunes['pointArrivee.commune']
+        })
+      ]);
+
+      // Prix acceptés : trajets ayant vendu au moins une place
+      const prixParKm = trajets
+        .filter(t => t.nombrePlacesDisponibles < t.nombrePlacesTotal)
+        .map(t => t.prixParPassager / t.distance);
+
+      marche.echantillon = prixParKm.length;
+      if (prixParKm.length >= this.config.ECHANTILLON_MIN) {
+        marche.prixParKmMedian = parseFloat(this._mediane(prixParKm).toFixed(2));
+      }
+
+      const placesTotal = trajets.reduce((somme, t) => somme + t.nombrePlacesTotal, 0);
+      if (placesTotal > 0) {
+        const placesVendues = trajets.reduce((somme, t) => somme + (t.nombrePlacesTotal - t.nombrePlacesDisponibles), 0);
+        marche.tauxRemplissage = parseFloat((placesVendues / placesTotal).toFixed(2));
+      }
+      marche.recherchesActives = recherchesActives;
+      marche.facteurDemande = this._facteurDemande(marche.tauxRemplissage, recherchesActives);
+    } catch (error) {
+      logger.warn(`💰 Analyse du marché indisponible: ${error.message}`);
+    }
+
+    return marche;
+  }
+
+  /**
+   * Majoration si les trajets se remplissent et que des passagers attendent,
+   * minoration si l'offre reste vide
+   * @private
+   */
+  _facteurDemande(tauxRemplissage, recherchesActives) {
+    let facteur = 1;
+    if (tauxRemplissage !== null) {
+      if (tauxRemplissage >= 0.8) facteur += 0.1;
+      else if (tauxRemplissage < 0.3) facteur -= 0.1;
+    }
+    if (recherchesActives >= 10) facteur += 0.05;
+    else if (recherchesActives >= 3) facteur += 0.02;
+
+    return parseFloat(Math.min(this.config.FACTEUR_DEMANDE_MAX, Math.max(this.config.FACTEUR_DEMANDE_MIN, facteur)).toFixed(2));
+  }
+
+  // ============================================================
+  // UTILITAIRES
+  // ============================================================
+
+  /**
+   * Points [lat, lng] : polyline détaillée si fournie, sinon points déclarés
+   * @private
+   */
+  _pointsItineraire(params) {
+    const polyline = params.polyline || params.itineraire?.polyline;
+    if (polyline) {
+      const points = corridorService.decodePolyline(polyline);
+      if (points.length >= 2) return points;
+    }
+    return Trajet.obtenirPointsDeclares(params);
+  }
+
+  /**
+   * @private
+   */
+  _distanceKm(params, points) {
+    if (params.distanceKm > 0) return params.distanceKm;
+    return corridorService.longueurItineraire(points) / 1000 * this.config.FACTEUR_ROUTIER;
+  }
+
+  _arrondir(montant) {
+    return Math.round(montant / this.config.ARRONDI) * this.config.ARRONDI;
+  }
+
+  _mediane(valeurs) {
+    const triees = [...valeurs].sort((a, b) => a - b);
+    const milieu = Math.floor(triees.length / 2);
+    return triees.length % 2 ? triees[milieu] : (triees[milieu - 1] + triees[milieu]) / 2;
+  }
+
+  _echapper(texte) {
+    return String(texte).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  getConfig() {
+    return { ...this.config, postesPeage: this._obtenirPeages().length };
+  }
+}
+
+module.exports = new TarificationService();
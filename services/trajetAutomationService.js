@@ -4,7 +4,12 @@ const cron = require('node-cron');
 const Trajet = require('../models/Trajet');
 const Utilisateur = require('../models/Utilisateur'); 
 const firebaseService = require('./firebaseService'); 
+const livraisonNotificationsService = require('./livraisonNotificationsService');
 const Reservation = require('../models/Reservation');
+const RechercheSauvegardee = require('../models/RechercheSauvegardee');
+const listeAttenteService = require('./listeAttenteService');
+const sequestreService = require('./sequestreService');
+const promotionService = require('./promotionService');
 
 /**
  * 🚀 SERVICE SIMPLIFIÉ DE GESTION AUTOMATIQUE DES TRAJETS
@@ -15,6 +20,8 @@ const Reservation = require('../models/Reservation');
  * 3. EN_COURS → TERMINE (manuel conducteur)
  * 4. PROGRAMME + retard départ 3,5,10,15,20,25 min → Notifications
  * 5. RECURRENT + date fin dépassée → EXPIRE (auto)
+ * 6. Recherches sauvegardées dont la fenêtre est dépassée → EXPIREE (auto)
+ * 7. Liste d'attente: propositions sans réponse → EXPIREE, place au suivant (auto)
  * 
  * Note: EN_RETARD supprimé (trajets longue distance 10h+)
  */
@@ -173,6 +180,8 @@ class TrajetAutomationService {
             .populate('passagers');
 
           if (trajetExpire) {
+            await this._rembourserTrajetExpire(trajetId);
+
             // ✅ VERIFIER si notification déjà envoyée
             if (!trajetExpire.notificationExpirationEnvoyee) {
               // 1️⃣ Notification conducteur
@@ -231,6 +240,19 @@ class TrajetAutomationService {
           if (maintenant >= margeTerminaison) {
             trajet.statutTrajet = 'TERMINE';
             await trajet.save();
+
+            try {
+              const reservations = await Reservation.find({
+                trajetId: trajet._id,
+                'priseEnCharge.confirmee': true,
+                statutReservation: { $in: ['CONFIRMEE', 'TERMINEE'] }
+              }).select('_id passagerId');
+              await sequestreService.ouvrirDelaiContestation(reservations.map(r => r._id));
+              // Première course des filleuls : crédit de parrainage
+              await promotionService.recompenserParrainages(reservations.map(r => r.passagerId));
+            } catch (error) {
+              console.error(`⚠️ Séquestre trajet ${trajet._id}:`, error.message);
+            }
             
             results.push({
               id: trajet._id,
@@ -299,6 +321,43 @@ class TrajetAutomationService {
     }
   }
 
+  /**
+   * 🔎 EXPIRER les recherches sauvegardées dont la fenêtre est dépassée
+   */
+  async expirerRecherchesSauvegardees() {
+    try {
+      const expirees = await RechercheSauvegardee.expirerRecherches(new Date());
+
+      if (expirees > 0) {
+        console.log(`🔎 ${expirees} recherche(s) sauvegardée(s) expirée(s)`);
+      }
+
+      return { recherchesExpired: expirees };
+    } catch (error) {
+      console.error('❌ Erreur expiration recherches sauvegardées:', error);
+      return { recherchesExpired: 0, error: error.message };
+    }
+  }
+
+  /**
+   * ⏳ LISTES D'ATTENTE: expirer les propositions sans réponse
+   * et proposer les places à l'inscription suivante
+   */
+  async traiterListesAttente() {
+    try {
+      const resultat = await listeAttenteService.traiterExpirations({ maintenant: new Date() });
+
+      if (resultat.propositionsExpirees > 0) {
+        console.log(`⏳ ${resultat.propositionsExpirees} proposition(s) expirée(s), ${resultat.proposees} nouvelle(s) proposition(s)`);
+      }
+
+      return resultat;
+    } catch (error) {
+      console.error('❌ Erreur traitement listes d\'attente:', error);
+      return { propositionsExpirees: 0, inscriptionsFermees: 0, proposees: 0, error: error.message };
+    }
+  }
+
   /**
    * 🔔 5. Notifier les conducteurs en retard de DÉPART
    * (Pas de changement de statut, juste des notifications)
@@ -335,19 +394,21 @@ class TrajetAutomationService {
           // ✅ NE NOTIFIER QUE SI PAS DÉJÀ NOTIFIÉ À CE SEUIL
           if (!trajet.notificationsRetardSeuils?.[`seuil_${retardMinutes}min`]) {
             
-            await firebaseService.sendToMultipleTokens(
-              trajet.conducteurId.fcmTokens,
+            await firebaseService.sendToUser(
+              trajet.conducteurId._id,
               {
-                title: '⏰ Retard de départ',
-                body: `Vous avez ${retardMinutes} min de retard. Démarrez le trajet vers ${trajet.pointArrivee.nom}`,
+                modele: 'TRAJET_RETARD_DEPART',
+                variables: { retardMinutes, arrivee: trajet.pointArrivee.nom },
                 data: {
                   type: 'DEPARTURE_DELAY',
                   trajetId: trajet._id.toString(),
                   retardMinutes: retardMinutes.toString(),
                   screen: 'TripDetails'
-                }
+                },
+                channelId: 'trajets',
+                type: 'trajets'
               },
-              { channelId: 'trajets', priority: 'high' }
+              Utilisateur
             );
             
             // ✅ MARQUER LE SEUIL COMME NOTIFIÉ
@@ -407,6 +468,12 @@ class TrajetAutomationService {
     // 3.6 Expiration EN_COURS sans confirmation
     resultats.expirationEnCours = await this.expirerEnCoursSansConfirmation();
 
+    // 6. Expiration des recherches sauvegardées
+    resultats.recherchesSauvegardees = await this.expirerRecherchesSauvegardees();
+
+    // 7. Propositions de liste d'attente expirées
+    resultats.listesAttente = await this.traiterListesAttente();
+
     const duree = Date.now() - debut;
 
     const total = 
@@ -421,6 +488,8 @@ class TrajetAutomationService {
     console.log(`   🏁 Terminés: ${resultats.terminaison.terminated}`);
     console.log(`   🔁 Récurrences expirées: ${resultats.recurrences.recurrencesExpired}`);
     console.log(`   🔔 Notifications retard: ${resultats.notificationsRetard || 0}`);
+    console.log(`   🔎 Recherches sauvegardées expirées: ${resultats.recherchesSauvegardees.recherchesExpired}`);
+    console.log(`   ⏳ Propositions liste d'attente expirées: ${resultats.listesAttente.propositionsExpirees}`);
     console.log(`   ⏱️  Durée: ${duree}ms`);
     
     if (total > 0) {
@@ -507,8 +576,8 @@ class TrajetAutomationService {
       await firebaseService.sendToUser(
         trajet.conducteurId._id || trajet.conducteurId,
         {
-          title: '🚗 Votre trajet a démarré !',
-          message: `${trajet.pointDepart.nom} → ${trajet.pointArrivee.nom}`,
+          modele: 'TRAJET_ACTIVE',
+          variables: { depart: trajet.pointDepart.nom, arrivee: trajet.pointArrivee.nom },
           data: {
             type: 'TRAJET_ACTIVE',
             trajetId: trajet._id.toString(),
@@ -546,11 +615,11 @@ class TrajetAutomationService {
       const passager = reservation.passagerId;
       
       if (passager?.fcmTokens?.length) {
-        await firebaseService.sendToMultipleTokens(
-          passager.fcmTokens,
+        await firebaseService.sendToUser(
+          passager._id,
           {
-            title: '🚗 Votre trajet commence !',
-            body: `Le trajet ${trajet.pointDepart.nom} → ${trajet.pointArrivee.nom} a démarré.`,
+            modele: 'TRAJET_DEMARRE',
+            variables: { depart: trajet.pointDepart.nom, arrivee: trajet.pointArrivee.nom },
             data: {
               type: 'TRAJET_DEMARRE',
               trajetId: trajet._id.toString(),
@@ -558,9 +627,11 @@ class TrajetAutomationService {
               depart: trajet.pointDepart.nom,
               arrivee: trajet.pointArrivee.nom,
               screen: 'TripDetails'
-            }
+            },
+            channelId: 'trajets',
+            type: 'trajets'
           },
-          { channelId: 'trajets', priority: 'high' }
+          Utilisateur
         );
 
         console.log(`🔔 Notification envoyée: ${passager.nom} ${passager.prenom}`);
@@ -578,36 +649,51 @@ class TrajetAutomationService {
       const reservations = await Reservation.find({
         trajetId: trajet._id,
         statutReservation: 'CONFIRMEE'
-      }).populate('passagerId', 'fcmTokens nom prenom');
+      }).populate('passagerId', 'nom prenom');
 
       if (!reservations || reservations.length === 0) return;
 
       for (const reservation of reservations) {
         const passager = reservation.passagerId;
-        
-        if (passager?.fcmTokens?.length) {
-          await firebaseService.sendToMultipleTokens(
-            passager.fcmTokens,
-            {
-              title: '⏰ Trajet annulé',
-              body: `Le trajet ${trajet.pointDepart.nom} → ${trajet.pointArrivee.nom} a été annulé.`,
-              data: {
-                type: 'TRAJET_EXPIRE',
-                trajetId: trajet._id.toString(),
-                reservationId: reservation._id.toString(),
-                screen: 'TripHistory'
-              }
-            },
-            { channelId: 'trajets' }
-          );
-          
-          console.log(`🔔 Notification expiration: ${passager.nom} ${passager.prenom}`);
-        }
+        if (!passager) continue;
+
+        // Passager sans application ouverte : repli WhatsApp puis SMS
+        await livraisonNotificationsService.envoyer(passager._id, {
+          modele: 'TRAJET_ANNULE',
+          variables: { depart: trajet.pointDepart.nom, arrivee: trajet.pointArrivee.nom },
+          donnees: {
+            type: 'TRAJET_EXPIRE',
+            trajetId: trajet._id.toString(),
+            reservationId: reservation._id.toString(),
+            screen: 'TripHistory'
+          },
+          categorie: 'trajets',
+          priorite: 'HAUTE'
+        });
+
+        console.log(`🔔 Notification expiration: ${passager.nom} ${passager.prenom}`);
       }
     } catch (error) {
       console.error('❌ Erreur notification passagers expiré:', error.message);
     }
   }
+  /**
+   * 🔒 Remboursement des paiements séquestrés d'un trajet expiré
+   * (passagers non pris en charge)
+   */
+  async _rembourserTrajetExpire(trajetId) {
+    try {
+      const { rembourses } = await sequestreService.rembourserTrajet(trajetId, 'Trajet expiré', {
+        seulementSansPriseEnCharge: true
+      });
+      if (rembourses > 0) {
+        console.log(`↩️ ${rembourses} paiement(s) remboursé(s) pour le trajet expiré ${trajetId}`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Remboursement trajet expiré ${trajetId}:`, error.message);
+    }
+  }
+
   /**
    * 🏁 Notification : Trajet terminé
    */
@@ -621,8 +707,8 @@ class TrajetAutomationService {
       await firebaseService.sendToUser(
         trajet.conducteurId._id || trajet.conducteurId,
         {
-          title: '🏁 Trajet terminé avec succès !',
-          message: `Félicitations ! ${trajet.pointDepart.nom} → ${trajet.pointArrivee.nom}`,
+          modele: 'TRAJET_TERMINE',
+          variables: { depart: trajet.pointDepart.nom, arrivee: trajet.pointArrivee.nom },
           data: {
             type: 'TRAJET_TERMINE',
             trajetId: trajet._id.toString(),
@@ -656,8 +742,8 @@ class TrajetAutomationService {
       await firebaseService.sendToUser(
         trajet.conducteurId._id || trajet.conducteurId,
         {
-          title: '⏰ Trajet expiré',
-          message: `Le trajet ${trajet.pointDepart.nom} → ${trajet.pointArrivee.nom} a expiré`,
+          modele: 'TRAJET_EXPIRE',
+          variables: { depart: trajet.pointDepart.nom, arrivee: trajet.pointArrivee.nom },
           data: {
             type: 'TRAJET_EXPIRE',
             trajetId: trajet._id.toString(),
@@ -709,17 +795,19 @@ async notifierOubliArrivee() {
 
         if (maintenant >= apres5min && !trajet.notificationArriveeEnvoyee) {
           if (trajet.conducteurId?.fcmTokens?.length) {
-            await firebaseService.sendToMultipleTokens(
-              trajet.conducteurId.fcmTokens,
+            await firebaseService.sendToUser(
+              trajet.conducteurId._id,
               {
-                title: '🏁 Êtes-vous arrivé ?',
-                body: 'Merci de confirmer si vous êtes arrivé à destination.',
+                modele: 'CONFIRMATION_ARRIVEE',
                 data: {
                   type: 'CONFIRM_ARRIVAL',
                   trajetId: trajet._id.toString(),
                   screen: 'TripDetails'
-                }
-              }
+                },
+                channelId: 'trajets',
+                type: 'trajets'
+              },
+              Utilisateur
             );
 
             trajet.notificationArriveeEnvoyee = true;
@@ -771,6 +859,9 @@ async expirerEnCoursSansConfirmation() {
           await trajet.save();
           expired++;
 
+          // Seuls les passagers jamais pris en charge sont remboursés
+          await this._rembourserTrajetExpire(trajet._id);
+
           await this._envoyerNotificationExpiration(trajet);
 
           console.log(`⏰ Trajet EN_COURS expiré (silence): ${trajet._id}`);
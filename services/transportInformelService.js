@@ -0,0 +1,266 @@
+// services/transportInformelService.js
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * Réseau de transport artisanal (gbaka, woro-woro) chargé en local
+ *
+ * Les lignes sont décrites dans un jeu de données de type GTFS
+ * (data/transportInformel par défaut, TRANSPORT_INFORMEL_DATA_DIR sinon) :
+ *   - stops.txt       arrêts et gares (location_type = 1), colonne commune
+ *   - routes.txt      lignes, colonne mode (GBAKA | WORO_WORO)
+ *   - trips.txt       un trajet type par sens de circulation
+ *   - stop_times.txt  temps de parcours depuis le premier arrêt
+ *   - frequencies.txt plages de service et intervalle de passage
+ *   - fare_*.txt      tarif unique par ligne (FCFA)
+ *
+ * Ces véhicules partent quand ils sont pleins : il n'y a pas d'horaire,
+ * seulement une fréquence. L'attente estimée est la moitié de l'intervalle.
+ * Les heures GTFS sont lues en UTC (heure locale d'Abidjan).
+ */
+class TransportInformelService {
+
+  constructor() {
+    this.repertoire = process.env.TRANSPORT_INFORMEL_DATA_DIR
+      || path.join(__dirname, '..', 'data', 'transportInformel');
+    this.reseau = null;
+  }
+
+  // ============================================================
+  // CHARGEMENT
+  // ============================================================
+
+  /**
+   * Charge (ou recharge) le jeu de données
+   * @param {string} [repertoire] - Dossier contenant les fichiers .txt
+   * @returns {Object} - Résumé { arrets, lignes, trajets }
+   */
+  charger(repertoire = this.repertoire) {
+    const lire = (fichier, obligatoire = true) => {
+      const chemin = path.join(repertoire, fichier);
+      if (!fs.existsSync(chemin)) {
+        if (obligatoire) throw new Error(`Fichier GTFS manquant: ${chemin}`);
+        return [];
+      }
+      return this._parserCsv(fs.readFileSync(chemin, 'utf8'));
+    };
+
+    const arrets = new Map();
+    for (const ligne of lire('stops.txt')) {
+      arrets.set(ligne.stop_id, {
+        id:        ligne.stop_id,
+        nom:       ligne.stop_name,
+        lat:       parseFloat(ligne.stop_lat),
+        lng:       parseFloat(ligne.stop_lon),
+        commune:   ligne.commune || null,
+        estGare:   ligne.location_type === '1'
+      });
+    }
+
+    const tarifs = new Map(lire('fare_attributes.txt', false).map(f => [f.fare_id, parseFloat(f.price)]));
+    const tarifParLigne = new Map(lire('fare_rules.txt', false).map(r => [r.route_id, tarifs.get(r.fare_id)]));
+
+    const lignes = new Map();
+    for (const route of lire('routes.txt')) {
+      lignes.set(route.route_id, {
+        id:    route.route_id,
+        nom:   route.route_short_name || route.route_long_name,
+        libelle: route.route_long_name,
+        mode:  route.mode || 'GBAKA',
+        prix:  tarifParLigne.get(route.route_id) ?? 0
+      });
+    }
+
+    const trajets = new Map();
+    for (const trip of lire('trips.txt')) {
+      if (!lignes.has(trip.route_id)) continue;
+      trajets.set(trip.trip_id, {
+        id:        trip.trip_id,
+        ligneId:   trip.route_id,
+        direction: trip.trip_headsign,
+        arrets:    [],
+        frequences: []
+      });
+    }
+
+    for (const passage of lire('stop_times.txt')) {
+      const trajet = trajets.get(passage.trip_id);
+      if (!trajet || !arrets.has(passage.stop_id)) continue;
+      trajet.arrets.push({
+        arretId:  passage.stop_id,
+        sequence: parseInt(passage.stop_sequence),
+        minutes:  this._heureEnMinutes(passage.departure_time || passage.arrival_time)
+      });
+    }
+
+    for (const frequence of lire('frequencies.txt')) {
+      const trajet = trajets.get(frequence.trip_id);
+      if (!trajet) continue;
+      trajet.frequences.push({
+        debut:            this._heureEnMinutes(frequence.start_time),
+        fin:              this._heureEnMinutes(frequence.end_time),
+        intervalleMinutes: parseInt(frequence.headway_secs) / 60
+      });
+    }
+
+    // Index arrêt → passages (trajet, position) pour la recherche de correspondances
+    const passagesParArret = new Map();
+    for (const trajet of trajets.values()) {
+      trajet.arrets.sort((a, b) => a.sequence - b.sequence);
+      trajet.arrets.forEach((passage, position) => {
+        if (!passagesParArret.has(passage.arretId)) passagesParArret.set(passage.arretId, []);
+        passagesParArret.get(passage.arretId).push({ trajetId: trajet.id, position });
+      });
+    }
+
+    this.reseau = { arrets, lignes, trajets, passagesParArret };
+    this.repertoire = repertoire;
+
+    const resume = { arrets: arrets.size, lignes: lignes.size, trajets: trajets.size };
+    logger.info(`🚐 Transport artisanal chargé: ${resume.arrets} arrêts, ${resume.lignes} lignes, ${resume.trajets} trajets`);
+    return resume;
+  }
+
+  /**
+   * Réseau chargé à la demande
+   * @private
+   */
+  _obtenirReseau() {
+    if (!this.reseau) this.charger();
+    return this.reseau;
+  }
+
+  // ============================================================
+  // REQUÊTES SUR LE RÉSEAU
+  // ============================================================
+
+  obtenirArret(arretId) {
+    return this._obtenirReseau().arrets.get(arretId) || null;
+  }
+
+  obtenirLigne(ligneId) {
+    return this._obtenirReseau().lignes.get(ligneId) || null;
+  }
+
+  obtenirTrajet(trajetId) {
+    return this._obtenirReseau().trajets.get(trajetId) || null;
+  }
+
+  /**
+   * Gares routières (location_type = 1) : points de correspondance
+   */
+  obtenirGares() {
+    return [...this._obtenirReseau().arrets.values()].filter(arret => arret.estGare);
+  }
+
+  /**
+   * Arrêts à moins de rayonMetres d'un point, du plus proche au plus loin
+   * @param {Object} options - { garesSeulement }
+   * @returns {Array<{ arret: Object, distanceMetres: number }>}
+   */
+  arretsProches(lat, lng, rayonMetres, { garesSeulement = false } = {}) {
+    const resultats = [];
+    for (const arret of this._obtenirReseau().arrets.values()) {
+      if (garesSeulement && !arret.estGare) continue;
+      const distanceMetres = this.distanceMetres(lat, lng, arret.lat, arret.lng);
+      if (distanceMetres <= rayonMetres) {
+        resultats.push({ arret, distanceMetres: Math.round(distanceMetres) });
+      }
+    }
+    return resultats.sort((a, b) => a.distanceMetres - b.distanceMetres);
+  }
+
+  /**
+   * Passages des trajets types à un arrêt
+   * @returns {Array<{ trajetId: string, position: number }>}
+   */
+  passagesA(arretId) {
+    return this._obtenirReseau().passagesParArret.get(arretId) || [];
+  }
+
+  /**
+   * Attente moyenne à l'arrêt (moitié de l'intervalle de passage)
+   * @param {string} trajetId
+   * @param {Date} date - Heure d'arrivée du passager à l'arrêt
+   * @param {number} decalageMinutes - Temps de parcours depuis le premier arrêt
+   * @returns {number|null} - Minutes, ou null hors plage de service
+   */
+  attenteMinutes(trajetId, date, decalageMinutes = 0) {
+    const trajet = this.obtenirTrajet(trajetId);
+    if (!trajet) return null;
+
+    // Plage de service évaluée au départ du véhicule en tête de ligne
+    const minutesDuJour = date.getUTCHours() * 60 + date.getUTCMinutes() - decalageMinutes;
+    const frequence = trajet.frequences.find(f => minutesDuJour >= f.debut && minutesDuJour < f.fin);
+    return frequence ? frequence.intervalleMinutes / 2 : null;
+  }
+
+  /**
+   * Distance Haversine (mètres)
+   */
+  distanceMetres(lat1, lng1, lat2, lng2) {
+    const R = 6371000;
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(lat2 - lat1);
+    const dLng = rad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // ============================================================
+  // UTILITAIRES
+  // ============================================================
+
+  /**
+   * "HH:MM:SS" → minutes (les heures GTFS peuvent dépasser 24)
+   * @private
+   */
+  _heureEnMinutes(heure) {
+    const [h, m, s] = String(heure).trim().split(':').map(Number);
+    return h * 60 + (m || 0) + (s || 0) / 60;
+  }
+
+  /**
+   * CSV GTFS : première ligne = en-têtes, champs éventuellement entre guillemets
+   * @private
+   */
+  _parserCsv(contenu) {
+    const lignes = contenu.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim().length > 0);
+    if (lignes.length === 0) return [];
+
+    const decouper = (ligne) => {
+      const champs = [];
+      let courant = '';
+      let entreGuillemets = false;
+      for (let i = 0; i < ligne.length; i++) {
+        const c = ligne[i];
+        if (c === '"') {
+          if (entreGuillemets && ligne[i + 1] === '"') {
+            courant += '"';
+            i++;
+          } else {
+            entreGuillemets = !entreGuillemets;
+          }
+        } else if (c === ',' && !entreGuillemets) {
+          champs.push(courant);
+          courant = '';
+        } else {
+          courant += c;
+        }
+      }
+      champs.push(courant);
+      return champs.map(champ => champ.trim());
+    };
+
+    const entetes = decouper(lignes[0]);
+    return lignes.slice(1).map(ligne => {
+      const valeurs = decouper(ligne);
+      return Object.fromEntries(entetes.map((entete, i) => [entete, valeurs[i] ?? '']));
+    });
+  }
+}
+
+module.exports = new TransportInformelService();
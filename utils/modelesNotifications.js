@@ -0,0 +1,279 @@
+// utils/modelesNotifications.js
+
+/**
+ * 🌍 Modèles de notifications par événement et par langue
+ *
+ * Syntaxe des textes :
+ * - {{variable}}                 → valeur de la variable
+ * - {{variable:singulier|pluriel}} → forme choisie selon la règle de pluriel
+ *   de la langue, « # » y est remplacé par la valeur ({{places:# place|# places}})
+ *
+ * Champs d'un modèle : titre et corps (push, in-app), et en option sms,
+ * whatsapp, emailSujet, emailCorps. Un champ absent reprend le titre ou le
+ * corps de la même langue ; une langue absente reprend le français.
+ * Les administrateurs peuvent corriger un texte sans redéploiement
+ * (surcharges ModeleNotification, /api/admin/notifications/modeles).
+ */
+
+const LANGUES_NOTIFICATION = ['fr', 'en', 'dioula', 'baoule'];
+
+const LANGUE_PAR_DEFAUT = 'fr';
+
+// Canaux de diffusion et champs de modèle qu'ils utilisent
+const CHAMPS_PAR_CANAL = {
+  push: { titre: 'titre', corps: 'corps' },
+  sms: { titre: 'titre', corps: 'sms' },
+  whatsapp: { titre: 'titre', corps: 'whatsapp' },
+  email: { titre: 'emailSujet', corps: 'emailCorps' }
+};
+
+const CHAMPS_MODELE = ['titre', 'corps', 'sms', 'whatsapp', 'emailSujet', 'emailCorps'];
+
+// Forme au singulier ? (0 est au singulier en français)
+const REGLES_PLURIEL = {
+  fr: (n) => Math.abs(n) < 2,
+  en: (n) => Math.abs(n) === 1,
+  dioula: (n) => Math.abs(n) === 1,
+  baoule: (n) => Math.abs(n) === 1
+};
+
+const MODELES = {
+
+  // ===== RÉSERVATIONS =====
+
+  RESERVATION_CONFIRMEE: {
+    description: 'Réservation acceptée par le conducteur (passager)',
+    exemple: { prenom: 'Awa', destination: 'Cocody Angré' },
+    fr: {
+      titre: '✅ Réservation confirmée',
+      corps: 'Votre trajet vers {{destination}} est confirmé',
+      emailSujet: '✅ Votre réservation est confirmée',
+      emailCorps: 'Bonjour {{prenom}},\n\nVotre trajet vers {{destination}} a été confirmé.\n\nBonne route !'
+    },
+    en: {
+      titre: '✅ Booking confirmed',
+      corps: 'Your ride to {{destination}} is confirmed',
+      emailSujet: '✅ Your booking is confirmed',
+      emailCorps: 'Hello {{prenom}},\n\nYour ride to {{destination}} has been confirmed.\n\nHave a safe trip!'
+    },
+    dioula: {
+      titre: '✅ I ka réservation sɔnna',
+      corps: 'I ka taama {{destination}} fɛ sɔnna'
+    },
+    baoule: {
+      titre: '✅ Ɔ réservation\'n kɛnnin',
+      corps: 'Ɔ atin\'n mɔ ɔ kɔ {{destination}}\'n, ɔ kɛnnin'
+    }
+  },
+
+  RESERVATION_REFUSEE: {
+    description: 'Réservation refusée par le conducteur (passager)',
+    exemple: { prenom: 'Awa', destination: 'Cocody Angré', raison: 'Véhicule complet' },
+    fr: {
+      titre: '❌ Réservation refusée',
+      corps: 'Votre demande vers {{destination}} a été refusée',
+      emailSujet: '❌ Votre réservation a été refusée',
+      emailCorps: 'Bonjour {{prenom}},\n\nVotre demande de réservation vers {{destination}} a été refusée.\n\nMotif : {{raison}}'
+    },
+    en: {
+      titre: '❌ Booking declined',
+      corps: 'Your request to {{destination}} was declined',
+      emailSujet: '❌ Your booking was declined',
+      emailCorps: 'Hello {{prenom}},\n\nYour booking request to {{destination}} was declined.\n\nReason: {{raison}}'
+    },
+    dioula: {
+      titre: '❌ I ka réservation ma sɔn',
+      corps: 'I ka taama {{destination}} fɛ ma sɔn'
+    },
+    baoule: {
+      titre: '❌ Be kplinnin ɔ réservation\'n',
+      corps: 'Ɔ atin\'n mɔ ɔ kɔ {{destination}}\'n, be kplinnin i'
+    }
+  },
+
+  NOUVELLE_RESERVATION: {
+    description: 'Nouvelle demande de réservation (conducteur)',
+    exemple: { passager: 'Awa Koné', nombrePlaces: 2, destination: 'Cocody Angré' },
+    fr: {
+      titre: '🔔 Nouvelle réservation',
+      corps: '{{passager}} souhaite réserver {{nombrePlaces:# place|# places}} vers {{destination}}'
+    },
+    en: {
+      titre: '🔔 New booking',
+      corps: '{{passager}} wants to book {{nombrePlaces:# seat|# seats}} to {{destination}}'
+    },
+    dioula: {
+      titre: '🔔 Réservation kura',
+      corps: '{{passager}} b\'a fɛ ka {{nombrePlaces:sigiyɔrɔ #|sigiyɔrɔ #}} ta {{destination}} fɛ'
+    },
+    baoule: {
+      titre: '🔔 Réservation uflɛ',
+      corps: '{{passager}} kunndɛ {{nombrePlaces:bian # lɛ|bian # lɛ}} naan ɔ kɔ {{destination}}'
+    }
+  },
+
+  // ===== TRAJETS (automatisation) =====
+
+  TRAJET_RETARD_DEPART: {
+    description: 'Conducteur en retard au départ',
+    exemple: { retardMinutes: 15, arrivee: 'Plateau' },
+    fr: {
+      titre: '⏰ Retard de départ',
+      corps: 'Vous avez {{retardMinutes:# min|# min}} de retard. Démarrez le trajet vers {{arrivee}}'
+    },
+    en: {
+      titre: '⏰ Late departure',
+      corps: 'You are {{retardMinutes:# minute|# minutes}} late. Start the ride to {{arrivee}}'
+    },
+    dioula: {
+      titre: '⏰ Taama mɛnna',
+      corps: 'I mɛnna {{retardMinutes:# min|# min}}. Taama daminɛ {{arrivee}} fɛ'
+    },
+    baoule: {
+      titre: '⏰ Ɔ tɛnnin',
+      corps: 'Ɔ tɛnnin {{retardMinutes:# min|# min}}. Bo atin\'n ase naan ɔ kɔ {{arrivee}}'
+    }
+  },
+
+  TRAJET_ACTIVE: {
+    description: 'Trajet démarré automatiquement (conducteur)',
+    exemple: { depart: 'Yopougon', arrivee: 'Plateau' },
+    fr: { titre: '🚗 Votre trajet a démarré !', corps: '{{depart}} → {{arrivee}}' },
+    en: { titre: '🚗 Your ride has started!', corps: '{{depart}} → {{arrivee}}' },
+    dioula: { titre: '🚗 I ka taama daminɛna !', corps: '{{depart}} → {{arrivee}}' },
+    baoule: { titre: '🚗 Ɔ atin\'n bo ase !', corps: '{{depart}} → {{arrivee}}' }
+  },
+
+  TRAJET_DEMARRE: {
+    description: 'Trajet démarré (passagers confirmés)',
+    exemple: { depart: 'Yopougon', arrivee: 'Plateau' },
+    fr: { titre: '🚗 Votre trajet commence !', corps: 'Le trajet {{depart}} → {{arrivee}} a démarré.' },
+    en: { titre: '🚗 Your ride is starting!', corps: 'The ride {{depart}} → {{arrivee}} has started.' },
+    dioula: { titre: '🚗 I ka taama bɛ daminɛ !', corps: 'Taama {{depart}} → {{arrivee}} daminɛna.' },
+    baoule: { titre: '🚗 Ɔ atin\'n bo ase !', corps: 'Atin {{depart}} → {{arrivee}} bo ase.' }
+  },
+
+  TRAJET_ANNULE: {
+    description: 'Trajet expiré sans départ (passagers confirmés)',
+    exemple: { depart: 'Yopougon', arrivee: 'Plateau' },
+    fr: { titre: '⏰ Trajet annulé', corps: 'Le trajet {{depart}} → {{arrivee}} a été annulé.' },
+    en: { titre: '⏰ Ride cancelled', corps: 'The ride {{depart}} → {{arrivee}} has been cancelled.' },
+    dioula: { titre: '⏰ Taama bɔra yen', corps: 'Taama {{depart}} → {{arrivee}} bɔra yen.' },
+    baoule: { titre: '⏰ Be yacinnin atin\'n', corps: 'Be yacinnin atin {{depart}} → {{arrivee}}.' }
+  },
+
+  TRAJET_TERMINE: {
+    description: 'Trajet terminé (conducteur)',
+    exemple: { depart: 'Yopougon', arrivee: 'Plateau' },
+    fr: { titre: '🏁 Trajet terminé avec succès !', corps: 'Félicitations ! {{depart}} → {{arrivee}}' },
+    en: { titre: '🏁 Ride completed!', corps: 'Well done! {{depart}} → {{arrivee}}' },
+    dioula: { titre: '🏁 Taama banna !', corps: 'I ni ce ! {{depart}} → {{arrivee}}' },
+    baoule: { titre: '🏁 Atin\'n wieli !', corps: 'Ayekoo ! {{depart}} → {{arrivee}}' }
+  },
+
+  TRAJET_EXPIRE: {
+    description: 'Trajet expiré sans départ (conducteur)',
+    exemple: { depart: 'Yopougon', arrivee: 'Plateau' },
+    fr: { titre: '⏰ Trajet expiré', corps: 'Le trajet {{depart}} → {{arrivee}} a expiré' },
+    en: { titre: '⏰ Ride expired', corps: 'The ride {{depart}} → {{arrivee}} has expired' },
+    dioula: { titre: '⏰ Taama waati tɛmɛna', corps: 'Taama {{depart}} → {{arrivee}} waati tɛmɛna' },
+    baoule: { titre: '⏰ Atin\'n i blɛ\'n tra', corps: 'Atin {{depart}} → {{arrivee}} i blɛ\'n tra' }
+  },
+
+  CONFIRMATION_ARRIVEE: {
+    description: 'Rappel de confirmation d\'arrivée (conducteur)',
+    exemple: {},
+    fr: { titre: '🏁 Êtes-vous arrivé ?', corps: 'Merci de confirmer si vous êtes arrivé à destination.' },
+    en: { titre: '🏁 Have you arrived?', corps: 'Please confirm whether you have reached your destination.' },
+    dioula: { titre: '🏁 I sera wa ?', corps: 'Aw ye a fɔ n\'aw sera aw ka yɔrɔ la.' },
+    baoule: { titre: '🏁 Ɔ juin lɛ ?', corps: 'Yaci ka se kɛ ɔ juin lika nga ɔ kɔ lɛ\'n.' }
+  },
+
+  // ===== PARTAGE DE TRAJET =====
+
+  PARTAGE_INVITATION: {
+    description: 'Invitation à payer sa part d\'un trajet partagé',
+    exemple: { depart: 'Yopougon', arrivee: 'Plateau', montant: 1500, echeance: '20/10/2026 08:00', lien: 'https://wayzeco.com/partage/abc' },
+    fr: {
+      titre: '🤝 Partage de trajet',
+      corps: 'Votre part du trajet {{depart}} → {{arrivee}} est de {{montant}} FCFA',
+      sms: 'WAYZ-ECO : votre part du trajet {{depart}} → {{arrivee}} est de {{montant}} FCFA. Payez avant le {{echeance}} : {{lien}}'
+    },
+    en: {
+      titre: '🤝 Shared ride',
+      corps: 'Your share of the ride {{depart}} → {{arrivee}} is {{montant}} FCFA',
+      sms: 'WAYZ-ECO: your share of the ride {{depart}} → {{arrivee}} is {{montant}} FCFA. Pay before {{echeance}}: {{lien}}'
+    }
+  },
+
+  // ===== COMPTE (SMS / WhatsApp) =====
+
+  CODE_VERIFICATION: {
+    description: 'Code de vérification du numéro de téléphone',
+    exemple: { nomComplet: 'Awa Koné', code: '482913' },
+    fr: {
+      titre: 'Code de vérification',
+      corps: 'Votre code de vérification WAYZ-ECO est : {{code}}. Il expire dans 10 minutes.',
+      whatsapp: '🚗 *Bienvenue {{nomComplet}} !*\n\nVotre code de vérification pour l\'application Covoiturage est :\n\n🔐 *{{code}}*\n\nCe code est valide pendant *10 minutes*.\n\n⚠️ Ne partagez ce code avec personne.\n\nMerci de votre confiance ! 🙏'
+    },
+    en: {
+      titre: 'Verification code',
+      corps: 'Your WAYZ-ECO verification code is: {{code}}. It expires in 10 minutes.',
+      whatsapp: '🚗 *Welcome {{nomComplet}}!*\n\nYour verification code for the Covoiturage app is:\n\n🔐 *{{code}}*\n\nThis code is valid for *10 minutes*.\n\n⚠️ Never share this code with anyone.\n\nThank you for your trust! 🙏'
+    }
+  },
+
+  BIENVENUE: {
+    description: 'Compte vérifié',
+    exemple: { prenom: 'Awa' },
+    fr: {
+      titre: 'Compte vérifié',
+      corps: 'Félicitations {{prenom}} ! Votre compte WAYZ-ECO est maintenant actif.',
+      whatsapp: '✅ *Compte vérifié avec succès !*\n\nFélicitations {{prenom}} ! 🎉\n\nVotre compte Covoiturage est maintenant actif.\n\nVous pouvez commencer à :\n🚗 Proposer des trajets\n🧳 Réserver des places\n💬 Échanger avec la communauté\n\nBon voyage ! 🛣️'
+    },
+    en: {
+      titre: 'Account verified',
+      corps: 'Congratulations {{prenom}}! Your WAYZ-ECO account is now active.',
+      whatsapp: '✅ *Account successfully verified!*\n\nCongratulations {{prenom}}! 🎉\n\nYour Covoiturage account is now active.\n\nYou can now:\n🚗 Offer rides\n🧳 Book seats\n💬 Chat with the community\n\nSafe travels! 🛣️'
+    }
+  },
+
+  CODE_REINITIALISATION: {
+    description: 'Code de réinitialisation du mot de passe',
+    exemple: { nomComplet: 'Awa Koné', code: '482913' },
+    fr: {
+      titre: 'Réinitialisation de mot de passe',
+      corps: 'Votre code de réinitialisation WAYZ-ECO est: {{code}}. Ce code expire dans 10 minutes.',
+      whatsapp: '🔐 *Réinitialisation de mot de passe*\n\nBonjour {{nomComplet}},\n\nVotre code de réinitialisation Covoiturage est :\n\n🔑 *{{code}}*\n\nCe code est valide pendant *10 minutes*.\n\n⚠️ Si vous n\'avez pas demandé cette réinitialisation, ignorez ce message et contactez le support.\n\nSécurité avant tout ! 🛡️'
+    },
+    en: {
+      titre: 'Password reset',
+      corps: 'Your WAYZ-ECO reset code is: {{code}}. This code expires in 10 minutes.',
+      whatsapp: '🔐 *Password reset*\n\nHello {{nomComplet}},\n\nYour Covoiturage reset code is:\n\n🔑 *{{code}}*\n\nThis code is valid for *10 minutes*.\n\n⚠️ If you did not request this reset, ignore this message and contact support.\n\nSafety first! 🛡️'
+    }
+  },
+
+  CONFIRMATION_REINITIALISATION: {
+    description: 'Mot de passe réinitialisé',
+    exemple: { prenom: 'Awa' },
+    fr: {
+      titre: 'Mot de passe réinitialisé',
+      corps: 'Bonjour {{prenom}}, votre mot de passe WAYZ-ECO a été modifié. Contactez le support si vous n\'êtes pas à l\'origine de cette modification.',
+      whatsapp: '✅ *Mot de passe réinitialisé avec succès !*\n\nBonjour {{prenom}},\n\nVotre mot de passe Covoiturage a été modifié avec succès. 🎉\n\nVous pouvez maintenant vous connecter avec votre nouveau mot de passe.\n\n🔒 *Conseils de sécurité :*\n- Ne partagez jamais votre mot de passe\n- Utilisez un mot de passe unique et complexe\n- Changez-le régulièrement\n\nSi vous n\'êtes pas à l\'origine de cette modification, contactez immédiatement notre support.\n\nBon covoiturage ! 🚗'
+    },
+    en: {
+      titre: 'Password reset',
+      corps: 'Hello {{prenom}}, your WAYZ-ECO password has been changed. Contact support if you did not make this change.',
+      whatsapp: '✅ *Password successfully reset!*\n\nHello {{prenom}},\n\nYour Covoiturage password has been changed. 🎉\n\nYou can now log in with your new password.\n\n🔒 *Security tips:*\n- Never share your password\n- Use a unique, complex password\n- Change it regularly\n\nIf you did not make this change, contact our support immediately.\n\nHappy carpooling! 🚗'
+    }
+  }
+};
+
+module.exports = {
+  LANGUES_NOTIFICATION,
+  LANGUE_PAR_DEFAUT,
+  CHAMPS_PAR_CANAL,
+  CHAMPS_MODELE,
+  REGLES_PLURIEL,
+  MODELES
+};
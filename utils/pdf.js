@@ -0,0 +1,34 @@
+// utils/pdf.js
+const PDFDocument = require('pdfkit');
+
+/**
+ * Construit un document PDF en mémoire
+ * @param {Function} construire - reçoit le document pdfkit et le remplit
+ * @param {Object} [options] - options pdfkit (taille, marges, métadonnées)
+ * @returns {Promise<Buffer>}
+ */
+const genererPdf = (construire, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    construire(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Montant en FCFA avec séparateur de milliers (espaces)
+ * @param {number} montant
+ * @returns {string}
+ */
+const formaterMontant = (montant) =>
+  `${Math.round(montant || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ' ')} FCFA`;
+
+module.exports = { genererPdf, formaterMontant };